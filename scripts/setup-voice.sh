@@ -1,14 +1,17 @@
 #!/usr/bin/env bash
 #
 # setup-voice.sh - Provisions the local voice stack for "Hey Jerry":
-#   - Piper TTS binary + a Dutch (nl_NL) medium-quality voice
+#   - Piper TTS binary + Dutch (nl_NL) and English (en_US) medium-quality voices,
+#     one per language /heyjerry language can pick
 #   - A Python venv with openWakeWord + onnxruntime
 #   - The pretrained hey_jarvis wake-word model (+ shared melspectrogram/embedding models)
+#   - With --local-stt: faster-whisper in the same venv, and a Whisper model for it, so
+#     speech-to-text can run on this machine (STT_BACKEND=local) instead of on Groq
 #
 # All artifacts are written under tools/, which is gitignored (this repo is public).
 # Idempotent: re-running skips any artifact that already exists.
 #
-# Usage: scripts/setup-voice.sh
+# Usage: scripts/setup-voice.sh [--local-stt]
 
 set -euo pipefail
 
@@ -34,12 +37,33 @@ VOICE_BASE_URL="https://huggingface.co/rhasspy/piper-voices/resolve/main/nl/nl_N
 VOICE_ONNX_URL="${VOICE_BASE_URL}/${VOICE_NAME}.onnx"
 VOICE_JSON_URL="${VOICE_BASE_URL}/${VOICE_NAME}.onnx.json"
 
+# --- English (en_US) medium-quality voice, for users who set their language to English.
+EN_VOICE_NAME="en_US-lessac-medium"
+EN_VOICE_BASE_URL="https://huggingface.co/rhasspy/piper-voices/resolve/main/en/en_US/lessac/medium"
+EN_VOICE_ONNX_URL="${EN_VOICE_BASE_URL}/${EN_VOICE_NAME}.onnx"
+EN_VOICE_JSON_URL="${EN_VOICE_BASE_URL}/${EN_VOICE_NAME}.onnx.json"
+
 # --- openWakeWord pretrained models (dscripka/openWakeWord GitHub release v0.5.1).
 # This is the release the openwakeword pip package's own download_models()
 # utility pulls from; fetched directly here for idempotency and explicit control.
 OWW_RELEASE_URL="https://github.com/dscripka/openWakeWord/releases/download/v0.5.1"
 OWW_MODELS=("hey_jarvis_v0.1.onnx" "melspectrogram.onnx" "embedding_model.onnx")
 
+# --- Local speech-to-text (optional). The CTranslate2 conversion of Whisper small that
+# faster-whisper's own model lookup downloads; fetched once here so the sidecar never needs
+# the network. Override STT_MODEL_REPO for a bigger or smaller model (and point
+# STT_LOCAL_MODEL_PATH in .env at wherever it lands).
+STT_MODEL_REPO="${STT_MODEL_REPO:-Systran/faster-whisper-small}"
+STT_MODEL_DIR="${MODELS_DIR}/$(basename "${STT_MODEL_REPO}")"
+
+LOCAL_STT=0
+for arg in "$@"; do
+  case "${arg}" in
+    --local-stt) LOCAL_STT=1 ;;
+    *) echo "Unknown option: ${arg}" >&2; exit 1 ;;
+  esac
+done
+
 log() { echo "[setup-voice] $*"; }
 
 download() {
@@ -69,9 +93,13 @@ else
   chmod +x "${PIPER_DIR}/piper"
 fi
 
-# --- 2. Dutch Piper voice -----------------------------------------------------
+# --- 2. Piper voices -------------------------------------------------------------
+# tts.js picks <language>_voice.onnx; without the English one it reads English
+# replies with the Dutch voice
 download "${VOICE_ONNX_URL}" "${PIPER_DIR}/nl_voice.onnx"
 download "${VOICE_JSON_URL}" "${PIPER_DIR}/nl_voice.onnx.json"
+download "${EN_VOICE_ONNX_URL}" "${PIPER_DIR}/en_voice.onnx"
+download "${EN_VOICE_JSON_URL}" "${PIPER_DIR}/en_voice.onnx.json"
 
 # --- 3. Python venv for openWakeWord ------------------------------------------
 if [[ -x "${VENV_DIR}/bin/python" ]]; then
@@ -90,8 +118,25 @@ for model in "${OWW_MODELS[@]}"; do
   download "${OWW_RELEASE_URL}/${model}" "${MODELS_DIR}/${model}"
 done
 
+# --- 5. Local speech-to-text (--local-stt) -----------------------------------------
+if [[ "${LOCAL_STT}" == 1 ]]; then
+  log "Installing faster-whisper into wakeword-venv"
+  "${VENV_DIR}/bin/pip" install --quiet faster-whisper
+  if [[ -f "${STT_MODEL_DIR}/model.bin" ]]; then
+    log "Whisper model already present, skipping: ${STT_MODEL_DIR}"
+  else
+    log "Downloading ${STT_MODEL_REPO} -> ${STT_MODEL_DIR}"
+    "${VENV_DIR}/bin/python" -c "import sys; from huggingface_hub import snapshot_download; snapshot_download(sys.argv[1], local_dir=sys.argv[2])" \
+      "${STT_MODEL_REPO}" "${STT_MODEL_DIR}"
+  fi
+fi
+
 log "Done."
 log "  Piper binary:  ${PIPER_DIR}/piper"
 log "  Dutch voice:   ${PIPER_DIR}/nl_voice.onnx (+ .json)"
+log "  English voice: ${PIPER_DIR}/en_voice.onnx (+ .json)"
 log "  Venv python:   ${VENV_DIR}/bin/python"
 log "  Wake models:   ${MODELS_DIR}/"
+if [[ "${LOCAL_STT}" == 1 ]]; then
+  log "  Whisper model: ${STT_MODEL_DIR} (set STT_BACKEND=local in .env to use it)"
+fi
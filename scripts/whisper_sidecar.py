@@ -0,0 +1,98 @@
+#!/usr/bin/env python3
+"""Local speech-to-text sidecar for JerryBot 2.0's "Hey Jerry" voice pipeline.
+
+A single long-lived process holding one faster-whisper model, so utterances
+are transcribed on this machine instead of being posted to Groq. Requests are
+handled one at a time, in the order they arrive; the voice assistant sends at
+most one per utterance.
+
+Wire protocol (stdin, one JSON object per line):
+    {"id": <int>, "sampleRate": 16000, "language": "nl",
+     "prompt": <string|null>, "audio": <base64 of mono int16LE PCM>}
+
+Wire protocol (stdout, one JSON object per line):
+    {"id": <int>, "text": <string>}     -- the transcript (may be empty)
+    {"id": <int>, "error": <string>}    -- this request failed; keep going
+
+All diagnostics/logging go to stderr, never stdout (stdout is reserved for
+the protocol). The process exits 0 on stdin EOF.
+
+Audio must be 16kHz mono int16 PCM - what the wake-word pipeline already
+produces, and what Whisper itself works at - so nothing is resampled here.
+"""
+import argparse
+import base64
+import json
+import os
+import sys
+
+import numpy as np
+
+SAMPLE_RATE = 16000
+
+
+def log(*args):
+    print(*args, file=sys.stderr, flush=True)
+
+
+def reply(message):
+    sys.stdout.write(json.dumps(message) + '\n')
+    sys.stdout.flush()
+
+
+def main():
+    script_dir = os.path.dirname(os.path.abspath(__file__))
+    default_model = os.path.join(script_dir, '..', 'tools', 'models', 'faster-whisper-small')
+
+    parser = argparse.ArgumentParser(description='faster-whisper transcription sidecar')
+    parser.add_argument('--model', default=default_model, help='Path to a faster-whisper (CTranslate2) model directory')
+    parser.add_argument('--threads', type=int, default=0, help='CPU threads (0 = faster-whisper default)')
+    args = parser.parse_args()
+
+    from faster_whisper import WhisperModel
+
+    model_path = os.path.abspath(args.model)
+    # int8 on the CPU: the small model fits in a few hundred MB and a spoken
+    # command takes a second or two, next to a music bot and a wake-word model
+    model = WhisperModel(model_path, device='cpu', compute_type='int8', cpu_threads=args.threads)
+    log(f'[whisper_sidecar] ready model={model_path}')
+
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        try:
+            request = json.loads(line)
+        except ValueError:
+            log('[whisper_sidecar] ignoring a line that is not JSON')
+            continue
+        request_id = request.get('id')
+        if not isinstance(request_id, int):
+            continue
+
+        try:
+            if request.get('sampleRate') != SAMPLE_RATE:
+                raise ValueError(f"expected {SAMPLE_RATE} Hz audio, got {request.get('sampleRate')}")
+            pcm = np.frombuffer(base64.b64decode(request.get('audio') or ''), dtype='<i2')
+            audio = pcm.astype(np.float32) / 32768.0
+            segments, _info = model.transcribe(
+                audio,
+                language=request.get('language') or None,
+                initial_prompt=request.get('prompt') or None,
+                beam_size=5,
+                # The Node side already cut the utterance out with its own VAD
+                vad_filter=False,
+                condition_on_previous_text=False,
+            )
+            text = ''.join(segment.text for segment in segments).strip()
+            reply({'id': request_id, 'text': text})
+        except Exception as exc:  # noqa: BLE001 - one bad request must not end the sidecar
+            log(f'[whisper_sidecar] request {request_id} failed: {exc}')
+            reply({'id': request_id, 'error': str(exc)})
+
+    log('[whisper_sidecar] stdin closed, exiting')
+    sys.exit(0)
+
+
+if __name__ == '__main__':
+    main()
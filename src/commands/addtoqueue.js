@@ -0,0 +1,32 @@
+import { ContextMenuCommandBuilder, ApplicationCommandType, MessageFlags } from 'discord.js';
+import { extractMediaUrls, messageLinkText, queueLinks, describeQueuedLinks } from '../utils/linkQueue.js';
+import { logCommandAction } from '../utils/activityLogger.js';
+
+// Right-click a message, Apps, "Add to queue": every YouTube video and Spotify track linked in
+// it goes into the queue, as if each had been given to /play
+export default {
+  data: new ContextMenuCommandBuilder()
+    .setName('Add to queue')
+    .setType(ApplicationCommandType.Message),
+
+  async execute(interaction) {
+    const urls = extractMediaUrls(messageLinkText(interaction.targetMessage));
+    if (urls.length === 0) {
+      return await interaction.reply({
+        content: '❌ There are no YouTube or Spotify song links in that message.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+    if (!interaction.member?.voice?.channel) {
+      return await interaction.reply({
+        content: '❌ You need to be in a voice channel to queue music!',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    await interaction.deferReply();
+    const result = await queueLinks({ guild: interaction.guild, member: interaction.member, urls });
+    for (const song of result.queued || []) logCommandAction(interaction.user, 'play', song.title);
+    await interaction.editReply({ content: describeQueuedLinks(result) });
+  }
+};
@@ -2,6 +2,7 @@ import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { loadJsonSync, saveJsonSync } from '../utils/jsonStore.js';
+import { getGuildSettings } from '../utils/guilds.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -32,8 +33,6 @@ export function getAntiOfflineState(guildId) {
   return antiOfflineState.get(guildId) || { enabled: false, enabledBy: null };
 }
 
-const GENERAL_CHANNEL_ID = process.env.GENERAL_CHANNEL_ID || '1419789649873735680';
-
 /**
  * Scan all voice channels in a guild and kick offline members.
  */
@@ -55,7 +54,8 @@ async function kickOfflineVoiceMembers(guild, enabledBy) {
     }
   }
   if (kicked.length > 0) {
-    const generalChannel = guild.channels.cache.get(GENERAL_CHANNEL_ID);
+    const { generalChannelId } = getGuildSettings(guild.id);
+    const generalChannel = generalChannelId ? guild.channels.cache.get(generalChannelId) : null;
     if (generalChannel) {
       const mentions = kicked.map(id => `<@${id}>`).join(', ');
       await generalChannel.send(`${mentions} ${kicked.length === 1 ? 'is' : 'zijn'} gekickt uit het voice kanaal — anti-offline modus staat aan, aangezet door ${enabledBy}.`);
@@ -7,7 +7,7 @@ const CATEGORIES = [
     emoji: '🎵',
     label: 'Music',
     description: 'Music playback controls',
-    commands: ['play', 'queue', 'nowplaying', 'pause', 'resume', 'skip', 'stop', 'volume', 'playlist']
+    commands: ['play', 'queue', 'nowplaying', 'pause', 'resume', 'skip', 'stop', 'volume', 'playlist', 'mixer', 'karaoke', 'playerpanel']
   },
   {
     id: 'games',
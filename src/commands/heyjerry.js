@@ -8,7 +8,10 @@ import {
   isWakeEngineDead,
   joinForListening,
   leaveVoiceChannel,
+  getVoiceLanguage,
+  setVoiceLanguage,
 } from '../utils/voiceAssistant.js';
+import { VOICE_LANGUAGES, LANGUAGE_NAMES } from '../utils/speech/language.js';
 import { getVoiceConfig, setVoiceSpokenReplies } from '../utils/openrouter.js';
 import { getQueue } from '../utils/musicQueue.js';
 import { isRecording } from '../utils/voiceRecorder.js';
@@ -40,6 +43,15 @@ export default {
     .addSubcommand(sub =>
       sub.setName('leave').setDescription('Send Jerry out of the voice channel')
     )
+    .addSubcommand(sub =>
+      sub.setName('language')
+        .setDescription('Pick the language you give voice commands in, and Jerry answers in')
+        .addStringOption(opt =>
+          opt.setName('language')
+            .setDescription('The language you speak to Jerry')
+            .setRequired(true)
+            .addChoices(...VOICE_LANGUAGES.map(code => ({ name: LANGUAGE_NAMES[code], value: code }))))
+    )
     .addSubcommand(sub =>
       sub.setName('replies')
         .setDescription('Toggle whether Jerry speaks his replies out loud (requires Manage Server)')
@@ -79,6 +91,19 @@ export default {
       });
     }
 
+    if (sub === 'language') {
+      // Personal, like the opt-in, and it takes effect on the next "Hey Jerry" - the
+      // interaction reads it fresh every time, so nothing needs syncing here.
+      const language = interaction.options.getString('language', true);
+      setVoiceLanguage(userId, language);
+      return interaction.reply({
+        content: language === 'en'
+          ? '🗣️ Jerry now expects your voice commands in **English** and answers you in English.'
+          : `🗣️ Jerry verwacht je spraakopdrachten nu in het **${LANGUAGE_NAMES[language]}** en antwoordt je ook zo.`,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
     if (sub === 'on' || sub === 'off') {
       const optIn = sub === 'on';
       setOptIn(userId, optIn);
@@ -92,8 +117,8 @@ export default {
 
       return interaction.reply({
         content: optIn
-          ? `🎤 Jerry now listens to you in voice channels. Say **"Hey Jerry"**, wait for the beep, then give your command (in Dutch).${note}`
-          : `🔇 Jerry no longer listens to you. Run \`/heyjerry on\` whenever you want it back.${note}`,
+          ? `🎤 Jerry now listens to you in voice channels. Say **"Hey Jerry"**, wait for the beep, then give your command (in ${LANGUAGE_NAMES[getVoiceLanguage(userId)]}; change it with \`/heyjerry language\`).${note}`
+          : `🔇 Jerry no longer listens to you, and the history of what you said to him is deleted. Run \`/heyjerry on\` whenever you want it back.${note}`,
         flags: MessageFlags.Ephemeral,
       });
     }
@@ -179,7 +204,7 @@ export default {
       // Non-ephemeral on purpose: a bot that can hear the channel is something
       // everyone in it should see, the same way /record announces itself.
       return interaction.editReply(
-        `🎙️ Listening in **${channel.name}**. Say **"Hey Jerry"**, wait for the beep, then give your command (in Dutch).`
+        `🎙️ Listening in **${channel.name}**. Say **"Hey Jerry"**, wait for the beep, then give your command.`
       );
     }
 
@@ -249,6 +274,7 @@ export default {
         { name: 'You', value: isOptedIn(userId) ? '✅ Opted in' : '❌ Opted out', inline: true },
         { name: 'Assistant', value: isVoiceAssistantEnabled() ? '✅ Running' : '⚠️ Not running', inline: true },
         { name: 'Spoken replies', value: getVoiceConfig().spokenReplies ? '✅ On' : '❌ Off', inline: true },
+        { name: 'Your language', value: LANGUAGE_NAMES[getVoiceLanguage(userId)], inline: true },
         {
           name: voiceChannel ? `Opted in — ${voiceChannel.name}` : 'Opted in here',
           value: !voiceChannel
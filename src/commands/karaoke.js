@@ -0,0 +1,41 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { startKaraoke, stopKaraoke, isKaraokeActive } from '../utils/karaoke.js';
+import { logCommandAction } from '../utils/activityLogger.js';
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('karaoke')
+    .setDescription('Show the lyrics of what is playing, line by line, in this channel')
+    .addSubcommand(sub =>
+      sub.setName('start').setDescription('Post a karaoke message here that follows the song')
+    )
+    .addSubcommand(sub =>
+      sub.setName('stop').setDescription('Stop the karaoke message')
+    ),
+
+  async execute(interaction) {
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'start') {
+      if (!interaction.channel?.isSendable?.()) {
+        return interaction.reply({ content: '❌ I can\'t post in this channel.', flags: MessageFlags.Ephemeral });
+      }
+      const moved = isKaraokeActive(interaction.guildId);
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      try {
+        await startKaraoke(interaction.guildId, interaction.channel);
+      } catch (err) {
+        console.error('[Karaoke] Could not start:', err.message);
+        return interaction.editReply('❌ Could not post the karaoke message here.');
+      }
+      logCommandAction(interaction.user, 'karaoke');
+      return interaction.editReply(moved ? '🎤 Karaoke moved to this channel.' : '🎤 Karaoke started - the lyrics will follow the song.');
+    }
+
+    const stopped = await stopKaraoke(interaction.guildId);
+    return interaction.reply({
+      content: stopped ? '🎤 Karaoke stopped.' : '❌ Karaoke isn\'t running.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+};
@@ -9,7 +9,7 @@ export default {
     .setDescription('View the top 10 users by XP'),
 
   async execute(interaction) {
-    const entries = getLeaderboard(10);
+    const entries = getLeaderboard(interaction.guildId, 10);
 
     if (entries.length === 0) {
       return interaction.reply({ content: 'No one has earned XP yet!', ephemeral: true });
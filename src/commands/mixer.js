@@ -0,0 +1,86 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { applyMixerFilters, getMixerFilters } from '../utils/musicQueue.js';
+import { logCommandAction } from '../utils/activityLogger.js';
+import { presetFilters, listMixerPresets, MIXER_PRESETS, listMixerProfiles, getMixerProfile, saveMixerProfile, MAX_PROFILE_NAME_LENGTH } from '../utils/mixerProfiles.js';
+import { memberIsDJ } from '../utils/guilds.js';
+
+// Autocomplete values for a user's own profiles carry this prefix, so a profile that happens
+// to be called "vocal" is still told apart from the shared Vocal preset
+const PROFILE_PREFIX = 'profile:';
+
+function hasDJRole(interaction) {
+  return memberIsDJ(interaction.member);
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('mixer')
+    .setDescription('Audio mixer presets and your saved mixer profiles (DJ only)')
+    .addSubcommand(sub =>
+      sub.setName('preset')
+        .setDescription('Switch the mixer to a preset or one of your saved profiles')
+        .addStringOption(opt => opt.setName('name').setDescription('Preset or profile').setRequired(true).setAutocomplete(true))
+    )
+    .addSubcommand(sub =>
+      sub.setName('save')
+        .setDescription('Save the current mixer settings as one of your profiles')
+        .addStringOption(opt => opt.setName('name').setDescription('Profile name').setRequired(true).setMaxLength(MAX_PROFILE_NAME_LENGTH))
+    ),
+
+  async autocomplete(interaction) {
+    const typed = interaction.options.getFocused().toLowerCase();
+    const presets = listMixerPresets().map(p => ({ name: `🎛️ ${p.label}`, value: p.name }));
+    const profiles = listMixerProfiles(interaction.user.id).map(p => ({ name: `💾 ${p.name}`, value: `${PROFILE_PREFIX}${p.name}` }));
+    const choices = [...presets, ...profiles]
+      .filter(choice => choice.name.toLowerCase().includes(typed))
+      .slice(0, 25);
+    try {
+      await interaction.respond(choices);
+    } catch { /* expired */ }
+  },
+
+  async execute(interaction) {
+    if (!hasDJRole(interaction)) {
+      return await interaction.reply({
+        content: '❌ You need the "Website DJ Extraordinaire" role to use the mixer!',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const sub = interaction.options.getSubcommand();
+    const name = interaction.options.getString('name');
+    const userId = interaction.user.id;
+
+    if (sub === 'save') {
+      const result = saveMixerProfile(userId, name, getMixerFilters(interaction.guildId));
+      if (!result.success) {
+        return await interaction.reply({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
+      }
+      logCommandAction(interaction.user, 'mixer-profile-save', result.name);
+      return await interaction.reply({ content: `💾 Saved the current mixer settings as **${result.name}**`, flags: MessageFlags.Ephemeral });
+    }
+
+    // preset: a shared preset by key, or one of the user's profiles - by the autocomplete's
+    // prefixed value, or by its plain name when typed without picking a suggestion
+    if (!name.startsWith(PROFILE_PREFIX)) {
+      const filters = presetFilters(name);
+      if (filters) {
+        await applyMixerFilters(filters, interaction.guildId);
+        logCommandAction(interaction.user, 'mixer-preset', name);
+        return await interaction.reply(`🎛️ Mixer set to **${MIXER_PRESETS[name].label}**`);
+      }
+    }
+
+    const profileName = name.startsWith(PROFILE_PREFIX) ? name.slice(PROFILE_PREFIX.length) : name;
+    const profile = getMixerProfile(userId, profileName);
+    if (!profile) {
+      return await interaction.reply({
+        content: `❌ There is no preset or saved profile called "${profileName}"`,
+        flags: MessageFlags.Ephemeral
+      });
+    }
+    await applyMixerFilters(profile.filters, interaction.guildId);
+    logCommandAction(interaction.user, 'mixer-profile-load', profileName);
+    await interaction.reply(`🎛️ Mixer set to your profile **${profileName}**`);
+  }
+};
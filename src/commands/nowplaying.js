@@ -1,5 +1,6 @@
-import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
 import { getQueue } from '../utils/musicQueue.js';
+import { formatClock } from '../utils/chapters.js';
 
 export default {
   data: new SlashCommandBuilder()
@@ -19,9 +20,47 @@ export default {
     const song = queue.currentSong;
     const minutes = Math.floor(song.duration / 60);
     const seconds = song.duration % 60;
-    
-    await interaction.reply({
-      content: `🎵 **Now Playing:**\n**${song.title}**\nDuration: ${minutes}:${seconds.toString().padStart(2, '0')}\nRequested by: ${song.requestedBy}`
-    });
+
+    const embed = new EmbedBuilder()
+      .setColor(0x0099FF)
+      .setTitle('🎵 Now Playing')
+      .setDescription(`**${song.title}**`)
+      .addFields(
+        { name: 'Duration', value: `${minutes}:${seconds.toString().padStart(2, '0')}`, inline: true },
+        { name: 'Requested by', value: song.requestedBy || 'Unknown', inline: true }
+      );
+
+    if (song.thumbnail) embed.setThumbnail(song.thumbnail);
+
+    // Only part of the video is being played
+    if (song.startTime || song.endTime) {
+      embed.addFields({
+        name: 'Playing',
+        value: `${formatClock(song.startTime || 0)} – ${song.endTime ? formatClock(song.endTime) : formatClock(song.duration)}`,
+        inline: true
+      });
+    }
+
+    // Where in a long mix or album upload it has got to
+    const current = queue.currentChapter();
+    if (current) {
+      embed.addFields({
+        name: `📖 Chapter ${current.index + 1}/${current.count}`,
+        value: `**${current.chapter.title}** (${formatClock(current.chapter.start)})`,
+        inline: false
+      });
+    }
+
+    // An open skip vote, so the people who have not voted yet can see how close it is
+    const vote = queue.skipVoteState();
+    if (vote) {
+      embed.addFields({
+        name: '🗳️ Vote to skip',
+        value: `${vote.votes}/${vote.needed} — ${vote.voters.join(', ')}`,
+        inline: false
+      });
+    }
+
+    await interaction.reply({ embeds: [embed] });
   }
 };
@@ -1,7 +1,10 @@
 import { SlashCommandBuilder, MessageFlags } from 'discord.js';
-import { getQueue, createQueue, ytDlpExec, ytCookieOpts } from '../utils/musicQueue.js';
+import { getQueue, createQueue, ytDlpExec, ytCookieOpts, checkSongGuardrails } from '../utils/musicQueue.js';
+import { channelInfo } from '../utils/queueGuardrails.js';
 import { logCommandAction } from '../utils/activityLogger.js';
 import { isAllowedMediaUrl, sanitizeSearchQuery } from '../utils/urlValidation.js';
+import { searchLocalLibrary, isLocalTrackUrl, getLocalTrack, localTrackToSong, displayTitle, localTrackUrl } from '../utils/localLibrary.js';
+import { parseChapters, parseTimestamp, playRangeFromUrl, playRange, formatClock } from '../utils/chapters.js';
 import Spotify from 'spotify-url-info';
 import { fetch } from 'undici';
 
@@ -38,6 +41,22 @@ async function searchYouTube(query) {
   return results[0] || null;
 }
 
+function sourceTag(song) {
+  if (song.source === 'spotify') return ' 🎧';
+  if (song.source === 'local') return ' 📁';
+  return '';
+}
+
+// " (1:02:03–1:10:00)" after a title, for a song that plays only part of its video
+function rangeTag(song) {
+  if (!song.startTime && !song.endTime) return '';
+  return ` (${formatClock(song.startTime || 0)}–${song.endTime ? formatClock(song.endTime) : 'end'})`;
+}
+
+function choiceName(title) {
+  return title.length > 100 ? title.substring(0, 97) + '...' : title;
+}
+
 // What to tell the user about the song they just asked for, from what play() says happened to
 // it. play() drops a song it cannot fetch and moves the queue on by itself, so "the await
 // resolved" is not "it is playing" - an age-gated, region-locked or rate-limited song used to
@@ -48,9 +67,9 @@ function describeStart(outcome, song) {
   // the requested song for an outcome that belonged to another one is the same class of lie as
   // the rest of it, and cheaper to retire than to keep reasoning about.
   const acted = (outcome?.started || outcome?.reason === 'failed') ? (outcome.song ?? song) : song;
-  const tag = acted.source === 'spotify' ? ' 🎧' : '';
+  const tag = sourceTag(acted);
 
-  if (outcome?.started) return `🎵 Now playing: **${acted.title}**${tag}`;
+  if (outcome?.started) return `🎵 Now playing: **${acted.title}**${tag}${rangeTag(acted)}`;
   if (outcome?.reason === 'failed') {
     return `❌ Couldn't play **${acted.title}**${tag} — ${outcome.detail}. Skipped it.`;
   }
@@ -69,6 +88,18 @@ export default {
         .setDescription('Search for a song')
         .setRequired(true)
         .setAutocomplete(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName('start')
+        .setDescription('Start partway in, e.g. 1:02:30 or 90 (a ?t= on the link works too)')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('end')
+        .setDescription('Stop partway through, e.g. 1:10:00')
+        .setRequired(false)
     ),
 
   async autocomplete(interaction) {
@@ -82,6 +113,13 @@ export default {
       }
     }
 
+    // Library matches first: they are instant, cannot fail on YouTube, and someone typing the
+    // name of a file they put there is more likely after that file than a cover of it
+    const localChoices = searchLocalLibrary(focusedValue, 5).map(track => ({
+      name: choiceName(`📁 ${displayTitle(track)}`),
+      value: localTrackUrl(track.id)
+    }));
+
     try {
       // Add timeout to prevent slow autocomplete responses
       const searchPromise = searchYoutube(focusedValue, 5);
@@ -92,18 +130,19 @@ export default {
       const searchResults = await Promise.race([searchPromise, timeoutPromise]);
 
       const choices = searchResults.slice(0, 10).map(video => ({
-        name: video.title.length > 100 ? video.title.substring(0, 97) + '...' : video.title,
+        name: choiceName(video.title),
         value: video.url
       }));
 
-      await interaction.respond(choices);
+      await interaction.respond([...localChoices, ...choices].slice(0, 25));
     } catch (error) {
       // Only log if not a timeout or interaction error
       if (!error.message?.includes('timeout') && error.code !== 10062) {
         console.error('Error searching for songs:', error.message);
       }
       try {
-        await interaction.respond([]);
+        // A YouTube search that timed out still leaves the library's answers worth showing
+        await interaction.respond(localChoices);
       } catch {
         // Interaction already expired, ignore
       }
@@ -112,6 +151,8 @@ export default {
 
   async execute(interaction) {
     const songUrl = interaction.options.getString('song');
+    const startOption = interaction.options.getString('start');
+    const endOption = interaction.options.getString('end');
     const member = interaction.member;
     const voiceChannel = member.voice.channel;
 
@@ -132,13 +173,31 @@ export default {
       });
     }
 
+    // Checked before anything is looked up, so a typo costs no yt-dlp call
+    const startAt = startOption ? parseTimestamp(startOption) : null;
+    const endAt = endOption ? parseTimestamp(endOption) : null;
+    if ((startOption && startAt === null) || (endOption && endAt === null)) {
+      return await interaction.reply({
+        content: '❌ Give start and end as a time, like `1:02:30`, `90` or `1h2m30s`.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
     await interaction.deferReply();
 
     try {
       let song;
       
-      // Check if it's a Spotify URL
-      if (isSpotifyUrl(songUrl)) {
+      if (isLocalTrackUrl(songUrl)) {
+        // Picked from the library half of the autocomplete
+        const track = getLocalTrack(songUrl);
+        if (!track) {
+          return await interaction.editReply({
+            content: '❌ That file is no longer in the local library.'
+          });
+        }
+        song = localTrackToSong(track, interaction.member.displayName, interaction.user.id);
+      } else if (isSpotifyUrl(songUrl)) {
         // Get track info from Spotify
         const spotifyTrack = await getPreview(songUrl);
         const searchQuery = `${spotifyTrack.artist} - ${spotifyTrack.title}`;
@@ -178,7 +237,9 @@ export default {
           thumbnail: videoInfo.thumbnail,
           requestedBy: interaction.member.displayName,
           requestedById: interaction.user.id,
-          source: 'youtube'
+          source: 'youtube',
+          ...channelInfo(videoInfo),
+          chapters: parseChapters(videoInfo)
         };
       } else {
         // Not a recognized media URL (or autocomplete was bypassed with free text) —
@@ -206,12 +267,30 @@ export default {
           thumbnail: videoInfo.thumbnail,
           requestedBy: interaction.member.displayName,
           requestedById: interaction.user.id,
-          source: 'youtube'
+          source: 'youtube',
+          ...channelInfo(videoInfo),
+          chapters: parseChapters(videoInfo)
         };
       }
 
+      // Only part of the video: the options win over a ?t= on the link, which yt-dlp's
+      // webpage_url has already dropped from song.url, so it is read off what was typed
+      const fromUrl = playRangeFromUrl(songUrl);
+      const range = playRange({ start: startAt ?? fromUrl.start, end: endAt ?? fromUrl.end }, song.duration);
+      if (range.error) {
+        return await interaction.editReply({ content: `❌ ${range.error}` });
+      }
+      Object.assign(song, range);
+
       // Get or create queue
       let queue = getQueue(interaction.guildId);
+
+      // Before joining anything: a song the admin page's limits refuse should not pull the bot
+      // into a channel on its way to being turned down
+      const verdict = checkSongGuardrails(song, queue);
+      if (!verdict.ok) {
+        return await interaction.editReply({ content: `❌ ${verdict.message}` });
+      }
       
       if (!queue) {
         // Get guild info for the web dashboard
@@ -240,7 +319,7 @@ export default {
           await interaction.editReply({ content: describeStart(outcome, song) });
         } else {
           await interaction.editReply({
-            content: `➕ Added to queue: **${song.title}**${song.source === 'spotify' ? ' 🎧' : ''}\nPosition: ${queue.songs.length}`
+            content: `➕ Added to queue: **${song.title}**${sourceTag(song)}${rangeTag(song)}\nPosition: ${queue.songs.length}`
           });
         }
       }
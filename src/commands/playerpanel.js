@@ -0,0 +1,54 @@
+import { SlashCommandBuilder, ChannelType, MessageFlags } from 'discord.js';
+import { setPlayerPanel, removePlayerPanel, getPlayerPanelChannel } from '../utils/playerPanel.js';
+import { logCommandAction } from '../utils/activityLogger.js';
+import { memberIsDJ } from '../utils/guilds.js';
+
+function hasDJRole(interaction) {
+  return memberIsDJ(interaction.member);
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('playerpanel')
+    .setDescription('A message with music controls that always shows what is playing')
+    .addSubcommand(sub =>
+      sub.setName('set')
+        .setDescription('Post the player panel in a channel (DJ role required)')
+        .addChannelOption(opt =>
+          opt.setName('channel')
+            .setDescription('Where the panel goes (defaults to this channel)')
+            .addChannelTypes(ChannelType.GuildText)))
+    .addSubcommand(sub =>
+      sub.setName('remove')
+        .setDescription('Take the player panel down (DJ role required)')),
+
+  async execute(interaction) {
+    if (!hasDJRole(interaction)) {
+      return interaction.reply({ content: 'You need the DJ role to manage the player panel.', flags: MessageFlags.Ephemeral });
+    }
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'set') {
+      const channel = interaction.options.getChannel('channel') || interaction.channel;
+      if (!channel?.isSendable?.()) {
+        return interaction.reply({ content: '❌ I can\'t post in that channel.', flags: MessageFlags.Ephemeral });
+      }
+      const moved = getPlayerPanelChannel(interaction.guildId);
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      try {
+        await setPlayerPanel(interaction.guildId, channel);
+      } catch (err) {
+        console.error('[PlayerPanel] Could not post the panel:', err.message);
+        return interaction.editReply(`❌ Could not post the player panel in ${channel}.`);
+      }
+      logCommandAction(interaction.user, 'playerpanel', `${channel.name}`);
+      return interaction.editReply(moved ? `🎛️ Player panel moved to ${channel}.` : `🎛️ Player panel posted in ${channel}.`);
+    }
+
+    const removed = await removePlayerPanel(interaction.guildId);
+    return interaction.reply({
+      content: removed ? '🎛️ Player panel removed.' : '❌ There is no player panel.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+};
@@ -1,7 +1,34 @@
-import { SlashCommandBuilder, MessageFlags } from 'discord.js';
-import { getQueue, createQueue, ytDlpExec, ytCookieOpts } from '../utils/musicQueue.js';
+import { SlashCommandBuilder, MessageFlags, ChannelType } from 'discord.js';
+import { getQueue, createQueue, ytDlpExec, ytCookieOpts, checkSongGuardrails } from '../utils/musicQueue.js';
 import { isAllowedMediaUrl } from '../utils/urlValidation.js';
-import { createPlaylist, deletePlaylist, addSong, removeSong, getPlaylists, getPlaylist, getAllPlaylistNames, getPlaylistSongNames } from '../utils/playlists.js';
+import { createPlaylist, deletePlaylist, addSong, removeSong, getPlaylists, getPlaylist, getAllPlaylistNames, getPlaylistSongNames, setPlaylistSharing, addPlaylistEditor, removePlaylistEditor } from '../utils/playlists.js';
+import { isValidCalendarDate } from '../utils/reminderTracker.js';
+import { addSchedule, getUserSchedules, cancelSchedule } from '../utils/playlistScheduler.js';
+
+// "Wed 14 Oct, 20:00" - server time, the same clock the hour/minute options are read in
+function formatStart(startAt) {
+  return new Date(startAt).toLocaleString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+// The next time `hour:minute` comes round on the given day/month, or today/tomorrow when no day
+// is given - the same rules /reminder uses. @returns {{ startAt?: number, error?: string }}
+export function resolveScheduleStart({ hour, minute, day = null, month = null }, now = new Date()) {
+  const year = now.getFullYear();
+  const d = day ?? now.getDate();
+  const m = month ?? (now.getMonth() + 1);
+  if (!isValidCalendarDate(d, m, year)) return { error: `Invalid date: ${d}/${m} does not exist.` };
+
+  const start = new Date(year, m - 1, d, hour, minute, 0, 0);
+  if (start <= now) {
+    if (day !== null || month !== null) {
+      if (!isValidCalendarDate(d, m, year + 1)) return { error: `Invalid date: ${d}/${m} does not exist in ${year + 1}.` };
+      start.setFullYear(year + 1);
+    } else {
+      start.setDate(start.getDate() + 1);
+    }
+  }
+  return { startAt: start.getTime() };
+}
 
 export default {
   data: new SlashCommandBuilder()
@@ -47,6 +74,44 @@ export default {
       sub.setName('view')
         .setDescription('Show songs in a playlist')
         .addStringOption(opt => opt.setName('playlist').setDescription('Playlist to view').setRequired(true).setAutocomplete(true))
+    )
+    .addSubcommand(sub =>
+      sub.setName('share')
+        .setDescription('Let someone else add, remove and reorder songs in your playlist')
+        .addStringOption(opt => opt.setName('playlist').setDescription('Your playlist').setRequired(true).setAutocomplete(true))
+        .addUserOption(opt => opt.setName('user').setDescription('Who to invite as an editor').setRequired(true))
+    )
+    .addSubcommand(sub =>
+      sub.setName('unshare')
+        .setDescription('Remove an editor from your playlist')
+        .addStringOption(opt => opt.setName('playlist').setDescription('Your playlist').setRequired(true).setAutocomplete(true))
+        .addUserOption(opt => opt.setName('user').setDescription('Editor to remove').setRequired(true))
+    )
+    .addSubcommand(sub =>
+      sub.setName('visibility')
+        .setDescription('Choose who in the server can see your playlist')
+        .addStringOption(opt => opt.setName('playlist').setDescription('Your playlist').setRequired(true).setAutocomplete(true))
+        .addStringOption(opt => opt.setName('mode').setDescription('Who can see it').setRequired(true).addChoices(
+          { name: 'Private — only you and your editors', value: 'private' },
+          { name: 'Everyone can browse and play it', value: 'read' },
+          { name: 'Everyone can edit it', value: 'edit' }
+        ))
+    )
+    .addSubcommand(sub =>
+      sub.setName('schedule')
+        .setDescription('Start a playlist in a voice channel at a set time')
+        .addStringOption(opt => opt.setName('playlist').setDescription('Playlist to start').setRequired(true).setAutocomplete(true))
+        .addChannelOption(opt => opt.setName('channel').setDescription('Voice channel to play in').setRequired(true).addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice))
+        .addIntegerOption(opt => opt.setName('hour').setDescription('Hour (0-23)').setRequired(true).setMinValue(0).setMaxValue(23))
+        .addIntegerOption(opt => opt.setName('minute').setDescription('Minute (0-59)').setRequired(true).setMinValue(0).setMaxValue(59))
+        .addIntegerOption(opt => opt.setName('day').setDescription('Day of the month (defaults to today)').setMinValue(1).setMaxValue(31))
+        .addIntegerOption(opt => opt.setName('month').setDescription('Month (1-12, defaults to current month)').setMinValue(1).setMaxValue(12))
+        .addBooleanOption(opt => opt.setName('weekly').setDescription('Repeat every week at the same time'))
+    )
+    .addSubcommand(sub =>
+      sub.setName('unschedule')
+        .setDescription('Cancel a scheduled playlist')
+        .addStringOption(opt => opt.setName('schedule').setDescription('Scheduled playlist to cancel').setRequired(true).setAutocomplete(true))
     ),
 
   async autocomplete(interaction) {
@@ -54,18 +119,29 @@ export default {
     const userId = interaction.user.id;
 
     if (focused.name === 'playlist') {
-      const playlists = getAllPlaylistNames(userId);
+      const playlists = getAllPlaylistNames(userId, interaction.guildId);
       const filtered = playlists.filter(p => p.name.toLowerCase().includes(focused.value.toLowerCase())).slice(0, 25);
       try {
         await interaction.respond(filtered);
       } catch { /* expired */ }
     } else if (focused.name === 'song') {
       const playlistId = interaction.options.getString('playlist');
-      const songs = getPlaylistSongNames(userId, playlistId);
+      const songs = getPlaylistSongNames(userId, playlistId, interaction.guildId);
       const filtered = songs.filter(s => s.name.toLowerCase().includes(focused.value.toLowerCase())).slice(0, 25);
       try {
         await interaction.respond(filtered);
       } catch { /* expired */ }
+    } else if (focused.name === 'schedule') {
+      const choices = getUserSchedules(userId)
+        .map(s => ({
+          name: `${s.playlistName || 'Deleted playlist'} — ${formatStart(s.startAt)}${s.repeatWeekly ? ' (weekly)' : ''}`.slice(0, 100),
+          value: s.id
+        }))
+        .filter(c => c.name.toLowerCase().includes(focused.value.toLowerCase()))
+        .slice(0, 25);
+      try {
+        await interaction.respond(choices);
+      } catch { /* expired */ }
     }
   },
 
@@ -85,11 +161,14 @@ export default {
 
     if (sub === 'delete') {
       const playlistId = interaction.options.getString('playlist');
-      const pl = getPlaylist(userId, playlistId);
+      const pl = getPlaylist(userId, playlistId, interaction.guildId);
       if (!pl) {
         return interaction.reply({ content: '❌ Playlist not found.', flags: MessageFlags.Ephemeral });
       }
-      deletePlaylist(userId, playlistId);
+      const result = deletePlaylist(userId, playlistId);
+      if (!result.success) {
+        return interaction.reply({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
+      }
       return interaction.reply({ content: `🗑️ Playlist **${pl.name}** deleted.`, flags: MessageFlags.Ephemeral });
     }
 
@@ -105,10 +184,15 @@ export default {
         return interaction.reply({ content: '❌ Invalid or unsupported URL.', flags: MessageFlags.Ephemeral });
       }
 
-      const pl = getPlaylist(userId, playlistId);
+      const pl = getPlaylist(userId, playlistId, interaction.guildId);
       if (!pl) {
         return interaction.reply({ content: '❌ Playlist not found.', flags: MessageFlags.Ephemeral });
       }
+      // Before the lookup: no point asking YouTube about a song that cannot be added
+      if (pl.access === 'read') {
+        return interaction.reply({ content: '❌ This playlist is read-only.', flags: MessageFlags.Ephemeral });
+      }
+      const addedBy = interaction.member?.displayName || interaction.user.globalName || interaction.user.username;
 
       let song;
       if (url) {
@@ -136,7 +220,7 @@ export default {
           return interaction.editReply({ content: '❌ Could not read that video — it may be private, unavailable or age-restricted.' });
         }
 
-        const addResult = addSong(userId, playlistId, song);
+        const addResult = addSong(userId, playlistId, song, addedBy, interaction.guildId);
         if (!addResult.success) {
           return interaction.editReply({ content: `❌ ${addResult.error}` });
         }
@@ -149,7 +233,7 @@ export default {
         song = queue.currentSong;
       }
 
-      const result = addSong(userId, playlistId, song);
+      const result = addSong(userId, playlistId, song, addedBy, interaction.guildId);
       if (!result.success) {
         return interaction.reply({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
       }
@@ -159,12 +243,12 @@ export default {
     if (sub === 'remove') {
       const playlistId = interaction.options.getString('playlist');
       const songIndex = parseInt(interaction.options.getString('song'));
-      const pl = getPlaylist(userId, playlistId);
+      const pl = getPlaylist(userId, playlistId, interaction.guildId);
       if (!pl) {
         return interaction.reply({ content: '❌ Playlist not found.', flags: MessageFlags.Ephemeral });
       }
       const songName = pl.songs[songIndex]?.title || 'Unknown';
-      const result = removeSong(userId, playlistId, songIndex);
+      const result = removeSong(userId, playlistId, songIndex, interaction.guildId);
       if (!result.success) {
         return interaction.reply({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
       }
@@ -173,7 +257,7 @@ export default {
 
     if (sub === 'play' || sub === 'shuffle') {
       const playlistId = interaction.options.getString('playlist');
-      const pl = getPlaylist(userId, playlistId);
+      const pl = getPlaylist(userId, playlistId, interaction.guildId);
       if (!pl) {
         return interaction.reply({ content: '❌ Playlist not found.', flags: MessageFlags.Ephemeral });
       }
@@ -202,17 +286,12 @@ export default {
         };
         queue = createQueue(interaction.guildId, guildInfo);
       }
-      // A queue can exist without being in a channel: a restart restores the queue but stays
-      // out of an empty channel (see musicQueue's restoreQueueState).
-      if (!queue.connection) {
-        await queue.join(voiceChannel);
-      }
 
       let songs = pl.songs.map(s => ({
         ...s,
         requestedBy: interaction.member.displayName,
         requestedById: interaction.user.id,
-        source: 'youtube'
+        source: s.source || 'youtube'
       }));
 
       if (sub === 'shuffle') {
@@ -222,7 +301,26 @@ export default {
         }
       }
 
+      // Each song is checked against the queue as it will be with the ones before it added, so
+      // a per-person limit takes the playlist's first few rather than all or none of it
+      const accepted = [];
+      const refused = [];
       for (const song of songs) {
+        const verdict = checkSongGuardrails(song, { songs: [...queue.songs, ...accepted], currentSong: queue.currentSong });
+        if (verdict.ok) accepted.push(song);
+        else refused.push(verdict.message);
+      }
+      if (accepted.length === 0) {
+        return interaction.editReply({ content: `❌ None of **${pl.name}** could be queued: ${refused[0]}` });
+      }
+
+      // A queue can exist without being in a channel: a restart restores the queue but stays
+      // out of an empty channel (see musicQueue's restoreQueueState).
+      if (!queue.connection) {
+        await queue.join(voiceChannel);
+      }
+
+      for (const song of accepted) {
         queue.addSong(song);
       }
 
@@ -238,21 +336,105 @@ export default {
       }
 
       const label = sub === 'shuffle' ? 'Shuffled' : 'Queued';
-      return interaction.editReply({ content: `🎵 ${label} **${pl.name}** (${songs.length} songs)${startNote}` });
+      const refusedNote = refused.length > 0
+        ? `\n⚠️ ${refused.length} song${refused.length === 1 ? '' : 's'} left out: ${refused[0]}`
+        : '';
+      return interaction.editReply({ content: `🎵 ${label} **${pl.name}** (${accepted.length} songs)${refusedNote}${startNote}` });
+    }
+
+    if (sub === 'share' || sub === 'unshare') {
+      const playlistId = interaction.options.getString('playlist');
+      const target = interaction.options.getUser('user');
+      const pl = getPlaylist(userId, playlistId, interaction.guildId);
+      if (!pl) {
+        return interaction.reply({ content: '❌ Playlist not found.', flags: MessageFlags.Ephemeral });
+      }
+      const member = interaction.options.getMember('user');
+      const result = sub === 'share'
+        ? addPlaylistEditor(userId, playlistId, { id: target.id, name: member?.displayName || target.globalName || target.username })
+        : removePlaylistEditor(userId, playlistId, target.id);
+      if (!result.success) {
+        return interaction.reply({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
+      }
+      const content = sub === 'share'
+        ? `✅ <@${target.id}> can now edit **${pl.name}**`
+        : `🗑️ <@${target.id}> can no longer edit **${pl.name}**`;
+      return interaction.reply({ content, flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] } });
+    }
+
+    if (sub === 'visibility') {
+      const playlistId = interaction.options.getString('playlist');
+      const mode = interaction.options.getString('mode');
+      const pl = getPlaylist(userId, playlistId, interaction.guildId);
+      if (!pl) {
+        return interaction.reply({ content: '❌ Playlist not found.', flags: MessageFlags.Ephemeral });
+      }
+      const result = setPlaylistSharing(userId, playlistId, mode, interaction.guildId);
+      if (!result.success) {
+        return interaction.reply({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
+      }
+      const described = { private: 'private', read: 'visible to everyone in this server (read-only)', edit: 'editable by everyone in this server' };
+      return interaction.reply({ content: `✅ **${pl.name}** is now ${described[mode]}`, flags: MessageFlags.Ephemeral });
+    }
+
+    if (sub === 'schedule') {
+      const playlistId = interaction.options.getString('playlist');
+      const channel = interaction.options.getChannel('channel');
+      const start = resolveScheduleStart({
+        hour: interaction.options.getInteger('hour'),
+        minute: interaction.options.getInteger('minute'),
+        day: interaction.options.getInteger('day'),
+        month: interaction.options.getInteger('month')
+      });
+      if (start.error) {
+        return interaction.reply({ content: `❌ ${start.error}`, flags: MessageFlags.Ephemeral });
+      }
+
+      const weekly = interaction.options.getBoolean('weekly') ?? false;
+      const result = addSchedule({
+        userId,
+        createdBy: interaction.member?.displayName || interaction.user.globalName || interaction.user.username,
+        playlistId,
+        guildId: interaction.guildId,
+        voiceChannelId: channel.id,
+        textChannelId: interaction.channelId,
+        startAt: start.startAt,
+        repeatWeekly: weekly
+      });
+      if (!result.success) {
+        return interaction.reply({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
+      }
+      const when = `${formatStart(start.startAt)}${weekly ? ', then every week' : ''}`;
+      return interaction.reply({ content: `⏰ **${result.schedule.playlistName}** will start in <#${channel.id}> on ${when}`, flags: MessageFlags.Ephemeral });
+    }
+
+    if (sub === 'unschedule') {
+      const scheduleId = interaction.options.getString('schedule');
+      if (!cancelSchedule(userId, scheduleId)) {
+        return interaction.reply({ content: '❌ Scheduled playlist not found.', flags: MessageFlags.Ephemeral });
+      }
+      return interaction.reply({ content: '🗑️ Scheduled playlist cancelled.', flags: MessageFlags.Ephemeral });
     }
 
     if (sub === 'list') {
-      const playlists = getPlaylists(userId);
+      const playlists = getPlaylists(userId, interaction.guildId);
       if (playlists.length === 0) {
         return interaction.reply({ content: 'You have no playlists. Create one with `/playlist create`!', flags: MessageFlags.Ephemeral });
       }
-      const list = playlists.map((p, i) => `${i + 1}. **${p.name}** — ${p.songCount} song${p.songCount !== 1 ? 's' : ''}`).join('\n');
-      return interaction.reply({ content: `🎶 **Your Playlists**\n${list}`, flags: MessageFlags.Ephemeral });
+      const shareNote = (p) => p.access === 'owner'
+        ? (p.sharing !== 'private' ? ` · shared (${p.sharing === 'edit' ? 'anyone can edit' : 'read-only'})` : '')
+        : ` · by ${p.createdBy}${p.access === 'read' ? ', read-only' : ''}`;
+      const list = playlists.map((p, i) => `${i + 1}. **${p.name}** — ${p.songCount} song${p.songCount !== 1 ? 's' : ''}${shareNote(p)}`).join('\n');
+      const schedules = getUserSchedules(userId);
+      const scheduled = schedules.length === 0 ? '' : '\n\n⏰ **Scheduled**\n' + schedules
+        .map(s => `• **${s.playlistName || 'Deleted playlist'}** in <#${s.voiceChannelId}> — ${formatStart(s.startAt)}${s.repeatWeekly ? ' (weekly)' : ''}`)
+        .join('\n');
+      return interaction.reply({ content: `🎶 **Your Playlists**\n${list}${scheduled}`, flags: MessageFlags.Ephemeral });
     }
 
     if (sub === 'view') {
       const playlistId = interaction.options.getString('playlist');
-      const pl = getPlaylist(userId, playlistId);
+      const pl = getPlaylist(userId, playlistId, interaction.guildId);
       if (!pl) {
         return interaction.reply({ content: '❌ Playlist not found.', flags: MessageFlags.Ephemeral });
       }
@@ -1,71 +1,279 @@
 import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
-import { getQueue } from '../utils/musicQueue.js';
+import { getQueue, createQueue, restoreQueueSnapshot, undoQueueChange } from '../utils/musicQueue.js';
+import { listQueueSnapshots, getQueueSnapshot, saveQueueSnapshot, deleteQueueSnapshot, snapshotSongs } from '../utils/queueSnapshots.js';
+import { createPlaylist, addSongs } from '../utils/playlists.js';
+import { logCommandAction } from '../utils/activityLogger.js';
+import { memberIsDJ } from '../utils/guilds.js';
+
+function hasDJRole(interaction) {
+  return memberIsDJ(interaction.member);
+}
+
+function formatLength(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return h > 0 ? `${h}h ${m}m` : `${m}m`;
+}
+
+// "Friday night — 23 songs, 1h 32m, saved by Alice on 14 Oct"
+function snapshotLine(s) {
+  const date = new Date(s.savedAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+  return `**${s.name}** — ${s.songCount} song${s.songCount === 1 ? '' : 's'}, ${formatLength(s.duration)}, saved by ${s.savedBy || 'someone'} on ${date}`;
+}
 
 export default {
   data: new SlashCommandBuilder()
     .setName('queue')
-    .setDescription('Show the current music queue'),
+    .setDescription('Show, save and restore the music queue')
+    .addSubcommand(sub =>
+      sub.setName('show')
+        .setDescription('Show the current music queue'))
+    .addSubcommand(sub =>
+      sub.setName('undo')
+        .setDescription('Take back the last clear, shuffle, removal, move or stop'))
+    .addSubcommand(sub =>
+      sub.setName('save')
+        .setDescription('Save the queue, and where the current song is, under a name')
+        .addStringOption(opt =>
+          opt.setName('name')
+            .setDescription('What to call it')
+            .setRequired(true)
+            .setMaxLength(50)))
+    .addSubcommand(sub =>
+      sub.setName('snapshots')
+        .setDescription('List the saved queues'))
+    .addSubcommand(sub =>
+      sub.setName('restore')
+        .setDescription('Add a saved queue to the queue; on an empty one it starts where it was saved')
+        .addStringOption(opt =>
+          opt.setName('snapshot')
+            .setDescription('The saved queue')
+            .setRequired(true)
+            .setAutocomplete(true)))
+    .addSubcommand(sub =>
+      sub.setName('playlist')
+        .setDescription('Turn a saved queue into one of your playlists')
+        .addStringOption(opt =>
+          opt.setName('snapshot')
+            .setDescription('The saved queue')
+            .setRequired(true)
+            .setAutocomplete(true)))
+    .addSubcommand(sub =>
+      sub.setName('delete')
+        .setDescription('Delete a saved queue (yours, or any with the DJ role)')
+        .addStringOption(opt =>
+          opt.setName('snapshot')
+            .setDescription('The saved queue')
+            .setRequired(true)
+            .setAutocomplete(true))),
+
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused().toLowerCase();
+    const choices = listQueueSnapshots(interaction.guildId)
+      .filter(s => s.name.toLowerCase().includes(focused))
+      .map(s => ({ name: `${s.name} (${s.songCount} songs)`.slice(0, 100), value: s.id }))
+      .slice(0, 25);
+    try {
+      await interaction.respond(choices);
+    } catch { /* expired */ }
+  },
 
   async execute(interaction) {
-    const queue = getQueue(interaction.guildId);
+    const sub = interaction.options.getSubcommand();
+    if (sub === 'undo') return undoChange(interaction);
+    if (sub === 'save') return saveSnapshot(interaction);
+    if (sub === 'snapshots') return listSnapshots(interaction);
+    if (sub === 'restore') return restoreSnapshot(interaction);
+    if (sub === 'playlist') return snapshotToPlaylist(interaction);
+    if (sub === 'delete') return removeSnapshot(interaction);
+    return showQueue(interaction);
+  }
+};
+
+async function showQueue(interaction) {
+  const queue = getQueue(interaction.guildId);
+
+  if (!queue) {
+    return await interaction.reply({
+      content: '❌ There is no music queue!',
+      flags: MessageFlags.Ephemeral
+    });
+  }
 
-    if (!queue) {
-      return await interaction.reply({
-        content: '❌ There is no music queue!',
-        flags: MessageFlags.Ephemeral
-      });
+  const queueData = queue.getQueue();
+  
+  const embed = new EmbedBuilder()
+    .setColor(0x0099FF)
+    .setTitle('🎵 Music Queue')
+    .setTimestamp();
+
+  if (queueData.current) {
+    embed.addFields({
+      name: '🎵 Now Playing',
+      value: `**${queueData.current.title}**\nRequested by: ${queueData.current.requestedBy}`,
+      inline: false
+    });
+  }
+
+  if (queueData.upcoming.length > 0) {
+    const MAX_FIELD_LEN = 1000;
+    let upcomingList = '';
+    let shown = 0;
+
+    for (const song of queueData.upcoming) {
+      const rawTitle = song.title || 'Unknown';
+      const title = rawTitle.length > 60 ? `${rawTitle.slice(0, 60)}…` : rawTitle;
+      const entry = `${shown + 1}. **${title}**\n   Requested by: ${song.requestedBy}`;
+      const candidate = upcomingList ? `${upcomingList}\n\n${entry}` : entry;
+
+      // Always show at least one entry, then stop before exceeding the field limit
+      if (shown > 0 && candidate.length > MAX_FIELD_LEN) break;
+      upcomingList = candidate;
+      shown++;
     }
 
-    const queueData = queue.getQueue();
-    
-    const embed = new EmbedBuilder()
-      .setColor(0x0099FF)
-      .setTitle('🎵 Music Queue')
-      .setTimestamp();
-
-    if (queueData.current) {
-      embed.addFields({
-        name: '🎵 Now Playing',
-        value: `**${queueData.current.title}**\nRequested by: ${queueData.current.requestedBy}`,
-        inline: false
-      });
+    const rest = queueData.upcoming.length - shown;
+    if (rest > 0) {
+      upcomingList += `\n…and ${rest} more`;
     }
 
-    if (queueData.upcoming.length > 0) {
-      const MAX_FIELD_LEN = 1000;
-      let upcomingList = '';
-      let shown = 0;
-
-      for (const song of queueData.upcoming) {
-        const rawTitle = song.title || 'Unknown';
-        const title = rawTitle.length > 60 ? `${rawTitle.slice(0, 60)}…` : rawTitle;
-        const entry = `${shown + 1}. **${title}**\n   Requested by: ${song.requestedBy}`;
-        const candidate = upcomingList ? `${upcomingList}\n\n${entry}` : entry;
-
-        // Always show at least one entry, then stop before exceeding the field limit
-        if (shown > 0 && candidate.length > MAX_FIELD_LEN) break;
-        upcomingList = candidate;
-        shown++;
-      }
-
-      const rest = queueData.upcoming.length - shown;
-      if (rest > 0) {
-        upcomingList += `\n…and ${rest} more`;
-      }
-
-      embed.addFields({
-        name: `📋 Up Next (${queueData.upcoming.length} song${queueData.upcoming.length > 1 ? 's' : ''})`,
-        value: upcomingList,
-        inline: false
-      });
-    } else {
-      embed.addFields({
-        name: '📋 Up Next',
-        value: 'Queue is empty',
-        inline: false
-      });
+    embed.addFields({
+      name: `📋 Up Next (${queueData.upcoming.length} song${queueData.upcoming.length > 1 ? 's' : ''})`,
+      value: upcomingList,
+      inline: false
+    });
+  } else {
+    embed.addFields({
+      name: '📋 Up Next',
+      value: 'Queue is empty',
+      inline: false
+    });
+  }
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+async function undoChange(interaction) {
+  await interaction.deferReply();
+  // Only needed when the last change was a stop, which left no queue and no channel behind:
+  // the music comes back to whichever channel the person undoing it is in
+  const reconnect = async () => {
+    const voiceChannel = interaction.member.voice.channel;
+    if (!voiceChannel) return { error: 'Join a voice channel to undo the stop.' };
+    const permissions = voiceChannel.permissionsFor(interaction.client.user);
+    if (!permissions.has('Connect') || !permissions.has('Speak')) {
+      return { error: 'I need permissions to join and speak in your voice channel!' };
     }
+    const queue = createQueue(interaction.guildId, {
+      name: interaction.guild.name,
+      icon: interaction.guild.iconURL({ size: 128 })
+    });
+    if (!queue.connection) await queue.join(voiceChannel);
+    return { queue };
+  };
+
+  const result = await undoQueueChange(interaction.guildId, { by: interaction.member.displayName, reconnect });
+  if (!result.ok) return interaction.editReply({ content: `❌ ${result.message}` });
+  logCommandAction(interaction.user, 'queue undo');
+  return interaction.editReply({ content: `↩️ ${result.message}` });
+}
 
-    await interaction.reply({ embeds: [embed] });
+async function saveSnapshot(interaction) {
+  const snapshot = getQueue(interaction.guildId)?.snapshot();
+  if (!snapshot) {
+    return interaction.reply({ content: '❌ There is nothing in the queue to save.', flags: MessageFlags.Ephemeral });
   }
-};
+  const result = saveQueueSnapshot(interaction.guildId, interaction.options.getString('name'), snapshot, {
+    userId: interaction.user.id,
+    displayName: interaction.member.displayName,
+    isDJ: hasDJRole(interaction)
+  });
+  if (!result.success) {
+    return interaction.reply({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
+  }
+  logCommandAction(interaction.user, 'queue save', result.snapshot.name);
+  const count = snapshotSongs(result.snapshot).length;
+  return interaction.reply({
+    content: `💾 ${result.replaced ? 'Updated' : 'Saved'} **${result.snapshot.name}** (${count} song${count === 1 ? '' : 's'}). Bring it back with \`/queue restore\`.`
+  });
+}
+
+async function listSnapshots(interaction) {
+  const snapshots = listQueueSnapshots(interaction.guildId);
+  if (snapshots.length === 0) {
+    return interaction.reply({ content: 'No saved queues yet. Save one with `/queue save`.', flags: MessageFlags.Ephemeral });
+  }
+  const embed = new EmbedBuilder()
+    .setColor(0x0099FF)
+    .setTitle('💾 Saved Queues')
+    .setDescription(snapshots.map(snapshotLine).join('\n').slice(0, 4000));
+  return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+}
+
+async function restoreSnapshot(interaction) {
+  const saved = getQueueSnapshot(interaction.guildId, interaction.options.getString('snapshot'));
+  if (!saved) {
+    return interaction.reply({ content: '❌ Snapshot not found.', flags: MessageFlags.Ephemeral });
+  }
+  const voiceChannel = interaction.member.voice.channel;
+  if (!voiceChannel) {
+    return interaction.reply({ content: '❌ You need to be in a voice channel!', flags: MessageFlags.Ephemeral });
+  }
+  const permissions = voiceChannel.permissionsFor(interaction.client.user);
+  if (!permissions.has('Connect') || !permissions.has('Speak')) {
+    return interaction.reply({ content: '❌ I need permissions to join and speak in your voice channel!', flags: MessageFlags.Ephemeral });
+  }
+
+  await interaction.deferReply();
+  const queue = createQueue(interaction.guildId, {
+    name: interaction.guild.name,
+    icon: interaction.guild.iconURL({ size: 128 })
+  });
+  // A queue can exist without being in a channel: a restart restores the queue but stays out
+  // of an empty channel (see musicQueue's restoreQueueState).
+  if (!queue.connection) {
+    await queue.join(voiceChannel);
+  }
+
+  const result = await restoreQueueSnapshot(queue, saved);
+  if (result.queued === 0) {
+    return interaction.editReply({ content: `❌ None of **${saved.name}** could be queued: ${result.refused[0] || 'it is empty.'}` });
+  }
+  logCommandAction(interaction.user, 'queue restore', `${saved.name} (${result.queued} songs)`);
+
+  const notes = [];
+  if (result.resumedAt > 0) notes.push(`Picked up ${formatLength(result.resumedAt)} into **${result.outcome.song.title}**.`);
+  if (result.outcome?.reason === 'failed') notes.push(`⚠️ Couldn't start **${result.outcome.song?.title ?? 'the first song'}** — ${result.outcome.detail}. Skipped it.`);
+  if (result.refused.length > 0) notes.push(`⚠️ ${result.refused.length} song${result.refused.length === 1 ? '' : 's'} left out: ${result.refused[0]}`);
+  return interaction.editReply({
+    content: [`💾 Restored **${saved.name}** (${result.queued} song${result.queued === 1 ? '' : 's'})`, ...notes].join('\n')
+  });
+}
+
+async function snapshotToPlaylist(interaction) {
+  const saved = getQueueSnapshot(interaction.guildId, interaction.options.getString('snapshot'));
+  if (!saved) {
+    return interaction.reply({ content: '❌ Snapshot not found.', flags: MessageFlags.Ephemeral });
+  }
+  const name = interaction.member.displayName;
+  const created = createPlaylist(interaction.user.id, saved.name, name);
+  if (!created.success) {
+    return interaction.reply({ content: `❌ ${created.error}`, flags: MessageFlags.Ephemeral });
+  }
+  const added = addSongs(interaction.user.id, created.playlistId, snapshotSongs(saved), name);
+  return interaction.reply({
+    content: `📋 Created playlist **${saved.name}** with ${added.added || 0} songs. Play it with \`/playlist play\`.`,
+    flags: MessageFlags.Ephemeral
+  });
+}
+
+async function removeSnapshot(interaction) {
+  const result = deleteQueueSnapshot(interaction.guildId, interaction.options.getString('snapshot'), {
+    userId: interaction.user.id,
+    isDJ: hasDJRole(interaction)
+  });
+  if (!result.success) {
+    return interaction.reply({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
+  }
+  return interaction.reply({ content: `🗑️ Deleted **${result.snapshot.name}**.`, flags: MessageFlags.Ephemeral });
+}
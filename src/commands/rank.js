@@ -15,14 +15,14 @@ export default {
   async execute(interaction) {
     const targetUser = interaction.options.getUser('user') || interaction.user;
     const member = interaction.guild?.members.cache.get(targetUser.id) || await interaction.guild?.members.fetch(targetUser.id).catch(() => null);
-    const userData = getUserLevel(targetUser.id);
+    const userData = getUserLevel(interaction.guildId, targetUser.id);
 
     if (!userData) {
       return interaction.reply({ content: `${targetUser.id === interaction.user.id ? 'You have' : `${targetUser.username} has`} no XP yet. Start chatting or join a voice channel!`, ephemeral: true });
     }
 
-    const progress = xpProgressInLevel(targetUser.id);
-    const rank = getUserRank(targetUser.id);
+    const progress = xpProgressInLevel(interaction.guildId, targetUser.id);
+    const rank = getUserRank(interaction.guildId, targetUser.id);
     const progressPercent = Math.floor((progress.currentXp / progress.requiredXp) * 100);
     const filledBlocks = Math.round(progressPercent / 5);
     const progressBar = '█'.repeat(filledBlocks) + '░'.repeat(20 - filledBlocks);
@@ -1,10 +1,9 @@
 import { SlashCommandBuilder, ChannelType, MessageFlags } from 'discord.js';
 import { generateCurrentRecap, getLatestRecap, setRecapChannel, setRecapSchedule, buildDiscordEmbed, getRecapSettings } from '../utils/weeklyRecap.js';
-
-const DJ_ROLE_ID = process.env.DJ_ROLE_ID || '1467139293586653339';
+import { memberIsDJ } from '../utils/guilds.js';
 
 function hasDJRole(interaction) {
-  return interaction.member?.roles?.cache?.has(DJ_ROLE_ID);
+  return memberIsDJ(interaction.member);
 }
 
 export default {
@@ -45,7 +44,7 @@ export default {
     const sub = interaction.options.getSubcommand();
 
     if (sub === 'view') {
-      const recap = getLatestRecap();
+      const recap = getLatestRecap(interaction.guildId);
       if (!recap) {
         return interaction.reply({ content: 'No recaps generated yet. Try `/recap generate` to create one.', flags: MessageFlags.Ephemeral });
       }
@@ -55,7 +54,7 @@ export default {
 
     else if (sub === 'generate') {
       await interaction.deferReply();
-      const recap = generateCurrentRecap();
+      const recap = generateCurrentRecap(interaction.guildId);
       const embed = buildDiscordEmbed(recap);
       await interaction.editReply({ content: '📊 **Current week recap (so far):**', embeds: [embed] });
     }
@@ -65,7 +64,7 @@ export default {
         return interaction.reply({ content: 'You need the DJ role to set the recap channel.', flags: MessageFlags.Ephemeral });
       }
       const channel = interaction.options.getChannel('channel');
-      setRecapChannel(channel.id);
+      setRecapChannel(interaction.guildId, channel.id);
       await interaction.reply(`Weekly recaps will be posted to ${channel}.`);
     }
 
@@ -75,7 +74,7 @@ export default {
       }
       const day = interaction.options.getInteger('day');
       const hour = interaction.options.getInteger('hour');
-      const result = setRecapSchedule(day, hour);
+      const result = setRecapSchedule(interaction.guildId, day, hour);
       if (result.success) {
         await interaction.reply(`Weekly recaps scheduled for **${result.day}** at **${result.hour}:00**.`);
       } else {
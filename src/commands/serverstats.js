@@ -7,7 +7,7 @@ export default {
     .setDescription('Show all-time server message and voice channel statistics'),
 
   async execute(interaction) {
-    const { messages, voice, totalMessages, totalVoiceMinutes } = getDiscordTotals();
+    const { messages, voice, totalMessages, totalVoiceMinutes } = getDiscordTotals(interaction.guildId);
 
     const totalHours = Math.floor(totalVoiceMinutes / 60);
     const totalMins = totalVoiceMinutes % 60;
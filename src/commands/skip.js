@@ -1,11 +1,22 @@
 import { SlashCommandBuilder, MessageFlags } from 'discord.js';
 import { getQueue } from '../utils/musicQueue.js';
 import { logCommandAction } from '../utils/activityLogger.js';
+import { memberIsDJ } from '../utils/guilds.js';
+
+function hasDJRole(interaction) {
+  return memberIsDJ(interaction.member);
+}
 
 export default {
   data: new SlashCommandBuilder()
     .setName('skip')
-    .setDescription('Skip the currently playing song'),
+    .setDescription('Skip the currently playing song (or vote to, when vote skip is on)')
+    .addBooleanOption(option =>
+      option
+        .setName('chapter')
+        .setDescription('Skip to the next chapter of a long video instead of the whole song')
+        .setRequired(false)
+    ),
 
   async execute(interaction) {
     const queue = getQueue(interaction.guildId);
@@ -17,12 +28,43 @@ export default {
       });
     }
 
+    // The next chapter is a seek inside the song, not the end of it: no vote, and a song with
+    // no chapter after this one is skipped the ordinary way
+    if (interaction.options.getBoolean('chapter')) {
+      const jumped = await queue.skipChapter();
+      if (jumped.ok) {
+        logCommandAction(interaction.user, 'skipchapter', `${queue.currentSong.title} → ${jumped.chapter.title}`);
+        return await interaction.reply(`⏭️ Next chapter: **${jumped.chapter.title}**`);
+      }
+    }
+
     const skippedSong = queue.currentSong;
-    queue.skip();
-    
+    const outcome = await queue.requestSkip({
+      userId: interaction.user.id,
+      displayName: interaction.member?.displayName || interaction.user.username,
+      isDJ: !!hasDJRole(interaction)
+    });
+
+    if (outcome.reason === 'voted') {
+      logCommandAction(interaction.user, 'voteskip', `${skippedSong.title} (${outcome.votes}/${outcome.needed})`);
+      return await interaction.reply(`🗳️ Vote to skip **${skippedSong.title}**: ${outcome.votes}/${outcome.needed}`);
+    }
+
+    if (!outcome.skipped) {
+      const excuses = {
+        'not-listening': '❌ Only people in the voice channel can vote to skip!',
+        'song-changed': '❌ That song already ended!'
+      };
+      return await interaction.reply({
+        content: excuses[outcome.reason] || '❌ Nothing is currently playing!',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
     // Log the action
     logCommandAction(interaction.user, 'skip', skippedSong.title);
-    
-    await interaction.reply(`⏭️ Skipped: **${skippedSong.title}**`);
+
+    const byVote = outcome.reason === 'votes' ? ` (vote passed, ${outcome.votes}/${outcome.needed})` : '';
+    await interaction.reply(`⏭️ Skipped: **${skippedSong.title}**${byVote}`);
   }
 };
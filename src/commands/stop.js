@@ -17,7 +17,8 @@ export default {
       });
     }
 
-    queue.stop();
+    // Named, so /queue undo can say whose stop it took back
+    queue.stop({ by: interaction.member.displayName });
     queue.leave();
     
     // Log the action
@@ -1,10 +1,9 @@
 import { SlashCommandBuilder, ChannelType, MessageFlags } from 'discord.js';
 import { addStreamer, removeStreamer, subscribeUser, unsubscribeUser, setNotificationChannel, getTrackerData } from '../utils/twitchTracker.js';
-
-const DJ_ROLE_ID = process.env.DJ_ROLE_ID || '1467139293586653339';
+import { memberIsDJ } from '../utils/guilds.js';
 
 function hasDJRole(interaction) {
-  return interaction.member?.roles?.cache?.has(DJ_ROLE_ID);
+  return memberIsDJ(interaction.member);
 }
 
 export default {
@@ -3,6 +3,7 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readdirSync } from 'fs';
+import { configuredGuildIds } from './utils/guilds.js';
 
 dotenv.config();
 
@@ -32,13 +33,16 @@ const rest = new REST().setToken(process.env.DISCORD_TOKEN);
   try {
     console.log(`Started refreshing ${commands.length} application (/) commands.`);
 
-    // Deploy to specific guild for instant updates (if GUILD_ID is set)
+    // Deploy to each configured guild for instant updates (if GUILD_ID is set): the primary
+    // guild, plus any in GUILD_IDS or set up on the admin page
     if (process.env.GUILD_ID) {
-      const data = await rest.put(
-        Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID),
-        { body: commands },
-      );
-      console.log(`✅ Successfully reloaded ${data.length} guild commands.`);
+      for (const guildId of configuredGuildIds()) {
+        const data = await rest.put(
+          Routes.applicationGuildCommands(process.env.CLIENT_ID, guildId),
+          { body: commands },
+        );
+        console.log(`✅ Successfully reloaded ${data.length} guild commands in ${guildId}.`);
+      }
     } else {
       // Deploy globally (takes up to 1 hour to update)
       const data = await rest.put(
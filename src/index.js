@@ -1,7 +1,7 @@
 // Must be the first import: loads .env before any other import's subtree
 // evaluates (see src/loadEnv.js).
 import './loadEnv.js';
-import { Client, Events, GatewayIntentBits, Partials, Collection, MessageFlags, ActivityType, Options, EmbedBuilder } from 'discord.js';
+import { Client, Events, GatewayIntentBits, Partials, Collection, MessageFlags, ActivityType, Options, EmbedBuilder, PermissionFlagsBits } from 'discord.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -12,8 +12,8 @@ const __dirname = dirname(__filename);
 import { readdirSync, appendFileSync } from 'fs';
 import { loadJsonSync, saveJsonSync } from './utils/jsonStore.js';
 import { chatWithAI, getChatConfig } from './utils/openrouter.js';
-import { startWebServer, updateState, updatePosition, getWebClientCount, setCommandHandler, setAddSongHandler, setBotInfo, setActivityLogger, setMemberFetcher, setDiscordClient as setWebDiscordClient, broadcastListeners } from './web/server.js';
-import { getQueue, createQueue, setWebUpdateCallback, setWebPositionCallback, setWebClientCountCallback, setActivityLoggerCallback, setDiscordClient as setMusicQueueClient, is24_7Enabled, setPresenceCallback, triggerStateBroadcast, flushStats, flushQueueState, restoreQueueState } from './utils/musicQueue.js';
+import { startWebServer, updateState, updatePosition, getWebClientCount, runPanelCommand, setCommandHandler, setAddSongHandler, setRestoreSnapshotHandler, setBotInfo, setActivityLogger, setMemberFetcher, setDiscordClient as setWebDiscordClient, broadcastListeners, broadcastToGuild, queuePlaylistSongs } from './web/server.js';
+import { getQueue, createQueue, setWebUpdateCallback, setWebPositionCallback, setWebClientCountCallback, setActivityLoggerCallback, setDiscordClient as setMusicQueueClient, is24_7Enabled, setPresenceCallback, triggerStateBroadcast, flushStats, flushQueueState, restoreQueueState, checkSongGuardrails, restoreQueueSnapshot, undoQueueChange, setQueueNoticeCallback, setDashboardGuildsCallback } from './utils/musicQueue.js';
 import { setDiscordClient as setActivityLoggerClient, logCommandAction, logWebAction, logNowPlaying, resetLastLoggedSong } from './utils/activityLogger.js';
 import { initTracker } from './utils/osrsTracker.js';
 import { initTwitchTracker } from './utils/twitchTracker.js';
@@ -22,17 +22,26 @@ import { initDiscordTracker, stopDiscordTracker } from './utils/discordTracker.j
 import { initLevelSystem, stopLevelSystem } from './utils/levelSystem.js';
 import { initBirthdayTracker } from './utils/birthdayTracker.js';
 import { initReminderTracker } from './utils/reminderTracker.js';
+import { initPlaylistScheduler } from './utils/playlistScheduler.js';
+import { initLocalLibrary } from './utils/localLibrary.js';
 import { getAntiOfflineState } from './commands/antioffline.js';
 import { updateLastSeen, flushLastSeen } from './utils/lastSeenTracker.js';
 import { initTeamspeakStatus } from './utils/teamspeakStatus.js';
 import { initVoiceAssistant, stopVoiceAssistant } from './utils/voiceAssistant.js';
+import { initPlayerPanel, updatePlayerPanel, isPlayerPanelInteraction, handlePlayerPanelInteraction } from './utils/playerPanel.js';
+import { primaryGuildId, configuredGuildIds, getGuildSettings } from './utils/guilds.js';
+import { extractMediaUrls, messageLinkText, queueLinks, describeQueuedLinks } from './utils/linkQueue.js';
 
-// Store the last used voice channel for web dashboard
-let lastVoiceChannel = null;
+// The voice channel the bot is in (or was last in) per guild, for the web dashboard, and the
+// guild it joined last - what a caller that names no guild means
+const botVoiceChannels = new Map();
 let lastGuildId = null;
 
-// Where anti-offline kick notifications get posted
-const GENERAL_CHANNEL_ID = process.env.GENERAL_CHANNEL_ID || '1419789649873735680';
+// A guild's general channel: where anti-offline kick notifications get posted
+function generalChannelOf(guild) {
+  const { generalChannelId } = getGuildSettings(guild.id);
+  return generalChannelId ? guild.channels.cache.get(generalChannelId) : null;
+}
 
 const client = new Client({
   intents: [
@@ -42,8 +51,10 @@ const client = new Client({
     GatewayIntentBits.GuildVoiceStates,
     GatewayIntentBits.GuildMembers,
     GatewayIntentBits.GuildPresences,
+    GatewayIntentBits.GuildMessageReactions,
   ],
-  partials: [Partials.Message],
+  // Reaction and User so a queue reaction on a message from before the last restart still arrives
+  partials: [Partials.Message, Partials.Reaction, Partials.User],
   makeCache: Options.cacheWithLimits({
     MessageManager: 1000,
   }),
@@ -69,9 +80,15 @@ for (const file of commandFiles) {
 
 // Setup web dashboard callbacks. The full state on every real change, the bare position on the
 // once-a-second tick, and a way to ask whether anybody is connected at all before doing either.
-setWebUpdateCallback(updateState);
+// The Discord player panel is drawn from the same full state, so it changes when the dashboard does.
+setWebUpdateCallback((state) => {
+  updateState(state);
+  updatePlayerPanel(state);
+});
 setWebPositionCallback(updatePosition);
 setWebClientCountCallback(getWebClientCount);
+// Every guild's dashboard is sent a state, including the guilds with nothing playing
+setDashboardGuildsCallback(configuredGuildIds);
 
 // Setup activity logger callbacks
 setActivityLoggerCallback(logNowPlaying, resetLastLoggedSong);
@@ -82,10 +99,23 @@ setActivityLoggerCallback(logNowPlaying, resetLastLoggedSong);
 // pause and resume answer with `{ ok, message }` because they are the two controls whose
 // success is not observable from the state broadcast that follows: the engine only pauses a
 // player that is exactly Playing, and a no-op produces no transition and so no broadcast at
-// all - the caller has to be told, or the button just looks broken. Every other command keeps
-// its silent no-op.
-function handleMusicCommand(command, guildId) {
+// all - the caller has to be told, or the button just looks broken. previous answers for the
+// same reason when there is no song to go back to. Every other command keeps its silent no-op.
+//
+// skip answers too, but with a promise of one: with vote skip on it may only have counted a
+// vote, which means reading who is in the channel first.
+//
+// @param actor - { userId, displayName, isDJ } of whoever asked, where there is one. Skip
+//   counts it as a vote; the queue changes put its name on their undo entry.
+function handleMusicCommand(command, guildId, actor = null) {
   const queueGuildId = guildId || lastGuildId;
+  const by = actor?.displayName || null;
+  // Before the no-queue check: the change most worth undoing is a stop, which leaves none
+  if (command === 'undo') {
+    return undoQueueChange(queueGuildId, { by, reconnect: () => connectQueue(queueGuildId) })
+      // Everyone hears about a successful undo through the queue notice, its author included
+      .then(result => (result.ok ? { ok: true } : result));
+  }
   const queue = getQueue(queueGuildId);
   if (!queue) {
     if (command === 'pause' || command === 'resume') {
@@ -115,11 +145,23 @@ function handleMusicCommand(command, guildId) {
     };
     return { ok: false, message: excuses[result.reason] || 'Could not resume the music right now.' };
   } else if (command === 'skip') {
-    queue.skip();
+    return queue.requestSkip(actor || {}).then(describeSkip);
+  } else if (command === 'next-chapter') {
+    // A seek inside the song, so it answers only when there was nowhere to go
+    return queue.skipChapter().then(result => {
+      if (result.ok) return { ok: true };
+      const excuses = {
+        'no-chapters': 'This song has no chapters.',
+        'last-chapter': 'This is the last chapter.',
+        'nothing-playing': 'Nothing is currently playing.'
+      };
+      return { ok: false, message: excuses[result.reason] || 'Could not skip to the next chapter.' };
+    });
   } else if (command === 'previous') {
-    queue.playPrevious();
+    if (queue.playPrevious()) return { ok: true };
+    return { ok: false, message: queue.connection ? 'There is no previous song.' : 'Play something first, then go back.' };
   } else if (command === 'stop') {
-    queue.stop();
+    queue.stop({ by });
     queue.leave();
   } else if (command.startsWith('volume:')) {
     const level = parseInt(command.split(':')[1]);
@@ -129,51 +171,70 @@ function handleMusicCommand(command, guildId) {
     if (Number.isFinite(index)) queue.skipTo(index);
   } else if (command.startsWith('remove:')) {
     const index = parseInt(command.split(':')[1]);
-    if (Number.isFinite(index)) queue.removeFromQueue(index);
+    if (Number.isFinite(index)) queue.removeFromQueue(index, { by });
+  } else if (command === 'clear') {
+    queue.clear({ by });
   } else if (command.startsWith('seek:')) {
     const seconds = parseFloat(command.split(':')[1]);
     if (Number.isFinite(seconds)) queue.seek(seconds);
   } else if (command === 'shuffle') {
-    queue.shuffle();
+    queue.shuffle({ by });
   } else if (command.startsWith('reorder:')) {
     const parts = command.split(':');
     const fromIndex = parseInt(parts[1]);
     const toIndex = parseInt(parts[2]);
-    if (Number.isFinite(fromIndex) && Number.isFinite(toIndex)) queue.reorder(fromIndex, toIndex);
+    if (Number.isFinite(fromIndex) && Number.isFinite(toIndex)) queue.reorder(fromIndex, toIndex, { by });
   } else if (command === 'loop') {
     queue.cycleLoopMode();
+  } else if (command.startsWith('loop:')) {
+    queue.setLoopMode(command.split(':')[1]);
   } else if (command === '24/7') {
     queue.toggle24_7();
   } else if (command === 'radio') {
     queue.toggleRadio();
+  } else if (command === 'fairqueue') {
+    queue.toggleFairQueue();
   }
 }
 setCommandHandler(handleMusicCommand);
+setQueueNoticeCallback(notice => broadcastToGuild(notice.guildId, 'queueNotice', notice));
+
+// A requestSkip() outcome as the `{ ok, message }` the dashboard and the voice assistant show.
+// A counted vote is ok - it did what was asked - but it says where the vote stands, and keeps
+// the numbers for callers that word it themselves.
+function describeSkip(outcome) {
+  if (outcome.skipped) return { ok: true };
+  if (outcome.reason === 'voted') {
+    return { ok: true, vote: outcome, message: `Vote counted — ${outcome.votes}/${outcome.needed} votes to skip.` };
+  }
+  const excuses = {
+    'nothing-playing': 'Nothing is currently playing.',
+    'not-listening': 'Only people in the voice channel can vote to skip.',
+    'song-changed': 'That song already ended.'
+  };
+  return { ok: false, message: excuses[outcome.reason] || 'Could not skip right now.' };
+}
 
-// Handle adding songs (web dashboard + voice assistant)
-async function handleAddSong(song, guildId) {
-  console.log('Add song handler called:', { songTitle: song.title, guildId });
-  
-  // Use provided guildId, last known, or fallback to env GUILD_ID
-  const targetGuildId = guildId || lastGuildId || process.env.GUILD_ID;
-  console.log('Target guild ID:', targetGuildId, 'Last guild ID:', lastGuildId);
-  
-  // Check if we have an existing queue with a connection
+// Get `guildId`'s queue into a voice channel for something the dashboard or the voice assistant
+// asked for: the channel it is already in, the last one music was played in, or else the busiest
+// one in the guild. @returns {{ queue } | { error: string }}
+async function connectQueue(targetGuildId) {
   let queue = getQueue(targetGuildId);
   const hasActiveConnection = queue?.connection;
   console.log('Existing queue:', !!queue, 'Has connection:', hasActiveConnection);
+  let voiceChannel = botVoiceChannels.get(targetGuildId) || null;
   
   // If no active connection and no last voice channel, find the most populated voice channel
-  if (!hasActiveConnection && !lastVoiceChannel) {
+  if (!hasActiveConnection && !voiceChannel) {
     if (!targetGuildId) {
       console.log('No guild specified');
-      return { success: false, error: 'No guild specified. Play a song from Discord first.' };
+      return { error: 'No guild specified. Play a song from Discord first.' };
     }
     
     const guild = client.guilds.cache.get(targetGuildId);
     if (!guild) {
       console.log('Guild not found:', targetGuildId);
-      return { success: false, error: 'Guild not found.' };
+      return { error: 'Guild not found.' };
     }
     
     console.log('Finding voice channels in guild:', guild.name);
@@ -190,35 +251,58 @@ async function handleAddSong(song, guildId) {
     console.log('Voice channels with users:', voiceChannels.size);
     
     if (voiceChannels.size === 0) {
-      return { success: false, error: 'No users in any voice channel. Someone needs to be in a voice channel first.' };
+      return { error: 'No users in any voice channel. Someone needs to be in a voice channel first.' };
     }
     
     // Get the most populated channel
-    lastVoiceChannel = voiceChannels.first();
+    voiceChannel = voiceChannels.first();
+    botVoiceChannels.set(targetGuildId, voiceChannel);
     lastGuildId = targetGuildId;
-    console.log('Selected voice channel:', lastVoiceChannel.name);
+    console.log('Selected voice channel:', voiceChannel.name);
   }
   
-  if (!lastGuildId || !lastVoiceChannel) {
-    return { success: false, error: 'No active voice session. Play a song from Discord first.' };
+  if (!targetGuildId || (!voiceChannel && !hasActiveConnection)) {
+    return { error: 'No active voice session. Play a song from Discord first.' };
   }
   
   if (!queue) {
     // Get guild info for the web dashboard
-    const guild = client.guilds.cache.get(lastGuildId);
+    const guild = client.guilds.cache.get(targetGuildId);
     const guildInfo = guild ? {
       name: guild.name,
       icon: guild.iconURL({ size: 128 })
     } : null;
 
-    queue = createQueue(lastGuildId, guildInfo);
+    queue = createQueue(targetGuildId, guildInfo);
   }
   // A queue can exist without being in a channel: a restart restores the queue but stays out
   // of an empty channel (see restoreQueueState). Asking for a song is what puts the bot there.
   if (!queue.connection) {
-    await queue.join(lastVoiceChannel);
+    await queue.join(voiceChannel);
+  }
+  return { queue };
+}
+
+// Handle adding songs (web dashboard + voice assistant)
+async function handleAddSong(song, guildId) {
+  console.log('Add song handler called:', { songTitle: song.title, guildId });
+  
+  // Use provided guildId, last known, or fallback to the primary guild
+  const targetGuildId = guildId || lastGuildId || primaryGuildId();
+  console.log('Target guild ID:', targetGuildId, 'Last guild ID:', lastGuildId);
+
+  // The admin page's limits, before anything else: a refused song should not pull the bot into
+  // a voice channel on its way to being refused. `reason` lets the voice assistant say it in
+  // its own words.
+  const verdict = checkSongGuardrails(song, getQueue(targetGuildId));
+  if (!verdict.ok) {
+    return { success: false, error: verdict.message, reason: verdict.reason };
   }
 
+  const connected = await connectQueue(targetGuildId);
+  if (connected.error) return { success: false, error: connected.error };
+  const { queue } = connected;
+
   queue.addSong(song);
 
   if (!queue.isPlaying) {
@@ -239,8 +323,28 @@ async function handleAddSong(song, guildId) {
 }
 setAddSongHandler(handleAddSong);
 
-// Track voice channel usage
-let emptyChannelTimeout = null;
+// Put a saved queue snapshot back (dashboard), joining a channel the same way an added song does
+async function handleRestoreSnapshot(saved, guildId) {
+  const targetGuildId = guildId || lastGuildId || primaryGuildId();
+  const connected = await connectQueue(targetGuildId);
+  if (connected.error) return { success: false, error: connected.error };
+  const result = await restoreQueueSnapshot(connected.queue, saved);
+  if (result.queued === 0) {
+    return { success: false, error: result.refused[0] || 'That snapshot has nothing left to play.' };
+  }
+  return { success: true, ...result };
+}
+setRestoreSnapshotHandler(handleRestoreSnapshot);
+
+// Track voice channel usage - guildId -> the pending leave for that guild's empty channel
+const emptyChannelTimeouts = new Map();
+
+function cancelEmptyChannelLeave(guildId) {
+  const timeout = emptyChannelTimeouts.get(guildId);
+  if (timeout) clearTimeout(timeout);
+  emptyChannelTimeouts.delete(guildId);
+  return !!timeout;
+}
 
 client.on(Events.VoiceStateUpdate, async (oldState, newState) => {
   // Track last seen when a user joins or changes voice channels
@@ -256,7 +360,7 @@ client.on(Events.VoiceStateUpdate, async (oldState, newState) => {
       if (!presence || presence.status === 'offline') {
         try {
           await newState.disconnect();
-          const generalChannel = newState.guild.channels.cache.get(GENERAL_CHANNEL_ID);
+          const generalChannel = generalChannelOf(newState.guild);
           if (generalChannel) {
             generalChannel.send(`<@${newState.member.id}> is gekickt uit het voice kanaal — anti-offline modus staat aan, aangezet door ${antiOffline.enabledBy || '<@183235848794406914>'}.`).catch(console.error);
           }
@@ -267,14 +371,17 @@ client.on(Events.VoiceStateUpdate, async (oldState, newState) => {
     }
   }
 
+  // Everything below is about the bot's channel in the guild this update happened in
+  const guildId = newState.guild.id;
+
   // Track when bot joins or is moved to a voice channel
   if (newState.member?.id === client.user?.id && newState.channel) {
     const wasMoved = oldState.channel && oldState.channelId !== newState.channelId;
-    lastVoiceChannel = newState.channel;
-    lastGuildId = newState.guild.id;
+    botVoiceChannels.set(guildId, newState.channel);
+    lastGuildId = guildId;
 
     // Update the queue's voice channel reference when bot is moved
-    const queue = getQueue(lastGuildId);
+    const queue = getQueue(guildId);
     if (queue) {
       queue.voiceChannel = newState.channel;
       queue.voiceChannelName = newState.channel.name;
@@ -282,29 +389,23 @@ client.on(Events.VoiceStateUpdate, async (oldState, newState) => {
       if (wasMoved) {
         console.log(`Bot moved to channel: ${newState.channel.name}`);
         triggerStateBroadcast();
-        broadcastListeners();
+        broadcastListeners(guildId);
       }
     }
 
     // Clear any pending leave timeout when bot joins/moves
-    if (emptyChannelTimeout) {
-      clearTimeout(emptyChannelTimeout);
-      emptyChannelTimeout = null;
-    }
+    cancelEmptyChannelLeave(guildId);
   }
 
   // Track when bot leaves/is disconnected from a voice channel
   if (oldState.member?.id === client.user?.id && !newState.channel) {
-    lastVoiceChannel = null;
-    lastGuildId = null;
-    if (emptyChannelTimeout) {
-      clearTimeout(emptyChannelTimeout);
-      emptyChannelTimeout = null;
-    }
+    botVoiceChannels.delete(guildId);
+    if (lastGuildId === guildId) lastGuildId = null;
+    cancelEmptyChannelLeave(guildId);
   }
 
   // Update listeners when someone joins/leaves the bot's voice channel
-  const botVoiceChannel = lastVoiceChannel;
+  const botVoiceChannel = botVoiceChannels.get(guildId);
   if (botVoiceChannel) {
     const isRelevantChannel =
       oldState.channelId === botVoiceChannel.id ||
@@ -312,7 +413,11 @@ client.on(Events.VoiceStateUpdate, async (oldState, newState) => {
 
     if (isRelevantChannel) {
       // Broadcast updated listeners list
-      broadcastListeners();
+      broadcastListeners(guildId);
+
+      // An open skip vote is a share of whoever is in the channel, so it moves when they do
+      getQueue(guildId)?.recountSkipVotes()
+        .catch(err => console.error('[VoteSkip] Recount failed:', err?.message || err));
 
       // Check if someone left the bot's channel (not the bot itself)
       if (oldState.channelId === botVoiceChannel.id && oldState.member?.id !== client.user?.id) {
@@ -322,41 +427,37 @@ client.on(Events.VoiceStateUpdate, async (oldState, newState) => {
           // Count non-bot members
           const humanMembers = freshChannel.members.filter(m => !m.user.bot).size;
 
-          if (humanMembers === 0 && !is24_7Enabled()) {
+          if (humanMembers === 0 && !is24_7Enabled(guildId)) {
             // Channel is empty (only bot), start leave timeout if not in 24/7 mode
             console.log('Voice channel empty, will leave in 30 seconds if no one joins...');
 
             // Clear any existing timeout
-            if (emptyChannelTimeout) {
-              clearTimeout(emptyChannelTimeout);
-            }
+            cancelEmptyChannelLeave(guildId);
 
-            emptyChannelTimeout = setTimeout(() => {
+            emptyChannelTimeouts.set(guildId, setTimeout(() => {
               // Re-check before leaving
               const recheckChannel = client.channels.cache.get(botVoiceChannel.id);
               const recheckHumans = recheckChannel?.members.filter(m => !m.user.bot).size || 0;
 
-              if (recheckHumans === 0 && !is24_7Enabled()) {
+              if (recheckHumans === 0 && !is24_7Enabled(guildId)) {
                 console.log('Voice channel still empty, leaving...');
-                const queue = getQueue(lastGuildId);
+                const queue = getQueue(guildId);
                 if (queue) {
                   queue.leave();
                 }
-                lastVoiceChannel = null;
-                lastGuildId = null;
+                botVoiceChannels.delete(guildId);
+                if (lastGuildId === guildId) lastGuildId = null;
               }
-              emptyChannelTimeout = null;
-            }, 30000); // 30 seconds
+              emptyChannelTimeouts.delete(guildId);
+            }, 30000)); // 30 seconds
           }
         }
       }
 
       // Cancel leave timeout if someone joins
       if (newState.channelId === botVoiceChannel.id && newState.member?.id !== client.user?.id) {
-        if (emptyChannelTimeout) {
+        if (cancelEmptyChannelLeave(guildId)) {
           console.log('Someone joined, cancelling leave timeout');
-          clearTimeout(emptyChannelTimeout);
-          emptyChannelTimeout = null;
         }
       }
     }
@@ -384,7 +485,7 @@ client.on(Events.PresenceUpdate, async (oldPresence, newPresence) => {
     if (member?.voice?.channel) {
       try {
         await member.voice.disconnect();
-        const generalChannel = newPresence.guild.channels.cache.get(GENERAL_CHANNEL_ID);
+        const generalChannel = generalChannelOf(newPresence.guild);
         if (generalChannel) {
           generalChannel.send(`<@${member.id}> is gekickt uit het voice kanaal — anti-offline modus staat aan, aangezet door ${antiOffline.enabledBy || '<@183235848794406914>'}.`).catch(console.error);
         }
@@ -438,11 +539,11 @@ client.once(Events.ClientReady, readyClient => {
   // Pass logger to web server for web dashboard actions
   setActivityLogger({ logCommandAction, logWebAction, logNowPlaying, resetLastLoggedSong });
 
-  // Set member fetcher for getting fresh nicknames
-  const targetGuildId = process.env.GUILD_ID || '918554414220972032';
-  setMemberFetcher(async (userId) => {
+  // Set member fetcher for getting fresh nicknames and roles, in whichever guild is asked about.
+  // manageGuild is what a guild with no Control Panel role set falls back on (see guilds.js).
+  setMemberFetcher(async (userId, guildId = primaryGuildId()) => {
     try {
-      const guild = readyClient.guilds.cache.get(targetGuildId);
+      const guild = readyClient.guilds.cache.get(guildId);
       if (!guild) return null;
       const member = await guild.members.fetch(userId);
       if (!member) return null;
@@ -450,7 +551,8 @@ client.once(Events.ClientReady, readyClient => {
         nickname: member.nickname,
         globalName: member.user.globalName,
         username: member.user.username,
-        roles: [...member.roles.cache.keys()]
+        roles: [...member.roles.cache.keys()],
+        manageGuild: member.permissions.has(PermissionFlagsBits.ManageGuild)
       };
     } catch (error) {
       return null;
@@ -478,14 +580,26 @@ client.once(Events.ClientReady, readyClient => {
   // Initialize reminder tracker
   initReminderTracker(readyClient);
 
+  // Start scheduled playlists, catching up on any that were due while the bot was down
+  initPlaylistScheduler(readyClient);
+
   // Initialize TeamSpeak 6 status channel
   initTeamspeakStatus(readyClient);
 
+  // Index LOCAL_MUSIC_DIR, if one is set, for /play and the dashboard search
+  initLocalLibrary();
+
   startWebServer();
 
   // Initialize the "Hey Jerry" voice assistant. Last, so the music/web handlers
   // it dispatches through are already wired up.
-  initVoiceAssistant(readyClient, { runMusicCommand: handleMusicCommand, addSong: handleAddSong });
+  initVoiceAssistant(readyClient, { runMusicCommand: handleMusicCommand, addSong: handleAddSong, queuePlaylist: queuePlaylistSongs });
+
+  // Find the player panel again and bring it up to date. Its presses are dashboard commands, so
+  // it goes after the web server too.
+  initPlayerPanel(readyClient, { runPanelCommand })
+    .then(() => triggerStateBroadcast())
+    .catch(err => console.error('[Startup] Restoring the player panel failed:', err?.message || err));
 
   // Put back whatever was playing when this process last went down. After the voice assistant,
   // so the join it may do is picked up by the assistant's own voice-state listener rather than
@@ -731,6 +845,45 @@ client.on(Events.MessageUpdate, async (oldMessage, newMessage) => {
   }
 });
 
+// Reacting to a message with the server's queue emoji (picked on the admin page, off until then)
+// queues the links in it for whoever reacted, like the "Add to queue" message command. Once per
+// message: whoever reacts after that is agreeing with the pick, not asking for it again.
+const reactionQueuedMessages = new Set();
+const REACTION_QUEUED_MEMORY = 500;
+
+client.on(Events.MessageReactionAdd, async (reaction, user) => {
+  if (user.bot) return;
+  const guild = reaction.message.guild;
+  if (!guild) return;
+  // A partial reaction still knows its emoji, so anything else is turned away before a fetch
+  const emoji = getGuildSettings(guild.id).queueReactionEmoji;
+  if (!emoji || (reaction.emoji.id || reaction.emoji.name) !== emoji) return;
+
+  try {
+    const message = reaction.message.partial ? await reaction.message.fetch() : reaction.message;
+    const urls = extractMediaUrls(messageLinkText(message));
+    if (urls.length === 0 || reactionQueuedMessages.has(message.id)) return;
+    reactionQueuedMessages.add(message.id);
+    if (reactionQueuedMessages.size > REACTION_QUEUED_MEMORY) {
+      reactionQueuedMessages.delete(reactionQueuedMessages.values().next().value);
+    }
+
+    const member = await guild.members.fetch(user.id);
+    const result = await queueLinks({ guild, member, urls });
+    for (const song of result.queued || []) logCommandAction(user, 'play', song.title);
+    // Nothing went in: the next person to react may have better luck (in a voice channel, say)
+    if (!result.queued?.length) reactionQueuedMessages.delete(message.id);
+
+    if (result.queued?.length && !result.refused.length && !result.rateLimited) {
+      await message.react('✅');
+    } else {
+      await message.reply({ content: `<@${user.id}> ${describeQueuedLinks(result)}`, allowedMentions: { users: [user.id] } });
+    }
+  } catch (error) {
+    console.error('[ReactionQueue] Queueing from a reaction failed:', error);
+  }
+});
+
 // Interaction handler
 client.on(Events.InteractionCreate, async interaction => {
   // Handle autocomplete interactions
@@ -746,7 +899,19 @@ client.on(Events.InteractionCreate, async interaction => {
     return;
   }
 
-  if (!interaction.isChatInputCommand()) return;
+  // Presses on the player panel. Routed here rather than through a collector, since the panel
+  // outlives any one command and any one process.
+  if (isPlayerPanelInteraction(interaction)) {
+    try {
+      await handlePlayerPanelInteraction(interaction);
+    } catch (error) {
+      console.error('[PlayerPanel] Handling a press failed:', error);
+    }
+    return;
+  }
+
+  // Slash commands, and the message commands under Apps ("Add to queue")
+  if (!interaction.isChatInputCommand() && !interaction.isMessageContextMenuCommand()) return;
 
   const command = client.commands.get(interaction.commandName);
 
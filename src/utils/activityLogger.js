@@ -45,6 +45,9 @@ export async function logCommandAction(user, action, details = '') {
     case 'skip':
       message = `⏭️ ${userMention} skipped${details ? `: **${details}**` : ''}`;
       break;
+    case 'voteskip':
+      message = `🗳️ ${userMention} voted to skip${details ? `: **${details}**` : ''}`;
+      break;
     case 'pause':
       message = `⏸️ ${userMention} paused playback`;
       break;
@@ -84,6 +87,9 @@ export async function logWebAction(username, action, details = '') {
     case 'skip':
       message = `⏭️ **${username}** (web) skipped${details ? `: **${details}**` : ''}`;
       break;
+    case 'voteskip':
+      message = `🗳️ **${username}** (web) voted to skip${details ? ` (**${details}**)` : ''}`;
+      break;
     case 'previous':
       message = `⏮️ **${username}** (web) went to previous song`;
       break;
@@ -114,12 +120,21 @@ export async function logWebAction(username, action, details = '') {
     case 'reorder':
       message = `↕️ **${username}** (web) reordered the queue`;
       break;
+    case 'clear':
+      message = `🗑️ **${username}** (web) cleared the queue`;
+      break;
+    case 'undo':
+      message = `↩️ **${username}** (web) undid the last queue change`;
+      break;
     case 'loop':
       message = `🔁 **${username}** (web) changed loop mode`;
       break;
     case '24/7':
       message = `🌙 **${username}** (web) toggled 24/7 mode`;
       break;
+    case 'fairqueue':
+      message = `⚖️ **${username}** (web) toggled fair queue mode`;
+      break;
     case 'sleep-set':
       message = `💤 **${username}** (web) set sleep timer for **${details} minutes**`;
       break;
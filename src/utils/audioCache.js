@@ -0,0 +1,232 @@
+// Finished downloads, kept on disk by YouTube video ID so a repeat play skips yt-dlp entirely.
+//
+// Every song used to be fetched into /tmp and deleted the moment it stopped playing, so the
+// hundredth play of a favourite cost exactly what the first one did: a slot in the download
+// gate, a yt-dlp run, and a few seconds of exposure to YouTube's rate limiting. Most evenings
+// are the same few dozen songs, which makes that the single most repeated piece of work the
+// bot does.
+//
+// The cache sits beside the download path rather than in it. musicQueue still gets a private
+// file at its own /tmp path for every play - a hard link to the cached copy where the two are
+// on the same file system, a copy where they are not - so nothing about the play, prefetch,
+// crossfade or cleanup lifecycle changes, and eviction can never pull a file out from under a
+// song that is playing: deleting the cached copy leaves the link (or the copy) intact.
+//
+// Bounded by total size, evicting the least recently played first. The cap is an admin setting
+// stored with the index; AUDIO_CACHE_MAX_MB only decides where it starts, and 0 turns the cache
+// off altogether.
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { existsSync, mkdirSync, readdirSync, unlinkSync, linkSync } from 'fs';
+import { copyFile, rename, stat, unlink } from 'fs/promises';
+import { loadJsonSync, saveJsonSync } from './jsonStore.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_AUDIO_CACHE_MAX_MB = 1024;
+// Far beyond any disk this runs on; a cap past it is a typo, not a decision
+export const MAX_AUDIO_CACHE_MAX_MB = 100_000;
+const INDEX_NAME = 'index.json';
+const MB = 1024 * 1024;
+
+let cacheDir = process.env.AUDIO_CACHE_DIR || join(__dirname, '..', '..', 'data', 'audioCache');
+let cache = null; // { maxBytes, entries: { [videoId]: { file, size, title, lastUsed } } }
+
+// Since this process started. Not persisted: they are read against the prefetch counters in the
+// transition log line, which start from zero on every restart too.
+const counters = { hits: 0, misses: 0 };
+
+// A cap in MB from anywhere (the env, an admin form, the index file): a number of whole MB from
+// 0 (off) to MAX_AUDIO_CACHE_MAX_MB, or the default for anything that is not one.
+export function clampAudioCacheMaxMB(value) {
+  const num = Number(value);
+  if (value === null || value === '' || !Number.isFinite(num) || num < 0) return DEFAULT_AUDIO_CACHE_MAX_MB;
+  return Math.min(Math.round(num), MAX_AUDIO_CACHE_MAX_MB);
+}
+
+function indexPath() {
+  return join(cacheDir, INDEX_NAME);
+}
+
+function load() {
+  if (cache !== null) return cache;
+  const fallbackMB = process.env.AUDIO_CACHE_MAX_MB !== undefined
+    ? clampAudioCacheMaxMB(process.env.AUDIO_CACHE_MAX_MB)
+    : DEFAULT_AUDIO_CACHE_MAX_MB;
+  const loaded = loadJsonSync(indexPath(), { maxBytes: fallbackMB * MB, entries: {} });
+  cache = {
+    maxBytes: Number.isFinite(loaded?.maxBytes) && loaded.maxBytes >= 0 ? loaded.maxBytes : fallbackMB * MB,
+    entries: loaded?.entries && typeof loaded.entries === 'object' ? loaded.entries : {}
+  };
+  reconcile();
+  return cache;
+}
+
+function save() {
+  try {
+    saveJsonSync(indexPath(), cache);
+  } catch (err) {
+    console.error('[AudioCache] Could not save the cache index:', err.message);
+  }
+}
+
+// Make the index and the directory agree, once per load: an entry whose file is gone is
+// forgotten, and a file the index does not know (a copy a crash interrupted, or an index that
+// was deleted by hand) is removed, since nothing would ever evict it.
+function reconcile() {
+  if (!existsSync(cacheDir)) return;
+  const known = new Set();
+  for (const [id, entry] of Object.entries(cache.entries)) {
+    if (!entry?.file || !existsSync(join(cacheDir, entry.file))) delete cache.entries[id];
+    else known.add(entry.file);
+  }
+  for (const name of readdirSync(cacheDir)) {
+    if (name === INDEX_NAME || name.startsWith(`${INDEX_NAME}.`) || known.has(name)) continue;
+    try {
+      unlinkSync(join(cacheDir, name));
+    } catch {
+      // Somebody else's, or already gone
+    }
+  }
+}
+
+function usedBytes() {
+  return Object.values(cache.entries).reduce((sum, entry) => sum + (entry.size || 0), 0);
+}
+
+// A file of our own at `to`, sharing storage with `from` where the file system allows it.
+// Never a symlink: the whole point is that either side can be deleted without the other noticing.
+async function linkOrCopy(from, to) {
+  try {
+    linkSync(from, to);
+  } catch {
+    await copyFile(from, to);
+  }
+}
+
+// Tests point the cache somewhere disposable (the same seam as loudnessStore's)
+export function setAudioCacheDir(dir) {
+  cacheDir = dir;
+  cache = null;
+  counters.hits = 0;
+  counters.misses = 0;
+}
+
+export function isAudioCacheEnabled() {
+  return load().maxBytes > 0;
+}
+
+// Put the cached copy of `videoId` at `destPath`, counting the lookup as a hit or a miss.
+//
+// @returns {Promise<boolean>} whether `destPath` now holds the song; false means download it
+export async function takeFromAudioCache(videoId, destPath) {
+  if (!videoId || !isAudioCacheEnabled()) return false;
+  const entry = cache.entries[videoId];
+  if (entry) {
+    try {
+      await linkOrCopy(join(cacheDir, entry.file), destPath);
+      entry.lastUsed = Date.now();
+      save();
+      counters.hits++;
+      return true;
+    } catch (err) {
+      // The file went missing under the index: forget it, and let this play download it again
+      console.error(`[AudioCache] Could not use the cached copy of ${videoId}:`, err.message);
+      delete cache.entries[videoId];
+      save();
+    }
+  }
+  counters.misses++;
+  return false;
+}
+
+// Keep a copy of a finished download. Never throws - a cache that cannot write is a cache that
+// misses, and the song this was called for already has its file.
+//
+// @returns {Promise<boolean>} whether the song is in the cache now
+export async function addToAudioCache(videoId, sourcePath, { title = null } = {}) {
+  if (!videoId || !isAudioCacheEnabled()) return false;
+  const file = `${videoId}.audio`;
+  const partial = join(cacheDir, `${file}.${process.pid}.tmp`);
+  try {
+    const { size } = await stat(sourcePath);
+    // A file bigger than the whole cache would evict everything and then itself
+    if (size > cache.maxBytes) return false;
+    mkdirSync(cacheDir, { recursive: true });
+    // Through a temporary name, so a crash mid-copy never leaves a truncated file under the name
+    // the next play would trust
+    await linkOrCopy(sourcePath, partial);
+    await rename(partial, join(cacheDir, file));
+    cache.entries[videoId] = { file, size, title, lastUsed: Date.now() };
+    logEviction(evictToFit(cache.maxBytes));
+    save();
+    return true;
+  } catch (err) {
+    // Most often the song was skipped and its file deleted while this was copying it
+    await unlink(partial).catch(() => {});
+    if (err?.code !== 'ENOENT') console.error(`[AudioCache] Could not cache ${videoId}:`, err.message);
+    return false;
+  }
+}
+
+// Drop the least recently played songs until the cache fits in `maxBytes`.
+// @returns {{ removed: number, bytes: number }}
+function evictToFit(maxBytes) {
+  let total = usedBytes();
+  let removed = 0;
+  let bytes = 0;
+  if (total <= maxBytes) return { removed, bytes };
+  const oldestFirst = Object.entries(cache.entries).sort((a, b) => (a[1].lastUsed || 0) - (b[1].lastUsed || 0));
+  for (const [id, entry] of oldestFirst) {
+    if (total <= maxBytes) break;
+    try {
+      unlinkSync(join(cacheDir, entry.file));
+    } catch {
+      // Already gone, which is the outcome this wanted
+    }
+    delete cache.entries[id];
+    total -= entry.size || 0;
+    bytes += entry.size || 0;
+    removed++;
+  }
+  return { removed, bytes };
+}
+
+function logEviction({ removed, bytes }) {
+  if (removed > 0) console.log(`[AudioCache] Evicted ${removed} least recently played song(s) (${Math.round(bytes / MB)}MB) to stay under ${Math.round(cache.maxBytes / MB)}MB`);
+}
+
+// Change the cap, evicting straight away if the cache is now over it. 0 turns the cache off
+// and empties it, since a disabled cache would otherwise sit on its files forever.
+export function setAudioCacheMaxMB(value) {
+  const maxMB = clampAudioCacheMaxMB(value);
+  load();
+  cache.maxBytes = maxMB * MB;
+  logEviction(evictToFit(cache.maxBytes));
+  save();
+  console.log(`[AudioCache] Size cap set to ${maxMB}MB${maxMB === 0 ? ' (disabled)' : ''}`);
+  return getAudioCacheStats();
+}
+
+// Delete every cached song. The counters stay: they describe this process's lookups, not the
+// cache's contents.
+export function purgeAudioCache() {
+  load();
+  const result = evictToFit(0);
+  save();
+  console.log(`[AudioCache] Purged ${result.removed} song(s) (${Math.round(result.bytes / MB)}MB)`);
+  return result;
+}
+
+export function getAudioCacheStats() {
+  load();
+  return {
+    enabled: cache.maxBytes > 0,
+    maxBytes: cache.maxBytes,
+    usedBytes: usedBytes(),
+    songs: Object.keys(cache.entries).length,
+    hits: counters.hits,
+    misses: counters.misses
+  };
+}
@@ -0,0 +1,154 @@
+// Chapters and play ranges: the parts of one long video.
+//
+// A good share of what gets queued is an hour-long mix or a whole album in one upload. YouTube
+// splits those into chapters, and yt-dlp's info JSON carries them as
+// `chapters: [{ start_time, end_time, title }]`; parseChapters turns that into what a song keeps
+// as `song.chapters`, and chapterIndexAt / nextChapter are how the dashboard, /nowplaying and
+// "skip to the next chapter" read it.
+//
+// A play range is the other half: a song with `startTime` and/or `endTime` (seconds into the
+// video) plays only that stretch. It comes from a `?t=` on the URL, the way YouTube's own
+// "copy video URL at current time" shares one, or from /play's start and end options. The
+// queue starts such a song through the same seek offset a seek uses, so every position - the
+// progress bar, a chapter, a restart's resume point - stays in video time.
+//
+// Pure: info and strings in, numbers out.
+
+// A mix with more than this many chapters is a tracklist pasted into the description, and
+// nobody is paging through it on the dashboard
+export const MAX_CHAPTERS = 200;
+const MAX_CHAPTER_TITLE_LENGTH = 100;
+
+// @returns {Array<{ title: string, start: number, end: number }>} in order, each ending where
+//   the next begins; [] for a video without chapters
+export function parseChapters(videoInfo) {
+  const raw = Array.isArray(videoInfo?.chapters) ? videoInfo.chapters : [];
+  const duration = Number(videoInfo?.duration) || 0;
+  const chapters = raw
+    .map((c, i) => ({
+      title: typeof c?.title === 'string' && c.title.trim() ? c.title.trim().slice(0, MAX_CHAPTER_TITLE_LENGTH) : `Chapter ${i + 1}`,
+      start: Math.max(0, Number(c?.start_time) || 0),
+      end: Number(c?.end_time) || 0
+    }))
+    .filter(c => Number.isFinite(c.start) && (!duration || c.start < duration))
+    .sort((a, b) => a.start - b.start)
+    .slice(0, MAX_CHAPTERS);
+  // One chapter is the whole video again, which tells the listener nothing
+  if (chapters.length < 2) return [];
+  return chapters.map((c, i) => {
+    const next = chapters[i + 1];
+    const end = next ? next.start : (c.end > c.start ? c.end : duration || c.start);
+    return { title: c.title, start: round(c.start), end: round(end) };
+  });
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+// Which chapter `position` (seconds into the video) is in, or -1 before the first one starts
+export function chapterIndexAt(chapters, position) {
+  if (!Array.isArray(chapters) || chapters.length === 0) return -1;
+  const pos = Number(position) || 0;
+  let index = -1;
+  for (let i = 0; i < chapters.length; i++) {
+    if (chapters[i].start <= pos) index = i;
+    else break;
+  }
+  return index;
+}
+
+// The chapter after the one playing at `position`, or null when this is the last one - or the
+// last one before the song's play range ends, since a chapter past `endTime` is never reached
+export function nextChapter(chapters, position, endTime = null) {
+  const next = chapters?.[chapterIndexAt(chapters, position) + 1];
+  if (!next) return null;
+  if (endTime && next.start >= endTime) return null;
+  return next;
+}
+
+// A time as a person types it: "90", "90s", "1m30s", "1h2m3s", "1:30" or "1:02:03".
+//
+// @returns {number|null} seconds, or null for anything that is not a time
+export function parseTimestamp(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  if (typeof value !== 'string') return null;
+  const text = value.trim().toLowerCase();
+  if (!text) return null;
+
+  if (/^\d+(\.\d+)?s?$/.test(text)) return Number(text.replace(/s$/, ''));
+
+  const units = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (units && (units[1] || units[2] || units[3])) {
+    return Number(units[1] || 0) * 3600 + Number(units[2] || 0) * 60 + Number(units[3] || 0);
+  }
+
+  const clock = text.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (clock) {
+    const minutes = Number(clock[2]);
+    const seconds = Number(clock[3]);
+    if (seconds >= 60 || (clock[1] !== undefined && minutes >= 60)) return null;
+    return Number(clock[1] || 0) * 3600 + minutes * 60 + seconds;
+  }
+  return null;
+}
+
+// The range a URL asks for: YouTube's `t` (or `start`) and `end`, in the query or the fragment.
+//
+// @returns {{ start: number|null, end: number|null }}
+export function playRangeFromUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { start: null, end: null };
+  }
+  const params = new URLSearchParams(parsed.search);
+  // youtu.be/ID#t=90 is older, but still shared around
+  for (const [key, value] of new URLSearchParams(parsed.hash.replace(/^#/, ''))) {
+    if (!params.has(key)) params.set(key, value);
+  }
+  const start = parseTimestamp(params.get('t') ?? params.get('start') ?? '');
+  const end = parseTimestamp(params.get('end') ?? '');
+  return { start: start || null, end: end || null };
+}
+
+// The `startTime`/`endTime` fields for a song, from a requested start and end (either may be
+// missing) and the video's length when it is known.
+//
+// @returns {{ startTime?: number, endTime?: number } | { error: string }} - no fields at all for
+//   a range that is the whole video, so an ordinary song stays an ordinary song
+export function playRange({ start = null, end = null } = {}, duration = 0) {
+  const length = Number(duration) || 0;
+  const from = start ? Number(start) : 0;
+  const to = end ? Number(end) : 0;
+  if (!Number.isFinite(from) || from < 0 || !Number.isFinite(to) || to < 0) return { error: 'That is not a time in the video.' };
+  if (length && from >= length) return { error: `The video is only ${formatClock(length)} long.` };
+  if (to && to <= from) return { error: 'The end has to come after the start.' };
+
+  const range = {};
+  if (from > 0) range.startTime = from;
+  if (to && (!length || to < length)) range.endTime = to;
+  return range;
+}
+
+// Whether a song plays only part of its video
+export function hasPlayRange(song) {
+  return (Number(song?.startTime) || 0) > 0 || (Number(song?.endTime) || 0) > 0;
+}
+
+// How long a song plays for: its range when it has one, otherwise the whole video. 0 when the
+// length is not known.
+export function playedLength(song) {
+  const end = Number(song?.endTime) || Number(song?.duration) || 0;
+  return end ? Math.max(0, end - (Number(song?.startTime) || 0)) : 0;
+}
+
+// "1:02:03" / "4:05", for the messages above and the chapter lists that show one
+export function formatClock(seconds) {
+  const s = Math.max(0, Math.floor(Number(seconds) || 0));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const rest = String(s % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${rest}` : `${m}:${rest}`;
+}
@@ -1,6 +1,7 @@
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { loadJsonSync, saveJsonSync } from './jsonStore.js';
+import { configuredGuildIds, isConfiguredGuild, guildKeyed } from './guilds.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -9,23 +10,49 @@ const DATA_FILE = join(__dirname, '../../data/discordActivity.json');
 const SAVE_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
 const PRUNE_DAYS = 14;
 
-let data = { messages: {}, voiceSessions: {}, activeVoice: {}, totals: { messages: {}, voiceMinutes: {} } };
+// Per guild, { guilds: { [guildId]: { messages, voiceSessions, activeVoice, totals } } }: who
+// talks and sits in voice in one server is that server's recap, not the other's. The
+// single-guild file this replaced is the primary guild's.
+let data = { guilds: {} };
 let saveTimer = null;
 let dirty = false;
 let discordClient = null;
 
+function emptyActivity() {
+  return { messages: {}, voiceSessions: {}, activeVoice: {}, totals: { messages: {}, voiceMinutes: {} } };
+}
+
 function loadData() {
-  const raw = loadJsonSync(DATA_FILE, { messages: {}, voiceSessions: {}, activeVoice: {}, totals: { messages: {}, voiceMinutes: {} } });
-  data = {
-    messages: raw.messages || {},
-    voiceSessions: raw.voiceSessions || {},
-    activeVoice: raw.activeVoice || {},
-    totals: raw.totals || { messages: {}, voiceMinutes: {} }
-  };
-  // Ensure sub-objects exist for older data files
-  if (!data.totals.messages) data.totals.messages = {};
-  if (!data.totals.voiceMinutes) data.totals.voiceMinutes = {};
-  pruneOldData();
+  const { guilds, migrated } = guildKeyed(loadJsonSync(DATA_FILE, {}), raw => 'messages' in raw || 'totals' in raw);
+  data = { guilds: {} };
+  for (const [guildId, raw] of Object.entries(guilds)) {
+    const activity = {
+      messages: raw?.messages || {},
+      voiceSessions: raw?.voiceSessions || {},
+      activeVoice: raw?.activeVoice || {},
+      totals: raw?.totals || { messages: {}, voiceMinutes: {} }
+    };
+    // Ensure sub-objects exist for older data files
+    if (!activity.totals.messages) activity.totals.messages = {};
+    if (!activity.totals.voiceMinutes) activity.totals.voiceMinutes = {};
+    data.guilds[guildId] = activity;
+    pruneOldData(activity);
+  }
+  if (migrated) {
+    console.log('[DiscordTracker] Moved the existing activity into the primary guild');
+    saveData();
+  }
+}
+
+// `guildId`'s activity, created on first use
+function guildActivity(guildId) {
+  if (!data.guilds[guildId]) data.guilds[guildId] = emptyActivity();
+  return data.guilds[guildId];
+}
+
+// The same for reading, without creating an entry
+function activityOf(guildId) {
+  return data.guilds[guildId] || emptyActivity();
 }
 
 function saveData() {
@@ -37,13 +64,13 @@ function markDirty() {
   dirty = true;
 }
 
-function pruneOldData() {
+function pruneOldData(activity) {
   const cutoff = Date.now() - PRUNE_DAYS * 24 * 60 * 60 * 1000;
   const cutoffDay = getDayTimestamp(new Date(cutoff));
 
   // Prune message day buckets
-  for (const userId of Object.keys(data.messages)) {
-    const counts = data.messages[userId].counts;
+  for (const userId of Object.keys(activity.messages)) {
+    const counts = activity.messages[userId].counts;
     for (const dayKey of Object.keys(counts)) {
       if (Number(dayKey) < cutoffDay) {
         delete counts[dayKey];
@@ -51,19 +78,19 @@ function pruneOldData() {
     }
     // Remove user entry if no counts remain
     if (Object.keys(counts).length === 0) {
-      delete data.messages[userId];
+      delete activity.messages[userId];
     }
   }
 
   // Prune voice sessions
-  for (const userId of Object.keys(data.voiceSessions)) {
-    const entry = data.voiceSessions[userId];
+  for (const userId of Object.keys(activity.voiceSessions)) {
+    const entry = activity.voiceSessions[userId];
     entry.sessions = (entry.sessions || []).filter(s => s.end >= cutoff);
     // Recalculate totalMinutes from remaining sessions
     entry.totalMinutes = entry.sessions.reduce((sum, s) => sum + (s.end - s.start) / 60000, 0);
     entry.totalMinutes = Math.round(entry.totalMinutes);
     if (entry.sessions.length === 0) {
-      delete data.voiceSessions[userId];
+      delete activity.voiceSessions[userId];
     }
   }
 }
@@ -74,21 +101,22 @@ function getDayTimestamp(date) {
   return d.getTime();
 }
 
-export function recordMessage(userId, displayName) {
-  if (!data.messages[userId]) {
-    data.messages[userId] = { displayName, counts: {} };
+export function recordMessage(guildId, userId, displayName) {
+  const activity = guildActivity(guildId);
+  if (!activity.messages[userId]) {
+    activity.messages[userId] = { displayName, counts: {} };
   }
-  data.messages[userId].displayName = displayName;
+  activity.messages[userId].displayName = displayName;
 
   const dayKey = String(getDayTimestamp(new Date()));
-  data.messages[userId].counts[dayKey] = (data.messages[userId].counts[dayKey] || 0) + 1;
+  activity.messages[userId].counts[dayKey] = (activity.messages[userId].counts[dayKey] || 0) + 1;
 
   // All-time total
-  if (!data.totals.messages[userId]) {
-    data.totals.messages[userId] = { displayName, count: 0 };
+  if (!activity.totals.messages[userId]) {
+    activity.totals.messages[userId] = { displayName, count: 0 };
   }
-  data.totals.messages[userId].displayName = displayName;
-  data.totals.messages[userId].count++;
+  activity.totals.messages[userId].displayName = displayName;
+  activity.totals.messages[userId].count++;
 
   markDirty();
 }
@@ -96,6 +124,9 @@ export function recordMessage(userId, displayName) {
 export function handleVoiceUpdate(oldState, newState) {
   const userId = newState.member?.id || oldState.member?.id;
   if (!userId) return;
+  const guildId = newState.guild?.id || oldState.guild?.id;
+  if (!isConfiguredGuild(guildId)) return;
+  const activity = guildActivity(guildId);
 
   // Ignore bots
   const member = newState.member || oldState.member;
@@ -108,13 +139,13 @@ export function handleVoiceUpdate(oldState, newState) {
 
   // User left voice entirely
   if (wasInChannel && !isInChannel) {
-    flushVoiceSession(userId, displayName);
+    flushVoiceSession(activity, userId, displayName);
     return;
   }
 
   // User joined voice
   if (!wasInChannel && isInChannel) {
-    data.activeVoice[userId] = Date.now();
+    activity.activeVoice[userId] = Date.now();
     markDirty();
     return;
   }
@@ -122,11 +153,11 @@ export function handleVoiceUpdate(oldState, newState) {
   // User moved channels — session continues, no action needed
 }
 
-function flushVoiceSession(userId, displayName) {
-  const joinTime = data.activeVoice[userId];
+function flushVoiceSession(activity, userId, displayName) {
+  const joinTime = activity.activeVoice[userId];
   if (!joinTime) return;
 
-  delete data.activeVoice[userId];
+  delete activity.activeVoice[userId];
 
   const now = Date.now();
   const durationMs = now - joinTime;
@@ -136,26 +167,33 @@ function flushVoiceSession(userId, displayName) {
     return;
   }
 
-  if (!data.voiceSessions[userId]) {
-    data.voiceSessions[userId] = { displayName, totalMinutes: 0, sessions: [] };
+  if (!activity.voiceSessions[userId]) {
+    activity.voiceSessions[userId] = { displayName, totalMinutes: 0, sessions: [] };
   }
-  data.voiceSessions[userId].displayName = displayName;
-  data.voiceSessions[userId].sessions.push({ start: joinTime, end: now });
-  data.voiceSessions[userId].totalMinutes += Math.round(durationMs / 60000);
+  activity.voiceSessions[userId].displayName = displayName;
+  activity.voiceSessions[userId].sessions.push({ start: joinTime, end: now });
+  activity.voiceSessions[userId].totalMinutes += Math.round(durationMs / 60000);
 
   // All-time total
-  if (!data.totals.voiceMinutes[userId]) {
-    data.totals.voiceMinutes[userId] = { displayName, minutes: 0 };
+  if (!activity.totals.voiceMinutes[userId]) {
+    activity.totals.voiceMinutes[userId] = { displayName, minutes: 0 };
   }
-  data.totals.voiceMinutes[userId].displayName = displayName;
-  data.totals.voiceMinutes[userId].minutes += Math.round(durationMs / 60000);
+  activity.totals.voiceMinutes[userId].displayName = displayName;
+  activity.totals.voiceMinutes[userId].minutes += Math.round(durationMs / 60000);
 
   markDirty();
 }
 
-export function getDiscordActivity(startMs, endMs) {
+// Display name for somebody in voice with no finished session yet, from the guild if possible
+function memberName(guildId, userId) {
+  const member = discordClient?.guilds.cache.get(guildId)?.members.cache.get(userId);
+  return member ? (member.displayName || member.user.username) : 'Unknown';
+}
+
+export function getDiscordActivity(guildId, startMs, endMs) {
+  const activity = activityOf(guildId);
   const messageTotals = {};
-  for (const [userId, entry] of Object.entries(data.messages)) {
+  for (const [userId, entry] of Object.entries(activity.messages)) {
     let count = 0;
     for (const [dayKey, dayCount] of Object.entries(entry.counts)) {
       const dayTs = Number(dayKey);
@@ -170,7 +208,7 @@ export function getDiscordActivity(startMs, endMs) {
   }
 
   const voiceTotals = {};
-  for (const [userId, entry] of Object.entries(data.voiceSessions)) {
+  for (const [userId, entry] of Object.entries(activity.voiceSessions)) {
     let minutes = 0;
     for (const session of entry.sessions) {
       // Clamp session to window
@@ -181,8 +219,8 @@ export function getDiscordActivity(startMs, endMs) {
       }
     }
     // Also count active sessions
-    if (data.activeVoice[userId]) {
-      const sStart = Math.max(data.activeVoice[userId], startMs);
+    if (activity.activeVoice[userId]) {
+      const sStart = Math.max(activity.activeVoice[userId], startMs);
       const sEnd = Math.min(Date.now(), endMs);
       if (sEnd > sStart) {
         minutes += (sEnd - sStart) / 60000;
@@ -195,21 +233,14 @@ export function getDiscordActivity(startMs, endMs) {
   }
 
   // Count users currently in voice who have no completed sessions yet
-  for (const [userId, joinTime] of Object.entries(data.activeVoice)) {
+  for (const [userId, joinTime] of Object.entries(activity.activeVoice)) {
     if (voiceTotals[userId]) continue; // already counted above
     const sStart = Math.max(joinTime, startMs);
     const sEnd = Math.min(Date.now(), endMs);
     if (sEnd > sStart) {
       const minutes = Math.round((sEnd - sStart) / 60000);
       if (minutes > 0) {
-        // Resolve display name from guild if possible
-        let name = 'Unknown';
-        if (discordClient) {
-          const guild = discordClient.guilds.cache.get(process.env.GUILD_ID);
-          const member = guild?.members.cache.get(userId);
-          if (member) name = member.displayName || member.user.username;
-        }
-        voiceTotals[userId] = { name, minutes };
+        voiceTotals[userId] = { name: memberName(guildId, userId), minutes };
       }
     }
   }
@@ -220,32 +251,27 @@ export function getDiscordActivity(startMs, endMs) {
   return { messages, voice };
 }
 
-export function getDiscordTotals() {
-  const messages = Object.values(data.totals.messages)
+export function getDiscordTotals(guildId) {
+  const activity = activityOf(guildId);
+  const messages = Object.values(activity.totals.messages)
     .sort((a, b) => b.count - a.count);
 
   // Build voice totals including currently active sessions
   const voiceMap = {};
-  for (const [userId, entry] of Object.entries(data.totals.voiceMinutes)) {
+  for (const [userId, entry] of Object.entries(activity.totals.voiceMinutes)) {
     voiceMap[userId] = { displayName: entry.displayName, minutes: entry.minutes };
   }
 
   // Add ongoing voice time for users currently in a channel
   const now = Date.now();
-  for (const [userId, joinTime] of Object.entries(data.activeVoice)) {
+  for (const [userId, joinTime] of Object.entries(activity.activeVoice)) {
     const activeMinutes = Math.round((now - joinTime) / 60000);
     if (activeMinutes <= 0) continue;
     if (voiceMap[userId]) {
       voiceMap[userId].minutes += activeMinutes;
     } else {
       // User in voice for the first time with no completed sessions
-      let displayName = 'Unknown';
-      if (discordClient) {
-        const guild = discordClient.guilds.cache.get(process.env.GUILD_ID);
-        const member = guild?.members.cache.get(userId);
-        if (member) displayName = member.displayName || member.user.username;
-      }
-      voiceMap[userId] = { displayName, minutes: activeMinutes };
+      voiceMap[userId] = { displayName: memberName(guildId, userId), minutes: activeMinutes };
     }
   }
 
@@ -261,25 +287,27 @@ export function initDiscordTracker(client) {
   loadData();
 
   // Recover active voice sessions from current state
-  const guild = client.guilds.cache.get(process.env.GUILD_ID);
-  if (guild) {
+  for (const guildId of configuredGuildIds()) {
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) continue;
+    const activity = guildActivity(guildId);
     const currentlyInVoice = new Set();
     for (const [, channel] of guild.channels.cache) {
       if (channel.isVoiceBased() && channel.members) {
         for (const [memberId, member] of channel.members) {
           if (member.user.bot) continue;
           currentlyInVoice.add(memberId);
-          if (!data.activeVoice[memberId]) {
-            data.activeVoice[memberId] = Date.now();
+          if (!activity.activeVoice[memberId]) {
+            activity.activeVoice[memberId] = Date.now();
           }
         }
       }
     }
 
     // Clear stale entries for users who left voice while the bot was offline
-    for (const userId of Object.keys(data.activeVoice)) {
+    for (const userId of Object.keys(activity.activeVoice)) {
       if (!currentlyInVoice.has(userId)) {
-        delete data.activeVoice[userId];
+        delete activity.activeVoice[userId];
       }
     }
   }
@@ -287,9 +315,9 @@ export function initDiscordTracker(client) {
   // Listen for messages
   client.on('messageCreate', (message) => {
     if (message.author.bot) return;
-    if (!message.guild) return; // ignore DMs
+    if (!message.guild || !isConfiguredGuild(message.guild.id)) return; // ignore DMs and other servers
     const displayName = message.member?.displayName || message.author.globalName || message.author.username;
-    recordMessage(message.author.id, displayName);
+    recordMessage(message.guild.id, message.author.id, displayName);
   });
 
   // Listen for voice state updates
@@ -307,9 +335,11 @@ export function initDiscordTracker(client) {
 
 export function stopDiscordTracker() {
   // Flush all active voice sessions
-  for (const userId of Object.keys(data.activeVoice)) {
-    const displayName = data.voiceSessions[userId]?.displayName || 'Unknown';
-    flushVoiceSession(userId, displayName);
+  for (const activity of Object.values(data.guilds)) {
+    for (const userId of Object.keys(activity.activeVoice)) {
+      const displayName = activity.voiceSessions[userId]?.displayName || 'Unknown';
+      flushVoiceSession(activity, userId, displayName);
+    }
   }
   saveData();
 
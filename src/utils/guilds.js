@@ -0,0 +1,167 @@
+// The servers the bot runs in, and what each one's dashboard, roles and channels are.
+//
+// Everything used to assume one guild: GUILD_ID from .env for the OAuth check, the level system
+// and the trackers, and role IDs hard-coded next to it. The bot now runs in more than one, so
+// this is where "which guilds" and "which roles in that guild" are answered:
+//
+//   - the primary guild is GUILD_ID, as before. It is where everything recorded before there
+//     were several guilds belongs, and what a caller that knows no better falls back on.
+//   - more guilds come from GUILD_IDS (comma-separated) in .env, or from having been configured
+//     on the admin page.
+//
+// Per-guild settings live in data/guilds.json as { [guildId]: { requiredRoleId, djRoleId,
+// controlPanelRoleId, generalChannelId, queueReactionEmoji } }. The primary guild's defaults are the IDs the bot
+// always used, so an existing install behaves exactly as it did without anything in the file.
+// A new guild's defaults are deliberately plain: every member may use the dashboard, nobody is
+// a DJ, and the Control Panel is for whoever can manage the server - enough for somebody there
+// to open the admin page and pick real roles.
+//
+// Also here: guildKeyed, the one-shot migration every per-guild store runs on load, turning
+// its old single-guild file into the primary guild's entry.
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadJsonSync, saveJsonSync } from './jsonStore.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const SNOWFLAKE = /^\d{17,20}$/;
+export const GUILD_SETTING_KEYS = ['requiredRoleId', 'djRoleId', 'controlPanelRoleId', 'generalChannelId', 'queueReactionEmoji'];
+// A server emoji as Discord writes it in a message, <:name:id> or <a:name:id> when animated
+const CUSTOM_EMOJI = /^<a?:\w+:(\d{17,20})>$/;
+const PLAIN_EMOJI = /^\p{Extended_Pictographic}[\p{Extended_Pictographic}\p{Emoji_Modifier}\u200d\ufe0f]*$/u;
+
+let dataFile = join(__dirname, '..', '..', 'data', 'guilds.json');
+let data = null;
+
+// For the tests: point the store at a different file and forget what it had loaded
+export function setGuildsPath(filePath) {
+  dataFile = filePath;
+  data = null;
+}
+
+function load() {
+  if (data !== null) return data;
+  const loaded = loadJsonSync(dataFile, {});
+  data = loaded && typeof loaded === 'object' && !Array.isArray(loaded) ? loaded : {};
+  return data;
+}
+
+// Read at call time rather than import time: loadEnv has to have run first, and the tests
+// change the environment between cases
+export function primaryGuildId() {
+  return process.env.GUILD_ID || '918554414220972032';
+}
+
+// Every guild the bot is set up for, the primary first
+export function configuredGuildIds() {
+  const fromEnv = (process.env.GUILD_IDS || '').split(',').map(s => s.trim()).filter(id => SNOWFLAKE.test(id));
+  return [...new Set([primaryGuildId(), ...fromEnv, ...Object.keys(load())])];
+}
+
+export function isConfiguredGuild(guildId) {
+  return typeof guildId === 'string' && configuredGuildIds().includes(guildId);
+}
+
+// The emoji that queues a link when somebody reacts with it, as stored: a server emoji by its
+// ID, a plain one as the emoji itself - which is how a reaction's emoji reads back (its `id`, or
+// its `name` when it has none). Null for anything that is neither.
+export function normalizeReactionEmoji(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  const custom = text.match(CUSTOM_EMOJI);
+  if (custom) return custom[1];
+  if (SNOWFLAKE.test(text)) return text;
+  return text.length <= 16 && PLAIN_EMOJI.test(text) ? text : null;
+}
+
+// Whether a value read back from the file is one a setting can hold
+function validSetting(key, value) {
+  if (typeof value !== 'string') return false;
+  return key === 'queueReactionEmoji' ? normalizeReactionEmoji(value) === value : SNOWFLAKE.test(value);
+}
+
+function defaultsFor(guildId) {
+  // Queueing by reaction is off until somebody picks the emoji, everywhere
+  if (guildId !== primaryGuildId()) {
+    return { requiredRoleId: null, djRoleId: null, controlPanelRoleId: null, generalChannelId: null, queueReactionEmoji: null };
+  }
+  return {
+    requiredRoleId: process.env.REQUIRED_ROLE_ID || '1462395138776236134',
+    djRoleId: process.env.DJ_ROLE_ID || '1467139293586653339', // "Website DJ Extraordinaire"
+    controlPanelRoleId: '1470048168543653919', // "Control Panel"
+    generalChannelId: process.env.GENERAL_CHANNEL_ID || '1419789649873735680',
+    queueReactionEmoji: null
+  };
+}
+
+// What is set for `guildId`, over its defaults. A value saved as null is "use the default".
+export function getGuildSettings(guildId = primaryGuildId()) {
+  const saved = load()[guildId] || {};
+  const settings = defaultsFor(guildId);
+  for (const key of GUILD_SETTING_KEYS) {
+    if (validSetting(key, saved[key])) settings[key] = saved[key];
+  }
+  return settings;
+}
+
+// Change some of `guildId`'s settings. An empty string or null puts one back to its default.
+//
+// @returns {{ success: true, settings } | { success: false, error: string }}
+export function setGuildSettings(guildId, patch = {}) {
+  if (typeof guildId !== 'string' || !SNOWFLAKE.test(guildId)) return { success: false, error: 'Invalid guild.' };
+  const all = load();
+  const next = { ...(all[guildId] || {}) };
+  for (const key of GUILD_SETTING_KEYS) {
+    if (!(key in patch)) continue;
+    const value = patch[key];
+    if (value === null || value === '') {
+      delete next[key];
+    } else if (key === 'queueReactionEmoji' && normalizeReactionEmoji(value)) {
+      next[key] = normalizeReactionEmoji(value);
+    } else if (key !== 'queueReactionEmoji' && typeof value === 'string' && SNOWFLAKE.test(value)) {
+      next[key] = value;
+    } else {
+      return { success: false, error: `Invalid ${key}.` };
+    }
+  }
+  all[guildId] = next;
+  saveJsonSync(dataFile, all);
+  return { success: true, settings: getGuildSettings(guildId) };
+}
+
+// What a member may do on `guildId`'s dashboard.
+//
+// @param member - { roles: string[], manageGuild?: boolean }, as the OAuth member endpoint or the
+//   bot's member fetcher give it; null (not a member, or the lookup failed) is allowed nothing
+// @returns {{ hasAccess: boolean, hasDJRole: boolean, hasControlPanel: boolean }}
+export function memberRoleFlags(guildId, member) {
+  if (!member) return { hasAccess: false, hasDJRole: false, hasControlPanel: false };
+  const roles = Array.isArray(member.roles) ? member.roles : [];
+  const settings = getGuildSettings(guildId);
+  return {
+    hasAccess: settings.requiredRoleId ? roles.includes(settings.requiredRoleId) : true,
+    hasDJRole: settings.djRoleId ? roles.includes(settings.djRoleId) : false,
+    hasControlPanel: settings.controlPanelRoleId ? roles.includes(settings.controlPanelRoleId) : member.manageGuild === true
+  };
+}
+
+// A Discord.js GuildMember's DJ role, for the slash commands
+export function memberIsDJ(member) {
+  const djRoleId = member?.guild ? getGuildSettings(member.guild.id).djRoleId : null;
+  return !!(djRoleId && member.roles?.cache?.has(djRoleId));
+}
+
+// A store's file as { [guildId]: entry }, whatever it was saved as.
+//
+// A file from before there were several guilds holds one guild's data at the top level; that is
+// the primary guild's, and comes back as its entry. `isLegacy` tells the two shapes apart.
+//
+// @returns {{ guilds: object, migrated: boolean }} - `migrated` so the caller can write the new
+//   shape back once, rather than converting on every start
+export function guildKeyed(raw, isLegacy) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { guilds: {}, migrated: false };
+  if (raw.guilds && typeof raw.guilds === 'object' && !Array.isArray(raw.guilds)) return { guilds: raw.guilds, migrated: false };
+  if (!isLegacy(raw)) return { guilds: {}, migrated: false };
+  return { guilds: { [primaryGuildId()]: raw }, migrated: true };
+}
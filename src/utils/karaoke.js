@@ -0,0 +1,142 @@
+// The karaoke message: one Discord message per guild that edits itself to show the lyric line
+// being sung, for the people in voice who do not have the dashboard open.
+//
+// It follows musicQueue's position ticks (setLyricLineCallback), so it is on the same line as
+// every dashboard, seeks and speed changes included. When a new song starts it looks the lyrics
+// up itself - with no dashboard open, nobody else may have - and from then on the ticks carry
+// the line.
+//
+// Discord allows a message about five edits every five seconds, and a fast verse changes line
+// more often than that, so edits are spaced EDIT_INTERVAL_MS apart and each one shows wherever
+// the song has got to by then rather than working through a backlog of lines.
+
+import { EmbedBuilder } from 'discord.js';
+import { setLyricLineCallback } from './musicQueue.js';
+import { getLyrics, cachedLyrics } from './lyrics.js';
+
+const EDIT_INTERVAL_MS = 1500;
+// Discord's "Unknown Message" / "Unknown Channel": the message or its channel is gone
+const GONE_CODES = new Set([10003, 10008]);
+
+const sessions = new Map(); // guildId -> { channel, message, song, status, line, lastEditAt, editTimer, editing }
+
+export function isKaraokeActive(guildId) {
+  return sessions.has(guildId);
+}
+
+// Post the karaoke message in `channel` and keep it in step until stopKaraoke. Starting again
+// somewhere else moves it.
+export async function startKaraoke(guildId, channel) {
+  if (sessions.has(guildId)) await stopKaraoke(guildId);
+  const session = { channel, message: null, song: null, status: 'waiting', line: null, lastEditAt: 0, editTimer: null, editing: false };
+  session.message = await channel.send({ embeds: [render(session)] });
+  sessions.set(guildId, session);
+  setLyricLineCallback(onLyricLine);
+}
+
+export async function stopKaraoke(guildId) {
+  const session = sessions.get(guildId);
+  if (!session) return false;
+  end(guildId, session);
+  try {
+    await session.message.edit({ embeds: [new EmbedBuilder().setColor(0x2B2D31).setTitle('🎤 Karaoke ended')] });
+  } catch {
+    // Already deleted, which is as ended as it gets
+  }
+  return true;
+}
+
+function end(guildId, session) {
+  if (session.editTimer) clearTimeout(session.editTimer);
+  sessions.delete(guildId);
+  if (sessions.size === 0) setLyricLineCallback(null);
+}
+
+function onLyricLine({ guildId, song, line }) {
+  const session = sessions.get(guildId);
+  if (!session || !song) return;
+
+  if (song.url !== session.song?.url) {
+    session.song = song;
+    session.line = null;
+    const cached = cachedLyrics(song.url);
+    session.status = cached ? (cached.synced ? 'synced' : 'plain') : 'looking';
+    if (!cached) lookUp(guildId, session, song);
+    scheduleEdit(guildId, session);
+  }
+  if (line !== null && line !== session.line) {
+    session.line = line;
+    session.status = 'synced';
+    scheduleEdit(guildId, session);
+  }
+}
+
+async function lookUp(guildId, session, song) {
+  let status;
+  try {
+    const lyrics = await getLyrics({ url: song.url, title: song.title });
+    status = !lyrics ? 'none' : lyrics.synced ? 'synced' : 'plain';
+  } catch (err) {
+    console.error('[Karaoke] Lyrics lookup failed:', err.message);
+    status = 'none';
+  }
+  // The song may have changed, or karaoke stopped, while lrclib was answering
+  if (sessions.get(guildId) !== session || session.song !== song) return;
+  session.status = status;
+  scheduleEdit(guildId, session);
+}
+
+function scheduleEdit(guildId, session) {
+  if (session.editTimer || session.editing) return;
+  const wait = Math.max(0, session.lastEditAt + EDIT_INTERVAL_MS - Date.now());
+  session.editTimer = setTimeout(() => {
+    session.editTimer = null;
+    edit(guildId, session);
+  }, wait);
+  if (session.editTimer.unref) session.editTimer.unref();
+}
+
+async function edit(guildId, session) {
+  if (sessions.get(guildId) !== session) return;
+  session.editing = true;
+  // What is rendered is what has been shown; anything that changes during the request gets an
+  // edit of its own after it
+  const shown = { song: session.song, status: session.status, line: session.line };
+  try {
+    await session.message.edit({ embeds: [render(session)] });
+  } catch (err) {
+    if (GONE_CODES.has(err?.code)) {
+      end(guildId, session);
+      return;
+    }
+    console.error('[Karaoke] Could not update the karaoke message:', err.message);
+  } finally {
+    session.editing = false;
+    session.lastEditAt = Date.now();
+  }
+  if (shown.song !== session.song || shown.status !== session.status || shown.line !== session.line) {
+    scheduleEdit(guildId, session);
+  }
+}
+
+// The lines around the one being sung: the last one small, this one big, the next two as they
+// are. An empty line is a gap in the vocals.
+function render(session) {
+  const embed = new EmbedBuilder().setColor(0xE91E63).setTitle(`🎤 ${session.song ? session.song.title : 'Karaoke'}`.slice(0, 256));
+  const lyrics = session.song ? cachedLyrics(session.song.url) : null;
+
+  if (!session.song) return embed.setDescription('Waiting for a song to start…');
+  if (session.status === 'looking') return embed.setDescription('Looking up the lyrics…');
+  if (session.status === 'none' || !lyrics) return embed.setDescription('No lyrics found for this one. Hum along!');
+  if (!lyrics.synced) return embed.setDescription('Only unsynced lyrics for this one - they are on the dashboard.');
+
+  const text = (i) => lyrics.lines[i]?.text || '♪';
+  const line = session.line ?? -1;
+  const parts = [];
+  if (line > 0) parts.push(`-# ${text(line - 1)}`);
+  parts.push(line >= 0 ? `### ${text(line)}` : '### ♪');
+  for (const i of [line + 1, line + 2]) {
+    if (i < lyrics.lines.length) parts.push(text(i));
+  }
+  return embed.setDescription(parts.join('\n').slice(0, 4000)).setFooter({ text: lyrics.artist ? `Lyrics: ${lyrics.title} · ${lyrics.artist}` : 'Lyrics from lrclib' });
+}
@@ -2,6 +2,7 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { EmbedBuilder } from 'discord.js';
 import { loadJsonSync, saveJsonSync } from './jsonStore.js';
+import { configuredGuildIds, isConfiguredGuild, getGuildSettings, guildKeyed } from './guilds.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -13,20 +14,37 @@ const MESSAGE_XP_MAX = 25;
 const MESSAGE_COOLDOWN_MS = 60 * 1000; // 60 seconds
 const VOICE_XP_PER_MINUTE = 10;
 const VOICE_CHECK_INTERVAL_MS = 60 * 1000; // 60 seconds
-const GENERAL_CHANNEL_ID = process.env.GENERAL_CHANNEL_ID || '1419789649873735680';
 
-let data = { users: {}, roleRewards: {} };
+// Levels are per guild - XP earned in one server means nothing in another - so the file is
+// { guilds: { [guildId]: { users, roleRewards } } }. The single-guild file it replaced is the
+// primary guild's, and is rewritten in the new shape the first time it is loaded.
+let data = { guilds: {} };
 let saveTimer = null;
 let voiceTimer = null;
 let dirty = false;
 let discordClient = null;
 
 function loadData() {
-  const raw = loadJsonSync(DATA_FILE, { users: {}, roleRewards: {} });
-  data = {
-    users: raw.users || {},
-    roleRewards: raw.roleRewards || {}
-  };
+  const { guilds, migrated } = guildKeyed(loadJsonSync(DATA_FILE, {}), raw => 'users' in raw);
+  data = { guilds: {} };
+  for (const [guildId, entry] of Object.entries(guilds)) {
+    data.guilds[guildId] = { users: entry?.users || {}, roleRewards: entry?.roleRewards || {} };
+  }
+  if (migrated) {
+    console.log('[LevelSystem] Moved the existing levels into the primary guild');
+    saveData();
+  }
+}
+
+// `guildId`'s levels, created on first use
+function guildData(guildId) {
+  if (!data.guilds[guildId]) data.guilds[guildId] = { users: {}, roleRewards: {} };
+  return data.guilds[guildId];
+}
+
+// The same for reading, without creating an entry for every guild somebody asks about
+function levelsOf(guildId) {
+  return data.guilds[guildId] || { users: {}, roleRewards: {} };
 }
 
 function saveData() {
@@ -72,8 +90,8 @@ function levelFromXp(xp) {
 /**
  * Get a user's progress within their current level.
  */
-export function xpProgressInLevel(userId) {
-  const user = data.users[userId];
+export function xpProgressInLevel(guildId, userId) {
+  const user = levelsOf(guildId).users[userId];
   if (!user) return { currentXp: 0, requiredXp: xpForLevel(1), level: 0 };
 
   const totalForCurrentLevel = totalXpForLevel(user.level);
@@ -86,15 +104,15 @@ export function xpProgressInLevel(userId) {
 /**
  * Get user level data.
  */
-export function getUserLevel(userId) {
-  return data.users[userId] || null;
+export function getUserLevel(guildId, userId) {
+  return levelsOf(guildId).users[userId] || null;
 }
 
 /**
  * Get leaderboard sorted by XP.
  */
-export function getLeaderboard(limit = 10) {
-  return Object.entries(data.users)
+export function getLeaderboard(guildId, limit = 10) {
+  return Object.entries(levelsOf(guildId).users)
     .sort(([, a], [, b]) => b.xp - a.xp)
     .slice(0, limit)
     .map(([userId, userData], index) => ({
@@ -109,8 +127,8 @@ export function getLeaderboard(limit = 10) {
 /**
  * Get rank position for a specific user.
  */
-function getUserRank(userId) {
-  const sorted = Object.entries(data.users)
+function getUserRank(guildId, userId) {
+  const sorted = Object.entries(levelsOf(guildId).users)
     .sort(([, a], [, b]) => b.xp - a.xp);
   const index = sorted.findIndex(([id]) => id === userId);
   return index === -1 ? null : index + 1;
@@ -119,19 +137,20 @@ function getUserRank(userId) {
 /**
  * Award XP and handle level-ups. Returns the new level if leveled up, null otherwise.
  */
-function awardXp(userId, displayName, amount) {
-  if (!data.users[userId]) {
-    data.users[userId] = { displayName, xp: 0, level: 0, lastMessageXpAt: 0 };
+function awardXp(guildId, userId, displayName, amount) {
+  const users = guildData(guildId).users;
+  if (!users[userId]) {
+    users[userId] = { displayName, xp: 0, level: 0, lastMessageXpAt: 0 };
   }
 
-  data.users[userId].displayName = displayName;
-  data.users[userId].xp += amount;
+  users[userId].displayName = displayName;
+  users[userId].xp += amount;
 
-  const newLevel = levelFromXp(data.users[userId].xp);
-  const oldLevel = data.users[userId].level;
+  const newLevel = levelFromXp(users[userId].xp);
+  const oldLevel = users[userId].level;
 
   if (newLevel > oldLevel) {
-    data.users[userId].level = newLevel;
+    users[userId].level = newLevel;
     markDirty();
     return { oldLevel, newLevel };
   }
@@ -143,14 +162,14 @@ function awardXp(userId, displayName, amount) {
 /**
  * Send level-up notification embed.
  */
-async function sendLevelUpNotification(channel, userId, newLevel, member) {
-  const progress = xpProgressInLevel(userId);
+async function sendLevelUpNotification(channel, guildId, userId, newLevel, member) {
+  const progress = xpProgressInLevel(guildId, userId);
   const embed = new EmbedBuilder()
     .setColor(0x00FF00)
     .setTitle('Level Up!')
     .setDescription(`<@${userId}> reached **level ${newLevel}**!`)
     .addFields(
-      { name: 'Total XP', value: `${data.users[userId].xp}`, inline: true },
+      { name: 'Total XP', value: `${levelsOf(guildId).users[userId].xp}`, inline: true },
       { name: 'Next Level', value: `${progress.currentXp}/${progress.requiredXp} XP`, inline: true }
     )
     .setThumbnail(member?.user?.displayAvatarURL({ size: 128 }) || null)
@@ -167,9 +186,10 @@ async function sendLevelUpNotification(channel, userId, newLevel, member) {
  * Check and assign role rewards for a user.
  */
 async function checkRoleRewards(member, newLevel) {
-  if (!member || Object.keys(data.roleRewards).length === 0) return;
+  const roleRewards = member ? levelsOf(member.guild.id).roleRewards : {};
+  if (!member || Object.keys(roleRewards).length === 0) return;
 
-  for (const [levelStr, roleId] of Object.entries(data.roleRewards)) {
+  for (const [levelStr, roleId] of Object.entries(roleRewards)) {
     const requiredLevel = parseInt(levelStr);
     if (newLevel >= requiredLevel && !member.roles.cache.has(roleId)) {
       try {
@@ -186,40 +206,49 @@ async function checkRoleRewards(member, newLevel) {
  * Handle message XP with cooldown.
  */
 function handleMessageXp(message) {
+  const guildId = message.guild.id;
   const userId = message.author.id;
   const displayName = message.member?.displayName || message.author.globalName || message.author.username;
   const now = Date.now();
+  const users = guildData(guildId).users;
 
   // Check cooldown
-  const user = data.users[userId];
+  const user = users[userId];
   if (user && (now - user.lastMessageXpAt) < MESSAGE_COOLDOWN_MS) return;
 
   // Set cooldown timestamp
-  if (!data.users[userId]) {
-    data.users[userId] = { displayName, xp: 0, level: 0, lastMessageXpAt: 0 };
+  if (!users[userId]) {
+    users[userId] = { displayName, xp: 0, level: 0, lastMessageXpAt: 0 };
   }
-  data.users[userId].lastMessageXpAt = now;
+  users[userId].lastMessageXpAt = now;
 
   // Award random XP
   const amount = Math.floor(Math.random() * (MESSAGE_XP_MAX - MESSAGE_XP_MIN + 1)) + MESSAGE_XP_MIN;
-  const levelUp = awardXp(userId, displayName, amount);
+  const levelUp = awardXp(guildId, userId, displayName, amount);
 
   if (levelUp) {
-    // Always send level-up notifications to the general channel
-    const generalChannel = message.guild?.channels.cache.get(GENERAL_CHANNEL_ID);
-    sendLevelUpNotification(generalChannel || message.channel, userId, levelUp.newLevel, message.member);
+    // Always send level-up notifications to the general channel, where the guild has one set
+    const generalChannelId = getGuildSettings(guildId).generalChannelId;
+    const generalChannel = generalChannelId ? message.guild.channels.cache.get(generalChannelId) : null;
+    sendLevelUpNotification(generalChannel || message.channel, guildId, userId, levelUp.newLevel, message.member);
     checkRoleRewards(message.member, levelUp.newLevel);
   }
 }
 
 /**
- * Scan voice channels and award voice XP.
+ * Scan every configured guild's voice channels and award voice XP.
  */
 function awardVoiceXp() {
   if (!discordClient) return;
 
-  const guild = discordClient.guilds.cache.get(process.env.GUILD_ID);
-  if (!guild) return;
+  for (const guildId of configuredGuildIds()) {
+    const guild = discordClient.guilds.cache.get(guildId);
+    if (guild) awardGuildVoiceXp(guild);
+  }
+}
+
+function awardGuildVoiceXp(guild) {
+  const generalChannelId = getGuildSettings(guild.id).generalChannelId;
 
   for (const [, channel] of guild.channels.cache) {
     if (!channel.isVoiceBased() || !channel.members) continue;
@@ -234,14 +263,14 @@ function awardVoiceXp() {
 
     for (const [memberId, member] of eligibleMembers) {
       const displayName = member.displayName || member.user.username;
-      const levelUp = awardXp(memberId, displayName, VOICE_XP_PER_MINUTE);
+      const levelUp = awardXp(guild.id, memberId, displayName, VOICE_XP_PER_MINUTE);
 
       if (levelUp) {
         // For voice XP level-ups, post to general channel
-        const notifChannel = guild.channels.cache.get(GENERAL_CHANNEL_ID);
+        const notifChannel = generalChannelId ? guild.channels.cache.get(generalChannelId) : null;
 
         if (notifChannel) {
-          sendLevelUpNotification(notifChannel, memberId, levelUp.newLevel, member);
+          sendLevelUpNotification(notifChannel, guild.id, memberId, levelUp.newLevel, member);
         }
         checkRoleRewards(member, levelUp.newLevel);
       }
@@ -258,7 +287,7 @@ export function initLevelSystem(client) {
 
   // Listen for messages
   client.on('messageCreate', (message) => {
-    if (message.author.bot || !message.guild) return;
+    if (message.author.bot || !message.guild || !isConfiguredGuild(message.guild.id)) return;
     handleMessageXp(message);
   });
 
@@ -0,0 +1,205 @@
+// Songs from links posted in chat.
+//
+// Somebody pastes a YouTube or Spotify link in a channel, and then somebody else copies it into
+// /play. This does that step for them, from two places: the "Add to queue" message command
+// (right-click a message, Apps) and, when a server has picked one on the admin page, reacting to
+// the message with its queue emoji. Both take every link in the message, not just the first.
+//
+// What counts as a link is urlValidation's business - the same allow-list every value handed to
+// yt-dlp goes through - narrowed to one song: a YouTube video or a Spotify track. A playlist or
+// an album is hundreds of songs from a single click, which is what /playlist and the dashboard's
+// import are for.
+//
+// Each link is one add against QUEUE_ADD_LIMIT, the dashboard's limit, counted before the link
+// is looked up: the yt-dlp call is what the limit is protecting.
+
+import { getQueue, createQueue, ytDlpExec, ytCookieOpts, checkSongGuardrails } from './musicQueue.js';
+import { channelInfo } from './queueGuardrails.js';
+import { isAllowedMediaUrl, youtubeVideoId, sanitizeSearchQuery } from './urlValidation.js';
+import { parseChapters, playRange, playRangeFromUrl } from './chapters.js';
+import { takeRateLimit, QUEUE_ADD_LIMIT } from './rateLimiter.js';
+import Spotify from 'spotify-url-info';
+import { fetch } from 'undici';
+
+const { getPreview } = Spotify(fetch);
+
+// A message with more links than this is a list somebody is sharing, not a request
+export const MAX_LINKS_PER_MESSAGE = 10;
+
+const SPOTIFY_TRACK = /^\/(?:intl-[a-z]{2}\/)?track\/[A-Za-z0-9]{22}\/?$/;
+
+export function isSpotifyTrackUrl(url) {
+  if (!isAllowedMediaUrl(url)) return false;
+  const parsed = new URL(url);
+  return parsed.hostname.toLowerCase() === 'open.spotify.com' && SPOTIFY_TRACK.test(parsed.pathname);
+}
+
+// Whether `url` is one song this can queue
+export function isQueueableLink(url) {
+  return !!youtubeVideoId(url) || isSpotifyTrackUrl(url);
+}
+
+// Every queueable link in `text`, in the order they appear, each song once.
+//
+// Discord's own syntax is stripped first: <url> (a link posted without its preview) and
+// [label](url). Punctuation a sentence put after a link is not part of it.
+export function extractMediaUrls(text, max = MAX_LINKS_PER_MESSAGE) {
+  if (typeof text !== 'string' || !text) return [];
+  const found = [];
+  const seen = new Set();
+  for (const match of text.matchAll(/https?:\/\/[^\s<>()[\]"']+/gi)) {
+    const url = match[0].replace(/[.,!?;:*_~|]+$/, '');
+    if (!isQueueableLink(url)) continue;
+    // The same video through youtu.be and youtube.com is one song
+    const key = youtubeVideoId(url) || url;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    found.push(url);
+    if (found.length >= max) break;
+  }
+  return found;
+}
+
+// The text of a Discord message the links are read from: what was typed, and the URLs of its
+// embeds, which is where a link sits in a message a bot or a webhook posted
+export function messageLinkText(message) {
+  const embedUrls = (message?.embeds || []).map(e => e?.url).filter(Boolean);
+  return [message?.content || '', ...embedUrls].join('\n');
+}
+
+// The song a link is, looked up the way /play looks one up. A Spotify track is played from the
+// YouTube video its artist and title find; null when there is none.
+export async function songFromLink(url, { requestedBy, requestedById }) {
+  let song;
+  if (isSpotifyTrackUrl(url)) {
+    const track = await getPreview(url);
+    const query = `${track.artist} - ${track.title}`;
+    const results = await ytDlpExec(`ytsearch1:${sanitizeSearchQuery(query)}`, {
+      ...ytCookieOpts,
+      dumpSingleJson: true,
+      noCheckCertificates: true,
+      noWarnings: true,
+      flatPlaylist: true,
+      skipDownload: true
+    });
+    const video = results.entries?.[0];
+    if (!video) return null;
+    song = {
+      title: query,
+      url: video.url || `https://www.youtube.com/watch?v=${video.id}`,
+      duration: Math.floor(track.duration / 1000) || 0,
+      thumbnail: track.image,
+      requestedBy,
+      requestedById,
+      source: 'spotify'
+    };
+  } else {
+    const videoInfo = await ytDlpExec(url, {
+      ...ytCookieOpts,
+      dumpSingleJson: true,
+      noCheckCertificates: true,
+      noWarnings: true,
+      skipDownload: true
+    });
+    song = {
+      title: videoInfo.title,
+      url: videoInfo.webpage_url || url,
+      duration: videoInfo.duration || 0,
+      thumbnail: videoInfo.thumbnail,
+      requestedBy,
+      requestedById,
+      source: 'youtube',
+      ...channelInfo(videoInfo),
+      chapters: parseChapters(videoInfo)
+    };
+    // A ?t= on a shared link plays from there, as it does from /play and the dashboard. One that
+    // does not fit the video is ignored rather than refusing the song: nobody typed it on purpose.
+    const range = playRange(playRangeFromUrl(url), song.duration);
+    if (!range.error) Object.assign(song, range);
+  }
+  return song;
+}
+
+// Queue `urls` for `member`, joining their voice channel the way /play does.
+//
+// @returns {{ error: string } | { queued: object[], refused: string[], rateLimited: number, started: boolean }}
+//   - `error` when nothing could be tried at all; otherwise what went in, why the rest did not
+//   (one line per link), and how many links the rate limit held back
+export async function queueLinks({ guild, member, urls }) {
+  const voiceChannel = member?.voice?.channel;
+  if (!voiceChannel) return { error: 'You need to be in a voice channel to queue music!' };
+  const permissions = voiceChannel.permissionsFor(guild.members.me);
+  if (!permissions?.has('Connect') || !permissions?.has('Speak')) {
+    return { error: 'I need permissions to join and speak in your voice channel!' };
+  }
+
+  const requester = { requestedBy: member.displayName, requestedById: member.id };
+  const queued = [];
+  const refused = [];
+  let rateLimited = 0;
+  let started = false;
+
+  for (const url of urls) {
+    if (!takeRateLimit(QUEUE_ADD_LIMIT.name, member.id, QUEUE_ADD_LIMIT.maxHits, QUEUE_ADD_LIMIT.windowMs)) {
+      rateLimited++;
+      continue;
+    }
+
+    let song;
+    try {
+      song = await songFromLink(url, requester);
+    } catch (error) {
+      console.error(`[LinkQueue] Looking up ${url} failed:`, error.message);
+      refused.push(error.stderr?.includes('Sign in to confirm your age')
+        ? `${url} is age-restricted.`
+        : `Could not load ${url}.`);
+      continue;
+    }
+    if (!song) {
+      refused.push(`Could not find ${url} on YouTube.`);
+      continue;
+    }
+
+    let queue = getQueue(guild.id);
+    const verdict = checkSongGuardrails(song, queue);
+    if (!verdict.ok) {
+      refused.push(`**${song.title}**: ${verdict.message}`);
+      continue;
+    }
+
+    // Only once there is a song to play, so a message full of refused links does not pull the
+    // bot into the channel
+    if (!queue) {
+      queue = createQueue(guild.id, { name: guild.name, icon: guild.iconURL({ size: 128 }) });
+    }
+    if (!queue.connection) await queue.join(voiceChannel);
+
+    queue.addSong(song);
+    queued.push(song);
+    if (!queue.isPlaying) {
+      const outcome = await queue.play();
+      if (outcome?.started) started = true;
+    }
+  }
+
+  return { queued, refused, rateLimited, started };
+}
+
+// What to tell the person who asked, from what queueLinks did
+export function describeQueuedLinks(result) {
+  if (result.error) return `❌ ${result.error}`;
+  const lines = [];
+  if (result.queued.length === 1) {
+    lines.push(result.started ? `🎵 Now playing: **${result.queued[0].title}**` : `➕ Added to queue: **${result.queued[0].title}**`);
+  } else if (result.queued.length > 1) {
+    lines.push(`➕ Added ${result.queued.length} songs to the queue:`);
+    for (const song of result.queued) lines.push(`• ${song.title}`);
+  }
+  for (const reason of result.refused) lines.push(`❌ ${reason}`);
+  if (result.rateLimited > 0) {
+    lines.push(`⏳ Skipped ${result.rateLimited} link${result.rateLimited === 1 ? '' : 's'}: that is more songs than can be added in a minute. Try again shortly.`);
+  }
+  // Ten long titles and ten refusals still have to fit in one Discord message
+  const text = lines.join('\n') || '❌ Nothing was added.';
+  return text.length > 1900 ? `${text.slice(0, 1897)}...` : text;
+}
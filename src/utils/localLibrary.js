@@ -0,0 +1,321 @@
+import { join, dirname, relative, resolve, extname, basename, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { execFile, execSync } from 'child_process';
+import { readdir, stat } from 'fs/promises';
+import { existsSync } from 'fs';
+import crypto from 'crypto';
+import { loadJsonSync, saveJsonSync } from './jsonStore.js';
+
+// A directory of audio files on this machine, as a song source next to YouTube.
+//
+// Every other song reaches the player through yt-dlp, so a YouTube outage or a 403 storm is
+// the whole evening's music gone. Files in LOCAL_MUSIC_DIR are indexed once (tags read with
+// ffprobe) and then play like any other song: they have a URL of their own (`local:<id>`),
+// they queue, prefetch, crossfade and get their loudness measured - the only step they skip
+// is the download, which for them is a symlink into the same tmp cache path a download
+// would have written (see MusicQueue.fetchAudioTo).
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+let dataFile = join(__dirname, '..', '..', 'data', 'localLibrary.json');
+
+export const LOCAL_URL_PREFIX = 'local:';
+export const LOCAL_AUDIO_EXTENSIONS = new Set(['.mp3', '.flac', '.ogg', '.opus']);
+
+// How long one file gets to answer ffprobe. A tag read is milliseconds; anything still running
+// after this is a file ffprobe is stuck on, and the track is indexed from its name instead.
+const PROBE_TIMEOUT_MS = 15_000;
+// Re-walked this often, so files dropped into the directory show up without a restart. Only new
+// and changed files are probed again, so a re-walk of an unchanged library is a directory read.
+const RESCAN_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Read live rather than captured, so tests and a changed .env agree on which directory it is
+function libraryDir() {
+  return process.env.LOCAL_MUSIC_DIR ? resolve(process.env.LOCAL_MUSIC_DIR) : null;
+}
+
+// ffprobe ships next to ffmpeg in every system package, but not with ffmpeg-static - so a
+// missing one is normal, and the index falls back to file names rather than failing.
+let ffprobePath;
+function findFfprobe() {
+  if (ffprobePath !== undefined) return ffprobePath;
+  ffprobePath = process.env.FFPROBE_PATH || null;
+  if (!ffprobePath) {
+    try {
+      const lookup = process.platform === 'win32' ? 'where ffprobe.exe' : 'which ffprobe';
+      ffprobePath = execSync(lookup, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).split(/\r?\n/)[0].trim() || null;
+    } catch {
+      ffprobePath = null;
+    }
+  }
+  if (!ffprobePath) console.log('[LocalLibrary] ffprobe not found - local tracks are indexed by file name only');
+  return ffprobePath;
+}
+
+let library = null; // { dir, scannedAt, tracks: { [id]: track } }
+let scanning = null;
+let rescanTimer = null;
+
+function load() {
+  if (library !== null) return;
+  library = loadJsonSync(dataFile, { dir: null, scannedAt: 0, tracks: {} });
+  if (!library || typeof library.tracks !== 'object' || library.tracks === null) {
+    library = { dir: null, scannedAt: 0, tracks: {} };
+  }
+}
+
+function save() {
+  saveJsonSync(dataFile, library);
+}
+
+// A stable ID from the path inside the library, so a queue saved across a restart (or a
+// playlist entry) still finds the same file. Not the path itself: that is the file system's
+// business, and a URL that carries it would be one that names files outside the library too.
+export function localTrackId(relPath) {
+  return crypto.createHash('sha1').update(relPath.split(sep).join('/')).digest('hex').slice(0, 16);
+}
+
+export function isLocalTrackUrl(url) {
+  return typeof url === 'string' && url.startsWith(LOCAL_URL_PREFIX);
+}
+
+export function localTrackUrl(id) {
+  return `${LOCAL_URL_PREFIX}${id}`;
+}
+
+// "03 - Artist - Song.flac" -> "Artist - Song". Only used when a file has no title tag.
+export function titleFromFilename(relPath) {
+  const name = basename(relPath, extname(relPath));
+  return name.replace(/^\d{1,3}\s*[-._)]\s*/, '').trim() || name;
+}
+
+// The tags out of `ffprobe -show_format -show_streams` JSON. Tag names are case-insensitive in
+// practice (ID3 writers say "title", Vorbis comments usually "TITLE"), and Ogg and Opus keep
+// theirs on the audio stream rather than on the container, so both places are read.
+export function parseProbeOutput(json) {
+  let data = json;
+  if (typeof json === 'string') {
+    try {
+      data = JSON.parse(json);
+    } catch {
+      return { title: null, artist: null, album: null, duration: 0 };
+    }
+  }
+
+  const tags = {};
+  const collect = (source) => {
+    for (const [key, value] of Object.entries(source || {})) {
+      const name = key.toLowerCase();
+      if (tags[name] === undefined && typeof value === 'string' && value.trim()) tags[name] = value.trim();
+    }
+  };
+  collect(data?.format?.tags);
+  for (const stream of data?.streams || []) collect(stream?.tags);
+
+  const duration = Number(data?.format?.duration);
+  return {
+    title: tags.title || null,
+    artist: tags.artist || tags.album_artist || null,
+    album: tags.album || null,
+    duration: Number.isFinite(duration) && duration > 0 ? Math.round(duration) : 0
+  };
+}
+
+function probeFile(path) {
+  const ffprobe = findFfprobe();
+  if (!ffprobe) return Promise.resolve(null);
+  return new Promise(resolveProbe => {
+    execFile(ffprobe, ['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', path],
+      { timeout: PROBE_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024 },
+      (error, stdout) => resolveProbe(error ? null : parseProbeOutput(stdout)));
+  });
+}
+
+async function walk(dir, found = []) {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    console.error(`[LocalLibrary] Could not read ${dir}:`, err.message);
+    return found;
+  }
+  for (const entry of entries) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) await walk(path, found);
+    else if (entry.isFile() && LOCAL_AUDIO_EXTENSIONS.has(extname(entry.name).toLowerCase())) found.push(path);
+  }
+  return found;
+}
+
+// Index `dir`. A file whose size and mtime match what `previous` recorded keeps its entry
+// without being probed again; everything else is probed, one file at a time.
+//
+// @param probe - reads one file's tags, resolving null when it cannot. Replaceable so the
+//   walk can be tested without ffprobe.
+// @returns {{ tracks: Object, probed: number, reused: number }}
+export async function scanLibrary(dir, { previous = {}, probe = probeFile } = {}) {
+  const byPath = new Map(Object.values(previous || {}).map(track => [track.relPath, track]));
+  const tracks = {};
+  let probed = 0;
+  let reused = 0;
+
+  for (const path of await walk(dir)) {
+    const relPath = relative(dir, path);
+    let info;
+    try {
+      info = await stat(path);
+    } catch {
+      continue; // Gone between the readdir and now
+    }
+
+    const known = byPath.get(relPath);
+    if (known && known.size === info.size && known.mtimeMs === info.mtimeMs) {
+      tracks[known.id] = known;
+      reused++;
+      continue;
+    }
+
+    const tags = await probe(path);
+    probed++;
+    const id = localTrackId(relPath);
+    tracks[id] = {
+      id,
+      relPath,
+      title: tags?.title || titleFromFilename(relPath),
+      artist: tags?.artist || null,
+      album: tags?.album || null,
+      duration: tags?.duration || 0,
+      size: info.size,
+      mtimeMs: info.mtimeMs
+    };
+  }
+
+  return { tracks, probed, reused };
+}
+
+// Re-index the configured directory. Concurrent callers share the one walk in flight.
+export function rescanLocalLibrary() {
+  if (scanning) return scanning;
+  const dir = libraryDir();
+  if (!dir) return Promise.resolve(null);
+
+  load();
+  const startedAt = Date.now();
+  scanning = (async () => {
+    try {
+      // A different directory than last time shares no files with the old index
+      const previous = library.dir === dir ? library.tracks : {};
+      const { tracks, probed, reused } = await scanLibrary(dir, { previous });
+      library = { dir, scannedAt: Date.now(), tracks };
+      save();
+      console.log(`[LocalLibrary] Indexed ${Object.keys(tracks).length} track(s) in ${dir} (${probed} probed, ${reused} unchanged) in ${Date.now() - startedAt}ms`);
+      return library;
+    } catch (err) {
+      console.error('[LocalLibrary] Indexing failed:', err.message);
+      return null;
+    } finally {
+      scanning = null;
+    }
+  })();
+  return scanning;
+}
+
+// Called once at startup. Does nothing at all without LOCAL_MUSIC_DIR.
+export function initLocalLibrary() {
+  const dir = libraryDir();
+  if (!dir) return;
+  if (!existsSync(dir)) {
+    console.error(`[LocalLibrary] LOCAL_MUSIC_DIR does not exist: ${dir}`);
+    return;
+  }
+  rescanLocalLibrary();
+  if (!rescanTimer) {
+    rescanTimer = setInterval(() => { rescanLocalLibrary(); }, RESCAN_INTERVAL_MS);
+    if (typeof rescanTimer.unref === 'function') rescanTimer.unref();
+  }
+}
+
+export function isLocalLibraryEnabled() {
+  return !!libraryDir();
+}
+
+// What a track is called everywhere a song title is shown
+export function displayTitle(track) {
+  return track.artist ? `${track.artist} - ${track.title}` : track.title;
+}
+
+// Rank `tracks` against a free-text query. Every word has to appear somewhere in the title,
+// artist, album or path; a word in the title or artist counts for more than one that only
+// matched the folder it sits in. Ties go to the shorter title, which is usually the closer one.
+export function searchTracks(tracks, query, limit = 10) {
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const scored = [];
+  for (const track of tracks) {
+    const title = (track.title || '').toLowerCase();
+    const artist = (track.artist || '').toLowerCase();
+    const rest = `${track.album || ''} ${track.relPath || ''}`.toLowerCase();
+    let score = 0;
+    let matched = true;
+    for (const term of terms) {
+      if (title.includes(term)) score += 3;
+      else if (artist.includes(term)) score += 2;
+      else if (rest.includes(term)) score += 1;
+      else { matched = false; break; }
+    }
+    if (matched) scored.push({ track, score });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score || (a.track.title || '').length - (b.track.title || '').length)
+    .slice(0, limit)
+    .map(entry => entry.track);
+}
+
+export function searchLocalLibrary(query, limit = 10) {
+  if (!libraryDir()) return [];
+  load();
+  return searchTracks(Object.values(library.tracks), query, limit);
+}
+
+export function getLocalTrack(url) {
+  if (!isLocalTrackUrl(url)) return null;
+  load();
+  return library.tracks[url.slice(LOCAL_URL_PREFIX.length)] || null;
+}
+
+// The file behind a `local:` URL, or null when it is not (or no longer) in the library. The
+// index is the only way from an ID to a path, and the result is checked to still be inside the
+// library directory, so a URL cannot be made to name any other file on the machine.
+export function resolveLocalTrackPath(url) {
+  const dir = libraryDir();
+  const track = getLocalTrack(url);
+  if (!dir || !track) return null;
+  const path = resolve(dir, track.relPath);
+  if (!path.startsWith(dir + sep)) return null;
+  return existsSync(path) ? path : null;
+}
+
+// A library track as a queue entry, in the same shape every other source produces
+export function localTrackToSong(track, requestedBy, requestedById = null) {
+  return {
+    title: displayTitle(track),
+    url: localTrackUrl(track.id),
+    duration: track.duration || 0,
+    thumbnail: null,
+    requestedBy,
+    requestedById,
+    source: 'local'
+  };
+}
+
+// For the tests: point the module at a different index file and forget what it had loaded
+export function setLocalLibraryPath(path) {
+  if (rescanTimer) {
+    clearInterval(rescanTimer);
+    rescanTimer = null;
+  }
+  library = null;
+  dataFile = path;
+}
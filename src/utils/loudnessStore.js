@@ -0,0 +1,88 @@
+// Loudness measurements that outlive the file they were taken from, keyed by YouTube video ID.
+//
+// musicQueue measures a song's loudness on the finished download and keeps the result against
+// the /tmp path, because that is what playback reads it by. The path is gone the moment the
+// song ends, though, and so was the measurement - on a library that is mostly the same covers
+// on repeat, that meant paying the 8.6s analysis pass for the same song every evening, and a
+// repeat the play path had to fetch on the spot played unnormalized every time.
+//
+// A video's audio does not change between plays, so what was measured once is written down
+// here and handed to the next download of the same video before anything measures it again.
+//
+// File IO only: the values are validated by musicQueue on the way out (see knownLoudness
+// there), which owns the ranges ffmpeg accepts. This module never decides whether a number is
+// safe to hand to loudnorm.
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadJsonSync, saveJsonSync } from './jsonStore.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Enough for every song this server has ever played many times over, at about 150 bytes each.
+// Past it, the measurements least recently taken go first: a song nobody has asked for since
+// it was measured is the one least likely to need the number again.
+export const LOUDNESS_STORE_MAX_ENTRIES = 5000;
+
+const FIELDS = ['input_i', 'input_tp', 'input_lra', 'input_thresh', 'target_offset'];
+
+let storeFile = join(__dirname, '..', '..', 'data', 'loudness.json');
+let store = null; // { [videoId]: { input_i, input_tp, input_lra, input_thresh, target_offset, title, measuredAt } }
+
+// Tests point the store somewhere disposable (the same seam as queueState's setQueueStatePath)
+export function setLoudnessStorePath(filePath) {
+  storeFile = filePath;
+  store = null;
+}
+
+function load() {
+  if (store !== null) return store;
+  const loaded = loadJsonSync(storeFile, {});
+  store = loaded && typeof loaded === 'object' && !Array.isArray(loaded) ? loaded : {};
+  return store;
+}
+
+// @returns {object|null} the five measured values recorded for this video, unvalidated
+export function storedLoudness(videoId) {
+  if (!videoId) return null;
+  const entry = load()[videoId];
+  if (!entry || typeof entry !== 'object') return null;
+  const values = {};
+  for (const field of FIELDS) values[field] = entry[field];
+  return values;
+}
+
+// Record one measurement. Written straight away rather than debounced: it happens at most once
+// per song, and a measurement lost with the process is exactly what this module exists to
+// prevent. `maxEntries` is only ever passed by the tests, which cannot wait for 5000 writes.
+export function storeLoudness(videoId, values, { title = null, measuredAt = Date.now(), maxEntries = LOUDNESS_STORE_MAX_ENTRIES } = {}) {
+  if (!videoId || !values) return false;
+  const entries = load();
+  const entry = { title, measuredAt };
+  for (const field of FIELDS) entry[field] = values[field];
+  entries[videoId] = entry;
+
+  const ids = Object.keys(entries);
+  if (ids.length > maxEntries) {
+    ids.sort((a, b) => (entries[a].measuredAt || 0) - (entries[b].measuredAt || 0));
+    for (const id of ids.slice(0, ids.length - maxEntries)) delete entries[id];
+  }
+
+  try {
+    saveJsonSync(storeFile, entries);
+  } catch (err) {
+    // The measurement is still good for this play; only the next one will have to redo it
+    console.error('[LoudnessStore] Could not save loudness measurements:', err.message);
+  }
+  return true;
+}
+
+// Everything recorded, for the stats page: { [videoId]: { i, tp, lra, measuredAt } }
+export function getStoredLoudness() {
+  const out = {};
+  for (const [id, entry] of Object.entries(load())) {
+    if (!entry || typeof entry !== 'object') continue;
+    out[id] = { i: entry.input_i, tp: entry.input_tp, lra: entry.input_lra, measuredAt: entry.measuredAt || null };
+  }
+  return out;
+}
@@ -0,0 +1,194 @@
+// Lyrics for the song that is playing: looked up on lrclib, parsed from LRC into timed lines
+// here rather than in every browser, and cached per song so the lookup happens once.
+//
+// The timing used to be the dashboard's job - it got raw LRC back from /api/lyrics and matched
+// lines against its own idea of the playback position, a clock it runs locally between the
+// server's once-a-second ticks. Every dashboard drifted on its own, and nothing outside a
+// browser (a Discord message, say) could follow along at all. Now musicQueue asks this module
+// which line the real position is on (lyricLineAt) and pushes it with the position, so
+// everything that shows lyrics shows the same line.
+//
+// Cached by YouTube video ID, or by URL for anything else, in data/lyricsCache.json. A song
+// lrclib has nothing for is remembered too, for a day, so a song with no lyrics does not cost
+// three searches every time it comes round.
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadJsonSync, saveJsonSync } from './jsonStore.js';
+import { youtubeVideoId } from './urlValidation.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// A few thousand lines of lyrics is a few hundred KB; past this many songs, the ones looked up
+// longest ago go first
+export const LYRICS_CACHE_MAX_ENTRIES = 500;
+const NOT_FOUND_TTL_MS = 24 * 60 * 60 * 1000;
+const LRCLIB_SEARCH = 'https://lrclib.net/api/search?q=';
+
+let cacheFile = join(__dirname, '..', '..', 'data', 'lyricsCache.json');
+let cache = null; // { [key]: { found, title, artist, synced, lines, text, fetchedAt } }
+const inFlight = new Map();
+
+// For the tests: point the cache at a different file and forget what it had loaded
+export function setLyricsCachePath(filePath) {
+  cacheFile = filePath;
+  cache = null;
+  inFlight.clear();
+}
+
+function load() {
+  if (cache !== null) return cache;
+  const loaded = loadJsonSync(cacheFile, {});
+  cache = loaded && typeof loaded === 'object' && !Array.isArray(loaded) ? loaded : {};
+  return cache;
+}
+
+export function lyricsKey(url) {
+  return url ? (youtubeVideoId(url) || url) : null;
+}
+
+// LRC into [{ time, text }], sorted by time. Handles the parts of the format lrclib actually
+// serves: several timestamps on one line ("[00:12.00][01:40.00]chorus"), an [offset:+/-ms]
+// tag, and empty lines, which are kept - they mark an instrumental gap, and without them the
+// last line before a solo would stay "current" all through it.
+export function parseLrc(text) {
+  if (typeof text !== 'string') return [];
+  let offset = 0;
+  const lines = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const offsetTag = raw.match(/^\s*\[offset:\s*([+-]?\d+)\s*\]/i);
+    if (offsetTag) {
+      offset = Number(offsetTag[1]) / 1000;
+      continue;
+    }
+    const stamps = [];
+    let rest = raw.trim();
+    let stamp;
+    while ((stamp = rest.match(/^\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/))) {
+      const fraction = stamp[3] ? Number(`0.${stamp[3]}`) : 0;
+      stamps.push(Number(stamp[1]) * 60 + Number(stamp[2]) + fraction);
+      rest = rest.slice(stamp[0].length);
+    }
+    for (const time of stamps) lines.push({ time, text: rest.trim() });
+  }
+  // A positive offset means the lyrics come earlier than their timestamps say
+  return lines
+    .map(line => ({ time: Math.max(0, Math.round((line.time - offset) * 1000) / 1000), text: line.text }))
+    .sort((a, b) => a.time - b.time);
+}
+
+// The line being sung at `position` seconds: the last one that has started. -1 before the
+// first line.
+export function lyricLineAt(lines, position) {
+  let lo = 0;
+  let hi = lines.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (lines[mid].time <= position) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+// A YouTube title into what lrclib can find: "(Official Video)", "[HD]" and the like removed,
+// and "Artist - Song" split in two
+export function lyricsSearchTerms(title, artist = '') {
+  const cleanTitle = String(title || '')
+    .replace(/\(official\s*(music\s*)?video\)/gi, '')
+    .replace(/\(lyric\s*video\)/gi, '')
+    .replace(/\(audio\)/gi, '')
+    .replace(/\[.*?\]/g, '')
+    .replace(/\s*-\s*$/, '')
+    .trim();
+  if (!artist && cleanTitle.includes(' - ')) {
+    const parts = cleanTitle.split(' - ');
+    return { artist: parts[0].trim(), title: parts.slice(1).join(' - ').trim(), cleanTitle };
+  }
+  return { artist: artist || '', title: cleanTitle, cleanTitle };
+}
+
+// Lyrics already looked up for this song, without looking anything up: what musicQueue's
+// per-second tick uses, which must never wait on the network
+export function cachedLyrics(url) {
+  const key = lyricsKey(url);
+  if (!key) return null;
+  const entry = load()[key];
+  return entry?.found ? entry : null;
+}
+
+function remember(key, entry) {
+  const entries = load();
+  entries[key] = entry;
+  const keys = Object.keys(entries);
+  if (keys.length > LYRICS_CACHE_MAX_ENTRIES) {
+    keys.sort((a, b) => (entries[a].fetchedAt || 0) - (entries[b].fetchedAt || 0));
+    for (const old of keys.slice(0, keys.length - LYRICS_CACHE_MAX_ENTRIES)) delete entries[old];
+  }
+  try {
+    saveJsonSync(cacheFile, entries);
+  } catch (err) {
+    console.error('[Lyrics] Could not save the lyrics cache:', err.message);
+  }
+}
+
+async function searchLrclib(query, fetchFn) {
+  const response = await fetchFn(LRCLIB_SEARCH + encodeURIComponent(query));
+  if (!response.ok) throw new Error(`lrclib answered ${response.status}`);
+  const results = await response.json();
+  return Array.isArray(results) ? results : [];
+}
+
+// Lyrics for a song: { title, artist, synced, lines, text }, where `lines` are the timed lines
+// of synced lyrics (empty for plain ones) and `text` is the words without timing. null when
+// lrclib has none. Cached, and concurrent lookups of one song share a request.
+//
+// Throws when lrclib cannot be reached, which is not cached: that is worth trying again.
+export async function getLyrics({ url = null, title, artist = '' }, { fetchFn = fetch, now = Date.now() } = {}) {
+  const key = lyricsKey(url);
+  if (key) {
+    const entry = load()[key];
+    if (entry && (entry.found || now - entry.fetchedAt < NOT_FOUND_TTL_MS)) return entry.found ? entry : null;
+    if (inFlight.has(key)) return inFlight.get(key);
+  }
+
+  const lookup = (async () => {
+    const terms = lyricsSearchTerms(title, artist);
+    // Most specific first; the original title last, for titles the cleanup made worse
+    const queries = [...new Set([`${terms.artist} ${terms.title}`.trim(), terms.cleanTitle, String(title || '')])].filter(Boolean);
+    let best = null;
+    for (const query of queries) {
+      const results = await searchLrclib(query, fetchFn);
+      // Synced lyrics are what everything here is for; plain ones are the fallback
+      best = results.find(r => r.syncedLyrics) || results.find(r => r.plainLyrics) || null;
+      if (best) break;
+    }
+
+    const lines = best?.syncedLyrics ? parseLrc(best.syncedLyrics) : [];
+    const entry = best && (lines.length > 0 || best.plainLyrics)
+      ? {
+        found: true,
+        title: best.trackName || null,
+        artist: best.artistName || null,
+        synced: lines.length > 0,
+        lines,
+        text: lines.length > 0 ? lines.map(l => l.text).join('\n') : best.plainLyrics,
+        fetchedAt: now
+      }
+      : { found: false, fetchedAt: now };
+    if (key) remember(key, entry);
+    return entry.found ? entry : null;
+  })();
+
+  if (!key) return lookup;
+  inFlight.set(key, lookup);
+  try {
+    return await lookup;
+  } finally {
+    inFlight.delete(key);
+  }
+}
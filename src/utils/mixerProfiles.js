@@ -0,0 +1,201 @@
+// The mixer's vocabulary: what its settings are, the presets everyone shares, and the profiles
+// each DJ saves for themselves.
+//
+// The presets used to live twice - a table in server.js that applied them and a copy in
+// index.html that worked out which button to light up - and a preset added to one and not the
+// other was a button that did something and then never showed as on. They live here now, once,
+// and both the dashboard and /mixer read them from the same place; the dashboard is told which
+// one is active rather than working it out.
+//
+// Pure apart from the profile file, and knows nothing about ffmpeg: buildFilterChain in
+// musicQueue turns these values into filters.
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadJsonSync, saveJsonSync } from './jsonStore.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// The ISO octave centres, 31Hz to 16kHz: ten bands an octave wide cover the whole audible
+// range without two of them fighting over the same frequencies.
+export const GRAPHIC_EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+// Tighter than the bass/mid/treble faders' 20dB: ten bands stack, and ten boosts at 20dB is a
+// clipped mess long before it is a sound anybody asked for
+export const EQ_BAND_LIMIT_DB = 12;
+
+export const DEFAULT_MIXER_FILTERS = Object.freeze({
+  bass: 0, mid: 0, treble: 0, speed: 1.0,
+  // 'simple' is the bass/mid/treble faders, 'graphic' the ten bands; only one shapes the sound
+  eqMode: 'simple',
+  eqBands: Object.freeze(GRAPHIC_EQ_BANDS.map(() => 0)),
+  karaoke: false,
+  eightD: false, eightDRate: 0.15,
+  reverb: 0,
+  compressor: false,
+  // A soft ceiling just under full scale, last in the chain - what keeps a boosted EQ from
+  // clipping, and half of night mode
+  limiter: false,
+  flanger: false
+});
+
+// The shared presets, in the order the dashboard shows them. Each one is a complete mixer
+// state: whatever a preset does not mention goes back to its default, so picking one always
+// sounds the same whatever was on before.
+export const MIXER_PRESETS = {
+  normal:    { label: 'Normal', filters: {} },
+  bassboost: { label: 'Bass Boost', filters: { bass: 10 } },
+  // Out of the way below the voice, up where consonants and presence live
+  vocal:     { label: 'Vocal', filters: { eqMode: 'graphic', eqBands: [-6, -5, -3, -1, 1, 3, 4, 3, 1, 0] } },
+  // Quiet parts up, loud parts held down, and nothing past the ceiling: late-evening listening
+  nightmode: { label: 'Night Mode', filters: { compressor: true, limiter: true } },
+  nightcore: { label: 'Nightcore', filters: { treble: 3, speed: 1.25 } },
+  slowed:    { label: 'Slowed', filters: { bass: 3, treble: -2, speed: 0.85 } },
+  karaoke:   { label: 'Karaoke', filters: { karaoke: true } },
+  eightd:    { label: '8D', filters: { eightD: true, reverb: 20 } }
+};
+
+// Fresh arrays every time, so nothing that is handed a mixer state can edit the defaults
+function defaults() {
+  return { ...DEFAULT_MIXER_FILTERS, eqBands: [...DEFAULT_MIXER_FILTERS.eqBands] };
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+// `current` with every field of `changes` that is a usable value applied, clamped into the range
+// ffmpeg can be handed. A field that is missing or not a number is left as it was rather than
+// written as NaN - Math.max/min/round all propagate NaN, and a NaN gain is a broken filter string
+// for every listener.
+export function clampMixerValues(current, changes = {}) {
+  const out = { ...defaults(), ...current };
+  out.eqBands = Array.isArray(current?.eqBands) ? [...current.eqBands] : [...DEFAULT_MIXER_FILTERS.eqBands];
+  const num = (value) => (typeof value === 'number' || typeof value === 'string') && value !== '' && Number.isFinite(Number(value)) ? Number(value) : null;
+
+  for (const field of ['bass', 'mid', 'treble']) {
+    const value = num(changes[field]);
+    if (value !== null) out[field] = clamp(Math.round(value), -20, 20);
+  }
+  const speed = num(changes.speed);
+  if (speed !== null) out.speed = clamp(speed, 0.5, 2.0);
+  const rate = num(changes.eightDRate);
+  if (rate !== null) out.eightDRate = clamp(rate, 0.05, 0.5);
+  const reverb = num(changes.reverb);
+  if (reverb !== null) out.reverb = clamp(Math.round(reverb), 0, 100);
+  for (const field of ['karaoke', 'eightD', 'compressor', 'limiter', 'flanger']) {
+    if (changes[field] !== undefined) out[field] = !!changes[field];
+  }
+  if (changes.eqMode === 'simple' || changes.eqMode === 'graphic') out.eqMode = changes.eqMode;
+  if (Array.isArray(changes.eqBands)) {
+    GRAPHIC_EQ_BANDS.forEach((_, i) => {
+      const gain = num(changes.eqBands[i]);
+      if (gain !== null) out.eqBands[i] = clamp(Math.round(gain), -EQ_BAND_LIMIT_DB, EQ_BAND_LIMIT_DB);
+    });
+  }
+  out.eqBands = out.eqBands.slice(0, GRAPHIC_EQ_BANDS.length);
+  while (out.eqBands.length < GRAPHIC_EQ_BANDS.length) out.eqBands.push(0);
+  return out;
+}
+
+// The complete mixer state a preset stands for, or null for a name that is not one
+export function presetFilters(name) {
+  const preset = Object.hasOwn(MIXER_PRESETS, name) ? MIXER_PRESETS[name] : null;
+  return preset ? clampMixerValues(defaults(), preset.filters) : null;
+}
+
+function sameFilters(a, b) {
+  return Object.keys(DEFAULT_MIXER_FILTERS).every(field => field === 'eqBands'
+    ? a.eqBands.every((gain, i) => gain === b.eqBands[i])
+    : a[field] === b[field]);
+}
+
+// Which preset the mixer is on right now, or null when it has been moved off all of them.
+// eightDRate only counts while 8D is on, so a rate left behind by an earlier 8D session does not
+// stop "Normal" from reading as Normal.
+export function matchingPreset(filters) {
+  const current = clampMixerValues(filters);
+  if (!current.eightD) current.eightDRate = DEFAULT_MIXER_FILTERS.eightDRate;
+  for (const name of Object.keys(MIXER_PRESETS)) {
+    if (sameFilters(current, presetFilters(name))) return name;
+  }
+  return null;
+}
+
+export function listMixerPresets() {
+  return Object.entries(MIXER_PRESETS).map(([name, preset]) => ({ name, label: preset.label }));
+}
+
+// --- per-DJ profiles ----------------------------------------------------------------------
+//
+// A DJ's own mixer settings under a name of their choosing, recalled from the dashboard or
+// /mixer. Keyed by Discord user ID, so the dashboard and the slash command see the same list.
+
+export const MAX_PROFILES_PER_USER = 10;
+export const MAX_PROFILE_NAME_LENGTH = 32;
+
+let profilesFile = join(__dirname, '..', '..', 'data', 'mixerProfiles.json');
+let profiles = null; // { [userId]: { [name]: { filters, savedAt } } }
+
+// Tests point the store somewhere disposable (the same seam as queueState's setQueueStatePath)
+export function setMixerProfilesPath(filePath) {
+  profilesFile = filePath;
+  profiles = null;
+}
+
+function load() {
+  if (profiles === null) {
+    const loaded = loadJsonSync(profilesFile, {});
+    profiles = loaded && typeof loaded === 'object' && !Array.isArray(loaded) ? loaded : {};
+  }
+  return profiles;
+}
+
+// Trimmed, whitespace collapsed, and not empty; null for anything that is not a usable name
+export function cleanProfileName(name) {
+  if (typeof name !== 'string') return null;
+  const cleaned = name.replace(/\s+/g, ' ').trim();
+  return cleaned && cleaned.length <= MAX_PROFILE_NAME_LENGTH ? cleaned : null;
+}
+
+// A user's profiles, newest first: [{ name, savedAt }]
+export function listMixerProfiles(userId) {
+  const own = load()[userId] || {};
+  return Object.entries(own)
+    .map(([name, profile]) => ({ name, savedAt: profile.savedAt || 0 }))
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+// @returns {{ filters: object }|null} the saved state, re-clamped in case the file was edited
+export function getMixerProfile(userId, name) {
+  const profile = load()[userId]?.[cleanProfileName(name)];
+  return profile ? { filters: clampMixerValues(defaults(), profile.filters || {}) } : null;
+}
+
+// Save (or overwrite) a profile. Names compare exactly, so "Party" and "party" are two profiles,
+// as they would be anywhere else a user types a name.
+//
+// @returns {{ success: boolean, error?: string }}
+export function saveMixerProfile(userId, name, filters) {
+  const cleaned = cleanProfileName(name);
+  if (!userId) return { success: false, error: 'Log in to save a mixer profile' };
+  if (!cleaned) return { success: false, error: `Profile names are 1-${MAX_PROFILE_NAME_LENGTH} characters` };
+  const all = load();
+  const own = all[userId] || {};
+  if (!own[cleaned] && Object.keys(own).length >= MAX_PROFILES_PER_USER) {
+    return { success: false, error: `You already have ${MAX_PROFILES_PER_USER} profiles - delete one first` };
+  }
+  own[cleaned] = { filters: clampMixerValues(filters), savedAt: Date.now() };
+  all[userId] = own;
+  saveJsonSync(profilesFile, all);
+  return { success: true, name: cleaned };
+}
+
+export function deleteMixerProfile(userId, name) {
+  const cleaned = cleanProfileName(name);
+  const all = load();
+  if (!cleaned || !all[userId]?.[cleaned]) return false;
+  delete all[userId][cleaned];
+  if (Object.keys(all[userId]).length === 0) delete all[userId];
+  saveJsonSync(profilesFile, all);
+  return true;
+}
@@ -61,10 +61,21 @@ export const ytCookieOpts = process.env.YOUTUBE_COOKIES_BROWSER
 import ffmpegStatic from 'ffmpeg-static';
 import { tmpdir } from 'os';
 import { join, dirname } from 'path';
-import { unlinkSync, existsSync, readdirSync, statSync, utimesSync } from 'fs';
+import { unlinkSync, existsSync, readdirSync, statSync, lstatSync, utimesSync, symlinkSync, copyFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { loadJsonSync, saveJsonSync } from './jsonStore.js';
-import { isAllowedMediaUrl } from './urlValidation.js';
+import { isAllowedMediaUrl, youtubeVideoId } from './urlValidation.js';
+import { storedLoudness, storeLoudness } from './loudnessStore.js';
+import { takeFromAudioCache, addToAudioCache, getAudioCacheStats } from './audioCache.js';
+import { DEFAULT_MIXER_FILTERS, GRAPHIC_EQ_BANDS, clampMixerValues, matchingPreset } from './mixerProfiles.js';
+import { isLocalTrackUrl, resolveLocalTrackPath } from './localLibrary.js';
+import { recordPlayEvent, flushPlayEvents, songPlayStats, getPlayEvents } from './playEvents.js';
+import { primaryGuildId, guildKeyed } from './guilds.js';
+import { cachedLyrics, lyricLineAt } from './lyrics.js';
+import { parseChapters, chapterIndexAt, nextChapter } from './chapters.js';
+import { clampRadioFavouriteShare, favouriteRadioCandidates, weightDiscoveryTracks, planRadioPick } from './radioStrategy.js';
+import { clampQueueGuardrails, checkQueueGuardrails } from './queueGuardrails.js';
+import { snapshotSongs, snapshotResumePosition } from './queueSnapshots.js';
 import { isRecording, stopRecording } from './voiceRecorder.js';
 import {
   QUEUE_STATE_VERSION,
@@ -107,12 +118,16 @@ if (!ffmpegPath || process.platform === 'linux') {
 
 // Recently played persistence
 const RECENTLY_PLAYED_FILE = join(__dirname, '..', '..', 'data', 'recentlyPlayed.json');
-const SETTINGS_FILE = join(__dirname, '..', '..', 'data', 'playerSettings.json');
+let settingsFile = join(__dirname, '..', '..', 'data', 'playerSettings.json');
 const STATS_FILE = join(__dirname, '..', '..', 'data', 'listeningStats.json');
 const SEVEN_DAYS_MS = 7 * 24 * 60 * 60 * 1000;
 // How long a seek/filter restart may stay pending before we assume the Playing
 // transition is never coming and unstick the player
 const SEEK_WATCHDOG_MS = 10000;
+// A song that stops on its own this many seconds or more before its known end did not finish
+// (see trackAndClearListening). Generous, so the rounding in a listed duration never turns a
+// real finish into a failure.
+const NATURAL_END_SLACK_SEC = 10;
 // How much of an encoder's stderr is worth keeping to explain its death. Three lines of ffmpeg
 // error is the difference between "code 8" and "403 Forbidden"; a megabyte of it is a leak.
 const ENCODER_STDERR_TAIL_CHARS = 2000;
@@ -311,15 +326,23 @@ export function describeDownloadFailure(error) {
 // spend in silence, and there was no way to read that off the logs at all: how long a
 // download took, how many attempts it cost, and whether it happened early enough to matter
 // are exactly the three numbers that say whether it is working.
-export function formatDownloadTiming(title, ms, attempts, prefetched = false) {
+//
+// @param cached - the song came out of the on-disk audio cache (audioCache.js), so there were no
+//   attempts to count, and the time is what the copy took
+export function formatDownloadTiming(title, ms, attempts, prefetched = false, cached = false) {
+  if (cached) return `[MusicQueue] took "${title}" from the audio cache in ${ms}ms${prefetched ? ' (prefetched)' : ''}`;
   const plural = attempts === 1 ? 'attempt' : 'attempts';
   return `[MusicQueue] downloaded "${title}" in ${ms}ms (${attempts} ${plural}${prefetched ? ', prefetched' : ''})`;
 }
 
 // Whether the song that just started was already on disk, logged at every transition so the
 // hit rate reads straight out of `pm2 logs` without a counter to poll or an endpoint to add.
-export function formatTransition(hit, title, hits, misses) {
-  return `[MusicQueue] transition: prefetch ${hit ? 'HIT' : 'MISS'} for "${title}" (${hits} hit / ${misses} miss)`;
+//
+// @param cache - the audio cache's own counters ({ hits, misses }), which answer the next
+//   question down: of the songs that had to be fetched at all, how many never reached yt-dlp
+export function formatTransition(hit, title, hits, misses, cache = null) {
+  const cached = cache ? `, audio cache (${cache.hits} hit / ${cache.misses} miss)` : '';
+  return `[MusicQueue] transition: prefetch ${hit ? 'HIT' : 'MISS'} for "${title}" (${hits} hit / ${misses} miss)${cached}`;
 }
 
 // Where one song's audio goes while it is being fetched.
@@ -356,8 +379,10 @@ function sweepStaleCacheFiles(minAgeMs = TMP_SWEEP_MIN_AGE_MS) {
       if (!name.startsWith('godcord_')) continue;
       const path = join(tmpdir(), name);
       try {
-        const stats = statSync(path);
-        if (!stats.isFile() || stats.mtimeMs > cutoff) continue;
+        // lstat, not stat: a local library track is a symlink here (see fetchLocalTrackTo), and
+        // its age is when it was linked, not when the file it points at was last written
+        const stats = lstatSync(path);
+        if (!(stats.isFile() || stats.isSymbolicLink()) || stats.mtimeMs > cutoff) continue;
         unlinkSync(path);
         removed++;
         bytes += stats.size;
@@ -454,11 +479,18 @@ export async function runGatedDownload(run, {
 }
 
 // Load recently played from file
+//
+// Every guild's plays share the one list, each entry saying which guild it was played in. An
+// entry saved before there were several guilds has no guildId; those were all the primary
+// guild's, and are stamped as such here so nothing later has to guess.
 function loadRecentlyPlayed() {
   const data = loadJsonSync(RECENTLY_PLAYED_FILE, []);
   // Filter out entries older than 7 days
   const now = Date.now();
-  return data.filter(song => (now - song.playedAt) < SEVEN_DAYS_MS);
+  const primary = primaryGuildId();
+  return data
+    .filter(song => (now - song.playedAt) < SEVEN_DAYS_MS)
+    .map(song => song.guildId ? song : { ...song, guildId: primary });
 }
 
 // Save recently played to file
@@ -473,18 +505,49 @@ function saveRecentlyPlayed(recentlyPlayed) {
 let globalRecentlyPlayed = loadRecentlyPlayed();
 console.log(`Loaded ${globalRecentlyPlayed.length} recently played songs from storage`);
 
+// One guild's recently played, newest first. An entry without a guildId (only ever one put
+// there by hand - loading stamps the rest) is counted as everybody's.
+function recentlyPlayedFor(guildId) {
+  return globalRecentlyPlayed.filter(song => !song.guildId || song.guildId === guildId);
+}
+
 // Listening stats persistence
+//
+// Kept per guild - { guilds: { [guildId]: { users, songs, totalSongsPlayed, totalListeningTime } } } -
+// so each server's /stats page is its own listening. A file from before that is one guild's
+// stats at the top level, and becomes the primary guild's on first load.
+function emptyStats() {
+  return { users: {}, songs: {}, totalSongsPlayed: 0, totalListeningTime: 0 };
+}
+
 function loadStats() {
-  return loadJsonSync(STATS_FILE, { users: {}, songs: {}, totalSongsPlayed: 0, totalListeningTime: 0 });
+  const { guilds, migrated } = guildKeyed(loadJsonSync(STATS_FILE, {}), raw => 'users' in raw || 'totalSongsPlayed' in raw);
+  const stats = { guilds };
+  if (migrated) {
+    try {
+      saveJsonSync(STATS_FILE, stats);
+    } catch (err) {
+      console.error('[MusicQueue] Could not save migrated listening stats:', err.message);
+    }
+  }
+  return stats;
 }
 
 function saveStats() {
   saveJsonSync(STATS_FILE, listeningStats);
 }
 
+// `guildId`'s stats, created on first use. A play without a guild is the primary's.
+function statsFor(guildId) {
+  const id = guildId || primaryGuildId();
+  if (!listeningStats.guilds[id]) listeningStats.guilds[id] = emptyStats();
+  return listeningStats.guilds[id];
+}
+
 // Track when a song starts playing (increment play count for requester)
-async function trackSongStarted(song) {
+async function trackSongStarted(song, guildId) {
   if (!song || !song.requestedBy) return;
+  const stats = statsFor(guildId);
   
   const songKey = song.url || song.title;
   
@@ -498,13 +561,13 @@ async function trackSongStarted(song) {
   // Only track if we have a user ID
   if (userId) {
     // Try to get the current displayName from voice channel members
-    const voiceMembers = await getVoiceChannelMembers();
+    const voiceMembers = await getVoiceChannelMembers(guildId);
     const voiceMember = voiceMembers.find(m => m.id === userId);
     const displayName = voiceMember?.displayName || voiceMember?.username || song.requestedBy;
     
     // Initialize user stats if needed (for the requester - songs played count)
-    if (!listeningStats.users[userId]) {
-      listeningStats.users[userId] = {
+    if (!stats.users[userId]) {
+      stats.users[userId] = {
         displayName: displayName,
         songsPlayed: 0,
         totalListeningTime: 0,
@@ -513,14 +576,14 @@ async function trackSongStarted(song) {
       };
     }
     // Always update display name to latest
-    listeningStats.users[userId].displayName = displayName;
-    listeningStats.users[userId].songsPlayed++;
-    listeningStats.users[userId].lastSeen = Date.now();
+    stats.users[userId].displayName = displayName;
+    stats.users[userId].songsPlayed++;
+    stats.users[userId].lastSeen = Date.now();
   }
   
   // Initialize song stats if needed
-  if (!listeningStats.songs[songKey]) {
-    listeningStats.songs[songKey] = {
+  if (!stats.songs[songKey]) {
+    stats.songs[songKey] = {
       title: song.title,
       url: song.url,
       thumbnail: song.thumbnail,
@@ -530,33 +593,36 @@ async function trackSongStarted(song) {
       requestedBy: {} // Track request counts per user
     };
   }
-  listeningStats.songs[songKey].playCount++;
+  stats.songs[songKey].playCount++;
   
   // Track who requested this song
   if (userId) {
-    const voiceMembers = await getVoiceChannelMembers();
+    const voiceMembers = await getVoiceChannelMembers(guildId);
     const voiceMember = voiceMembers.find(m => m.id === userId);
     const displayName = voiceMember?.displayName || voiceMember?.username || song.requestedBy;
     
-    if (!listeningStats.songs[songKey].requestedBy) {
-      listeningStats.songs[songKey].requestedBy = {};
+    if (!stats.songs[songKey].requestedBy) {
+      stats.songs[songKey].requestedBy = {};
     }
-    if (!listeningStats.songs[songKey].requestedBy[userId]) {
-      listeningStats.songs[songKey].requestedBy[userId] = { displayName, count: 0 };
+    if (!stats.songs[songKey].requestedBy[userId]) {
+      stats.songs[songKey].requestedBy[userId] = { displayName, count: 0 };
     }
-    listeningStats.songs[songKey].requestedBy[userId].displayName = displayName;
-    listeningStats.songs[songKey].requestedBy[userId].count++;
+    stats.songs[songKey].requestedBy[userId].displayName = displayName;
+    stats.songs[songKey].requestedBy[userId].count++;
   }
   
   // Update global song count
-  listeningStats.totalSongsPlayed++;
+  stats.totalSongsPlayed++;
   
   scheduleSaveStats();
 }
 
 // Track actual listening time when song ends - for ALL voice channel members
-async function trackListeningTime(song, actualSecondsListened) {
-  if (!song || actualSecondsListened <= 0) return;
+//
+// `play` is the play event to record for it (see trackAndClearListening); it is recorded here,
+// once the room is known, so the history can tell who heard it
+async function trackListeningTime(song, actualSecondsListened, play = null, guildId = null) {
+  if (!song || (actualSecondsListened <= 0 && !play)) return;
   
   const songKey = song.url || song.title;
   
@@ -565,7 +631,12 @@ async function trackListeningTime(song, actualSecondsListened) {
   const timeToAdd = Math.min(actualSecondsListened, maxDuration);
   
   // Get all members in the voice channel
-  const voiceMembers = await getVoiceChannelMembers();
+  const voiceMembers = await getVoiceChannelMembers(guildId);
+  if (play) {
+    recordPlayEvent(song, { ...play, guildId, listeners: voiceMembers.map(m => ({ id: m.id, name: m.displayName || m.username })) });
+  }
+  if (actualSecondsListened <= 0) return;
+  const stats = statsFor(guildId);
   
   // Track time for each voice channel member
   for (const member of voiceMembers) {
@@ -573,8 +644,8 @@ async function trackListeningTime(song, actualSecondsListened) {
     const displayName = member.displayName || member.username;
     
     // Initialize user stats if needed
-    if (!listeningStats.users[userId]) {
-      listeningStats.users[userId] = {
+    if (!stats.users[userId]) {
+      stats.users[userId] = {
         displayName: displayName,
         songsPlayed: 0,
         totalListeningTime: 0,
@@ -583,18 +654,18 @@ async function trackListeningTime(song, actualSecondsListened) {
       };
     }
     // Always update display name to latest
-    listeningStats.users[userId].displayName = displayName;
-    listeningStats.users[userId].totalListeningTime += timeToAdd;
-    listeningStats.users[userId].lastSeen = Date.now();
+    stats.users[userId].displayName = displayName;
+    stats.users[userId].totalListeningTime += timeToAdd;
+    stats.users[userId].lastSeen = Date.now();
   }
   
   // Update song listening time (once per song, not per user)
-  if (listeningStats.songs[songKey]) {
-    listeningStats.songs[songKey].totalListeningTime += timeToAdd;
+  if (stats.songs[songKey]) {
+    stats.songs[songKey].totalListeningTime += timeToAdd;
   }
   
   // Update global total (once per song)
-  listeningStats.totalListeningTime += timeToAdd;
+  stats.totalListeningTime += timeToAdd;
   
   const memberNames = voiceMembers.map(m => m.displayName || m.username).join(', ');
   console.log(`Tracked ${Math.round(timeToAdd)}s listening time for ${voiceMembers.length} members (${memberNames}) on "${song.title}"`);
@@ -622,6 +693,7 @@ function scheduleSaveStats() {
 // Force an immediate synchronous write of any pending listening-stats changes.
 // Called from index.js's shutdown flush so stats aren't lost to the debounce window.
 export function flushStats() {
+  flushPlayEvents();
   if (saveStatsTimeout) {
     clearTimeout(saveStatsTimeout);
     saveStatsTimeout = null;
@@ -631,43 +703,44 @@ export function flushStats() {
 
 let listeningStats = loadStats();
 let saveStatsTimeout = null;
-console.log(`Loaded listening stats: ${listeningStats.totalSongsPlayed} total songs played`);
+console.log(`Loaded listening stats for ${Object.keys(listeningStats.guilds).length} guild(s)`);
 
-// Export getter for listening stats
-export function getListeningStats() {
-  return listeningStats;
+// Export getter for listening stats - one guild's, the primary's unless told otherwise
+export function getListeningStats(guildId = primaryGuildId()) {
+  return listeningStats.guilds[guildId] || emptyStats();
 }
 
 // Export getter for 24/7 mode status
-export function is24_7Enabled() {
-  return globalSettings.is24_7;
+export function is24_7Enabled(guildId = primaryGuildId()) {
+  return guildPlayerSettings(guildId).is24_7;
 }
 
-// Export getter for music settings
-export function getMusicSettings() {
+// In the order the dashboard's loop button steps through them
+export const LOOP_MODES = ['off', 'song', 'queue'];
+
+// Export getter for music settings: `guildId`'s own, next to the ones every guild shares
+export function getMusicSettings(guildId = primaryGuildId()) {
+  const guild = guildPlayerSettings(guildId);
   return {
-    loopMode: globalSettings.loopMode,
-    is24_7: globalSettings.is24_7,
-    radioEnabled: globalSettings.radioEnabled,
+    loopMode: guild.loopMode,
+    is24_7: guild.is24_7,
+    radioEnabled: guild.radioEnabled,
+    radioFavouriteShare: globalSettings.radioFavouriteShare,
+    fairQueue: guild.fairQueue,
+    voteSkipEnabled: guild.voteSkipEnabled,
+    voteSkipShare: guild.voteSkipShare,
     normalizeAudio: globalSettings.normalizeAudio,
-    crossfadeSec: globalSettings.crossfadeSec
+    crossfadeSec: globalSettings.crossfadeSec,
+    queueGuardrails: globalSettings.queueGuardrails
   };
 }
 
 // Player settings persistence
-const defaultMixerFilters = {
-  bass: 0, mid: 0, treble: 0, speed: 1.0,
-  karaoke: false,
-  eightD: false, eightDRate: 0.15,
-  reverb: 0,
-  compressor: false,
-  flanger: false
-};
 
 // --- the two settings that shape a transition --------------------------------
 //
-// Both live in playerSettings.json next to loopMode and the mixer, because that is where the
-// settings shared by every client already are: they are read by the playback path, written by
+// Both live in playerSettings.json next to the radio mix and the guardrails, because that is where
+// the settings shared by every guild already are: they are read by the playback path, written by
 // saveSettings(), and survive a restart with the rest of them. There is no UI for either yet -
 // an admin edits the file - so both default ON and a value that is missing or nonsense reads as
 // the default rather than as "off".
@@ -685,27 +758,135 @@ export function clampCrossfadeSec(value) {
   return Math.max(0, Math.min(MAX_CROSSFADE_SEC, seconds));
 }
 
+// --- vote to skip ------------------------------------------------------------
+//
+// Off by default, in which case a skip is a skip, from anybody, as it always was. With it on, a
+// skip from somebody who neither asked for the song nor holds the DJ role is one vote, and the
+// song only ends once `voteSkipShare` of the humans in the bot's channel have voted. The share
+// is of the people in the channel right now, so a room that empties out around a vote can end up
+// having carried it - see recountSkipVotes().
+export const DEFAULT_VOTE_SKIP_SHARE = 0.5;
+
+// A share of the channel, as a fraction in (0, 1]. 0 would let nobody's vote end a song and is
+// read as a mistake rather than as "votes never pass"; percentages (50) are accepted too, since
+// that is how the admin page shows it.
+export function clampVoteSkipShare(value) {
+  if (value === null || value === undefined || value === '') return DEFAULT_VOTE_SKIP_SHARE;
+  let share = Number(value);
+  if (!Number.isFinite(share) || share <= 0) return DEFAULT_VOTE_SKIP_SHARE;
+  if (share > 1) share = share / 100;
+  return Math.min(1, Math.round(share * 100) / 100);
+}
+
+// Votes needed to end a song with `listenerCount` humans listening. Always at least one, so a
+// vote from a channel the bot cannot see into (a count of zero) still does something.
+export function votesNeededToSkip(listenerCount, share = DEFAULT_VOTE_SKIP_SHARE) {
+  const count = Math.max(0, Math.floor(Number(listenerCount) || 0));
+  return Math.max(1, Math.ceil(count * clampVoteSkipShare(share) - 1e-9));
+}
+
+// Change `guildId`'s vote-skip settings from the admin page. Either field may be left out.
+export function setVoteSkipSettings({ enabled, share } = {}, guildId = primaryGuildId()) {
+  const guild = guildPlayerSettings(guildId);
+  if (enabled !== undefined) guild.voteSkipEnabled = !!enabled;
+  if (share !== undefined) guild.voteSkipShare = clampVoteSkipShare(share);
+  saveSettings();
+  console.log(`Vote skip in guild ${guildId}: ${guild.voteSkipEnabled ? `enabled at ${Math.round(guild.voteSkipShare * 100)}%` : 'disabled'}`);
+  broadcastState();
+  return { enabled: guild.voteSkipEnabled, share: guild.voteSkipShare };
+}
+
+// --- queue guardrails --------------------------------------------------------
+//
+// What may be queued, and by whom: see queueGuardrails.js. The settings are here with the rest
+// of the shared player settings; the decision is made there.
+
+// Change the guardrails from the admin page. Fields left out keep their value; the blocklist
+// is replaced whole, since the admin page always sends all of it.
+export function setQueueGuardrails(changes = {}) {
+  globalSettings.queueGuardrails = clampQueueGuardrails({ ...globalSettings.queueGuardrails, ...changes });
+  saveSettings();
+  const g = globalSettings.queueGuardrails;
+  console.log(`Queue guardrails: max ${g.maxDurationMin || '-'} min, ${g.maxPendingPerUser || '-'} pending per user, duplicates ${g.blockDuplicates ? 'blocked' : 'allowed'}, ${g.blocklist.videoIds.length + g.blocklist.channels.length + g.blocklist.keywords.length} blocklist entries`);
+  return g;
+}
+
+export function getQueueGuardrails() {
+  return globalSettings.queueGuardrails;
+}
+
+// Whether `song` may go into `queue` (null when there is none yet, in which case only the
+// limits that do not depend on what is waiting can refuse it)
+export function checkSongGuardrails(song, queue = null) {
+  return checkQueueGuardrails(song, {
+    settings: globalSettings.queueGuardrails,
+    queued: queue?.songs || [],
+    current: queue?.currentSong || null
+  });
+}
+
+// --- per-guild player settings -----------------------------------------------
+//
+// What a guild's own dashboard switches - loop, 24/7, radio, fair queue, vote skip, the mixer and
+// the sleep timer - is that guild's, kept under `guilds` in playerSettings.json by guild ID. A
+// guild that never changed any of them has the defaults. The rest of the file (the radio mix,
+// normalization, crossfade, the guardrails) is the bot's, shared by every guild.
+
+// One guild's entry, whatever was saved, with every field re-clamped on the way in
+function cleanGuildPlayerSettings(raw = {}) {
+  return {
+    loopMode: LOOP_MODES.includes(raw.loopMode) ? raw.loopMode : 'off',
+    is24_7: raw.is24_7 === true,
+    radioEnabled: raw.radioEnabled === true,
+    fairQueue: raw.fairQueue === true,
+    voteSkipEnabled: raw.voteSkipEnabled === true,
+    voteSkipShare: clampVoteSkipShare(raw.voteSkipShare),
+    // A timer that ran out while the bot was down is no timer
+    sleepEndTime: Number.isFinite(raw.sleepEndTime) && raw.sleepEndTime > Date.now() ? raw.sleepEndTime : null,
+    // Any field this version added since the file was written (the graphic EQ, the limiter)
+    // filled in at its default
+    mixerFilters: clampMixerValues(DEFAULT_MIXER_FILTERS, raw.mixerFilters || {})
+  };
+}
+
+// `guildId`'s settings, as the live object: changes are made on it and then saved
+function guildPlayerSettings(guildId) {
+  const id = guildId || primaryGuildId();
+  if (!globalSettings.guilds[id]) globalSettings.guilds[id] = cleanGuildPlayerSettings();
+  return globalSettings.guilds[id];
+}
+
+// The playback speed `guildId`'s mixer is set to, which every position in song time depends on
+function mixerSpeed(guildId) {
+  return guildPlayerSettings(guildId).mixerFilters.speed || 1.0;
+}
+
 function loadSettings() {
-  const data = loadJsonSync(SETTINGS_FILE, { loopMode: 'off', is24_7: false, sleepEndTime: null, radioEnabled: false, mixerFilters: { ...defaultMixerFilters } });
-  // Check if sleep timer has expired
-  if (data.sleepEndTime && data.sleepEndTime < Date.now()) {
-    data.sleepEndTime = null;
+  const data = loadJsonSync(settingsFile, {});
+  // A file from before each guild had its own holds them at the top level, where they were
+  // everybody's; they become the primary guild's, like every other store's single-guild data
+  const { guilds: saved, migrated } = guildKeyed(data, raw => !raw.guilds);
+  const guilds = {};
+  for (const [guildId, raw] of Object.entries(saved)) guilds[guildId] = cleanGuildPlayerSettings(raw);
+  // ...except a sleep timer, which already knew whose it was. The file itself takes the new
+  // shape at the next save.
+  if (migrated && data.sleepGuildId && data.sleepGuildId !== primaryGuildId() && guilds[primaryGuildId()].sleepEndTime) {
+    guilds[data.sleepGuildId] = cleanGuildPlayerSettings({ sleepEndTime: guilds[primaryGuildId()].sleepEndTime });
+    guilds[primaryGuildId()].sleepEndTime = null;
   }
   return {
-    loopMode: data.loopMode || 'off',
-    is24_7: data.is24_7 || false,
-    sleepEndTime: data.sleepEndTime || null,
-    radioEnabled: data.radioEnabled || false,
+    radioFavouriteShare: clampRadioFavouriteShare(data.radioFavouriteShare),
     // Only an explicit `false` turns normalization off, so a file written before this existed
     // (every one of them) gets it
     normalizeAudio: data.normalizeAudio !== false,
     crossfadeSec: clampCrossfadeSec(data.crossfadeSec),
-    mixerFilters: { ...defaultMixerFilters, ...(data.mixerFilters || {}) }
+    queueGuardrails: clampQueueGuardrails(data.queueGuardrails),
+    guilds
   };
 }
 
 function saveSettings() {
-  saveJsonSync(SETTINGS_FILE, globalSettings);
+  saveJsonSync(settingsFile, globalSettings);
 }
 
 // The ffmpeg -af chain for one playing file.
@@ -714,7 +895,8 @@ function saveSettings() {
 //   play it at whatever level it was uploaded at. A file's gain belongs to the file, not to the
 //   player, which is why it is passed in rather than read from a global: the crossfade builds
 //   two of these at once, for two songs measured separately.
-function buildFilterChain(loudness = null) {
+// @param m - the mixer of the guild it plays in
+function buildFilterChain(loudness = null, m = DEFAULT_MIXER_FILTERS) {
   const filters = [];
   const loudnorm = buildLoudnormFilter(loudness);
   if (loudnorm) {
@@ -724,11 +906,18 @@ function buildFilterChain(loudness = null) {
     filters.push(loudnorm, 'aresample=48000');
   }
   filters.push('aresample=resampler=soxr');
-  const m = globalSettings.mixerFilters;
 
-  if (m.bass !== 0) filters.push(`bass=g=${m.bass}`);
-  if (m.mid !== 0) filters.push(`equalizer=f=1000:width_type=o:width=1:g=${m.mid}`);
-  if (m.treble !== 0) filters.push(`treble=g=${m.treble}`);
+  if (m.eqMode === 'graphic') {
+    // One peaking filter per band that is not flat, each an octave wide around its centre
+    GRAPHIC_EQ_BANDS.forEach((freq, i) => {
+      const gain = m.eqBands?.[i] || 0;
+      if (gain !== 0) filters.push(`equalizer=f=${freq}:width_type=o:width=1:g=${gain}`);
+    });
+  } else {
+    if (m.bass !== 0) filters.push(`bass=g=${m.bass}`);
+    if (m.mid !== 0) filters.push(`equalizer=f=1000:width_type=o:width=1:g=${m.mid}`);
+    if (m.treble !== 0) filters.push(`treble=g=${m.treble}`);
+  }
   if (m.compressor) filters.push('acompressor=threshold=0.089:ratio=8:attack=5:release=50:makeup=2');
   if (m.karaoke) filters.push('pan=stereo|c0=c0-c1|c1=c1-c0');
   if (m.flanger) filters.push('flanger=delay=3:depth=4:speed=0.5:shape=sinusoidal');
@@ -743,6 +932,11 @@ function buildFilterChain(loudness = null) {
     filters.push('aresample=48000');
   }
 
+  // Last, so it catches whatever everything above added: -1dBFS, with a release slow enough to
+  // be heard as level rather than as pumping, and no auto-level (which would undo the loudness
+  // normalization by pushing everything back up to the ceiling)
+  if (m.limiter) filters.push('alimiter=limit=0.891:attack=5:release=100:level=0');
+
   return filters.join(',');
 }
 
@@ -774,6 +968,11 @@ function buildFilterChain(loudness = null) {
 // the play-path download does not: a song that was prefetched (nearly all of them, the hit rate
 // is in the logs) plays normalized, and one the queue had to fetch on the spot plays at its own
 // level rather than making the room wait 9 seconds for the privilege.
+//
+// ...the first time. A video's audio is the same on every play, so each measurement is also
+// written down against the video ID (loudnessStore.js) and handed to every later download of
+// it before anything would measure again: a repeat costs no analysis pass, and a repeat the
+// play path had to fetch on the spot plays normalized as well.
 export const LOUDNORM_TARGET = { i: -16, tp: -1.5, lra: 11 };
 
 // A wedged analysis pass must not hold a download's completion open forever. Generous, because
@@ -793,9 +992,9 @@ const LOUDNESS_RANGES = {
 };
 
 // What one measured file's gain is worked out from. Keyed by the /tmp path rather than stored on
-// the song, because it describes that file: the same song downloaded again is a different file
-// and gets measured again, while a file the loop path hands on (adoptEndedFileForNextPlay) keeps
-// its path and therefore its measurement, which is what makes a repeat free.
+// the song, because it is what playback reads: a file the loop path hands on
+// (adoptEndedFileForNextPlay) keeps its path and therefore its measurement, and the same video
+// downloaded again is a new path that gets its values from the on-disk store (knownLoudness).
 const measuredLoudness = new Map();
 
 // Exported alongside the getter so a measurement taken anywhere - the download path, a test,
@@ -811,6 +1010,13 @@ export function loudnessFor(path) {
   return (path && measuredLoudness.get(path)) || null;
 }
 
+// What an earlier play of this video measured, checked as strictly as a fresh measurement, or
+// null when it was never measured (or is not a YouTube video at all).
+export function knownLoudness(url) {
+  const videoId = youtubeVideoId(url);
+  return videoId ? checkLoudnessValues(storedLoudness(videoId)) : null;
+}
+
 // Deleting the file it describes retires the measurement with it, so the map cannot outgrow the
 // handful of files this module has on disk at once.
 function forgetLoudness(path) {
@@ -842,9 +1048,17 @@ export function parseLoudnormJson(text) {
     return null;
   }
 
+  return checkLoudnessValues(parsed);
+}
+
+// The five measured_* values out of `source`, or null unless every one of them is something
+// ffmpeg will accept. Shared by the fresh measurement and the stored one, which is a file on
+// disk that anything may have edited.
+function checkLoudnessValues(source) {
+  if (!source || typeof source !== 'object') return null;
   const values = {};
   for (const [field, [min, max]] of Object.entries(LOUDNESS_RANGES)) {
-    const raw = parsed[field];
+    const raw = source[field];
     // Typed before it is converted, because Number() is far too generous to be a validator here:
     // Number(null), Number('') and Number([]) are all 0, and 0 passes every range below - so a
     // field ffmpeg left empty or a JSON null would read as a measurement of 0 LUFS and cut the
@@ -969,129 +1183,109 @@ export async function measureLoudness(filePath, { timeoutMs = LOUDNESS_MEASURE_T
   });
 }
 
-// Global settings (shared across all clients)
+// Player settings (see loadSettings): the bot's, and each guild's under `guilds`
 let globalSettings = loadSettings();
-let sleepTimer = null;
-console.log(`Loaded player settings: loopMode=${globalSettings.loopMode}, is24_7=${globalSettings.is24_7}, sleepEndTime=${globalSettings.sleepEndTime}, radioEnabled=${globalSettings.radioEnabled}, normalizeAudio=${globalSettings.normalizeAudio}, crossfadeSec=${globalSettings.crossfadeSec}`);
+// Each guild's sleep timer, by guild ID
+const sleepTimers = new Map();
+console.log(`Loaded player settings: normalizeAudio=${globalSettings.normalizeAudio}, crossfadeSec=${globalSettings.crossfadeSec}, ${Object.keys(globalSettings.guilds).length} guild(s) with settings of their own`);
 
-// Setup sleep timer if one was persisted
-function setupSleepTimer() {
-  if (globalSettings.sleepEndTime) {
-    const remaining = globalSettings.sleepEndTime - Date.now();
+// The sleep timer stops the guild it was set from, and only that one
+function sleepTimerExpired(guildId) {
+  sleepTimers.delete(guildId);
+  const queue = queues.get(guildId);
+  if (queue) {
+    queue.stop();
+    queue.leave();
+  }
+  guildPlayerSettings(guildId).sleepEndTime = null;
+  saveSettings();
+  broadcastState();
+  console.log(`Sleep timer expired in guild ${guildId} - playback stopped`);
+}
+
+// Setup the sleep timers that were persisted
+function setupSleepTimers() {
+  for (const [guildId, settings] of Object.entries(globalSettings.guilds)) {
+    if (!settings.sleepEndTime) continue;
+    const remaining = settings.sleepEndTime - Date.now();
     if (remaining > 0) {
-      console.log(`Restoring sleep timer with ${Math.round(remaining / 1000)}s remaining`);
-      sleepTimer = setTimeout(safeTimer('the restored sleep timer', () => {
-        // Stop playback when timer expires
-        sleepTimer = null;
-        const firstQueue = queues.values().next().value;
-        if (firstQueue) {
-          firstQueue.stop();
-          firstQueue.leave();
-        }
-        globalSettings.sleepEndTime = null;
-        saveSettings();
-        broadcastState();
-        console.log('Sleep timer expired - playback stopped');
-      }), remaining);
+      console.log(`Restoring the sleep timer of guild ${guildId} with ${Math.round(remaining / 1000)}s remaining`);
+      sleepTimers.set(guildId, setTimeout(safeTimer('the restored sleep timer', () => sleepTimerExpired(guildId)), remaining));
     } else {
-      globalSettings.sleepEndTime = null;
+      settings.sleepEndTime = null;
       saveSettings();
     }
   }
 }
 
 // Call after queues Map is defined
-setTimeout(safeTimer('restoring the sleep timer', setupSleepTimer), 100);
+setTimeout(safeTimer('restoring the sleep timers', setupSleepTimers), 100);
 
-// Sleep timer control functions (called from web server)
-export function setSleepTimer(minutes) {
-  // Clear existing timer if any
-  if (sleepTimer) {
-    clearTimeout(sleepTimer);
-    sleepTimer = null;
+// For the tests: read the player settings from a different file, dropping every sleep timer
+export function setPlayerSettingsPath(filePath) {
+  for (const guildId of [...sleepTimers.keys()]) clearSleepTimer(guildId);
+  settingsFile = filePath;
+  globalSettings = loadSettings();
+}
+
+function clearSleepTimer(guildId) {
+  if (sleepTimers.has(guildId)) {
+    clearTimeout(sleepTimers.get(guildId));
+    sleepTimers.delete(guildId);
   }
+}
 
-  globalSettings.sleepEndTime = Date.now() + (minutes * 60 * 1000);
+// Sleep timer control functions (called from web server)
+export function setSleepTimer(minutes, guildId = primaryGuildId()) {
+  // Clear this guild's existing timer if any
+  clearSleepTimer(guildId);
+
+  const settings = guildPlayerSettings(guildId);
+  settings.sleepEndTime = Date.now() + (minutes * 60 * 1000);
   saveSettings();
 
-  sleepTimer = setTimeout(safeTimer('the sleep timer', () => {
-    // Stop playback when timer expires
-    sleepTimer = null;
-    const firstQueue = queues.values().next().value;
-    if (firstQueue) {
-      firstQueue.stop();
-      firstQueue.leave();
-    }
-    globalSettings.sleepEndTime = null;
-    saveSettings();
-    broadcastState();
-    console.log('Sleep timer expired - playback stopped');
-  }), minutes * 60 * 1000);
+  sleepTimers.set(guildId, setTimeout(safeTimer('the sleep timer', () => sleepTimerExpired(guildId)), minutes * 60 * 1000));
 
-  console.log(`Sleep timer set for ${minutes} minutes`);
+  console.log(`Sleep timer set for ${minutes} minutes in guild ${guildId}`);
   broadcastState();
-  return globalSettings.sleepEndTime;
+  return settings.sleepEndTime;
 }
 
-export function cancelSleepTimer() {
-  if (sleepTimer) {
-    clearTimeout(sleepTimer);
-    sleepTimer = null;
-  }
-  globalSettings.sleepEndTime = null;
+export function cancelSleepTimer(guildId = primaryGuildId()) {
+  clearSleepTimer(guildId);
+  guildPlayerSettings(guildId).sleepEndTime = null;
   saveSettings();
-  console.log('Sleep timer cancelled');
+  console.log(`Sleep timer cancelled in guild ${guildId}`);
   broadcastState();
 }
 
-export function applyMixerFilters(newFilters) {
-  const firstQueue = queues.values().next().value;
-  if (firstQueue) {
-    return firstQueue.applyFilters(newFilters);
-  }
+// Each guild has a mixer of its own, so a change is heard in `guildId` and nowhere else
+export async function applyMixerFilters(newFilters, guildId = primaryGuildId()) {
+  const queue = queues.get(guildId);
+  if (queue) return queue.applyFilters(newFilters);
   // No active queue — save settings so they apply to next song
-  clampMixerFilters(newFilters);
+  clampMixerFilters(guildId, newFilters);
   saveSettings();
   broadcastState();
   return true;
 }
 
-function clampMixerFilters(newFilters) {
-  if (newFilters.bass !== undefined) {
-    globalSettings.mixerFilters.bass = Math.max(-20, Math.min(20, Math.round(newFilters.bass)));
-  }
-  if (newFilters.mid !== undefined) {
-    globalSettings.mixerFilters.mid = Math.max(-20, Math.min(20, Math.round(newFilters.mid)));
-  }
-  if (newFilters.treble !== undefined) {
-    globalSettings.mixerFilters.treble = Math.max(-20, Math.min(20, Math.round(newFilters.treble)));
-  }
-  if (newFilters.speed !== undefined) {
-    globalSettings.mixerFilters.speed = Math.max(0.5, Math.min(2.0, newFilters.speed));
-  }
-  if (newFilters.karaoke !== undefined) {
-    globalSettings.mixerFilters.karaoke = !!newFilters.karaoke;
-  }
-  if (newFilters.eightD !== undefined) {
-    globalSettings.mixerFilters.eightD = !!newFilters.eightD;
-  }
-  if (newFilters.eightDRate !== undefined) {
-    globalSettings.mixerFilters.eightDRate = Math.max(0.05, Math.min(0.5, newFilters.eightDRate));
-  }
-  if (newFilters.reverb !== undefined) {
-    globalSettings.mixerFilters.reverb = Math.max(0, Math.min(100, Math.round(newFilters.reverb)));
-  }
-  if (newFilters.compressor !== undefined) {
-    globalSettings.mixerFilters.compressor = !!newFilters.compressor;
-  }
-  if (newFilters.flanger !== undefined) {
-    globalSettings.mixerFilters.flanger = !!newFilters.flanger;
-  }
+// A copy of what `guildId`'s mixer is set to, for saving as a profile
+export function getMixerFilters(guildId = primaryGuildId()) {
+  return clampMixerValues(guildPlayerSettings(guildId).mixerFilters);
+}
+
+// Applied in place, because a guild's mixerFilters is the object its broadcasts hand out; the
+// ranges themselves live with the presets (mixerProfiles.js)
+function clampMixerFilters(guildId, newFilters) {
+  const { mixerFilters } = guildPlayerSettings(guildId);
+  Object.assign(mixerFilters, clampMixerValues(mixerFilters, newFilters));
 }
 
-// Export getter for recently played (used by web server for initial state)
-export function getRecentlyPlayed() {
-  return globalRecentlyPlayed;
+// Export getter for recently played (used by web server for initial state): one guild's, or
+// with no guild given, the whole list as it is kept
+export function getRecentlyPlayed(guildId = null) {
+  return guildId ? recentlyPlayedFor(guildId) : globalRecentlyPlayed;
 }
 
 // Look up related "YouTube Mix" tracks for a video - shared by server-side radio
@@ -1139,6 +1333,44 @@ export async function getRadioTracks(seedUrl, limit = 40) {
   }
 }
 
+// Chapters are looked up for songs at least this long. A four-minute single has none worth
+// showing, and a yt-dlp info call per ordinary song would be a second request for nothing.
+export const CHAPTER_LOOKUP_MIN_SEC = 10 * 60;
+const CHAPTER_CACHE_MAX_ENTRIES = 200;
+// Video ID -> its chapters ([] when it has none), so a mix that is queued every evening is
+// looked up once per process rather than once per play
+const chapterCache = new Map();
+
+// Whether a song is worth a chapter lookup: a YouTube video long enough to have chapters, that
+// nobody has looked up yet. `song.chapters` is set (to [] if need be) by whoever did.
+function wantsChapterLookup(song) {
+  return !Array.isArray(song.chapters) && (Number(song.duration) || 0) >= CHAPTER_LOOKUP_MIN_SEC && !!youtubeVideoId(song.url);
+}
+
+// A video's chapters from yt-dlp's info JSON. Null when the lookup failed - distinct from [],
+// which is "looked up, has none" - so a failure is tried again the next time the song plays.
+async function fetchChapters(url) {
+  const videoId = youtubeVideoId(url);
+  if (!videoId) return [];
+  if (chapterCache.has(videoId)) return chapterCache.get(videoId);
+  try {
+    const info = await ytDlpExec(url, {
+      ...ytCookieOpts,
+      dumpSingleJson: true,
+      noCheckCertificates: true,
+      noWarnings: true,
+      skipDownload: true
+    });
+    const chapters = parseChapters(info);
+    chapterCache.set(videoId, chapters);
+    if (chapterCache.size > CHAPTER_CACHE_MAX_ENTRIES) chapterCache.delete(chapterCache.keys().next().value);
+    return chapters;
+  } catch (error) {
+    console.error('[MusicQueue] Chapter lookup failed:', error.message);
+    return null;
+  }
+}
+
 // The number of most-recent radio picks remembered for this queue's lifetime, so a session
 // does not loop back onto a track it only just played. Grown from 5: five was smaller than a
 // single fetched mix, so the picker (see pickRadioTrack) could exhaust its "unseen" tracks
@@ -1217,32 +1449,132 @@ export function chooseRadioSeed(recentHistory, fallbackSong, randomFn = Math.ran
 // first mix entry not in a 5-song memory) against YouTube Mix's stable ordering. That is what
 // produced "it keeps repeating": two brains, two memories, and a pick that was really just
 // "the same handful of tracks, in the same order, every time". This fetches the mix, filters
-// it down with filterEligibleRadioTracks(), and picks uniformly at random from what's left -
-// runtime randomness, not a scripted workflow, so there is no reason to hold back on
-// Math.random() here. Returns { track, eligibleCount, fetchedCount, tier } - track is null
-// only when the mix itself came back empty or truly nothing in it is safe to offer.
+// it down with filterEligibleRadioTracks(), and hands what's left - together with the group's
+// favourites from the listening stats - to radioStrategy's planRadioPick, which weighs them by
+// how this room has treated them and picks at random by weight. Runtime randomness, not a
+// scripted workflow, so there is no reason to hold back on Math.random() here.
+//
+// Returns { track, eligibleCount, fetchedCount, tier, kind } - track carries a `radioReason`
+// for the dashboard, and is null only when neither the mix nor the favourites have anything
+// safe to offer.
 export async function pickRadioTrack(seedUrl, {
   fetchLimit = 40,
   queueUrls = [],
   currentUrl = null,
   recentRadioUrls = [],
-  seedTitle = null
+  seedTitle = null,
+  guildId = primaryGuildId()
 } = {}) {
-  const tracks = await getRadioTracks(seedUrl, fetchLimit);
-  const fetchedCount = tracks.length;
-  if (fetchedCount === 0) return { track: null, eligibleCount: 0, fetchedCount: 0, tier: -1 };
+  // Nothing the guardrails would refuse from a person is offered by radio either
+  const admissible = (track) => checkSongGuardrails({ ...track, requestedBy: '📻 Radio' }).ok;
+  const fetched = await getRadioTracks(seedUrl, fetchLimit);
+  const fetchedCount = fetched.length;
+  const tracks = fetched.filter(admissible);
+  // What "this room" means is the guild radio is picking for: its history, its stats, its skips
+  const history = recentlyPlayedFor(guildId);
+  const stats = getListeningStats(guildId);
+  const historyUrls = history.map(s => s.url);
+  const exclusions = { historyUrls, queueUrls, currentUrl, recentRadioUrls };
+
+  const { eligible, tier } = fetchedCount > 0
+    ? filterEligibleRadioTracks(tracks, exclusions)
+    : { eligible: [], tier: -1 };
+  const playStats = songPlayStats(getPlayEvents({ guildId }));
+  const discovery = weightDiscoveryTracks(eligible, stats, seedTitle ? `Because you played ${seedTitle}` : 'Similar to what is playing', playStats);
+
+  // Favourites go through the same exclusions but never the relaxed tiers: a favourite that
+  // was only just played is a repeat, and a fresh discovery pick is the better answer to that
+  const allFavourites = favouriteRadioCandidates(stats, history, playStats).filter(c => admissible(c.track));
+  const favouriteFilter = filterEligibleRadioTracks(allFavourites.map(c => c.track), exclusions);
+  const favouriteUrls = new Set(favouriteFilter.tier <= 1 ? favouriteFilter.eligible.map(t => t.url) : []);
+  const favourites = allFavourites.filter(c => favouriteUrls.has(c.track.url));
+
+  const pick = planRadioPick({ favourites, discovery, favouriteShare: globalSettings.radioFavouriteShare });
+  if (!pick) {
+    console.warn(`[MusicQueue] radio: no eligible track (seed: ${seedTitle || seedUrl}, pool 0/${fetchedCount})`);
+    return { track: null, eligibleCount: 0, fetchedCount, tier, kind: null };
+  }
 
-  const historyUrls = globalRecentlyPlayed.map(s => s.url);
-  const { eligible, tier } = filterEligibleRadioTracks(tracks, { historyUrls, queueUrls, currentUrl, recentRadioUrls });
+  const track = { ...pick.track, radioReason: pick.reason };
+  console.log(`[MusicQueue] radio: picked "${track.title}" - ${pick.kind}, ${pick.reason} (seed: ${seedTitle || seedUrl}, pool ${eligible.length}/${fetchedCount}, favourites ${favourites.length})`);
+  return { track, eligibleCount: eligible.length + favourites.length, fetchedCount, tier, kind: pick.kind };
+}
 
-  if (eligible.length === 0) {
-    console.warn(`[MusicQueue] radio: no eligible track (seed: ${seedTitle || seedUrl}, pool 0/${fetchedCount})`);
-    return { track: null, eligibleCount: 0, fetchedCount, tier };
+// Change the radio mix from the admin page: the share of picks taken from the group's
+// favourites rather than YouTube's mix (see radioStrategy.js)
+export function setRadioSettings({ favouriteShare } = {}) {
+  if (favouriteShare !== undefined) globalSettings.radioFavouriteShare = clampRadioFavouriteShare(favouriteShare);
+  saveSettings();
+  console.log(`Radio favourites share: ${Math.round(globalSettings.radioFavouriteShare * 100)}%`);
+  return { favouriteShare: globalSettings.radioFavouriteShare };
+}
+
+// --- fair queue --------------------------------------------------------------
+//
+// With five people in a channel, one pasted YouTube playlist used to own the next hour: every
+// add went to the tail, so the forty songs that arrived in one click all played before anybody
+// else's single request. Fair mode orders the queue in turns instead - everyone's first song,
+// then everyone's second, and so on - by putting each add in the slot its turn belongs in. The
+// order that results is just an order: skipto, remove and drag-to-reorder all still work on it,
+// and turning the mode off leaves the songs where they are.
+
+// Who a song belongs to for turn-taking. The Discord ID where there is one, because display
+// names change and two people can share one; the name otherwise, which is all a dashboard add
+// from before the ID was recorded carries. Songs with neither share one anonymous turn.
+export function requesterKey(song) {
+  return song?.requestedById || song?.requestedBy || null;
+}
+
+function isRadioFill(song) {
+  return typeof song?.requestedBy === 'string' && song.requestedBy.toLowerCase().includes('radio');
+}
+
+// The turn each queued song is in: how many songs its requester has ahead of it. The song that
+// is playing counts as that person's turn 0, so whoever is on right now goes to the back of
+// the next round rather than straight back on.
+export function fairTurns(songs, currentSong = null) {
+  const seen = new Map();
+  const take = (key) => {
+    const turn = seen.get(key) || 0;
+    seen.set(key, turn + 1);
+    return turn;
+  };
+  if (currentSong) take(requesterKey(currentSong));
+  return (songs || []).map(song => take(requesterKey(song)));
+}
+
+// Where `song` goes in `songs` so that it waits for exactly its own turn: after the last song
+// whose turn is not later than this one. A queue that was not in turn order to begin with (a
+// manual reorder, songs added before the mode was on) is left as it is; the new song just lands
+// after everything that is due no later than it. Radio fills always go to the tail - they are
+// nobody's turn, and a user add clears them anyway.
+export function fairInsertIndex(songs, song, currentSong = null) {
+  const queued = songs || [];
+  if (isRadioFill(song)) return queued.length;
+
+  const key = requesterKey(song);
+  const turns = fairTurns(queued, currentSong);
+  let turn = currentSong && requesterKey(currentSong) === key ? 1 : 0;
+  for (const queuedSong of queued) {
+    if (requesterKey(queuedSong) === key) turn++;
   }
 
-  const track = eligible[Math.floor(Math.random() * eligible.length)];
-  console.log(`[MusicQueue] radio: picked "${track.title}" (seed: ${seedTitle || seedUrl}, pool ${eligible.length}/${fetchedCount})`);
-  return { track, eligibleCount: eligible.length, fetchedCount, tier };
+  let index = 0;
+  for (let i = 0; i < turns.length; i++) {
+    if (turns[i] <= turn) index = i + 1;
+  }
+  return index;
+}
+
+// The whole queue in turn order, for the moment the mode is switched on. A stable sort on the
+// turn number, so within one round the songs keep the order they were added in. Radio fills
+// sort after every real request, for the same reason they are appended at the tail.
+export function fairOrder(songs, currentSong = null) {
+  const turns = fairTurns(songs, currentSong);
+  return (songs || [])
+    .map((song, i) => ({ song, turn: isRadioFill(song) ? Infinity : turns[i], i }))
+    .sort((a, b) => a.turn - b.turn || a.i - b.i)
+    .map(entry => entry.song);
 }
 
 // Store queue per guild
@@ -1279,6 +1611,24 @@ export function setWebClientCountCallback(callback) {
   webClientCountCallback = callback;
 }
 
+// The guilds that have a dashboard, so one with no queue still gets a state when something it
+// shares with the others (the mixer, loop mode, radio) changes. Unset, only guilds with a queue
+// are sent anything, plus one guild-less idle state when there is no queue at all.
+let dashboardGuildsCallback = null;
+
+export function setDashboardGuildsCallback(callback) {
+  dashboardGuildsCallback = callback;
+}
+
+// Told the synced lyric line on every position tick and on every line change between ticks -
+// the karaoke message's feed (see karaoke.js). Also what keeps the ticks coming with no
+// dashboard open, as long as something is following along.
+let lyricLineCallback = null;
+
+export function setLyricLineCallback(callback) {
+  lyricLineCallback = callback;
+}
+
 // Nothing wired up counts as "somebody might be listening", so tests and any other consumer
 // keep the old behaviour rather than silently losing their updates.
 function hasWebClients() {
@@ -1304,15 +1654,16 @@ export function setPresenceCallback(callback) {
   updatePresenceCallback = callback;
 }
 
-// Fetch a member's display name from Discord by user ID
-export async function getMemberDisplayName(userId) {
+// Fetch a member's display name from Discord by user ID - in `guildId`, or without one, in the
+// guild of whichever queue is playing
+export async function getMemberDisplayName(userId, guildId = null) {
   if (!discordClient) return null;
   
-  const firstQueue = queues.values().next().value;
-  if (!firstQueue || !firstQueue.voiceChannel) return null;
+  const firstQueue = guildId ? null : queues.values().next().value;
+  const guild = guildId ? discordClient.guilds?.cache?.get(guildId) : firstQueue?.voiceChannel?.guild;
+  if (!guild) return null;
   
   try {
-    const guild = firstQueue.voiceChannel.guild;
     const member = await guild.members.fetch(userId);
     return {
       displayName: member.displayName,
@@ -1324,14 +1675,15 @@ export async function getMemberDisplayName(userId) {
   }
 }
 
-// Get members in the bot's current voice channel
-export async function getVoiceChannelMembers() {
+// Get members in the bot's current voice channel in `guildId` - or, without one, the channel of
+// whichever queue comes first
+export async function getVoiceChannelMembers(guildId = null) {
   if (!discordClient) return [];
   
-  const firstQueue = queues.values().next().value;
-  if (!firstQueue || !firstQueue.connection) return [];
+  const queue = guildId ? queues.get(guildId) : queues.values().next().value;
+  if (!queue || !queue.connection) return [];
   
-  const voiceChannel = firstQueue.voiceChannel;
+  const voiceChannel = queue.voiceChannel;
   if (!voiceChannel) return [];
   
   // Fetch fresh channel data to get updated nicknames
@@ -1376,49 +1728,120 @@ export function triggerStateBroadcast() {
 // Periodic state broadcast for Watch Together sync
 let positionBroadcastInterval = null;
 
+function isAdvancing(queue) {
+  return !!(queue && queue.isPlaying && queue.songStartTime && !isPlayerPaused(queue.player.state.status));
+}
+
+// One interval for every guild: each tick goes to the queues whose songs are moving
 function startPositionBroadcast() {
   if (positionBroadcastInterval) return;
   positionBroadcastInterval = setInterval(
-    safeTimer('the position broadcast', () => positionTick(queues.values().next().value)),
+    safeTimer('the position broadcast', () => {
+      const playing = [...queues.values()].filter(isAdvancing);
+      if (playing.length === 0) stopPositionBroadcast();
+      for (const queue of playing) positionTick(queue);
+    }),
     1000
   );
 }
 
-// One tick of the position broadcast. A named function rather than an inline body so it can be
-// driven directly, without sitting out a second of real time.
+// One tick of the position broadcast, for one guild's queue. A named function rather than an
+// inline body so it can be driven directly, without sitting out a second of real time.
 export function positionTick(queue) {
-  if (queue && queue.isPlaying && queue.songStartTime && !isPlayerPaused(queue.player.state.status)) {
+  clearLyricLineTimer(queue?.guildId);
+  if (isAdvancing(queue)) {
     // The interval keeps ticking with nobody connected - it is one branch a second, and it
     // means a dashboard that opens mid-song starts getting positions immediately - but nothing
     // is sent, and nothing is built to send
-    if (hasWebClients()) broadcastPosition(queue);
-  } else {
+    const watched = hasWebClients();
+    if (!watched && !lyricLineCallback) return;
+
+    // Position in song time: the clock is restarted on every seek and mixer change, and a speed
+    // change scales it, so the line below is right across both
+    const speed = mixerSpeed(queue.guildId);
+    const position = queue.getPlaybackElapsedMs() / 1000 * speed;
+    const lyrics = syncedLyricsFor(queue);
+    const lyricLine = lyrics ? lyricLineAt(lyrics.lines, position) : undefined;
+
+    if (watched) broadcastPosition(queue, position, lyricLine);
+    if (lyricLineCallback) notifyLyricLine(queue, position, lyricLine);
+    if (lyrics) scheduleNextLyricLine(queue, lyrics.lines[lyricLine + 1], position, speed);
+  } else if (![...queues.values()].some(isAdvancing)) {
+    // Another guild's song still moving keeps the interval going for it
     stopPositionBroadcast();
   }
 }
 
-// The position, and the two fields a client needs to read it - not the whole state. Falls back
-// to the full broadcast when nothing has claimed the position channel, so an unwired consumer
-// still gets its per-second update.
-function broadcastPosition(queue) {
+// The current song's synced lyrics, if somebody has already looked them up (see lyrics.js).
+// Never fetched from here: this runs every second and must not wait on lrclib.
+function syncedLyricsFor(queue) {
+  const lyrics = queue?.currentSong?.url ? cachedLyrics(queue.currentSong.url) : null;
+  return lyrics?.synced ? lyrics : null;
+}
+
+// A second is a long time in a song - a line can be half sung before a tick notices it - so
+// when the next line starts before the next tick, one extra tick is run the moment it does.
+// One per guild, keyed by guild ID: two servers singing along have two next lines.
+const lyricLineTimers = new Map();
+
+function scheduleNextLyricLine(queue, nextLine, position, speed) {
+  if (!nextLine) return;
+  const waitMs = (nextLine.time - position) / speed * 1000;
+  if (waitMs >= 1000) return; // The interval's own tick gets there first
+  const timer = setTimeout(safeTimer('the lyric line tick', () => {
+    lyricLineTimers.delete(queue.guildId);
+    positionTick(queue);
+  }), Math.max(0, waitMs) + 20);
+  if (timer.unref) timer.unref();
+  lyricLineTimers.set(queue.guildId, timer);
+}
+
+// One guild's pending line tick, or with no guild given, every guild's
+function clearLyricLineTimer(guildId = undefined) {
+  for (const [id, timer] of lyricLineTimers) {
+    if (guildId !== undefined && id !== guildId) continue;
+    clearTimeout(timer);
+    lyricLineTimers.delete(id);
+  }
+}
+
+function notifyLyricLine(queue, position, lyricLine) {
+  try {
+    lyricLineCallback({ guildId: queue.guildId, song: queue.currentSong, position, line: lyricLine ?? null });
+  } catch (err) {
+    console.error('[MusicQueue] Following the lyrics failed:', err?.message || err);
+  }
+}
+
+// The position, and the two fields a client needs to read it - not the whole state - plus the
+// lyric line when the song has synced lyrics. Falls back to the full broadcast when nothing has
+// claimed the position channel, so an unwired consumer still gets its per-second update.
+function broadcastPosition(queue, position, lyricLine) {
   if (!webPositionCallback) {
     broadcastState();
     return;
   }
   try {
-    const speed = globalSettings.mixerFilters?.speed || 1.0;
-    webPositionCallback({
-      position: queue.getPlaybackElapsedMs() / 1000 * speed,
+    const tick = {
+      // Which guild's dashboards it is for
+      guildId: queue.guildId,
+      position,
       isPaused: isPlayerPaused(queue.player.state.status),
       // Pause-corrected, since the client computes its own progress as (now - songStartTime)
       songStartTime: queue.getEffectiveSongStartTime()
-    });
+    };
+    if (lyricLine !== undefined) tick.lyricLine = lyricLine;
+    // The chapter it is in, for a song with chapters - like the lyric line, left out otherwise
+    const chapters = queue.currentSong?.chapters;
+    if (chapters?.length) tick.chapter = chapterIndexAt(chapters, position);
+    webPositionCallback(tick);
   } catch (err) {
     console.error('[MusicQueue] Broadcasting the playback position failed:', err?.message || err);
   }
 }
 
 function stopPositionBroadcast() {
+  clearLyricLineTimer();
   if (positionBroadcastInterval) {
     clearInterval(positionBroadcastInterval);
     positionBroadcastInterval = null;
@@ -1440,73 +1863,109 @@ export function isPlayerPaused(status) {
 // (index.js's uncaughtException handler exits, so the bot dies mid-song), and from play()'s
 // prologue it left the queue marked playing with no resource and no download - a state nothing
 // would ever advance again. There is no caller for which a failed broadcast is worth either.
-function broadcastState(seekPosition = null) {
+//
+// `seekGuildId` names the guild a seekPosition belongs to: every guild's state goes out, but
+// only the one that seeked has jumped.
+function broadcastState(seekPosition = null, seekGuildId = null) {
   try {
-    sendStateToDashboard(seekPosition);
+    sendStateToDashboard(seekPosition, seekGuildId);
   } catch (err) {
     console.error('[MusicQueue] Broadcasting state to the dashboard failed:', err?.message || err);
   }
 }
 
-function sendStateToDashboard(seekPosition = null) {
+// One state per guild: every server's dashboard shows its own queue, and the web server hands
+// each state only to the dashboards looking at that guild (see updateState there), with that
+// guild's own player settings.
+function sendStateToDashboard(seekPosition = null, seekGuildId = null) {
   if (!webUpdateCallback) return;
 
-  // Get first active queue (for now, support single guild)
-  const firstQueue = queues.values().next().value;
-
-  if (firstQueue) {
-    // Calculate current playback position in seconds (paused time excluded)
-    const isPaused = isPlayerPaused(firstQueue.player.state.status);
-    const speed = globalSettings.mixerFilters?.speed || 1.0;
-    const position = firstQueue.getPlaybackElapsedMs() / 1000 * speed;
-    webUpdateCallback({
-      currentSong: firstQueue.currentSong,
-      queue: firstQueue.songs,
-      recentlyPlayed: globalRecentlyPlayed,
-      isPlaying: firstQueue.isPlaying,
-      isPaused: isPaused,
-      volume: firstQueue.volume,
-      guildId: firstQueue.guildId,
-      guildName: firstQueue.guildName,
-      guildIcon: firstQueue.guildIcon,
-      voiceChannelName: firstQueue.voiceChannelName,
-      seekPosition: seekPosition,
-      position: position,
-      // Pause-corrected, since the client computes its own progress as (now - songStartTime)
-      songStartTime: firstQueue.getEffectiveSongStartTime(),
-      loopMode: globalSettings.loopMode,
-      is24_7: globalSettings.is24_7,
-      sleepEndTime: globalSettings.sleepEndTime,
-      radioEnabled: globalSettings.radioEnabled,
-      mixerFilters: globalSettings.mixerFilters
-    });
+  const idleGuilds = new Set(dashboardGuildsCallback ? dashboardGuildsCallback() : []);
+  for (const queue of queues.values()) {
+    idleGuilds.delete(queue.guildId);
+    const seek = seekGuildId === null || seekGuildId === queue.guildId ? seekPosition : null;
+    webUpdateCallback(queueDashboardState(queue, seek));
+  }
+  if (queues.size === 0 && idleGuilds.size === 0) idleGuilds.add(null);
+  for (const guildId of idleGuilds) webUpdateCallback(idleDashboardState(guildId));
 
-    // Start periodic broadcast when playing
-    if (firstQueue.isPlaying && !isPaused) {
-      startPositionBroadcast();
-    } else {
-      stopPositionBroadcast();
-    }
+  // Start periodic broadcast while any guild is playing
+  if ([...queues.values()].some(queue => queue.isPlaying && !isPlayerPaused(queue.player.state.status))) {
+    startPositionBroadcast();
   } else {
     stopPositionBroadcast();
-    webUpdateCallback({
-      currentSong: null,
-      queue: [],
-      recentlyPlayed: globalRecentlyPlayed,
-      isPlaying: false,
-      isPaused: false,
-      volume: 1.0,
-      guildId: null,
-      position: 0,
-      loopMode: globalSettings.loopMode,
-      is24_7: globalSettings.is24_7,
-      sleepEndTime: globalSettings.sleepEndTime,
-      radioEnabled: globalSettings.radioEnabled,
-      mixerFilters: globalSettings.mixerFilters
-    });
   }
 }
 
+// `guildId`'s player settings, as its dashboard shows them
+function guildDashboardSettings(guildId) {
+  const settings = guildPlayerSettings(guildId);
+  return {
+    loopMode: settings.loopMode,
+    is24_7: settings.is24_7,
+    radioEnabled: settings.radioEnabled,
+    fairQueue: settings.fairQueue,
+    mixerFilters: settings.mixerFilters,
+    mixerPreset: matchingPreset(settings.mixerFilters),
+    sleepEndTime: settings.sleepEndTime
+  };
+}
+
+function queueDashboardState(queue, seekPosition) {
+  // Calculate current playback position in seconds (paused time excluded)
+  const isPaused = isPlayerPaused(queue.player.state.status);
+  const speed = mixerSpeed(queue.guildId);
+  const position = queue.getPlaybackElapsedMs() / 1000 * speed;
+  const lyrics = syncedLyricsFor(queue);
+  const settings = guildDashboardSettings(queue.guildId);
+  return {
+    ...settings,
+    currentSong: queue.currentSong,
+    queue: queue.songs,
+    recentlyPlayed: recentlyPlayedFor(queue.guildId),
+    isPlaying: queue.isPlaying,
+    isPaused: isPaused,
+    volume: queue.volume,
+    guildId: queue.guildId,
+    guildName: queue.guildName,
+    guildIcon: queue.guildIcon,
+    voiceChannelName: queue.voiceChannelName,
+    seekPosition: seekPosition,
+    position: position,
+    lyricLine: lyrics ? lyricLineAt(lyrics.lines, position) : null,
+    chapter: queue.currentSong?.chapters?.length ? chapterIndexAt(queue.currentSong.chapters, position) : null,
+    // Pause-corrected, since the client computes its own progress as (now - songStartTime)
+    songStartTime: queue.getEffectiveSongStartTime(),
+    // Whose song is up next, for the dashboard's "next turn" line. Only meaningful when the
+    // queue is actually being ordered in turns.
+    nextTurn: settings.fairQueue ? (queue.songs[0]?.requestedBy || null) : null,
+    skipVote: queue.skipVoteState(),
+    // What the Undo button would take back, for its label; null hides it
+    undo: peekUndo(queue.guildId)
+  };
+}
+
+// A guild with no queue. `guildId` null is the one guild-less state sent when nothing says
+// which guilds have dashboards.
+function idleDashboardState(guildId) {
+  return {
+    ...guildDashboardSettings(guildId),
+    currentSong: null,
+    queue: [],
+    recentlyPlayed: guildId ? recentlyPlayedFor(guildId) : globalRecentlyPlayed,
+    isPlaying: false,
+    isPaused: false,
+    volume: 1.0,
+    guildId,
+    position: 0,
+    nextTurn: null,
+    skipVote: null,
+    // After a /stop there is no queue, but the stop itself can still be undone. The guild-less
+    // state belongs to no guild, so it has nothing to undo either.
+    undo: guildId ? peekUndo(guildId) : null
+  };
+}
+
 // Wait for a ducked clip to finish playing. Resolves with why it ended: the music
 // is paused for as long as this takes, so a clip that errors, never starts, or runs
 // away must end the wait just as reliably as a clean finish does. Progress is read
@@ -1695,7 +2154,8 @@ export function decideTransition({
   nextDurationSec = null,
   hasFile = true,
   connected = true,
-  destroying = false
+  destroying = false,
+  clipped = false
 } = {}) {
   const seconds = Number(crossfadeSec);
   if (!Number.isFinite(seconds) || seconds <= 0) return { crossfade: false, reason: 'disabled' };
@@ -1709,6 +2169,9 @@ export function decideTransition({
   if (duckActive) return { crossfade: false, reason: 'duck-active' };
   if (Number(speed) !== 1) return { crossfade: false, reason: 'speed' };
   if (!hasFile) return { crossfade: false, reason: 'no-file' };
+  // A play range that cuts this song off short of its file's end, or starts the next one
+  // partway in: the fade works on whole files, so it would blend in audio nobody asked to hear
+  if (clipped) return { crossfade: false, reason: 'clipped' };
   // Never waited for: a prefetch that has not landed means the plain transition, which is what
   // shipped and what the download path is built to recover from
   if (!nextFileReady) return { crossfade: false, reason: 'prefetch-miss' };
@@ -1746,6 +2209,10 @@ export class MusicQueue {
     this.songStartTime = null; // Timestamp when current song started playing
     this.pausedAt = null; // Timestamp of the pause currently in effect (null = not paused)
     this.totalPausedMs = 0; // Paused milliseconds already accumulated for this song
+    this.playStartPosition = 0; // Seconds into the song the current play began at (play events)
+    this.playStartedAt = null; // When the current play's audio started (play events)
+    this.playStartedFor = null; // The song those two describe; a seek restarts the clock, not the play
+    this.playerFailed = false; // The player errored, so the Idle that follows is not a finish
     this.seekWatchdog = null; // Handle for the timer that unsticks a seek that never resumed
     this.seekOffset = 0; // Offset in seconds for when song started (for seeking)
     this.historyIndex = -1; // Current position in recently played history (-1 = not navigating history)
@@ -1775,7 +2242,11 @@ export class MusicQueue {
     // by one timer, re-armed off the playback clock so a pause moves both.
     this.crossfade = null;
     this.crossfadeTimer = null;
-    // Note: loopMode, is24_7, and sleepEndTime are now in globalSettings for persistence
+    // The skip vote on the current song, or null: { gen, voters: Map(userId -> name), needed }.
+    // Tagged with cacheGeneration, which moves on every song change, so a vote never carries
+    // over to the next song - not even to the same song coming round again on loop.
+    this.skipVote = null;
+    // Note: loopMode, is24_7, and sleepEndTime are this guild's player settings, kept in globalSettings for persistence
 
     // Handle player state changes - use arrow function to preserve 'this'
     this.player.on(AudioPlayerStatus.Idle, () => {
@@ -1823,10 +2294,15 @@ export class MusicQueue {
       // Set song start time when actually playing (accounting for seek offset)
       // Note: this also fires on unpause, where songStartTime is already set and must stay put
       if (!this.songStartTime) {
-        const speed = globalSettings.mixerFilters?.speed || 1.0;
+        const speed = mixerSpeed(this.guildId);
         this.pausedAt = null;
         this.totalPausedMs = 0;
         this.songStartTime = Date.now() - (this.seekOffset / speed * 1000);
+        if (this.playStartedFor !== this.currentSong) {
+          this.playStartPosition = this.seekOffset;
+          this.playStartedAt = Date.now();
+          this.playStartedFor = this.currentSong;
+        }
         console.log('Song start time set:', new Date(this.songStartTime), 'with offset:', this.seekOffset, 'at speed:', speed);
       } else if (this.pausedAt !== null) {
         // The other half of the AutoPaused claim below: audio is flowing again, so whatever
@@ -1880,6 +2356,7 @@ export class MusicQueue {
       this.isSeeking = false;
       this.clearSeekWatchdog();
       if (this.destroying) return;
+      this.playerFailed = true;
       unattended(this.playNext(), 'advancing the queue after a player error');
     });
   }
@@ -1976,7 +2453,7 @@ export class MusicQueue {
 
     // cleanup() raises `destroying` before it stops the player, so the Idle that follows never
     // reaches playNext(); this is the last chance to credit what was actually heard
-    this.trackAndClearListening();
+    this.trackAndClearListening('error');
     this.cleanup();
 
     if (rejoinFrom) scheduleRejoin(this.guildId, rejoinFrom, reason, { is24_7: () => this.current24_7() });
@@ -2067,8 +2544,14 @@ export class MusicQueue {
       }
     }
 
-    this.songs.push(song);
-    console.log(`Song added: ${song.title}, Queue length now: ${this.songs.length}`);
+    if (this.currentFairQueue()) {
+      const index = fairInsertIndex(this.songs, song, this.currentSong);
+      this.songs.splice(index, 0, song);
+      console.log(`Song added: ${song.title} at position ${index + 1} (fair queue), Queue length now: ${this.songs.length}`);
+    } else {
+      this.songs.push(song);
+      console.log(`Song added: ${song.title}, Queue length now: ${this.songs.length}`);
+    }
     broadcastState();
     scheduleQueueStateSave();
     // Adding to an empty queue makes this the next song; adding a user song to a queue of
@@ -2096,8 +2579,10 @@ export class MusicQueue {
     let previousSong = null;
     let foundIndex = -1;
     
-    for (let i = startIndex; i < globalRecentlyPlayed.length; i++) {
-      const song = globalRecentlyPlayed[i];
+    // This guild's history only: historyIndex counts along it, not the shared list
+    const history = recentlyPlayedFor(this.guildId);
+    for (let i = startIndex; i < history.length; i++) {
+      const song = history[i];
       // Skip if this is the currently playing song
       if (this.currentSong && song.url === this.currentSong.url) continue;
       previousSong = song;
@@ -2230,14 +2715,17 @@ export class MusicQueue {
         throw new DownloadAbortedError(movedOn);
       }
 
-      // The downloaded file *is* the cache, so seeking is instant from the first second
+      // The downloaded file *is* the cache, so seeking is instant from the first second. A song
+      // with a play range (a ?t= link, /play's start option) starts where the range does, through
+      // the same offset a seek uses; a resume position, when there is one, is further in still.
       this.cachedAudioPath = cachePath;
-      this.playFromCache(clampResumePosition(startAtSeconds, this.currentSong?.duration));
+      const startAt = startAtSeconds > 0 ? startAtSeconds : (Number(this.currentSong?.startTime) || 0);
+      this.playFromCache(clampResumePosition(startAt, this.currentSong?.endTime || this.currentSong?.duration));
 
       // Counted here rather than at the consume, so a start that was abandoned partway does
       // not report a transition the listener never had
       if (prefetched) this.prefetchHits++; else this.prefetchMisses++;
-      console.log(formatTransition(!!prefetched, songTitle, this.prefetchHits, this.prefetchMisses));
+      console.log(formatTransition(!!prefetched, songTitle, this.prefetchHits, this.prefetchMisses, getAudioCacheStats()));
 
       broadcastState(); // the dashboard's cached indicator is true from the start now
 
@@ -2302,19 +2790,22 @@ export class MusicQueue {
       // Reset history index when playing new songs normally
       this.historyIndex = -1;
 
-      // Add to global recently played (at the beginning, max 150)
+      // Add to global recently played (at the beginning, max 150 per guild - one busy server
+      // must not push a quieter one's history out)
       globalRecentlyPlayed.unshift({
         ...this.currentSong,
+        guildId: this.guildId,
         playedAt: Date.now()
       });
-      if (globalRecentlyPlayed.length > 150) {
-        globalRecentlyPlayed.pop();
+      const ownHistory = recentlyPlayedFor(this.guildId);
+      if (ownHistory.length > 150) {
+        globalRecentlyPlayed.splice(globalRecentlyPlayed.lastIndexOf(ownHistory[ownHistory.length - 1]), 1);
       }
       // Save to file for persistence
       saveRecentlyPlayed(globalRecentlyPlayed);
 
       // Track song started in listening stats (play count only, time tracked when song ends)
-      trackSongStarted(this.currentSong)
+      trackSongStarted(this.currentSong, this.guildId)
         .catch(err => console.error('[MusicQueue] Could not record the song start:', err.message));
     }
     // Clear the flag for next song
@@ -2332,6 +2823,48 @@ export class MusicQueue {
     if (updatePresenceCallback && this.currentSong) {
       updatePresenceCallback(this.currentSong.title);
     }
+
+    // A long video queued without its chapters (the dashboard's search, a playlist, radio) gets
+    // them looked up now, in the background; the song is playing either way
+    if (this.currentSong && wantsChapterLookup(this.currentSong)) {
+      unattended(this.lookUpChapters(this.currentSong), 'looking up the chapters of the song');
+    }
+  }
+
+  // Read `song`'s chapters from yt-dlp's info JSON and, if it is still the one playing, show
+  // them. The answer is kept on the song - an empty list for a video without chapters - so a
+  // song that comes round again on loop is not looked up twice.
+  async lookUpChapters(song) {
+    const chapters = await fetchChapters(song.url);
+    if (chapters === null) return;
+    song.chapters = chapters;
+    if (this.currentSong === song && chapters.length > 0) broadcastState();
+  }
+
+  // Jump to the start of the next chapter of the song that is playing. A seek, so it is for
+  // anybody who can seek: no vote, and the song itself carries on.
+  //
+  // @returns {{ ok: true, chapter } | { ok: false, reason: 'nothing-playing' | 'no-chapters' | 'last-chapter' }}
+  async skipChapter() {
+    const song = this.currentSong;
+    if (!song) return { ok: false, reason: 'nothing-playing' };
+    if (!Array.isArray(song.chapters) || song.chapters.length === 0) return { ok: false, reason: 'no-chapters' };
+    const speed = mixerSpeed(this.guildId);
+    const position = this.getPlaybackElapsedMs() / 1000 * speed;
+    const chapter = nextChapter(song.chapters, position, song.endTime);
+    if (!chapter) return { ok: false, reason: 'last-chapter' };
+    const seeked = await this.seek(chapter.start);
+    return seeked ? { ok: true, chapter } : { ok: false, reason: 'nothing-playing' };
+  }
+
+  // The chapter playing now, for /nowplaying: { index, count, chapter }, or null for a song
+  // without chapters
+  currentChapter() {
+    const chapters = this.currentSong?.chapters;
+    if (!Array.isArray(chapters) || chapters.length === 0) return null;
+    const speed = mixerSpeed(this.guildId);
+    const index = chapterIndexAt(chapters, this.getPlaybackElapsedMs() / 1000 * speed);
+    return index === -1 ? null : { index, count: chapters.length, chapter: chapters[index] };
   }
 
   // Fetch one song's audio to `cachePath`, through the download gate, retrying a YouTube
@@ -2350,14 +2883,28 @@ export class MusicQueue {
   //   (see the loudness section above for the measured numbers behind that split).
   // @returns {Promise<{attempts: number, ms: number}>} what the fetch cost, for the timing line
   async fetchAudioTo(cachePath, songUrl, songTitle, { priority, label, abortReason, childSlot, measure = false }) {
+    if (isLocalTrackUrl(songUrl)) {
+      return this.fetchLocalTrackTo(cachePath, songUrl, songTitle, { abortReason, measure });
+    }
     if (!isAllowedMediaUrl(songUrl)) {
       throw new Error(`Refusing to pass unsupported URL to yt-dlp: ${songUrl}`);
     }
 
     const startedAt = Date.now();
+    const videoId = youtubeVideoId(songUrl);
     let attempts = 0;
 
     try {
+      // A song played before is already on disk, and takes no slot in the gate and no yt-dlp.
+      // Checked for staleness first all the same: a copy is cheap, but a copy for a song that
+      // is no longer wanted is a file somebody then has to notice and delete.
+      const reason = abortReason?.();
+      if (reason) throw new DownloadAbortedError(reason);
+      if (videoId && await takeFromAudioCache(videoId, cachePath)) {
+        await this.settleLoudness(cachePath, songUrl, songTitle, measure);
+        return { attempts: 0, ms: Date.now() - startedAt, cached: true };
+      }
+
       // Whatever container `bestaudio` yields is kept as-is: no post-processor, no re-encode.
       //
       // The selector already prefers native opus, and for those yt-dlp's audio extraction only
@@ -2399,14 +2946,13 @@ export class MusicQueue {
         throw new Error(`yt-dlp reported success but left no file at ${cachePath}`);
       }
 
-      // Before the caller is told the file is ready, so nothing ever plays a file whose
-      // measurement is still in flight and gets a level change part-way through. A failure is
-      // not one: measureLoudness answers null and the song plays at its own level.
-      if (measure && globalSettings.normalizeAudio) {
-        await this.measureAndRemember(cachePath, songTitle);
-      }
+      // Kept for the next play in the background: the copy is the cache's business, and this
+      // song is ready now. A copy that loses the race with a skip just does not happen.
+      if (videoId) addToAudioCache(videoId, cachePath, { title: songTitle });
+
+      await this.settleLoudness(cachePath, songUrl, songTitle, measure);
 
-      return { attempts, ms: Date.now() - startedAt };
+      return { attempts, ms: Date.now() - startedAt, cached: false };
     } catch (error) {
       // So the skip line can say how much of the gap this song spent failing, which is the
       // number that says whether a backoff schedule is worth what it costs
@@ -2420,13 +2966,64 @@ export class MusicQueue {
     }
   }
 
+  // The local-library half of fetchAudioTo: the file is already on disk, so "fetching" it is a
+  // symlink at the cache path and the download gate is never involved - a file read is not
+  // what the gate rations, and a library track waiting behind a YouTube prefetch would be the
+  // outage this source exists for. Everything downstream sees an ordinary cache file: the
+  // prefetch hands it over, the crossfade reads it twice, and removeCacheFile unlinks the
+  // link and never the library's own file. A copy where symlinks are not allowed (Windows
+  // without developer mode).
+  async fetchLocalTrackTo(cachePath, songUrl, songTitle, { abortReason, measure = false }) {
+    const startedAt = Date.now();
+    try {
+      const reason = abortReason?.();
+      if (reason) throw new DownloadAbortedError(reason);
+
+      const source = resolveLocalTrackPath(songUrl);
+      if (!source) throw new Error(`"${songTitle}" is no longer in the local library`);
+      try {
+        symlinkSync(source, cachePath);
+      } catch {
+        copyFileSync(source, cachePath);
+      }
+
+      // Measured on the same terms as a download: on the prefetch, which has time to spare
+      await this.settleLoudness(cachePath, songUrl, songTitle, measure);
+      return { attempts: 1, ms: Date.now() - startedAt, cached: false };
+    } catch (error) {
+      if (error && typeof error === 'object') {
+        error.downloadMs = Date.now() - startedAt;
+        error.downloadAttempts = 1;
+      }
+      removeCacheFile(cachePath);
+      throw error;
+    }
+  }
+
+  // Decide what level a file that has just landed at `cachePath` plays at, before the caller is
+  // told it is ready - so nothing ever plays a file whose measurement is still in flight and
+  // gets a level change part-way through.
+  //
+  // A video measured on an earlier play needs no analysis pass, whichever path fetched it.
+  // Otherwise only a `measure` fetch spends one (see fetchAudioTo), and a failure is not one:
+  // measureLoudness answers null and the song plays at its own level.
+  async settleLoudness(cachePath, songUrl, songTitle, measure) {
+    if (!globalSettings.normalizeAudio) return;
+    const known = knownLoudness(songUrl);
+    if (known) rememberLoudness(cachePath, known);
+    else if (measure) await this.measureAndRemember(cachePath, songTitle, songUrl);
+  }
+
   // Work out what one finished download should be played at, and remember it.
   //
   // Parked on `measureProcess` while it runs, because this is the one piece of a download that
   // something may need to take back: the analysis is 8.6s of CPU for a 4-minute track, and the
   // moment the song it belongs to is the song that is starting, nobody is waiting for a level -
   // they are waiting for audio (see abortLoudnessMeasurement, and takePrefetched's claim).
-  async measureAndRemember(cachePath, songTitle) {
+  //
+  // @param songUrl - what the measurement is stored against for the next play of the same
+  //   video; a URL that is not a YouTube video (a local file) is measured for this play only.
+  async measureAndRemember(cachePath, songTitle, songUrl = null) {
     const measuredAt = Date.now();
     let child = null;
     const loudness = await measureLoudness(cachePath, {
@@ -2437,6 +3034,11 @@ export class MusicQueue {
     });
     if (this.measureProcess === child) this.measureProcess = null;
 
+    // Stored whatever became of the file: the number describes the video, and a prefetch that
+    // was dropped mid-analysis is a song somebody queued and is likely to queue again
+    const videoId = youtubeVideoId(songUrl);
+    if (loudness && videoId) storeLoudness(videoId, loudness, { title: songTitle });
+
     // Only for a file that is still there. A prefetch dropped while its analysis ran has already
     // deleted the file (and with it the entry in the map), and remembering a level for a path
     // nothing will ever play again would leave a map entry with nothing left to retire it.
@@ -2477,7 +3079,7 @@ export class MusicQueue {
       // Somebody is sitting in silence waiting for this one - see fetchAudioTo
       measure: false
     });
-    console.log(formatDownloadTiming(songTitle, cost.ms, cost.attempts));
+    console.log(formatDownloadTiming(songTitle, cost.ms, cost.attempts, false, cost.cached));
     return cachePath;
   }
 
@@ -2559,7 +3161,7 @@ export class MusicQueue {
       // The file is written, measured and safe to hand to a second reader - which is what the
       // crossfade needs to know before it can fade into it (see readyPrefetchFor)
       entry.ready = true;
-      console.log(formatDownloadTiming(entry.title, cost.ms, cost.attempts, true));
+      console.log(formatDownloadTiming(entry.title, cost.ms, cost.attempts, true, cost.cached));
       return entry.path;
     } catch (error) {
       entry.attempts = error?.downloadAttempts || entry.attempts;
@@ -2726,13 +3328,20 @@ export class MusicQueue {
     if (seekSeconds > 0) {
       ffmpegArgs.push('-ss', String(Math.floor(seekSeconds)));
     }
+    // A play range that ends before the video does: read only up to its end, so the stream
+    // finishes there and the song ends the ordinary way, Idle and all. An input option, so it
+    // counts source seconds whatever the speed filter does to the output.
+    const endTime = Number(this.currentSong?.endTime) || 0;
+    if (endTime > Math.floor(seekSeconds)) {
+      ffmpegArgs.push('-t', String(endTime - Math.floor(seekSeconds)));
+    }
 
     ffmpegArgs.push(
       '-i', this.cachedAudioPath,
       '-analyzeduration', '0',
       '-loglevel', '0',
       // The loudness measured for this exact file, or nothing when it was never measured
-      '-af', buildFilterChain(loudnessFor(this.cachedAudioPath)),
+      '-af', buildFilterChain(loudnessFor(this.cachedAudioPath), guildPlayerSettings(this.guildId).mixerFilters),
       '-f', 's16le',
       '-ar', '48000', // Discord's native sample rate
       '-ac', '2',     // Stereo
@@ -2763,7 +3372,7 @@ export class MusicQueue {
     // file into a stereo one), but only the pin makes it something this code guarantees rather
     // than something it gets away with.
     const branch = (index, path) =>
-      `[${index}:a]${buildFilterChain(loudnessFor(path))},aformat=sample_rates=48000:channel_layouts=stereo,apad=whole_dur=${d}[a${index}]`;
+      `[${index}:a]${buildFilterChain(loudnessFor(path), guildPlayerSettings(this.guildId).mixerFilters)},aformat=sample_rates=48000:channel_layouts=stereo,apad=whole_dur=${d}[a${index}]`;
 
     const ffmpegArgs = [
       // Not the silent `-loglevel 0` the single-file path uses. This is the more complicated of
@@ -2876,7 +3485,7 @@ export class MusicQueue {
     if (isPlayerPaused(this.player.state.status)) return false;
     if (!this.songStartTime) return false;
 
-    const speed = globalSettings.mixerFilters?.speed || 1.0;
+    const speed = mixerSpeed(this.guildId);
     const elapsedMs = this.getPlaybackElapsedMs();
     const state = this.crossfade;
 
@@ -2891,6 +3500,9 @@ export class MusicQueue {
       return true;
     }
 
+    // Its range ends before its file does, so the moment the fade is timed off never comes
+    if (this.currentSong.endTime) return false;
+
     const plan = planCrossfade({
       durationSec: this.currentSong.duration,
       crossfadeSec: this.currentCrossfadeSec(),
@@ -2935,12 +3547,13 @@ export class MusicQueue {
       duckActive: this.duckActive,
       loopMode: this.currentLoopMode(),
       sameSong: !!next && next.url === this.currentSong.url,
-      speed: globalSettings.mixerFilters?.speed || 1.0,
+      speed: mixerSpeed(this.guildId),
       durationSec: this.currentSong.duration,
       nextDurationSec: next?.duration ?? null,
       hasFile: !!this.cachedAudioPath && existsSync(this.cachedAudioPath),
       connected: !!this.connection,
-      destroying: this.destroying
+      destroying: this.destroying,
+      clipped: !!this.currentSong.endTime || !!next?.startTime
     });
 
     if (!decision.crossfade) {
@@ -2957,7 +3570,7 @@ export class MusicQueue {
   // the next. The audio is committed from here; the queue's own bookkeeping is not, and follows
   // at the handover below.
   beginCrossfade(next, nextPath, seconds) {
-    const speed = globalSettings.mixerFilters?.speed || 1.0;
+    const speed = mixerSpeed(this.guildId);
     const fromSec = this.getPlaybackElapsedMs() / 1000 * speed;
     const state = {
       next,
@@ -3022,7 +3635,7 @@ export class MusicQueue {
 
     const outgoing = this.currentSong;
     // What the room actually heard of it, credited the same way a natural end credits it
-    this.trackAndClearListening();
+    this.trackAndClearListening('crossfade');
 
     // This is the song change, so it owes what playNext() does for a song that ended: loop mode
     // 'queue' puts the finished song at the back. Without it, fading under a queue loop would
@@ -3056,9 +3669,12 @@ export class MusicQueue {
 
     // The incoming song has been audible for half the fade already, so the clock starts there
     // rather than at zero - the same offset machinery a seek or a resume uses
-    const speed = globalSettings.mixerFilters?.speed || 1.0;
+    const speed = mixerSpeed(this.guildId);
     this.seekOffset = state.seconds * CROSSFADE_HANDOVER_FRACTION;
     this.songStartTime = Date.now() - (this.seekOffset / speed * 1000);
+    this.playStartPosition = this.seekOffset;
+    this.playStartedAt = Date.now();
+    this.playStartedFor = this.currentSong;
     this.pausedAt = null;
     this.totalPausedMs = 0;
     // Audio has been flowing for seconds, so whatever the breaker was counting is over
@@ -3067,7 +3683,7 @@ export class MusicQueue {
     this.announceSongStart();
     // By definition: a crossfade only happens into a file that was already on disk
     this.prefetchHits++;
-    console.log(formatTransition(true, state.next.title, this.prefetchHits, this.prefetchMisses));
+    console.log(formatTransition(true, state.next.title, this.prefetchHits, this.prefetchMisses, getAudioCacheStats()));
     if (outgoing) console.log(`[MusicQueue] crossfade handover: "${outgoing.title}" -> "${state.next.title}"`);
 
     this.maintainPrefetch();
@@ -3179,7 +3795,7 @@ export class MusicQueue {
         console.log('[MusicQueue] Stale auto-leave timer fired for a replaced queue, ignoring');
         return;
       }
-      if (this.songs.length === 0 && !this.isPlaying && !globalSettings.is24_7) {
+      if (this.songs.length === 0 && !this.isPlaying && !this.current24_7()) {
         this.leave();
       }
     }), ms);
@@ -3217,14 +3833,34 @@ export class MusicQueue {
     this.totalPausedMs = 0;
   }
 
-  // Credit listening time for the current song exactly once. stop()/leave() each trigger an
-  // Idle that runs playNext(), so whichever call arrives second finds songStartTime null.
-  trackAndClearListening() {
+  // Credit listening time for the current song exactly once, and record the play as an event
+  // (see playEvents.js) ending for `reason`. stop()/leave() each trigger an Idle that runs
+  // playNext(), so whichever call arrives second finds songStartTime null - which is also what
+  // keeps a stop from being recorded a second time as a skip.
+  trackAndClearListening(reason = 'finished') {
     if (!this.currentSong || !this.songStartTime) return;
-    const listenedSeconds = Math.floor(this.getPlaybackElapsedMs() / 1000);
+    const elapsedMs = this.getPlaybackElapsedMs();
+    const listenedSeconds = Math.floor(elapsedMs / 1000);
     const song = this.currentSong;
+    const speed = mixerSpeed(this.guildId);
+    // The clock runs in real time, the song's position in song time
+    const position = elapsedMs / 1000 * speed;
+    const endPosition = song.duration ? Math.min(position, song.duration) : position;
+    // A "natural" end well short of the song's end is a stream that gave out, not a song that
+    // finished, and counting it as finished would make a broken download look like a favourite
+    if (reason === 'finished' && song.duration && song.duration - position > NATURAL_END_SLACK_SEC) reason = 'error';
+    const play = {
+      reason,
+      startPosition: this.playStartPosition || 0,
+      endPosition,
+      startedAt: this.playStartedAt || null,
+      endedAt: Date.now()
+    };
+    this.playStartPosition = 0;
+    this.playStartedAt = null;
+    this.playStartedFor = null;
     this.resetPlaybackClock();
-    trackListeningTime(song, listenedSeconds);
+    trackListeningTime(song, listenedSeconds, play, this.guildId);
   }
 
   // A seek/filter restart is only finished once Playing fires. If it never does (dead stream,
@@ -3288,14 +3924,15 @@ export class MusicQueue {
   // chooseRadioSeed() for why the actual seed usually isn't it.
   async tryRadioFill(endedSong) {
     try {
-      const seedSong = chooseRadioSeed(globalRecentlyPlayed, endedSong) || endedSong;
+      const seedSong = chooseRadioSeed(recentlyPlayedFor(this.guildId), endedSong) || endedSong;
       const result = await pickRadioTrack(seedSong.url, {
         // This queue is the genuinely-empty one that got us here (see the staleness check
         // just below), so there is nothing of this guild's own to exclude yet beyond the
         // in-session memory - pickRadioTrack's queue/current-song filter matters most for
         // the dashboard's own call into it, made while a song is still playing.
         recentRadioUrls: this.recentRadioUrls,
-        seedTitle: seedSong.title
+        seedTitle: seedSong.title,
+        guildId: this.guildId
       });
 
       // getRadioTracks() (inside pickRadioTrack) is a multi-second yt-dlp subprocess - this
@@ -3319,6 +3956,7 @@ export class MusicQueue {
         thumbnail: track.thumbnail,
         requestedBy: '📻 Radio',
         requestedById: null,
+        radioReason: track.radioReason,
         source: 'youtube'
       });
       await this.play();
@@ -3346,9 +3984,11 @@ export class MusicQueue {
     // the user just ended, never for the one after it
     const wasSkipped = this.skipRequested;
     this.skipRequested = false;
+    const playerFailed = this.playerFailed;
+    this.playerFailed = false;
 
     // Track actual listening time for the song that just ended
-    this.trackAndClearListening();
+    this.trackAndClearListening(playerFailed ? 'error' : wasSkipped ? 'skip' : 'finished');
 
     // Handle loop modes before cleanup
     const loopMode = this.currentLoopMode();
@@ -3405,7 +4045,7 @@ export class MusicQueue {
       // (browser fetches /api/youtube/radio), so with no dashboard open the queue
       // just used to end here. Never throws into this path - any failure falls
       // through to the normal empty-queue behavior below.
-      if (globalSettings.radioEnabled && !this.destroying && endedSong?.url) {
+      if (guildPlayerSettings(this.guildId).radioEnabled && !this.destroying && endedSong?.url) {
         const filled = await this.tryRadioFill(endedSong);
         if (filled) return;
       }
@@ -3415,7 +4055,7 @@ export class MusicQueue {
         updatePresenceCallback(null);
       }
       // Handle 24/7 mode - don't disconnect
-      if (globalSettings.is24_7) {
+      if (this.current24_7()) {
         console.log('Queue empty, but 24/7 mode is active - staying connected');
       } else {
         console.log('Queue empty, will disconnect in 60 seconds if no new songs');
@@ -3641,50 +4281,180 @@ export class MusicQueue {
     this.stopForUserAction();
   }
 
+  // The vote-skip settings in effect, read through a method for the same reason as
+  // currentLoopMode.
+  currentVoteSkip() {
+    const { voteSkipEnabled, voteSkipShare } = guildPlayerSettings(this.guildId);
+    return { enabled: voteSkipEnabled, share: voteSkipShare };
+  }
+
+  // The humans in the bot's channel, as getVoiceChannelMembers() reports them. A method so the
+  // vote can be counted without a Discord client.
+  currentListeners() {
+    return getVoiceChannelMembers(this.guildId);
+  }
+
+  // The vote on the song that is playing now, for the dashboard and /nowplaying. Null when
+  // there is none, including a vote left over from a song that has since ended.
+  skipVoteState() {
+    const vote = this.skipVote;
+    if (!vote || vote.gen !== this.cacheGeneration || vote.voters.size === 0) return null;
+    return { votes: vote.voters.size, needed: vote.needed, voters: [...vote.voters.values()] };
+  }
+
+  // A skip asked for by somebody in particular. With vote skip off this is skip(); with it on,
+  // the requester of the song and DJ-role holders still skip outright and everybody else casts
+  // a vote. Resolves with what happened:
+  //   { skipped: true, reason: 'direct' | 'requester' | 'dj' | 'votes' }
+  //   { skipped: false, reason: 'voted', votes, needed }
+  //   { skipped: false, reason: 'nothing-playing' | 'not-listening' | 'song-changed' }
+  //
+  // @param voter - { userId, displayName, isDJ }. Without a userId there is nobody to count a
+  //   vote for, so it skips - that is an internal caller, not a listener.
+  async requestSkip({ userId = null, displayName = null, isDJ = false } = {}) {
+    const song = this.currentSong;
+    if (!song) return { skipped: false, reason: 'nothing-playing' };
+
+    const { enabled, share } = this.currentVoteSkip();
+    const direct = !enabled ? 'direct'
+      : !userId ? 'direct'
+        : song.requestedById && song.requestedById === userId ? 'requester'
+          : isDJ ? 'dj'
+            : null;
+    if (direct) {
+      this.skip();
+      return { skipped: true, reason: direct };
+    }
+
+    const gen = this.cacheGeneration;
+    const listeners = await this.currentListeners();
+    // The song may have ended, or been skipped by somebody else, while the channel was read
+    if (gen !== this.cacheGeneration || this.currentSong !== song) return { skipped: false, reason: 'song-changed' };
+
+    // Only the room gets a say: a dashboard tab with nobody behind it in the channel would
+    // otherwise be a vote that counts against a denominator it is not part of
+    const listenerIds = new Set(listeners.map(member => member.id));
+    if (!listenerIds.has(userId)) return { skipped: false, reason: 'not-listening' };
+
+    if (!this.skipVote || this.skipVote.gen !== gen) {
+      this.skipVote = { gen, voters: new Map(), needed: 1 };
+    }
+    this.skipVote.voters.set(userId, displayName || userId);
+    return this.tallySkipVote(listeners, share);
+  }
+
+  // Count the vote against the channel as it is now, and end the song if it has carried.
+  // Voters who have left the channel since voting no longer count.
+  tallySkipVote(listeners, share) {
+    const vote = this.skipVote;
+    const listenerIds = new Set(listeners.map(member => member.id));
+    for (const voterId of [...vote.voters.keys()]) {
+      if (!listenerIds.has(voterId)) vote.voters.delete(voterId);
+    }
+    vote.needed = votesNeededToSkip(listeners.length, share);
+    const votes = vote.voters.size;
+
+    if (votes > 0 && votes >= vote.needed) {
+      console.log(`[MusicQueue] vote skip: ${votes}/${vote.needed} - skipping "${this.currentSong?.title}"`);
+      this.skipVote = null;
+      this.skip();
+      return { skipped: true, reason: 'votes', votes, needed: vote.needed };
+    }
+
+    console.log(`[MusicQueue] vote skip: ${votes}/${vote.needed} on "${this.currentSong?.title}"`);
+    broadcastState();
+    return { skipped: false, reason: 'voted', votes, needed: vote.needed };
+  }
+
+  // Somebody joined or left the channel while a vote was open. Fewer people can mean the votes
+  // already cast are now enough; more people raise the bar the dashboard shows.
+  async recountSkipVotes() {
+    const vote = this.skipVote;
+    if (!vote || vote.gen !== this.cacheGeneration || !this.currentSong) return null;
+    const { enabled, share } = this.currentVoteSkip();
+    if (!enabled) return null;
+
+    const listeners = await this.currentListeners();
+    if (this.skipVote !== vote || vote.gen !== this.cacheGeneration) return null;
+    return this.tallySkipVote(listeners, share);
+  }
+
   // Cycle through loop modes: off -> song -> queue -> off
   cycleLoopMode() {
-    const modes = ['off', 'song', 'queue'];
-    const currentIndex = modes.indexOf(globalSettings.loopMode);
-    globalSettings.loopMode = modes[(currentIndex + 1) % 3];
+    const currentIndex = LOOP_MODES.indexOf(guildPlayerSettings(this.guildId).loopMode);
+    return this.setLoopMode(LOOP_MODES[(currentIndex + 1) % LOOP_MODES.length]);
+  }
+
+  // Straight to one loop mode. The dashboard's button cycles, but "herhaal dit nummer" names
+  // the mode it wants, and cycling there would mean guessing how many presses away it is.
+  setLoopMode(mode) {
+    const settings = guildPlayerSettings(this.guildId);
+    if (!LOOP_MODES.includes(mode)) return settings.loopMode;
+    settings.loopMode = mode;
     saveSettings();
-    console.log('Loop mode changed to:', globalSettings.loopMode);
+    console.log('Loop mode changed to:', settings.loopMode);
     broadcastState();
-    return globalSettings.loopMode;
+    return settings.loopMode;
   }
 
   // The loop mode in effect. Read through a method so the loop paths can be exercised without
   // writing globalSettings, which is a file the live bot shares.
   currentLoopMode() {
-    return globalSettings.loopMode;
+    return guildPlayerSettings(this.guildId).loopMode;
   }
 
   // Whether 24/7 mode is on, read through a method for the same reason as currentLoopMode -
   // and read live rather than captured, because a 24/7 rejoin that is still waiting out a
   // backoff has to notice the moment somebody turns the mode off.
   current24_7() {
-    return globalSettings.is24_7;
+    return guildPlayerSettings(this.guildId).is24_7;
   }
 
   // Toggle 24/7 mode (prevents auto-disconnect)
   toggle24_7() {
-    globalSettings.is24_7 = !globalSettings.is24_7;
+    const settings = guildPlayerSettings(this.guildId);
+    settings.is24_7 = !settings.is24_7;
     saveSettings();
-    console.log('24/7 mode:', globalSettings.is24_7 ? 'enabled' : 'disabled');
+    console.log('24/7 mode:', settings.is24_7 ? 'enabled' : 'disabled');
     // Turning the mode off takes back the instruction a pending rejoin is acting on. The
     // attempt would notice at its next checkpoint anyway - up to five minutes later - and a
     // bot that walks back into a channel after being told not to is not a nice surprise.
-    if (!globalSettings.is24_7) cancelAllRejoins('24/7 mode was turned off');
+    if (!settings.is24_7) cancelRejoin(this.guildId, '24/7 mode was turned off');
+    broadcastState();
+    return settings.is24_7;
+  }
+
+  // Whether adds are slotted in by turn, read through a method for the same reason as
+  // currentLoopMode.
+  currentFairQueue() {
+    return guildPlayerSettings(this.guildId).fairQueue;
+  }
+
+  // Toggle fair queue mode (round-robin by requester). Turning it on puts what is already
+  // queued into turn order too - otherwise the playlist that prompted somebody to press the
+  // button would still play out in full before the mode made any difference.
+  toggleFairQueue() {
+    const settings = guildPlayerSettings(this.guildId);
+    settings.fairQueue = !settings.fairQueue;
+    saveSettings();
+    console.log('Fair queue:', settings.fairQueue ? 'enabled' : 'disabled');
+    if (settings.fairQueue && this.songs.length > 1) {
+      this.songs = fairOrder(this.songs, this.currentSong);
+      scheduleQueueStateSave();
+      this.maintainPrefetch();
+    }
     broadcastState();
-    return globalSettings.is24_7;
+    return settings.fairQueue;
   }
 
   // Toggle radio mode (auto-play similar songs)
   toggleRadio() {
-    globalSettings.radioEnabled = !globalSettings.radioEnabled;
+    const settings = guildPlayerSettings(this.guildId);
+    settings.radioEnabled = !settings.radioEnabled;
     saveSettings();
-    console.log('Radio mode:', globalSettings.radioEnabled ? 'enabled' : 'disabled');
+    console.log('Radio mode:', settings.radioEnabled ? 'enabled' : 'disabled');
     broadcastState();
-    return globalSettings.radioEnabled;
+    return settings.radioEnabled;
   }
 
   // Seek to a specific position in the current song (in seconds)
@@ -3697,8 +4467,9 @@ export class MusicQueue {
     // Clamp into the song: seeking past the end produces a stream that ends immediately,
     // and that Idle is swallowed by isSeeking
     let target = Math.max(0, requested);
-    if (this.currentSong.duration > 0) {
-      target = Math.min(target, Math.max(0, this.currentSong.duration - 1));
+    const end = this.currentSong.endTime || this.currentSong.duration;
+    if (end > 0) {
+      target = Math.min(target, Math.max(0, end - 1));
     }
 
     console.log(`Seeking to ${target} seconds in ${this.currentSong.title}`);
@@ -3736,21 +4507,20 @@ export class MusicQueue {
     }
 
     // Broadcast state with seek position
-    broadcastState(target);
+    broadcastState(target, this.guildId);
     // A jump is bigger than the refresh interval would smooth over, so it is recorded now
     scheduleQueueStateSave();
     return true;
   }
 
   // Apply mixer filter changes and re-spawn FFmpeg at current position
-  async applyFilters(newFilters) {
+  async applyFilters(newFilters, oldSpeed = mixerSpeed(this.guildId)) {
     // Calculate current position BEFORE updating speed
     // songStartTime is encoded as: start - seekOffset / speed * 1000
     // So: (now - songStartTime) / 1000 * speed = audio position
-    const oldSpeed = globalSettings.mixerFilters.speed || 1.0;
     const currentPosition = this.getPlaybackElapsedMs() / 1000 * oldSpeed;
 
-    clampMixerFilters(newFilters);
+    clampMixerFilters(this.guildId, newFilters);
 
     saveSettings();
 
@@ -3759,7 +4529,7 @@ export class MusicQueue {
       return true;
     }
 
-    console.log(`[Mixer] Applying filters at position ${currentPosition.toFixed(1)}s:`, globalSettings.mixerFilters);
+    console.log(`[Mixer] Applying filters at position ${currentPosition.toFixed(1)}s:`, guildPlayerSettings(this.guildId).mixerFilters);
 
     // The restart below re-spawns from the current song's file alone, so a fade in flight is over
     this.cancelCrossfade('the mixer filters changed');
@@ -3782,7 +4552,7 @@ export class MusicQueue {
       oldFFmpeg.kill();
     }
 
-    broadcastState(currentPosition);
+    broadcastState(currentPosition, this.guildId);
     return true;
   }
 
@@ -3806,13 +4576,15 @@ export class MusicQueue {
   }
 
   // Remove a specific song from the queue (index is from web UI where 0 = current song)
-  removeFromQueue(index) {
+  // @param by - who asked, for the undo stack's "Alice undid Bob's removal"
+  removeFromQueue(index, { by = null } = {}) {
     // Index 0 is current song (can't remove)
     // Index 1 = songs[0], Index 2 = songs[1], etc.
     const queueIndex = index - 1;
     
     if (index === 0 || queueIndex < 0 || queueIndex >= this.songs.length) return false;
     
+    this.rememberUndo('remove', by, { removed: [this.songs[queueIndex]] });
     // Remove the song at the specified index
     this.songs.splice(queueIndex, 1);
     console.log(`Removed song at index ${index} from queue`);
@@ -3825,9 +4597,10 @@ export class MusicQueue {
   }
 
   // Shuffle the queue using Fisher-Yates algorithm
-  shuffle() {
+  shuffle({ by = null } = {}) {
     if (this.songs.length < 2) return false;
     
+    this.rememberUndo('shuffle', by);
     for (let i = this.songs.length - 1; i > 0; i--) {
       const j = Math.floor(Math.random() * (i + 1));
       [this.songs[i], this.songs[j]] = [this.songs[j], this.songs[i]];
@@ -3842,7 +4615,7 @@ export class MusicQueue {
 
   // Reorder queue - move song from one position to another
   // fromIndex and toIndex are 1-based (from web UI where 1 = first song in queue)
-  reorder(fromIndex, toIndex) {
+  reorder(fromIndex, toIndex, { by = null } = {}) {
     // Convert to 0-based array indices
     const from = fromIndex - 1;
     let to = toIndex - 1;
@@ -3860,6 +4633,7 @@ export class MusicQueue {
       return false;
     }
     
+    this.rememberUndo('move', by, { song: this.songs[from] });
     // Remove the song from its original position
     const [song] = this.songs.splice(from, 1);
     
@@ -3873,10 +4647,30 @@ export class MusicQueue {
     return true;
   }
 
-  stop() {
+  // Empty the queue and leave the song playing alone. One undoable step, where removing the
+  // songs one at a time would have been as many steps as there were songs.
+  clear({ by = null } = {}) {
+    if (this.songs.length === 0) return false;
+
+    this.rememberUndo('clear', by, { removed: [...this.songs] });
+    const count = this.songs.length;
+    this.songs = [];
+    console.log(`Cleared ${count} song(s) from the queue`);
+    this.maintainPrefetch();
+    broadcastState();
+    scheduleQueueStateSave();
+    return true;
+  }
+
+  stop({ by = null } = {}) {
+    // Taken before anything below empties the queue. A stop is usually followed by leave(),
+    // which destroys this queue, so what undoes it is a snapshot to restore into a new one.
+    const snapshot = this.snapshot();
+    if (snapshot) rememberStop(this.guildId, by, snapshot);
+
     // Track listening time for current song before stopping. The Idle this triggers runs
     // playNext(), which then finds the clock already cleared instead of counting it twice.
-    this.trackAndClearListening();
+    this.trackAndClearListening('stop');
 
     this.songs = [];
     // Nothing is queued any more, so the background download is fetching a song that will
@@ -3896,7 +4690,7 @@ export class MusicQueue {
 
   leave() {
     // Track listening time for current song before leaving (no-op if stop() already did)
-    this.trackAndClearListening();
+    this.trackAndClearListening('stop');
 
     // destroy() throws on an already-destroyed connection, and leave() runs from a timer
     // callback where that would take down the process
@@ -3970,7 +4764,7 @@ export class MusicQueue {
   // @param includeEmpty - return a snapshot even with nothing queued or playing. Used by the
   //   24/7 rejoin, whose job is to be in the channel whether or not there is a song to resume.
   snapshot({ includeEmpty = false } = {}) {
-    const speed = globalSettings.mixerFilters?.speed || 1.0;
+    const speed = mixerSpeed(this.guildId);
     const currentSong = serializeSong(this.currentSong);
     const songs = serializeSongs(this.songs);
     if (!currentSong && songs.length === 0 && !includeEmpty) return null;
@@ -3990,12 +4784,38 @@ export class MusicQueue {
       // voice link leaves behind - reading that as a pause would mean a 24/7 rejoin came back
       // to a queue that refused to play.
       wasPaused: this.player.state.status === AudioPlayerStatus.Paused,
-      loopMode: globalSettings.loopMode,
-      is24_7: globalSettings.is24_7,
-      radioEnabled: globalSettings.radioEnabled
+      loopMode: this.currentLoopMode(),
+      is24_7: this.current24_7(),
+      radioEnabled: guildPlayerSettings(this.guildId).radioEnabled
     });
   }
 
+  // Push what the queue looks like now onto the undo stack, just before `action` changes it.
+  // The entry keeps the song objects themselves rather than copies, so applyUndo can tell which
+  // of them are still queued by identity - two requests for the same URL are two entries.
+  rememberUndo(action, by, extra = {}) {
+    pushUndo(this.guildId, { action, by: by || null, at: Date.now(), songs: [...this.songs], removed: [], ...extra });
+  }
+
+  // Put the queue back in the order `entry` remembers.
+  //
+  // Only the order is taken back, not everything that happened since: a song that has played in
+  // the meantime stays played, and one added since stays queued, behind the restored ones. The
+  // songs `entry` removed come back where they were.
+  applyUndo(entry) {
+    const now = new Set(this.songs);
+    const removed = new Set(entry.removed || []);
+    const before = new Set(entry.songs);
+    const kept = entry.songs.filter(s => now.has(s) || removed.has(s));
+    const added = this.songs.filter(s => !before.has(s));
+    this.songs = [...kept, ...added];
+
+    this.maintainPrefetch();
+    broadcastState();
+    scheduleQueueStateSave();
+    return kept.length;
+  }
+
   getQueue() {
     return {
       current: this.currentSong,
@@ -4056,6 +4876,154 @@ export function createQueue(guildId, guildInfo = null) {
   return queue;
 }
 
+// Put a named snapshot (queueSnapshots.js) back into `queue`, which the caller has already put
+// in a voice channel.
+//
+// A restore adds; it never takes anything away. The snapshot's songs go on the end of whatever
+// is queued, each through the guardrails like any other add, and whatever is playing carries
+// on. Only when the queue was idle and empty - the case a snapshot is really for, putting last
+// Friday back on a quiet evening - does its first song start, and then where it was when it was
+// saved.
+//
+// @returns {Promise<{ queued: number, refused: string[], resumedAt: number|null, outcome: object|null }>}
+//   `resumedAt` is the position the first song started from, when the restore started it
+export async function restoreQueueSnapshot(queue, saved) {
+  const idle = !queue.isPlaying && queue.songs.length === 0;
+  const accepted = [];
+  const refused = [];
+  for (const song of snapshotSongs(saved)) {
+    const verdict = checkSongGuardrails(song, { songs: [...queue.songs, ...accepted], currentSong: queue.currentSong });
+    if (verdict.ok) accepted.push(song);
+    else refused.push(verdict.message);
+  }
+  if (accepted.length === 0) return { queued: 0, refused, resumedAt: null, outcome: null };
+
+  for (const song of accepted) queue.addSong({ ...song });
+  if (!idle || queue.isPlaying) return { queued: accepted.length, refused, resumedAt: null, outcome: null };
+
+  // The saved position belongs to the song that was playing, so it is only used when that song
+  // is the one about to start - not when the guardrails left it out, and not when a fair queue
+  // put somebody else's song in front of it
+  const first = serializeSong(saved.currentSong);
+  const resumeAt = first && queue.songs[0]?.url === first.url ? snapshotResumePosition(saved) : 0;
+  const outcome = await queue.play({ startAtSeconds: resumeAt });
+  return { queued: accepted.length, refused, resumedAt: outcome?.started ? resumeAt : null, outcome };
+}
+
+// --- undo ---------------------------------------------------------------------
+//
+// Clearing the queue by accident, or shuffling a queue somebody had spent ten minutes putting
+// in order, could not be taken back. So every clear, shuffle, removal, move and stop leaves an
+// entry here, and /queue undo (or the dashboard's Undo) takes back the most recent one.
+//
+// The stacks live outside the MusicQueue, keyed by guild, because the change people most want
+// back is a /stop - and that is followed by leave(), which throws the queue away. A stop's
+// entry is a snapshot(), undone with restoreQueueSnapshot into whatever queue the undo
+// reconnects; every other entry is the song order from just before the change.
+//
+// Memory only: a restart already puts the queue back from queueState.json, and an undo that
+// reached across one would be undoing something nobody remembers doing.
+export const UNDO_LIMIT = 20;
+
+const ACTION_NAMES = {
+  clear: 'clearing of the queue',
+  shuffle: 'shuffle',
+  remove: 'removal',
+  move: 'move',
+  stop: 'stop'
+};
+
+const undoStacks = new Map(); // guildId -> [entry, ...], oldest first
+
+// Tells everybody on the dashboard what an undo did; set by index.js
+let queueNoticeCallback = null;
+
+export function setQueueNoticeCallback(callback) {
+  queueNoticeCallback = callback;
+}
+
+function pushUndo(guildId, entry) {
+  const stack = undoStacks.get(guildId) || [];
+  stack.push(entry);
+  if (stack.length > UNDO_LIMIT) stack.splice(0, stack.length - UNDO_LIMIT);
+  undoStacks.set(guildId, stack);
+}
+
+// A stop ends the song objects' lives: whatever is queued after it is new songs, even when it is
+// the same URLs. The order entries from before it point at songs that are gone, so they go too -
+// undoing one of those would "restore" an empty list.
+function rememberStop(guildId, by, snapshot) {
+  undoStacks.delete(guildId);
+  pushUndo(guildId, { action: 'stop', by: by || null, at: Date.now(), snapshot });
+}
+
+function describeUndo(entry) {
+  const name = ACTION_NAMES[entry.action] || entry.action;
+  const song = entry.action === 'remove' ? entry.removed[0] : entry.action === 'move' ? entry.song : null;
+  return song?.title ? `${name} of "${song.title}"` : name;
+}
+
+// What the dashboard's Undo button in `guildId` would take back, or null
+export function peekUndo(guildId) {
+  const stack = undoStacks.get(guildId);
+  const entry = stack?.[stack.length - 1];
+  if (!entry) return null;
+  return { guildId, action: entry.action, by: entry.by, at: entry.at, label: describeUndo(entry) };
+}
+
+// For the tests
+export function clearUndoHistory() {
+  undoStacks.clear();
+}
+
+// Take back the most recent queue change in `guildId`.
+//
+// @param by - who is undoing, for the notice
+// @param reconnect - () => Promise<{ queue } | { error }>, how to get a queue in a voice channel
+//   when undoing a stop. Discord and the dashboard find the channel differently.
+// @returns {Promise<{ ok: boolean, message: string }>}
+export async function undoQueueChange(guildId, { by = null, reconnect = null } = {}) {
+  const stack = undoStacks.get(guildId);
+  const entry = stack?.pop();
+  if (!entry) return { ok: false, message: 'There is nothing to undo.' };
+
+  let detail = '';
+  try {
+    if (entry.action === 'stop') {
+      const connected = reconnect ? await reconnect() : { error: 'Cannot reconnect to undo the stop.' };
+      if (connected.error) {
+        stack.push(entry);
+        return { ok: false, message: connected.error };
+      }
+      // The restore pushes nothing of its own: adding songs is not one of the undoable changes
+      const result = await restoreQueueSnapshot(connected.queue, entry.snapshot);
+      if (result.queued === 0) {
+        stack.push(entry);
+        return { ok: false, message: result.refused[0] || 'None of the stopped songs could be queued again.' };
+      }
+      detail = ` - ${result.queued} song${result.queued === 1 ? '' : 's'} back in the queue`;
+    } else {
+      const queue = queues.get(guildId);
+      if (!queue) {
+        stack.push(entry);
+        return { ok: false, message: 'Nothing is playing, so there is no queue to undo in.' };
+      }
+      queue.applyUndo(entry);
+    }
+  } catch (err) {
+    stack.push(entry);
+    throw err;
+  }
+
+  // A sleep timer's stop has nobody's name on it
+  const whose = !entry.by ? 'the' : entry.by === by ? 'their' : `${entry.by}'s`;
+  const message = `${by || 'Somebody'} undid ${whose} ${describeUndo(entry)}${detail}`;
+  console.log(`[MusicQueue] ${message}`);
+  if (queueNoticeCallback) queueNoticeCallback({ guildId, message });
+  broadcastState();
+  return { ok: true, message };
+}
+
 // --- surviving a restart -----------------------------------------------------
 //
 // The queue lived only in memory, and the bot is restarted for every deploy - so a deploy in
@@ -4427,7 +5395,7 @@ function saveTeardownSnapshot(guildId, snapshot) {
 // @param schedule - the backoff, passed in for the same reason the download retry's is: the
 //   loop can then be exercised without sitting out ten real seconds
 export function scheduleRejoin(guildId, snapshot, why, {
-  is24_7 = () => globalSettings.is24_7,
+  is24_7 = () => guildPlayerSettings(guildId).is24_7,
   schedule = REJOIN_BACKOFF_MS,
   intervalMs = REJOIN_INTERVAL_MS,
   giveUpMs = REJOIN_GIVE_UP_MS,
@@ -0,0 +1,242 @@
+// Every play, as an event: where it started, how it ended, and how far in it got.
+//
+// listeningStats only ever learned two numbers per song - how often it was asked for and how
+// many seconds were heard - and from those there is no telling a song that is skipped ten
+// seconds in every time from one that is played to the end by a smaller crowd. This keeps the
+// plays themselves, so skip rates, completion curves and "whose songs get skipped" can be
+// worked out afterwards, over whatever span of time is wanted.
+//
+// They are also the stats' history: statsHistory.js answers "this month", "last year" and
+// "Jerry Wrapped" from them, which is why each play keeps who was in the room for it.
+//
+// Each play is kept with the guild it was played in, so every server's stats, Wrapped and recap
+// are its own; plays recorded before that field existed were the primary guild's, and are read
+// as such.
+//
+// The newest MAX_PLAY_EVENTS are kept, in one JSON file written on the same debounce as the
+// listening stats. Everything past recording is pure (summarizePlayEvents and friends) and works
+// on whatever slice of events it is handed.
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadJsonSync, saveJsonSync } from './jsonStore.js';
+import { youtubeVideoId } from './urlValidation.js';
+import { primaryGuildId } from './guilds.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+let dataFile = join(__dirname, '..', '..', 'data', 'playEvents.json');
+
+// How a play ended. 'crossfade' is a natural end that faded into the next song; 'error' is a
+// stream that died, or a connection that did, before the song was over.
+export const PLAY_END_REASONS = ['finished', 'skip', 'stop', 'crossfade', 'error'];
+// More than a year of a busy server's listening - a Wrapped in January still has all of last
+// year - in a file of ten or so MB
+export const MAX_PLAY_EVENTS = 50_000;
+// A skip within this many seconds of the song starting is an early skip: "not this one"
+// rather than "heard enough of it"
+export const EARLY_SKIP_SECONDS = 30;
+// The points the completion curve is measured at: the share of plays that got 10% in, 20% in...
+export const COMPLETION_CURVE_STEPS = 10;
+
+const SAVE_DELAY_MS = 30_000;
+
+let events = null;
+let saveTimeout = null;
+
+function load() {
+  if (events === null) {
+    const loaded = loadJsonSync(dataFile, []);
+    events = Array.isArray(loaded) ? loaded : [];
+    const primary = primaryGuildId();
+    for (const event of events) {
+      if (!event.guildId) event.guildId = primary;
+    }
+  }
+  return events;
+}
+
+function scheduleSave() {
+  if (saveTimeout) return;
+  saveTimeout = setTimeout(() => {
+    saveTimeout = null;
+    try {
+      saveJsonSync(dataFile, events);
+    } catch (err) {
+      console.error('[PlayEvents] Could not save play events:', err.message);
+    }
+  }, SAVE_DELAY_MS);
+  // Shutdown flushes explicitly, so the pending write need not hold a finished process open
+  if (saveTimeout.unref) saveTimeout.unref();
+}
+
+// Write now rather than at the end of the debounce - for the shutdown flush
+export function flushPlayEvents() {
+  if (!saveTimeout) return;
+  clearTimeout(saveTimeout);
+  saveTimeout = null;
+  saveJsonSync(dataFile, events);
+}
+
+// For the tests: point the store at a different file and forget what it had loaded
+export function setPlayEventsPath(path) {
+  if (saveTimeout) clearTimeout(saveTimeout);
+  saveTimeout = null;
+  events = null;
+  dataFile = path;
+}
+
+function isRadioSong(song) {
+  return typeof song?.requestedBy === 'string' && song.requestedBy.toLowerCase().includes('radio');
+}
+
+const roundSec = (value) => Math.max(0, Math.round((Number(value) || 0) * 10) / 10);
+
+// Record one play that has just ended.
+//
+// @param startPosition - seconds into the song the play began at (a resumed or seeked-into start)
+// @param endPosition - seconds into the song it had reached when it ended
+// @param listeners - who was in the voice channel for it, [{ id, name }]
+// @param guildId - the guild it was played in; the primary guild's when not given
+// @returns the event as stored, or null for a song that cannot be told apart from others
+export function recordPlayEvent(song, { reason, startPosition = 0, endPosition = 0, startedAt = null, endedAt = Date.now(), listeners = [], guildId = null } = {}) {
+  if (!song?.url) return null;
+  const event = {
+    guildId: guildId || primaryGuildId(),
+    url: song.url,
+    title: song.title || song.url,
+    duration: Math.round(Number(song.duration) || 0),
+    requestedById: isRadioSong(song) ? null : (song.requestedById || null),
+    requestedBy: song.requestedBy || null,
+    radio: isRadioSong(song),
+    startedAt: startedAt || endedAt,
+    endedAt,
+    startPosition: roundSec(startPosition),
+    endPosition: roundSec(endPosition),
+    reason: PLAY_END_REASONS.includes(reason) ? reason : 'finished',
+    listeners: (listeners || []).filter(l => l?.id).map(l => ({ id: l.id, name: l.name || null }))
+  };
+  const all = load();
+  all.push(event);
+  if (all.length > MAX_PLAY_EVENTS) all.splice(0, all.length - MAX_PLAY_EVENTS);
+  scheduleSave();
+  return event;
+}
+
+// The events that ended in [since, until), oldest first - only `guildId`'s when one is given
+export function getPlayEvents({ since = 0, until = Infinity, guildId = null } = {}) {
+  return load().filter(e => e.endedAt >= since && e.endedAt < until && (!guildId || e.guildId === guildId));
+}
+
+// How much of the song a play covered, 0..1: a natural end (faded or not) is all of it, anything
+// else is how far it got. null when the song's length is unknown.
+export function playCompletion(event) {
+  if (event.reason === 'finished' || event.reason === 'crossfade') return 1;
+  if (!event.duration) return null;
+  return Math.max(0, Math.min(1, event.endPosition / event.duration));
+}
+
+export function isEarlySkip(event) {
+  return event.reason === 'skip' && event.endPosition - event.startPosition < EARLY_SKIP_SECONDS;
+}
+
+// The share of plays that got at least 10%, 20% ... 100% of the way through: a curve that falls
+// off a cliff at 10% is a song people skip on sight, one that sags at the end is a long outro
+function completionCurve(completions) {
+  if (completions.length === 0) return [];
+  return Array.from({ length: COMPLETION_CURVE_STEPS }, (_, i) => {
+    const point = (i + 1) / COMPLETION_CURVE_STEPS;
+    // A hair of slack, so 99.9% of a song reads as having reached the end
+    const reached = completions.filter(c => c >= point - 0.02).length;
+    return Math.round((reached / completions.length) * 100) / 100;
+  });
+}
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) / 100 : 0);
+const average = (values) => (values.length > 0 ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100 : null);
+
+// The same song under different URL spellings is one song
+export function playEventKey(url) {
+  return youtubeVideoId(url) || url;
+}
+
+// Skip and completion figures for a set of events. Errors are counted but otherwise left out:
+// a stream that died says nothing about whether anybody wanted to hear the rest.
+//
+// @param minPlays - how many plays a song or requester needs before it can be "most skipped";
+//   one skip out of one play is not a pattern
+export function summarizePlayEvents(events, { minPlays = 3 } = {}) {
+  const counted = (events || []).filter(e => e && e.reason !== 'error');
+  const songs = new Map();
+  const requesters = new Map();
+  const allCompletions = [];
+
+  for (const event of counted) {
+    const key = playEventKey(event.url);
+    if (!songs.has(key)) {
+      songs.set(key, { key, url: event.url, title: event.title, duration: event.duration, plays: 0, skips: 0, earlySkips: 0, completions: [] });
+    }
+    const song = songs.get(key);
+    song.title = event.title || song.title;
+    song.duration = event.duration || song.duration;
+    song.plays++;
+    if (event.reason === 'skip') song.skips++;
+    if (isEarlySkip(event)) song.earlySkips++;
+    const completion = playCompletion(event);
+    if (completion !== null) {
+      song.completions.push(completion);
+      allCompletions.push(completion);
+    }
+
+    // Radio picks are nobody's requests, so they do not count against anybody
+    if (!event.radio && (event.requestedById || event.requestedBy)) {
+      const id = event.requestedById || event.requestedBy;
+      if (!requesters.has(id)) requesters.set(id, { id, name: event.requestedBy || id, plays: 0, skips: 0 });
+      const requester = requesters.get(id);
+      requester.name = event.requestedBy || requester.name;
+      requester.plays++;
+      if (event.reason === 'skip') requester.skips++;
+    }
+  }
+
+  const songList = [...songs.values()].map(({ completions, ...song }) => ({
+    ...song,
+    skipRate: rate(song.skips, song.plays),
+    averageCompletion: average(completions),
+    curve: completionCurve(completions)
+  })).sort((a, b) => b.plays - a.plays);
+
+  const requesterList = [...requesters.values()]
+    .map(r => ({ ...r, skipRate: rate(r.skips, r.plays) }))
+    .sort((a, b) => b.plays - a.plays);
+
+  const mostSkipped = (list) => list
+    .filter(item => item.plays >= minPlays && item.skips > 0)
+    .sort((a, b) => b.skipRate - a.skipRate || b.skips - a.skips)[0] || null;
+
+  const skips = counted.filter(e => e.reason === 'skip').length;
+  return {
+    totals: {
+      plays: counted.length,
+      errors: (events || []).length - counted.length,
+      skips,
+      earlySkips: counted.filter(isEarlySkip).length,
+      skipRate: rate(skips, counted.length),
+      finishedRate: rate(counted.filter(e => e.reason === 'finished' || e.reason === 'crossfade').length, counted.length),
+      averageCompletion: average(allCompletions)
+    },
+    curve: completionCurve(allCompletions),
+    songs: songList,
+    requesters: requesterList,
+    mostSkippedSong: mostSkipped(songList),
+    mostSkippedRequester: mostSkipped(requesterList)
+  };
+}
+
+// Per-song figures keyed by playEventKey, for radio: { plays, skipRate, averageCompletion }
+export function songPlayStats(events = load()) {
+  const index = new Map();
+  for (const song of summarizePlayEvents(events).songs) {
+    index.set(song.key, { plays: song.plays, skipRate: song.skipRate, averageCompletion: song.averageCompletion });
+  }
+  return index;
+}
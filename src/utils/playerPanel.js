@@ -0,0 +1,422 @@
+// The player panel: a message in a channel of the server's choosing that shows what is playing
+// and has the dashboard's main controls on it as buttons, so the music can be run from Discord
+// without typing a slash command or opening a browser.
+//
+// It is redrawn from the same state the dashboard gets (index.js hands every broadcastState to
+// updatePlayerPanel), and its buttons are dashboard commands: each press goes to the web
+// server's runPanelCommand, which puts it through the same DJ-role gate, the same handler and
+// the same activity log as a click on the dashboard. Nothing here decides what a button is
+// allowed to do.
+//
+// One panel per guild, remembered in data/playerPanel.json so a restart edits the message that
+// is already there instead of posting another.
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, MessageFlags, PermissionFlagsBits } from 'discord.js';
+import { loadJsonSync, saveJsonSync } from './jsonStore.js';
+import { listMixerPresets } from './mixerProfiles.js';
+import { getPlaylists, addSong } from './playlists.js';
+import { memberRoleFlags } from './guilds.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+let dataFile = join(__dirname, '..', '..', 'data', 'playerPanel.json');
+
+export const PANEL_ID_PREFIX = 'panel:';
+export const VOLUME_STEP = 10;
+// State broadcasts come in bursts (a song change is several), and Discord allows a message about
+// five edits every five seconds; the panel shows wherever things stand when its turn comes
+const EDIT_INTERVAL_MS = 2000;
+// Discord's "Unknown Message" / "Unknown Channel": somebody deleted the panel or its channel
+const GONE_CODES = new Set([10003, 10008]);
+const LOOP_LABELS = { off: 'Loop: off', song: 'Loop: song', queue: 'Loop: queue' };
+
+let saved = null; // { [guildId]: { channelId, messageId } }
+let discordClient = null;
+let runCommand = null;
+// guildId -> the dashboard state last broadcast for it; null -> one that named no guild
+const lastStates = new Map();
+// guildId -> { message, shown, lastEditAt, editTimer, editing }
+const panels = new Map();
+// userId -> the song they pressed "add to my playlist" on, until they pick the playlist
+const pendingSaves = new Map();
+
+function load() {
+  if (saved === null) {
+    const loaded = loadJsonSync(dataFile, {});
+    saved = loaded && typeof loaded === 'object' && !Array.isArray(loaded) ? loaded : {};
+  }
+  return saved;
+}
+
+function save() {
+  try {
+    saveJsonSync(dataFile, saved);
+  } catch (err) {
+    console.error('[PlayerPanel] Could not save the panel settings:', err.message);
+  }
+}
+
+// For the tests: point the settings at a different file and forget every panel
+export function setPlayerPanelPath(path) {
+  for (const panel of panels.values()) if (panel.editTimer) clearTimeout(panel.editTimer);
+  panels.clear();
+  pendingSaves.clear();
+  saved = null;
+  lastStates.clear();
+  dataFile = path;
+}
+
+// The dashboard state that applies to `guildId`'s panel. Each guild's queue broadcasts its own
+// state, so a panel shows only its own guild's music - never somebody else's, with buttons that
+// would not reach it. A state that named no guild (nothing has played anywhere) is everyone's.
+function stateFor(guildId) {
+  return lastStates.get(guildId) || lastStates.get(null) || null;
+}
+
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(Number(seconds) || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function volumePercent(state) {
+  return Math.round((Number(state?.volume) || 0) * 100);
+}
+
+// The panel's message: an embed for what is playing and the rows of controls under it. Pure, so
+// the tests can look at it, and so an update that changes nothing the panel shows can be told
+// apart from one that does (see scheduleEdit).
+export function renderPlayerPanel(state) {
+  const song = state?.currentSong || null;
+  const embed = new EmbedBuilder().setColor(0x5865F2);
+
+  if (!song) {
+    embed.setTitle('🎶 Nothing playing').setDescription('Queue something with `/play` or from the dashboard.');
+  } else {
+    const link = /^https?:\/\//.test(song.url || '') ? `**[${song.title}](${song.url})**` : `**${song.title}**`;
+    embed.setTitle(state.isPaused ? '⏸️ Paused' : '🎶 Now Playing').setDescription(link.slice(0, 4000));
+    if (song.thumbnail) embed.setThumbnail(song.thumbnail);
+
+    // Discord counts a relative timestamp down on its own, so the panel needs no edit a second
+    // to show how long is left. Song time runs at the mixer's speed; a paused song shows where it
+    // stopped instead.
+    const speed = state.mixerFilters?.speed || 1;
+    const endsAt = state.songStartTime && song.duration ? Math.round((state.songStartTime + (song.duration / speed) * 1000) / 1000) : null;
+    embed.addFields(
+      { name: 'Requested by', value: song.requestedBy || 'Unknown', inline: true },
+      { name: 'Length', value: song.duration ? formatDuration(song.duration) : 'Live', inline: true },
+      { name: state.isPaused ? 'Position' : 'Ends', value: state.isPaused ? formatDuration(state.position) : (endsAt ? `<t:${endsAt}:R>` : '—'), inline: true }
+    );
+
+    const upNext = (state.queue || []).slice(0, 3).map((s, i) => `${i + 1}. ${s.title}`.slice(0, 100));
+    if (upNext.length > 0) {
+      const more = state.queue.length > 3 ? `\n…and ${state.queue.length - 3} more` : '';
+      embed.addFields({ name: 'Up next', value: upNext.join('\n') + more, inline: false });
+    }
+    if (state.skipVote) {
+      embed.addFields({ name: '🗳️ Vote to skip', value: `${state.skipVote.votes}/${state.skipVote.needed}`, inline: false });
+    }
+  }
+
+  const modes = [`🔊 ${volumePercent(state)}%`, LOOP_LABELS[state?.loopMode] || LOOP_LABELS.off];
+  if (state?.radioEnabled) modes.push('📻 Radio');
+  if (state?.is24_7) modes.push('🌙 24/7');
+  embed.setFooter({ text: modes.join(' · ') });
+
+  const idle = !song;
+  const button = (id, emoji, label, style = ButtonStyle.Secondary, disabled = idle) => new ButtonBuilder()
+    .setCustomId(PANEL_ID_PREFIX + id).setEmoji(emoji).setLabel(label).setStyle(style).setDisabled(disabled);
+
+  const transport = new ActionRowBuilder().addComponents(
+    button('previous', '⏮️', 'Previous'),
+    state?.isPaused ? button('playpause', '▶️', 'Resume', ButtonStyle.Success) : button('playpause', '⏸️', 'Pause', ButtonStyle.Primary),
+    button('skip', '⏭️', 'Skip'),
+    button('shuffle', '🔀', 'Shuffle', ButtonStyle.Secondary, idle || !(state.queue?.length > 1)),
+    button('loop', '🔁', LOOP_LABELS[state?.loopMode] || LOOP_LABELS.off)
+  );
+  const volume = volumePercent(state);
+  const extras = new ActionRowBuilder().addComponents(
+    button('voldown', '🔉', `−${VOLUME_STEP}`, ButtonStyle.Secondary, idle || volume <= 0),
+    button('volup', '🔊', `+${VOLUME_STEP}`, ButtonStyle.Secondary, idle || volume >= 100),
+    button('save', '⭐', 'Add to my playlist')
+  );
+  const mixer = new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(PANEL_ID_PREFIX + 'mixer')
+      .setPlaceholder('Mixer preset (DJ role)')
+      .addOptions(listMixerPresets().map(p => ({ label: p.label, value: p.name, default: p.name === state?.mixerPreset })))
+  );
+
+  return { embeds: [embed], components: [transport, extras, mixer] };
+}
+
+// The dashboard command a press stands for, or null for one that is not a command (the playlist
+// button) or not a control at all. Worked out against the state the panel was showing, so
+// "Pause" on a panel that says paused resumes, and volume steps from what is set now.
+export function panelCommandFor(customId, state, values = []) {
+  if (typeof customId !== 'string' || !customId.startsWith(PANEL_ID_PREFIX)) return null;
+  const control = customId.slice(PANEL_ID_PREFIX.length);
+  switch (control) {
+    case 'previous':
+    case 'skip':
+    case 'shuffle':
+    case 'loop':
+      return control;
+    case 'playpause':
+      return state?.isPaused ? 'resume' : 'pause';
+    case 'voldown':
+    case 'volup': {
+      const step = control === 'volup' ? VOLUME_STEP : -VOLUME_STEP;
+      // Onto the next multiple of the step, so 47% goes to 50% and 40%, not 57% and 37%
+      const current = volumePercent(state);
+      const next = step > 0 ? Math.floor(current / VOLUME_STEP) * VOLUME_STEP + step : Math.ceil(current / VOLUME_STEP) * VOLUME_STEP + step;
+      return `volume:${Math.max(0, Math.min(100, next))}`;
+    }
+    case 'mixer':
+      return values[0] ? `mixer-preset:${values[0]}` : null;
+    default:
+      return null;
+  }
+}
+
+export function isPlayerPanelInteraction(interaction) {
+  return (interaction.isButton?.() || interaction.isStringSelectMenu?.()) && interaction.customId.startsWith(PANEL_ID_PREFIX);
+}
+
+function displayName(interaction) {
+  return interaction.member?.displayName || interaction.user.globalName || interaction.user.username;
+}
+
+// The presser's roles, read the way the dashboard's login reads them
+function presserFlags(interaction) {
+  const member = interaction.member;
+  return memberRoleFlags(interaction.guildId, {
+    roles: [...(member?.roles?.cache?.keys() || [])],
+    manageGuild: member?.permissions?.has?.(PermissionFlagsBits.ManageGuild) === true
+  });
+}
+
+// A press on a panel. Controls are acknowledged straight away - the panel redraws itself from
+// the state change they cause - and only what the dashboard would have shown as a toast (a
+// refusal, a counted skip vote) is answered, to the presser alone.
+//
+// The panel sits in a channel anybody may be able to see, so a press is held to the same role
+// as the dashboard itself.
+export async function handlePlayerPanelInteraction(interaction) {
+  const flags = presserFlags(interaction);
+  if (!flags.hasAccess) {
+    return interaction.reply({ content: '❌ You need this server\'s dashboard role to use the player.', flags: MessageFlags.Ephemeral });
+  }
+  const control = interaction.customId.slice(PANEL_ID_PREFIX.length);
+  if (control === 'save') return offerPlaylists(interaction);
+  if (control === 'save-to') return saveToPlaylist(interaction, interaction.values?.[0]);
+
+  const command = panelCommandFor(interaction.customId, stateFor(interaction.guildId), interaction.values);
+  if (!command || !runCommand) {
+    return interaction.reply({ content: '❌ That control isn\'t available right now.', flags: MessageFlags.Ephemeral });
+  }
+  await interaction.deferUpdate();
+  const user = { id: interaction.user.id, username: displayName(interaction), displayName: displayName(interaction), hasDJRole: flags.hasDJRole };
+  let answer;
+  try {
+    answer = await runCommand(command, interaction.guildId, user);
+  } catch (err) {
+    console.error(`[PlayerPanel] "${command}" failed:`, err?.message || err);
+    answer = { type: 'error', message: 'That didn\'t work - try again in a moment.' };
+  }
+  // A select menu keeps showing what was picked until the message is edited; redraw it, even
+  // when the pick was refused or changed nothing and so caused no broadcast
+  if (interaction.isStringSelectMenu?.()) scheduleEdit(interaction.guildId, true);
+  if (answer?.message) {
+    await interaction.followUp({ content: `${answer.type === 'error' ? '❌' : 'ℹ️'} ${answer.message}`, flags: MessageFlags.Ephemeral });
+  }
+}
+
+function editablePlaylists(userId, guildId) {
+  return getPlaylists(userId, guildId).filter(p => p.access !== 'read');
+}
+
+// "Add to my playlist": straight in when there is only one playlist it can go to, otherwise a
+// private menu of them. The song is the one playing when the button was pressed, not whatever
+// is playing by the time a playlist is picked.
+async function offerPlaylists(interaction) {
+  const song = stateFor(interaction.guildId)?.currentSong;
+  if (!song) {
+    return interaction.reply({ content: '❌ Nothing is playing.', flags: MessageFlags.Ephemeral });
+  }
+  const playlists = editablePlaylists(interaction.user.id, interaction.guildId);
+  if (playlists.length === 0) {
+    return interaction.reply({ content: '❌ You have no playlists yet - make one with `/playlist create`.', flags: MessageFlags.Ephemeral });
+  }
+  pendingSaves.set(interaction.user.id, song);
+  if (playlists.length === 1) return saveToPlaylist(interaction, playlists[0].id);
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(PANEL_ID_PREFIX + 'save-to')
+    .setPlaceholder('Pick a playlist')
+    .addOptions(playlists.slice(0, 25).map(p => ({
+      label: (p.access === 'owner' ? p.name : `${p.name} (${p.createdBy})`).slice(0, 100),
+      description: `${p.songCount} songs`,
+      value: p.id
+    })));
+  return interaction.reply({
+    content: `Add **${song.title}** to which playlist?`,
+    components: [new ActionRowBuilder().addComponents(menu)],
+    flags: MessageFlags.Ephemeral
+  });
+}
+
+async function saveToPlaylist(interaction, playlistId) {
+  const song = pendingSaves.get(interaction.user.id);
+  pendingSaves.delete(interaction.user.id);
+  // The menu is an ephemeral reply of its own; picking from it updates that reply in place
+  const answer = (content) => (interaction.isStringSelectMenu?.()
+    ? interaction.update({ content, components: [] })
+    : interaction.reply({ content, flags: MessageFlags.Ephemeral }));
+
+  if (!song || !playlistId) return answer('❌ That menu has expired - press the button again.');
+  const playlist = editablePlaylists(interaction.user.id, interaction.guildId).find(p => p.id === playlistId);
+  if (!playlist) return answer('❌ Playlist not found.');
+  const result = addSong(interaction.user.id, playlistId, song, displayName(interaction), interaction.guildId);
+  return answer(result.success ? `⭐ Added **${song.title}** to **${playlist.name}**` : `❌ ${result.error}`);
+}
+
+// --- keeping the message up to date -----------------------------------------------------
+
+// Every dashboard state broadcast comes through here
+export function updatePlayerPanel(state) {
+  const guildId = state?.guildId || null;
+  if (guildId === null) lastStates.clear();
+  lastStates.set(guildId, state);
+  for (const panelGuildId of panels.keys()) {
+    if (guildId === null || panelGuildId === guildId) scheduleEdit(panelGuildId);
+  }
+}
+
+function scheduleEdit(guildId, force = false) {
+  const panel = panels.get(guildId);
+  if (!panel) return;
+  if (force) panel.shown = null;
+  if (panel.editTimer || panel.editing) return;
+  const wait = Math.max(0, panel.lastEditAt + EDIT_INTERVAL_MS - Date.now());
+  panel.editTimer = setTimeout(() => {
+    panel.editTimer = null;
+    edit(guildId, panel);
+  }, wait);
+  if (panel.editTimer.unref) panel.editTimer.unref();
+}
+
+async function edit(guildId, panel) {
+  if (panels.get(guildId) !== panel) return;
+  const payload = renderPlayerPanel(stateFor(guildId));
+  // Most broadcasts are about things the panel does not show (the recently played list, a seek
+  // position); those cost no edit at all
+  const rendered = serialize(payload);
+  if (rendered === panel.shown) return;
+
+  panel.editing = true;
+  try {
+    await panel.message.edit(payload);
+    panel.shown = rendered;
+  } catch (err) {
+    if (GONE_CODES.has(err?.code)) {
+      console.log(`[PlayerPanel] The panel in guild ${guildId} was deleted; forgetting it`);
+      forget(guildId);
+      return;
+    }
+    console.error('[PlayerPanel] Could not update the panel:', err.message);
+  } finally {
+    panel.editing = false;
+    panel.lastEditAt = Date.now();
+  }
+  // Whatever changed while the edit was on its way gets an edit of its own
+  if (panels.get(guildId) === panel) scheduleEdit(guildId);
+}
+
+function serialize(payload) {
+  return JSON.stringify({ embeds: payload.embeds.map(e => e.toJSON()), components: payload.components.map(c => c.toJSON()) });
+}
+
+function forget(guildId) {
+  const panel = panels.get(guildId);
+  if (panel?.editTimer) clearTimeout(panel.editTimer);
+  panels.delete(guildId);
+  delete load()[guildId];
+  save();
+}
+
+function track(guildId, message, shown = null) {
+  panels.set(guildId, { message, shown, lastEditAt: 0, editTimer: null, editing: false });
+}
+
+// Post the panel in `channel`, replacing any this guild had elsewhere
+export async function setPlayerPanel(guildId, channel) {
+  await removePlayerPanel(guildId);
+  const payload = renderPlayerPanel(stateFor(guildId));
+  const message = await channel.send(payload);
+  track(guildId, message, serialize(payload));
+  load()[guildId] = { channelId: channel.id, messageId: message.id };
+  save();
+  return message;
+}
+
+// Take the panel down. @returns whether there was one.
+export async function removePlayerPanel(guildId) {
+  const entry = load()[guildId];
+  const panel = panels.get(guildId);
+  if (!entry && !panel) return false;
+  forget(guildId);
+  try {
+    const message = panel?.message || await (await discordClient?.channels.fetch(entry.channelId))?.messages.fetch(entry.messageId);
+    await message?.delete();
+  } catch {
+    // Already gone, which is the point
+  }
+  return true;
+}
+
+export function getPlayerPanelChannel(guildId) {
+  return load()[guildId]?.channelId || null;
+}
+
+// Find the panels again after a restart. A panel whose message was deleted while the bot was down
+// is posted afresh in its channel; one whose channel is gone is forgotten.
+//
+// @param runPanelCommand - the web server's runPanelCommand: how a press becomes a command
+export async function initPlayerPanel(client, { runPanelCommand }) {
+  discordClient = client;
+  runCommand = runPanelCommand;
+  for (const [guildId, entry] of Object.entries(load())) {
+    let channel;
+    try {
+      channel = await client.channels.fetch(entry.channelId);
+    } catch (err) {
+      if (GONE_CODES.has(err?.code)) forget(guildId);
+      else console.error(`[PlayerPanel] Could not reach the panel channel for guild ${guildId}:`, err.message);
+      continue;
+    }
+    if (!channel?.isSendable?.()) {
+      forget(guildId);
+      continue;
+    }
+    try {
+      track(guildId, await channel.messages.fetch(entry.messageId));
+    } catch (err) {
+      if (!GONE_CODES.has(err?.code)) {
+        console.error(`[PlayerPanel] Could not load the panel for guild ${guildId}:`, err.message);
+        continue;
+      }
+      try {
+        await setPlayerPanel(guildId, channel);
+        continue;
+      } catch (postErr) {
+        console.error(`[PlayerPanel] Could not repost the panel for guild ${guildId}:`, postErr.message);
+        continue;
+      }
+    }
+    scheduleEdit(guildId);
+  }
+}
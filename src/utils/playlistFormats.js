@@ -0,0 +1,143 @@
+// Playlists in and out of files: M3U, which every media player reads and writes, and our own
+// JSON, which keeps everything a song here has (thumbnails included) and is what a backup or a
+// move to another server should use.
+//
+// Pure - strings in, songs out. Fetching YouTube and Spotify playlists, and finding a video for
+// a song that only has a name, is the import route's job in server.js; this only reads and
+// writes files.
+
+import { isAllowedMediaUrl } from './urlValidation.js';
+
+export const PLAYLIST_EXPORT_FORMATS = ['m3u', 'json'];
+export const PLAYLIST_JSON_FORMAT = 'jerrybot-playlist';
+// No playlist holds more than this (playlists.js MAX_SONGS), so there is no point reading further
+export const MAX_IMPORT_ENTRIES = 500;
+
+function exportedSong(song) {
+  return {
+    title: song.title,
+    url: song.url,
+    duration: song.duration || 0,
+    thumbnail: song.thumbnail || null
+  };
+}
+
+export function exportPlaylistJson(playlist) {
+  return JSON.stringify({
+    format: PLAYLIST_JSON_FORMAT,
+    version: 1,
+    name: playlist.name,
+    createdBy: playlist.createdBy || null,
+    exportedAt: new Date().toISOString(),
+    songs: playlist.songs.map(exportedSong)
+  }, null, 2) + '\n';
+}
+
+// Extended M3U: the #EXTINF line gives players a title and length to show before they have
+// opened the URL. Line breaks in a title would end the entry early, so they go.
+export function exportPlaylistM3u(playlist) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${oneLine(playlist.name)}`];
+  for (const song of playlist.songs) {
+    lines.push(`#EXTINF:${Math.round(song.duration) || -1},${oneLine(song.title)}`);
+    lines.push(song.url);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function oneLine(text) {
+  return String(text ?? '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+// A download name that survives every filesystem: "Raid night!" -> "Raid night.m3u"
+export function exportFilename(name, format) {
+  const base = oneLine(name).replace(/[^\p{L}\p{N} _.-]+/gu, '').trim().slice(0, 80) || 'playlist';
+  return `${base}.${format}`;
+}
+
+// What an imported entry becomes. An entry with a URL we can play is a song as it stands; one
+// with only a title (a Spotify-style "Artist - Song", or an M3U line pointing at somebody's own
+// MP3) is left for the import route to look up on YouTube; one with neither is skipped.
+function classify(entry, isUsableUrl, result) {
+  const title = oneLine(entry.title).slice(0, 200);
+  const duration = Number.isFinite(Number(entry.duration)) && Number(entry.duration) > 0 ? Math.round(Number(entry.duration)) : 0;
+  if (typeof entry.url === 'string' && isUsableUrl(entry.url.trim())) {
+    const url = entry.url.trim();
+    result.songs.push({ url, title: title || url, duration, thumbnail: /^https:\/\//i.test(entry.thumbnail) ? entry.thumbnail : null });
+  } else if (title) {
+    result.unresolved.push({ title, searchQuery: title, duration });
+  } else {
+    result.skipped++;
+  }
+}
+
+function parseJson(text, isUsableUrl, result) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return { error: 'That file is not valid JSON' };
+  }
+  // Our own export, or a bare array of songs from anywhere else
+  const entries = Array.isArray(parsed) ? parsed : parsed?.songs;
+  if (!Array.isArray(entries)) return { error: 'No songs found in that JSON file' };
+  if (!Array.isArray(parsed) && typeof parsed.name === 'string') result.name = oneLine(parsed.name);
+  for (const entry of entries.slice(0, MAX_IMPORT_ENTRIES)) {
+    if (typeof entry === 'string') classify({ url: entry }, isUsableUrl, result);
+    else if (entry && typeof entry === 'object') classify(entry, isUsableUrl, result);
+    else result.skipped++;
+  }
+  result.skipped += Math.max(0, entries.length - MAX_IMPORT_ENTRIES);
+  return result;
+}
+
+// The location line of an entry without an #EXTINF title: a URL stands for itself, a file path
+// is searched for by its file name
+function titleFromLocation(location) {
+  if (/^https?:\/\//i.test(location)) return '';
+  const file = location.split(/[\\/]/).pop() || '';
+  return file.replace(/\.[a-z0-9]{2,4}$/i, '').replace(/_/g, ' ');
+}
+
+function parseM3u(text, isUsableUrl, result) {
+  let pending = null;
+  let entries = 0;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (line.startsWith('#')) {
+      const extinf = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+      if (extinf) pending = { duration: Number(extinf[1]), title: extinf[2] };
+      const name = line.match(/^#PLAYLIST:(.*)$/i);
+      if (name) result.name = oneLine(name[1]);
+      continue;
+    }
+    entries++;
+    if (entries > MAX_IMPORT_ENTRIES) {
+      result.skipped++;
+    } else {
+      classify({ url: line, title: pending?.title || titleFromLocation(line), duration: pending?.duration }, isUsableUrl, result);
+    }
+    pending = null;
+  }
+  if (entries === 0) return { error: 'No songs found in that file' };
+  return result;
+}
+
+// Read an uploaded playlist file. JSON is recognised by its extension or by looking like JSON;
+// anything else is read as M3U/M3U8, which is forgiving enough that a plain list of URLs works.
+//
+// @param isUsableUrl - whether a URL can be played as it is; defaults to the hosts the bot
+//   streams from, and server.js widens it to this server's own local library
+// @returns {{ name: string|null, songs: object[], unresolved: object[], skipped: number } | { error: string }}
+export function parsePlaylistFile(text, filename = '', isUsableUrl = isAllowedMediaUrl) {
+  if (typeof text !== 'string' || !text.trim()) return { error: 'That file is empty' };
+  const result = { name: null, songs: [], unresolved: [], skipped: 0 };
+  const body = text.replace(/^\uFEFF/, '');
+  const looksJson = /\.json$/i.test(filename) || /^\s*[[{]/.test(body);
+  const parsed = looksJson ? parseJson(body, isUsableUrl, result) : parseM3u(body, isUsableUrl, result);
+  if (parsed.error) return parsed;
+  if (!parsed.name) {
+    parsed.name = String(filename).replace(/\.(m3u8?|json)$/i, '').trim() || null;
+  }
+  return parsed;
+}
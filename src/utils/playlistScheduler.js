@@ -0,0 +1,303 @@
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import { loadJsonSync, saveJsonSync } from './jsonStore.js';
+import { nextTimeoutDelay } from './reminderTracker.js';
+import { getPlaylist } from './playlists.js';
+import { getQueue, createQueue, checkSongGuardrails } from './musicQueue.js';
+
+// Saved playlists that start themselves: "raid night at 20:00 every Wednesday, in the raid
+// channel", without anybody having to be online to press play.
+//
+// Built the way reminderTracker is - a JSON file of pending entries, one timer each, long
+// waits split into <=24h hops with its nextTimeoutDelay - because a weekly schedule is seven
+// days out by definition, and a plain setTimeout that long overflows and fires at once.
+//
+// A schedule names the playlist by owner and ID rather than copying its songs, so it plays
+// whatever the playlist holds on the night: songs added on Tuesday are in Wednesday's set.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+let dataFile = join(__dirname, '..', '..', 'data', 'playlistSchedules.json');
+
+export const MAX_SCHEDULES_PER_USER = 10;
+// A start missed while the bot was down still happens if the bot is back within this long;
+// later than that, the evening it was for has moved on without it
+export const MISSED_START_GRACE_MS = 30 * 60_000;
+const RETRY_DELAY_MS = 5 * 60_000;
+const MAX_ATTEMPTS = 3;
+
+let data = null;
+let discordClient = null;
+const activeTimeouts = new Map();
+
+function load() {
+  if (data !== null) return;
+  data = loadJsonSync(dataFile, { schedules: [] });
+  if (!Array.isArray(data?.schedules)) data = { schedules: [] };
+}
+
+function save() {
+  saveJsonSync(dataFile, data);
+}
+
+function generateId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+// The same time of day one week on, as many weeks as it takes to be after `now`. Calendar
+// days rather than 7 * 24h, so "20:00 every Wednesday" is still 20:00 after the clocks change.
+export function nextWeeklyStart(startAt, now = Date.now()) {
+  const next = new Date(startAt);
+  while (next.getTime() <= now) next.setDate(next.getDate() + 7);
+  return next.getTime();
+}
+
+// When the next attempt is due: a pending retry, or else the start itself. The retry time is
+// kept apart from startAt so a start that needed a retry does not drift next week's start.
+function dueAt(schedule) {
+  return schedule.retryAt || schedule.startAt;
+}
+
+// What to do with a schedule that was due while the bot was down: start it now if it is not
+// too late for that, otherwise skip to next week - or, for a one-off, forget it.
+//
+// @returns {{ action: 'wait'|'fire'|'drop', startAt: number }}
+export function planMissedStart(schedule, now = Date.now(), graceMs = MISSED_START_GRACE_MS) {
+  const due = dueAt(schedule);
+  if (due > now) return { action: 'wait', startAt: schedule.startAt };
+  if (now - due <= graceMs) return { action: 'fire', startAt: schedule.startAt };
+  if (schedule.repeatWeekly) return { action: 'wait', startAt: nextWeeklyStart(schedule.startAt, now) };
+  return { action: 'drop', startAt: schedule.startAt };
+}
+
+function scheduleTimer(schedule) {
+  const delay = nextTimeoutDelay(dueAt(schedule) - Date.now());
+  const timeout = setTimeout(() => {
+    if (dueAt(schedule) - Date.now() > 1000) {
+      scheduleTimer(schedule);
+    } else {
+      fireSchedule(schedule);
+    }
+  }, delay);
+  activeTimeouts.set(schedule.id, timeout);
+}
+
+// Queue the playlist in the schedule's channel and start it if nothing is playing. Something
+// that is already playing is not interrupted: the playlist goes on the end of its queue, in
+// whatever channel the bot is already in.
+//
+// The queue guardrails apply as they would to the person who scheduled it adding the songs by
+// hand; the ones they refuse are left out and counted. @returns { channel, queued, refused }
+async function startPlaylist(schedule, playlist) {
+  const channel = await discordClient.channels.fetch(schedule.voiceChannelId);
+  if (!channel || !channel.isVoiceBased()) {
+    throw new Error(`Voice channel ${schedule.voiceChannelId} not found`);
+  }
+
+  let queue = getQueue(schedule.guildId);
+  if (!queue) {
+    queue = createQueue(schedule.guildId, { name: channel.guild.name, icon: channel.guild.iconURL({ size: 128 }) });
+  }
+
+  const accepted = [];
+  const refused = [];
+  for (const song of playlist.songs) {
+    const entry = {
+      ...song,
+      requestedBy: schedule.createdBy,
+      requestedById: schedule.userId,
+      source: song.source || 'youtube'
+    };
+    const verdict = checkSongGuardrails(entry, { songs: [...queue.songs, ...accepted], currentSong: queue.currentSong });
+    if (verdict.ok) accepted.push(entry);
+    else refused.push(verdict.message);
+  }
+  // Nothing to play is not worth joining a channel for
+  if (accepted.length === 0) return { channel, queued: 0, refused };
+
+  if (!queue.connection) {
+    await queue.join(channel);
+  }
+  for (const song of accepted) queue.addSong(song);
+  if (!queue.isPlaying) await queue.play();
+  return { channel, queued: accepted.length, refused };
+}
+
+async function announce(schedule, text) {
+  if (!schedule.textChannelId) return;
+  try {
+    const channel = await discordClient.channels.fetch(schedule.textChannelId);
+    await channel?.send(text);
+  } catch (e) {
+    console.error(`[PlaylistScheduler] Could not announce schedule ${schedule.id}:`, e.message);
+  }
+}
+
+async function fireSchedule(schedule) {
+  activeTimeouts.delete(schedule.id);
+
+  // Deleted since it was scheduled: the schedule goes with it
+  const playlist = getPlaylist(schedule.userId, schedule.playlistId, schedule.guildId);
+  if (!playlist) {
+    console.log(`[PlaylistScheduler] Playlist ${schedule.playlistId} is gone - dropping schedule ${schedule.id}`);
+    removeScheduleFromData(schedule.id);
+    return;
+  }
+
+  if (playlist.songs.length === 0) {
+    console.log(`[PlaylistScheduler] Playlist "${playlist.name}" is empty - skipping schedule ${schedule.id} this time`);
+  } else {
+    try {
+      const { channel, queued, refused } = await startPlaylist(schedule, playlist);
+      if (refused.length > 0) {
+        console.log(`[PlaylistScheduler] Left ${refused.length} song(s) of "${playlist.name}" out for schedule ${schedule.id}: ${refused[0]}`);
+      }
+      const leftOut = refused.length > 0 ? `\n⚠️ ${refused.length} song${refused.length === 1 ? '' : 's'} left out: ${refused[0]}` : '';
+      if (queued === 0) {
+        await announce(schedule, `⏰ Scheduled playlist **${playlist.name}** could not start: none of its songs could be queued.${leftOut}`);
+      } else {
+        console.log(`[PlaylistScheduler] Started "${playlist.name}" (${queued} songs) in ${channel.name} for schedule ${schedule.id}`);
+        await announce(schedule, `⏰ Scheduled playlist **${playlist.name}** started in <#${schedule.voiceChannelId}> (${queued} songs)${leftOut}`);
+      }
+    } catch (e) {
+      console.error(`[PlaylistScheduler] Error starting schedule ${schedule.id}:`, e.message);
+      if (retrySchedule(schedule)) return;
+    }
+  }
+
+  finishOccurrence(schedule);
+}
+
+// Same three tries five minutes apart as a reminder gets. @returns whether a retry is pending
+function retrySchedule(schedule) {
+  schedule.attempts = (schedule.attempts || 0) + 1;
+  if (schedule.attempts >= MAX_ATTEMPTS) {
+    console.error(`[PlaylistScheduler] Giving up on schedule ${schedule.id} after ${MAX_ATTEMPTS} attempts`);
+    return false;
+  }
+  schedule.retryAt = Date.now() + RETRY_DELAY_MS;
+  // Cancelled while this attempt was in flight; don't resurrect it
+  if (!updateScheduleInData(schedule)) return true;
+  scheduleTimer(schedule);
+  return true;
+}
+
+// One occurrence is over, played or given up on: a weekly schedule moves to next week, a
+// one-off is done
+function finishOccurrence(schedule) {
+  if (!schedule.repeatWeekly) {
+    removeScheduleFromData(schedule.id);
+    return;
+  }
+  schedule.startAt = nextWeeklyStart(schedule.startAt);
+  delete schedule.attempts;
+  delete schedule.retryAt;
+  if (updateScheduleInData(schedule)) scheduleTimer(schedule);
+}
+
+function updateScheduleInData(schedule) {
+  load();
+  const idx = data.schedules.findIndex(s => s.id === schedule.id);
+  if (idx === -1) return false;
+  data.schedules[idx] = schedule;
+  save();
+  return true;
+}
+
+function removeScheduleFromData(id) {
+  load();
+  data.schedules = data.schedules.filter(s => s.id !== id);
+  save();
+}
+
+// === Public API ===
+
+export function initPlaylistScheduler(client) {
+  discordClient = client;
+  load();
+
+  const now = Date.now();
+  let scheduled = 0;
+  for (const schedule of [...data.schedules]) {
+    // Anything that should have started while the bot was down is caught up or skipped
+    const plan = planMissedStart(schedule, now);
+    if (plan.action === 'drop') {
+      console.log(`[PlaylistScheduler] Missed one-off schedule ${schedule.id} while offline - dropping it`);
+      removeScheduleFromData(schedule.id);
+      continue;
+    }
+    if (plan.startAt !== schedule.startAt) {
+      schedule.startAt = plan.startAt;
+      delete schedule.attempts;
+      delete schedule.retryAt;
+      updateScheduleInData(schedule);
+    }
+    scheduleTimer(schedule);
+    scheduled++;
+  }
+
+  if (scheduled > 0) {
+    console.log(`[PlaylistScheduler] Scheduled ${scheduled} pending playlist start(s)`);
+  }
+  console.log('[PlaylistScheduler] Initialized');
+}
+
+// @returns {{ success: boolean, error?: string, schedule?: object }}
+export function addSchedule({ userId, createdBy, playlistId, guildId, voiceChannelId, textChannelId = null, startAt, repeatWeekly = false }) {
+  load();
+  const playlist = getPlaylist(userId, playlistId, guildId);
+  if (!playlist) return { success: false, error: 'Playlist not found' };
+  if (!voiceChannelId) return { success: false, error: 'Pick a voice channel' };
+  if (!Number.isFinite(startAt) || startAt <= Date.now()) return { success: false, error: 'The start time has to be in the future' };
+  if (data.schedules.filter(s => s.userId === userId).length >= MAX_SCHEDULES_PER_USER) {
+    return { success: false, error: `You already have ${MAX_SCHEDULES_PER_USER} scheduled playlists - cancel one first` };
+  }
+
+  const schedule = {
+    id: generateId(), userId, createdBy, playlistId, guildId, voiceChannelId, textChannelId,
+    startAt, repeatWeekly: !!repeatWeekly, createdAt: Date.now()
+  };
+  data.schedules.push(schedule);
+  save();
+  if (discordClient) scheduleTimer(schedule);
+  return { success: true, schedule: withPlaylistName(schedule) };
+}
+
+// The playlist's current name, looked up rather than stored, so a rename shows up here too
+function withPlaylistName(schedule) {
+  return { ...schedule, playlistName: getPlaylist(schedule.userId, schedule.playlistId, schedule.guildId)?.name || null };
+}
+
+// A user's schedules, soonest first
+export function getUserSchedules(userId) {
+  load();
+  return data.schedules
+    .filter(s => s.userId === userId)
+    .sort((a, b) => a.startAt - b.startAt)
+    .map(withPlaylistName);
+}
+
+export function cancelSchedule(userId, scheduleId) {
+  load();
+  const schedule = data.schedules.find(s => s.id === scheduleId && s.userId === userId);
+  if (!schedule) return false;
+
+  const timeout = activeTimeouts.get(scheduleId);
+  if (timeout) {
+    clearTimeout(timeout);
+    activeTimeouts.delete(scheduleId);
+  }
+
+  data.schedules = data.schedules.filter(s => s.id !== scheduleId);
+  save();
+  return true;
+}
+
+// For the tests: point the module at a different file and forget what it had loaded
+export function setPlaylistSchedulesPath(path) {
+  for (const timeout of activeTimeouts.values()) clearTimeout(timeout);
+  activeTimeouts.clear();
+  data = null;
+  dataFile = path;
+}
@@ -2,23 +2,97 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
 import { loadJsonSync, saveJsonSync } from './jsonStore.js';
+import { primaryGuildId } from './guilds.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
-const DATA_FILE = join(__dirname, '..', '..', 'data', 'playlists.json');
+let dataFile = join(__dirname, '..', '..', 'data', 'playlists.json');
 
 const MAX_PLAYLISTS = 25;
 const MAX_SONGS = 500;
+export const MAX_EDITORS = 20;
+
+// Who besides the owner can see a playlist. 'read' and 'edit' are guild-wide: everybody with
+// dashboard access in the guild it was shared from can browse it, and with 'edit' add, remove
+// and reorder songs too. Invited editors can edit whatever the sharing is, from any guild. Only
+// the owner renames, deletes or changes either.
+export const PLAYLIST_SHARING = ['private', 'read', 'edit'];
 
 let data = null;
+let changeListener = null;
 
 function load() {
   if (data !== null) return;
-  data = loadJsonSync(DATA_FILE, {});
+  data = loadJsonSync(dataFile, {});
 }
 
 function save() {
-  saveJsonSync(DATA_FILE, data);
+  saveJsonSync(dataFile, data);
+}
+
+// Told the ID of every playlist that changes, whoever changed it and from where (the
+// dashboard, /playlist), so the web server can push it to everyone who has it open
+export function setPlaylistChangeListener(listener) {
+  changeListener = listener;
+}
+
+function changed(playlistId) {
+  if (!changeListener) return;
+  try {
+    changeListener(playlistId);
+  } catch (err) {
+    console.error('[Playlists] Change listener failed:', err.message);
+  }
+}
+
+// For the tests: point the module at a different file and forget what it had loaded
+export function setPlaylistsPath(path) {
+  data = null;
+  dataFile = path;
+}
+
+// Playlist IDs are random and never reused, so one is enough to find a playlist whoever owns it
+function locate(playlistId) {
+  load();
+  for (const [ownerId, user] of Object.entries(data)) {
+    if (user?.playlists && Object.hasOwn(user.playlists, playlistId)) {
+      return { ownerId, playlist: user.playlists[playlistId] };
+    }
+  }
+  return null;
+}
+
+// The sharing that reaches somebody in `guildId`. A playlist shared before there were several
+// guilds was shared with the primary one.
+function guildSharing(playlist, guildId) {
+  if (!guildId || (playlist.sharingGuildId || primaryGuildId()) !== guildId) return 'private';
+  return playlist.sharing || 'private';
+}
+
+// @param guildId - the guild `userId` is asking from; null reaches only their own playlists
+//   and the ones they were invited to
+function accessFor(userId, ownerId, playlist, guildId) {
+  if (userId === ownerId) return 'owner';
+  const sharing = guildSharing(playlist, guildId);
+  if ((playlist.editors || []).some(e => e.id === userId) || sharing === 'edit') return 'edit';
+  if (sharing === 'read') return 'read';
+  return null;
+}
+
+// The playlist and what `userId` may do with it, or null when it does not exist for them -
+// a private playlist of somebody else's is "not found", not "forbidden"
+function resolve(userId, playlistId, need = 'read', guildId = null) {
+  const found = locate(playlistId);
+  if (!found) return null;
+  const access = accessFor(userId, found.ownerId, found.playlist, guildId);
+  if (!access) return null;
+  const rank = { read: 0, edit: 1, owner: 2 };
+  return { ...found, access, allowed: rank[access] >= rank[need] };
+}
+
+// @returns {'owner'|'edit'|'read'|null}
+export function getPlaylistAccess(userId, playlistId, guildId = null) {
+  return resolve(userId, playlistId, 'read', guildId)?.access || null;
 }
 
 function ensureUser(userId) {
@@ -51,78 +125,151 @@ export function createPlaylist(userId, name, createdBy) {
 }
 
 export function deletePlaylist(userId, playlistId) {
-  load();
-  const user = data[userId];
-  if (!user || !user.playlists[playlistId]) {
-    return { success: false, error: 'Playlist not found.' };
-  }
-  delete user.playlists[playlistId];
+  const found = resolve(userId, playlistId, 'owner');
+  if (!found) return { success: false, error: 'Playlist not found.' };
+  if (!found.allowed) return { success: false, error: 'Only the owner can delete this playlist.' };
+  delete data[userId].playlists[playlistId];
   save();
+  changed(playlistId);
   return { success: true };
 }
 
 export function renamePlaylist(userId, playlistId, name) {
-  load();
-  const user = data[userId];
-  if (!user || !user.playlists[playlistId]) {
-    return { success: false, error: 'Playlist not found.' };
-  }
-  user.playlists[playlistId].name = name;
+  const found = resolve(userId, playlistId, 'owner');
+  if (!found) return { success: false, error: 'Playlist not found.' };
+  if (!found.allowed) return { success: false, error: 'Only the owner can rename this playlist.' };
+  found.playlist.name = name;
   save();
+  changed(playlistId);
   return { success: true };
 }
 
-export function addSong(userId, playlistId, song) {
-  load();
-  const user = data[userId];
-  if (!user || !user.playlists[playlistId]) {
-    return { success: false, error: 'Playlist not found.' };
-  }
-  const playlist = user.playlists[playlistId];
+// The playlist `userId` may change songs in, or an error result to return as-is
+function editable(userId, playlistId, guildId) {
+  const found = resolve(userId, playlistId, 'edit', guildId);
+  if (!found) return { error: { success: false, error: 'Playlist not found.' } };
+  if (!found.allowed) return { error: { success: false, error: 'This playlist is read-only.' } };
+  return { playlist: found.playlist };
+}
+
+// @param addedBy - display name of whoever added it, kept with the song so a shared playlist
+//   shows who contributed what
+export function addSong(userId, playlistId, song, addedBy = null, guildId = null) {
+  const { playlist, error } = editable(userId, playlistId, guildId);
+  if (error) return error;
   if (playlist.songs.length >= MAX_SONGS) {
     return { success: false, error: `Maximum of ${MAX_SONGS} songs per playlist reached.` };
   }
   if (song.url && playlist.songs.some(s => s.url === song.url)) {
     return { success: false, error: 'Song already in this playlist.' };
   }
-  playlist.songs.push({
+  playlist.songs.push(songEntry(song, userId, addedBy));
+  save();
+  changed(playlistId);
+  return { success: true };
+}
+
+function songEntry(song, userId, addedBy) {
+  return {
     url: song.url,
     title: song.title,
     thumbnail: song.thumbnail || null,
-    duration: song.duration || 0
-  });
-  save();
-  return { success: true };
+    duration: song.duration || 0,
+    source: song.source || null,
+    addedById: userId,
+    addedBy: addedBy || null
+  };
 }
 
-export function removeSong(userId, playlistId, songIndex) {
-  load();
-  const user = data[userId];
-  if (!user || !user.playlists[playlistId]) {
-    return { success: false, error: 'Playlist not found.' };
+// addSong for a whole import at once: one write and one change notification instead of one
+// per song, and the songs that are already there or do not fit are counted rather than
+// failing the lot.
+//
+// @returns {{ success: boolean, error?: string, added?: number, duplicates?: number, overLimit?: number }}
+export function addSongs(userId, playlistId, songs, addedBy = null, guildId = null) {
+  const { playlist, error } = editable(userId, playlistId, guildId);
+  if (error) return error;
+  const seen = new Set(playlist.songs.map(s => s.url));
+  let added = 0, duplicates = 0, overLimit = 0;
+  for (const song of songs) {
+    if (!song?.url || seen.has(song.url)) { duplicates++; continue; }
+    if (playlist.songs.length >= MAX_SONGS) { overLimit++; continue; }
+    seen.add(song.url);
+    playlist.songs.push(songEntry(song, userId, addedBy));
+    added++;
   }
-  const playlist = user.playlists[playlistId];
+  if (added > 0) {
+    save();
+    changed(playlistId);
+  }
+  return { success: true, added, duplicates, overLimit };
+}
+
+export function removeSong(userId, playlistId, songIndex, guildId = null) {
+  const { playlist, error } = editable(userId, playlistId, guildId);
+  if (error) return error;
   if (!Number.isInteger(songIndex) || songIndex < 0 || songIndex >= playlist.songs.length) {
     return { success: false, error: 'Invalid song index.' };
   }
   playlist.songs.splice(songIndex, 1);
   save();
+  changed(playlistId);
   return { success: true };
 }
 
-export function reorderSong(userId, playlistId, from, to) {
-  load();
-  const user = data[userId];
-  if (!user || !user.playlists[playlistId]) {
-    return { success: false, error: 'Playlist not found.' };
-  }
-  const songs = user.playlists[playlistId].songs;
+export function reorderSong(userId, playlistId, from, to, guildId = null) {
+  const { playlist, error } = editable(userId, playlistId, guildId);
+  if (error) return error;
+  const songs = playlist.songs;
   if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || from >= songs.length || to < 0 || to >= songs.length) {
     return { success: false, error: 'Invalid index.' };
   }
   const [song] = songs.splice(from, 1);
   songs.splice(to, 0, song);
   save();
+  changed(playlistId);
+  return { success: true };
+}
+
+// Sharing is with `guildId`, the guild the owner is in when they share; sharing again from
+// another guild moves it there
+export function setPlaylistSharing(userId, playlistId, sharing, guildId = null) {
+  if (!PLAYLIST_SHARING.includes(sharing)) return { success: false, error: 'Invalid sharing mode.' };
+  if (sharing !== 'private' && !guildId) return { success: false, error: 'Share it from a server.' };
+  const found = resolve(userId, playlistId, 'owner', guildId);
+  if (!found) return { success: false, error: 'Playlist not found.' };
+  if (!found.allowed) return { success: false, error: 'Only the owner can change who sees this playlist.' };
+  found.playlist.sharing = sharing;
+  if (sharing === 'private') delete found.playlist.sharingGuildId;
+  else found.playlist.sharingGuildId = guildId;
+  save();
+  changed(playlistId);
+  return { success: true };
+}
+
+export function addPlaylistEditor(userId, playlistId, editor) {
+  const found = resolve(userId, playlistId, 'owner');
+  if (!found) return { success: false, error: 'Playlist not found.' };
+  if (!found.allowed) return { success: false, error: 'Only the owner can invite editors.' };
+  if (!editor?.id || editor.id === userId) return { success: false, error: 'Pick someone else to invite.' };
+  const editors = found.playlist.editors || [];
+  if (editors.some(e => e.id === editor.id)) return { success: false, error: 'Already an editor.' };
+  if (editors.length >= MAX_EDITORS) return { success: false, error: `Maximum of ${MAX_EDITORS} editors reached.` };
+  found.playlist.editors = [...editors, { id: editor.id, name: editor.name || 'Unknown' }];
+  save();
+  changed(playlistId);
+  return { success: true };
+}
+
+export function removePlaylistEditor(userId, playlistId, editorId) {
+  const found = resolve(userId, playlistId, 'owner');
+  if (!found) return { success: false, error: 'Playlist not found.' };
+  if (!found.allowed) return { success: false, error: 'Only the owner can remove editors.' };
+  const editors = found.playlist.editors || [];
+  if (!editors.some(e => e.id === editorId)) return { success: false, error: 'Not an editor.' };
+  found.playlist.editors = editors.filter(e => e.id !== editorId);
+  save();
+  changed(playlistId);
   return { success: true };
 }
 
@@ -141,48 +288,93 @@ export function reorderPlaylist(userId, from, to) {
   return { success: true };
 }
 
-export function getPlaylists(userId) {
+// Every playlist `userId` can see from `guildId`: their own first, in the order they put them
+// in, then everybody else's that is shared with them, by name
+function accessiblePlaylists(userId, guildId) {
   load();
-  const user = data[userId];
-  if (!user) return [];
-  return Object.entries(user.playlists).map(([id, pl]) => ({
+  const own = [];
+  const shared = [];
+  for (const [ownerId, user] of Object.entries(data)) {
+    for (const [id, pl] of Object.entries(user?.playlists || {})) {
+      const access = accessFor(userId, ownerId, pl, guildId);
+      if (access) (access === 'owner' ? own : shared).push({ id, ownerId, access, pl });
+    }
+  }
+  shared.sort((a, b) => a.pl.name.localeCompare(b.pl.name));
+  return [...own, ...shared];
+}
+
+export function getPlaylists(userId, guildId = null) {
+  return accessiblePlaylists(userId, guildId).map(({ id, ownerId, access, pl }) => ({
     id,
     name: pl.name,
     songCount: pl.songs.length,
     createdBy: pl.createdBy || 'Unknown',
-    createdAt: pl.createdAt
+    createdAt: pl.createdAt,
+    ownerId,
+    access,
+    sharing: pl.sharing || 'private'
   }));
 }
 
-export function getPlaylist(userId, playlistId) {
-  load();
-  const user = data[userId];
-  if (!user || !user.playlists[playlistId]) return null;
-  const pl = user.playlists[playlistId];
+export function getPlaylist(userId, playlistId, guildId = null) {
+  const found = resolve(userId, playlistId, 'read', guildId);
+  if (!found) return null;
+  const pl = found.playlist;
   return {
     id: playlistId,
     name: pl.name,
     createdBy: pl.createdBy || 'Unknown',
     createdAt: pl.createdAt,
+    ownerId: found.ownerId,
+    access: found.access,
+    sharing: pl.sharing || 'private',
+    editors: pl.editors || [],
     songs: pl.songs
   };
 }
 
-export function getAllPlaylistNames(userId) {
-  load();
-  const user = data[userId];
-  if (!user) return [];
-  return Object.entries(user.playlists).map(([id, pl]) => ({
-    name: pl.name,
+// For /playlist autocomplete. Somebody else's playlist is marked with whose it is.
+export function getAllPlaylistNames(userId, guildId = null) {
+  return accessiblePlaylists(userId, guildId).map(({ id, access, pl }) => ({
+    name: access === 'owner' ? pl.name : `${pl.name} (${pl.createdBy || 'shared'})`.slice(0, 100),
     value: id
   }));
 }
 
-export function getPlaylistSongNames(userId, playlistId) {
-  load();
-  const user = data[userId];
-  if (!user || !user.playlists[playlistId]) return [];
-  return user.playlists[playlistId].songs.map((s, i) => ({
+// Case, accents and punctuation are not something a spoken name carries
+function spokenName(name) {
+  return String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// The playlist `userId` means by `name`, for the voice assistant, which only ever has a name
+// to go on. An exact name wins, their own before a shared one. Failing that, a name that starts
+// with what was said, then one that contains it - but only when exactly one does: "chill"
+// between "Chill" and "Chill 2" is the first, and between "Chill ochtend" and "Chill avond" is
+// neither, because guessing would start the wrong forty songs.
+//
+// @returns the playlist as getPlaylist gives it, or null
+export function findPlaylistByName(userId, name, guildId = null) {
+  const wanted = spokenName(name ?? '');
+  if (!wanted) return null;
+  const candidates = accessiblePlaylists(userId, guildId).map(entry => ({ id: entry.id, name: spokenName(entry.pl.name) }));
+  const tiers = [
+    candidates.filter(c => c.name === wanted),
+    candidates.filter(c => c.name.startsWith(wanted)),
+    candidates.filter(c => c.name.includes(wanted))
+  ];
+  for (const [i, matches] of tiers.entries()) {
+    if (matches.length === 1 || (i === 0 && matches.length > 0)) return getPlaylist(userId, matches[0].id, guildId);
+    if (matches.length > 1) return null;
+  }
+  return null;
+}
+
+export function getPlaylistSongNames(userId, playlistId, guildId = null) {
+  const found = resolve(userId, playlistId, 'read', guildId);
+  if (!found) return [];
+  return found.playlist.songs.map((s, i) => ({
     name: s.title.length > 100 ? s.title.substring(0, 97) + '...' : s.title,
     value: String(i)
   }));
@@ -0,0 +1,189 @@
+// Limits on what can be queued, set on the admin page: how long a song may be, how many songs
+// one person may have waiting, whether a song already in the queue can be added again, and a
+// blocklist of videos, channels and words.
+//
+// Every way a person adds a song - /play, /playlist play, the dashboard and its playlists, the
+// voice assistant, a scheduled playlist - asks checkQueueGuardrails before anything is queued, and
+// passes the refusal's message on as it is, so the wording is decided once, here. Radio picks
+// are held to the blocklist and the length limit but not the other two: radio is nobody's turn,
+// and it keeps its own memory of what it has played.
+//
+// Everything defaults to off, which is how the queue always behaved. Pure: settings and songs
+// in, a verdict out; the settings themselves live in musicQueue's playerSettings.json with the
+// rest of the shared player settings.
+
+import { youtubeVideoId } from './urlValidation.js';
+import { playedLength } from './chapters.js';
+
+// Upper bounds on what the admin page can set, and on the blocklist, which is read on every add
+export const MAX_GUARDRAIL_DURATION_MIN = 24 * 60;
+export const MAX_GUARDRAIL_PENDING = 500;
+export const MAX_BLOCKLIST_ENTRIES = 200;
+const MAX_BLOCKLIST_ENTRY_LENGTH = 100;
+
+export const DEFAULT_QUEUE_GUARDRAILS = Object.freeze({
+  maxDurationMin: 0,
+  maxPendingPerUser: 0,
+  blockDuplicates: false,
+  blocklist: Object.freeze({ videoIds: Object.freeze([]), channels: Object.freeze([]), keywords: Object.freeze([]) })
+});
+
+function clampCount(value, max) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n > 0 ? Math.min(max, n) : 0;
+}
+
+// A blocklist field as a clean list: one entry per line (or comma) when it comes from a text
+// box, trimmed, de-duplicated, bounded
+function cleanList(value, normalize = (s) => s, caseSensitive = false) {
+  const raw = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[\n,]/) : [];
+  const seen = new Set();
+  const out = [];
+  for (const entry of raw) {
+    if (typeof entry !== 'string') continue;
+    const cleaned = normalize(entry.trim().slice(0, MAX_BLOCKLIST_ENTRY_LENGTH));
+    const key = caseSensitive ? cleaned : cleaned?.toLowerCase();
+    if (!cleaned || seen.has(key)) continue;
+    seen.add(key);
+    out.push(cleaned);
+    if (out.length >= MAX_BLOCKLIST_ENTRIES) break;
+  }
+  return out;
+}
+
+// A pasted video URL is stored as the ID it names, so the same video under any URL spelling
+// matches
+function normalizeVideoId(entry) {
+  return youtubeVideoId(entry) || (/^[\w-]{11}$/.test(entry) ? entry : null);
+}
+
+// A channel URL is stored as what a song can be matched on: its UC... ID or its @handle
+function normalizeChannel(entry) {
+  const id = entry.match(/youtube\.com\/channel\/(UC[\w-]{22})/i);
+  if (id) return id[1];
+  const handle = entry.match(/youtube\.com\/(@[\w.-]+)/i);
+  if (handle) return handle[1];
+  return entry;
+}
+
+// `value` as usable guardrail settings: whatever is missing or nonsense is off, and a limit of 0
+// is "no limit". Numbers may come as the admin form's strings, blocklists as its text boxes.
+export function clampQueueGuardrails(value = {}) {
+  const v = value && typeof value === 'object' ? value : {};
+  const blocklist = v.blocklist && typeof v.blocklist === 'object' ? v.blocklist : {};
+  return {
+    maxDurationMin: clampCount(v.maxDurationMin, MAX_GUARDRAIL_DURATION_MIN),
+    maxPendingPerUser: clampCount(v.maxPendingPerUser, MAX_GUARDRAIL_PENDING),
+    blockDuplicates: v.blockDuplicates === true,
+    blocklist: {
+      videoIds: cleanList(blocklist.videoIds, normalizeVideoId, true),
+      channels: cleanList(blocklist.channels, normalizeChannel),
+      keywords: cleanList(blocklist.keywords)
+    }
+  };
+}
+
+// The channel fields a song keeps from yt-dlp's info for a video, for the channel blocklist.
+// Absent from songs whose info was never looked up (a radio mix entry), which the channel
+// blocklist then cannot see.
+export function channelInfo(videoInfo) {
+  const handle = typeof videoInfo?.uploader_id === 'string' && videoInfo.uploader_id.startsWith('@') ? videoInfo.uploader_id : null;
+  return {
+    channel: videoInfo?.channel || videoInfo?.uploader || null,
+    channelId: videoInfo?.channel_id || null,
+    channelHandle: handle
+  };
+}
+
+// Whether a song whose title and length somebody else supplied (the dashboard sends what its
+// search showed) has to be looked up before it is checked: when a length limit or a channel
+// blocklist is set, those are what it is judged on, and they have to come from YouTube
+export function guardrailsNeedVideoInfo(settings) {
+  return (settings?.maxDurationMin || 0) > 0 || (settings?.blocklist?.channels?.length || 0) > 0;
+}
+
+function isRadioSong(song) {
+  return typeof song?.requestedBy === 'string' && song.requestedBy.toLowerCase().includes('radio');
+}
+
+function songKey(url) {
+  return youtubeVideoId(url) || url;
+}
+
+function formatMinutes(minutes) {
+  return minutes % 60 === 0 && minutes >= 60 ? `${minutes / 60} hour${minutes === 60 ? '' : 's'}` : `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+function formatLength(seconds) {
+  const s = Math.round(seconds);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const rest = String(s % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${rest}` : `${m}:${rest}`;
+}
+
+function blockedBy(song, blocklist) {
+  const id = songKey(song.url);
+  if (blocklist.videoIds.includes(id)) return 'That song is on the blocklist.';
+
+  const channelFields = [song.channel, song.channelId, song.channelHandle].filter(Boolean).map(s => s.toLowerCase());
+  const channel = blocklist.channels.find(c => channelFields.includes(c.toLowerCase()));
+  if (channel) return `Songs from ${song.channel || channel} are blocked here.`;
+
+  const text = `${song.title || ''} ${song.channel || ''}`.toLowerCase();
+  const keyword = blocklist.keywords.find(k => text.includes(k.toLowerCase()));
+  if (keyword) return 'That song matches a blocked word.';
+  return null;
+}
+
+// Whether `song` may be queued, given what is already waiting.
+//
+// @param queued - the songs waiting to play; @param current - the one playing, if any
+// @returns {{ ok: true } | { ok: false, reason: 'blocked'|'too-long'|'duplicate'|'quota', message: string }}
+export function checkQueueGuardrails(song, { settings = DEFAULT_QUEUE_GUARDRAILS, queued = [], current = null } = {}) {
+  if (!song?.url) return { ok: true };
+  const rules = settings || DEFAULT_QUEUE_GUARDRAILS;
+
+  const blocked = blockedBy(song, rules.blocklist || DEFAULT_QUEUE_GUARDRAILS.blocklist);
+  if (blocked) return { ok: false, reason: 'blocked', message: blocked };
+
+  // A length of 0 is "unknown" (some live streams, some local files), not "too short to matter";
+  // it is let through rather than refused on a guess. A song with a play range is as long as the
+  // part of it that plays: ten minutes out of a three-hour mix is a ten-minute song.
+  const duration = playedLength(song);
+  if (rules.maxDurationMin > 0 && duration > rules.maxDurationMin * 60) {
+    return {
+      ok: false,
+      reason: 'too-long',
+      message: `That song is ${formatLength(duration)} long; the limit is ${formatMinutes(rules.maxDurationMin)}.`
+    };
+  }
+
+  if (isRadioSong(song)) return { ok: true };
+
+  if (rules.blockDuplicates) {
+    const key = songKey(song.url);
+    const position = (queued || []).findIndex(s => s?.url && songKey(s.url) === key);
+    if (position !== -1) {
+      return { ok: false, reason: 'duplicate', message: `That song is already in the queue (#${position + 1}).` };
+    }
+    if (current?.url && songKey(current.url) === key) {
+      return { ok: false, reason: 'duplicate', message: 'That song is playing right now.' };
+    }
+  }
+
+  if (rules.maxPendingPerUser > 0 && (song.requestedById || song.requestedBy)) {
+    const mine = (queued || []).filter(s => !isRadioSong(s) && (song.requestedById
+      ? s?.requestedById === song.requestedById
+      : s?.requestedBy === song.requestedBy)).length;
+    if (mine >= rules.maxPendingPerUser) {
+      return {
+        ok: false,
+        reason: 'quota',
+        message: `You already have ${mine} song${mine === 1 ? '' : 's'} waiting in the queue; the limit is ${rules.maxPendingPerUser}. Try again once one has played.`
+      };
+    }
+  }
+
+  return { ok: true };
+}
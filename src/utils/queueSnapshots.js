@@ -0,0 +1,166 @@
+// Named queue snapshots: the queue as it is now, song playing and position included, saved under
+// a name so it can be put back another evening with /queue restore or from the dashboard.
+//
+// The record is queueState's buildGuildSnapshot - the one the crash recovery writes - so a
+// snapshot holds exactly what a restart would have put back. What differs is what happens to
+// it: the crash-recovery slot is one per guild, overwritten as the queue plays and thrown away
+// after QUEUE_STATE_MAX_AGE_MS, while these are kept until somebody deletes them.
+//
+// Snapshots belong to the guild rather than to whoever saved one: anybody can list and restore
+// them, and a name means the same queue to everyone. Overwriting or deleting one is for the
+// person who saved it (or a DJ). Stored in data/queueSnapshots.json as
+// { [guildId]: [snapshot, ...] }.
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import { loadJsonSync, saveJsonSync } from './jsonStore.js';
+import { buildGuildSnapshot, serializeSong, serializeSongs, clampResumePosition } from './queueState.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// 25 is what a Discord autocomplete can list, and so what /queue restore can offer
+export const MAX_SNAPSHOTS_PER_GUILD = 25;
+export const MAX_SNAPSHOT_NAME_LENGTH = 50;
+// The same as a playlist's limit: a snapshot can always be turned into one
+export const MAX_SNAPSHOT_SONGS = 500;
+
+let dataFile = join(__dirname, '..', '..', 'data', 'queueSnapshots.json');
+let data = null;
+
+// For the tests: point the store at a different file and forget what it had loaded
+export function setQueueSnapshotsPath(filePath) {
+  dataFile = filePath;
+  data = null;
+}
+
+function load() {
+  if (data !== null) return data;
+  const loaded = loadJsonSync(dataFile, {});
+  data = loaded && typeof loaded === 'object' && !Array.isArray(loaded) ? loaded : {};
+  return data;
+}
+
+function save() {
+  saveJsonSync(dataFile, data);
+}
+
+function guildSnapshots(guildId) {
+  const all = load();
+  return Array.isArray(all[guildId]) ? all[guildId] : [];
+}
+
+// A snapshot by its ID or, as typed into /queue restore without picking from the list, by name
+function findIndex(list, idOrName) {
+  const key = String(idOrName || '').trim();
+  if (!key) return -1;
+  const byId = list.findIndex(s => s.id === key);
+  return byId !== -1 ? byId : list.findIndex(s => s.name.toLowerCase() === key.toLowerCase());
+}
+
+// Every song a snapshot holds, in order, the one that was playing first
+export function snapshotSongs(saved) {
+  const current = serializeSong(saved?.currentSong);
+  const upcoming = serializeSongs(saved?.songs);
+  return current ? [current, ...upcoming] : upcoming;
+}
+
+// Where in its first song a restored snapshot starts: where it was when saved, if a song was
+// playing, clamped the way a restart's resume is
+export function snapshotResumePosition(saved) {
+  const current = serializeSong(saved?.currentSong);
+  return current ? clampResumePosition(saved.positionSec, current.duration) : 0;
+}
+
+// What a list of snapshots shows, without the songs themselves
+export function describeSnapshot(saved) {
+  const songs = snapshotSongs(saved);
+  return {
+    id: saved.id,
+    name: saved.name,
+    savedBy: saved.savedBy || null,
+    savedById: saved.savedById || null,
+    savedAt: saved.savedAt,
+    songCount: songs.length,
+    duration: songs.reduce((sum, s) => sum + (Number(s.duration) || 0), 0),
+    firstSong: songs[0]?.title || null
+  };
+}
+
+// Newest first
+export function listQueueSnapshots(guildId) {
+  return [...guildSnapshots(guildId)].sort((a, b) => b.savedAt - a.savedAt).map(describeSnapshot);
+}
+
+export function getQueueSnapshot(guildId, idOrName) {
+  const list = guildSnapshots(guildId);
+  const index = findIndex(list, idOrName);
+  return index === -1 ? null : list[index];
+}
+
+// Save `snapshot` (a MusicQueue#snapshot()) as `name`. Saving under a name the same person
+// already used replaces that snapshot; somebody else's name is refused rather than taken over.
+//
+// @returns {{ success: true, snapshot, replaced: boolean } | { success: false, error: string }}
+export function saveQueueSnapshot(guildId, name, snapshot, { userId = null, displayName = null, isDJ = false, now = Date.now() } = {}) {
+  const cleanName = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+  if (!cleanName) return { success: false, error: 'Give the snapshot a name.' };
+  if (cleanName.length > MAX_SNAPSHOT_NAME_LENGTH) {
+    return { success: false, error: `Snapshot names can be at most ${MAX_SNAPSHOT_NAME_LENGTH} characters.` };
+  }
+  const songs = snapshotSongs(snapshot);
+  if (songs.length === 0) return { success: false, error: 'There is nothing in the queue to save.' };
+  if (songs.length > MAX_SNAPSHOT_SONGS) {
+    return { success: false, error: `A snapshot can hold at most ${MAX_SNAPSHOT_SONGS} songs.` };
+  }
+
+  const all = load();
+  const list = guildSnapshots(guildId);
+  const existing = list.findIndex(s => s.name.toLowerCase() === cleanName.toLowerCase());
+  if (existing !== -1 && list[existing].savedById !== userId && !isDJ) {
+    return { success: false, error: `There is already a snapshot called "${list[existing].name}". Pick another name.` };
+  }
+  if (existing === -1 && list.length >= MAX_SNAPSHOTS_PER_GUILD) {
+    return { success: false, error: `There are already ${MAX_SNAPSHOTS_PER_GUILD} saved queues. Delete one first.` };
+  }
+
+  const record = {
+    ...buildGuildSnapshot({
+      guildId,
+      guildName: snapshot.guildName,
+      guildIcon: snapshot.guildIcon,
+      currentSong: serializeSong(snapshot.currentSong),
+      songs: serializeSongs(snapshot.songs),
+      positionSec: snapshot.positionSec,
+      volume: snapshot.volume,
+      loopMode: snapshot.loopMode,
+      savedAt: now
+    }),
+    id: existing !== -1 ? list[existing].id : crypto.randomBytes(6).toString('hex'),
+    name: cleanName,
+    savedBy: displayName,
+    savedById: userId
+  };
+
+  const next = [...list];
+  if (existing !== -1) next[existing] = record;
+  else next.push(record);
+  all[guildId] = next;
+  save();
+  return { success: true, snapshot: record, replaced: existing !== -1 };
+}
+
+// @returns {{ success: true, snapshot } | { success: false, error: string }}
+export function deleteQueueSnapshot(guildId, idOrName, { userId = null, isDJ = false } = {}) {
+  const all = load();
+  const list = guildSnapshots(guildId);
+  const index = findIndex(list, idOrName);
+  if (index === -1) return { success: false, error: 'Snapshot not found.' };
+  if (list[index].savedById !== userId && !isDJ) {
+    return { success: false, error: 'Only whoever saved a snapshot, or a DJ, can delete it.' };
+  }
+  const [removed] = list.splice(index, 1);
+  all[guildId] = list;
+  save();
+  return { success: true, snapshot: removed };
+}
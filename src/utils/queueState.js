@@ -42,7 +42,8 @@ export function getQueueStatePath() {
 // The fields of a song that are worth keeping. A whitelist rather than the whole object: a
 // song picked up from history carries a playedAt, a radio pick carries channel metadata, and
 // none of it survives a restart as anything but noise in a file a human may have to read.
-const SONG_FIELDS = ['title', 'url', 'duration', 'thumbnail', 'requestedBy', 'requestedById', 'source'];
+// A play range is part of what was asked for, and the chapters save looking a mix up again.
+const SONG_FIELDS = ['title', 'url', 'duration', 'thumbnail', 'requestedBy', 'requestedById', 'source', 'startTime', 'endTime', 'chapters'];
 
 // @returns {object|null} the storable form of a song, or null when there is nothing playable
 //   in it - a song with no URL cannot be fetched again, so it is not worth restoring.
@@ -0,0 +1,154 @@
+// What radio plays next, once there is a mix to choose from. YouTube's mix for a seed is a fine
+// place to discover things but a poor judge of this room: it drifts, a few hops out, into songs
+// nobody here would have picked, and it happily offers the song everybody skips thirty seconds
+// in. Our own listening stats know better on both counts, so the pick is weighted with them:
+//
+// - "Favourites" are songs the group has asked for more than once and usually listened to the
+//   end. A share of radio picks (configurable, see clampRadioFavouriteShare) comes from these
+//   instead of from the mix.
+// - Every candidate, favourite or discovery, is weighted down by how early it tends to get
+//   skipped, and a song that is nearly always skipped early is not offered at all. Where the
+//   play events (playEvents.js) have seen a song a couple of times, what they measured is used;
+//   the stats' listening time is the estimate for songs from before they existed.
+//
+// Every pick comes with a reason the dashboard shows next to it - "Because you played X" - so
+// "why is radio playing this?" has an answer.
+//
+// Pure: stats and tracks in, a decision out. Fetching the mix and excluding what was just
+// played (filterEligibleRadioTracks) stay in musicQueue's pickRadioTrack, which calls this.
+
+import { youtubeVideoId } from './urlValidation.js';
+
+export const DEFAULT_RADIO_FAVOURITE_SHARE = 0.3;
+
+// Below this share of a song heard, on average, a play counts as "skipped early"
+export const SKIPPED_EARLY_COMPLETION = 0.35;
+// A favourite has been asked for at least this often and usually heard to (nearly) the end
+const MIN_FAVOURITE_PLAYS = 2;
+const MIN_FAVOURITE_COMPLETION = 0.6;
+// Only the strongest few are worth weighing; a long tail of two-play songs would dilute them
+const MAX_FAVOURITES = 50;
+
+// A share of picks in [0, 1]. Unlike the vote-skip share, 0 is a real setting (discovery only,
+// as radio always was) and so is 1 (favourites only). Percentages are accepted, as the admin
+// page sends them.
+export function clampRadioFavouriteShare(value) {
+  if (value === null || value === undefined || value === '') return DEFAULT_RADIO_FAVOURITE_SHARE;
+  let share = Number(value);
+  if (!Number.isFinite(share) || share < 0) return DEFAULT_RADIO_FAVOURITE_SHARE;
+  if (share > 1) share = share / 100;
+  return Math.min(1, Math.round(share * 100) / 100);
+}
+
+// How much of a song the room hears on average: listening time over plays times length, 0..1.
+// null when that cannot be told - no length known, or never played.
+export function songCompletion(stat) {
+  const plays = Number(stat?.playCount) || 0;
+  const duration = Number(stat?.duration) || 0;
+  if (plays <= 0 || duration <= 0) return null;
+  const heard = Number(stat.totalListeningTime) || 0;
+  return Math.max(0, Math.min(1, heard / (plays * duration)));
+}
+
+// Stats keyed by what a song is rather than how its URL was written, so a mix entry's
+// watch?v= URL finds the stats recorded under the youtu.be link somebody pasted
+function statsIndex(stats) {
+  const index = new Map();
+  for (const [key, stat] of Object.entries(stats?.songs || {})) {
+    const url = stat?.url || key;
+    index.set(youtubeVideoId(url) || url, stat);
+  }
+  return index;
+}
+
+function statFor(index, url) {
+  return index.get(youtubeVideoId(url) || url) || null;
+}
+
+// Measured completion from the play events when there are enough of them, else the stats' estimate
+function completionFor(stat, url, playStats) {
+  const measured = playStats?.get(youtubeVideoId(url) || url);
+  if (measured && measured.plays >= 2 && measured.averageCompletion !== null) return measured.averageCompletion;
+  return songCompletion(stat);
+}
+
+function topRequester(stat) {
+  const requesters = Object.values(stat?.requestedBy || {});
+  if (requesters.length === 0) return null;
+  return requesters.reduce((best, r) => (r.count > best.count ? r : best)).displayName || null;
+}
+
+// The group's favourites as radio candidates: [{ track, weight, reason }], strongest first.
+// Songs requested again this week (`recentlyPlayed`, newest first - radio's own picks do not
+// count) weigh more: they are what the room is into right now, not just what it once liked.
+//
+// @param playStats - per-song figures from playEvents' songPlayStats, where there are any
+export function favouriteRadioCandidates(stats, recentlyPlayed = [], playStats = null) {
+  const isRadioPick = (s) => typeof s?.requestedBy === 'string' && s.requestedBy.toLowerCase().includes('radio');
+  const recentPlays = new Map();
+  for (const song of recentlyPlayed || []) {
+    if (!song?.url || isRadioPick(song)) continue;
+    const key = youtubeVideoId(song.url) || song.url;
+    recentPlays.set(key, (recentPlays.get(key) || 0) + 1);
+  }
+
+  const candidates = [];
+  for (const [key, stat] of Object.entries(stats?.songs || {})) {
+    const url = stat?.url || key;
+    if (!url || !/^(https?:|local:)/.test(url)) continue;
+    const completion = completionFor(stat, url, playStats);
+    if (stat.playCount < MIN_FAVOURITE_PLAYS || completion === null || completion < MIN_FAVOURITE_COMPLETION) continue;
+
+    const thisWeek = recentPlays.get(youtubeVideoId(url) || url) || 0;
+    const by = topRequester(stat);
+    candidates.push({
+      track: { title: stat.title || url, url, duration: stat.duration || 0, thumbnail: stat.thumbnail || null },
+      weight: Math.log2(1 + stat.playCount) * completion * completion * (1 + 0.5 * thisWeek),
+      reason: `A group favourite: played ${stat.playCount} times${thisWeek > 0 ? ` (${thisWeek} this week)` : ''}${by ? `, mostly requested by ${by}` : ''}`
+    });
+  }
+  return candidates.sort((a, b) => b.weight - a.weight).slice(0, MAX_FAVOURITES);
+}
+
+// A mix's tracks as radio candidates, weighted by how this room has treated them before: a song
+// it has heard through counts a little more, one it skips early counts less, and one it nearly
+// always skips early is dropped - unless that would drop everything.
+export function weightDiscoveryTracks(tracks, stats, reason, playStats = null) {
+  const index = statsIndex(stats);
+  const weighted = (tracks || []).map(track => {
+    const stat = statFor(index, track.url);
+    const completion = completionFor(stat, track.url, playStats);
+    let weight = 1;
+    if (completion !== null) {
+      weight = completion < SKIPPED_EARLY_COMPLETION ? 0 : 0.5 + completion;
+    }
+    return { track, weight, reason };
+  });
+  const kept = weighted.filter(c => c.weight > 0);
+  return kept.length > 0 ? kept : weighted.map(c => ({ ...c, weight: 1 }));
+}
+
+// One of `items`, chosen with probability proportional to its weight
+export function weightedPick(items, randomFn = Math.random) {
+  const total = items.reduce((sum, item) => sum + Math.max(0, item.weight), 0);
+  if (items.length === 0) return null;
+  if (total <= 0) return items[Math.floor(randomFn() * items.length)];
+  let roll = randomFn() * total;
+  for (const item of items) {
+    roll -= Math.max(0, item.weight);
+    if (roll < 0) return item;
+  }
+  return items[items.length - 1];
+}
+
+// Favourite or discovery, then which one. `favouriteShare` of picks come from the favourites
+// when there are any; when either pool is empty the other is used, so a new server with no
+// stats yet gets plain discovery and a dead mix still gets a favourite.
+//
+// @returns {{ track: object, reason: string, kind: 'favourite'|'discovery' } | null}
+export function planRadioPick({ favourites = [], discovery = [], favouriteShare = DEFAULT_RADIO_FAVOURITE_SHARE, randomFn = Math.random } = {}) {
+  if (favourites.length === 0 && discovery.length === 0) return null;
+  const useFavourite = favourites.length > 0 && (discovery.length === 0 || randomFn() < favouriteShare);
+  const picked = weightedPick(useFavourite ? favourites : discovery, randomFn);
+  return { track: picked.track, reason: picked.reason, kind: useFavourite ? 'favourite' : 'discovery' };
+}
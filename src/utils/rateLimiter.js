@@ -0,0 +1,33 @@
+// Sliding-window rate limits, kept in memory and keyed per user.
+//
+// These started life as a middleware inside the web server. Queueing songs can now also happen
+// from Discord - the "Add to queue" message command and the queue reaction - and those are
+// meant to share the dashboard's limit rather than be a second allowance next to it: somebody
+// who has used up their adds on the website should not get twenty more by right-clicking a
+// message. So the buckets live here, and the web server's middleware and the Discord side both
+// count against the same one. A session's user ID is the Discord user ID, so the keys line up.
+
+// What /api/queue/add allows, and so what every other way of queueing a song is held to
+export const QUEUE_ADD_LIMIT = { name: 'queueadd', maxHits: 20, windowMs: 60_000 };
+
+const buckets = new Map(); // `${name}:${key}` -> [timestamps]
+
+// Count one hit for `key` against limit `name`. A hit that is refused is not counted.
+//
+// @returns {boolean} whether it was allowed
+export function takeRateLimit(name, key, maxHits, windowMs, now = Date.now()) {
+  const bucketKey = `${name}:${key}`;
+  const hits = (buckets.get(bucketKey) || []).filter(t => now - t < windowMs);
+  if (hits.length >= maxHits) {
+    buckets.set(bucketKey, hits);
+    return false;
+  }
+  hits.push(now);
+  buckets.set(bucketKey, hits);
+  return true;
+}
+
+// For the tests: forget every hit
+export function resetRateLimits() {
+  buckets.clear();
+}
@@ -1,8 +1,9 @@
 // Voice command intent parsing for the Hey Jerry voice assistant.
 //
 // Two layers:
-//   1. fastPathMatch(text) - cheap, offline, anchored Dutch phrase/regex table
-//      for the handful of very common short commands (skip, pause, volume, ...).
+//   1. fastPathMatch(text, language) - cheap, offline, anchored phrase/regex
+//      tables for the common short commands (skip, pause, volume, seek, loop,
+//      ...), one set per language the assistant speaks.
 //      Matches are WHOLE-UTTERANCE only so longer sentences ("waarom stopt de
 //      muziek steeds") never accidentally trigger a control command.
 //   2. parseIntent(text) - falls back to an OpenRouter LLM call (JSON mode)
@@ -13,6 +14,10 @@
 // speech still comes back from Whisper as *something*, and there is no point
 // paying for an LLM call to learn that "***" means nothing.
 //
+// The speaker's language (speech/language.js) picks which tables are tried
+// first and which LLM prompt is used. The intent that comes out is the same in
+// every language: only what is heard and what is said back differ.
+//
 // parseIntent() never rejects: any failure (missing key, network, bad JSON,
 // malformed shape) resolves to { action: 'unknown', error: <stage> }, since
 // callers report the result back to the user and can't do anything with a
@@ -20,15 +25,24 @@
 
 import axios from 'axios';
 import { getVoiceConfig } from '../openrouter.js';
+import { VOICE_LANGUAGES, DEFAULT_VOICE_LANGUAGE, resolveVoiceLanguage } from './language.js';
 
 const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
 const REQUEST_TIMEOUT_MS = 10_000;
 
 const VALID_ACTIONS = new Set([
   'play', 'skip', 'pause', 'resume', 'stop', 'volume',
+  'previous', 'shuffle', 'loop', 'seek', 'radio', 'playlist',
   'nowplaying', 'queue', 'remind', 'ask', 'unknown',
 ]);
 
+// What "loop" can be set to - the queue's own modes (see LOOP_MODES in musicQueue.js)
+const LOOP_MODES = new Set(['off', 'song', 'queue']);
+
+// The longest seek accepted from the LLM, in seconds. Nothing queued runs for a day; a number
+// past that is a misheard one, not a position.
+const MAX_SEEK_SECONDS = 86_400;
+
 // Whole-utterance exact matches (after normalize()). Keep this table in sync
 // with test/intent.test.js's fast-path cases.
 // Single-word entries like 'verder' and 'overslaan' are safe here precisely
@@ -62,11 +76,65 @@ const EXACT_PHRASES = {
   'stop': 'stop',
   'stoppen': 'stop',
 
+  'vorige': 'previous',
+  'vorig nummer': 'previous',
+  'vorige nummer': 'previous',
+  'vorig liedje': 'previous',
+  'speel de vorige': 'previous',
+  'previous': 'previous',
+
+  // There is no shuffle *mode* to switch on - "aan" is how people say it anyway, and what they
+  // get is the queue shuffled once, the same as the dashboard's button
+  'shuffle': 'shuffle',
+  'shuffle aan': 'shuffle',
+  'shuffelen': 'shuffle',
+  'schud': 'shuffle',
+  'schud de wachtrij': 'shuffle',
+  'door elkaar': 'shuffle',
+
   'wat speelt er': 'nowplaying',
   'wat speelt er nu': 'nowplaying',
   'welk nummer is dit': 'nowplaying',
 };
 
+// Whole-utterance commands that carry a value - a loop mode, radio on or off, a position - so
+// the entry is the whole intent rather than just its action. Same anchoring, and the same
+// reason for it, as EXACT_PHRASES.
+const SETTING_PHRASES = {
+  'herhaal dit nummer': { action: 'loop', mode: 'song' },
+  'herhaal dit': { action: 'loop', mode: 'song' },
+  'herhaal het nummer': { action: 'loop', mode: 'song' },
+  'dit nummer herhalen': { action: 'loop', mode: 'song' },
+  'herhaal de wachtrij': { action: 'loop', mode: 'queue' },
+  'herhaal alles': { action: 'loop', mode: 'queue' },
+  'wachtrij herhalen': { action: 'loop', mode: 'queue' },
+  'herhalen uit': { action: 'loop', mode: 'off' },
+  'herhaal uit': { action: 'loop', mode: 'off' },
+  'stop met herhalen': { action: 'loop', mode: 'off' },
+  'niet meer herhalen': { action: 'loop', mode: 'off' },
+
+  // Never a bare "radio": "zet de radio aan" is a command, "radio" on its own could be
+  // the start of a sentence about one
+  'radio aan': { action: 'radio', enabled: true },
+  'zet de radio aan': { action: 'radio', enabled: true },
+  'zet radio aan': { action: 'radio', enabled: true },
+  'radio uit': { action: 'radio', enabled: false },
+  'zet de radio uit': { action: 'radio', enabled: false },
+  'zet radio uit': { action: 'radio', enabled: false },
+
+  'spoel naar het begin': { action: 'seek', seconds: 0 },
+  'terug naar het begin': { action: 'seek', seconds: 0 },
+};
+
+// "spoel naar 2 minuten", "ga naar 1 minuut 30", "spring naar 45 seconden". Groups: 1 the
+// number, 2 its unit, 3 the seconds after a number of minutes. normalize() strips the colon,
+// so "2:30" is not one of these shapes; the LLM gets those.
+const SEEK_PATTERN = /^(?:spoel|ga|spring) (?:door |terug )?naar (\d{1,3}) (minuut|minuten|seconde|seconden)(?: (?:en )?(\d{1,2})(?: seconde| seconden)?)?$/;
+
+// "speel mijn playlist chill", "zet de afspeellijst feest op". Group 1 is the name, as it was
+// heard - which playlist that is gets decided at dispatch, against the speaker's own list.
+const PLAYLIST_PATTERN = /^(?:speel|start|zet) (?:mijn |de )?(?:playlist|afspeellijst) (.+?)(?: op| af)?$/;
+
 // Anchored (whole-utterance) volume patterns. Capture group 1 is the number.
 // 'vol' is accepted alongside 'volume' because that is how Whisper tends to
 // come back from a clipped "volume 10".
@@ -112,6 +180,126 @@ const RELATIVE_VOLUME_PHRASES = {
   'veel stiller': -VOLUME_BIG_STEP,
 };
 
+// --- English ---------------------------------------------------------------
+//
+// The same tables for whoever set /heyjerry language to English, under the same
+// rules: whole utterances only, matched after normalize() - which drops the
+// apostrophe too, so "what's playing" is looked up as "whats playing".
+
+const EN_EXACT_PHRASES = {
+  'skip': 'skip',
+  'next': 'skip',
+  'next song': 'skip',
+  'skip this': 'skip',
+  'skip this song': 'skip',
+  'skip it': 'skip',
+
+  'pause': 'pause',
+  'pause the music': 'pause',
+  'pause it': 'pause',
+  'hold on': 'pause',
+
+  'resume': 'resume',
+  'continue': 'resume',
+  'unpause': 'resume',
+  'keep playing': 'resume',
+  'carry on': 'resume',
+
+  'stop': 'stop',
+  'stop the music': 'stop',
+
+  'previous': 'previous',
+  'previous song': 'previous',
+  'last song': 'previous',
+  'go back': 'previous',
+  'play the previous song': 'previous',
+
+  // As in Dutch, "on" is how people say it and a single shuffle is what they get
+  'shuffle': 'shuffle',
+  'shuffle on': 'shuffle',
+  'shuffle the queue': 'shuffle',
+
+  'whats playing': 'nowplaying',
+  'what is playing': 'nowplaying',
+  'what song is this': 'nowplaying',
+  'whats this song': 'nowplaying',
+};
+
+const EN_SETTING_PHRASES = {
+  'repeat this song': { action: 'loop', mode: 'song' },
+  'repeat this': { action: 'loop', mode: 'song' },
+  'loop this song': { action: 'loop', mode: 'song' },
+  'repeat the queue': { action: 'loop', mode: 'queue' },
+  'loop the queue': { action: 'loop', mode: 'queue' },
+  'repeat all': { action: 'loop', mode: 'queue' },
+  'repeat off': { action: 'loop', mode: 'off' },
+  'loop off': { action: 'loop', mode: 'off' },
+  'stop repeating': { action: 'loop', mode: 'off' },
+
+  'radio on': { action: 'radio', enabled: true },
+  'turn on the radio': { action: 'radio', enabled: true },
+  'turn the radio on': { action: 'radio', enabled: true },
+  'radio off': { action: 'radio', enabled: false },
+  'turn off the radio': { action: 'radio', enabled: false },
+  'turn the radio off': { action: 'radio', enabled: false },
+
+  'go back to the start': { action: 'seek', seconds: 0 },
+  'start over': { action: 'seek', seconds: 0 },
+};
+
+// "skip to 2 minutes", "go to 1 minute 30", "jump ahead to 45 seconds". Groups as in SEEK_PATTERN.
+const EN_SEEK_PATTERN = /^(?:skip|go|jump|seek) (?:ahead |back )?to (\d{1,3}) (minute|minutes|second|seconds)(?: (?:and )?(\d{1,2})(?: second| seconds)?)?$/;
+
+// "play my playlist chill", "put on the playlist party"
+const EN_PLAYLIST_PATTERN = /^(?:play|start|put on) (?:my |the )?playlist (.+?)(?: on)?$/;
+
+const EN_VOLUME_PATTERNS = [
+  /^vol(?:ume)? (\d{1,3})$/,
+  /^(?:set )?(?:the )?vol(?:ume)? (?:to )?(\d{1,3})(?: percent)?$/,
+];
+
+const EN_RELATIVE_VOLUME_PHRASES = {
+  'louder': VOLUME_STEP,
+  'a bit louder': VOLUME_STEP,
+  'a little louder': VOLUME_STEP,
+  'turn it up': VOLUME_STEP,
+  'volume up': VOLUME_STEP,
+  'louder please': VOLUME_STEP,
+
+  'quieter': -VOLUME_STEP,
+  'softer': -VOLUME_STEP,
+  'a bit quieter': -VOLUME_STEP,
+  'a little quieter': -VOLUME_STEP,
+  'turn it down': -VOLUME_STEP,
+  'volume down': -VOLUME_STEP,
+  'quieter please': -VOLUME_STEP,
+
+  'much louder': VOLUME_BIG_STEP,
+  'a lot louder': VOLUME_BIG_STEP,
+  'much quieter': -VOLUME_BIG_STEP,
+  'a lot quieter': -VOLUME_BIG_STEP,
+};
+
+// Every language's tables, for fastPathMatch
+const FAST_PATH_TABLES = {
+  nl: {
+    exact: EXACT_PHRASES,
+    settings: SETTING_PHRASES,
+    relativeVolume: RELATIVE_VOLUME_PHRASES,
+    volume: VOLUME_PATTERNS,
+    seek: SEEK_PATTERN,
+    playlist: PLAYLIST_PATTERN,
+  },
+  en: {
+    exact: EN_EXACT_PHRASES,
+    settings: EN_SETTING_PHRASES,
+    relativeVolume: EN_RELATIVE_VOLUME_PHRASES,
+    volume: EN_VOLUME_PATTERNS,
+    seek: EN_SEEK_PATTERN,
+    playlist: EN_PLAYLIST_PATTERN,
+  },
+};
+
 /**
  * The level a relative volume request lands on. Pure, and clamped into the range
  * the player accepts rather than rejected at the edges: somebody at 95 saying
@@ -146,6 +334,13 @@ const HALLUCINATION_PHRASES = new Set([
   'bedankt voor het kijken',
   'ondertiteld door de amaraorg gemeenschap',
   'ondertiteling door de amaraorg gemeenschap',
+  // And its English equivalents, for the people it is now told to expect English from
+  'you',
+  'thank you',
+  'thanks for watching',
+  'thank you for watching',
+  'applause',
+  'subtitles by the amaraorg community',
 ]);
 
 const SYSTEM_PROMPT = `Je bent de intent-parser voor Jerry, een Nederlandstalige Discord voice-assistant.
@@ -153,10 +348,14 @@ Zet de uitspraak van de gebruiker om in EXACT een JSON-object, zonder uitleg, ma
 
 Schema (alleen deze velden zijn toegestaan; laat velden weg die niet bij de gekozen action horen):
 {
-  "action": "play" | "skip" | "pause" | "resume" | "stop" | "volume" | "nowplaying" | "queue" | "remind" | "ask" | "unknown",
+  "action": "play" | "skip" | "pause" | "resume" | "stop" | "volume" | "previous" | "shuffle" | "loop" | "seek" | "radio" | "playlist" | "nowplaying" | "queue" | "remind" | "ask" | "unknown",
   "query": string,     // alleen bij "play": de liednaam/artiest die gevraagd is, zonder opdracht-woorden
   "volume": number,    // alleen bij "volume": geheel getal 0-100, een absoluut niveau
   "relative": number,  // alleen bij "volume": geheel getal -100..100, hoeveel harder/zachter (nooit samen met "volume")
+  "seconds": number,   // alleen bij "seek": geheel getal >= 0, de plek in het nummer in seconden
+  "mode": string,      // alleen bij "loop": "song" | "queue" | "off"
+  "enabled": boolean,  // alleen bij "radio": true (aan) of false (uit)
+  "name": string,      // alleen bij "playlist": de naam van de playlist
   "minutes": number,   // alleen bij "remind": geheel getal 1-1440, hoeveel minuten vanaf nu
   "message": string,   // alleen bij "remind": waar de herinnering over gaat
   "question": string   // alleen bij "ask": de vraag van de gebruiker
@@ -167,9 +366,14 @@ Regels:
 - "play": gebruiker wil muziek afspelen of aan de wachtrij toevoegen ("speel ...", "zet ... op", "voeg ... toe aan de wachtrij/queue"). "query" is alleen de liednaam/artiest.
 - "remind": gebruiker wil een herinnering ("herinner me over ...", "laat me over ... weten dat ..."). Reken de tijdsduur om naar minuten, ook als die met woorden geschreven is (bv. "twintig minuten" = 20).
 - "ask": gebruiker stelt een DUIDELIJKE vraag (kennis, feiten, uitleg) die niets met muziekbediening of herinneringen te maken heeft. Gebruik "ask" alleen als het overduidelijk een vraag is.
-- "skip" / "pause" / "resume" / "stop" / "nowplaying" / "queue" / "volume": muziekbediening die niet al door snelkoppelingen is afgehandeld.
+- "skip" / "pause" / "resume" / "stop" / "nowplaying" / "queue" / "volume" / "previous" / "shuffle": muziekbediening die niet al door snelkoppelingen is afgehandeld. "previous" is het vorige nummer, "shuffle" is de wachtrij door elkaar husselen.
+- "seek": gebruiker wil naar een plek in het huidige nummer ("spoel naar twee minuten", "ga naar 1:30"). "seconds" is die plek in seconden vanaf het begin.
+- "loop": gebruiker wil iets herhalen of juist niet meer. "mode" is "song" (dit nummer), "queue" (de hele wachtrij) of "off" (niet meer herhalen).
+- "radio": gebruiker wil de radio (automatisch vergelijkbare nummers afspelen) aan of uit. "enabled" is true voor aan, false voor uit.
+- "playlist": gebruiker wil een opgeslagen playlist/afspeellijst afspelen. "name" is alleen de naam van de playlist, zonder "mijn", "playlist" of opdracht-woorden. Een losse liednaam is "play", geen "playlist".
 - "volume": vraagt de gebruiker om een NIVEAU ("zet het volume op 40"), gebruik "volume". Vraagt de gebruiker om een VERANDERING ("doe eens wat harder", "mag het zachter"), gebruik "relative": +15 voor harder, -15 voor zachter, +30 of -30 als er "veel" bij staat. Nooit beide velden.
 - "unknown": alles wat niet duidelijk in een van bovenstaande categorieen past (onzin, ruis, opmerkingen zonder duidelijke opdracht). Kies bij twijfel "unknown", niet "ask".
+- Een uitspraak in een andere taal zet je op dezelfde manier om. "query", "message", "question" en "name" blijven in de taal waarin ze gezegd zijn. Kun je de taal niet verstaan, kies "unknown".
 
 Voorbeelden:
 Gebruiker: "speel beat it van michael jackson"
@@ -184,6 +388,15 @@ Gebruiker: "herinner me over 20 minuten aan de pizza"
 Gebruiker: "doe de muziek eens wat harder"
 {"action": "volume", "relative": 15}
 
+Gebruiker: "spoel even door naar anderhalve minuut"
+{"action": "seek", "seconds": 90}
+
+Gebruiker: "wil je dit liedje steeds opnieuw spelen"
+{"action": "loop", "mode": "song"}
+
+Gebruiker: "zet mijn afspeellijst met chill muziek op"
+{"action": "playlist", "name": "chill"}
+
 Gebruiker: "hoe hoog is de eiffeltoren"
 {"action": "ask", "question": "hoe hoog is de eiffeltoren"}
 
@@ -192,6 +405,70 @@ Gebruiker: "blablabla onzin"
 
 Antwoord ALLEEN met het JSON-object.`;
 
+const EN_SYSTEM_PROMPT = `You are the intent parser for Jerry, an English-speaking Discord voice assistant.
+Turn the user's utterance into EXACTLY one JSON object, with no explanation, markdown or extra text.
+
+Schema (only these fields are allowed; leave out fields that do not belong to the chosen action):
+{
+  "action": "play" | "skip" | "pause" | "resume" | "stop" | "volume" | "previous" | "shuffle" | "loop" | "seek" | "radio" | "playlist" | "nowplaying" | "queue" | "remind" | "ask" | "unknown",
+  "query": string,     // "play" only: the song/artist asked for, without the command words
+  "volume": number,    // "volume" only: whole number 0-100, an absolute level
+  "relative": number,  // "volume" only: whole number -100..100, how much louder/quieter (never together with "volume")
+  "seconds": number,   // "seek" only: whole number >= 0, the position in the song in seconds
+  "mode": string,      // "loop" only: "song" | "queue" | "off"
+  "enabled": boolean,  // "radio" only: true (on) or false (off)
+  "name": string,      // "playlist" only: the name of the playlist
+  "minutes": number,   // "remind" only: whole number 1-1440, how many minutes from now
+  "message": string,   // "remind" only: what the reminder is about
+  "question": string   // "ask" only: the user's question
+}
+
+Rules:
+- Pick exactly one "action".
+- "play": the user wants to play music or add it to the queue ("play ...", "put on ...", "add ... to the queue"). "query" is only the song/artist.
+- "remind": the user wants a reminder ("remind me in ...", "let me know in ... that ..."). Convert the duration to minutes, also when it is written in words (e.g. "twenty minutes" = 20).
+- "ask": the user asks a CLEAR question (knowledge, facts, explanation) that has nothing to do with controlling the music or reminders. Only use "ask" when it is obviously a question.
+- "skip" / "pause" / "resume" / "stop" / "nowplaying" / "queue" / "volume" / "previous" / "shuffle": music controls not already handled by shortcuts. "previous" is the previous song, "shuffle" is shuffling the queue.
+- "seek": the user wants to go to a position in the current song ("skip to two minutes", "go to 1:30"). "seconds" is that position in seconds from the start.
+- "loop": the user wants something repeated, or no longer repeated. "mode" is "song" (this song), "queue" (the whole queue) or "off" (stop repeating).
+- "radio": the user wants the radio (automatically playing similar songs) on or off. "enabled" is true for on, false for off.
+- "playlist": the user wants to play a saved playlist. "name" is only the playlist's name, without "my", "playlist" or command words. A single song name is "play", not "playlist".
+- "volume": if the user asks for a LEVEL ("set the volume to 40"), use "volume". If the user asks for a CHANGE ("turn it up a bit", "can it be quieter"), use "relative": +15 for louder, -15 for quieter, +30 or -30 when they say "much" or "a lot". Never both fields.
+- "unknown": anything that does not clearly fit one of the categories above (nonsense, noise, remarks without a clear command). When in doubt choose "unknown", not "ask".
+- Convert an utterance in another language the same way. "query", "message", "question" and "name" stay in the language they were said in. If you cannot understand the language, choose "unknown".
+
+Examples:
+User: "play beat it by michael jackson"
+{"action": "play", "query": "beat it by michael jackson"}
+
+User: "add bohemian rhapsody to the queue"
+{"action": "play", "query": "bohemian rhapsody"}
+
+User: "remind me in 20 minutes about the pizza"
+{"action": "remind", "minutes": 20, "message": "the pizza"}
+
+User: "turn the music up a bit"
+{"action": "volume", "relative": 15}
+
+User: "skip ahead to a minute and a half"
+{"action": "seek", "seconds": 90}
+
+User: "can you keep playing this song over and over"
+{"action": "loop", "mode": "song"}
+
+User: "put on my chill playlist"
+{"action": "playlist", "name": "chill"}
+
+User: "how tall is the eiffel tower"
+{"action": "ask", "question": "how tall is the eiffel tower"}
+
+User: "blah blah nonsense"
+{"action": "unknown"}
+
+Reply ONLY with the JSON object.`;
+
+const SYSTEM_PROMPTS = { nl: SYSTEM_PROMPT, en: EN_SYSTEM_PROMPT };
+
 /**
  * Lowercase, trim, strip punctuation and diacritics so fast-path matching is
  * tolerant of casing, trailing punctuation, and accented input.
@@ -232,26 +509,64 @@ export function isLikelyHallucination(text) {
  * Returns null when nothing matches (including "matched the shape but the
  * value was out of range", e.g. "volume 150") so callers fall through to the
  * LLM/unknown path.
+ *
+ * The speaker's own language is tried first, then the others: in a group that
+ * speaks both, "skip" and "stop" are everybody's words, and an English phrase
+ * from somebody set to Dutch is still unmistakably a command.
  * @param {string} text
- * @returns {{action: string, volume?: number}|null}
+ * @param {string} [language] - the speaker's language; anything unsupported is the default
+ * @returns {{action: string, volume?: number, relative?: number, seconds?: number, mode?: string, enabled?: boolean, name?: string}|null}
  */
-export function fastPathMatch(text) {
+export function fastPathMatch(text, language = DEFAULT_VOICE_LANGUAGE) {
   if (typeof text !== 'string') return null;
   const normalized = normalize(text);
   if (!normalized) return null;
 
-  if (EXACT_PHRASES[normalized]) {
-    return { action: EXACT_PHRASES[normalized] };
+  const own = resolveVoiceLanguage(language);
+  for (const lang of [own, ...VOICE_LANGUAGES.filter((l) => l !== own)]) {
+    const match = matchTables(FAST_PATH_TABLES[lang], normalized);
+    if (match !== undefined) return match;
+  }
+  return null;
+}
+
+// One language's tables against an already-normalized utterance: the intent,
+// null for a shape that was recognized but cannot be honoured (which ends the
+// search - "volume 150" is not going to mean something else in English), or
+// undefined when nothing here matched at all.
+function matchTables(tables, normalized) {
+  if (tables.exact[normalized]) {
+    return { action: tables.exact[normalized] };
+  }
+
+  if (tables.settings[normalized]) {
+    return { ...tables.settings[normalized] };
+  }
+
+  const seek = normalized.match(tables.seek);
+  if (seek) {
+    const amount = parseInt(seek[1], 10);
+    const inMinutes = seek[2].startsWith('minu');
+    // "45 seconds 10" is not a position anybody says
+    if (!inMinutes && seek[3] !== undefined) return null;
+    const extra = seek[3] === undefined ? 0 : parseInt(seek[3], 10);
+    if (extra > 59) return null;
+    return { action: 'seek', seconds: inMinutes ? amount * 60 + extra : amount };
+  }
+
+  const playlist = normalized.match(tables.playlist);
+  if (playlist) {
+    return { action: 'playlist', name: playlist[1] };
   }
 
   // A direction rather than a level: the resulting level depends on where the
   // volume is now, which only the dispatcher can see, so what comes out of here
   // is the request and not the answer.
-  if (RELATIVE_VOLUME_PHRASES[normalized] !== undefined) {
-    return { action: 'volume', relative: RELATIVE_VOLUME_PHRASES[normalized] };
+  if (tables.relativeVolume[normalized] !== undefined) {
+    return { action: 'volume', relative: tables.relativeVolume[normalized] };
   }
 
-  for (const pattern of VOLUME_PATTERNS) {
+  for (const pattern of tables.volume) {
     const match = normalized.match(pattern);
     if (match) {
       const volume = parseInt(match[1], 10);
@@ -262,7 +577,7 @@ export function fastPathMatch(text) {
     }
   }
 
-  return null;
+  return undefined;
 }
 
 function coerceString(value) {
@@ -284,7 +599,7 @@ function coerceInt(value) {
  * Normalizes an arbitrary object (typically LLM JSON output) into a valid
  * intent, or { action: 'unknown' } if it doesn't fit the schema.
  * @param {*} obj
- * @returns {{action: string, query?: string, volume?: number, minutes?: number, message?: string, question?: string}}
+ * @returns {{action: string, query?: string, volume?: number, relative?: number, seconds?: number, mode?: string, enabled?: boolean, name?: string, minutes?: number, message?: string, question?: string}}
  */
 export function validateIntent(obj) {
   if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
@@ -319,6 +634,26 @@ export function validateIntent(obj) {
       if (volume === null || volume < 0 || volume > 100) return { action: 'unknown' };
       return { action: 'volume', volume };
     }
+    case 'seek': {
+      const seconds = coerceInt(obj.seconds);
+      if (seconds === null || seconds < 0 || seconds > MAX_SEEK_SECONDS) return { action: 'unknown' };
+      return { action: 'seek', seconds };
+    }
+    case 'loop': {
+      if (typeof obj.mode !== 'string' || !LOOP_MODES.has(obj.mode)) return { action: 'unknown' };
+      return { action: 'loop', mode: obj.mode };
+    }
+    case 'radio': {
+      // Strictly a boolean: "aan" or "yes" here means the model ignored the schema, and a
+      // guess about which way it meant would be a guess either way
+      if (typeof obj.enabled !== 'boolean') return { action: 'unknown' };
+      return { action: 'radio', enabled: obj.enabled };
+    }
+    case 'playlist': {
+      const name = coerceString(obj.name);
+      if (!name) return { action: 'unknown' };
+      return { action: 'playlist', name };
+    }
     case 'remind': {
       const minutes = coerceInt(obj.minutes);
       const message = coerceString(obj.message);
@@ -336,6 +671,8 @@ export function validateIntent(obj) {
     case 'pause':
     case 'resume':
     case 'stop':
+    case 'previous':
+    case 'shuffle':
     case 'nowplaying':
     case 'queue':
     case 'unknown':
@@ -351,10 +688,11 @@ export function validateIntent(obj) {
  * { action: 'unknown', error: <stage> } where stage is one of
  * 'config' | 'network' | 'api' | 'empty' | 'parse'.
  * @param {string} text
+ * @param {string} [language] - the speaker's language, for the fast path and the prompt
  * @returns {Promise<{action: string, [key: string]: *}>}
  */
-export async function parseIntent(text) {
-  const fastMatch = fastPathMatch(text);
+export async function parseIntent(text, language = DEFAULT_VOICE_LANGUAGE) {
+  const fastMatch = fastPathMatch(text, language);
   if (fastMatch) return fastMatch;
 
   // Read lazily so this module can be imported before loadEnv.js populates
@@ -375,7 +713,7 @@ export async function parseIntent(text) {
         max_tokens: maxTokens,
         response_format: { type: 'json_object' },
         messages: [
-          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'system', content: SYSTEM_PROMPTS[resolveVoiceLanguage(language)] },
           { role: 'user', content: String(text ?? '') },
         ],
       },
@@ -0,0 +1,26 @@
+// The languages the "Hey Jerry" voice assistant understands and answers in.
+//
+// A language is a per-user preference (/heyjerry language), and it picks four things for
+// everything that user says: the fast-path phrase tables and the LLM prompt in intent.js, the
+// language hint and vocabulary prompt Whisper gets in transcribe.js, the Piper voice in tts.js
+// and the wording of the spoken reply in replies.js. Adding a language means adding it here
+// and to each of those tables; anything keyed by a language that is not in VOICE_LANGUAGES -
+// a stale value in the store, a typo - resolves to the default rather than to nothing.
+
+export const VOICE_LANGUAGES = ['nl', 'en'];
+
+// Dutch is what Jerry spoke before there was a choice, so it is what everybody who never
+// picked one keeps getting
+export const DEFAULT_VOICE_LANGUAGE = 'nl';
+
+// What /heyjerry shows for each, in that language
+export const LANGUAGE_NAMES = { nl: 'Nederlands', en: 'English' };
+
+/**
+ * The supported language `value` names, or the default for anything else.
+ * @param {*} value
+ * @returns {'nl'|'en'}
+ */
+export function resolveVoiceLanguage(value) {
+  return VOICE_LANGUAGES.includes(value) ? value : DEFAULT_VOICE_LANGUAGE;
+}
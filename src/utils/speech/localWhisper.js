@@ -0,0 +1,259 @@
+// Node-side wrapper around the local speech-to-text sidecar (scripts/whisper_sidecar.py).
+//
+// The sidecar is one long-lived Python process holding a faster-whisper model in memory, so an
+// utterance is transcribed on this machine instead of being posted to Groq. Loading the model
+// takes seconds and a few hundred MB, which is why it is a process that stays up rather than one
+// started per utterance. It runs in the same venv as the wake-word sidecar and is supervised the
+// same way as WakewordEngine: respawned with backoff when it crashes, given up on after a run
+// of crashes.
+//
+// Unlike the wake-word stream this is request/response, one request per utterance, and the
+// requests are small and rare, so the wire format favours being easy to read over being compact:
+//
+//   stdin  (Node -> sidecar), one JSON object per line:
+//     {"id": <int>, "sampleRate": 16000, "language": "nl", "prompt": <string|null>,
+//      "audio": <base64 of mono int16LE PCM>}
+//
+//   stdout (sidecar -> Node), one JSON object per line, in any order:
+//     {"id": <int>, "text": <string>}     -- the transcript (possibly empty)
+//     {"id": <int>, "error": <string>}    -- this request failed; the sidecar carries on
+//
+// Every failure comes back as a TranscribeError, so transcribe.js can treat this backend and
+// Groq alike: 'network' for "never got an answer" (not running, crashed mid-request, timed
+// out), 'api' for an answer that was an error, 'empty' for a transcript with nothing in it.
+
+import { EventEmitter } from 'node:events';
+import { spawn } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { TranscribeError } from './transcribe.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..', '..');
+
+const PYTHON_PATH = path.join(PROJECT_ROOT, 'tools', 'wakeword-venv', 'bin', 'python');
+const SIDECAR_SCRIPT = path.join(PROJECT_ROOT, 'scripts', 'whisper_sidecar.py');
+const DEFAULT_MODEL_PATH = path.join(PROJECT_ROOT, 'tools', 'models', 'faster-whisper-small');
+
+// On a CPU the small model needs a second or two for a spoken command; the first request after
+// a (re)spawn also waits for the model to load. Past this, Groq - if configured - is faster.
+const REQUEST_TIMEOUT_MS = 15_000;
+
+// Same schedule and stability window as the wake-word sidecar (see wakeword.js)
+const RESPAWN_BACKOFF_MS = [1000, 2000, 4000, 8000, 16000];
+const STABILITY_WINDOW_MS = 30000;
+
+function modelPathFromEnv() {
+  return process.env.STT_LOCAL_MODEL_PATH || DEFAULT_MODEL_PATH;
+}
+
+/**
+ * One request line for the sidecar.
+ * @param {number} id
+ * @param {Buffer} pcm - mono 16-bit little-endian PCM
+ * @param {{ sampleRate: number, language: string, prompt?: string|null }} options
+ * @returns {string} the JSON line, newline included
+ */
+export function encodeRequest(id, pcm, { sampleRate, language, prompt = null }) {
+  return JSON.stringify({ id, sampleRate, language, prompt: prompt || null, audio: pcm.toString('base64') }) + '\n';
+}
+
+/**
+ * One line of sidecar output, or null for anything that is not a response (stray output, a
+ * line cut short).
+ * @param {string} line
+ * @returns {{ id: number, text: string } | { id: number, error: string } | null}
+ */
+export function parseResponseLine(line) {
+  let msg;
+  try {
+    msg = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  if (!msg || !Number.isInteger(msg.id)) return null;
+  if (typeof msg.error === 'string') return { id: msg.id, error: msg.error };
+  if (typeof msg.text === 'string') return { id: msg.id, text: msg.text };
+  return null;
+}
+
+export class LocalWhisperEngine extends EventEmitter {
+  constructor({ modelPath } = {}) {
+    super();
+    this.modelPath = modelPath || modelPathFromEnv();
+
+    this.child = null;
+    this.stopping = false;
+    this.stdoutBuffer = '';
+    this.stdinErrored = false;
+
+    this.nextId = 1;
+    this.pending = new Map(); // id -> { resolve, reject, timer }
+
+    this.respawnAttempt = 0;
+    this.respawnTimer = null;
+    this.stabilityTimer = null;
+    this.gaveUpLogged = false;
+  }
+
+  /** Checks that the venv python interpreter and the model directory exist. */
+  static isAvailable() {
+    return existsSync(PYTHON_PATH) && existsSync(modelPathFromEnv());
+  }
+
+  /** Whether a request sent now would reach a running sidecar. */
+  isRunning() {
+    return !!this.child && this.child.stdin.writable && !this.stdinErrored;
+  }
+
+  start() {
+    this.stopping = false;
+    this._spawn();
+  }
+
+  stop() {
+    this.stopping = true;
+    if (this.respawnTimer) {
+      clearTimeout(this.respawnTimer);
+      this.respawnTimer = null;
+    }
+    if (this.stabilityTimer) {
+      clearTimeout(this.stabilityTimer);
+      this.stabilityTimer = null;
+    }
+    if (this.child) {
+      this.child.kill();
+      this.child = null;
+    }
+    this._failPending('local transcriber stopped');
+  }
+
+  /**
+   * Transcribe one utterance.
+   * @param {Buffer} pcm - mono 16-bit little-endian PCM (already padded by the caller)
+   * @param {{ sampleRate: number, language: string, prompt?: string|null }} options
+   * @returns {Promise<string>} the trimmed transcript
+   * @throws {TranscribeError}
+   */
+  transcribe(pcm, options) {
+    if (!this.isRunning()) {
+      return Promise.reject(new TranscribeError('local transcriber is not running', 'network'));
+    }
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new TranscribeError(`local transcriber did not answer within ${REQUEST_TIMEOUT_MS / 1000}s`, 'network'));
+      }, REQUEST_TIMEOUT_MS);
+      this.pending.set(id, { resolve, reject, timer });
+      try {
+        this.child.stdin.write(encodeRequest(id, pcm, options));
+      } catch (err) {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        reject(new TranscribeError(`could not reach the local transcriber: ${err.message}`, 'network', { cause: err }));
+      }
+    });
+  }
+
+  _failPending(reason) {
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(new TranscribeError(reason, 'network'));
+    }
+    this.pending.clear();
+  }
+
+  _spawn() {
+    if (this.stopping) return;
+
+    const child = spawn(PYTHON_PATH, [SIDECAR_SCRIPT, '--model', this.modelPath], { stdio: ['pipe', 'pipe', 'pipe'] });
+
+    this.child = child;
+    this.stdoutBuffer = '';
+    this.stdinErrored = false;
+
+    // An EPIPE on a dead child's stdin is otherwise an unhandled 'error' that takes the bot down
+    child.stdin.on('error', (err) => {
+      console.error('[LocalWhisper] sidecar stdin error:', err.message);
+      this.stdinErrored = true;
+    });
+
+    child.stdout.on('data', (data) => this._handleStdout(data));
+    child.stderr.on('data', (data) => {
+      for (const line of data.toString('utf8').split('\n')) {
+        if (line.trim()) console.error('[LocalWhisper]', line.trim());
+      }
+    });
+
+    child.on('error', (err) => {
+      console.error('[LocalWhisper] failed to spawn sidecar:', err.message);
+    });
+
+    child.on('exit', () => {
+      if (this.child === child) this.child = null;
+      // Whatever was in flight is not coming back; the caller falls back now rather than at
+      // the timeout
+      this._failPending('local transcriber exited');
+      if (this.stabilityTimer) {
+        clearTimeout(this.stabilityTimer);
+        this.stabilityTimer = null;
+      }
+      if (!this.stopping) this._scheduleRespawn();
+    });
+
+    this.stabilityTimer = setTimeout(() => {
+      this.respawnAttempt = 0;
+      this.gaveUpLogged = false;
+    }, STABILITY_WINDOW_MS);
+    if (this.stabilityTimer.unref) this.stabilityTimer.unref();
+  }
+
+  _scheduleRespawn() {
+    if (this.respawnAttempt >= RESPAWN_BACKOFF_MS.length) {
+      if (!this.gaveUpLogged) {
+        console.error(`[LocalWhisper] sidecar crashed ${RESPAWN_BACKOFF_MS.length} times in a row, giving up on respawning`);
+        this.gaveUpLogged = true;
+        // Unlike the wake-word engine this is not the end of the assistant: transcribe.js goes
+        // on to Groq when it can. Emitted so whoever started the engine can say so.
+        this.emit('dead');
+      }
+      return;
+    }
+    const delay = RESPAWN_BACKOFF_MS[this.respawnAttempt];
+    this.respawnAttempt += 1;
+    this.respawnTimer = setTimeout(() => {
+      this.respawnTimer = null;
+      this._spawn();
+    }, delay);
+    if (this.respawnTimer.unref) this.respawnTimer.unref();
+  }
+
+  _handleStdout(data) {
+    this.stdoutBuffer += data.toString('utf8');
+    let idx;
+    while ((idx = this.stdoutBuffer.indexOf('\n')) !== -1) {
+      const line = this.stdoutBuffer.slice(0, idx).trim();
+      this.stdoutBuffer = this.stdoutBuffer.slice(idx + 1);
+      if (!line) continue;
+
+      const msg = parseResponseLine(line);
+      const request = msg && this.pending.get(msg.id);
+      if (!request) continue; // stray output, or an answer that arrived after its timeout
+      this.pending.delete(msg.id);
+      clearTimeout(request.timer);
+
+      if ('error' in msg) {
+        request.reject(new TranscribeError(`local transcriber failed: ${msg.error}`, 'api'));
+        continue;
+      }
+      const transcript = msg.text.trim();
+      if (!transcript) {
+        request.reject(new TranscribeError('local transcriber returned an empty transcript', 'empty'));
+      } else {
+        request.resolve(transcript);
+      }
+    }
+  }
+}
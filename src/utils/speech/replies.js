@@ -0,0 +1,113 @@
+// What Jerry says out loud, per language.
+//
+// voiceAssistant.js's dispatch decides what happened; this decides how it is worded for the
+// person who asked. Every language has every entry - a reply missing in one language would
+// come out as `undefined`, spoken - and test/replies.test.js holds the tables to that. Entries
+// that depend on the outcome are functions of it. The activity-log summaries are not in here:
+// they are read by the people running the server, not spoken to the person in the channel.
+
+import { resolveVoiceLanguage } from './language.js';
+
+export const REPLIES = {
+  nl: {
+    notUnderstood: 'Sorry, dat verstond ik niet.',
+    failed: 'Sorry, dat lukte niet',
+    didNotWork: 'Dat lukte niet',
+    ok: 'Oké',
+    nothingPlaying: 'Er speelt niets',
+    // What is said when the queue guardrails refuse a song, by the reason they give
+    guardrail: {
+      blocked: 'Dat nummer mag hier niet',
+      'too-long': 'Dat nummer is te lang',
+      duplicate: 'Dat nummer staat al in de wachtrij',
+      quota: 'Je hebt al genoeg nummers in de wachtrij',
+    },
+    notFound: (query) => `Ik kon ${query} niet vinden`,
+    queued: (title) => `Oké, ${title} staat in de wachtrij`,
+    playing: (title) => `Oké, ik speel ${title}`,
+    voteCounted: (votes, needed) => `Stem geteld, ${votes} van ${needed}`,
+    volumeAlready: (level) => `Het volume staat al op ${level}`,
+    volumeSet: (level) => `Volume naar ${level}`,
+    noPrevious: 'Er is geen vorig nummer',
+    nothingToShuffle: 'Er valt niets te husselen',
+    shuffled: 'Oké, de wachtrij is gehusseld',
+    loopSet: {
+      song: 'Oké, ik herhaal dit nummer',
+      queue: 'Oké, ik herhaal de wachtrij',
+      off: 'Oké, herhalen staat uit',
+    },
+    loopAlready: {
+      song: 'Dit nummer wordt al herhaald',
+      queue: 'De wachtrij wordt al herhaald',
+      off: 'Herhalen staat al uit',
+    },
+    seekPastEnd: 'Zo lang is dit nummer niet',
+    radioAlready: (on) => `De radio staat al ${on ? 'aan' : 'uit'}`,
+    radioSet: (on) => `Oké, de radio staat ${on ? 'aan' : 'uit'}`,
+    playlistNotFound: (name) => `Ik kon je playlist ${name} niet vinden`,
+    playlistEmpty: (name) => `Je playlist ${name} is leeg`,
+    playlistQueued: (count, name) =>
+      `Oké, ${count} ${count === 1 ? 'nummer' : 'nummers'} uit ${name} ${count === 1 ? 'staat' : 'staan'} in de wachtrij`,
+    nowPlaying: (title) => `Er speelt nu ${title}`,
+    nothingPlayingNow: 'Er speelt nu niets',
+    queueEmpty: 'De wachtrij is leeg',
+    queueSummary: (count, next) =>
+      `Er ${count === 1 ? 'staat' : 'staan'} ${count} ${count === 1 ? 'nummer' : 'nummers'} in de wachtrij, het volgende is ${next}`,
+    noReminderChannel: 'Er is op deze server geen kanaal voor herinneringen ingesteld',
+    reminderSet: (minutes) => `Ik herinner je over ${minutes} minuten`,
+  },
+
+  en: {
+    notUnderstood: "Sorry, I didn't catch that.",
+    failed: "Sorry, that didn't work",
+    didNotWork: "That didn't work",
+    ok: 'Okay',
+    nothingPlaying: 'Nothing is playing',
+    guardrail: {
+      blocked: "That song isn't allowed here",
+      'too-long': 'That song is too long',
+      duplicate: 'That song is already in the queue',
+      quota: 'You already have enough songs in the queue',
+    },
+    notFound: (query) => `I couldn't find ${query}`,
+    queued: (title) => `Okay, ${title} is in the queue`,
+    playing: (title) => `Okay, playing ${title}`,
+    voteCounted: (votes, needed) => `Vote counted, ${votes} of ${needed}`,
+    volumeAlready: (level) => `The volume is already at ${level}`,
+    volumeSet: (level) => `Volume to ${level}`,
+    noPrevious: "There's no previous song",
+    nothingToShuffle: "There's nothing to shuffle",
+    shuffled: 'Okay, the queue is shuffled',
+    loopSet: {
+      song: 'Okay, repeating this song',
+      queue: 'Okay, repeating the queue',
+      off: 'Okay, repeat is off',
+    },
+    loopAlready: {
+      song: 'This song is already on repeat',
+      queue: 'The queue is already on repeat',
+      off: 'Repeat is already off',
+    },
+    seekPastEnd: "This song isn't that long",
+    radioAlready: (on) => `The radio is already ${on ? 'on' : 'off'}`,
+    radioSet: (on) => `Okay, the radio is ${on ? 'on' : 'off'}`,
+    playlistNotFound: (name) => `I couldn't find your playlist ${name}`,
+    playlistEmpty: (name) => `Your playlist ${name} is empty`,
+    playlistQueued: (count, name) => `Okay, ${count} ${count === 1 ? 'song' : 'songs'} from ${name} added to the queue`,
+    nowPlaying: (title) => `Now playing ${title}`,
+    nothingPlayingNow: 'Nothing is playing right now',
+    queueEmpty: 'The queue is empty',
+    queueSummary: (count, next) =>
+      `There ${count === 1 ? 'is' : 'are'} ${count} ${count === 1 ? 'song' : 'songs'} in the queue, next up is ${next}`,
+    noReminderChannel: "This server doesn't have a channel set up for reminders",
+    reminderSet: (minutes) => `I'll remind you in ${minutes} minutes`,
+  },
+};
+
+/**
+ * The reply table for `language`, or the default language's for one Jerry does not speak.
+ * @param {*} language
+ */
+export function repliesFor(language) {
+  return REPLIES[resolveVoiceLanguage(language)];
+}
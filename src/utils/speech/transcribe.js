@@ -1,9 +1,26 @@
-// Speech-to-text via the Groq-hosted Whisper API. Wraps raw mono 16-bit PCM
-// (e.g. from the wakeword/voice capture pipeline) in a WAV header and POSTs
-// it as multipart/form-data using Node's built-in fetch/FormData/Blob — no
-// npm dependency needed.
+// Speech-to-text for the voice assistant, through one of two backends:
+//
+//   'groq'  - the Groq-hosted Whisper API. Wraps raw mono 16-bit PCM (e.g. from
+//             the wakeword/voice capture pipeline) in a WAV header and POSTs it
+//             as multipart/form-data using Node's built-in fetch/FormData/Blob -
+//             no npm dependency needed.
+//   'local' - faster-whisper in a sidecar on this machine (localWhisper.js), so
+//             the audio never leaves the box and a Groq outage or an exhausted
+//             key does not take "Hey Jerry" down with it.
+//
+// STT_BACKEND picks which one is tried first: 'groq' (the default, and what
+// there was before) or 'local'. Groq is the fallback for the local engine
+// whenever GROQ_API_KEY is set - leave it unset to stay fully offline. A
+// fallback only happens when the local engine gave no answer ('network') or an
+// error ('api'); a clip it heard as empty is empty, and sending it on to Groq
+// would only spend a request to be told the same.
+//
+// Whichever backend answers, the caller sees the same thing: a trimmed
+// transcript, or a TranscribeError with a stage.
 
 import { buildWavHeader } from '../voiceRecorder.js';
+import { LocalWhisperEngine } from './localWhisper.js';
+import { DEFAULT_VOICE_LANGUAGE, resolveVoiceLanguage } from './language.js';
 
 const GROQ_TRANSCRIPTION_URL = 'https://api.groq.com/openai/v1/audio/transcriptions';
 const GROQ_MODEL = 'whisper-large-v3-turbo';
@@ -23,6 +40,23 @@ export const DEFAULT_TRANSCRIBE_PROMPT =
   + 'hervat, ga verder, overslaan, sla over, skip, stop, volume, speel, muziek, nummer, '
   + 'wachtrij, herinner me, hoe, wat, waarom.';
 
+// The same hint for English speakers, in English for the same reason: it is the
+// vocabulary of the audio, and a Dutch list would pull English speech towards Dutch.
+export const ENGLISH_TRANSCRIBE_PROMPT =
+  'Voice commands for a Discord music bot: hey Jerry, pause, resume, skip, next, previous, '
+  + 'stop, volume, louder, quieter, play, playlist, shuffle, repeat, radio, queue, remind me, '
+  + 'how, what, why.';
+
+const TRANSCRIBE_PROMPTS = { nl: DEFAULT_TRANSCRIBE_PROMPT, en: ENGLISH_TRANSCRIBE_PROMPT };
+
+/**
+ * The vocabulary prompt for audio in `language` (anything unsupported gets the default's).
+ * @returns {string}
+ */
+export function transcribePromptFor(language) {
+  return TRANSCRIBE_PROMPTS[resolveVoiceLanguage(language)];
+}
+
 // Whisper decodes a very short clip far less reliably than a padded one - a
 // single word arrives as an unrecognizable fragment, and the decoder fills the
 // gap with whatever its language model likes ("pauze" -> "oh, is het"). Trailing
@@ -33,9 +67,11 @@ const PAD_TARGET_MS = 1500;
 
 /**
  * Error raised by transcribe(). `.stage` identifies where it failed:
- *   'network' - the request to Groq never got a response (DNS, timeout, etc.)
- *   'api'     - Groq responded with a non-2xx status
- *   'empty'   - Groq responded successfully but returned no usable transcript
+ *   'network' - the backend never answered (DNS, timeout, a sidecar that is
+ *               down or crashed mid-request, etc.)
+ *   'api'     - the backend answered with an error (a non-2xx from Groq, an
+ *               error line from the sidecar, no Groq key)
+ *   'empty'   - the backend answered but returned no usable transcript
  */
 export class TranscribeError extends Error {
   constructor(message, stage, options) {
@@ -60,26 +96,132 @@ export function padShortClip(pcmBuffer, sampleRate = 16000) {
   return Buffer.concat([pcmBuffer, Buffer.alloc(targetBytes - pcmBuffer.length)]);
 }
 
+export const TRANSCRIBE_BACKENDS = ['groq', 'local'];
+
+/**
+ * The backends to try, in order, for a configuration. Read from process.env by
+ * default - lazily, so this module can be imported before loadEnv.js populates
+ * it (import order must not matter).
+ * @param {{ backend?: string, hasGroqKey?: boolean }} [config]
+ * @returns {string[]} e.g. ['local', 'groq']; [] when nothing is configured
+ */
+export function transcribeBackendOrder({
+  backend = process.env.STT_BACKEND,
+  hasGroqKey = !!process.env.GROQ_API_KEY,
+} = {}) {
+  const first = String(backend || 'groq').trim().toLowerCase();
+  if (first === 'local') return hasGroqKey ? ['local', 'groq'] : ['local'];
+  return hasGroqKey ? ['groq'] : [];
+}
+
+// The local engine, while the voice assistant has it running
+let localEngine = null;
+
+/**
+ * Why speech-to-text cannot work with the current configuration, or null when
+ * at least one backend can.
+ * @returns {string|null}
+ */
+export function transcribeUnavailableReason() {
+  const order = transcribeBackendOrder();
+  if (order.length === 0) return 'GROQ_API_KEY is not set (or set STT_BACKEND=local)';
+  if (!order.includes('groq') && !LocalWhisperEngine.isAvailable()) {
+    return 'STT_BACKEND=local but the faster-whisper model or python venv is missing (run scripts/setup-voice.sh --local-stt)';
+  }
+  return null;
+}
+
+/**
+ * Starts whatever the configured backends need running: the local sidecar, if
+ * STT_BACKEND=local and it is installed. Idempotent.
+ */
+export function startTranscribeBackends() {
+  const order = transcribeBackendOrder();
+  if (!order.includes('local') || localEngine) return;
+  if (!LocalWhisperEngine.isAvailable()) {
+    console.warn('[Transcribe] STT_BACKEND=local but the local model is not installed - using Groq');
+    return;
+  }
+  localEngine = new LocalWhisperEngine();
+  localEngine.on('dead', () => {
+    console.error(order.includes('groq')
+      ? '[Transcribe] Local transcriber dead - using Groq until restart'
+      : '[Transcribe] Local transcriber dead - speech-to-text is down until restart');
+  });
+  localEngine.start();
+  console.log(`[Transcribe] Local transcriber started (model: ${localEngine.modelPath})`);
+}
+
+/** Stops the local sidecar, if it was started. Synchronous, like WakewordEngine.stop(). */
+export function stopTranscribeBackends() {
+  if (localEngine) {
+    localEngine.stop();
+    localEngine = null;
+  }
+}
+
+/**
+ * Runs `pcm` through `order`'s backends until one answers. A failure moves on to
+ * the next backend unless it is the last one, or it was an 'empty' transcript
+ * (see the top of this file); the last failure is what gets thrown.
+ * @param {string[]} order
+ * @param {Record<string, (pcm: Buffer, options: object) => Promise<string>>} backends
+ * @param {Buffer} pcm - already padded
+ * @param {object} options
+ * @returns {Promise<string>}
+ * @throws {TranscribeError}
+ */
+export async function transcribeWithFallback(order, backends, pcm, options) {
+  if (order.length === 0) throw new TranscribeError('no transcription backend is configured', 'api');
+  for (let i = 0; i < order.length; i++) {
+    try {
+      return await backends[order[i]](pcm, options);
+    } catch (err) {
+      const isLast = i === order.length - 1;
+      if (isLast || !(err instanceof TranscribeError) || err.stage === 'empty') throw err;
+      console.warn(`[Transcribe] ${order[i]} failed (${err.stage}: ${err.message}), trying ${order[i + 1]}`);
+    }
+  }
+}
+
+const BACKENDS = {
+  groq: transcribeWithGroq,
+  local: (pcm, options) => (localEngine
+    ? localEngine.transcribe(pcm, options)
+    : Promise.reject(new TranscribeError('local transcriber is not running', 'network'))),
+};
+
 /**
- * Transcribes mono 16-bit PCM audio via Groq's hosted Whisper API.
+ * Transcribes mono 16-bit PCM audio with the configured backend(s).
  * @param {Buffer} pcmBuffer - raw mono 16-bit little-endian PCM samples (no header).
  * @param {{ sampleRate?: number, language?: string, prompt?: string|null }} [options]
- *   `prompt` defaults to DEFAULT_TRANSCRIBE_PROMPT; pass null/'' to send none.
+ *   `language` is the Whisper language hint, one of speech/language.js's; anything
+ *   else is transcribed as the default language rather than sent on to the backend.
+ *   `prompt` defaults to that language's vocabulary prompt; pass null/'' to send none.
  * @returns {Promise<string>} the trimmed transcript text.
  * @throws {TranscribeError}
  */
 export async function transcribe(
   pcmBuffer,
-  { sampleRate = 16000, language = 'nl', prompt = DEFAULT_TRANSCRIBE_PROMPT } = {},
+  { sampleRate = 16000, language = DEFAULT_VOICE_LANGUAGE, prompt } = {},
 ) {
-  // Read lazily so this module can be imported before loadEnv.js populates
-  // process.env (import order must not matter).
+  const hint = resolveVoiceLanguage(language);
+  // Both backends are Whisper, and both decode a lone word better padded
+  const pcm = padShortClip(pcmBuffer, sampleRate);
+  return transcribeWithFallback(transcribeBackendOrder(), BACKENDS, pcm, {
+    sampleRate,
+    language: hint,
+    prompt: prompt === undefined ? transcribePromptFor(hint) : prompt,
+  });
+}
+
+// The Groq backend: one multipart POST per utterance
+async function transcribeWithGroq(pcm, { sampleRate, language, prompt }) {
   const apiKey = process.env.GROQ_API_KEY;
   if (!apiKey) {
     throw new TranscribeError('GROQ_API_KEY is not set', 'api');
   }
 
-  const pcm = padShortClip(pcmBuffer, sampleRate);
   const wavHeader = buildWavHeader(pcm.length, { sampleRate, channels: 1, bitsPerSample: 16 });
   const wavBuffer = Buffer.concat([wavHeader, pcm]);
 
@@ -1,7 +1,8 @@
 // Text-to-speech for the "Hey Jerry" voice assistant.
 //
-// Speech is synthesized locally by Piper (tools/piper/piper plus the Dutch voice
-// fetched by scripts/setup-voice.sh) into a wav in a temp directory, then played
+// Speech is synthesized locally by Piper (tools/piper/piper plus the voices
+// fetched by scripts/setup-voice.sh, one per language the assistant speaks) into
+// a wav in a temp directory, then played
 // into the bot's voice channel through musicQueue's duckAndPlay(), which pauses
 // the music for the length of the clip and puts it back afterwards.
 //
@@ -23,13 +24,17 @@ import { tmpdir } from 'node:os';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { createAudioResource } from '@discordjs/voice';
+import { DEFAULT_VOICE_LANGUAGE, resolveVoiceLanguage } from './language.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const PROJECT_ROOT = path.resolve(__dirname, '..', '..', '..');
 
 const PIPER_BIN = path.join(PROJECT_ROOT, 'tools', 'piper', 'piper');
-const PIPER_VOICE = path.join(PROJECT_ROOT, 'tools', 'piper', 'nl_voice.onnx');
-const PIPER_VOICE_CONFIG = `${PIPER_VOICE}.json`;
+// The voice model for each language, each with its .json config next to it
+const PIPER_VOICES = {
+  nl: path.join(PROJECT_ROOT, 'tools', 'piper', 'nl_voice.onnx'),
+  en: path.join(PROJECT_ROOT, 'tools', 'piper', 'en_voice.onnx'),
+};
 
 /** The wake-acknowledgement blip, played when the wake word is detected. */
 export const BEEP_PATH = path.join(PROJECT_ROOT, 'assets', 'beep.wav');
@@ -44,9 +49,39 @@ const GC_MAX_AGE_MS = 5 * 60 * 1000;
 const MAX_TEXT_CHARS = 600;
 const MAX_PENDING_CLIPS = 3;
 
-/** True when Piper and its voice model are installed (scripts/setup-voice.sh). */
+function voiceInstalled(language) {
+  const voice = PIPER_VOICES[language];
+  return existsSync(voice) && existsSync(`${voice}.json`);
+}
+
+/**
+ * True when Piper and the default language's voice are installed (scripts/setup-voice.sh).
+ * That voice is the one every other language falls back to, so it is what decides whether
+ * Jerry can speak at all.
+ */
 export function isTtsAvailable() {
-  return existsSync(PIPER_BIN) && existsSync(PIPER_VOICE) && existsSync(PIPER_VOICE_CONFIG);
+  return existsSync(PIPER_BIN) && voiceInstalled(DEFAULT_VOICE_LANGUAGE);
+}
+
+// Languages whose missing voice has been warned about, so the log says it once
+const missingVoiceLogged = new Set();
+
+/**
+ * The voice model to speak `language` with: its own when it is installed, the default
+ * language's otherwise. A setup from before there was a choice has only the Dutch voice,
+ * and an English reply read by it is odd but understood - which beats no reply.
+ * @returns {string} path to the .onnx
+ */
+export function voiceFor(language) {
+  const wanted = resolveVoiceLanguage(language);
+  if (wanted !== DEFAULT_VOICE_LANGUAGE && !voiceInstalled(wanted)) {
+    if (!missingVoiceLogged.has(wanted)) {
+      console.warn(`[TTS] No Piper voice for "${wanted}" at ${PIPER_VOICES[wanted]} (run scripts/setup-voice.sh), using the ${DEFAULT_VOICE_LANGUAGE} voice`);
+      missingVoiceLogged.add(wanted);
+    }
+    return PIPER_VOICES[DEFAULT_VOICE_LANGUAGE];
+  }
+  return PIPER_VOICES[wanted];
 }
 
 // Delete leftover wavs from earlier runs. Best-effort: a file that vanished
@@ -70,15 +105,16 @@ function sweepTmpDir() {
 }
 
 /**
- * Synthesizes Dutch speech with Piper.
+ * Synthesizes speech with Piper.
  * @param {string} text - what Jerry should say; trimmed, and capped at MAX_TEXT_CHARS.
+ * @param {{ language?: string }} [options] - which voice reads it (see voiceFor)
  * @returns {Promise<string>} path to a mono 22050Hz wav in TTS_TMP_DIR. The caller
  *   owns the file and should delete it once played; anything left behind is swept
  *   by the next call.
  * @throws if the text is blank, Piper is missing, exits non-zero, or takes longer
  *   than SYNTH_TIMEOUT_MS (the child is killed in that case).
  */
-export function synthesize(text) {
+export function synthesize(text, { language = DEFAULT_VOICE_LANGUAGE } = {}) {
   const trimmed = typeof text === 'string' ? text.trim() : '';
   if (!trimmed) {
     return Promise.reject(new Error('synthesize requires non-empty text'));
@@ -96,11 +132,12 @@ export function synthesize(text) {
   sweepTmpDir();
 
   const outPath = path.join(TTS_TMP_DIR, `tts-${Date.now()}-${randomUUID().slice(0, 8)}.wav`);
+  const voice = voiceFor(language);
 
   return new Promise((resolve, reject) => {
     const child = spawn(PIPER_BIN, [
-      '--model', PIPER_VOICE,
-      '--config', PIPER_VOICE_CONFIG,
+      '--model', voice,
+      '--config', `${voice}.json`,
       '--output_file', outPath,
       '--quiet',
     ], { stdio: ['pipe', 'ignore', 'pipe'] });
@@ -193,16 +230,17 @@ async function duckAndPlayClip(guildId, resourceFactory) {
 
 /**
  * Says something in the guild's voice channel, ducking the music for the clip.
+ * @param {string} [language] - the language `text` is in, which picks the voice
  * @returns {Promise<boolean>} whether the clip was played.
  */
-export function speak(guildId, text) {
+export function speak(guildId, text, language = DEFAULT_VOICE_LANGUAGE) {
   if (!isTtsAvailable()) {
     console.warn(`[TTS] Piper not installed, cannot speak in guild ${guildId}`);
     return Promise.resolve(false);
   }
 
   return enqueueSpeechJob(guildId, 'speak', async () => {
-    const wavPath = await synthesize(text);
+    const wavPath = await synthesize(text, { language });
     try {
       return await duckAndPlayClip(guildId, () => createAudioResource(wavPath));
     } finally {
@@ -0,0 +1,267 @@
+// Listening stats over any span of time, worked out from the play events (playEvents.js) rather
+// than read off listeningStats' running totals. Those totals only ever grow, so "this month",
+// "last year" or "what did Alice listen to" cannot be answered from them; the events, each with
+// a time, a requester and who was in the room, can answer all three.
+//
+// Pure: events in, figures out. The events only go back as far as playEvents has kept them (and
+// to when the bot started recording them at all), so "all time" here means "all recorded".
+//
+// Buckets follow the server's local calendar - a day starts at local midnight and a week on
+// Monday - the same way the weekly recap counts its days and hours.
+
+import { playEventKey, summarizePlayEvents } from './playEvents.js';
+
+export const STATS_BUCKETS = ['day', 'week', 'month'];
+// A timeline longer than this many buckets is drawn with the next size up (a year of days
+// becomes a year of weeks) - the chart would be unreadable, and the response big, otherwise
+export const MAX_TIMELINE_BUCKETS = 120;
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Seconds of the song a play covered
+export function heardSeconds(event) {
+  return Math.max(0, (Number(event.endPosition) || 0) - (Number(event.startPosition) || 0));
+}
+
+// A date in a query: YYYY-MM-DD (local midnight) or epoch milliseconds. NaN when it is neither.
+function parseDate(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [y, m, d] = value.split('-').map(Number);
+    const date = new Date(y, m - 1, d);
+    return date.getMonth() === m - 1 ? date.getTime() : NaN;
+  }
+  if (/^\d{1,15}$/.test(value)) return Number(value);
+  return NaN;
+}
+
+// /api/stats' query string into what queryPlayHistory takes. `to` is inclusive of the day it
+// names, as a date picker means it: from=2025-01-01&to=2025-01-31 is all of January.
+//
+// @returns {{ since, until, userId, songKey, bucket } | { error: string }}
+export function parseStatsQuery(query = {}) {
+  const one = (v) => (Array.isArray(v) ? v[0] : v);
+  const from = one(query.from);
+  const to = one(query.to);
+  const bucket = one(query.bucket);
+
+  let since = 0;
+  let until = Infinity;
+  if (from) {
+    since = parseDate(String(from));
+    if (!Number.isFinite(since)) return { error: 'Invalid "from" date. Use YYYY-MM-DD.' };
+  }
+  if (to) {
+    until = parseDate(String(to));
+    if (!Number.isFinite(until)) return { error: 'Invalid "to" date. Use YYYY-MM-DD.' };
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) until = nextBucket(until, 'day');
+  }
+  if (since >= until) return { error: '"from" must be before "to".' };
+  if (bucket && !STATS_BUCKETS.includes(bucket)) return { error: `"bucket" must be one of: ${STATS_BUCKETS.join(', ')}.` };
+
+  const user = one(query.user);
+  const song = one(query.song);
+  return {
+    since,
+    until,
+    userId: user ? String(user).slice(0, 32) : null,
+    songKey: song ? playEventKey(String(song).slice(0, 500)) : null,
+    bucket: bucket || 'day'
+  };
+}
+
+export function startOfBucket(ms, bucket) {
+  const d = new Date(ms);
+  if (bucket === 'month') return new Date(d.getFullYear(), d.getMonth(), 1).getTime();
+  const day = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  // Monday-based weeks: Sunday is the 7th day of the week before, not the first of the next
+  if (bucket === 'week') day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  return day.getTime();
+}
+
+function nextBucket(ms, bucket) {
+  const d = new Date(ms);
+  if (bucket === 'month') return new Date(d.getFullYear(), d.getMonth() + 1, 1).getTime();
+  // By calendar, not by adding 24h: a day across a DST change is 23 or 25 hours long
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + (bucket === 'week' ? 7 : 1)).getTime();
+}
+
+function bucketLabel(ms, bucket) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  if (bucket === 'month') return `${d.getFullYear()}-${pad(d.getMonth() + 1)}`;
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function countBuckets(start, end, bucket) {
+  let count = 0;
+  for (let t = startOfBucket(start, bucket); t < end && count <= MAX_TIMELINE_BUCKETS; t = nextBucket(t, bucket)) count++;
+  return count;
+}
+
+// Plays and listening time per day/week/month from `start` to `end`, empty buckets included so
+// a quiet week shows as a gap rather than being skipped over
+function timeline(events, start, end, bucket) {
+  const buckets = [];
+  const index = new Map();
+  for (let t = startOfBucket(start, bucket); t < end; t = nextBucket(t, bucket)) {
+    index.set(t, buckets.length);
+    buckets.push({ start: t, label: bucketLabel(t, bucket), plays: 0, listeningTime: 0 });
+  }
+  for (const event of events) {
+    const i = index.get(startOfBucket(event.endedAt, bucket));
+    if (i === undefined) continue;
+    buckets[i].plays++;
+    buckets[i].listeningTime += Math.round(heardSeconds(event));
+  }
+  return buckets;
+}
+
+// Whether `userId` was part of a play: in the room for it, or the one who asked for it (plays
+// recorded before the room was, only know the latter)
+function involves(event, userId) {
+  return event.requestedById === userId || (event.listeners || []).some(l => l.id === userId);
+}
+
+function selectEvents(events, { since = 0, until = Infinity, userId = null, songKey = null }) {
+  return (events || []).filter(e => e
+    && e.reason !== 'error'
+    && e.endedAt >= since && e.endedAt < until
+    && (!userId || involves(e, userId))
+    && (!songKey || playEventKey(e.url) === songKey));
+}
+
+function rankSongs(events) {
+  const songs = new Map();
+  for (const event of events) {
+    const key = playEventKey(event.url);
+    if (!songs.has(key)) songs.set(key, { key, url: event.url, title: event.title, duration: event.duration, playCount: 0, totalListeningTime: 0 });
+    const song = songs.get(key);
+    song.title = event.title || song.title;
+    song.playCount++;
+    song.totalListeningTime += Math.round(heardSeconds(event));
+  }
+  return [...songs.values()].sort((a, b) => b.playCount - a.playCount || b.totalListeningTime - a.totalListeningTime);
+}
+
+// Listeners by time heard, with how many of the plays they asked for - the same shape as
+// listeningStats.users, so the stats page draws either the same way
+function rankUsers(events) {
+  const users = new Map();
+  const user = (id, name) => {
+    if (!users.has(id)) users.set(id, { id, displayName: name || id, totalListeningTime: 0, songsPlayed: 0 });
+    const u = users.get(id);
+    if (name) u.displayName = name;
+    return u;
+  };
+  for (const event of events) {
+    const heard = Math.round(heardSeconds(event));
+    for (const listener of event.listeners || []) user(listener.id, listener.name).totalListeningTime += heard;
+    if (!event.radio && event.requestedById) user(event.requestedById, event.requestedBy).songsPlayed++;
+  }
+  return [...users.values()].sort((a, b) => b.totalListeningTime - a.totalListeningTime || b.songsPlayed - a.songsPlayed);
+}
+
+// Listening stats for a span of time, one listener and/or one song.
+//
+// @param bucket - the timeline's bucket size; made coarser when the span would need more than
+//   MAX_TIMELINE_BUCKETS of them (the response says which was used)
+export function queryPlayHistory(events, { since = 0, until = Infinity, userId = null, songKey = null, bucket = 'day', now = Date.now() } = {}) {
+  const selected = selectEvents(events, { since, until, userId, songKey });
+
+  // An open-ended range runs from the first play it has to now, not from 1970
+  const firstAt = selected.reduce((min, e) => Math.min(min, e.endedAt), Infinity);
+  const start = since > 0 ? since : (Number.isFinite(firstAt) ? firstAt : now);
+  const end = Math.min(until, now + 1);
+  let size = STATS_BUCKETS.includes(bucket) ? bucket : 'day';
+  while (size !== 'month' && countBuckets(start, end, size) > MAX_TIMELINE_BUCKETS) {
+    size = STATS_BUCKETS[STATS_BUCKETS.indexOf(size) + 1];
+  }
+
+  const songs = rankSongs(selected);
+  const users = rankUsers(selected);
+  return {
+    range: { since: since > 0 ? since : null, until: Number.isFinite(until) ? until : null, userId, songKey, bucket: size },
+    totals: {
+      plays: selected.length,
+      listeningTime: selected.reduce((sum, e) => sum + Math.round(heardSeconds(e)), 0),
+      uniqueSongs: songs.length,
+      uniqueUsers: users.length
+    },
+    topUsers: users.slice(0, 20),
+    topSongs: songs.slice(0, 50),
+    timeline: start < end ? timeline(selected, start, end, size) : [],
+    skips: summarizePlayEvents(selected)
+  };
+}
+
+// The longest run of consecutive days with at least one play
+function longestStreak(events) {
+  const days = [...new Set(events.map(e => startOfBucket(e.endedAt, 'day')))].sort((a, b) => a - b);
+  let best = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of days) {
+    run = previous !== null && nextBucket(previous, 'day') === day ? run + 1 : 1;
+    best = Math.max(best, run);
+    previous = day;
+  }
+  return { days: best, daysWithMusic: days.length };
+}
+
+function busiest(counts, names) {
+  let best = -1;
+  counts.forEach((count, i) => { if (count > 0 && (best < 0 || count > counts[best])) best = i; });
+  return best < 0 ? null : { name: names[best], plays: counts[best] };
+}
+
+// "Jerry Wrapped": a year of listening in a few headline figures, for the whole server or, with
+// `userId`, for one listener.
+//
+// @returns null for a year with no recorded plays
+export function buildWrapped(events, year, { userId = null } = {}) {
+  const since = new Date(year, 0, 1).getTime();
+  const until = new Date(year + 1, 0, 1).getTime();
+  const selected = selectEvents(events, { since, until, userId });
+  if (selected.length === 0) return null;
+
+  const months = new Array(12).fill(0);
+  const weekdays = new Array(7).fill(0);
+  const hours = new Array(24).fill(0);
+  for (const event of selected) {
+    const d = new Date(event.endedAt);
+    months[d.getMonth()]++;
+    weekdays[d.getDay()]++;
+    hours[d.getHours()]++;
+  }
+  const peakHour = hours.indexOf(Math.max(...hours));
+  const first = selected.reduce((a, b) => (b.endedAt < a.endedAt ? b : a));
+  const requested = selected.filter(e => !e.radio);
+  const skips = summarizePlayEvents(selected, { minPlays: 3 });
+
+  return {
+    year,
+    userId,
+    totals: {
+      plays: selected.length,
+      minutes: Math.round(selected.reduce((sum, e) => sum + heardSeconds(e), 0) / 60),
+      uniqueSongs: new Set(selected.map(e => playEventKey(e.url))).size,
+      radioPlays: selected.length - requested.length,
+      finishedRate: skips.totals.finishedRate
+    },
+    topSongs: rankSongs(selected).slice(0, 5),
+    // Who picked the music; with `userId` set these are the people whose picks they heard most
+    topRequesters: rankUsers(requested).filter(u => u.songsPlayed > 0)
+      .sort((a, b) => b.songsPlayed - a.songsPlayed).slice(0, 5)
+      .map(u => ({ id: u.id, name: u.displayName, plays: u.songsPlayed })),
+    topListeners: userId ? [] : rankUsers(selected).slice(0, 5)
+      .map(u => ({ id: u.id, name: u.displayName, minutes: Math.round(u.totalListeningTime / 60) })),
+    months: months.map((plays, i) => ({ month: MONTH_NAMES[i], plays })),
+    busiestMonth: busiest(months, MONTH_NAMES),
+    busiestDay: busiest(weekdays, DAY_NAMES),
+    peakHour,
+    streak: longestStreak(selected),
+    firstSong: { title: first.title, url: first.url, playedAt: first.endedAt },
+    mostSkippedSong: skips.mostSkippedSong ? { title: skips.mostSkippedSong.title, skips: skips.mostSkippedSong.skips, plays: skips.mostSkippedSong.plays } : null
+  };
+}
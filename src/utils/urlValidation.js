@@ -34,3 +34,26 @@ export function sanitizeSearchQuery(str) {
   const stripped = String(str).replace(/^[\s-]+/, '').trim();
   return stripped.slice(0, 200);
 }
+
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+
+// The video ID out of any of the URL shapes YouTube hands out (watch?v=, youtu.be/, shorts/,
+// embed/, music.youtube.com), or null for anything that is not a YouTube video. What the
+// per-video stores key on, so the same song reached through two different URLs is one entry.
+export function youtubeVideoId(str) {
+  if (!isAllowedMediaUrl(str)) return null;
+  const parsed = new URL(str);
+  const host = parsed.hostname.toLowerCase();
+  if (host === 'open.spotify.com') return null;
+
+  let id = null;
+  if (host === 'youtu.be') {
+    id = parsed.pathname.split('/')[1] || null;
+  } else if (parsed.pathname === '/watch') {
+    id = parsed.searchParams.get('v');
+  } else {
+    const match = parsed.pathname.match(/^\/(?:shorts|embed|live)\/([^/]+)/);
+    id = match ? match[1] : null;
+  }
+  return id && YOUTUBE_ID.test(id) ? id : null;
+}
@@ -5,8 +5,10 @@
 //   opted-in member speaks -> receiver subscription -> opus decode (48k stereo)
 //   -> downsample to 16k mono -> wake-word sidecar -> 'wake' event
 //   -> tee that same decoded stream into a capture buffer AND beep (concurrently)
-//   -> Groq Whisper -> intent -> dispatch -> an embed in the activity-log
-//      channel, plus a spoken Dutch reply when voice.spokenReplies is on.
+//   -> Whisper (local sidecar or Groq) -> intent -> dispatch -> an embed in the
+//      activity-log channel, plus a spoken reply when voice.spokenReplies is on.
+//   Each user picks the language all of that happens in (/heyjerry language,
+//   see speech/language.js); Dutch for everybody who has not.
 //
 // The capture is a tee of the monitor stream rather than a second subscription,
 // and it starts the instant the wake fires. That ordering is the whole point:
@@ -26,6 +28,14 @@
 // It is rejoined undeafened while at least one opted-in member is in the
 // channel, and re-deafened when the last one leaves or opts out.
 //
+// FOLLOW-UPS: after a spoken reply the same user gets a short window to carry on
+// without the wake word ("wie zong dit?" ... "en wanneer kwam het uit?"). A
+// follow-up is one more capture teed off the same monitor, opened only after
+// the same checks a wake goes through - opted in, not being recorded, connection
+// up, within the guild's rate limit - so it is a wake that was not said, never a
+// wider one. Anything that was not meant for Jerry (nothing said, noise, an
+// intent that comes back unknown) ends the conversation quietly.
+//
 // CONNECTION OWNERSHIP: the guild's one voice connection can have been created
 // by the music queue, by /record, or by /heyjerry join. Whoever created it owns
 // its lifecycle, and the other two must not hang it up - see
@@ -45,14 +55,20 @@ import prism from 'prism-media';
 
 import { loadJsonSync, saveJsonSync } from './jsonStore.js';
 import { WakewordEngine } from './speech/wakeword.js';
-import { transcribe } from './speech/transcribe.js';
+import { transcribe, transcribeUnavailableReason, startTranscribeBackends, stopTranscribeBackends } from './speech/transcribe.js';
 import { parseIntent, isLikelyHallucination, applyRelativeVolume } from './speech/intent.js';
 import { speak, playBeep, isTtsAvailable } from './speech/tts.js';
+import { repliesFor } from './speech/replies.js';
+import { VOICE_LANGUAGES, DEFAULT_VOICE_LANGUAGE, resolveVoiceLanguage } from './speech/language.js';
 import { addReminder } from './reminderTracker.js';
 import { chatWithAI, getChatConfig, getVoiceConfig } from './openrouter.js';
 import { getLogChannelId } from './activityLogger.js';
 import { sanitizeSearchQuery } from './urlValidation.js';
+import { channelInfo } from './queueGuardrails.js';
 import { isRecording, getActiveRecordingTarget, onRecordingEnd } from './voiceRecorder.js';
+import { getGuildSettings, memberIsDJ } from './guilds.js';
+import { findPlaylistByName } from './playlists.js';
+import { recordVoiceInteraction, deleteVoiceHistory, flushVoiceHistory } from './voiceHistory.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DEFAULT_STORE_PATH = path.join(__dirname, '..', '..', 'data', 'voiceAssistant.json');
@@ -135,6 +151,21 @@ const ARM_GATE_MAX_MS = 1200;
 const SPEECH_ENERGY_THRESHOLD = 300;
 const CAPTURE_POLL_MS = 100; // how often the capture checks its own end conditions
 
+// How long after a spoken reply the same user can start talking again without
+// the wake word. Longer than FIRST_SPEECH_GRACE_MS: after a wake the user is
+// already mid-sentence, after an answer they first have to think of the next
+// question.
+const FOLLOW_UP_WINDOW_MS = 5000;
+// Follow-ups one wake can lead to. Each is a capture and a transcription like a
+// wake, and counts against WAKE_LIMIT like one; this bounds how long one "hey
+// jarvis" keeps the user's audio flowing to the transcriber at all.
+const MAX_FOLLOW_UPS = 4;
+// What "ask" remembers per user: the last few question/answer pairs, forgotten
+// once the user has not asked anything for a while. Enough for "en wanneer
+// kwam het uit?" to know what "het" is, not a transcript of the evening.
+const CONVERSATION_MAX_TURNS = 4;
+const CONVERSATION_TTL_MS = 3 * 60_000;
+
 const SPOKEN_ANSWER_MAX_CHARS = 400;
 
 // Discord rejects an embed description over 4096 characters, and EmbedBuilder
@@ -162,10 +193,6 @@ const RECONCILE_INTERVAL_MS = 30_000;
 // speaking keeps the queue's auto-leave timer from hanging up mid-reply.
 const SPEAK_AUTO_LEAVE_DEFER_MS = Math.max(AUTO_LEAVE_DEFER_MS, 120_000 + 10_000);
 
-const ERROR_REPLY = 'Sorry, dat verstond ik niet.';
-
-// Where reminders created by voice are posted - same channel index.js uses.
-const GENERAL_CHANNEL_ID = process.env.GENERAL_CHANNEL_ID || '1419789649873735680';
 
 // ---------------------------------------------------------------------------
 // Opt-in store (data/voiceAssistant.json)
@@ -176,8 +203,9 @@ let store = null;
 
 function loadStore() {
   if (store === null) {
-    store = loadJsonSync(storePath, { optedIn: {} });
+    store = loadJsonSync(storePath, { optedIn: {}, languages: {} });
     if (!store.optedIn || typeof store.optedIn !== 'object') store.optedIn = {};
+    if (!store.languages || typeof store.languages !== 'object') store.languages = {};
   }
   return store;
 }
@@ -209,6 +237,11 @@ export function setOptIn(userId, optedIn) {
     data.optedIn[userId] = { since: new Date().toISOString() };
   } else {
     delete data.optedIn[userId];
+    // What they asked is theirs too: an opt-out is not followed by Jerry
+    // remembering the questions on the next opt-in, nor by the dashboard
+    // keeping what they said
+    forgetConversation(userId);
+    deleteVoiceHistory(userId);
   }
   saveStore();
   return optedIn;
@@ -219,6 +252,66 @@ export function getOptedInUserIds() {
   return Object.keys(loadStore().optedIn);
 }
 
+/**
+ * The language `userId` talks to Jerry in (/heyjerry language). Kept apart from
+ * the opt-in: it is a preference, not consent, and it outlives an opt-out.
+ * @returns {'nl'|'en'}
+ */
+export function getVoiceLanguage(userId) {
+  return resolveVoiceLanguage(loadStore().languages[userId]);
+}
+
+/** Sets `userId`'s language; the default language clears the entry instead. */
+export function setVoiceLanguage(userId, language) {
+  if (!VOICE_LANGUAGES.includes(language)) throw new Error(`unsupported voice language: ${language}`);
+  const data = loadStore();
+  if (language === DEFAULT_VOICE_LANGUAGE) delete data.languages[userId];
+  else data.languages[userId] = language;
+  saveStore();
+  return language;
+}
+
+// ---------------------------------------------------------------------------
+// Conversation memory (for "ask")
+// ---------------------------------------------------------------------------
+
+// userId -> { messages: [{ role, content }], updatedAt }. In memory only: a
+// restart forgetting what somebody asked three minutes ago is no loss.
+const conversations = new Map();
+
+/**
+ * The chat history to send along with `userId`'s next question, oldest first.
+ * Empty once the conversation has gone quiet for CONVERSATION_TTL_MS.
+ * @returns {Array<{role: 'user'|'assistant', content: string}>}
+ */
+export function conversationHistory(userId, now = Date.now()) {
+  const conversation = conversations.get(userId);
+  if (!conversation) return [];
+  if (now - conversation.updatedAt >= CONVERSATION_TTL_MS) {
+    conversations.delete(userId);
+    return [];
+  }
+  return [...conversation.messages];
+}
+
+/** Adds one answered question to `userId`'s history, keeping the last CONVERSATION_MAX_TURNS. */
+export function rememberExchange(userId, question, answer, now = Date.now()) {
+  // Everybody else's stale history goes here too, so the map cannot outgrow the
+  // people who talked to Jerry in the last few minutes
+  for (const [id, conversation] of conversations) {
+    if (now - conversation.updatedAt >= CONVERSATION_TTL_MS) conversations.delete(id);
+  }
+  const messages = conversationHistory(userId, now);
+  messages.push({ role: 'user', content: question }, { role: 'assistant', content: answer });
+  conversations.set(userId, { messages: messages.slice(-CONVERSATION_MAX_TURNS * 2), updatedAt: now });
+}
+
+/** Forgets `userId`'s history, or everybody's without an argument. */
+export function forgetConversation(userId = null) {
+  if (userId === null) conversations.clear();
+  else conversations.delete(userId);
+}
+
 // ---------------------------------------------------------------------------
 // Audio helpers
 // ---------------------------------------------------------------------------
@@ -318,6 +411,7 @@ let unregisterRecordingEndHook = null;
 let reconcileTimer = null;
 let runMusicCommand = null; // index.js's web-dashboard command handler
 let addSongToQueue = null; // index.js's web-dashboard add-song handler
+let queuePlaylist = null; // the web dashboard's play-a-playlist, through that same handler
 
 // slot -> { guildId, userId, assignedAt }. Slots are global because the sidecar
 // only has MAX_SLOTS models to hand out, across every guild.
@@ -944,7 +1038,16 @@ async function handleWake({ slot, score }) {
 
     await deferAutoLeave(guildId);
 
-    await runInteraction(state, userId, capture);
+    let listening = await runInteraction(state, userId, capture, { wakeScore: score });
+    for (let followUps = 0; listening && followUps < MAX_FOLLOW_UPS; followUps++) {
+      capture.finish('interaction-ended');
+      state.capturing.delete(userId);
+      capture = openFollowUp(state, userId);
+      if (!capture) break;
+      state.capturing.add(userId);
+      await deferAutoLeave(guildId);
+      listening = await runInteraction(state, userId, capture, { followUp: true });
+    }
   } finally {
     capture?.finish('interaction-ended'); // no-op once it ended on its own; stops the poll on any early return
     state.capturing.delete(userId);
@@ -954,6 +1057,33 @@ async function handleWake({ slot, score }) {
   }
 }
 
+// A capture for the user to carry on the conversation without the wake word,
+// or null when they may not: everything handleWake checks before a wake is
+// checked again here, because a follow-up must never be easier to trigger than
+// the wake it stands in for. state.active still holds the user, so the
+// concurrency checks are the one thing that carries over.
+function openFollowUp(state, userId) {
+  const { guildId } = state;
+  if (!started || engineDead || !isOptedIn(userId)) return null;
+  if (getActiveRecordingTarget(guildId) === userId) return null;
+  const connection = getVoiceConnection(guildId);
+  if (!connection || connection.state.status !== VoiceConnectionStatus.Ready) return null;
+  if (!withinRateLimit(state)) {
+    console.warn(`[VoiceAssistant] Wake rate limit hit in guild ${guildId} (${WAKE_LIMIT}/min), not listening for a follow-up`);
+    return null;
+  }
+
+  const capture = beginCapture(state, userId, { graceMs: FOLLOW_UP_WINDOW_MS });
+  if (!capture) return null;
+  // No beep: the reply that just finished is the cue. It is also what can echo
+  // back up a speaker user's mic, so the capture treats it as a beep that has
+  // just settled and holds arming for the same echo margin.
+  capture.noteBeepStarted();
+  capture.noteBeepSettled();
+  console.log(`[VoiceAssistant] Listening for a follow-up from ${userId} in ${guildId}`);
+  return capture;
+}
+
 /**
  * The capture's timing decisions, with no audio, streams or clock of its own.
  * Every method takes `now` explicitly and the class touches nothing outside
@@ -968,15 +1098,19 @@ async function handleWake({ slot, score }) {
 export class CaptureMachine {
   /**
    * @param {number} startedAt - the wake event; all windows are measured from it
+   * @param {{ graceMs?: number }} [options] - how long to wait for the command
+   *   to begin; a follow-up waits longer than a wake does
    */
-  constructor(startedAt) {
+  constructor(startedAt, { graceMs = FIRST_SPEECH_GRACE_MS } = {}) {
     this.startedAt = startedAt;
+    this.graceMs = graceMs;
     this.beepPending = false;
     this.beepSettledAt = null;
     this.speechStarted = false;
     this.lastVoiceAt = startedAt;
     this.bytes = 0;
     this.voicedBytes = 0; // of `bytes`, how much was actually speech
+    this.energies = []; // every chunk's energy, for energyProfile()
     this.endReason = null;
   }
 
@@ -1019,6 +1153,7 @@ export class CaptureMachine {
    */
   chunk(now, energy, byteLength) {
     if (this.endReason) return 'drop';
+    this.energies.push(energy);
     const voiced = energy >= SPEECH_ENERGY_THRESHOLD;
     if (voiced) {
       this.lastVoiceAt = now;
@@ -1051,7 +1186,7 @@ export class CaptureMachine {
     // Before the command starts, only the grace window can end the capture - the
     // silence rule would fire during the user's pause and cut them off.
     if (!this.speechStarted) {
-      return now - this.startedAt >= FIRST_SPEECH_GRACE_MS ? 'no-speech' : null;
+      return now - this.startedAt >= this.graceMs ? 'no-speech' : null;
     }
     return now - this.lastVoiceAt >= CAPTURE_SILENCE_MS ? 'silence' : null;
   }
@@ -1067,6 +1202,21 @@ export class CaptureMachine {
   static isWorthTranscribing(voicedOutBytes) {
     return voicedOutBytes >= MIN_VOICED_BYTES;
   }
+
+  /**
+   * What the capture sounded like, for tuning SPEECH_ENERGY_THRESHOLD from the
+   * voice history: the energy of its quietest tenth of chunks (the room - the
+   * music, the fan, the hiss), its middle one, and its loudest tenth (the
+   * speaker, if anybody spoke). A threshold is doing its job when the floor
+   * sits under it and the peak over it.
+   * @returns {{ floor: number, median: number, peak: number, threshold: number }|null}
+   */
+  energyProfile() {
+    if (this.energies.length === 0) return null;
+    const sorted = [...this.energies].sort((a, b) => a - b);
+    const at = (share) => sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+    return { floor: at(0.1), median: at(0.5), peak: at(0.9), threshold: SPEECH_ENERGY_THRESHOLD };
+  }
 }
 
 /**
@@ -1074,9 +1224,10 @@ export class CaptureMachine {
  * buffer. This creates NO subscription - it hangs a sink off the stream the
  * consent-checked monitor is already receiving - which is why the module has
  * exactly one receiver.subscribe() call.
+ * @param {{ graceMs?: number }} [options] - passed on to the CaptureMachine
  * @returns {object|null} the capture, or null when there is no monitor to tee.
  */
-function beginCapture(state, userId) {
+function beginCapture(state, userId, options = {}) {
   const monitor = state.monitors.get(userId);
   if (!monitor || monitor.stopped) return null;
   // Same rule as everywhere else: voiceRecorder.js may own this user's stream,
@@ -1089,7 +1240,7 @@ function beginCapture(state, userId) {
   let resolveEnded;
   const ended = new Promise((resolve) => { resolveEnded = resolve; });
 
-  const machine = new CaptureMachine(startedAt);
+  const machine = new CaptureMachine(startedAt, options);
 
   const capture = {
     startedAt,
@@ -1097,6 +1248,7 @@ function beginCapture(state, userId) {
     machine,
     chunks: [],
     endReason: null,
+    endedAt: null,
 
     push(chunk) {
       if (capture.endReason) return;
@@ -1117,6 +1269,7 @@ function beginCapture(state, userId) {
     finish(reason) {
       if (capture.endReason) return;
       capture.endReason = reason;
+      capture.endedAt = Date.now();
       if (poll) clearInterval(poll);
       if (monitor.capture === capture) monitor.capture = null;
       resolveEnded();
@@ -1135,26 +1288,87 @@ function beginCapture(state, userId) {
   return capture;
 }
 
-async function runInteraction(state, userId, capture) {
+// One utterance, from capture to reply. Resolves true when the reply was spoken
+// and the user may follow up on it without the wake word.
+//
+// A follow-up (options.followUp) is held to a different idea of failure: the
+// window opens whether or not the user has anything more to say, so silence,
+// noise and a sentence that was not meant for Jerry are how most of them end,
+// and none of that gets an apology or an embed.
+//
+// Every interaction that got as far as somebody saying something ends up in the
+// voice history (voiceHistory.js), misfires included - those are what it is for.
+// The one thing kept out is a follow-up window nobody spoke into: that is not an
+// interaction, just a reply finishing.
+async function runInteraction(state, userId, capture, { followUp = false, wakeScore = null } = {}) {
   const { guildId } = state;
   const member = state.connection?.joinConfig.channelId
     ? client.channels.cache.get(state.connection.joinConfig.channelId)?.members?.get(userId)
     : null;
   const displayName = member?.displayName ?? `Gebruiker ${userId}`;
-  // Read once, up front: the catch below needs it too.
+  // Read once, up front: the catch below needs both.
   const { spokenReplies } = getVoiceConfig();
+  const language = getVoiceLanguage(userId);
 
   let stage = 'capture';
   let transcript = null;
+  let intent = null;
+  let heardNothing = false;
+  // Milliseconds per stage, for the history. The capture's is how long it
+  // listened; every other stage's is Jerry's own time.
+  const latency = {};
+  let stageStartedAt = null;
+  const lap = (name) => {
+    const now = Date.now();
+    latency[name] = now - stageStartedAt;
+    stageStartedAt = now;
+  };
+  // Once per interaction: what follows a recorded outcome (the reply, the embed) can still
+  // throw into the catch below, which would otherwise record the same interaction again.
+  let remembered = false;
+  const remember = (outcome, { failedAt = null, summary = null } = {}) => {
+    if (remembered) return;
+    remembered = true;
+    // Opted out while this was running: what they said is not ours to keep
+    if (!isOptedIn(userId)) return;
+    try {
+      const machine = capture?.machine;
+      recordVoiceInteraction({
+        guildId,
+        userId,
+        displayName,
+        language,
+        followUp,
+        transcript,
+        intent: intent?.action ?? null,
+        outcome,
+        stage: failedAt,
+        summary,
+        wakeScore: followUp ? null : wakeScore,
+        wakeThreshold: followUp ? null : engine?.threshold ?? null,
+        capture: machine && {
+          endReason: capture.endReason,
+          ms: capture.endedAt === null ? null : capture.endedAt - capture.startedAt,
+          voicedMs: (machine.voicedBytes / (IN_SAMPLE_RATE * IN_CHANNELS * 2)) * 1000,
+          ...machine.energyProfile(),
+        },
+        latency,
+      });
+    } catch (err) {
+      console.error('[VoiceAssistant] could not record the interaction:', err.message);
+    }
+  };
 
   try {
     const pcm = await captureUtterance(userId, capture);
+    if (capture.endedAt !== null) latency.capture = capture.endedAt - capture.startedAt;
+    stageStartedAt = Date.now();
 
     // Consent re-check: someone who ran /heyjerry off while speaking must not
     // have that audio leave the process.
     if (!isOptedIn(userId)) {
       console.log(`[VoiceAssistant] ${userId} opted out mid-capture, discarding ${pcm.length} bytes`);
-      return;
+      return false;
     }
     // Voiced audio is what decides whether a Whisper call is worth making - the
     // buffer itself now holds every chunk since the wake, dead air included, so
@@ -1166,20 +1380,25 @@ async function runInteraction(state, userId, capture) {
     // hallucination guard a few lines down.
     const voicedBytes = Math.floor(capture.machine.voicedBytes / SOURCE_BYTES_PER_OUT_BYTE);
     if (!CaptureMachine.isWorthTranscribing(voicedBytes)) {
+      if (followUp) return false; // they had nothing more to say
+      heardNothing = true;
       throw new Error(`captured only ${voicedBytes} bytes of voiced audio (${pcm.length} total)`);
     }
 
     stage = 'transcribe';
-    transcript = await transcribe(pcm, { sampleRate: OUT_SAMPLE_RATE, language: 'nl' });
+    transcript = await transcribe(pcm, { sampleRate: OUT_SAMPLE_RATE, language });
+    lap('transcribe');
     console.log(`[VoiceAssistant] ${displayName}: "${transcript}"`);
 
     // Whisper never returns nothing - it invents punctuation or a subtitle-style
     // music tag when the clip held no speech. Catching that here saves an
     // intent-parsing API call that could only ever come back 'unknown'.
     if (isLikelyHallucination(transcript)) {
+      remember('hallucination', { failedAt: 'transcribe-empty' });
+      if (followUp) return false;
       stage = 'transcribe-empty';
       console.warn(`[VoiceAssistant] discarding non-speech transcript "${transcript}"`);
-      if (spokenReplies) await speak(guildId, ERROR_REPLY);
+      if (spokenReplies) await speak(guildId, repliesFor(language).notUnderstood, language);
       await logInteraction({
         displayName,
         transcript,
@@ -1188,14 +1407,25 @@ async function runInteraction(state, userId, capture) {
         ok: false,
         stage,
       });
-      return;
+      return false;
     }
 
     stage = 'intent';
-    const intent = await parseIntent(transcript); // never rejects; runs its own fast path
+    // Never rejects, and runs its own fast path. Whatever language the transcript turns out to
+    // be in, the reply is in the speaker's own: an utterance in a language Jerry does not
+    // speak comes back 'unknown' and gets the apology they can understand.
+    intent = await parseIntent(transcript, language);
+    lap('intent');
+    if (followUp && intent.action === 'unknown') {
+      remember('unknown', { failedAt: 'intent' });
+      // Most likely talking to the room rather than to Jerry
+      console.log(`[VoiceAssistant] follow-up from ${displayName} was not a command, ending the conversation`);
+      return false;
+    }
 
     stage = 'dispatch';
-    const result = await dispatch(state, { userId, displayName, intent, spokenReplies });
+    const result = await dispatch(state, { userId, displayName, intent, spokenReplies, language });
+    lap('dispatch');
 
     // With spoken replies off there is nothing to say, nothing to duck, and so
     // nothing that can fail to be said: the embed is the whole report.
@@ -1210,10 +1440,15 @@ async function runInteraction(state, userId, capture) {
       // (tts.js deliberately swallows job errors so no caller is forced to handle
       // them), so a throw is not how TTS failure arrives here - this boolean is.
       // A null reply means dispatch already did the speaking and reported how it went.
-      spoken = result.reply === null ? result.spoken !== false : await speak(guildId, result.reply);
+      spoken = result.reply === null ? result.spoken !== false : await speak(guildId, result.reply, language);
+      lap('speak');
       if (!spoken) console.error(`[VoiceAssistant] could not speak the reply in guild ${guildId}`);
     }
 
+    if (intent.action === 'unknown') remember('unknown', { failedAt: 'intent', summary: result.summary });
+    else if (spoken && !result.failed) remember('ok', { summary: result.summary });
+    else remember('failed', { failedAt: spoken ? 'dispatch' : 'speak', summary: result.summary });
+
     await logInteraction({
       displayName,
       transcript,
@@ -1223,18 +1458,24 @@ async function runInteraction(state, userId, capture) {
       ok: spoken && !result.failed,
       stage: spoken ? null : 'speak',
     });
+    // Only after something was said out loud: with spoken replies off there is
+    // no moment at which the user would know Jerry is still listening. A null
+    // reply is stop's, said just before the bot left the channel.
+    return spokenReplies && spoken && result.reply !== null;
   } catch (err) {
     const detailedStage = stage === 'transcribe' && err.stage ? `transcribe:${err.stage}` : stage;
     console.error(`[VoiceAssistant] interaction failed at ${detailedStage}:`, err.message);
+    remember(heardNothing ? 'no-speech' : 'error', { failedAt: detailedStage, summary: err.message });
     // The apology is speech too, so it goes the same way as every other reply.
     if (spokenReplies) {
       try {
-        await speak(guildId, ERROR_REPLY);
+        await speak(guildId, repliesFor(language).notUnderstood, language);
       } catch (speakErr) {
         console.error('[VoiceAssistant] could not speak the error reply:', speakErr.message);
       }
     }
     await logInteraction({ displayName, transcript, summary: `mislukt (${detailedStage})`, ok: false, stage: detailedStage, detail: err.message });
+    return false;
   }
 }
 
@@ -1282,26 +1523,35 @@ async function searchSong(query, userId, displayName) {
     requestedBy: displayName,
     requestedById: userId,
     source: 'youtube',
+    ...channelInfo(video),
   };
 }
 
-function runCommand(command, guildId) {
+function runCommand(command, guildId, actor = null) {
   if (!runMusicCommand) throw new Error('no music command handler was wired up');
-  // pause/resume answer `{ ok, message }`; everything else answers nothing (see
-  // handleMusicCommand in index.js)
-  return runMusicCommand(command, guildId);
+  // pause/resume/previous answer `{ ok, message }`, skip a promise of one; everything else
+  // answers nothing (see handleMusicCommand in index.js)
+  return runMusicCommand(command, guildId, actor);
+}
+
+// Whoever spoke, as the actor a skip vote is counted for. The role is read from the guild's
+// member cache - GuildMembers is an intent this bot has, so the speaker is in it. DJs skip
+// outright when vote skip is on, the same role the dashboard and /skip check.
+function voiceActor(guildId, userId, displayName) {
+  const member = client?.guilds.cache.get(guildId)?.members.cache.get(userId);
+  return { userId, displayName, isDJ: memberIsDJ(member) };
 }
 
 // Jerry said "Oké" to pause, resume, skip and volume whether or not there was anything to act
 // on: with no queue at all, handleMusicCommand returns without doing a thing, and a spoken
 // confirmation reads as far more authoritative than the ephemeral "Nothing is currently
-// playing!" the equivalent slash commands have always replied. The spoken line is Dutch, the
-// embed summary English, as everywhere else here.
-async function requireSomethingPlaying(guildId, action) {
+// playing!" the equivalent slash commands have always replied. The spoken line is in the
+// speaker's language, the embed summary English, as everywhere else here.
+async function requireSomethingPlaying(guildId, action, say) {
   const { getQueue } = await import('./musicQueue.js');
   const queue = getQueue(guildId);
   if (queue && queue.currentSong) return null;
-  return { reply: 'Er speelt niets', summary: `${action} — nothing is playing`, failed: true };
+  return { reply: say.nothingPlaying, summary: `${action} — nothing is playing`, failed: true };
 }
 
 /**
@@ -1310,30 +1560,33 @@ async function requireSomethingPlaying(guildId, action) {
  * generic error); "I understood you but there was nothing to do" comes back as
  * a normal spoken reply.
  */
-async function dispatch(state, { userId, displayName, intent, spokenReplies }) {
+async function dispatch(state, { userId, displayName, intent, spokenReplies, language }) {
   const { guildId } = state;
+  const say = repliesFor(language);
 
   switch (intent.action) {
     case 'play': {
       if (!addSongToQueue) throw new Error('no add-song handler was wired up');
       const song = await searchSong(intent.query, userId, displayName);
       if (!song) {
-        return { reply: `Ik kon ${intent.query} niet vinden`, summary: `play "${intent.query}" — niets gevonden`, failed: true };
+        return { reply: say.notFound(intent.query), summary: `play "${intent.query}" — niets gevonden`, failed: true };
       }
       const result = await addSongToQueue(song, guildId);
       if (result && result.success === false) {
-        return { reply: 'Sorry, dat lukte niet', summary: `play "${song.title}" — ${result.error}`, failed: true };
+        // A song the queue guardrails turned down gets the reason, briefly - the full wording
+        // (which limit, how long the song is) goes in the summary for the log channel
+        return { reply: say.guardrail[result.reason] || say.failed, summary: `play "${song.title}" — ${result.error}`, failed: true };
       }
       // Asking for a song while one is playing queues it - the handler says which of the two
       // happened, and saying "ik speel X" for a song sitting behind three others is the same
       // lie as announcing a song that never started, just spoken out loud
       if (result?.message !== 'Now playing') {
         return {
-          reply: `Oké, ${song.title} staat in de wachtrij`,
+          reply: say.queued(song.title),
           summary: `wachtrij: **${song.title}**`,
         };
       }
-      return { reply: `Oké, ik speel ${song.title}`, summary: `speelt **${song.title}**` };
+      return { reply: say.playing(song.title), summary: `speelt **${song.title}**` };
     }
 
     case 'stop': {
@@ -1341,7 +1594,7 @@ async function dispatch(state, { userId, displayName, intent, spokenReplies }) {
       // there is still a voice connection to speak it on. reply:null then tells
       // the caller the speaking is already done, and `spoken` how it went - which
       // with spoken replies off is vacuously true, since nothing was to be said.
-      const spoken = spokenReplies ? await speak(guildId, 'Oké') : true;
+      const spoken = spokenReplies ? await speak(guildId, say.ok, language) : true;
       runCommand('stop', guildId);
       return { reply: null, spoken, summary: 'stop' };
     }
@@ -1349,15 +1602,20 @@ async function dispatch(state, { userId, displayName, intent, spokenReplies }) {
     case 'skip':
     case 'pause':
     case 'resume': {
-      const nothing = await requireSomethingPlaying(guildId, intent.action);
+      const nothing = await requireSomethingPlaying(guildId, intent.action, say);
       if (nothing) return nothing;
       // pause/resume can still legitimately do nothing - the song may be seconds into its
       // download with no audio to pause yet - and they say so rather than being confirmed
-      const result = runCommand(intent.action, guildId);
+      const result = await runCommand(intent.action, guildId, voiceActor(guildId, userId, displayName));
       if (result && result.ok === false) {
-        return { reply: 'Dat lukte niet', summary: `${intent.action} — ${result.message}`, failed: true };
+        return { reply: say.didNotWork, summary: `${intent.action} — ${result.message}`, failed: true };
+      }
+      // With vote skip on, "volgende" from one person is one vote; "Oké" would promise a skip
+      if (result?.vote) {
+        const { votes, needed } = result.vote;
+        return { reply: say.voteCounted(votes, needed), summary: `skip — vote ${votes}/${needed}` };
       }
-      return { reply: 'Oké', summary: intent.action };
+      return { reply: say.ok, summary: intent.action };
     }
 
     case 'volume': {
@@ -1367,7 +1625,7 @@ async function dispatch(state, { userId, displayName, intent, spokenReplies }) {
       const asked = relative
         ? `volume ${intent.relative > 0 ? '+' : ''}${intent.relative}`
         : `volume ${intent.volume}%`;
-      const nothing = await requireSomethingPlaying(guildId, asked);
+      const nothing = await requireSomethingPlaying(guildId, asked, say);
       if (nothing) return nothing;
 
       const { getQueue } = await import('./musicQueue.js');
@@ -1379,20 +1637,108 @@ async function dispatch(state, { userId, displayName, intent, spokenReplies }) {
       // Already at the end of the slider. Saying "volume naar 100" to somebody asking for more
       // is the same small lie as confirming a command that did nothing.
       if (relative && level === currentPercent) {
-        return { reply: `Het volume staat al op ${level}`, summary: `${asked} — already at ${level}%` };
+        return { reply: say.volumeAlready(level), summary: `${asked} — already at ${level}%` };
       }
 
       runCommand(`volume:${level}`, guildId);
       // The level, not "Oké": a relative change is only confirmed by saying where it landed
-      return { reply: `Volume naar ${level}`, summary: `volume ${level}%` };
+      return { reply: say.volumeSet(level), summary: `volume ${level}%` };
+    }
+
+    case 'previous': {
+      const { getQueue } = await import('./musicQueue.js');
+      if (!getQueue(guildId)) return { reply: say.noPrevious, summary: 'previous — no queue', failed: true };
+      const result = runCommand('previous', guildId);
+      if (result && result.ok === false) {
+        return { reply: say.noPrevious, summary: `previous — ${result.message}`, failed: true };
+      }
+      return { reply: say.ok, summary: 'previous' };
+    }
+
+    case 'shuffle': {
+      const nothing = await requireSomethingPlaying(guildId, 'shuffle', say);
+      if (nothing) return nothing;
+      const { getQueue } = await import('./musicQueue.js');
+      // One song waiting (or none) shuffles into itself, and "Oké" would claim otherwise
+      if ((getQueue(guildId)?.songs.length ?? 0) < 2) {
+        return { reply: say.nothingToShuffle, summary: 'shuffle — fewer than two songs queued' };
+      }
+      runCommand('shuffle', guildId, voiceActor(guildId, userId, displayName));
+      return { reply: say.shuffled, summary: 'shuffle' };
+    }
+
+    case 'loop': {
+      const nothing = await requireSomethingPlaying(guildId, `loop ${intent.mode}`, say);
+      if (nothing) return nothing;
+      const { getMusicSettings } = await import('./musicQueue.js');
+      if (getMusicSettings(guildId).loopMode === intent.mode) {
+        return { reply: say.loopAlready[intent.mode], summary: `loop ${intent.mode} — already set` };
+      }
+      runCommand(`loop:${intent.mode}`, guildId);
+      return { reply: say.loopSet[intent.mode], summary: `loop ${intent.mode}` };
+    }
+
+    case 'seek': {
+      const position = `${Math.floor(intent.seconds / 60)}:${String(intent.seconds % 60).padStart(2, '0')}`;
+      const nothing = await requireSomethingPlaying(guildId, `seek ${position}`, say);
+      if (nothing) return nothing;
+      const { getQueue } = await import('./musicQueue.js');
+      const song = getQueue(guildId).currentSong;
+      // The queue would clamp this to the last second, which is a skip with extra steps. A song
+      // without a known length (a stream) is left to the queue.
+      const end = song.endTime || song.duration;
+      if (end > 0 && intent.seconds >= end) {
+        return { reply: say.seekPastEnd, summary: `seek ${position} — past the end of ${song.title}`, failed: true };
+      }
+      runCommand(`seek:${intent.seconds}`, guildId);
+      return { reply: say.ok, summary: `seek ${position}` };
+    }
+
+    case 'radio': {
+      // Only a queue can carry the toggle (see handleMusicCommand), even though the setting
+      // itself is shared
+      const nothing = await requireSomethingPlaying(guildId, `radio ${intent.enabled ? 'on' : 'off'}`, say);
+      if (nothing) return nothing;
+      const { getMusicSettings } = await import('./musicQueue.js');
+      // The only radio command there is toggles, so it is only sent when that lands on the
+      // state that was asked for
+      if (getMusicSettings(guildId).radioEnabled === intent.enabled) {
+        return { reply: say.radioAlready(intent.enabled), summary: `radio ${intent.enabled ? 'on' : 'off'} — already` };
+      }
+      runCommand('radio', guildId);
+      return { reply: say.radioSet(intent.enabled), summary: `radio ${intent.enabled ? 'on' : 'off'}` };
+    }
+
+    case 'playlist': {
+      if (!queuePlaylist) throw new Error('no playlist handler was wired up');
+      // The speaker's playlists and the ones shared with them here - the same list this server's
+      // dashboard shows them, since a session's user ID is their Discord ID
+      const playlist = findPlaylistByName(userId, intent.name, guildId);
+      if (!playlist) {
+        return { reply: say.playlistNotFound(intent.name), summary: `playlist "${intent.name}" — not found`, failed: true };
+      }
+      if (playlist.songs.length === 0) {
+        return { reply: say.playlistEmpty(playlist.name), summary: `playlist ${playlist.name} — empty`, failed: true };
+      }
+      // Exactly what the dashboard's play button does, so the guardrails see every song and a
+      // per-person limit takes the first few rather than none
+      const { queued, refused } = await queuePlaylist(playlist.songs, displayName, userId, guildId);
+      if (queued === 0) {
+        return { reply: say.guardrail[refused[0]?.reason] || say.failed, summary: `playlist ${playlist.name} — ${refused[0]?.error}`, failed: true };
+      }
+      const plural = queued === 1 ? 'nummer' : 'nummers';
+      return {
+        reply: say.playlistQueued(queued, playlist.name),
+        summary: `playlist **${playlist.name}**: ${queued} ${plural}${refused.length ? `, ${refused.length} refused (${refused[0].error})` : ''}`,
+      };
     }
 
     case 'nowplaying': {
       const { getQueue } = await import('./musicQueue.js');
       const song = getQueue(guildId)?.currentSong;
       return song
-        ? { reply: `Er speelt nu ${song.title}`, summary: `nowplaying: ${song.title}` }
-        : { reply: 'Er speelt nu niets', summary: 'nowplaying — nothing is playing' };
+        ? { reply: say.nowPlaying(song.title), summary: `nowplaying: ${song.title}` }
+        : { reply: say.nothingPlayingNow, summary: 'nowplaying — nothing is playing' };
     }
 
     case 'queue': {
@@ -1400,34 +1746,40 @@ async function dispatch(state, { userId, displayName, intent, spokenReplies }) {
       const queue = getQueue(guildId);
       const upcoming = queue?.songs ?? [];
       if (upcoming.length === 0) {
-        return { reply: 'De wachtrij is leeg', summary: 'queue: leeg' };
+        return { reply: say.queueEmpty, summary: 'queue: leeg' };
       }
       const plural = upcoming.length === 1 ? 'nummer' : 'nummers';
       return {
-        reply: `Er ${upcoming.length === 1 ? 'staat' : 'staan'} ${upcoming.length} ${plural} in de wachtrij, het volgende is ${upcoming[0].title}`,
+        reply: say.queueSummary(upcoming.length, upcoming[0].title),
         summary: `queue: ${upcoming.length} ${plural}`,
       };
     }
 
     case 'remind': {
+      // Posted in the guild's general channel - the same one index.js greets people in
+      const { generalChannelId } = getGuildSettings(guildId);
+      if (!generalChannelId) {
+        return { reply: say.noReminderChannel, summary: 'herinnering: geen kanaal' };
+      }
       addReminder({
         userId,
-        channelId: GENERAL_CHANNEL_ID,
+        channelId: generalChannelId,
         guildId,
         message: intent.message,
         fireAt: Date.now() + intent.minutes * 60_000,
       });
       return {
-        reply: `Ik herinner je over ${intent.minutes} minuten`,
+        reply: say.reminderSet(intent.minutes),
         summary: `herinnering over ${intent.minutes} min: ${intent.message}`,
       };
     }
 
     case 'ask': {
       const { model } = getChatConfig();
-      const { content } = await chatWithAI(intent.question, process.env.OPENROUTER_API_KEY, model);
+      const { content } = await chatWithAI(intent.question, process.env.OPENROUTER_API_KEY, model, conversationHistory(userId));
       const answer = content?.trim();
       if (!answer) throw new Error('the AI returned an empty answer');
+      rememberExchange(userId, intent.question, answer);
       return {
         reply: truncateForSpeech(answer),
         summary: `vraag: ${intent.question}`,
@@ -1437,7 +1789,7 @@ async function dispatch(state, { userId, displayName, intent, spokenReplies }) {
 
     default:
       return {
-        reply: ERROR_REPLY,
+        reply: say.notUnderstood,
         summary: intent.error ? `not understood (${intent.error})` : 'not understood',
         failed: true,
       };
@@ -1512,7 +1864,8 @@ async function logInteraction({ displayName, transcript, summary, detail, ok, st
 // ---------------------------------------------------------------------------
 
 function disabledReason() {
-  if (!process.env.GROQ_API_KEY) return 'GROQ_API_KEY is not set';
+  const sttReason = transcribeUnavailableReason();
+  if (sttReason) return sttReason;
   if (!WakewordEngine.isAvailable()) return 'wake-word model or python venv missing (run scripts/setup-voice.sh)';
   if (!isTtsAvailable()) return 'Piper TTS is not installed (run scripts/setup-voice.sh)';
   return null;
@@ -1549,11 +1902,21 @@ export function isVoiceAssistantEnabled() {
   return started;
 }
 
+/**
+ * The two thresholds the voice history's figures are read against, as they
+ * are set right now. The wake threshold is the engine's, so null while the
+ * assistant is not running.
+ * @returns {{ speechEnergyThreshold: number, wakeThreshold: number|null }}
+ */
+export function getVoiceTuning() {
+  return { speechEnergyThreshold: SPEECH_ENERGY_THRESHOLD, wakeThreshold: engine?.threshold ?? null };
+}
+
 /**
  * Start the voice assistant. Logs a skip line and returns when the feature
- * can't run (no Groq key, no wake-word model, no Piper).
+ * can't run (no speech-to-text backend, no wake-word model, no Piper).
  * @param {import('discord.js').Client} discordClient
- * @param {{runMusicCommand?: Function, addSong?: Function}} handlers - the same
+ * @param {{runMusicCommand?: Function, addSong?: Function, queuePlaylist?: Function}} handlers - the same
  *   handlers index.js gives the web dashboard, so voice and dashboard commands
  *   go through exactly one code path.
  */
@@ -1569,8 +1932,11 @@ export function initVoiceAssistant(discordClient, handlers = {}) {
   client = discordClient;
   runMusicCommand = handlers.runMusicCommand ?? null;
   addSongToQueue = handlers.addSong ?? null;
+  queuePlaylist = handlers.queuePlaylist ?? null;
   loadStore();
 
+  startTranscribeBackends();
+
   engineDead = false;
   engine = new WakewordEngine();
   engine.on('wake', (event) => {
@@ -1604,6 +1970,7 @@ export function initVoiceAssistant(discordClient, handlers = {}) {
  * flushState(), which also runs on uncaughtException and must not await.
  */
 export function stopVoiceAssistant() {
+  try { flushVoiceHistory(); } catch (e) { console.error('[VoiceAssistant] could not save the voice history:', e.message); }
   if (!started) return;
   started = false;
 
@@ -1641,6 +2008,8 @@ export function stopVoiceAssistant() {
     engine = null;
   }
   engineDead = false;
+  stopTranscribeBackends();
+  forgetConversation();
 
   try {
     saveStore(); // opt-ins already persist on every change; this is belt and braces
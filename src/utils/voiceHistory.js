@@ -0,0 +1,336 @@
+// What "Hey Jerry" heard, understood and did, kept for review.
+//
+// The activity-log embed is the live report of an interaction, and it is the only one: nothing
+// there can be searched, and the misfires - a wake nobody meant, Whisper hallucinating a subtitle
+// credit over the music, a sentence that came back 'unknown' - scroll away with everything else.
+// This keeps the interactions themselves, so the dashboard's voice page can filter them and work
+// out how the two thresholds that decide most misfires are doing: the speech energy threshold
+// the capture uses to tell speech from background, and the wake-word score threshold.
+//
+// It only ever holds what opted-in members said. voiceAssistant.js records nothing for somebody
+// who opted out mid-interaction, and an opt-out deletes everything kept for that person - the
+// same consent that decides whether Jerry listens decides whether this remembers.
+//
+// The newest MAX_VOICE_HISTORY interactions of the last VOICE_HISTORY_MAX_AGE_DAYS are kept, in
+// one JSON file written on a debounce like the play events; a deletion is written at once, since
+// it is somebody withdrawing their consent and must survive a crash. Everything past recording is
+// pure (summarizeVoiceHistory and friends) and works on whatever slice it is handed.
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadJsonSync, saveJsonSync } from './jsonStore.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+let dataFile = join(__dirname, '..', '..', 'data', 'voiceHistory.json');
+
+// How an interaction ended. 'unknown', 'hallucination' and 'no-speech' are the misfires: Jerry
+// listened and there was nothing for him to do. 'failed' is a command that was understood but
+// did not work (or could not be said), 'error' one that broke somewhere along the way.
+export const VOICE_OUTCOMES = ['ok', 'failed', 'unknown', 'hallucination', 'no-speech', 'error'];
+export const MISFIRE_OUTCOMES = ['unknown', 'hallucination', 'no-speech'];
+// The stages an interaction is timed in, in the order they run
+export const VOICE_STAGES = ['capture', 'transcribe', 'intent', 'dispatch', 'speak'];
+
+// A few months of a busy server saying "hey jarvis", in a file of a couple of MB
+export const MAX_VOICE_HISTORY = 5000;
+// Older than this is no help tuning anything, and is somebody's voice commands kept for no reason
+export const VOICE_HISTORY_MAX_AGE_DAYS = 30;
+const MAX_AGE_MS = VOICE_HISTORY_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+const TRANSCRIPT_MAX = 500;
+const SUMMARY_MAX = 300;
+const SAVE_DELAY_MS = 30_000;
+
+let entries = null;
+let saveTimeout = null;
+let nextId = 1;
+
+function prune(now = Date.now()) {
+  const cutoff = now - MAX_AGE_MS;
+  const firstKept = entries.findIndex(e => e.at >= cutoff);
+  if (firstKept === -1) entries.length = 0;
+  else if (firstKept > 0) entries.splice(0, firstKept);
+  if (entries.length > MAX_VOICE_HISTORY) entries.splice(0, entries.length - MAX_VOICE_HISTORY);
+}
+
+function load() {
+  if (entries === null) {
+    const loaded = loadJsonSync(dataFile, []);
+    entries = Array.isArray(loaded) ? loaded.filter(e => e && typeof e.at === 'number' && e.userId) : [];
+    nextId = entries.reduce((max, e) => Math.max(max, Number(e.id) || 0), 0) + 1;
+    prune();
+  }
+  return entries;
+}
+
+function writeNow() {
+  if (saveTimeout) {
+    clearTimeout(saveTimeout);
+    saveTimeout = null;
+  }
+  saveJsonSync(dataFile, entries);
+}
+
+function scheduleSave() {
+  if (saveTimeout) return;
+  saveTimeout = setTimeout(() => {
+    saveTimeout = null;
+    try {
+      saveJsonSync(dataFile, entries);
+    } catch (err) {
+      console.error('[VoiceHistory] Could not save voice history:', err.message);
+    }
+  }, SAVE_DELAY_MS);
+  // Shutdown flushes explicitly, so the pending write need not hold a finished process open
+  if (saveTimeout.unref) saveTimeout.unref();
+}
+
+// Write now rather than at the end of the debounce - for the shutdown flush
+export function flushVoiceHistory() {
+  if (!saveTimeout) return;
+  writeNow();
+}
+
+// For the tests: point the store at a different file and forget what it had loaded
+export function setVoiceHistoryPath(path) {
+  if (saveTimeout) clearTimeout(saveTimeout);
+  saveTimeout = null;
+  entries = null;
+  dataFile = path;
+}
+
+const clampText = (text, max) => (typeof text === 'string' && text ? text.slice(0, max) : null);
+const finiteOrNull = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+const roundTo = (value, places) => {
+  const n = finiteOrNull(value);
+  return n === null ? null : Math.round(n * 10 ** places) / 10 ** places;
+};
+
+// Keep only stages that were timed, as whole milliseconds
+function cleanLatency(latency) {
+  const out = {};
+  for (const stage of VOICE_STAGES) {
+    const ms = finiteOrNull(latency?.[stage]);
+    if (ms !== null && ms >= 0) out[stage] = Math.round(ms);
+  }
+  return out;
+}
+
+function cleanCapture(capture) {
+  if (!capture || typeof capture !== 'object') return null;
+  return {
+    endReason: typeof capture.endReason === 'string' ? capture.endReason : null,
+    ms: roundTo(capture.ms, 0),
+    voicedMs: roundTo(capture.voicedMs, 0),
+    // Mean absolute sample of the quietest tenth of the capture's chunks, the middle one and the
+    // loudest tenth: the room, the capture as a whole, and the speaker at their loudest
+    floor: roundTo(capture.floor, 0),
+    median: roundTo(capture.median, 0),
+    peak: roundTo(capture.peak, 0),
+    threshold: finiteOrNull(capture.threshold),
+  };
+}
+
+// Record one interaction that has just ended.
+//
+// @param entry.outcome - one of VOICE_OUTCOMES
+// @param entry.stage - where a failed or broken interaction stopped, as the activity log says it
+// @param entry.wakeScore - the wake word's score, and wakeThreshold the one it had to clear;
+//   both null for a follow-up, which nobody woke
+// @param entry.capture - the capture's end reason, length and energy profile (see cleanCapture)
+// @param entry.latency - milliseconds per VOICE_STAGES stage that ran
+// @returns the entry as stored, or null for one that belongs to nobody
+export function recordVoiceInteraction({
+  at = Date.now(), guildId = null, userId, displayName = null, language = null, followUp = false,
+  transcript = null, intent = null, outcome, stage = null, summary = null,
+  wakeScore = null, wakeThreshold = null, capture = null, latency = null,
+} = {}) {
+  if (!userId) return null;
+  const all = load();
+  const entry = {
+    id: nextId++,
+    at,
+    guildId,
+    userId: String(userId),
+    displayName: clampText(displayName, 100),
+    language: clampText(language, 8),
+    followUp: followUp === true,
+    transcript: clampText(transcript, TRANSCRIPT_MAX),
+    intent: clampText(intent, 32),
+    outcome: VOICE_OUTCOMES.includes(outcome) ? outcome : 'error',
+    stage: clampText(stage, 64),
+    summary: clampText(summary, SUMMARY_MAX),
+    wakeScore: roundTo(wakeScore, 3),
+    wakeThreshold: finiteOrNull(wakeThreshold),
+    capture: cleanCapture(capture),
+    latency: cleanLatency(latency),
+  };
+  all.push(entry);
+  prune(at);
+  scheduleSave();
+  return entry;
+}
+
+// Whether an entry passes the dashboard's filters. Every filter left out passes everything.
+//
+// @param filters.outcome - one outcome, or 'misfire' for any of MISFIRE_OUTCOMES
+// @param filters.search - a piece of the transcript or the summary, in any case
+export function matchesVoiceFilters(entry, { guildId = null, userId = null, outcome = null, intent = null, search = null, since = 0, until = Infinity } = {}) {
+  if (guildId && entry.guildId !== guildId) return false;
+  if (userId && entry.userId !== userId) return false;
+  if (outcome === 'misfire' ? !MISFIRE_OUTCOMES.includes(entry.outcome) : outcome && entry.outcome !== outcome) return false;
+  if (intent && entry.intent !== intent) return false;
+  if (entry.at < since || entry.at >= until) return false;
+  if (search) {
+    const needle = search.toLowerCase();
+    const haystack = `${entry.transcript || ''}\n${entry.summary || ''}`.toLowerCase();
+    if (!haystack.includes(needle)) return false;
+  }
+  return true;
+}
+
+// The interactions that pass `filters`, oldest first
+export function getVoiceHistory(filters = {}) {
+  return load().filter(entry => matchesVoiceFilters(entry, filters));
+}
+
+// Everybody with something kept in `guildId`'s history, most active first, for the user filter
+export function voiceHistoryUsers(guildId = null) {
+  const users = new Map();
+  for (const entry of load()) {
+    if (guildId && entry.guildId !== guildId) continue;
+    if (!users.has(entry.userId)) users.set(entry.userId, { userId: entry.userId, displayName: entry.displayName, count: 0 });
+    const user = users.get(entry.userId);
+    user.displayName = entry.displayName || user.displayName;
+    user.count++;
+  }
+  return [...users.values()].sort((a, b) => b.count - a.count);
+}
+
+// Forget everything kept for `userId`. Written at once: this is the opt-out, or an admin removing
+// a member from their own server's history.
+// @param options.guildId - only what was said in this guild; left out, in every guild (the opt-out)
+// @returns {number} how many interactions were removed
+export function deleteVoiceHistory(userId, { guildId = null } = {}) {
+  const all = load();
+  const before = all.length;
+  for (let i = all.length - 1; i >= 0; i--) {
+    if (all[i].userId !== String(userId)) continue;
+    if (guildId && all[i].guildId !== guildId) continue;
+    all.splice(i, 1);
+  }
+  const removed = before - all.length;
+  if (removed > 0) writeNow();
+  return removed;
+}
+
+// Nearest-rank percentile of an already-sorted list
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function spread(values) {
+  const sorted = values.filter(v => typeof v === 'number' && Number.isFinite(v)).sort((a, b) => a - b);
+  return { count: sorted.length, p10: percentile(sorted, 10), median: percentile(sorted, 50), p90: percentile(sorted, 90) };
+}
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) / 100 : 0);
+const isMisfire = (entry) => MISFIRE_OUTCOMES.includes(entry.outcome);
+
+// What raising the wake threshold would have done to these interactions: for each candidate, the
+// misfired wakes it would have kept from firing, and the wakes that went on to work which it would
+// have lost too. Lowering it cannot be judged from here - the sidecar never reports the wakes that
+// fell short - so the candidates start at the current threshold and only go up.
+function wakeWhatIf(wakes, threshold) {
+  if (wakes.length === 0 || threshold === null) return [];
+  const candidates = [];
+  for (let t = threshold; t <= 0.95 + 1e-9; t += 0.05) candidates.push(Math.round(t * 100) / 100);
+  return candidates.map(t => ({
+    threshold: t,
+    misfiresAvoided: wakes.filter(e => isMisfire(e) && e.wakeScore < t).length,
+    workingLost: wakes.filter(e => e.outcome === 'ok' && e.wakeScore < t).length,
+  }));
+}
+
+// The dashboard's figures for a set of interactions.
+//
+// @param speechEnergyThreshold / wakeThreshold - what the thresholds are set to now; when left
+//   out, whatever the newest interaction ran under
+export function summarizeVoiceHistory(list, { speechEnergyThreshold = null, wakeThreshold = null } = {}) {
+  const all = (list || []).filter(Boolean);
+  const newest = (pick) => {
+    for (let i = all.length - 1; i >= 0; i--) {
+      const value = pick(all[i]);
+      if (typeof value === 'number') return value;
+    }
+    return null;
+  };
+  const energyThreshold = speechEnergyThreshold ?? newest(e => e.capture?.threshold);
+  const wakeCut = wakeThreshold ?? newest(e => e.wakeThreshold);
+
+  const byOutcome = Object.fromEntries(VOICE_OUTCOMES.map(o => [o, 0]));
+  const failedStages = {};
+  const intents = new Map();
+  for (const entry of all) {
+    byOutcome[entry.outcome] = (byOutcome[entry.outcome] || 0) + 1;
+    if (entry.stage && entry.outcome !== 'ok') failedStages[entry.stage] = (failedStages[entry.stage] || 0) + 1;
+    if (entry.intent) intents.set(entry.intent, (intents.get(entry.intent) || 0) + 1);
+  }
+  const misfires = all.filter(isMisfire).length;
+
+  const latency = {};
+  for (const stage of VOICE_STAGES) latency[stage] = spread(all.map(e => e.latency?.[stage]));
+  // Capture is left out of the total: it is mostly the user talking, not Jerry being slow
+  latency.response = spread(all.map(e => {
+    const timed = VOICE_STAGES.slice(1).filter(s => typeof e.latency?.[s] === 'number');
+    return timed.length > 0 ? timed.reduce((sum, s) => sum + e.latency[s], 0) : null;
+  }));
+
+  // The speech threshold is right when the room sits below it and the speakers above it. A room
+  // at or over it means a capture can never end on silence and runs to its limit; a capture that
+  // heard nothing while its loudest moments came close is a quiet speaker it missed.
+  const captures = all.filter(e => e.capture);
+  const endReasons = {};
+  for (const entry of captures) {
+    const reason = entry.capture.endReason || 'unknown';
+    endReasons[reason] = (endReasons[reason] || 0) + 1;
+  }
+  const energy = {
+    threshold: energyThreshold,
+    captures: captures.length,
+    floor: spread(captures.map(e => e.capture.floor)),
+    peak: spread(captures.filter(e => e.outcome !== 'no-speech').map(e => e.capture.peak)),
+    endReasons,
+    noisyRooms: energyThreshold === null ? 0 : captures.filter(e => e.capture.floor >= energyThreshold).length,
+    quietMisses: energyThreshold === null ? 0 : captures.filter(e =>
+      e.outcome === 'no-speech' && e.capture.peak >= energyThreshold / 2 && e.capture.peak < energyThreshold).length,
+  };
+
+  const wakes = all.filter(e => !e.followUp && typeof e.wakeScore === 'number');
+  const wake = {
+    threshold: wakeCut,
+    wakes: wakes.length,
+    working: spread(wakes.filter(e => e.outcome === 'ok').map(e => e.wakeScore)),
+    misfired: spread(wakes.filter(isMisfire).map(e => e.wakeScore)),
+    whatIf: wakeWhatIf(wakes, wakeCut),
+  };
+
+  return {
+    totals: {
+      interactions: all.length,
+      followUps: all.filter(e => e.followUp).length,
+      users: new Set(all.map(e => e.userId)).size,
+      byOutcome,
+      misfires,
+      misfireRate: rate(misfires, all.length),
+      successRate: rate(byOutcome.ok, all.length),
+    },
+    failedStages,
+    intents: [...intents.entries()].map(([action, count]) => ({ action, count })).sort((a, b) => b.count - a.count),
+    latency,
+    energy,
+    wake,
+  };
+}
@@ -1,8 +1,19 @@
+// The weekly recap: a week of music, games and Discord activity, posted to a channel on a
+// schedule and kept for the dashboard's Recap page.
+//
+// Every guild has its own - its own channel, its own day and hour, its own recaps - kept in
+// data/weeklyRecaps.json as { guilds: { [guildId]: { channelId, scheduleDay, scheduleHour, recaps } } }.
+// A file from when there was one guild becomes the primary guild's on first load. The games'
+// leaderboards are the bot's rather than any guild's, so only the primary guild's recap counts
+// them.
+
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { EmbedBuilder } from 'discord.js';
 import { getDiscordActivity } from './discordTracker.js';
 import { loadJsonSync, saveJsonSync } from './jsonStore.js';
+import { getPlayEvents, summarizePlayEvents } from './playEvents.js';
+import { primaryGuildId, configuredGuildIds, guildKeyed } from './guilds.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -17,10 +28,11 @@ const PICTIONARY_LEADERBOARD = join(DATA_DIR, 'pictionaryLeaderboard.json');
 
 const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
-let recapData = { channelId: null, scheduleDay: 0, scheduleHour: 0, recaps: [] };
+let recapData = { guilds: {} };
 let snapshots = {};
 let discordClient = null;
-let scheduleTimeout = null;
+// guildId -> the timeout for that guild's next recap
+const scheduleTimeouts = new Map();
 
 function loadJSON(path) {
   return loadJsonSync(path, null);
@@ -30,18 +42,31 @@ function saveRecaps() {
   saveJsonSync(RECAPS_FILE, recapData);
 }
 
+// `guildId`'s recap settings and recaps, created on first use
+function guildRecaps(guildId) {
+  if (!recapData.guilds[guildId]) {
+    recapData.guilds[guildId] = { channelId: null, scheduleDay: 0, scheduleHour: 0, recaps: [] };
+  }
+  return recapData.guilds[guildId];
+}
+
+// The same, read-only: looking is not a reason to create an entry
+function recapsOf(guildId) {
+  return recapData.guilds[guildId]?.recaps || [];
+}
+
 function saveSnapshots() {
   saveJsonSync(SNAPSHOTS_FILE, snapshots);
 }
 
-function getWeekBounds(now = new Date()) {
+function getWeekBounds(settings, now = new Date()) {
   const end = new Date(now);
   end.setHours(0, 0, 0, 0);
   // Walk back to most recent scheduled day/hour
-  while (end.getDay() !== recapData.scheduleDay || end > now) {
+  while (end.getDay() !== settings.scheduleDay || end > now) {
     end.setDate(end.getDate() - 1);
   }
-  end.setHours(recapData.scheduleHour, 0, 0, 0);
+  end.setHours(settings.scheduleHour, 0, 0, 0);
   // Setting the hour can push a same-day match into the future (schedule hour
   // hasn't happened yet today) — roll back to the previous scheduled week.
   if (end > now) end.setDate(end.getDate() - 7);
@@ -52,17 +77,23 @@ function getWeekBounds(now = new Date()) {
   return { start, end };
 }
 
-function getCurrentWeekBounds() {
+function getCurrentWeekBounds(settings) {
   // For "current week so far": from last scheduled time to now
   const now = new Date();
-  const { end: lastRecapTime } = getWeekBounds(now);
+  const { end: lastRecapTime } = getWeekBounds(settings, now);
   return { start: lastRecapTime, end: now };
 }
 
-function collectMusicStats(startMs, endMs) {
+// The songs `guildId` played in [startMs, endMs). An entry without a guildId was played before
+// there were several guilds, which makes it the primary guild's.
+function songsPlayedIn(guildId, startMs, endMs) {
   const recentlyPlayed = loadJSON(RECENTLY_PLAYED_FILE) || [];
+  const primary = primaryGuildId();
+  return recentlyPlayed.filter(s => (s.guildId || primary) === guildId && s.playedAt >= startMs && s.playedAt < endMs);
+}
 
-  const weekSongs = recentlyPlayed.filter(s => s.playedAt >= startMs && s.playedAt < endMs);
+function collectMusicStats(guildId, startMs, endMs) {
+  const weekSongs = songsPlayedIn(guildId, startMs, endMs);
 
   if (weekSongs.length === 0) {
     return {
@@ -72,7 +103,8 @@ function collectMusicStats(startMs, endMs) {
       topSongs: [],
       topDJs: [],
       mostActiveDJ: null,
-      mostPlayedSong: null
+      mostPlayedSong: null,
+      skips: null
     };
   }
 
@@ -114,13 +146,28 @@ function collectMusicStats(startMs, endMs) {
     topSongs,
     topDJs,
     mostActiveDJ: topDJs[0] || null,
-    mostPlayedSong: topSongs[0] || null
+    mostPlayedSong: topSongs[0] || null,
+    skips: collectSkipStats(guildId, startMs, endMs)
+  };
+}
+
+// How the week's plays ended, from the play events (playEvents.js). null for a week with none,
+// which is every week from before they were recorded.
+function collectSkipStats(guildId, startMs, endMs) {
+  const summary = summarizePlayEvents(getPlayEvents({ since: startMs, until: endMs, guildId }), { minPlays: 2 });
+  if (summary.totals.plays === 0) return null;
+  const pick = (item) => item && { name: item.title || item.name, skips: item.skips, plays: item.plays };
+  return {
+    ...summary.totals,
+    mostSkippedSong: pick(summary.mostSkippedSong),
+    mostSkippedRequester: pick(summary.mostSkippedRequester)
   };
 }
 
-function collectGameStats() {
+function collectGameStats(guildId) {
   const games = {};
   let totalGamesPlayed = 0;
+  const counted = guildId === primaryGuildId();
 
   const leaderboards = [
     { name: 'pesten', file: PESTEN_LEADERBOARD },
@@ -129,7 +176,7 @@ function collectGameStats() {
   ];
 
   for (const lb of leaderboards) {
-    const current = loadJSON(lb.file);
+    const current = counted ? loadJSON(lb.file) : null;
     const prev = snapshots[lb.name] || { players: {} };
     const players = [];
 
@@ -162,9 +209,8 @@ function collectGameStats() {
   return { ...games, totalGamesPlayed };
 }
 
-function collectActivityStats(startMs, endMs) {
-  const recentlyPlayed = loadJSON(RECENTLY_PLAYED_FILE) || [];
-  const weekSongs = recentlyPlayed.filter(s => s.playedAt >= startMs && s.playedAt < endMs);
+function collectActivityStats(guildId, startMs, endMs) {
+  const weekSongs = songsPlayedIn(guildId, startMs, endMs);
 
   const dayCounts = DAY_NAMES.map(day => ({ day, count: 0 }));
   const hourCounts = Array.from({ length: 24 }, (_, i) => ({ hour: i, count: 0 }));
@@ -186,10 +232,9 @@ function collectActivityStats(startMs, endMs) {
   };
 }
 
-function generateFunStats(music, activity, startMs, endMs, discord) {
+function generateFunStats(guildId, music, activity, startMs, endMs, discord) {
   const facts = [];
-  const recentlyPlayed = loadJSON(RECENTLY_PLAYED_FILE) || [];
-  const weekSongs = recentlyPlayed.filter(s => s.playedAt >= startMs && s.playedAt < endMs);
+  const weekSongs = songsPlayedIn(guildId, startMs, endMs);
 
   // Most repeated song
   if (music.mostPlayedSong && music.mostPlayedSong.count > 1) {
@@ -214,6 +259,18 @@ function generateFunStats(music, activity, startMs, endMs, discord) {
     facts.push(`Radio was the only DJ this week with ${radioSongs} songs`);
   }
 
+  // Skips, where the week's plays were recorded
+  const skips = music.skips;
+  if (skips && skips.plays >= 5) {
+    facts.push(`${Math.round(skips.finishedRate * 100)}% of songs were played to the end; ${skips.earlySkips} got skipped in the first 30 seconds`);
+    if (skips.mostSkippedSong) {
+      facts.push(`Most skipped: "${skips.mostSkippedSong.name}" (${skips.mostSkippedSong.skips} of ${skips.mostSkippedSong.plays} plays)`);
+    }
+    if (skips.mostSkippedRequester) {
+      facts.push(`${skips.mostSkippedRequester.name}'s picks got skipped the most (${skips.mostSkippedRequester.skips} of ${skips.mostSkippedRequester.plays})`);
+    }
+  }
+
   // Peak hour fun fact
   if (activity.peakHour !== undefined) {
     const h = activity.peakHour;
@@ -245,8 +302,8 @@ function generateFunStats(music, activity, startMs, endMs, discord) {
   return facts;
 }
 
-function collectDiscordStats(startMs, endMs) {
-  const { messages, voice } = getDiscordActivity(startMs, endMs);
+function collectDiscordStats(guildId, startMs, endMs) {
+  const { messages, voice } = getDiscordActivity(guildId, startMs, endMs);
   const totalMessages = messages.reduce((sum, m) => sum + m.count, 0);
   const totalVoiceMinutes = voice.reduce((sum, v) => sum + v.minutes, 0);
 
@@ -258,17 +315,18 @@ function collectDiscordStats(startMs, endMs) {
   };
 }
 
-function buildRecap(startMs, endMs) {
-  const music = collectMusicStats(startMs, endMs);
-  const games = collectGameStats();
-  const activity = collectActivityStats(startMs, endMs);
-  const discord = collectDiscordStats(startMs, endMs);
-  const funStats = generateFunStats(music, activity, startMs, endMs, discord);
+function buildRecap(guildId, startMs, endMs) {
+  const music = collectMusicStats(guildId, startMs, endMs);
+  const games = collectGameStats(guildId);
+  const activity = collectActivityStats(guildId, startMs, endMs);
+  const discord = collectDiscordStats(guildId, startMs, endMs);
+  const funStats = generateFunStats(guildId, music, activity, startMs, endMs, discord);
 
   const isEmpty = music.totalSongsPlayed === 0 && games.totalGamesPlayed === 0 && discord.totalMessages === 0 && discord.totalVoiceMinutes === 0;
 
   return {
     id: `recap_${endMs}`,
+    guildId,
     weekStart: startMs,
     weekEnd: endMs,
     generatedAt: Date.now(),
@@ -398,62 +456,66 @@ export function buildDiscordEmbed(recap) {
   return embed;
 }
 
-async function postRecapToChannel(recap) {
-  if (!discordClient || !recapData.channelId) return;
+async function postRecapToChannel(guildId, recap) {
+  const { channelId } = guildRecaps(guildId);
+  if (!discordClient || !channelId) return;
 
   try {
-    const channel = await discordClient.channels.fetch(recapData.channelId);
-    if (channel) {
+    const channel = await discordClient.channels.fetch(channelId);
+    // A channel ID pasted from another server would post one guild's week into the other's chat
+    if (channel && channel.guildId === guildId) {
       const embed = buildDiscordEmbed(recap);
       await channel.send({ embeds: [embed] });
-      console.log('[WeeklyRecap] Posted recap to channel', recapData.channelId);
+      console.log(`[WeeklyRecap] Posted ${guildId}'s recap to channel`, channelId);
     }
   } catch (e) {
     console.error('[WeeklyRecap] Error posting recap:', e.message);
   }
 }
 
-async function fireRecap() {
+async function fireRecap(guildId) {
   try {
-    console.log('[WeeklyRecap] Generating scheduled recap...');
+    console.log(`[WeeklyRecap] Generating ${guildId}'s scheduled recap...`);
+    const settings = guildRecaps(guildId);
     const now = new Date();
     const end = new Date(now);
-    end.setHours(recapData.scheduleHour, 0, 0, 0);
+    end.setHours(settings.scheduleHour, 0, 0, 0);
     const start = new Date(end);
     start.setDate(start.getDate() - 7);
 
-    const recap = buildRecap(start.getTime(), end.getTime());
+    const recap = buildRecap(guildId, start.getTime(), end.getTime());
 
     // Store the recap, capped to the last 26 weeks
-    recapData.recaps.push(recap);
-    if (recapData.recaps.length > 26) {
-      recapData.recaps = recapData.recaps.slice(-26);
+    settings.recaps.push(recap);
+    if (settings.recaps.length > 26) {
+      settings.recaps = settings.recaps.slice(-26);
     }
     saveRecaps();
 
-    // Snapshot leaderboards for next week's delta
-    snapshotLeaderboards();
+    // Snapshot leaderboards for next week's delta - the primary guild's recap is the one that
+    // counts the games, so its week is the one the delta is over
+    if (guildId === primaryGuildId()) snapshotLeaderboards();
 
     // Post to Discord
-    await postRecapToChannel(recap);
+    await postRecapToChannel(guildId, recap);
   } catch (e) {
-    console.error('[WeeklyRecap] Error generating scheduled recap:', e.message);
+    console.error(`[WeeklyRecap] Error generating ${guildId}'s scheduled recap:`, e.message);
   } finally {
     // Schedule next — always, even if the run above failed
-    scheduleNext();
+    scheduleNext(guildId);
   }
 }
 
-function msUntilNext() {
+function msUntilNext(settings) {
   const now = new Date();
   const next = new Date(now);
 
   // Set to scheduled hour
-  next.setHours(recapData.scheduleHour, 0, 0, 0);
+  next.setHours(settings.scheduleHour, 0, 0, 0);
 
   // Set to the scheduled day of week
   const currentDay = next.getDay();
-  let daysUntil = recapData.scheduleDay - currentDay;
+  let daysUntil = settings.scheduleDay - currentDay;
   if (daysUntil < 0) daysUntil += 7;
   if (daysUntil === 0 && next <= now) daysUntil = 7;
   next.setDate(next.getDate() + daysUntil);
@@ -461,27 +523,31 @@ function msUntilNext() {
   return next.getTime() - now.getTime();
 }
 
-function scheduleNext() {
-  if (scheduleTimeout) {
-    clearTimeout(scheduleTimeout);
-    scheduleTimeout = null;
-  }
+function clearSchedule(guildId) {
+  const timeout = scheduleTimeouts.get(guildId);
+  if (timeout) clearTimeout(timeout);
+  scheduleTimeouts.delete(guildId);
+}
 
-  const ms = msUntilNext();
+function scheduleNext(guildId) {
+  clearSchedule(guildId);
+
+  const settings = guildRecaps(guildId);
+  const ms = msUntilNext(settings);
   const hours = Math.round(ms / 3600000);
-  console.log(`[WeeklyRecap] Next recap in ~${hours} hours (${DAY_NAMES[recapData.scheduleDay]} ${recapData.scheduleHour}:00)`);
+  console.log(`[WeeklyRecap] Next recap for ${guildId} in ~${hours} hours (${DAY_NAMES[settings.scheduleDay]} ${settings.scheduleHour}:00)`);
 
-  scheduleTimeout = setTimeout(fireRecap, ms);
+  scheduleTimeouts.set(guildId, setTimeout(() => fireRecap(guildId), ms));
 }
 
 // Wraps scheduleNext() so a startup failure (e.g. bad scheduleDay/Hour data)
 // doesn't leave the recap scheduler permanently dead — retries in 1h.
-function scheduleNextSafe() {
+function scheduleNextSafe(guildId) {
   try {
-    scheduleNext();
+    scheduleNext(guildId);
   } catch (e) {
-    console.error('[WeeklyRecap] Failed to schedule next recap, retrying in 1h:', e.message);
-    scheduleTimeout = setTimeout(scheduleNextSafe, 60 * 60 * 1000);
+    console.error(`[WeeklyRecap] Failed to schedule ${guildId}'s next recap, retrying in 1h:`, e.message);
+    scheduleTimeouts.set(guildId, setTimeout(() => scheduleNextSafe(guildId), 60 * 60 * 1000));
   }
 }
 
@@ -490,11 +556,13 @@ function scheduleNextSafe() {
 export function initWeeklyRecap(client) {
   discordClient = client;
 
-  // Load stored data
-  const stored = loadJSON(RECAPS_FILE);
-  if (stored) {
-    recapData = { channelId: null, scheduleDay: 0, scheduleHour: 0, recaps: [], ...stored };
+  // Load stored data, turning a file from before there were several guilds into the primary's
+  const { guilds, migrated } = guildKeyed(loadJSON(RECAPS_FILE), raw => 'recaps' in raw || 'channelId' in raw);
+  recapData = { guilds: {} };
+  for (const [guildId, stored] of Object.entries(guilds)) {
+    recapData.guilds[guildId] = { channelId: null, scheduleDay: 0, scheduleHour: 0, recaps: [], ...stored };
   }
+  if (migrated) saveRecaps();
 
   const storedSnapshots = loadJSON(SNAPSHOTS_FILE);
   if (storedSnapshots) {
@@ -504,29 +572,27 @@ export function initWeeklyRecap(client) {
     snapshotLeaderboards();
   }
 
-  scheduleNextSafe();
+  for (const guildId of configuredGuildIds()) scheduleNextSafe(guildId);
   console.log('[WeeklyRecap] Initialized');
 }
 
 export function stopWeeklyRecap() {
-  if (scheduleTimeout) {
-    clearTimeout(scheduleTimeout);
-    scheduleTimeout = null;
-  }
+  for (const guildId of [...scheduleTimeouts.keys()]) clearSchedule(guildId);
 }
 
-export function generateCurrentRecap() {
-  const { start, end } = getCurrentWeekBounds();
-  return buildRecap(start.getTime(), end.getTime());
+export function generateCurrentRecap(guildId) {
+  const { start, end } = getCurrentWeekBounds(getRecapSettings(guildId));
+  return buildRecap(guildId, start.getTime(), end.getTime());
 }
 
-export function getLatestRecap() {
-  if (recapData.recaps.length === 0) return null;
-  return recapData.recaps[recapData.recaps.length - 1];
+export function getLatestRecap(guildId) {
+  const recaps = recapsOf(guildId);
+  if (recaps.length === 0) return null;
+  return recaps[recaps.length - 1];
 }
 
-export function getRecaps() {
-  return recapData.recaps.map(r => ({
+export function getRecaps(guildId) {
+  return recapsOf(guildId).map(r => ({
     id: r.id,
     weekStart: r.weekStart,
     weekEnd: r.weekEnd,
@@ -535,31 +601,35 @@ export function getRecaps() {
   }));
 }
 
-export function getRecap(id) {
-  return recapData.recaps.find(r => r.id === id) || null;
+export function getRecap(guildId, id) {
+  return recapsOf(guildId).find(r => r.id === id) || null;
 }
 
-export function setRecapChannel(channelId) {
-  recapData.channelId = channelId;
+export function setRecapChannel(guildId, channelId) {
+  guildRecaps(guildId).channelId = channelId;
   saveRecaps();
+  // A guild configured since startup has nothing scheduled yet
+  if (discordClient && !scheduleTimeouts.has(guildId)) scheduleNextSafe(guildId);
   return { success: true };
 }
 
-export function setRecapSchedule(day, hour) {
+export function setRecapSchedule(guildId, day, hour) {
   if (day < 0 || day > 6) return { success: false, error: 'Day must be 0-6 (Sun-Sat)' };
   if (hour < 0 || hour > 23) return { success: false, error: 'Hour must be 0-23' };
-  recapData.scheduleDay = day;
-  recapData.scheduleHour = hour;
+  const settings = guildRecaps(guildId);
+  settings.scheduleDay = day;
+  settings.scheduleHour = hour;
   saveRecaps();
-  scheduleNext();
+  scheduleNext(guildId);
   return { success: true, day: DAY_NAMES[day], hour };
 }
 
-export function getRecapSettings() {
+export function getRecapSettings(guildId) {
+  const settings = recapData.guilds[guildId] || { channelId: null, scheduleDay: 0, scheduleHour: 0 };
   return {
-    channelId: recapData.channelId,
-    scheduleDay: recapData.scheduleDay,
-    scheduleHour: recapData.scheduleHour,
-    scheduleDayName: DAY_NAMES[recapData.scheduleDay]
+    channelId: settings.channelId,
+    scheduleDay: settings.scheduleDay,
+    scheduleHour: settings.scheduleHour,
+    scheduleDayName: DAY_NAMES[settings.scheduleDay]
   };
 }
@@ -15,6 +15,7 @@
   var ICON_TWITCH = '<svg style="width:16px;height:16px;" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 2H3v16h5v4l4-4h5l4-4V2z"/><path d="M10 6v6"/><path d="M14 6v6"/></svg>';
   var ICON_RECAP = '<svg style="width:16px;height:16px;" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="4" width="18" height="18" rx="2" ry="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/></svg>';
   var ICON_OSRS = '<svg style="width:16px;height:16px;" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 2L2 7l10 5 10-5-10-5z"/><path d="M2 17l10 5 10-5"/><path d="M2 12l10 5 10-5"/></svg>';
+  var ICON_VOICE = '<svg style="width:16px;height:16px;" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 1a3 3 0 0 0-3 3v8a3 3 0 0 0 6 0V4a3 3 0 0 0-3-3z"/><path d="M19 10v2a7 7 0 0 1-14 0v-2"/><line x1="12" y1="19" x2="12" y2="23"/></svg>';
   var ICON_ADMIN = '<svg style="width:16px;height:16px;" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="3"/><path d="M12 1v2M12 21v2M4.22 4.22l1.42 1.42M18.36 18.36l1.42 1.42M1 12h2M21 12h2M4.22 19.78l1.42-1.42M18.36 5.64l1.42-1.42"/></svg>';
 
   // Superset of every page's dropdown nav (built from index.html's, which was the most complete).
@@ -31,10 +32,50 @@
     { page: 'twitch', href: '/twitch', label: 'Twitch Alerts', icon: ICON_TWITCH },
     { page: 'recap', href: '/recap', label: 'Weekly Recap', icon: ICON_RECAP },
     { page: 'osrs', href: '/osrs', label: 'Runescape Tracker', icon: ICON_OSRS },
+    { page: 'voice', href: '/voice', label: 'Voice History', icon: ICON_VOICE, admin: true },
     { page: 'admin', href: '/admin', label: 'Bot Settings', icon: ICON_ADMIN, admin: true },
     { page: 'logout', href: '/logout', label: 'Logout', logout: true }
   ];
 
+  var ICON_SERVER = '<svg style="width:16px;height:16px;" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="2" y="3" width="20" height="8" rx="2"/><rect x="2" y="13" width="20" height="8" rx="2"/><line x1="6" y1="7" x2="6.01" y2="7"/><line x1="6" y1="17" x2="6.01" y2="17"/></svg>';
+
+  // The servers this person may switch the dashboard between, at the top of the dropdown. Only
+  // drawn with more than one: somebody in a single server never sees a choice to make. Picking
+  // one saves it on the session and reloads, so the page and its socket start over on that
+  // server's queue, stats and roles.
+  function renderGuildPicker(mount) {
+    fetch('/api/guilds').then(function (r) {
+      return r.ok ? r.json() : null;
+    }).then(function (info) {
+      if (!info || !info.guilds || info.guilds.length < 2) return;
+      var items = info.guilds.map(function (g) {
+        var current = g.id === info.selected;
+        return '<a href="#" class="user-dropdown-item jb-guild' + (current ? ' active' : '') + '" data-guild-id="' +
+          window.JB.escapeHtml(g.id) + '">' + ICON_SERVER + window.JB.escapeHtml(g.name) + (current ? ' ✓' : '') + '</a>';
+      }).join('');
+      mount.insertAdjacentHTML('afterbegin', items + '<div class="jb-guild-divider" style="height:1px;margin:4px 0;background:rgba(255,255,255,0.1);"></div>');
+      mount.querySelectorAll('.jb-guild').forEach(function (link) {
+        link.addEventListener('click', function (e) {
+          e.preventDefault();
+          var guildId = link.getAttribute('data-guild-id');
+          if (guildId === info.selected) return;
+          fetch('/api/guilds/select', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ guildId: guildId })
+          }).then(function (r) {
+            return r.json().then(function (body) {
+              if (!r.ok) throw new Error(body.error || 'Could not switch servers.');
+              window.location.reload();
+            });
+          }).catch(function (err) {
+            window.JB.toast(err.message, 'error');
+          });
+        });
+      });
+    }).catch(function () {});
+  }
+
   var navToggleBound = false;
   function bindNavToggle() {
     if (navToggleBound) return;
@@ -149,8 +190,10 @@
       };
     },
 
-    // Renders the shared dropdown nav into #jb-nav, marks activePage, and shows the Admin
-    // link only when /api/me reports the control-panel flag. Redirects to /login on 401.
+    // Renders the shared dropdown nav into #jb-nav, marks activePage, and shows the admin
+    // links only when /api/me reports the control-panel flag. Redirects to /login on 401.
+    // Bot Settings keeps its #adminLink id: pages that predate this still unhide it by id.
+    // Someone in more than one of the bot's servers also gets the server picker on top.
     initNav: function (activePage) {
       var mount = document.getElementById('jb-nav');
       if (!mount) return;
@@ -159,7 +202,8 @@
         var classes = 'user-dropdown-item';
         if (item.page === activePage) classes += ' active';
         if (item.logout) classes += ' logout';
-        var idAttr = item.admin ? ' id="adminLink" style="display:none"' : '';
+        if (item.admin) classes += ' jb-admin-link';
+        var idAttr = item.admin ? (item.page === 'admin' ? ' id="adminLink"' : '') + ' style="display:none"' : '';
         var icon = item.icon || '';
         return '<a href="' + item.href + '" class="' + classes + '"' + idAttr + '>' + icon + item.label + '</a>';
       }).join('');
@@ -168,9 +212,9 @@
 
       this.me().then(function (user) {
         if (user && user.hasControlPanel) {
-          var al = document.getElementById('adminLink');
-          if (al) al.style.display = '';
+          mount.querySelectorAll('.jb-admin-link').forEach(function (link) { link.style.display = ''; });
         }
+        renderGuildPicker(mount);
       }).catch(function () {
         window.location.href = '/login';
       });
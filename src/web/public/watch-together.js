@@ -6,7 +6,8 @@
  * with the server's playback position. Video starts muted; users can
  * unmute via YouTube's built-in controls.
  *
- * Includes theater mode for a larger viewing experience.
+ * Includes theater mode for a larger viewing experience, and a caption line for the
+ * synced lyrics the dashboard pushes in with setCaption().
  *
  * All DOM mutations use textContent (never innerHTML) to prevent XSS.
  */
@@ -74,6 +75,17 @@
       '  animation: wtSpin 0.8s linear infinite;',
       '}',
       '@keyframes wtSpin { to { transform: rotate(360deg); } }',
+      /* -- Lyrics caption -- */
+      '.wt-caption {',
+      '  position: absolute; left: 50%; bottom: 12%; z-index: 4;',
+      '  transform: translateX(-50%); max-width: 90%;',
+      '  padding: 6px 14px; border-radius: 6px;',
+      '  background: rgba(0,0,0,0.65); color: #fff;',
+      '  font-size: 18px; font-weight: 600; text-align: center;',
+      '  pointer-events: none;',
+      '}',
+      '.wt-theater-player .wt-caption { font-size: 26px; }',
+      '.wt-caption:empty { display: none; }',
       '.wt-error {',
       '  position: absolute; inset: 0; z-index: 3;',
       '  display: flex; align-items: center; justify-content: center;',
@@ -98,6 +110,7 @@
   var lastSyncPosition = null;
   var lastSyncPlaying = null;
   var lastSyncPaused = null;
+  var captionText = '';
 
   var DRIFT_TOLERANCE = 1; // seconds
 
@@ -170,6 +183,26 @@
     for (var i = 0; i < els.length; i++) els[i].remove();
   }
 
+  // The caption goes on whichever player is showing, inline or theater; both are rebuilt from
+  // scratch when switching, so it is put back each time
+  function renderCaption() {
+    var hosts = document.querySelectorAll('.wt-player-wrap, .wt-theater-player');
+    for (var i = 0; i < hosts.length; i++) {
+      var caption = hosts[i].querySelector('.wt-caption');
+      if (!caption) {
+        caption = document.createElement('div');
+        caption.className = 'wt-caption';
+        hosts[i].appendChild(caption);
+      }
+      caption.textContent = captionText;
+    }
+  }
+
+  function setCaption(text) {
+    captionText = text || '';
+    renderCaption();
+  }
+
   function updateTheaterButton() {
     var btn = document.getElementById('theaterBtn');
     if (btn) btn.style.display = active ? '' : 'none';
@@ -212,6 +245,7 @@
     wrap.appendChild(playerDiv);
     backdrop.appendChild(wrap);
     document.body.appendChild(backdrop);
+    renderCaption();
 
     player = new YT.Player('wt-yt-player', {
       videoId: currentVideoId,
@@ -296,6 +330,7 @@
     playerDiv.id = 'wt-yt-player';
     wrap.appendChild(playerDiv);
     c.appendChild(wrap);
+    renderCaption();
 
     var seekTo = (startAt != null && startAt > 0) ? startAt : lastSyncPosition;
 
@@ -462,6 +497,7 @@
     init: init,
     loadVideo: loadVideo,
     syncState: syncState,
+    setCaption: setCaption,
     destroy: destroy,
     isActive: isActive,
     toggle: toggle,
@@ -11,12 +11,14 @@ import { dirname, join } from 'path';
 import ytDlpPkg from 'yt-dlp-exec';
 import spotifyUrlInfo from 'spotify-url-info';
 import { fetch } from 'undici';
-import { getRecentlyPlayed, getListeningStats, getVoiceChannelMembers, getMemberDisplayName, setSleepTimer, cancelSleepTimer, applyMixerFilters, getMusicSettings, pickRadioTrack, getQueue, RADIO_MEMORY_SIZE } from '../utils/musicQueue.js';
+import { getRecentlyPlayed, getListeningStats, getVoiceChannelMembers, getMemberDisplayName, setSleepTimer, cancelSleepTimer, applyMixerFilters, getMixerFilters, getMusicSettings, setVoteSkipSettings, setRadioSettings, setQueueGuardrails, getQueueGuardrails, pickRadioTrack, getQueue, RADIO_MEMORY_SIZE } from '../utils/musicQueue.js';
 import { createRoom, getRoom, deleteRoom, getRoomList, getLeaderboard, Player, setActivityLogger as setPictionaryActivityLogger } from '../utils/pictionaryGame.js';
 import { createRoom as createHitsterRoom, getRoom as getHitsterRoom, deleteRoom as deleteHitsterRoom, getRoomList as getHitsterRoomList, getLeaderboard as getHitsterLeaderboard } from '../utils/hitsterGame.js';
 import { createRoom as createPestenRoom, getRoom as getPestenRoom, deleteRoom as deletePestenRoom, getRoomList as getPestenRoomList, getLeaderboard as getPestenLeaderboard } from '../utils/pestenGame.js';
 import { getTrackerData, getPlayerInactivity, addPlayerByUsername, removePlayerByUsername } from '../utils/osrsTracker.js';
-import { createPlaylist, deletePlaylist, renamePlaylist, addSong, removeSong, reorderSong, reorderPlaylist, getPlaylists, getPlaylist } from '../utils/playlists.js';
+import { createPlaylist, deletePlaylist, renamePlaylist, addSong, addSongs, removeSong, reorderSong, reorderPlaylist, getPlaylists, getPlaylist, setPlaylistSharing, addPlaylistEditor, removePlaylistEditor, setPlaylistChangeListener } from '../utils/playlists.js';
+import { addSchedule, getUserSchedules, cancelSchedule } from '../utils/playlistScheduler.js';
+import { PLAYLIST_EXPORT_FORMATS, exportPlaylistJson, exportPlaylistM3u, exportFilename, parsePlaylistFile } from '../utils/playlistFormats.js';
 import { getTrackerData as getTwitchTrackerData, addStreamer as addTwitchStreamer, removeStreamer as removeTwitchStreamer, subscribeUser as twitchSubscribeUser, unsubscribeUser as twitchUnsubscribeUser, setNotificationChannel as setTwitchNotificationChannel } from '../utils/twitchTracker.js';
 import { getLatestRecap, getRecaps, getRecap, generateCurrentRecap, getRecapSettings, setRecapChannel, setRecapSchedule } from '../utils/weeklyRecap.js';
 import { getBirthdays, getBirthdayChannel, setBirthdayChannel } from '../utils/birthdayTracker.js';
@@ -31,7 +33,21 @@ import { platform } from 'os';
 import { existsSync } from 'fs';
 import { execSync } from 'child_process';
 import { randomBytes } from 'node:crypto';
-import { isAllowedMediaUrl, sanitizeSearchQuery } from '../utils/urlValidation.js';
+import { isAllowedMediaUrl, sanitizeSearchQuery, youtubeVideoId } from '../utils/urlValidation.js';
+import { getStoredLoudness } from '../utils/loudnessStore.js';
+import { presetFilters, GRAPHIC_EQ_BANDS, listMixerProfiles, getMixerProfile, saveMixerProfile, deleteMixerProfile, cleanProfileName } from '../utils/mixerProfiles.js';
+import { getPlayEvents, summarizePlayEvents } from '../utils/playEvents.js';
+import { getLyrics } from '../utils/lyrics.js';
+import { parseStatsQuery, queryPlayHistory, buildWrapped } from '../utils/statsHistory.js';
+import { getAudioCacheStats, setAudioCacheMaxMB, purgeAudioCache, MAX_AUDIO_CACHE_MAX_MB } from '../utils/audioCache.js';
+import { searchLocalLibrary, isLocalTrackUrl, getLocalTrack, localTrackToSong, displayTitle, localTrackUrl } from '../utils/localLibrary.js';
+import { channelInfo, guardrailsNeedVideoInfo, MAX_GUARDRAIL_DURATION_MIN, MAX_GUARDRAIL_PENDING } from '../utils/queueGuardrails.js';
+import { parseChapters, playRange, playRangeFromUrl } from '../utils/chapters.js';
+import { takeRateLimit, QUEUE_ADD_LIMIT } from '../utils/rateLimiter.js';
+import { listQueueSnapshots, getQueueSnapshot, saveQueueSnapshot, deleteQueueSnapshot, describeSnapshot, snapshotSongs } from '../utils/queueSnapshots.js';
+import { primaryGuildId, configuredGuildIds, getGuildSettings, setGuildSettings, memberRoleFlags, GUILD_SETTING_KEYS } from '../utils/guilds.js';
+import { getVoiceHistory, voiceHistoryUsers, deleteVoiceHistory, summarizeVoiceHistory, VOICE_OUTCOMES, MAX_VOICE_HISTORY, VOICE_HISTORY_MAX_AGE_DAYS } from '../utils/voiceHistory.js';
+import { getVoiceTuning } from '../utils/voiceAssistant.js';
 
 // Detect system yt-dlp for Linux
 let ytDlpExec = ytDlpPkg;
@@ -121,10 +137,18 @@ function extractVideoId(url) {
 const getClientId = () => process.env.CLIENT_ID;
 const getClientSecret = () => process.env.CLIENT_SECRET;
 const getRedirectUri = () => process.env.OAUTH_REDIRECT_URI || 'http://localhost:3001/auth/discord/callback';
-const getRequiredRoleId = () => process.env.REQUIRED_ROLE_ID || '1462395138776236134';
-const getRequiredGuildId = () => process.env.GUILD_ID || '918554414220972032';
-const DJ_ROLE_ID = process.env.DJ_ROLE_ID || '1467139293586653339'; // "Website DJ Extraordinaire"
-const CONTROL_PANEL_ROLE_ID = '1470048168543653919'; // "Control Panel"
+
+// The guild a request is about: the one picked in the dashboard's guild picker, or the primary
+// guild for a session from before there was a picker. Which roles count (access, DJ, Control
+// Panel) is that guild's to say - see guilds.js.
+function sessionGuildId(req) {
+  return req.session?.user?.guildId || primaryGuildId();
+}
+
+// The same for a dashboard socket, which carries the session's user from when it connected
+function socketGuildId(ws) {
+  return ws?.user?.guildId || primaryGuildId();
+}
 
 const app = express();
 const server = createServer(app);
@@ -174,16 +198,13 @@ app.use((req, res, next) => {
   next();
 });
 
-// Tiny in-memory sliding-window rate limiter, keyed per user (or IP if logged out)
-const rateBuckets = new Map(); // key -> [timestamps]
+// Tiny in-memory sliding-window rate limiter, keyed per user (or IP if logged out). The buckets
+// are rateLimiter.js's, so the Discord side's song adds count against the same ones.
 function rateLimit(name, maxHits, windowMs) {
   return (req, res, next) => {
-    const key = `${name}:${req.session?.user?.id || req.ip}`;
-    const now = Date.now();
-    const hits = (rateBuckets.get(key) || []).filter(t => now - t < windowMs);
-    if (hits.length >= maxHits) return res.status(429).json({ error: 'Rate limit exceeded' });
-    hits.push(now);
-    rateBuckets.set(key, hits);
+    if (!takeRateLimit(name, req.session?.user?.id || req.ip, maxHits, windowMs)) {
+      return res.status(429).json({ error: 'Rate limit exceeded' });
+    }
     next();
   };
 }
@@ -200,15 +221,23 @@ const hitsterClients = new Map();
 // Store pesten room clients (roomId -> Set of ws)
 const pestenClients = new Map();
 
-// Store current state
-let currentState = {
-  currentSong: null,
-  queue: [],
-  isPlaying: false,
-  isPaused: false,
-  volume: 1.0,
-  guildName: ''
-};
+// Store current state, per guild: guildId -> what that guild's dashboards were last sent
+const guildStates = new Map();
+
+function emptyState() {
+  return {
+    currentSong: null,
+    queue: [],
+    isPlaying: false,
+    isPaused: false,
+    volume: 1.0,
+    guildName: ''
+  };
+}
+
+function stateFor(guildId) {
+  return guildStates.get(guildId) || emptyState();
+}
 
 // Authentication middleware
 function requireAuth(req, res, next) {
@@ -282,26 +311,35 @@ app.get('/auth/discord/callback', async (req, res) => {
     });
     const userData = await userResponse.json();
 
-    // Get user's guild member info to check roles
-    const memberResponse = await fetch(`https://discord.com/api/users/@me/guilds/${getRequiredGuildId()}/member`, {
-      headers: { Authorization: `Bearer ${accessToken}` }
-    });
-
-    let hasAccess = false;
-    let hasDJRole = false;
-    let hasControlPanel = false;
-    let serverNickname = null;
-
-    if (memberResponse.ok) {
+    // Get the user's member info in every guild the bot runs in, to check roles there. The
+    // OAuth member object has roles but no permissions, so whether they can manage the server
+    // (the Control Panel, where a guild has no Control Panel role) is asked of the bot instead.
+    const guilds = {};
+    const nicknames = {};
+    for (const guildId of configuredGuildIds()) {
+      const memberResponse = await fetch(`https://discord.com/api/users/@me/guilds/${guildId}/member`, {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+      if (!memberResponse.ok) continue;
       const memberData = await memberResponse.json();
-      // Check if user has the required role
-      hasAccess = memberData.roles && memberData.roles.includes(getRequiredRoleId());
-      hasDJRole = memberData.roles && memberData.roles.includes(DJ_ROLE_ID);
-      hasControlPanel = memberData.roles && memberData.roles.includes(CONTROL_PANEL_ROLE_ID);
+      let manageGuild = false;
+      if (memberFetcher) {
+        try { manageGuild = (await memberFetcher(userData.id, guildId))?.manageGuild === true; } catch (e) { /* not in the bot's cache */ }
+      }
+      const flags = memberRoleFlags(guildId, { roles: memberData.roles, manageGuild });
+      if (!flags.hasAccess) continue;
+      guilds[guildId] = flags;
       // Get server nickname if set
-      serverNickname = memberData.nick;
+      nicknames[guildId] = memberData.nick;
     }
 
+    // The dashboard opens on the primary guild when they may use it there, or else the first
+    // guild that lets them in
+    const accessible = Object.keys(guilds);
+    const guildId = guilds[primaryGuildId()] ? primaryGuildId() : (accessible[0] || null);
+    const hasAccess = guildId !== null;
+    const serverNickname = guildId ? nicknames[guildId] : null;
+
     // Display name priority: server nickname > global display name > username
     const displayName = serverNickname || userData.global_name || userData.username;
 
@@ -314,8 +352,12 @@ app.get('/auth/discord/callback', async (req, res) => {
       discriminator: userData.discriminator,
       avatar: userData.avatar,
       hasAccess: hasAccess,
-      hasDJRole: hasDJRole,
-      hasControlPanel: hasControlPanel
+      // The guilds they may use the dashboard in, and what they may do in each
+      guilds,
+      guildId,
+      // The selected guild's, for everything that reads them off the session
+      hasDJRole: guildId ? guilds[guildId].hasDJRole : false,
+      hasControlPanel: guildId ? guilds[guildId].hasControlPanel : false
     };
 
     req.session.regenerate((regenerateErr) => {
@@ -398,11 +440,12 @@ app.get('/api/me', async (req, res) => {
     // Try to get fresh nickname and roles from Discord bot
     if (memberFetcher && user.id) {
       try {
-        const memberData = await memberFetcher(user.id);
+        const memberData = await memberFetcher(user.id, sessionGuildId(req));
         if (memberData) {
+          const flags = memberRoleFlags(sessionGuildId(req), memberData);
           user.displayName = memberData.nickname || memberData.globalName || user.username;
-          user.hasDJRole = memberData.roles && memberData.roles.includes(DJ_ROLE_ID);
-          user.hasControlPanel = memberData.roles && memberData.roles.includes(CONTROL_PANEL_ROLE_ID);
+          user.hasDJRole = flags.hasDJRole;
+          user.hasControlPanel = flags.hasControlPanel;
           req.session.user.displayName = user.displayName;
           req.session.user.hasDJRole = user.hasDJRole;
           req.session.user.hasControlPanel = user.hasControlPanel;
@@ -447,14 +490,85 @@ app.get('/watch-together.js', (req, res) => {
 // Serve shared frontend scripts (e.g. common.js)
 app.use('/js', express.static(join(__dirname, 'public', 'js')));
 
-// API endpoint to get current state
+// API endpoint to get current state - the selected guild's
 app.get('/api/state', (req, res) => {
-  res.json(currentState);
+  res.json(stateFor(sessionGuildId(req)));
 });
 
-// API endpoint to get listening stats
+// The guilds the user may switch the dashboard to, for the guild picker
+app.get('/api/guilds', (req, res) => {
+  const user = req.session.user;
+  // A session from before there was a picker knows only the primary guild
+  const ids = user.guilds ? Object.keys(user.guilds) : [primaryGuildId()];
+  const guilds = ids.map(id => {
+    const guild = discordClientRef?.guilds.cache.get(id);
+    return {
+      id,
+      name: guild?.name || stateFor(id).guildName || id,
+      icon: guild?.iconURL({ size: 64 }) || null
+    };
+  });
+  res.json({ selected: sessionGuildId(req), guilds });
+});
+
+// Switch the dashboard to another guild. Only to one the login found them allowed in; the page
+// reloads afterwards, so its socket reconnects with the new guild on the session.
+app.post('/api/guilds/select', (req, res) => {
+  const guildId = req.body?.guildId;
+  const flags = typeof guildId === 'string' ? req.session.user.guilds?.[guildId] : null;
+  if (!flags) return res.status(403).json({ error: 'You do not have access to that server.' });
+  req.session.user.guildId = guildId;
+  req.session.user.hasDJRole = flags.hasDJRole;
+  req.session.user.hasControlPanel = flags.hasControlPanel;
+  req.session.save(err => {
+    if (err) return res.status(500).json({ error: 'Could not switch servers.' });
+    res.json({ success: true, guildId });
+  });
+});
+
+// How plays end, from the play events: skip rates, completion curves and whose picks get
+// skipped. Only songs with a few plays are ranked, or every one-off skip would top the list.
+function skipStats(summary) {
+  return {
+    totals: summary.totals,
+    curve: summary.curve,
+    mostSkippedSongs: summary.songs
+      .filter(song => song.plays >= 3 && song.skips > 0)
+      .sort((a, b) => b.skipRate - a.skipRate || b.skips - a.skips)
+      .slice(0, 10),
+    requesters: summary.requesters.slice(0, 20),
+    mostSkippedRequester: summary.mostSkippedRequester
+  };
+}
+
+const STATS_QUERY_PARAMS = ['from', 'to', 'user', 'song', 'bucket'];
+
+// API endpoint to get listening stats. All-time figures come from the running totals; asked
+// for a date range, a user or a song (see parseStatsQuery), they are worked out from the play
+// history instead, with a timeline of plays per day, week or month.
 app.get('/api/stats', (req, res) => {
-  const stats = getListeningStats();
+  // Each song's measured loudness, where one has been measured (see loudnessStore.js)
+  const loudness = getStoredLoudness();
+  const withLoudness = (song) => ({ ...song, loudness: loudness[youtubeVideoId(song.url)] || null });
+
+  if (STATS_QUERY_PARAMS.some(p => req.query[p] !== undefined && req.query[p] !== '')) {
+    const query = parseStatsQuery(req.query);
+    if (query.error) return res.status(400).json({ error: query.error });
+    const history = queryPlayHistory(getPlayEvents({ guildId: sessionGuildId(req) }), query);
+    return res.json({
+      range: history.range,
+      timeline: history.timeline,
+      topUsers: history.topUsers,
+      topSongs: history.topSongs.map(withLoudness),
+      skips: skipStats(history.skips),
+      totalSongsPlayed: history.totals.plays,
+      totalListeningTime: history.totals.listeningTime,
+      uniqueUsers: history.totals.uniqueUsers,
+      uniqueSongs: history.totals.uniqueSongs
+    });
+  }
+
+  const stats = getListeningStats(sessionGuildId(req));
   
   // Process stats for the frontend
   const topUsers = Object.entries(stats.users || {})
@@ -472,11 +586,13 @@ app.get('/api/stats', (req, res) => {
       ...data
     }))
     .sort((a, b) => (b.totalListeningTime || 0) - (a.totalListeningTime || 0))
-    .slice(0, 50);
-  
+    .slice(0, 50)
+    .map(withLoudness);
+
   res.json({
     topUsers,
     topSongs,
+    skips: skipStats(summarizePlayEvents(getPlayEvents({ guildId: sessionGuildId(req) }))),
     totalSongsPlayed: stats.totalSongsPlayed || 0,
     totalListeningTime: stats.totalListeningTime || 0,
     uniqueUsers: Object.keys(stats.users || {}).length,
@@ -484,6 +600,19 @@ app.get('/api/stats', (req, res) => {
   });
 });
 
+// "Jerry Wrapped": a year in headline figures, for the server or with ?user= for one listener
+app.get('/api/stats/wrapped', (req, res) => {
+  const thisYear = new Date().getFullYear();
+  const year = req.query.year === undefined ? thisYear : Number(req.query.year);
+  if (!Number.isInteger(year) || year < 2000 || year > thisYear) {
+    return res.status(400).json({ error: 'Invalid year.' });
+  }
+  const userId = typeof req.query.user === 'string' && req.query.user ? req.query.user.slice(0, 32) : null;
+  const wrapped = buildWrapped(getPlayEvents({ guildId: sessionGuildId(req) }), year, { userId });
+  if (!wrapped) return res.status(404).json({ error: `No plays recorded in ${year}.` });
+  res.json(wrapped);
+});
+
 // Serve stats page
 app.get('/stats', requireAuth, (req, res) => {
   res.sendFile(join(__dirname, 'public', 'stats.html'));
@@ -565,8 +694,8 @@ app.post('/api/twitch/streamers/add', async (req, res) => {
   let hasDJ = req.session?.user?.hasDJRole;
   if (memberFetcher && req.session?.user?.id) {
     try {
-      const memberData = await memberFetcher(req.session.user.id);
-      hasDJ = memberData?.roles?.includes(DJ_ROLE_ID) || false;
+      const memberData = await memberFetcher(req.session.user.id, sessionGuildId(req));
+      hasDJ = memberRoleFlags(sessionGuildId(req), memberData).hasDJRole;
     } catch (e) {
       return res.status(403).json({ error: 'DJ role required' });
     }
@@ -583,8 +712,8 @@ app.post('/api/twitch/streamers/remove', async (req, res) => {
   let hasDJ = req.session?.user?.hasDJRole;
   if (memberFetcher && req.session?.user?.id) {
     try {
-      const memberData = await memberFetcher(req.session.user.id);
-      hasDJ = memberData?.roles?.includes(DJ_ROLE_ID) || false;
+      const memberData = await memberFetcher(req.session.user.id, sessionGuildId(req));
+      hasDJ = memberRoleFlags(sessionGuildId(req), memberData).hasDJRole;
     } catch (e) {
       return res.status(403).json({ error: 'DJ role required' });
     }
@@ -615,8 +744,8 @@ app.post('/api/twitch/channel', async (req, res) => {
   let hasDJ = req.session?.user?.hasDJRole;
   if (memberFetcher && req.session?.user?.id) {
     try {
-      const memberData = await memberFetcher(req.session.user.id);
-      hasDJ = memberData?.roles?.includes(DJ_ROLE_ID) || false;
+      const memberData = await memberFetcher(req.session.user.id, sessionGuildId(req));
+      hasDJ = memberRoleFlags(sessionGuildId(req), memberData).hasDJRole;
     } catch (e) {
       return res.status(403).json({ error: 'DJ role required' });
     }
@@ -631,7 +760,7 @@ app.post('/api/twitch/channel', async (req, res) => {
 
 // API to get text channels for the channel selector (filtered by user permissions)
 app.get('/api/twitch/channels', async (req, res) => {
-  const guildId = getRequiredGuildId();
+  const guildId = sessionGuildId(req);
   if (!discordClientRef) {
     return res.json([]);
   }
@@ -653,6 +782,41 @@ app.get('/api/twitch/channels', async (req, res) => {
   res.json(textChannels);
 });
 
+// Guild members by name, for inviting playlist editors
+app.get('/api/members/search', async (req, res) => {
+  const query = String(req.query.q || '').trim();
+  if (!query || !discordClientRef) return res.json([]);
+  const guild = discordClientRef.guilds.cache.get(sessionGuildId(req));
+  if (!guild) return res.json([]);
+  try {
+    const found = await guild.members.search({ query: query.slice(0, 32), limit: 10 });
+    res.json(found
+      .filter(m => !m.user.bot && m.id !== req.session.user.id)
+      .map(m => ({ id: m.id, displayName: m.displayName, username: m.user.username })));
+  } catch (e) {
+    console.error('Member search failed:', e.message);
+    res.json([]);
+  }
+});
+
+// Voice channels the user can join, for picking where a scheduled playlist plays
+app.get('/api/voice-channels', async (req, res) => {
+  const guildId = sessionGuildId(req);
+  if (!discordClientRef) return res.json([]);
+  const guild = discordClientRef.guilds.cache.get(guildId);
+  if (!guild) return res.json([]);
+  const userId = req.session?.user?.id;
+  let member = null;
+  if (userId) {
+    try { member = await guild.members.fetch(userId); } catch (e) {}
+  }
+  const voiceChannels = guild.channels.cache
+    .filter(ch => ch.isVoiceBased() && ch.id !== guild.afkChannelId && (!member || ch.permissionsFor(member).has('Connect')))
+    .map(ch => ({ id: ch.id, name: ch.name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  res.json(voiceChannels);
+});
+
 // Birthday calendar API
 app.get('/api/birthdays', (req, res) => {
   res.json(getBirthdays());
@@ -660,7 +824,7 @@ app.get('/api/birthdays', (req, res) => {
 
 // General channels endpoint (reuses twitch/channels logic)
 app.get('/api/channels', async (req, res) => {
-  const guildId = getRequiredGuildId();
+  const guildId = sessionGuildId(req);
   if (!discordClientRef) return res.json([]);
   const guild = discordClientRef.guilds.cache.get(guildId);
   if (!guild) return res.json([]);
@@ -676,19 +840,36 @@ app.get('/api/channels', async (req, res) => {
   res.json(textChannels);
 });
 
+// Settings that are the bot's rather than one server's - the activity log, the chat model, the
+// shared player settings, the OSRS tracker, F1 results - can be changed from any server's admin
+// page, but only by the primary guild's Control Panel role. A newer server's admin page is open to
+// whoever can manage that server (see guilds.js), which says nothing about changing the bot for
+// every other server too.
+const PRIMARY_CONTROL_PANEL_REQUIRED = 'Control Panel role in the main server required';
+
+async function hasPrimaryControlPanel(req) {
+  const guildId = primaryGuildId();
+  const user = req.session?.user;
+  if (memberFetcher && user?.id) {
+    try { return memberRoleFlags(guildId, await memberFetcher(user.id, guildId)).hasControlPanel; } catch (e) { return false; }
+  }
+  // Without the bot to ask, what the login found in that guild
+  return user?.guilds?.[guildId]?.hasControlPanel === true;
+}
+
 // Admin settings API
 app.get('/api/admin/settings', async (req, res) => {
   let hasCP = req.session?.user?.hasControlPanel;
   if (memberFetcher && req.session?.user?.id) {
-    try { const memberData = await memberFetcher(req.session.user.id); hasCP = memberData?.roles?.includes(CONTROL_PANEL_ROLE_ID) || false; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
+    try { const memberData = await memberFetcher(req.session.user.id, sessionGuildId(req)); hasCP = memberRoleFlags(sessionGuildId(req), memberData).hasControlPanel; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
   }
   if (!hasCP) return res.status(403).json({ error: 'Control Panel role required' });
 
-  const guildId = getRequiredGuildId();
-  const recapSettings = getRecapSettings();
+  const guildId = sessionGuildId(req);
+  const recapSettings = getRecapSettings(guildId);
   const twitchData = getTwitchTrackerData();
   const chatConfig = getChatConfig();
-  const musicSettings = getMusicSettings();
+  const musicSettings = getMusicSettings(guildId);
   const osrsData = getTrackerData();
   const osrsPlayers = osrsData && osrsData.players ? Object.values(osrsData.players).map(p => ({ id: p.id, displayName: p.displayName, username: p.username })) : [];
 
@@ -721,19 +902,52 @@ app.get('/api/admin/settings', async (req, res) => {
     activityLog: { channelId: getLogChannelId() },
     chat: chatConfig,
     music: musicSettings,
+    audioCache: getAudioCacheStats(),
     osrs: { players: osrsPlayers },
-    server: serverInfo
+    server: serverInfo,
+    // This guild's roles and channels. The music player's settings above are one set for every
+    // guild the bot is in; the page says so next to them.
+    guild: { id: guildId, settings: getGuildSettings(guildId), roles: guildRoles(guildId) }
   });
 });
 
+// A guild's roles, for the admin page's role pickers: highest first, as Discord lists them,
+// without @everyone and the roles bots manage themselves
+function guildRoles(guildId) {
+  const guild = discordClientRef?.guilds.cache.get(guildId);
+  if (!guild) return [];
+  return guild.roles.cache
+    .filter(role => role.id !== guild.id && !role.managed)
+    .sort((a, b) => b.position - a.position)
+    .map(role => ({ id: role.id, name: role.name }));
+}
+
+// Set this guild's roles and general channel. A field left empty puts it back to its default
+// (see guilds.js); one left out of the body is not touched.
+app.post('/api/admin/guild', async (req, res) => {
+  const guildId = sessionGuildId(req);
+  let hasCP = req.session?.user?.hasControlPanel;
+  if (memberFetcher && req.session?.user?.id) {
+    try { const memberData = await memberFetcher(req.session.user.id, guildId); hasCP = memberRoleFlags(guildId, memberData).hasControlPanel; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
+  }
+  if (!hasCP) return res.status(403).json({ error: 'Control Panel role required' });
+  const patch = {};
+  for (const key of GUILD_SETTING_KEYS) {
+    if (key in (req.body || {})) patch[key] = req.body[key];
+  }
+  const result = setGuildSettings(guildId, patch);
+  if (!result.success) return res.status(400).json(result);
+  res.json(result);
+});
+
 app.post('/api/admin/birthday/channel', async (req, res) => {
   let hasCP = req.session?.user?.hasControlPanel;
   if (memberFetcher && req.session?.user?.id) {
-    try { const memberData = await memberFetcher(req.session.user.id); hasCP = memberData?.roles?.includes(CONTROL_PANEL_ROLE_ID) || false; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
+    try { const memberData = await memberFetcher(req.session.user.id, sessionGuildId(req)); hasCP = memberRoleFlags(sessionGuildId(req), memberData).hasControlPanel; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
   }
   if (!hasCP) return res.status(403).json({ error: 'Control Panel role required' });
   const { channelId } = req.body;
-  const guildId = getRequiredGuildId();
+  const guildId = sessionGuildId(req);
   setBirthdayChannel(guildId, channelId);
   res.json({ success: true });
 });
@@ -741,43 +955,35 @@ app.post('/api/admin/birthday/channel', async (req, res) => {
 app.post('/api/admin/recap/channel', async (req, res) => {
   let hasCP = req.session?.user?.hasControlPanel;
   if (memberFetcher && req.session?.user?.id) {
-    try { const memberData = await memberFetcher(req.session.user.id); hasCP = memberData?.roles?.includes(CONTROL_PANEL_ROLE_ID) || false; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
+    try { const memberData = await memberFetcher(req.session.user.id, sessionGuildId(req)); hasCP = memberRoleFlags(sessionGuildId(req), memberData).hasControlPanel; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
   }
   if (!hasCP) return res.status(403).json({ error: 'Control Panel role required' });
   const { channelId } = req.body;
-  const result = setRecapChannel(channelId);
+  const result = setRecapChannel(sessionGuildId(req), channelId);
   res.json(result);
 });
 
 app.post('/api/admin/recap/schedule', async (req, res) => {
   let hasCP = req.session?.user?.hasControlPanel;
   if (memberFetcher && req.session?.user?.id) {
-    try { const memberData = await memberFetcher(req.session.user.id); hasCP = memberData?.roles?.includes(CONTROL_PANEL_ROLE_ID) || false; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
+    try { const memberData = await memberFetcher(req.session.user.id, sessionGuildId(req)); hasCP = memberRoleFlags(sessionGuildId(req), memberData).hasControlPanel; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
   }
   if (!hasCP) return res.status(403).json({ error: 'Control Panel role required' });
   const { day, hour } = req.body;
-  const result = setRecapSchedule(day, hour);
+  const result = setRecapSchedule(sessionGuildId(req), day, hour);
   if (!result.success) return res.status(400).json(result);
   res.json(result);
 });
 
 app.post('/api/admin/activitylog/channel', async (req, res) => {
-  let hasCP = req.session?.user?.hasControlPanel;
-  if (memberFetcher && req.session?.user?.id) {
-    try { const memberData = await memberFetcher(req.session.user.id); hasCP = memberData?.roles?.includes(CONTROL_PANEL_ROLE_ID) || false; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
-  }
-  if (!hasCP) return res.status(403).json({ error: 'Control Panel role required' });
+  if (!(await hasPrimaryControlPanel(req))) return res.status(403).json({ error: PRIMARY_CONTROL_PANEL_REQUIRED });
   const { channelId } = req.body;
   setLogChannelId(channelId);
   res.json({ success: true });
 });
 
 app.post('/api/admin/chat/model', async (req, res) => {
-  let hasCP = req.session?.user?.hasControlPanel;
-  if (memberFetcher && req.session?.user?.id) {
-    try { const memberData = await memberFetcher(req.session.user.id); hasCP = memberData?.roles?.includes(CONTROL_PANEL_ROLE_ID) || false; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
-  }
-  if (!hasCP) return res.status(403).json({ error: 'Control Panel role required' });
+  if (!(await hasPrimaryControlPanel(req))) return res.status(403).json({ error: PRIMARY_CONTROL_PANEL_REQUIRED });
   const { model } = req.body;
   if (!model) return res.status(400).json({ error: 'Model is required' });
   setChatModel(model);
@@ -785,11 +991,7 @@ app.post('/api/admin/chat/model', async (req, res) => {
 });
 
 app.post('/api/admin/chat/systemprompt', async (req, res) => {
-  let hasCP = req.session?.user?.hasControlPanel;
-  if (memberFetcher && req.session?.user?.id) {
-    try { const memberData = await memberFetcher(req.session.user.id); hasCP = memberData?.roles?.includes(CONTROL_PANEL_ROLE_ID) || false; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
-  }
-  if (!hasCP) return res.status(403).json({ error: 'Control Panel role required' });
+  if (!(await hasPrimaryControlPanel(req))) return res.status(403).json({ error: PRIMARY_CONTROL_PANEL_REQUIRED });
   const { prompt } = req.body;
   if (!prompt) return res.status(400).json({ error: 'Prompt is required' });
   setChatSystemPrompt(prompt);
@@ -797,11 +999,7 @@ app.post('/api/admin/chat/systemprompt', async (req, res) => {
 });
 
 app.post('/api/admin/chat/maxtokens', async (req, res) => {
-  let hasCP = req.session?.user?.hasControlPanel;
-  if (memberFetcher && req.session?.user?.id) {
-    try { const memberData = await memberFetcher(req.session.user.id); hasCP = memberData?.roles?.includes(CONTROL_PANEL_ROLE_ID) || false; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
-  }
-  if (!hasCP) return res.status(403).json({ error: 'Control Panel role required' });
+  if (!(await hasPrimaryControlPanel(req))) return res.status(403).json({ error: PRIMARY_CONTROL_PANEL_REQUIRED });
   const { tokens } = req.body;
   const num = parseInt(tokens);
   if (isNaN(num) || num < 1 || num > 4096) return res.status(400).json({ error: 'Tokens must be between 1 and 4096' });
@@ -809,12 +1007,113 @@ app.post('/api/admin/chat/maxtokens', async (req, res) => {
   res.json({ success: true });
 });
 
-app.post('/api/admin/osrs/add', async (req, res) => {
+app.post('/api/admin/music/voteskip', async (req, res) => {
   let hasCP = req.session?.user?.hasControlPanel;
   if (memberFetcher && req.session?.user?.id) {
-    try { const memberData = await memberFetcher(req.session.user.id); hasCP = memberData?.roles?.includes(CONTROL_PANEL_ROLE_ID) || false; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
+    try { const memberData = await memberFetcher(req.session.user.id, sessionGuildId(req)); hasCP = memberRoleFlags(sessionGuildId(req), memberData).hasControlPanel; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
   }
   if (!hasCP) return res.status(403).json({ error: 'Control Panel role required' });
+  const { enabled, percent } = req.body;
+  const num = parseInt(percent);
+  if (isNaN(num) || num < 1 || num > 100) return res.status(400).json({ error: 'Percentage must be between 1 and 100' });
+  const result = setVoteSkipSettings({ enabled: !!enabled, share: num / 100 }, sessionGuildId(req));
+  res.json({ success: true, ...result });
+});
+
+app.post('/api/admin/music/radio', async (req, res) => {
+  if (!(await hasPrimaryControlPanel(req))) return res.status(403).json({ error: PRIMARY_CONTROL_PANEL_REQUIRED });
+  const num = parseInt(req.body.favouritePercent);
+  if (isNaN(num) || num < 0 || num > 100) return res.status(400).json({ error: 'Percentage must be between 0 and 100' });
+  res.json({ success: true, ...setRadioSettings({ favouriteShare: num / 100 }) });
+});
+
+app.post('/api/admin/music/guardrails', async (req, res) => {
+  if (!(await hasPrimaryControlPanel(req))) return res.status(403).json({ error: PRIMARY_CONTROL_PANEL_REQUIRED });
+  const { maxDurationMin, maxPendingPerUser, blockDuplicates, blocklist } = req.body || {};
+  const duration = parseInt(maxDurationMin);
+  if (isNaN(duration) || duration < 0 || duration > MAX_GUARDRAIL_DURATION_MIN) return res.status(400).json({ error: `Maximum length must be between 0 and ${MAX_GUARDRAIL_DURATION_MIN} minutes` });
+  const pending = parseInt(maxPendingPerUser);
+  if (isNaN(pending) || pending < 0 || pending > MAX_GUARDRAIL_PENDING) return res.status(400).json({ error: `Songs per person must be between 0 and ${MAX_GUARDRAIL_PENDING}` });
+  const lists = blocklist && typeof blocklist === 'object' ? blocklist : {};
+  for (const field of ['videoIds', 'channels', 'keywords']) {
+    const value = lists[field];
+    if (value !== undefined && typeof value !== 'string' && !Array.isArray(value)) return res.status(400).json({ error: `Invalid blocklist field: ${field}` });
+  }
+  const guardrails = setQueueGuardrails({
+    maxDurationMin: duration,
+    maxPendingPerUser: pending,
+    blockDuplicates: blockDuplicates === true,
+    blocklist: { videoIds: lists.videoIds || [], channels: lists.channels || [], keywords: lists.keywords || [] }
+  });
+  res.json({ success: true, guardrails });
+});
+
+app.post('/api/admin/music/audiocache', async (req, res) => {
+  if (!(await hasPrimaryControlPanel(req))) return res.status(403).json({ error: PRIMARY_CONTROL_PANEL_REQUIRED });
+  const num = parseInt(req.body.maxMB);
+  if (isNaN(num) || num < 0 || num > MAX_AUDIO_CACHE_MAX_MB) return res.status(400).json({ error: `Size must be between 0 and ${MAX_AUDIO_CACHE_MAX_MB} MB` });
+  res.json({ success: true, ...setAudioCacheMaxMB(num) });
+});
+
+app.post('/api/admin/music/audiocache/purge', async (req, res) => {
+  if (!(await hasPrimaryControlPanel(req))) return res.status(403).json({ error: PRIMARY_CONTROL_PANEL_REQUIRED });
+  const { removed, bytes } = purgeAudioCache();
+  res.json({ success: true, removed, bytes, ...getAudioCacheStats() });
+});
+
+const VOICE_HISTORY_PAGE_MAX = 200;
+
+// The voice assistant's history for this guild (see voiceHistory.js): one page of interactions,
+// newest first, and the figures for everything the filters let through. Filters: user, outcome
+// (or 'misfire'), intent, q (a piece of the transcript), from/to as on the stats page.
+app.get('/api/admin/voice/history', async (req, res) => {
+  let hasCP = req.session?.user?.hasControlPanel;
+  if (memberFetcher && req.session?.user?.id) {
+    try { const memberData = await memberFetcher(req.session.user.id, sessionGuildId(req)); hasCP = memberRoleFlags(sessionGuildId(req), memberData).hasControlPanel; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
+  }
+  if (!hasCP) return res.status(403).json({ error: 'Control Panel role required' });
+
+  const range = parseStatsQuery({ from: req.query.from, to: req.query.to, user: req.query.user });
+  if (range.error) return res.status(400).json({ error: range.error });
+  const one = (v) => (typeof v === 'string' && v ? v : null);
+  const outcome = one(req.query.outcome);
+  if (outcome && outcome !== 'misfire' && !VOICE_OUTCOMES.includes(outcome)) return res.status(400).json({ error: 'Unknown outcome.' });
+  const limit = Math.min(VOICE_HISTORY_PAGE_MAX, Math.max(1, parseInt(req.query.limit) || 50));
+  const offset = Math.max(0, parseInt(req.query.offset) || 0);
+
+  const guildId = sessionGuildId(req);
+  const matching = getVoiceHistory({
+    guildId,
+    userId: range.userId,
+    outcome,
+    intent: one(req.query.intent)?.slice(0, 32) ?? null,
+    search: one(req.query.q)?.slice(0, 100) ?? null,
+    since: range.since,
+    until: range.until
+  });
+  res.json({
+    total: matching.length,
+    entries: matching.slice().reverse().slice(offset, offset + limit),
+    users: voiceHistoryUsers(guildId),
+    summary: summarizeVoiceHistory(matching, getVoiceTuning()),
+    retention: { maxEntries: MAX_VOICE_HISTORY, maxAgeDays: VOICE_HISTORY_MAX_AGE_DAYS }
+  });
+});
+
+// Forget what one member said in this guild. Their /heyjerry off is what forgets it everywhere;
+// this guild's admins only get to remove it from their own server's history.
+app.delete('/api/admin/voice/history/:userId', async (req, res) => {
+  let hasCP = req.session?.user?.hasControlPanel;
+  if (memberFetcher && req.session?.user?.id) {
+    try { const memberData = await memberFetcher(req.session.user.id, sessionGuildId(req)); hasCP = memberRoleFlags(sessionGuildId(req), memberData).hasControlPanel; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
+  }
+  if (!hasCP) return res.status(403).json({ error: 'Control Panel role required' });
+  if (!/^\d{1,32}$/.test(req.params.userId)) return res.status(400).json({ error: 'Invalid user.' });
+  res.json({ success: true, removed: deleteVoiceHistory(req.params.userId, { guildId: sessionGuildId(req) }) });
+});
+
+app.post('/api/admin/osrs/add', async (req, res) => {
+  if (!(await hasPrimaryControlPanel(req))) return res.status(403).json({ error: PRIMARY_CONTROL_PANEL_REQUIRED });
   const { username } = req.body;
   if (!username) return res.status(400).json({ error: 'Username is required' });
   const result = await addPlayerByUsername(username);
@@ -823,11 +1122,7 @@ app.post('/api/admin/osrs/add', async (req, res) => {
 });
 
 app.post('/api/admin/osrs/remove', async (req, res) => {
-  let hasCP = req.session?.user?.hasControlPanel;
-  if (memberFetcher && req.session?.user?.id) {
-    try { const memberData = await memberFetcher(req.session.user.id); hasCP = memberData?.roles?.includes(CONTROL_PANEL_ROLE_ID) || false; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
-  }
-  if (!hasCP) return res.status(403).json({ error: 'Control Panel role required' });
+  if (!(await hasPrimaryControlPanel(req))) return res.status(403).json({ error: PRIMARY_CONTROL_PANEL_REQUIRED });
   const { username } = req.body;
   if (!username) return res.status(400).json({ error: 'Username is required' });
   const result = removePlayerByUsername(username);
@@ -837,22 +1132,22 @@ app.post('/api/admin/osrs/remove', async (req, res) => {
 
 // Weekly Recap API endpoints
 app.get('/api/recap/latest', (req, res) => {
-  const recap = getLatestRecap();
+  const recap = getLatestRecap(sessionGuildId(req));
   if (!recap) return res.status(404).json({ error: 'No recaps yet' });
   res.json(recap);
 });
 
 app.get('/api/recap/list', (req, res) => {
-  res.json(getRecaps());
+  res.json(getRecaps(sessionGuildId(req)));
 });
 
 app.post('/api/recap/generate', rateLimit('recap', 2, 60_000), (req, res) => {
-  const recap = generateCurrentRecap();
+  const recap = generateCurrentRecap(sessionGuildId(req));
   res.json(recap);
 });
 
 app.get('/api/recap/:id', (req, res) => {
-  const recap = getRecap(req.params.id);
+  const recap = getRecap(sessionGuildId(req), req.params.id);
   if (!recap) return res.status(404).json({ error: 'Recap not found' });
   res.json(recap);
 });
@@ -922,11 +1217,7 @@ app.post('/api/f1/predict', (req, res) => {
 });
 
 app.post('/api/f1/fetchresults/:round', async (req, res) => {
-  let hasCP = req.session?.user?.hasControlPanel;
-  if (memberFetcher && req.session?.user?.id) {
-    try { const memberData = await memberFetcher(req.session.user.id); hasCP = memberData?.roles?.includes(CONTROL_PANEL_ROLE_ID) || false; } catch (e) { return res.status(403).json({ error: 'Control Panel role required' }); }
-  }
-  if (!hasCP) return res.status(403).json({ error: 'Control Panel role required' });
+  if (!(await hasPrimaryControlPanel(req))) return res.status(403).json({ error: PRIMARY_CONTROL_PANEL_REQUIRED });
   try {
     const results = await fetchAndScoreResults(req.params.round);
     broadcast('f1_results', { round: req.params.round, results });
@@ -941,15 +1232,51 @@ app.get('/admin', requireAuth, (req, res) => {
   res.sendFile(join(__dirname, 'public', 'admin.html'));
 });
 
+// Serve the voice assistant's history page (Control Panel only, checked by its API)
+app.get('/voice', requireAuth, (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'voice.html'));
+});
+
 // Playlist API endpoints
 app.get('/api/playlists', (req, res) => {
   const userId = req.session.user.id;
-  res.json(getPlaylists(userId));
+  res.json(getPlaylists(userId, sessionGuildId(req)));
+});
+
+// Scheduled playlist starts. Registered before /api/playlists/:id, which would otherwise
+// take "schedules" for a playlist ID.
+app.get('/api/playlists/schedules', (req, res) => {
+  res.json(getUserSchedules(req.session.user.id));
+});
+
+app.delete('/api/playlists/schedules/:scheduleId', (req, res) => {
+  if (!cancelSchedule(req.session.user.id, req.params.scheduleId)) {
+    return res.status(404).json({ error: 'Scheduled playlist not found' });
+  }
+  res.json({ success: true });
+});
+
+app.post('/api/playlists/:id/schedule', (req, res) => {
+  const { voiceChannelId, startAt, repeatWeekly } = req.body;
+  const guildId = sessionGuildId(req);
+  const channel = discordClientRef?.guilds.cache.get(guildId)?.channels.cache.get(voiceChannelId);
+  if (!channel || !channel.isVoiceBased()) return res.status(400).json({ error: 'Pick a voice channel' });
+  const result = addSchedule({
+    userId: req.session.user.id,
+    createdBy: req.session.user.globalName || req.session.user.username || 'Unknown',
+    playlistId: req.params.id,
+    guildId,
+    voiceChannelId,
+    startAt: Number(startAt),
+    repeatWeekly: !!repeatWeekly
+  });
+  if (!result.success) return res.status(400).json({ error: result.error });
+  res.json(result);
 });
 
 app.get('/api/playlists/:id', (req, res) => {
   const userId = req.session.user.id;
-  const playlist = getPlaylist(userId, req.params.id);
+  const playlist = getPlaylist(userId, req.params.id, sessionGuildId(req));
   if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
   res.json(playlist);
 });
@@ -993,7 +1320,8 @@ app.post('/api/playlists/:id/songs', (req, res) => {
   const userId = req.session.user.id;
   const { url, title, thumbnail, duration } = req.body;
   if (!url) return res.status(400).json({ error: 'URL is required' });
-  const result = addSong(userId, req.params.id, { url, title: title || url, thumbnail, duration: duration || 0 });
+  const addedBy = req.session.user.globalName || req.session.user.username || 'Unknown';
+  const result = addSong(userId, req.params.id, { url, title: title || url, thumbnail, duration: duration || 0 }, addedBy, sessionGuildId(req));
   if (!result.success) return res.status(400).json({ error: result.error });
   res.json(result);
 });
@@ -1002,53 +1330,236 @@ app.delete('/api/playlists/:id/songs/:index', (req, res) => {
   const userId = req.session.user.id;
   const index = parseInt(req.params.index);
   if (isNaN(index)) return res.status(400).json({ error: 'Invalid index' });
-  const result = removeSong(userId, req.params.id, index);
+  const result = removeSong(userId, req.params.id, index, sessionGuildId(req));
+  if (!result.success) return res.status(400).json({ error: result.error });
+  res.json(result);
+});
+
+app.put('/api/playlists/:id/sharing', (req, res) => {
+  const result = setPlaylistSharing(req.session.user.id, req.params.id, req.body.sharing, sessionGuildId(req));
+  if (!result.success) return res.status(400).json({ error: result.error });
+  res.json(result);
+});
+
+app.post('/api/playlists/:id/editors', (req, res) => {
+  const { userId: editorId, name } = req.body;
+  if (!editorId) return res.status(400).json({ error: 'userId is required' });
+  const result = addPlaylistEditor(req.session.user.id, req.params.id, { id: String(editorId), name });
+  if (!result.success) return res.status(400).json({ error: result.error });
+  res.json(result);
+});
+
+app.delete('/api/playlists/:id/editors/:userId', (req, res) => {
+  const result = removePlaylistEditor(req.session.user.id, req.params.id, req.params.userId);
   if (!result.success) return res.status(400).json({ error: result.error });
   res.json(result);
 });
 
+// --- Playlist import / export ---
+
+// Anybody who can open a playlist can take a copy of it
+app.get('/api/playlists/:id/export', (req, res) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!PLAYLIST_EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: 'Format must be m3u or json' });
+  const playlist = getPlaylist(req.session.user.id, req.params.id, sessionGuildId(req));
+  if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+  const body = format === 'm3u' ? exportPlaylistM3u(playlist) : exportPlaylistJson(playlist);
+  res.type(format === 'm3u' ? 'audio/x-mpegurl' : 'application/json');
+  res.attachment(exportFilename(playlist.name, format));
+  res.send(body);
+});
+
+// Songs that arrive with only a name are looked up on YouTube this many at most per import -
+// the same cap the paste box has always put on a Spotify playlist
+const MAX_IMPORT_SEARCHES = 100;
+// Playlists with a lookup still running, so a second import into one waits for the first
+const importsInProgress = new Set();
+
+// A URL in an imported file can be played as-is when it is one the bot streams from, or a
+// track from this server's own library that is still there
+function isImportableUrl(url) {
+  return isAllowedMediaUrl(url) || !!getLocalTrack(url);
+}
+
+// Look the name-only songs up one at a time, in the background: a hundred searches take minutes,
+// far longer than a request should hang. Each one is added as it is found, so the open page
+// fills in through the playlistUpdated broadcasts addSong sends.
+async function resolveImportedSongs(userId, playlistId, items, addedBy, guildId) {
+  importsInProgress.add(playlistId);
+  let added = 0, missing = 0;
+  try {
+    for (const item of items) {
+      let video = null;
+      try {
+        video = await findYouTubeMatch(item.searchQuery);
+      } catch (e) {
+        console.error(`[PlaylistImport] Search failed for "${item.searchQuery}":`, e.message);
+      }
+      if (!video) { missing++; continue; }
+      const result = addSong(userId, playlistId, { ...video, thumbnail: item.thumbnail || video.thumbnail }, addedBy, guildId);
+      if (result.success) {
+        added++;
+      } else if (result.error !== 'Song already in this playlist.') {
+        // Deleted, unshared or full while we were searching: nothing more will fit
+        console.log(`[PlaylistImport] Stopping import into ${playlistId}: ${result.error}`);
+        break;
+      }
+    }
+  } finally {
+    importsInProgress.delete(playlistId);
+  }
+  console.log(`[PlaylistImport] Finished looking up ${items.length} song(s) for ${playlistId}: ${added} added, ${missing} not found`);
+}
+
+// Shared by both import routes once the source has been read: adds what can be added now,
+// starts the lookups for the rest, and answers with the counts.
+async function importIntoPlaylist(req, res, source) {
+  const userId = req.session.user.id;
+  const addedBy = req.session.user.globalName || req.session.user.username || 'Unknown';
+  const guildId = sessionGuildId(req);
+  let playlistId = req.body?.playlistId || req.query.playlistId || null;
+
+  if (playlistId) {
+    if (importsInProgress.has(playlistId)) return res.status(409).json({ error: 'An import into this playlist is still running' });
+  } else {
+    // No target: the import becomes a new playlist, named after what it came from
+    const name = String(req.body?.name || req.query.name || source.name || 'Imported playlist').trim().slice(0, 100);
+    const created = createPlaylist(userId, name, addedBy);
+    if (!created.success) return res.status(400).json({ error: created.error });
+    playlistId = created.playlistId;
+  }
+
+  const result = addSongs(userId, playlistId, source.songs, addedBy, guildId);
+  if (!result.success) return res.status(400).json({ error: result.error });
+
+  const toSearch = source.unresolved.slice(0, MAX_IMPORT_SEARCHES);
+  if (toSearch.length > 0) resolveImportedSongs(userId, playlistId, toSearch, addedBy, guildId);
+
+  if (activityLogger && activityLogger.logWebAction) {
+    activityLogger.logWebAction(addedBy, 'playlist-import', `${source.name || playlistId}: ${result.added} added, ${toSearch.length} to look up`);
+  }
+
+  res.json({
+    success: true,
+    playlistId,
+    added: result.added,
+    duplicates: result.duplicates,
+    overLimit: result.overLimit,
+    skipped: (source.skipped || 0) + Math.max(0, source.unresolved.length - toSearch.length),
+    searching: toSearch.length
+  });
+}
+
+// Import a YouTube playlist, or a Spotify playlist or album, by URL
+app.post('/api/playlists/import', rateLimit('playlistimport', 5, 60_000), async (req, res) => {
+  const url = String(req.body?.url || '').trim();
+  if (!isAllowedMediaUrl(url)) return res.status(400).json({ error: 'Paste a YouTube or Spotify playlist link' });
+
+  try {
+    if (new URL(url).hostname.toLowerCase() === 'open.spotify.com') {
+      const spotify = await fetchSpotifyTracks(url);
+      if (!spotify || spotify.tracks.length === 0) return res.status(400).json({ error: 'No tracks found at that Spotify link' });
+      return await importIntoPlaylist(req, res, {
+        name: spotify.name,
+        songs: [],
+        // Spotify cannot be streamed: every track is a YouTube search
+        unresolved: spotify.tracks.map(t => ({ searchQuery: t.searchQuery, thumbnail: t.thumbnail })),
+        skipped: Math.max(0, spotify.total - spotify.tracks.length)
+      });
+    }
+
+    const playlist = await fetchYouTubePlaylist(url);
+    if (!playlist) return res.status(400).json({ error: 'Not a valid playlist or playlist is empty' });
+    await importIntoPlaylist(req, res, {
+      name: playlist.name,
+      songs: playlist.tracks,
+      unresolved: [],
+      skipped: Math.max(0, playlist.total - playlist.tracks.length)
+    });
+  } catch (error) {
+    console.error('Playlist import error:', error);
+    res.status(500).json({ error: 'Failed to read that playlist' });
+  }
+});
+
+// Import an M3U or JSON file. The file is the raw request body rather than a JSON field, since
+// a few hundred songs with thumbnails is more than the JSON body limit everything else lives with.
+app.post('/api/playlists/import/file', rateLimit('playlistimport', 5, 60_000), express.text({ type: () => true, limit: '2mb' }), async (req, res) => {
+  const parsed = parsePlaylistFile(typeof req.body === 'string' ? req.body : '', String(req.query.filename || ''), isImportableUrl);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  await importIntoPlaylist(req, res, parsed);
+});
+
+// Everyone with a playlist open hears about every change to it, from the dashboard or from
+// /playlist alike. Only the ID goes out: each page re-fetches it with its own session, so a
+// private playlist's contents never reach anybody who cannot open it.
+setPlaylistChangeListener(playlistId => broadcast('playlistUpdated', { playlistId }));
+
 app.put('/api/playlists/:id/songs/reorder', (req, res) => {
   const userId = req.session.user.id;
   const { from, to } = req.body;
   if (from === undefined || to === undefined) return res.status(400).json({ error: 'from and to are required' });
-  const result = reorderSong(userId, req.params.id, from, to);
+  const result = reorderSong(userId, req.params.id, from, to, sessionGuildId(req));
   if (!result.success) return res.status(400).json({ error: result.error });
   res.json(result);
 });
 
+// A playlist's songs into the queue one by one, each through the same add handler (and so the
+// same guardrails) as a single song. Songs the guardrails refuse are counted and the rest go
+// in: a per-person limit of ten takes the first ten of a forty-song playlist, not none of them.
+// Also how the voice assistant plays a playlist; `refused` holds the handler's { error, reason }.
+export async function queuePlaylistSongs(songs, username, requestedById, guildId) {
+  let queued = 0;
+  const refused = [];
+  for (const song of songs) {
+    if (!addSongHandler) break;
+    const result = await addSongHandler({
+      url: song.url,
+      title: song.title,
+      duration: song.duration,
+      thumbnail: song.thumbnail,
+      requestedBy: username,
+      requestedById,
+      source: song.source || 'youtube'
+    }, guildId);
+    if (result?.success === false) refused.push(result);
+    else queued++;
+  }
+  return { queued, refused };
+}
+
+// { queued, skipped, note } for the dashboard's toast; `note` says why songs were left out,
+// with the first reason standing for the rest
+function playlistQueueSummary({ queued, refused }) {
+  return {
+    queued,
+    skipped: refused.length,
+    note: refused.length > 0 ? `${refused.length} song${refused.length === 1 ? '' : 's'} not added: ${refused[0].error}` : null
+  };
+}
+
 app.post('/api/playlists/:id/play', async (req, res) => {
   const userId = req.session.user.id;
-  const playlist = getPlaylist(userId, req.params.id);
+  const playlist = getPlaylist(userId, req.params.id, sessionGuildId(req));
   if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
   if (playlist.songs.length === 0) return res.status(400).json({ error: 'Playlist is empty' });
 
   const username = req.session.user.username || 'Web Dashboard';
   const requestedById = req.session.user.id;
 
-  for (const song of playlist.songs) {
-    if (addSongHandler) {
-      await addSongHandler({
-        url: song.url,
-        title: song.title,
-        duration: song.duration,
-        thumbnail: song.thumbnail,
-        requestedBy: username,
-        requestedById,
-        source: 'youtube'
-      }, currentState.guildId);
-    }
-  }
+  const outcome = await queuePlaylistSongs(playlist.songs, username, requestedById, sessionGuildId(req));
+  if (outcome.queued === 0 && outcome.refused.length > 0) return res.status(400).json({ error: outcome.refused[0].error });
 
   if (activityLogger && activityLogger.logWebAction) {
-    activityLogger.logWebAction(username, 'play', `playlist: ${playlist.name} (${playlist.songs.length} songs)`);
+    activityLogger.logWebAction(username, 'play', `playlist: ${playlist.name} (${outcome.queued} songs)`);
   }
 
-  res.json({ success: true, queued: playlist.songs.length });
+  res.json({ success: true, ...playlistQueueSummary(outcome) });
 });
 
 app.post('/api/playlists/:id/shuffle', async (req, res) => {
   const userId = req.session.user.id;
-  const playlist = getPlaylist(userId, req.params.id);
+  const playlist = getPlaylist(userId, req.params.id, sessionGuildId(req));
   if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
   if (playlist.songs.length === 0) return res.status(400).json({ error: 'Playlist is empty' });
 
@@ -1062,25 +1573,90 @@ app.post('/api/playlists/:id/shuffle', async (req, res) => {
     [songs[i], songs[j]] = [songs[j], songs[i]];
   }
 
-  for (const song of songs) {
-    if (addSongHandler) {
-      await addSongHandler({
-        url: song.url,
-        title: song.title,
-        duration: song.duration,
-        thumbnail: song.thumbnail,
-        requestedBy: username,
-        requestedById,
-        source: 'youtube'
-      }, currentState.guildId);
-    }
+  const outcome = await queuePlaylistSongs(songs, username, requestedById, sessionGuildId(req));
+  if (outcome.queued === 0 && outcome.refused.length > 0) return res.status(400).json({ error: outcome.refused[0].error });
+
+  if (activityLogger && activityLogger.logWebAction) {
+    activityLogger.logWebAction(username, 'shuffle-play', `playlist: ${playlist.name} (${outcome.queued} songs)`);
+  }
+
+  res.json({ success: true, ...playlistQueueSummary(outcome) });
+});
+
+// --- Queue snapshots (see queueSnapshots.js) ---
+// They belong to the guild the dashboard is showing.
+
+// Whether the session's user is a DJ right now. Unlike the DJ-only endpoints this does not
+// refuse anybody: it decides whether they may overwrite or delete somebody else's snapshot.
+async function sessionHasDJRole(req) {
+  if (!memberFetcher || !req.session?.user?.id) return !!req.session?.user?.hasDJRole;
+  try {
+    const memberData = await memberFetcher(req.session.user.id, sessionGuildId(req));
+    return memberRoleFlags(sessionGuildId(req), memberData).hasDJRole;
+  } catch (e) {
+    return false;
   }
+}
+
+app.get('/api/queue/snapshots', (req, res) => {
+  res.json({ snapshots: listQueueSnapshots(sessionGuildId(req)) });
+});
+
+app.post('/api/queue/snapshots', async (req, res) => {
+  const guildId = sessionGuildId(req);
+  const queue = getQueue(guildId);
+  const snapshot = queue?.snapshot();
+  if (!snapshot) return res.status(400).json({ error: 'There is nothing in the queue to save.' });
+
+  const user = req.session.user;
+  const result = saveQueueSnapshot(guildId, req.body?.name, snapshot, {
+    userId: user.id,
+    displayName: user.username || 'Web Dashboard',
+    isDJ: await sessionHasDJRole(req)
+  });
+  if (!result.success) return res.status(400).json({ error: result.error });
 
   if (activityLogger && activityLogger.logWebAction) {
-    activityLogger.logWebAction(username, 'shuffle-play', `playlist: ${playlist.name} (${songs.length} songs)`);
+    activityLogger.logWebAction(user.username || 'Web Dashboard', 'queue-save', result.snapshot.name);
   }
+  res.json({ success: true, replaced: result.replaced, snapshot: describeSnapshot(result.snapshot) });
+});
+
+app.post('/api/queue/snapshots/:id/restore', async (req, res) => {
+  const guildId = sessionGuildId(req);
+  const saved = getQueueSnapshot(guildId, req.params.id);
+  if (!saved) return res.status(404).json({ error: 'Snapshot not found' });
+  if (!restoreSnapshotHandler) return res.status(500).json({ error: 'Queue not available' });
 
-  res.json({ success: true, queued: songs.length });
+  const result = await restoreSnapshotHandler(saved, guildId);
+  if (!result.success) return res.status(400).json({ error: result.error });
+
+  const username = req.session.user.username || 'Web Dashboard';
+  if (activityLogger && activityLogger.logWebAction) {
+    activityLogger.logWebAction(username, 'queue-restore', `${saved.name} (${result.queued} songs)`);
+  }
+  res.json({ success: true, resumedAt: result.resumedAt, ...playlistQueueSummary(result) });
+});
+
+// A snapshot as a new playlist of the requester's own, which they can then edit and share
+app.post('/api/queue/snapshots/:id/playlist', (req, res) => {
+  const saved = getQueueSnapshot(sessionGuildId(req), req.params.id);
+  if (!saved) return res.status(404).json({ error: 'Snapshot not found' });
+
+  const user = req.session.user;
+  const created = createPlaylist(user.id, saved.name, user.username);
+  if (!created.success) return res.status(400).json({ error: created.error });
+  const added = addSongs(user.id, created.playlistId, snapshotSongs(saved), user.username);
+  res.json({ success: true, playlistId: created.playlistId, added: added.added || 0 });
+});
+
+app.delete('/api/queue/snapshots/:id', async (req, res) => {
+  const result = deleteQueueSnapshot(sessionGuildId(req), req.params.id, {
+    userId: req.session.user.id,
+    isDJ: await sessionHasDJRole(req)
+  });
+  if (!result.success) return res.status(result.error === 'Snapshot not found.' ? 404 : 403).json({ error: result.error });
+  res.json({ success: true });
 });
 
 // API endpoint to search for songs
@@ -1090,6 +1666,17 @@ app.get('/api/search', rateLimit('search', 15, 60_000), async (req, res) => {
   if (!query || query.length < 2) {
     return res.json([]);
   }
+
+  // Files in the local library that match go ahead of the YouTube results - and are still
+  // answered when the YouTube search fails, which is when they matter most
+  const localSongs = searchLocalLibrary(query, count).map(track => ({
+    title: displayTitle(track),
+    url: localTrackUrl(track.id),
+    duration: track.duration || 0,
+    thumbnail: null,
+    channel: 'Local library',
+    source: 'local'
+  }));
   
   try {
     // Check if query is a direct YouTube video URL
@@ -1131,13 +1718,68 @@ app.get('/api/search', rateLimit('search', 15, 60_000), async (req, res) => {
       thumbnail: getHighQualityThumbnail(video),
       channel: video.channel || video.uploader || 'Unknown'
     }));
-    res.json(songs);
+    res.json([...localSongs, ...songs].slice(0, count));
   } catch (error) {
     console.error('Search error:', error);
-    res.json([]);
+    res.json(localSongs);
   }
 });
 
+// A Spotify track, playlist or album as the tracks in it: { type, name, tracks, total }, or
+// null for a link that is none of those. Shared by the track lookup the dashboard's paste box
+// uses and by playlist import, which both turn these into YouTube songs afterwards.
+async function fetchSpotifyTracks(url) {
+  const data = await getData(url);
+
+  if (data.type === 'track') {
+    // Single track
+    const track = {
+      title: `${data.artists?.[0]?.name || 'Unknown'} - ${data.name}`,
+      artist: data.artists?.map(a => a.name).join(', ') || 'Unknown',
+      duration: Math.floor((data.duration_ms || 0) / 1000),
+      thumbnail: data.album?.images?.[0]?.url || data.coverArt?.sources?.[0]?.url || null,
+      spotifyUrl: url,
+      searchQuery: `${data.artists?.[0]?.name || ''} ${data.name}`.trim()
+    };
+    return { type: 'track', name: data.name, tracks: [track], total: 1 };
+  }
+  if (data.type !== 'playlist' && data.type !== 'album') return null;
+
+  // Playlist or album - use getTracks for better track data
+  let tracks = [];
+  let totalFromSource = 0;
+  try {
+    const trackList = await getTracks(url);
+    totalFromSource = trackList.length;
+    tracks = trackList.slice(0, 100).map(track => ({
+      title: `${track.artists?.[0]?.name || track.artist || 'Unknown'} - ${track.name}`,
+      artist: track.artists?.map(a => a.name).join(', ') || track.artist || 'Unknown',
+      duration: Math.floor((track.duration_ms || 0) / 1000),
+      thumbnail: track.album?.images?.[0]?.url || data.images?.[0]?.url || null,
+      spotifyUrl: track.external_urls?.spotify || url,
+      searchQuery: `${track.artists?.[0]?.name || track.artist || ''} ${track.name}`.trim()
+    }));
+  } catch (e) {
+    // Fallback to data.trackList if getTracks fails
+    const trackList = data.trackList || data.tracks?.items || [];
+    totalFromSource = trackList.length;
+    tracks = trackList.slice(0, 100).map(item => {
+      const track = item.track || item;
+      return {
+        title: `${track.artists?.[0]?.name || track.subtitle || 'Unknown'} - ${track.name || track.title}`,
+        artist: track.artists?.map(a => a.name).join(', ') || track.subtitle || 'Unknown',
+        duration: Math.floor((track.duration_ms || track.duration || 0) / 1000),
+        thumbnail: track.album?.images?.[0]?.url || data.coverArt?.sources?.[0]?.url || null,
+        spotifyUrl: track.external_urls?.spotify || url,
+        searchQuery: `${track.artists?.[0]?.name || track.subtitle || ''} ${track.name || track.title}`.trim()
+      };
+    });
+  }
+  // Report the playlist's real total from metadata if available
+  const playlistTotal = data.trackCount || data.tracks?.total || totalFromSource;
+  return { type: data.type, name: data.name, tracks, total: playlistTotal };
+}
+
 // API endpoint to get Spotify track info
 app.get('/api/spotify/track', async (req, res) => {
   const url = req.query.url;
@@ -1146,60 +1788,14 @@ app.get('/api/spotify/track', async (req, res) => {
   }
   
   try {
-    const data = await getData(url);
-    
-    if (data.type === 'track') {
-      // Single track
-      const track = {
-        title: `${data.artists?.[0]?.name || 'Unknown'} - ${data.name}`,
-        artist: data.artists?.map(a => a.name).join(', ') || 'Unknown',
-        duration: Math.floor((data.duration_ms || 0) / 1000),
-        thumbnail: data.album?.images?.[0]?.url || data.coverArt?.sources?.[0]?.url || null,
-        spotifyUrl: url,
-        searchQuery: `${data.artists?.[0]?.name || ''} ${data.name}`.trim()
-      };
-      res.json({ type: 'track', tracks: [track] });
-    } else if (data.type === 'playlist' || data.type === 'album') {
-      // Playlist or album - use getTracks for better track data
-      let tracks = [];
-      let totalFromSource = 0;
-      try {
-        const trackList = await getTracks(url);
-        totalFromSource = trackList.length;
-        tracks = trackList.slice(0, 100).map(track => ({
-          title: `${track.artists?.[0]?.name || track.artist || 'Unknown'} - ${track.name}`,
-          artist: track.artists?.map(a => a.name).join(', ') || track.artist || 'Unknown',
-          duration: Math.floor((track.duration_ms || 0) / 1000),
-          thumbnail: track.album?.images?.[0]?.url || data.images?.[0]?.url || null,
-          spotifyUrl: track.external_urls?.spotify || url,
-          searchQuery: `${track.artists?.[0]?.name || track.artist || ''} ${track.name}`.trim()
-        }));
-      } catch (e) {
-        // Fallback to data.trackList if getTracks fails
-        const trackList = data.trackList || data.tracks?.items || [];
-        totalFromSource = trackList.length;
-        tracks = trackList.slice(0, 100).map(item => {
-          const track = item.track || item;
-          return {
-            title: `${track.artists?.[0]?.name || track.subtitle || 'Unknown'} - ${track.name || track.title}`,
-            artist: track.artists?.map(a => a.name).join(', ') || track.subtitle || 'Unknown',
-            duration: Math.floor((track.duration_ms || track.duration || 0) / 1000),
-            thumbnail: track.album?.images?.[0]?.url || data.coverArt?.sources?.[0]?.url || null,
-            spotifyUrl: track.external_urls?.spotify || url,
-            searchQuery: `${track.artists?.[0]?.name || track.subtitle || ''} ${track.name || track.title}`.trim()
-          };
-        });
-      }
-      // Report the playlist's real total from metadata if available
-      const playlistTotal = data.trackCount || data.tracks?.total || totalFromSource;
-      res.json({
-        type: data.type,
-        name: data.name,
-        tracks,
-        total: playlistTotal
-      });
+    const result = await fetchSpotifyTracks(url);
+    if (!result) {
+      return res.status(400).json({ error: 'Unsupported Spotify link type' });
+    }
+    if (result.type === 'track') {
+      res.json({ type: 'track', tracks: result.tracks });
     } else {
-      res.status(400).json({ error: 'Unsupported Spotify link type' });
+      res.json(result);
     }
   } catch (error) {
     console.error('Spotify error:', error);
@@ -1207,6 +1803,47 @@ app.get('/api/spotify/track', async (req, res) => {
   }
 });
 
+// The YouTube video that best stands in for a song known only by name - a Spotify track, or an
+// M3U entry pointing at somebody's local file - or null when the search finds nothing
+async function findYouTubeMatch(query) {
+  // Add "official audio" to search for better matching on Spotify conversions
+  const searchQuery = `${sanitizeSearchQuery(query)} official audio`;
+  const results = await ytDlpExec(`ytsearch3:${searchQuery}`, {
+    ...ytCookieOpts,
+    dumpSingleJson: true,
+    noCheckCertificates: true,
+    noWarnings: true,
+    flatPlaylist: true,
+    skipDownload: true
+  });
+
+  const entries = results.entries || [];
+  if (entries.length === 0) return null;
+
+  // Prefer videos with "official" or "audio" in title, avoid "live", "cover", "remix"
+  const scored = entries.map(v => {
+    let score = 0;
+    const title = (v.title || '').toLowerCase();
+    if (title.includes('official')) score += 3;
+    if (title.includes('audio')) score += 2;
+    if (title.includes('lyrics')) score += 1;
+    if (title.includes('live')) score -= 3;
+    if (title.includes('cover')) score -= 3;
+    if (title.includes('remix')) score -= 2;
+    if (title.includes('karaoke')) score -= 4;
+    if (title.includes('instrumental')) score -= 2;
+    return { ...v, score };
+  });
+  scored.sort((a, b) => b.score - a.score);
+  const video = scored[0];
+  return {
+    title: video.title || 'Unknown Title',
+    url: video.url || `https://www.youtube.com/watch?v=${video.id}`,
+    duration: video.duration || 0,
+    thumbnail: getHighQualityThumbnail(video)
+  };
+}
+
 // API endpoint to search YouTube for a song (used for Spotify -> YouTube conversion)
 app.get('/api/youtube/search', async (req, res) => {
   const query = req.query.q;
@@ -1215,41 +1852,9 @@ app.get('/api/youtube/search', async (req, res) => {
   }
   
   try {
-    // Add "official audio" to search for better matching on Spotify conversions
-    const searchQuery = `${sanitizeSearchQuery(query)} official audio`;
-    const results = await ytDlpExec(`ytsearch3:${searchQuery}`, {
-      ...ytCookieOpts,
-      dumpSingleJson: true,
-      noCheckCertificates: true,
-      noWarnings: true,
-      flatPlaylist: true,
-      skipDownload: true
-    });
-    
-    const entries = results.entries || [];
-    if (entries.length > 0) {
-      // Prefer videos with "official" or "audio" in title, avoid "live", "cover", "remix"
-      const scored = entries.map(v => {
-        let score = 0;
-        const title = (v.title || '').toLowerCase();
-        if (title.includes('official')) score += 3;
-        if (title.includes('audio')) score += 2;
-        if (title.includes('lyrics')) score += 1;
-        if (title.includes('live')) score -= 3;
-        if (title.includes('cover')) score -= 3;
-        if (title.includes('remix')) score -= 2;
-        if (title.includes('karaoke')) score -= 4;
-        if (title.includes('instrumental')) score -= 2;
-        return { ...v, score };
-      });
-      scored.sort((a, b) => b.score - a.score);
-      const video = scored[0];
-      res.json({
-        title: video.title || 'Unknown Title',
-        url: video.url || `https://www.youtube.com/watch?v=${video.id}`,
-        duration: video.duration || 0,
-        thumbnail: getHighQualityThumbnail(video)
-      });
+    const video = await findYouTubeMatch(query);
+    if (video) {
+      res.json(video);
     } else {
       res.status(404).json({ error: 'No results found' });
     }
@@ -1259,6 +1864,44 @@ app.get('/api/youtube/search', async (req, res) => {
   }
 });
 
+// The playable videos of a YouTube playlist: { name, tracks, total }, or null when the URL is
+// not a playlist or has nothing left in it. Deleted and private entries are dropped here rather
+// than failing at play time.
+async function fetchYouTubePlaylist(url) {
+  const results = await ytDlpExec(url, {
+    ...ytCookieOpts,
+    dumpSingleJson: true,
+    noCheckCertificates: true,
+    noWarnings: true,
+    flatPlaylist: true,
+    skipDownload: true
+  });
+
+  // Check if it's a playlist
+  if (!results.entries || results.entries.length === 0) return null;
+
+  const tracks = results.entries
+    .filter(video => {
+      const title = (video.title || '').toLowerCase();
+      return title !== '[deleted video]' && title !== '[private video]'
+        && title !== 'deleted video' && title !== 'private video'
+        && !video.is_unavailable;
+    })
+    .map(video => ({
+      title: video.title || 'Unknown Title',
+      url: video.url || `https://www.youtube.com/watch?v=${video.id}`,
+      duration: video.duration || 0,
+      thumbnail: getHighQualityThumbnail(video),
+      channel: video.channel || video.uploader || 'Unknown'
+    }));
+
+  return {
+    name: results.title || 'YouTube Playlist',
+    tracks,
+    total: results.playlist_count || tracks.length
+  };
+}
+
 // API endpoint to get YouTube playlist info
 app.get('/api/youtube/playlist', rateLimit('ytplaylist', 3, 60_000), async (req, res) => {
   const url = req.query.url;
@@ -1270,41 +1913,11 @@ app.get('/api/youtube/playlist', rateLimit('ytplaylist', 3, 60_000), async (req,
   }
 
   try {
-    const results = await ytDlpExec(url, {
-      ...ytCookieOpts,
-      dumpSingleJson: true,
-      noCheckCertificates: true,
-      noWarnings: true,
-      flatPlaylist: true,
-      skipDownload: true
-    });
-
-    // Check if it's a playlist
-    if (!results.entries || results.entries.length === 0) {
+    const playlist = await fetchYouTubePlaylist(url);
+    if (!playlist) {
       return res.status(400).json({ error: 'Not a valid playlist or playlist is empty' });
     }
-    
-    const tracks = results.entries
-      .filter(video => {
-        const title = (video.title || '').toLowerCase();
-        return title !== '[deleted video]' && title !== '[private video]'
-          && title !== 'deleted video' && title !== 'private video'
-          && !video.is_unavailable;
-      })
-      .map(video => ({
-        title: video.title || 'Unknown Title',
-        url: video.url || `https://www.youtube.com/watch?v=${video.id}`,
-        duration: video.duration || 0,
-        thumbnail: getHighQualityThumbnail(video),
-        channel: video.channel || video.uploader || 'Unknown'
-      }));
-    
-    res.json({
-      type: 'playlist',
-      name: results.title || 'YouTube Playlist',
-      tracks,
-      total: results.playlist_count || tracks.length
-    });
+    res.json({ type: 'playlist', ...playlist });
   } catch (error) {
     console.error('YouTube playlist error:', error);
     res.status(500).json({ error: 'Failed to get playlist data' });
@@ -1324,13 +1937,16 @@ app.get('/api/youtube/radio', async (req, res) => {
     return res.status(400).json({ error: 'Video URL is required' });
   }
 
-  const guildId = req.query.guildId || currentState.guildId;
-  const queue = guildId ? getQueue(guildId) : null;
+  const guildId = sessionGuildId(req);
+  const queue = getQueue(guildId);
 
   const result = await pickRadioTrack(videoUrl, {
     queueUrls: queue ? queue.songs.map(s => s.url) : [],
     currentUrl: queue?.currentSong?.url || null,
-    recentRadioUrls: queue ? queue.recentRadioUrls : []
+    recentRadioUrls: queue ? queue.recentRadioUrls : [],
+    // The dashboard seeds off whatever is playing; naming it is what lets the pick explain itself
+    seedTitle: queue?.currentSong?.url === videoUrl ? queue.currentSong.title : null,
+    guildId
   });
 
   if (!result.track) {
@@ -1348,73 +1964,33 @@ app.get('/api/youtube/radio', async (req, res) => {
   res.json({ track: result.track });
 });
 
-// API endpoint to get lyrics for a song
+// API endpoint to get lyrics for a song, parsed into timed lines when they are synced (see
+// lyrics.js). With the song's URL they are cached against it - and that cache is where the
+// player's position tick reads the current line from, so a dashboard opening the lyrics is also
+// what puts them in step for everybody else.
 app.get('/api/lyrics', async (req, res) => {
-  const { title, artist } = req.query;
+  const { title, artist, url } = req.query;
 
-  if (!title) {
+  if (!title || typeof title !== 'string') {
     return res.status(400).json({ error: 'Title is required' });
   }
 
   try {
-    // Clean up title - remove common suffixes like (Official Video), [Lyrics], etc.
-    let cleanTitle = title
-      .replace(/\(official\s*(music\s*)?video\)/gi, '')
-      .replace(/\(lyric\s*video\)/gi, '')
-      .replace(/\(audio\)/gi, '')
-      .replace(/\[.*?\]/g, '')
-      .replace(/\s*-\s*$/, '')
-      .trim();
-
-    // Try to extract artist from title if not provided (format: "Artist - Song")
-    let searchArtist = artist || '';
-    let searchTitle = cleanTitle;
-
-    if (!artist && cleanTitle.includes(' - ')) {
-      const parts = cleanTitle.split(' - ');
-      searchArtist = parts[0].trim();
-      searchTitle = parts.slice(1).join(' - ').trim();
-    }
-
-    // First try: search with artist and title
-    let lrclibUrl = `https://lrclib.net/api/search?q=${encodeURIComponent(searchArtist + ' ' + searchTitle)}`;
-    let response = await fetch(lrclibUrl);
-    let results = await response.json();
-
-    // If no results, try with just the clean title
-    if (!results || results.length === 0) {
-      lrclibUrl = `https://lrclib.net/api/search?q=${encodeURIComponent(cleanTitle)}`;
-      response = await fetch(lrclibUrl);
-      results = await response.json();
-    }
-
-    // If still no results, try with original title
-    if (!results || results.length === 0) {
-      lrclibUrl = `https://lrclib.net/api/search?q=${encodeURIComponent(title)}`;
-      response = await fetch(lrclibUrl);
-      results = await response.json();
-    }
-
-    if (!results || results.length === 0) {
-      return res.status(404).json({ error: 'Lyrics not found' });
-    }
-
-    // Get the first result (best match)
-    const bestMatch = results[0];
-
-    // Return synced lyrics if available, otherwise plain lyrics
-    const lyrics = {
-      title: bestMatch.trackName,
-      artist: bestMatch.artistName,
-      synced: !!bestMatch.syncedLyrics,
-      lyrics: bestMatch.syncedLyrics || bestMatch.plainLyrics || null
-    };
-
-    if (!lyrics.lyrics) {
+    const lyrics = await getLyrics({
+      url: typeof url === 'string' && url ? url.slice(0, 500) : null,
+      title: title.slice(0, 300),
+      artist: typeof artist === 'string' ? artist.slice(0, 200) : ''
+    });
+    if (!lyrics) {
       return res.status(404).json({ error: 'Lyrics not found' });
     }
-
-    res.json(lyrics);
+    res.json({
+      title: lyrics.title,
+      artist: lyrics.artist,
+      synced: lyrics.synced,
+      lines: lyrics.lines,
+      text: lyrics.text
+    });
   } catch (error) {
     console.error('Lyrics fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch lyrics' });
@@ -1422,13 +1998,22 @@ app.get('/api/lyrics', async (req, res) => {
 });
 
 // API endpoint to add song to queue
-app.post('/api/queue/add', rateLimit('queueadd', 20, 60_000), async (req, res) => {
-  const { url, title, duration, thumbnail, guildId, requestedBy: customRequestedBy } = req.body;
+app.post('/api/queue/add', rateLimit(QUEUE_ADD_LIMIT.name, QUEUE_ADD_LIMIT.maxHits, QUEUE_ADD_LIMIT.windowMs), async (req, res) => {
+  const { url, title, duration, thumbnail, requestedBy: customRequestedBy, radioReason } = req.body;
+  // The guild picked in the dashboard, never one named in the body: which guild somebody may
+  // add to is what their session was checked against
+  const guildId = sessionGuildId(req);
 
   if (!url) {
     return res.status(400).json({ error: 'URL is required' });
   }
-  if (!isAllowedMediaUrl(url)) {
+  // A local: URL names nothing but an entry in the library index, so it is looked up there
+  // rather than validated as a web address
+  const localTrack = isLocalTrackUrl(url) ? getLocalTrack(url) : null;
+  if (isLocalTrackUrl(url) && !localTrack) {
+    return res.status(404).json({ error: 'That file is no longer in the local library' });
+  }
+  if (!localTrack && !isAllowedMediaUrl(url)) {
     return res.status(400).json({ error: 'Invalid or unsupported URL' });
   }
 
@@ -1441,7 +2026,12 @@ app.post('/api/queue/add', rateLimit('queueadd', 20, 60_000), async (req, res) =
     // Get full song info if needed (skip if we already have title, duration, and thumbnail)
     let song = { url, title, duration, thumbnail, requestedBy, requestedById, source: 'youtube' };
     
-    if (!title || !duration || !thumbnail) {
+    if (localTrack) {
+      song = localTrackToSong(localTrack, requestedBy, requestedById);
+    } else if (!title || !duration || !thumbnail || guardrailsNeedVideoInfo(getQueueGuardrails())) {
+      // With a length limit or a channel blocklist set, a song is looked up even when the
+      // request came with its details: those are what it is checked on, so they come from
+      // YouTube rather than from the request
       const videoInfo = await ytDlpExec(url, {
         ...ytCookieOpts,
         dumpSingleJson: true,
@@ -1452,17 +2042,27 @@ app.post('/api/queue/add', rateLimit('queueadd', 20, 60_000), async (req, res) =
       song = {
         title: title || videoInfo.title,
         url: videoInfo.webpage_url || url,
-        duration: duration || videoInfo.duration || 0,
+        duration: videoInfo.duration || duration || 0,
         thumbnail: thumbnail || getHighQualityThumbnail(videoInfo),
         requestedBy,
         requestedById,
-        source: 'youtube'
+        source: 'youtube',
+        ...channelInfo(videoInfo),
+        chapters: parseChapters(videoInfo)
       };
     }
+    // A link pasted with a ?t= (or start/end) plays from there, as it would on YouTube
+    if (!localTrack) {
+      const range = playRange(playRangeFromUrl(url), song.duration);
+      if (range.error) return res.status(400).json({ error: range.error });
+      Object.assign(song, range);
+    }
+    // Why radio picked it (see pickRadioTrack), passed back by the dashboard that asked
+    if (isRadio && typeof radioReason === 'string') song.radioReason = radioReason.slice(0, 200);
     
     // Add to queue via command handler
     if (addSongHandler) {
-      const result = await addSongHandler(song, guildId || currentState.guildId);
+      const result = await addSongHandler(song, guildId);
       console.log('Add song result:', result);
       if (result.success === false) {
         return res.status(400).json({ success: false, error: result.error });
@@ -1557,11 +2157,14 @@ wss.on('connection', (ws, req) => {
     clients.add(ws);
     
     // Send current state immediately (include recently played from musicQueue)
-    const stateWithRecentlyPlayed = { ...currentState, recentlyPlayed: getRecentlyPlayed() };
+    const guildId = socketGuildId(ws);
+    const stateWithRecentlyPlayed = { ...stateFor(guildId), recentlyPlayed: getRecentlyPlayed(guildId) };
     ws.send(JSON.stringify({ type: 'state', data: stateWithRecentlyPlayed }));
+    // The mixer profiles are per person, so they come with the connection rather than the state
+    ws.send(JSON.stringify({ type: 'mixerProfiles', profiles: listMixerProfiles(ws.user.id) }));
     
     // Broadcast updated listeners list to all clients (including new one)
-    setTimeout(() => broadcastListeners(), 100);
+    setTimeout(() => broadcastListeners(guildId), 100);
     
     ws.on('close', () => {
       console.log(`Web client disconnected: ${ws.user?.username || 'unknown'}`);
@@ -1573,7 +2176,7 @@ wss.on('connection', (ws, req) => {
       // Clean up pesten room membership
       cleanupPestenClient(ws);
       // Broadcast updated listeners list after disconnect
-      broadcastListeners();
+      broadcastListeners(guildId);
     });
     
     ws.on('message', async (message) => {
@@ -1583,28 +2186,7 @@ wss.on('connection', (ws, req) => {
 
         // Handle commands from web interface
         if (data.type === 'command') {
-          // Mixer commands require DJ role - check live from bot's guild cache
-          if (data.command.startsWith('mixer-')) {
-            let hasDJ = ws.user.hasDJRole;
-            if (memberFetcher) {
-              try {
-                const memberData = await memberFetcher(ws.user.id);
-                hasDJ = memberData?.roles?.includes(DJ_ROLE_ID) || false;
-                ws.user.hasDJRole = hasDJ;
-              } catch (e) {
-                // Fail closed: deny if the live role refresh throws
-                hasDJ = false;
-              }
-            }
-            if (!hasDJ) {
-              ws.send(JSON.stringify({
-                type: 'error',
-                message: 'You need the "Website DJ Extraordinaire" role to use mixer controls.'
-              }));
-              return;
-            }
-          }
-          handleWebCommand(data.command, data.guildId, ws.user.username, ws);
+          await runClientCommand(ws, data.command, guildId);
         }
 
         // Handle Pictionary messages
@@ -1628,19 +2210,19 @@ wss.on('connection', (ws, req) => {
   });
 });
 
-// Get list of users viewing the web dashboard
-async function getWebViewers() {
+// Get list of users viewing `guildId`'s web dashboard
+async function getWebViewers(guildId) {
   const viewers = [];
   const seenUserIds = new Set();
   
   for (const client of clients) {
-    if (client.readyState === 1 && client.user) {
+    if (client.readyState === 1 && client.user && socketGuildId(client) === guildId) {
       // Deduplicate by user ID
       if (!seenUserIds.has(client.user.id)) {
         seenUserIds.add(client.user.id);
         
         // Try to fetch fresh display name from Discord
-        const memberData = await getMemberDisplayName(client.user.id);
+        const memberData = await getMemberDisplayName(client.user.id, guildId);
         
         viewers.push({
           id: client.user.id,
@@ -1655,15 +2237,20 @@ async function getWebViewers() {
 }
 
 // Get list of users in voice channel with the bot
-async function getVoiceListeners() {
-  return await getVoiceChannelMembers();
+async function getVoiceListeners(guildId) {
+  return await getVoiceChannelMembers(guildId);
 }
 
-// Broadcast listeners update to all clients (both web viewers and voice channel members)
-export async function broadcastListeners() {
-  const webViewers = await getWebViewers();
-  const voiceListeners = await getVoiceListeners();
-  broadcast('listeners', { webViewers, voiceListeners });
+// Broadcast listeners update to each guild's clients (both web viewers and voice channel members).
+// Given a guild, only that guild's dashboards are sent theirs; without one, every guild that has
+// a dashboard open.
+export async function broadcastListeners(guildId = null) {
+  const guildIds = guildId ? [guildId] : [...new Set([...clients].filter(c => c.user).map(socketGuildId))];
+  for (const gid of guildIds) {
+    const webViewers = await getWebViewers(gid);
+    const voiceListeners = await getVoiceListeners(gid);
+    broadcastToGuild(gid, 'listeners', { webViewers, voiceListeners });
+  }
 }
 
 // How many dashboards are actually connected. The music engine asks before it does per-second
@@ -1685,16 +2272,37 @@ export function broadcast(type, data) {
   });
 }
 
-// Update state and broadcast.
+// Broadcast to the clients showing `guildId`'s dashboard: the player, its listeners and its
+// notices are that guild's alone, while the games and the site-wide messages still go to all
+export function broadcastToGuild(guildId, type, data) {
+  if (clients.size === 0) return;
+  const gid = guildId || primaryGuildId();
+  const message = JSON.stringify({ type, data });
+  clients.forEach(client => {
+    if (client.readyState === 1 && socketGuildId(client) === gid) {
+      client.send(message);
+    }
+  });
+}
+
+// What a dashboard showing `guildId` would be sent now
+export function getDashboardState(guildId = primaryGuildId()) {
+  return stateFor(guildId);
+}
+
+// Update a guild's state and broadcast it to that guild's dashboards. A state without a
+// guildId (nothing has played anywhere yet) is the primary guild's.
 //
-// The merge always happens, even with nobody connected: currentState is what the *next* client
-// to connect is sent, so letting it go stale would mean a dashboard opening onto the song that
-// was playing an hour ago.
+// The merge always happens, even with nobody connected: the stored state is what the *next*
+// client to connect is sent, so letting it go stale would mean a dashboard opening onto the
+// song that was playing an hour ago.
 export function updateState(newState) {
-  currentState = { ...currentState, ...newState };
+  const guildId = newState.guildId || primaryGuildId();
+  const merged = { ...stateFor(guildId), ...newState };
+  guildStates.set(guildId, merged);
   if (clients.size === 0) return;
-  console.log('Broadcasting state - isPlaying:', currentState.isPlaying, 'isPaused:', currentState.isPaused, 'currentSong:', currentState.currentSong?.title);
-  broadcast('state', currentState);
+  console.log(`Broadcasting state (${guildId}) - isPlaying:`, merged.isPlaying, 'isPaused:', merged.isPaused, 'currentSong:', merged.currentSong?.title);
+  broadcastToGuild(guildId, 'state', merged);
 }
 
 // The once-a-second playback position, on its own.
@@ -1704,14 +2312,23 @@ export function updateState(newState) {
 // second. And the clients Set is the whole site's, not the player's, so a tab open on /stats or
 // /f1 was paying for it too. Everything that really changes still sends the full state; this
 // carries the three fields a progress bar needs.
-export function updatePosition({ position, isPaused, songStartTime }) {
-  currentState = { ...currentState, position, isPaused, songStartTime };
-  broadcast('position', { position, isPaused, songStartTime });
+//
+// `lyricLine` is the synced lyric line at that position, for a song whose lyrics are cached; the
+// field is left out entirely for one without. `chapter` is the same for a song with chapters.
+// Each guild's queue ticks on its own, and its tick goes to its own dashboards only.
+export function updatePosition({ guildId, position, isPaused, songStartTime, lyricLine, chapter }) {
+  const gid = guildId || primaryGuildId();
+  const tick = { position, isPaused, songStartTime };
+  if (lyricLine !== undefined) tick.lyricLine = lyricLine;
+  if (chapter !== undefined) tick.chapter = chapter;
+  guildStates.set(gid, { ...stateFor(gid), lyricLine: null, chapter: null, ...tick });
+  broadcastToGuild(gid, 'position', tick);
 }
 
 // Command handler (will be connected to music queue)
 let commandHandler = null;
 let addSongHandler = null;
+let restoreSnapshotHandler = null;
 
 export function setCommandHandler(handler) {
   commandHandler = handler;
@@ -1721,19 +2338,85 @@ export function setAddSongHandler(handler) {
   addSongHandler = handler;
 }
 
+export function setRestoreSnapshotHandler(handler) {
+  restoreSnapshotHandler = handler;
+}
+
+// Re-reads a dashboard user's DJ role in `guildId` from the bot's guild cache, so a role that
+// was taken away after login stops working now rather than at the next login. Fails closed.
+async function refreshDJRole(ws, guildId) {
+  let hasDJ = ws.user.hasDJRole;
+  if (memberFetcher) {
+    try {
+      const memberData = await memberFetcher(ws.user.id, guildId);
+      hasDJ = memberRoleFlags(guildId, memberData).hasDJRole;
+      ws.user.hasDJRole = hasDJ;
+    } catch (e) {
+      // Fail closed: deny if the live role refresh throws
+      hasDJ = false;
+    }
+  }
+  return hasDJ;
+}
+
+// A command from a person at a control: a dashboard socket, or the Discord player panel standing
+// in for one (runPanelCommand). `client` is anything with a `user`, a `readyState` and a
+// `send()`.
+async function runClientCommand(client, command, guildId) {
+  if (typeof command !== 'string') return;
+  // Mixer commands require DJ role - check live from bot's guild cache
+  if (command.startsWith('mixer-')) {
+    const hasDJ = await refreshDJRole(client, guildId);
+    if (!hasDJ) {
+      client.send(JSON.stringify({
+        type: 'error',
+        message: 'You need the "Website DJ Extraordinaire" role to use mixer controls.'
+      }));
+      return;
+    }
+  }
+  // A skip is a vote unless it comes from a DJ, and a role taken away since login
+  // should not keep skipping outright - the same live check the mixer gets
+  if (command === 'skip') await refreshDJRole(client, guildId);
+  await handleWebCommand(command, guildId, client.user.username, client);
+}
+
+// A press on the Discord player panel (playerPanel.js), run exactly as if `user` had clicked
+// the same control on the dashboard. What the dashboard would have been sent back - a refusal,
+// a vote count - is returned for the panel to show the presser instead: { type, message }, or
+// null when there was nothing to say.
+//
+// @param user - { id, username, displayName, hasDJRole }; the role is re-read live, as for a socket
+export async function runPanelCommand(command, guildId, user) {
+  const answers = [];
+  const panel = { user: { ...user }, readyState: 1, send: (message) => answers.push(JSON.parse(message)) };
+  await runClientCommand(panel, command, guildId);
+  return answers[0] || null;
+}
+
 // @param ws - the client that asked, if there is one. Commands that can silently do nothing
 //   (pause/resume during the download gap, or with nothing playing) answer with a reason, and
 //   it goes back to that one client as an error toast: those two produce no player transition
-//   when they no-op, so there is no state broadcast to correct the button with.
+//   when they no-op, so there is no state broadcast to correct the button with. A skip that
+//   only counted as a vote answers too, as a notice - the song carrying on is not a failure.
+// @returns a promise that settles once that answer has been sent
 function handleWebCommand(command, guildId, username = 'Web Dashboard', ws = null) {
   let result;
   if (commandHandler) {
-    result = commandHandler(command, guildId);
+    // Who is asking, for the commands that care (a skip vote is counted per person)
+    const actor = ws?.user ? { userId: ws.user.id, displayName: ws.user.displayName || ws.user.username, isDJ: !!ws.user.hasDJRole } : null;
+    result = commandHandler(command, guildId, actor);
   }
 
-  if (result && result.ok === false && ws && ws.readyState === 1) {
-    ws.send(JSON.stringify({ type: 'error', message: result.message }));
-  }
+  // skip answers asynchronously: counting a vote has to read who is in the channel
+  const answered = Promise.resolve(result).then(answer => {
+    if (!answer || !ws || ws.readyState !== 1) return;
+    if (answer.ok === false) {
+      ws.send(JSON.stringify({ type: 'error', message: answer.message }));
+    } else if (answer.message) {
+      ws.send(JSON.stringify({ type: 'notice', message: answer.message }));
+    }
+  }).catch(err => console.error(`[Web] command "${command}" failed:`, err?.message || err));
 
   // Log the action
   if (activityLogger && activityLogger.logWebAction) {
@@ -1744,13 +2427,26 @@ function handleWebCommand(command, guildId, username = 'Web Dashboard', ws = nul
     } else if (command === 'resume') {
       logWebAction(username, 'resume');
     } else if (command === 'skip') {
-      logWebAction(username, 'skip');
+      // Logged once the outcome is known: it may have been a vote rather than a skip
+      Promise.resolve(result).then(answer => {
+        if (answer?.vote) logWebAction(username, 'voteskip', `${answer.vote.votes}/${answer.vote.needed}`);
+        else if (!answer || answer.ok !== false) logWebAction(username, 'skip');
+      }).catch(() => {});
+    } else if (command === 'next-chapter') {
+      logWebAction(username, 'next-chapter');
     } else if (command === 'previous') {
       logWebAction(username, 'previous');
     } else if (command === 'stop') {
       logWebAction(username, 'stop');
     } else if (command === 'shuffle') {
       logWebAction(username, 'shuffle');
+    } else if (command === 'clear') {
+      logWebAction(username, 'clear');
+    } else if (command === 'undo') {
+      // Only an undo that did something; "nothing to undo" is not worth a log line
+      Promise.resolve(result).then(answer => {
+        if (answer?.ok) logWebAction(username, 'undo');
+      }).catch(() => {});
     } else if (command.startsWith('volume:')) {
       const level = command.split(':')[1];
       logWebAction(username, 'volume', level);
@@ -1773,12 +2469,14 @@ function handleWebCommand(command, guildId, username = 'Web Dashboard', ws = nul
       logWebAction(username, '24/7');
     } else if (command === 'radio') {
       logWebAction(username, 'radio');
+    } else if (command === 'fairqueue') {
+      logWebAction(username, 'fairqueue');
     } else if (command.startsWith('sleep-set:')) {
       const minutes = parseInt(command.split(':')[1]);
-      setSleepTimer(minutes);
+      setSleepTimer(minutes, guildId);
       logWebAction(username, 'sleep-set', `${minutes} minutes`);
     } else if (command === 'sleep-cancel') {
-      cancelSleepTimer();
+      cancelSleepTimer(guildId);
       logWebAction(username, 'sleep-cancel');
     } else if (command.startsWith('mixer-bass:')) {
       // Every numeric mixer value is guarded the way handleMusicCommand guards volume/seek/
@@ -1787,73 +2485,120 @@ function handleWebCommand(command, guildId, username = 'Web Dashboard', ws = nul
       // guild's saved filters and hand ffmpeg a broken filter string for every listener.
       const value = parseFloat(command.split(':')[1]);
       if (Number.isFinite(value)) {
-        applyMixerFilters({ bass: value });
+        applyMixerFilters({ bass: value }, guildId);
         logWebAction(username, 'mixer-bass', `${value}dB`);
       }
     } else if (command.startsWith('mixer-treble:')) {
       const value = parseFloat(command.split(':')[1]);
       if (Number.isFinite(value)) {
-        applyMixerFilters({ treble: value });
+        applyMixerFilters({ treble: value }, guildId);
         logWebAction(username, 'mixer-treble', `${value}dB`);
       }
     } else if (command.startsWith('mixer-speed:')) {
       const value = parseFloat(command.split(':')[1]);
       if (Number.isFinite(value)) {
-        applyMixerFilters({ speed: value });
+        applyMixerFilters({ speed: value }, guildId);
         logWebAction(username, 'mixer-speed', `${value}x`);
       }
     } else if (command.startsWith('mixer-mid:')) {
       const value = parseFloat(command.split(':')[1]);
       if (Number.isFinite(value)) {
-        applyMixerFilters({ mid: value });
+        applyMixerFilters({ mid: value }, guildId);
         logWebAction(username, 'mixer-mid', `${value}dB`);
       }
     } else if (command.startsWith('mixer-karaoke:')) {
       const value = command.split(':')[1] === 'true';
-      applyMixerFilters({ karaoke: value });
+      applyMixerFilters({ karaoke: value }, guildId);
       logWebAction(username, 'mixer-karaoke', value ? 'on' : 'off');
     } else if (command.startsWith('mixer-8d:')) {
       const value = command.split(':')[1] === 'true';
-      applyMixerFilters({ eightD: value });
+      applyMixerFilters({ eightD: value }, guildId);
       logWebAction(username, 'mixer-8d', value ? 'on' : 'off');
     } else if (command.startsWith('mixer-8drate:')) {
       const value = parseFloat(command.split(':')[1]);
       if (Number.isFinite(value)) {
-        applyMixerFilters({ eightDRate: value });
+        applyMixerFilters({ eightDRate: value }, guildId);
         logWebAction(username, 'mixer-8drate', `${value}Hz`);
       }
     } else if (command.startsWith('mixer-reverb:')) {
       const value = parseInt(command.split(':')[1]);
       if (Number.isFinite(value)) {
-        applyMixerFilters({ reverb: value });
+        applyMixerFilters({ reverb: value }, guildId);
         logWebAction(username, 'mixer-reverb', `${value}%`);
       }
     } else if (command.startsWith('mixer-compressor:')) {
       const value = command.split(':')[1] === 'true';
-      applyMixerFilters({ compressor: value });
+      applyMixerFilters({ compressor: value }, guildId);
       logWebAction(username, 'mixer-compressor', value ? 'on' : 'off');
     } else if (command.startsWith('mixer-flanger:')) {
       const value = command.split(':')[1] === 'true';
-      applyMixerFilters({ flanger: value });
+      applyMixerFilters({ flanger: value }, guildId);
       logWebAction(username, 'mixer-flanger', value ? 'on' : 'off');
+    } else if (command.startsWith('mixer-limiter:')) {
+      const value = command.split(':')[1] === 'true';
+      applyMixerFilters({ limiter: value }, guildId);
+      logWebAction(username, 'mixer-limiter', value ? 'on' : 'off');
+    } else if (command.startsWith('mixer-eqmode:')) {
+      const mode = command.split(':')[1];
+      if (mode === 'simple' || mode === 'graphic') {
+        applyMixerFilters({ eqMode: mode }, guildId);
+        logWebAction(username, 'mixer-eqmode', mode);
+      }
+    } else if (command.startsWith('mixer-eq:')) {
+      // mixer-eq:<band index>:<gain>. One band at a time, like the faders; the rest are copied
+      // from what is set now so a slider move never resets its neighbours.
+      const [, bandText, gainText] = command.split(':');
+      const band = parseInt(bandText);
+      const gain = parseFloat(gainText);
+      if (Number.isInteger(band) && band >= 0 && band < GRAPHIC_EQ_BANDS.length && Number.isFinite(gain)) {
+        const eqBands = [...getMixerFilters(guildId).eqBands];
+        eqBands[band] = gain;
+        applyMixerFilters({ eqBands }, guildId);
+        logWebAction(username, 'mixer-eq', `${GRAPHIC_EQ_BANDS[band]}Hz ${gain}dB`);
+      }
     } else if (command.startsWith('mixer-preset:')) {
       const preset = command.split(':')[1];
-      const defaults = { bass: 0, mid: 0, treble: 0, speed: 1.0, karaoke: false, eightD: false, eightDRate: 0.15, reverb: 0, compressor: false, flanger: false };
-      const presets = {
-        normal:    { ...defaults },
-        bassboost: { ...defaults, bass: 10 },
-        nightcore: { ...defaults, treble: 3, speed: 1.25 },
-        slowed:    { ...defaults, bass: 3, treble: -2, speed: 0.85 },
-        karaoke:   { ...defaults, karaoke: true },
-        eightd:    { ...defaults, eightD: true, reverb: 20 },
-        nightmode: { ...defaults, compressor: true }
-      };
-      if (presets[preset]) {
-        applyMixerFilters(presets[preset]);
+      const filters = presetFilters(preset);
+      if (filters) {
+        applyMixerFilters(filters, guildId);
         logWebAction(username, 'mixer-preset', preset);
       }
+    } else if (command.startsWith('mixer-profile-')) {
+      handleMixerProfileCommand(command, username, ws);
     }
   }
+  return answered;
+}
+
+// mixer-profile-save|load|delete:<name>. A profile belongs to whoever is logged in, so these
+// need the socket (there is no "whose" for a command with no user behind it), and each one
+// answers that socket alone with the updated list rather than broadcasting it. The name is
+// everything after the first colon: people put colons in names.
+function handleMixerProfileCommand(command, username, ws) {
+  const userId = ws?.user?.id;
+  if (!userId) return;
+  const colon = command.indexOf(':');
+  const action = command.slice('mixer-profile-'.length, colon === -1 ? undefined : colon);
+  const name = colon === -1 ? '' : command.slice(colon + 1);
+  const reply = (payload) => { if (ws.readyState === 1) ws.send(JSON.stringify(payload)); };
+  const { logWebAction } = activityLogger || {};
+
+  if (action === 'save') {
+    const result = saveMixerProfile(userId, name, getMixerFilters(socketGuildId(ws)));
+    if (!result.success) return reply({ type: 'error', message: result.error });
+    logWebAction?.(username, 'mixer-profile-save', result.name);
+  } else if (action === 'load') {
+    const profile = getMixerProfile(userId, name);
+    if (!profile) return reply({ type: 'error', message: `You have no mixer profile called "${name}"` });
+    applyMixerFilters(profile.filters, socketGuildId(ws));
+    logWebAction?.(username, 'mixer-profile-load', cleanProfileName(name));
+  } else if (action === 'delete') {
+    if (!deleteMixerProfile(userId, name)) return reply({ type: 'error', message: `You have no mixer profile called "${name}"` });
+    logWebAction?.(username, 'mixer-profile-delete', cleanProfileName(name));
+  } else {
+    return;
+  }
+  reply({ type: 'mixerProfiles', profiles: listMixerProfiles(userId) });
 }
 
 // Pictionary WebSocket handlers
@@ -3015,4 +3760,3 @@ export function startWebServer() {
   });
 }
 
-export { currentState };
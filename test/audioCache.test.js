@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, readdirSync, unlinkSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  setAudioCacheDir, takeFromAudioCache, addToAudioCache, getAudioCacheStats,
+  setAudioCacheMaxMB, purgeAudioCache, clampAudioCacheMaxMB, DEFAULT_AUDIO_CACHE_MAX_MB, MAX_AUDIO_CACHE_MAX_MB
+} from '../src/utils/audioCache.js';
+
+const MB = 1024 * 1024;
+
+// A fresh cache directory and a scratch directory for the "downloads" going in and out of it
+function freshCache(maxMB = 1) {
+  const dir = mkdtempSync(join(tmpdir(), 'audiocache-'));
+  setAudioCacheDir(join(dir, 'cache'));
+  setAudioCacheMaxMB(maxMB);
+  return dir;
+}
+
+function download(dir, name, bytes) {
+  const path = join(dir, name);
+  writeFileSync(path, Buffer.alloc(bytes, name));
+  return path;
+}
+
+test('clampAudioCacheMaxMB: whole MB, 0 is off, nonsense is the default', () => {
+  assert.equal(clampAudioCacheMaxMB('512'), 512);
+  assert.equal(clampAudioCacheMaxMB(0), 0);
+  assert.equal(clampAudioCacheMaxMB(2.6), 3);
+  assert.equal(clampAudioCacheMaxMB(-5), DEFAULT_AUDIO_CACHE_MAX_MB);
+  assert.equal(clampAudioCacheMaxMB('lots'), DEFAULT_AUDIO_CACHE_MAX_MB);
+  assert.equal(clampAudioCacheMaxMB(''), DEFAULT_AUDIO_CACHE_MAX_MB);
+  assert.equal(clampAudioCacheMaxMB(1e9), MAX_AUDIO_CACHE_MAX_MB);
+});
+
+test('a miss, then a stored download, then a hit with the same bytes', async () => {
+  const dir = freshCache();
+  assert.equal(await takeFromAudioCache('videoAAAAAA', join(dir, 'play1')), false);
+
+  const source = download(dir, 'dl', 1000);
+  assert.equal(await addToAudioCache('videoAAAAAA', source, { title: 'A' }), true);
+  // The download's own file goes away after the song, as it always did
+  unlinkSync(source);
+
+  const dest = join(dir, 'play2');
+  assert.equal(await takeFromAudioCache('videoAAAAAA', dest), true);
+  assert.deepEqual(readFileSync(dest), Buffer.alloc(1000, 'dl'));
+  assert.deepEqual(
+    (({ hits, misses, songs, usedBytes }) => ({ hits, misses, songs, usedBytes }))(getAudioCacheStats()),
+    { hits: 1, misses: 1, songs: 1, usedBytes: 1000 }
+  );
+});
+
+test('the played copy is independent of the cache: a purge never takes a playing file', async () => {
+  const dir = freshCache();
+  await addToAudioCache('videoBBBBBB', download(dir, 'dl', 10));
+  const dest = join(dir, 'playing');
+  await takeFromAudioCache('videoBBBBBB', dest);
+  assert.equal(purgeAudioCache().removed, 1);
+  assert.ok(existsSync(dest));
+  assert.equal(await takeFromAudioCache('videoBBBBBB', join(dir, 'again')), false);
+});
+
+test('over the cap, the least recently played song goes first', async () => {
+  const dir = freshCache(1);
+  const third = Math.floor(0.4 * MB);
+  await addToAudioCache('oldestAAAAA', download(dir, 'a', third));
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await addToAudioCache('middleBBBBB', download(dir, 'b', third));
+  await new Promise(resolve => setTimeout(resolve, 5));
+  // Played again, so it is the most recent now, ahead of the one added after it
+  await takeFromAudioCache('oldestAAAAA', join(dir, 'replay'));
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await addToAudioCache('newestCCCCC', download(dir, 'c', third));
+
+  assert.equal(getAudioCacheStats().songs, 2);
+  assert.equal(await takeFromAudioCache('middleBBBBB', join(dir, 'x')), false);
+  assert.equal(await takeFromAudioCache('oldestAAAAA', join(dir, 'y')), true);
+  assert.equal(await takeFromAudioCache('newestCCCCC', join(dir, 'z')), true);
+});
+
+test('a song bigger than the whole cache is not kept', async () => {
+  const dir = freshCache(1);
+  assert.equal(await addToAudioCache('hugeDJset11', download(dir, 'big', MB + 1)), false);
+  assert.equal(getAudioCacheStats().songs, 0);
+});
+
+test('a cap of 0 turns the cache off and empties it', async () => {
+  const dir = freshCache(1);
+  await addToAudioCache('videoDDDDDD', download(dir, 'dl', 10));
+  const stats = setAudioCacheMaxMB(0);
+  assert.equal(stats.enabled, false);
+  assert.equal(stats.songs, 0);
+  assert.equal(await addToAudioCache('videoDDDDDD', download(dir, 'dl2', 10)), false);
+  assert.equal(await takeFromAudioCache('videoDDDDDD', join(dir, 'p')), false);
+  assert.equal(getAudioCacheStats().misses, 0, 'a disabled cache is not a miss');
+});
+
+test('a restart keeps the songs and the cap, and clears out files the index never knew', async () => {
+  const dir = freshCache(2);
+  const cacheDir = join(dir, 'cache');
+  await addToAudioCache('videoEEEEEE', download(dir, 'dl', 10));
+  writeFileSync(join(cacheDir, 'videoFFFFFF.audio.123.tmp'), 'a crash mid-copy');
+
+  setAudioCacheDir(cacheDir);
+  const stats = getAudioCacheStats();
+  assert.equal(stats.songs, 1);
+  assert.equal(stats.maxBytes, 2 * MB);
+  assert.deepEqual(readdirSync(cacheDir).filter(name => name.endsWith('.tmp')), []);
+  assert.equal(await takeFromAudioCache('videoEEEEEE', join(dir, 'p')), true);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseChapters, chapterIndexAt, nextChapter, parseTimestamp, playRangeFromUrl, playRange, hasPlayRange,
+  playedLength, formatClock, MAX_CHAPTERS
+} from '../src/utils/chapters.js';
+
+const info = {
+  duration: 600,
+  chapters: [
+    { start_time: 240, end_time: 600, title: 'Third' },
+    { start_time: 0, end_time: 120, title: 'Intro ' },
+    { start_time: 120, end_time: 240, title: '' }
+  ]
+};
+
+test('parseChapters: in order, untitled ones numbered, each ending where the next begins', () => {
+  assert.deepEqual(parseChapters(info), [
+    { title: 'Intro', start: 0, end: 120 },
+    { title: 'Chapter 3', start: 120, end: 240 },
+    { title: 'Third', start: 240, end: 600 }
+  ]);
+});
+
+test('parseChapters: a video with one chapter, or none, or nonsense has no chapters', () => {
+  assert.deepEqual(parseChapters({ duration: 600, chapters: [{ start_time: 0, end_time: 600, title: 'All' }] }), []);
+  assert.deepEqual(parseChapters({ duration: 600 }), []);
+  assert.deepEqual(parseChapters({ chapters: 'nope' }), []);
+  assert.deepEqual(parseChapters(null), []);
+  // One starting past the end of the video is dropped, and so leaves a single chapter
+  assert.deepEqual(parseChapters({ duration: 100, chapters: [{ start_time: 0 }, { start_time: 300 }] }), []);
+
+  const many = Array.from({ length: MAX_CHAPTERS + 20 }, (_, i) => ({ start_time: i, title: `#${i}` }));
+  assert.equal(parseChapters({ duration: 10000, chapters: many }).length, MAX_CHAPTERS);
+});
+
+test('chapterIndexAt / nextChapter: where a position is, and what comes after it', () => {
+  const chapters = parseChapters(info);
+  assert.equal(chapterIndexAt(chapters, 0), 0);
+  assert.equal(chapterIndexAt(chapters, 119.9), 0);
+  assert.equal(chapterIndexAt(chapters, 120), 1);
+  assert.equal(chapterIndexAt(chapters, 5000), 2);
+  assert.equal(chapterIndexAt([], 10), -1);
+  assert.equal(chapterIndexAt([{ title: 'Late', start: 30, end: 60 }, { title: 'Later', start: 60, end: 90 }], 10), -1);
+
+  assert.equal(nextChapter(chapters, 50).title, 'Chapter 3');
+  assert.equal(nextChapter(chapters, 300), null, 'nothing after the last chapter');
+  assert.equal(nextChapter(chapters, 50, 200).title, 'Chapter 3');
+  assert.equal(nextChapter(chapters, 150, 200), null, 'a chapter past the end time is never reached');
+  assert.equal(nextChapter(null, 0), null);
+});
+
+test('parseTimestamp: every way a person writes a time', () => {
+  assert.equal(parseTimestamp('90'), 90);
+  assert.equal(parseTimestamp('90s'), 90);
+  assert.equal(parseTimestamp('1.5'), 1.5);
+  assert.equal(parseTimestamp('1m30s'), 90);
+  assert.equal(parseTimestamp('1h2m3s'), 3723);
+  assert.equal(parseTimestamp('2h'), 7200);
+  assert.equal(parseTimestamp('1:30'), 90);
+  assert.equal(parseTimestamp(' 1:02:03 '), 3723);
+  assert.equal(parseTimestamp(45), 45);
+
+  for (const bad of ['', 'abc', '1:75', '1:60:00', '-5', '1m30', 'h', null, undefined, -1, NaN]) {
+    assert.equal(parseTimestamp(bad), null, String(bad));
+  }
+});
+
+test('playRangeFromUrl: YouTube\'s t, start and end, in the query or the fragment', () => {
+  assert.deepEqual(playRangeFromUrl('https://www.youtube.com/watch?v=abc&t=1m30s'), { start: 90, end: null });
+  assert.deepEqual(playRangeFromUrl('https://youtu.be/abc?t=42'), { start: 42, end: null });
+  assert.deepEqual(playRangeFromUrl('https://youtu.be/abc#t=1:00'), { start: 60, end: null });
+  assert.deepEqual(playRangeFromUrl('https://www.youtube.com/embed/abc?start=10&end=70'), { start: 10, end: 70 });
+  // t=0 is "from the start", which is no range at all
+  assert.deepEqual(playRangeFromUrl('https://www.youtube.com/watch?v=abc&t=0'), { start: null, end: null });
+  assert.deepEqual(playRangeFromUrl('not a url'), { start: null, end: null });
+});
+
+test('playRange: the fields a song gets, or why the range does not fit the video', () => {
+  assert.deepEqual(playRange({ start: 30, end: 90 }, 600), { startTime: 30, endTime: 90 });
+  assert.deepEqual(playRange({ start: 30 }, 600), { startTime: 30 });
+  assert.deepEqual(playRange({ end: 90 }, 0), { endTime: 90 }, 'the length is not always known');
+  // An end at or past the video's own is the video's end
+  assert.deepEqual(playRange({ start: 30, end: 600 }, 600), { startTime: 30 });
+  assert.deepEqual(playRange({}, 600), {});
+
+  assert.ok(playRange({ start: 700 }, 600).error);
+  assert.ok(playRange({ start: 90, end: 30 }, 600).error);
+  assert.ok(playRange({ start: -5 }, 600).error);
+});
+
+test('hasPlayRange / playedLength: how much of the video a song plays', () => {
+  assert.equal(hasPlayRange({ duration: 600 }), false);
+  assert.equal(hasPlayRange({ duration: 600, startTime: 30 }), true);
+  assert.equal(playedLength({ duration: 600 }), 600);
+  assert.equal(playedLength({ duration: 600, startTime: 30 }), 570);
+  assert.equal(playedLength({ duration: 600, startTime: 30, endTime: 90 }), 60);
+  assert.equal(playedLength({}), 0);
+});
+
+test('formatClock', () => {
+  assert.equal(formatClock(5), '0:05');
+  assert.equal(formatClock(245.9), '4:05');
+  assert.equal(formatClock(3723), '1:02:03');
+  assert.equal(formatClock(-3), '0:00');
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  setGuildsPath, primaryGuildId, configuredGuildIds, isConfiguredGuild, getGuildSettings, setGuildSettings,
+  memberRoleFlags, memberIsDJ, guildKeyed, normalizeReactionEmoji
+} from '../src/utils/guilds.js';
+
+const PRIMARY = '111111111111111111';
+const OTHER = '222222222222222222';
+const THIRD = '333333333333333333';
+const ROLE = '444444444444444444';
+const DJ = '555555555555555555';
+
+function fresh() {
+  const file = join(mkdtempSync(join(tmpdir(), 'guilds-')), 'guilds.json');
+  setGuildsPath(file);
+  return file;
+}
+
+// Run `fn` with these environment variables, putting back whatever was there before
+function withEnv(vars, fn) {
+  const previous = Object.fromEntries(Object.keys(vars).map(k => [k, process.env[k]]));
+  for (const [key, value] of Object.entries(vars)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+test('configuredGuildIds: the primary first, then GUILD_IDS and the guilds set up on the admin page', () => {
+  fresh();
+  withEnv({ GUILD_ID: PRIMARY, GUILD_IDS: ` ${OTHER}, not-a-guild,${PRIMARY}` }, () => {
+    assert.equal(primaryGuildId(), PRIMARY);
+    assert.deepEqual(configuredGuildIds(), [PRIMARY, OTHER]);
+    setGuildSettings(THIRD, { djRoleId: DJ });
+    assert.deepEqual(configuredGuildIds(), [PRIMARY, OTHER, THIRD]);
+    assert.equal(isConfiguredGuild(THIRD), true);
+    assert.equal(isConfiguredGuild('999999999999999999'), false);
+  });
+});
+
+test('getGuildSettings: the primary keeps the IDs it always had, a new guild starts with none', () => {
+  fresh();
+  withEnv({ GUILD_ID: PRIMARY, DJ_ROLE_ID: DJ }, () => {
+    assert.equal(getGuildSettings(PRIMARY).djRoleId, DJ);
+    assert.ok(getGuildSettings(PRIMARY).requiredRoleId, 'the primary guild still needs its access role');
+    assert.deepEqual(getGuildSettings(OTHER), { requiredRoleId: null, djRoleId: null, controlPanelRoleId: null, generalChannelId: null, queueReactionEmoji: null });
+  });
+});
+
+test('setGuildSettings: saves over the defaults, an empty value puts one back, nonsense is refused', () => {
+  const file = fresh();
+  withEnv({ GUILD_ID: PRIMARY }, () => {
+    const result = setGuildSettings(OTHER, { requiredRoleId: ROLE, djRoleId: DJ });
+    assert.equal(result.success, true);
+    assert.equal(result.settings.requiredRoleId, ROLE);
+    assert.deepEqual(JSON.parse(readFileSync(file, 'utf8')), { [OTHER]: { requiredRoleId: ROLE, djRoleId: DJ } });
+
+    assert.equal(setGuildSettings(OTHER, { djRoleId: '' }).settings.djRoleId, null);
+    assert.equal(getGuildSettings(OTHER).requiredRoleId, ROLE, 'a key left out is not touched');
+
+    assert.equal(setGuildSettings(OTHER, { djRoleId: '@everyone' }).success, false);
+    assert.equal(setGuildSettings('nope', { djRoleId: DJ }).success, false);
+    assert.equal(getGuildSettings(OTHER).djRoleId, null);
+  });
+});
+
+test('setGuildSettings: the queue reaction emoji is a plain emoji or a server emoji\'s ID', () => {
+  fresh();
+  withEnv({ GUILD_ID: PRIMARY }, () => {
+    assert.equal(setGuildSettings(OTHER, { queueReactionEmoji: ' 🎵 ' }).settings.queueReactionEmoji, '🎵');
+    assert.equal(setGuildSettings(OTHER, { queueReactionEmoji: `<:jam:${ROLE}>` }).settings.queueReactionEmoji, ROLE,
+      'a server emoji pasted as Discord writes it is kept by its ID');
+    assert.equal(setGuildSettings(OTHER, { queueReactionEmoji: 'jam' }).success, false);
+    assert.equal(getGuildSettings(OTHER).queueReactionEmoji, ROLE);
+    assert.equal(setGuildSettings(OTHER, { queueReactionEmoji: '' }).settings.queueReactionEmoji, null);
+
+    assert.equal(normalizeReactionEmoji('👍🏽'), '👍🏽');
+    assert.equal(normalizeReactionEmoji('🎵 🎵'), null);
+    assert.equal(normalizeReactionEmoji(null), null);
+  });
+});
+
+test('memberRoleFlags: the guild\'s own roles decide, and a guild without them falls back sensibly', () => {
+  fresh();
+  withEnv({ GUILD_ID: PRIMARY }, () => {
+    setGuildSettings(OTHER, { requiredRoleId: ROLE, djRoleId: DJ });
+    assert.deepEqual(memberRoleFlags(OTHER, { roles: [ROLE, DJ] }), { hasAccess: true, hasDJRole: true, hasControlPanel: false });
+    assert.deepEqual(memberRoleFlags(OTHER, { roles: [DJ] }), { hasAccess: false, hasDJRole: true, hasControlPanel: false });
+    assert.equal(memberRoleFlags(OTHER, { roles: [], manageGuild: true }).hasControlPanel, true,
+      'with no Control Panel role set, managing the server is what counts');
+
+    // A guild with nothing set: everybody may use the dashboard, nobody is a DJ
+    assert.deepEqual(memberRoleFlags(THIRD, { roles: null }), { hasAccess: true, hasDJRole: false, hasControlPanel: false });
+    assert.deepEqual(memberRoleFlags(THIRD, null), { hasAccess: false, hasDJRole: false, hasControlPanel: false },
+      'not a member is allowed nothing');
+  });
+});
+
+test('memberIsDJ: reads the DJ role of the member\'s own guild', () => {
+  fresh();
+  withEnv({ GUILD_ID: PRIMARY }, () => {
+    setGuildSettings(OTHER, { djRoleId: DJ });
+    const member = (guildId, roles) => ({ guild: { id: guildId }, roles: { cache: new Map(roles.map(r => [r, {}])) } });
+    assert.equal(memberIsDJ(member(OTHER, [DJ])), true);
+    assert.equal(memberIsDJ(member(THIRD, [DJ])), false, 'the same role ID means nothing in a guild that did not pick it');
+    assert.equal(memberIsDJ(null), false);
+  });
+});
+
+test('guildKeyed: a single-guild file becomes the primary guild\'s entry, once', () => {
+  withEnv({ GUILD_ID: PRIMARY }, () => {
+    const legacy = { users: { u1: { xp: 10 } } };
+    assert.deepEqual(guildKeyed(legacy, raw => 'users' in raw), { guilds: { [PRIMARY]: legacy }, migrated: true });
+
+    const keyed = { guilds: { [OTHER]: { users: {} } } };
+    assert.deepEqual(guildKeyed(keyed, raw => 'users' in raw), { guilds: keyed.guilds, migrated: false });
+
+    assert.deepEqual(guildKeyed({}, raw => 'users' in raw), { guilds: {}, migrated: false });
+    assert.deepEqual(guildKeyed(null, () => true), { guilds: {}, migrated: false });
+    assert.deepEqual(guildKeyed([], () => true), { guilds: {}, migrated: false });
+  });
+});
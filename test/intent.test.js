@@ -11,6 +11,10 @@ const cases = [
   ['ga verder', 'resume'], ['verder', 'resume'], ['hervatten', 'resume'], ['speel verder', 'resume'],
   ['stop', 'stop'], ['stoppen', 'stop'],
   ['wat speelt er', 'nowplaying'], ['wat speelt er nu', 'nowplaying'], ['welk nummer is dit', 'nowplaying'],
+  ['vorige', 'previous'], ['vorig nummer', 'previous'], ['vorige nummer', 'previous'],
+  ['vorig liedje', 'previous'], ['speel de vorige', 'previous'], ['previous', 'previous'],
+  ['shuffle', 'shuffle'], ['shuffle aan', 'shuffle'], ['shuffelen', 'shuffle'],
+  ['schud', 'shuffle'], ['schud de wachtrij', 'shuffle'], ['door elkaar', 'shuffle'],
 ];
 for (const [text, action] of cases) {
   test(`fast path: "${text}" -> ${action}`, () => {
@@ -164,3 +168,123 @@ test('fast path: the step sizes in the table are the exported ones', () => {
   assert.equal(fastPathMatch('veel harder').relative, VOLUME_BIG_STEP);
   assert.equal(fastPathMatch('veel zachter').relative, -VOLUME_BIG_STEP);
 });
+
+// --- seek, loop, radio and playlists ------------------------------------------
+
+const settingCases = [
+  ['herhaal dit nummer', { action: 'loop', mode: 'song' }],
+  ['herhaal dit', { action: 'loop', mode: 'song' }],
+  ['herhaal het nummer', { action: 'loop', mode: 'song' }],
+  ['dit nummer herhalen', { action: 'loop', mode: 'song' }],
+  ['herhaal de wachtrij', { action: 'loop', mode: 'queue' }],
+  ['herhaal alles', { action: 'loop', mode: 'queue' }],
+  ['wachtrij herhalen', { action: 'loop', mode: 'queue' }],
+  ['herhalen uit', { action: 'loop', mode: 'off' }],
+  ['herhaal uit', { action: 'loop', mode: 'off' }],
+  ['stop met herhalen', { action: 'loop', mode: 'off' }],
+  ['niet meer herhalen', { action: 'loop', mode: 'off' }],
+  ['radio aan', { action: 'radio', enabled: true }],
+  ['zet de radio aan', { action: 'radio', enabled: true }],
+  ['zet radio aan', { action: 'radio', enabled: true }],
+  ['radio uit', { action: 'radio', enabled: false }],
+  ['zet de radio uit', { action: 'radio', enabled: false }],
+  ['zet radio uit', { action: 'radio', enabled: false }],
+  ['spoel naar het begin', { action: 'seek', seconds: 0 }],
+  ['terug naar het begin', { action: 'seek', seconds: 0 }],
+];
+for (const [text, intent] of settingCases) {
+  test(`fast path: "${text}" -> ${JSON.stringify(intent)}`, () => {
+    assert.deepEqual(fastPathMatch(text), intent);
+  });
+}
+
+test('fast path: the table hands out copies, not its own entries', () => {
+  fastPathMatch('radio aan').enabled = false;
+  assert.deepEqual(fastPathMatch('radio aan'), { action: 'radio', enabled: true });
+});
+
+test('fast path: seek positions in minutes and seconds', () => {
+  assert.deepEqual(fastPathMatch('spoel naar 2 minuten'), { action: 'seek', seconds: 120 });
+  assert.deepEqual(fastPathMatch('spoel naar 1 minuut'), { action: 'seek', seconds: 60 });
+  assert.deepEqual(fastPathMatch('Spoel naar 1 minuut 30.'), { action: 'seek', seconds: 90 });
+  assert.deepEqual(fastPathMatch('ga naar 3 minuten en 15 seconden'), { action: 'seek', seconds: 195 });
+  assert.deepEqual(fastPathMatch('spring naar 45 seconden'), { action: 'seek', seconds: 45 });
+  assert.deepEqual(fastPathMatch('spoel door naar 4 minuten'), { action: 'seek', seconds: 240 });
+  assert.deepEqual(fastPathMatch('spoel terug naar 10 seconden'), { action: 'seek', seconds: 10 });
+});
+
+test('fast path: seek shapes that are not a position fall through', () => {
+  assert.equal(fastPathMatch('spoel naar 45 seconden 10'), null);
+  assert.equal(fastPathMatch('spoel naar 2 minuten 75'), null);
+  assert.equal(fastPathMatch('spoel naar twee minuten'), null); // words are the LLM's job
+  assert.equal(fastPathMatch('ik ga naar 2 minuten pauze'), null);
+});
+
+test('fast path: playing a playlist by name', () => {
+  assert.deepEqual(fastPathMatch('speel mijn playlist Chill'), { action: 'playlist', name: 'chill' });
+  assert.deepEqual(fastPathMatch('speel playlist raid night'), { action: 'playlist', name: 'raid night' });
+  assert.deepEqual(fastPathMatch('start de afspeellijst feest'), { action: 'playlist', name: 'feest' });
+  assert.deepEqual(fastPathMatch('zet mijn playlist chill op'), { action: 'playlist', name: 'chill' });
+  // A song is still a song: that is the LLM's "play"
+  assert.equal(fastPathMatch('speel chill van lofi girl'), null);
+  assert.equal(fastPathMatch('speel mijn playlist'), null);
+});
+
+test('fast path: sentences that merely mention these do NOT match', () => {
+  assert.equal(fastPathMatch('de vorige was beter'), null);
+  assert.equal(fastPathMatch('radio'), null);
+  assert.equal(fastPathMatch('de radio aan de muur is kapot'), null);
+  assert.equal(fastPathMatch('herhaal dit nummer nog een keer voor mij morgen'), null);
+});
+
+test('validateIntent: seek, loop, radio and playlist are accepted, strictly', () => {
+  assert.deepEqual(validateIntent({ action: 'seek', seconds: 90 }), { action: 'seek', seconds: 90 });
+  assert.deepEqual(validateIntent({ action: 'seek', seconds: '90' }), { action: 'seek', seconds: 90 });
+  assert.deepEqual(validateIntent({ action: 'seek', seconds: 0 }), { action: 'seek', seconds: 0 });
+  assert.equal(validateIntent({ action: 'seek', seconds: -5 }).action, 'unknown');
+  assert.equal(validateIntent({ action: 'seek', seconds: 100_000 }).action, 'unknown');
+  assert.equal(validateIntent({ action: 'seek' }).action, 'unknown');
+
+  assert.deepEqual(validateIntent({ action: 'loop', mode: 'song' }), { action: 'loop', mode: 'song' });
+  assert.deepEqual(validateIntent({ action: 'loop', mode: 'off' }), { action: 'loop', mode: 'off' });
+  assert.equal(validateIntent({ action: 'loop', mode: 'forever' }).action, 'unknown');
+  assert.equal(validateIntent({ action: 'loop' }).action, 'unknown');
+
+  assert.deepEqual(validateIntent({ action: 'radio', enabled: false }), { action: 'radio', enabled: false });
+  assert.equal(validateIntent({ action: 'radio', enabled: 'aan' }).action, 'unknown');
+  assert.equal(validateIntent({ action: 'radio' }).action, 'unknown');
+
+  assert.deepEqual(validateIntent({ action: 'playlist', name: '  Chill ' }), { action: 'playlist', name: 'Chill' });
+  assert.equal(validateIntent({ action: 'playlist', name: '' }).action, 'unknown');
+
+  assert.deepEqual(validateIntent({ action: 'previous', extra: 1 }), { action: 'previous' });
+  assert.deepEqual(validateIntent({ action: 'shuffle' }), { action: 'shuffle' });
+});
+
+test('fast path: English commands', () => {
+  assert.equal(fastPathMatch('Next song.', 'en')?.action, 'skip');
+  assert.equal(fastPathMatch('pause', 'en')?.action, 'pause');
+  assert.equal(fastPathMatch('keep playing', 'en')?.action, 'resume');
+  assert.equal(fastPathMatch('go back', 'en')?.action, 'previous');
+  assert.equal(fastPathMatch("What's playing?", 'en')?.action, 'nowplaying');
+  assert.deepEqual(fastPathMatch('repeat this song', 'en'), { action: 'loop', mode: 'song' });
+  assert.deepEqual(fastPathMatch('turn the radio off', 'en'), { action: 'radio', enabled: false });
+  assert.deepEqual(fastPathMatch('set the volume to 40', 'en'), { action: 'volume', volume: 40 });
+  assert.deepEqual(fastPathMatch('a little louder', 'en'), { action: 'volume', relative: VOLUME_STEP });
+  assert.deepEqual(fastPathMatch('much quieter', 'en'), { action: 'volume', relative: -VOLUME_BIG_STEP });
+  assert.deepEqual(fastPathMatch('skip to 2 minutes', 'en'), { action: 'seek', seconds: 120 });
+  assert.deepEqual(fastPathMatch('go to 1 minute 30', 'en'), { action: 'seek', seconds: 90 });
+  assert.deepEqual(fastPathMatch('play my playlist chill', 'en'), { action: 'playlist', name: 'chill' });
+  assert.equal(fastPathMatch('volume 150', 'en'), null);
+  assert.equal(fastPathMatch('play beat it by michael jackson', 'en'), null);
+});
+
+test('fast path: the other language is still understood, the own one first', () => {
+  // Somebody set to Dutch saying an English command, and the other way round
+  assert.equal(fastPathMatch('next song', 'nl')?.action, 'skip');
+  assert.equal(fastPathMatch('volgende', 'en')?.action, 'skip');
+  assert.deepEqual(fastPathMatch('harder', 'en'), { action: 'volume', relative: VOLUME_STEP });
+  // No language, or one Jerry does not speak, is the default
+  assert.equal(fastPathMatch('pauzeer')?.action, 'pause');
+  assert.equal(fastPathMatch('pauzeer', 'fr')?.action, 'pause');
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractMediaUrls, isQueueableLink, isSpotifyTrackUrl, messageLinkText, describeQueuedLinks, MAX_LINKS_PER_MESSAGE
+} from '../src/utils/linkQueue.js';
+
+const VIDEO = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+const TRACK = 'https://open.spotify.com/track/4cOdK2wGLETKBW3PvgPWqT';
+
+test('extractMediaUrls: every song link in a chat message, in order, each once', () => {
+  const text = `omg listen to this ${VIDEO}, and this one <https://youtu.be/9bZkp7q19f0?t=42>!
+also ${TRACK}?si=abc123 and the same video again https://youtu.be/dQw4w9WgXcQ.`;
+  assert.deepEqual(extractMediaUrls(text), [VIDEO, 'https://youtu.be/9bZkp7q19f0?t=42', `${TRACK}?si=abc123`]);
+});
+
+test('extractMediaUrls: not a song, not a link, or not a site yt-dlp may be sent to', () => {
+  const text = [
+    'https://www.youtube.com/playlist?list=PL1234567890',
+    'https://open.spotify.com/album/4aawyAB9vmqN3uQ7FjRGTy',
+    'https://example.com/watch?v=dQw4w9WgXcQ',
+    'https://www.youtube.com.evil.example/watch?v=dQw4w9WgXcQ',
+    'youtube.com/watch?v=dQw4w9WgXcQ',
+    'ftp://youtu.be/dQw4w9WgXcQ'
+  ].join(' ');
+  assert.deepEqual(extractMediaUrls(text), []);
+  assert.deepEqual(extractMediaUrls(''), []);
+  assert.deepEqual(extractMediaUrls(null), []);
+});
+
+test('extractMediaUrls: a message full of links stops at the limit', () => {
+  const ids = Array.from({ length: MAX_LINKS_PER_MESSAGE + 5 }, (_, i) => `video${String(i).padStart(6, '0')}`);
+  const text = ids.map(id => `https://youtu.be/${id}`).join('\n');
+  assert.equal(extractMediaUrls(text).length, MAX_LINKS_PER_MESSAGE);
+  assert.deepEqual(extractMediaUrls(text, 2), ids.slice(0, 2).map(id => `https://youtu.be/${id}`));
+});
+
+test('isQueueableLink / isSpotifyTrackUrl', () => {
+  assert.equal(isQueueableLink(VIDEO), true);
+  assert.equal(isQueueableLink('https://music.youtube.com/watch?v=dQw4w9WgXcQ'), true);
+  assert.equal(isQueueableLink(TRACK), true);
+  assert.equal(isSpotifyTrackUrl('https://open.spotify.com/intl-nl/track/4cOdK2wGLETKBW3PvgPWqT'), true);
+  assert.equal(isSpotifyTrackUrl('https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M'), false);
+  assert.equal(isSpotifyTrackUrl(VIDEO), false);
+});
+
+test('messageLinkText: what was typed and where the embeds point', () => {
+  const message = { content: 'look', embeds: [{ url: VIDEO }, { url: null }, {}] };
+  assert.deepEqual(extractMediaUrls(messageLinkText(message)), [VIDEO]);
+  assert.equal(messageLinkText(null), '');
+});
+
+test('describeQueuedLinks: what went in, what did not and why', () => {
+  assert.equal(describeQueuedLinks({ error: 'You need to be in a voice channel to queue music!' }),
+    '❌ You need to be in a voice channel to queue music!');
+  assert.equal(describeQueuedLinks({ queued: [{ title: 'A' }], refused: [], rateLimited: 0, started: true }),
+    '🎵 Now playing: **A**');
+  assert.equal(
+    describeQueuedLinks({ queued: [{ title: 'A' }, { title: 'B' }], refused: ['**C**: Too long.'], rateLimited: 1, started: false }),
+    '➕ Added 2 songs to the queue:\n• A\n• B\n❌ **C**: Too long.\n⏳ Skipped 1 link: that is more songs than can be added in a minute. Try again shortly.'
+  );
+  assert.equal(describeQueuedLinks({ queued: [], refused: [], rateLimited: 0 }), '❌ Nothing was added.');
+
+  const long = describeQueuedLinks({ queued: Array.from({ length: 10 }, () => ({ title: 'x'.repeat(300) })), refused: [], rateLimited: 0 });
+  assert.ok(long.length <= 1900);
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  parseProbeOutput, titleFromFilename, searchTracks, scanLibrary, localTrackId,
+  isLocalTrackUrl, localTrackUrl, localTrackToSong, resolveLocalTrackPath,
+  rescanLocalLibrary, setLocalLibraryPath
+} from '../src/utils/localLibrary.js';
+
+test('parseProbeOutput reads container tags case-insensitively', () => {
+  const out = parseProbeOutput(JSON.stringify({
+    format: { duration: '201.6', tags: { TITLE: 'Song', Artist: 'Band', album: 'Record' } },
+    streams: []
+  }));
+  assert.deepEqual(out, { title: 'Song', artist: 'Band', album: 'Record', duration: 202 });
+});
+
+test('parseProbeOutput falls back to stream tags (Ogg/Opus keep them there)', () => {
+  const out = parseProbeOutput({
+    format: { duration: '10' },
+    streams: [{ tags: { TITLE: 'Stream Song', ALBUM_ARTIST: 'Someone' } }]
+  });
+  assert.equal(out.title, 'Stream Song');
+  assert.equal(out.artist, 'Someone');
+});
+
+test('parseProbeOutput survives garbage', () => {
+  assert.deepEqual(parseProbeOutput('not json'), { title: null, artist: null, album: null, duration: 0 });
+  assert.equal(parseProbeOutput({ format: { duration: 'N/A' } }).duration, 0);
+});
+
+test('titleFromFilename drops the extension and a track number', () => {
+  assert.equal(titleFromFilename(join('Album', '03 - Band - Song.flac')), 'Band - Song');
+  assert.equal(titleFromFilename('1. Intro.mp3'), 'Intro');
+  assert.equal(titleFromFilename('2112.mp3'), '2112');
+});
+
+test('local URLs round-trip and nothing else is one', () => {
+  const id = localTrackId(join('a', 'b.mp3'));
+  assert.match(id, /^[0-9a-f]{16}$/);
+  assert.equal(isLocalTrackUrl(localTrackUrl(id)), true);
+  assert.equal(isLocalTrackUrl('https://www.youtube.com/watch?v=abcdefghijk'), false);
+  assert.equal(isLocalTrackUrl(null), false);
+});
+
+test('searchTracks needs every word and ranks title over folder', () => {
+  const tracks = [
+    { id: '1', title: 'Blue Monday', artist: 'New Order', album: 'Singles', relPath: 'New Order/Blue Monday.flac' },
+    { id: '2', title: 'Monday Morning', artist: 'Other', album: 'Blue', relPath: 'Blue/Monday Morning.mp3' },
+    { id: '3', title: 'Tuesday', artist: 'Other', album: 'Blue', relPath: 'Blue/Tuesday.mp3' }
+  ];
+  assert.deepEqual(searchTracks(tracks, 'blue monday').map(t => t.id), ['1', '2']);
+  assert.deepEqual(searchTracks(tracks, 'order').map(t => t.id), ['1']);
+  assert.deepEqual(searchTracks(tracks, '   '), []);
+  assert.equal(searchTracks(tracks, 'blue', 1).length, 1);
+});
+
+test('scanLibrary indexes audio files and only re-probes what changed', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'lib-'));
+  mkdirSync(join(dir, 'Album'));
+  writeFileSync(join(dir, 'Album', '01 - First.mp3'), 'a');
+  writeFileSync(join(dir, 'second.flac'), 'bb');
+  writeFileSync(join(dir, 'cover.jpg'), 'not audio');
+
+  const probed = [];
+  const probe = async (path) => {
+    probed.push(path);
+    return path.endsWith('.flac') ? { title: 'Tagged', artist: 'Band', album: null, duration: 90 } : null;
+  };
+
+  const first = await scanLibrary(dir, { probe });
+  assert.equal(first.probed, 2);
+  const byTitle = Object.fromEntries(Object.values(first.tracks).map(t => [t.title, t]));
+  assert.deepEqual(Object.keys(byTitle).sort(), ['First', 'Tagged']);
+  assert.equal(byTitle.Tagged.artist, 'Band');
+  assert.equal(byTitle.Tagged.duration, 90);
+
+  // Touch one file: only that one is probed on the next walk
+  const later = new Date(Date.now() + 60_000);
+  utimesSync(join(dir, 'second.flac'), later, later);
+  probed.length = 0;
+  const second = await scanLibrary(dir, { previous: first.tracks, probe });
+  assert.equal(second.reused, 1);
+  assert.equal(second.probed, 1);
+  assert.ok(probed[0].endsWith('second.flac'));
+  assert.deepEqual(Object.keys(second.tracks).sort(), Object.keys(first.tracks).sort());
+});
+
+test('resolveLocalTrackPath only hands out files inside the library', async (t) => {
+  const root = mkdtempSync(join(tmpdir(), 'lib-'));
+  const dir = join(root, 'music');
+  mkdirSync(dir);
+  writeFileSync(join(dir, 'song.mp3'), 'x');
+  writeFileSync(join(root, 'secret.mp3'), 'y');
+
+  const previousDir = process.env.LOCAL_MUSIC_DIR;
+  process.env.LOCAL_MUSIC_DIR = dir;
+  t.after(() => {
+    if (previousDir === undefined) delete process.env.LOCAL_MUSIC_DIR;
+    else process.env.LOCAL_MUSIC_DIR = previousDir;
+    setLocalLibraryPath(join(root, 'unused.json'));
+  });
+
+  // An index that claims a track outside the directory, as a hand-edited file could
+  const escapeId = localTrackId('../secret.mp3');
+  const indexFile = join(root, 'index.json');
+  writeFileSync(indexFile, JSON.stringify({
+    dir,
+    scannedAt: 1,
+    tracks: { [escapeId]: { id: escapeId, relPath: join('..', 'secret.mp3'), title: 'secret' } }
+  }));
+  setLocalLibraryPath(indexFile);
+  assert.equal(resolveLocalTrackPath(localTrackUrl(escapeId)), null);
+
+  await rescanLocalLibrary();
+  const id = localTrackId('song.mp3');
+  assert.equal(resolveLocalTrackPath(localTrackUrl(id)), join(dir, 'song.mp3'));
+  assert.equal(resolveLocalTrackPath(localTrackUrl(escapeId)), null); // Gone after the rescan
+  assert.equal(resolveLocalTrackPath(localTrackUrl('0000000000000000')), null);
+});
+
+test('localTrackToSong produces an ordinary queue entry', () => {
+  const song = localTrackToSong({ id: 'abc', title: 'Song', artist: 'Band', duration: 12 }, 'Bill', '42');
+  assert.deepEqual(song, {
+    title: 'Band - Song',
+    url: 'local:abc',
+    duration: 12,
+    thumbnail: null,
+    requestedBy: 'Bill',
+    requestedById: '42',
+    source: 'local'
+  });
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseLrc, lyricLineAt, lyricsSearchTerms, getLyrics, cachedLyrics, setLyricsCachePath } from '../src/utils/lyrics.js';
+
+const URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+
+function fresh() {
+  const file = join(mkdtempSync(join(tmpdir(), 'lyrics-')), 'lyricsCache.json');
+  setLyricsCachePath(file);
+  return file;
+}
+
+// lrclib's search, answering each query from `answers` (anything else finds nothing)
+function fakeLrclib(answers) {
+  const queries = [];
+  const fetchFn = async (url) => {
+    const query = decodeURIComponent(url.split('?q=')[1]);
+    queries.push(query);
+    return { ok: true, json: async () => answers[query] || [] };
+  };
+  return { fetchFn, queries };
+}
+
+test('parseLrc: timed lines in order, repeated stamps, the offset tag, and gaps kept', () => {
+  const lines = parseLrc([
+    '[ar:Somebody]',
+    '[offset:+500]',
+    '[00:12.50]First line',
+    '[00:20.00][01:05.10]Chorus',
+    '[00:30.00]',
+    'not a lyric',
+    '[00:40.5]Short fraction'
+  ].join('\r\n'));
+  assert.deepEqual(lines, [
+    { time: 12, text: 'First line' },
+    { time: 19.5, text: 'Chorus' },
+    { time: 29.5, text: '' },
+    { time: 40, text: 'Short fraction' },
+    { time: 64.6, text: 'Chorus' }
+  ]);
+  assert.deepEqual(parseLrc(null), []);
+});
+
+test('lyricLineAt: the last line that has started, -1 before the first', () => {
+  const lines = [{ time: 5 }, { time: 10 }, { time: 15 }];
+  assert.equal(lyricLineAt(lines, 0), -1);
+  assert.equal(lyricLineAt(lines, 5), 0);
+  assert.equal(lyricLineAt(lines, 14.9), 1);
+  assert.equal(lyricLineAt(lines, 300), 2);
+  assert.equal(lyricLineAt([], 3), -1);
+});
+
+test('lyricsSearchTerms: video noise removed and "Artist - Song" split', () => {
+  assert.deepEqual(lyricsSearchTerms('Rick Astley - Never Gonna Give You Up (Official Music Video) [4K]'),
+    { artist: 'Rick Astley', title: 'Never Gonna Give You Up', cleanTitle: 'Rick Astley - Never Gonna Give You Up' });
+  assert.equal(lyricsSearchTerms('Song', 'Band').artist, 'Band');
+});
+
+test('getLyrics: synced lyrics preferred and parsed, cached by video ID, lookups shared', async () => {
+  const file = fresh();
+  const { fetchFn, queries } = fakeLrclib({
+    'Rick Astley Never Gonna Give You Up': [
+      { trackName: 'Plain', artistName: 'Rick Astley', plainLyrics: 'words' },
+      { trackName: 'Never Gonna Give You Up', artistName: 'Rick Astley', syncedLyrics: '[00:18.00]We\'re no strangers\n[00:22.00]to love' }
+    ]
+  });
+
+  const [a, b] = await Promise.all([
+    getLyrics({ url: URL, title: 'Rick Astley - Never Gonna Give You Up' }, { fetchFn }),
+    getLyrics({ url: URL, title: 'Rick Astley - Never Gonna Give You Up' }, { fetchFn })
+  ]);
+  assert.equal(queries.length, 1, 'one search for two concurrent lookups');
+  assert.equal(a, b);
+  assert.equal(a.synced, true);
+  assert.deepEqual(a.lines.map(l => l.time), [18, 22]);
+  assert.equal(a.text, 'We\'re no strangers\nto love');
+
+  // The same video under another spelling of its URL is already known
+  assert.equal(cachedLyrics('https://youtu.be/dQw4w9WgXcQ').title, 'Never Gonna Give You Up');
+  await getLyrics({ url: 'https://youtu.be/dQw4w9WgXcQ', title: 'whatever' }, { fetchFn });
+  assert.equal(queries.length, 1);
+  assert.ok(JSON.parse(readFileSync(file, 'utf8')).dQw4w9WgXcQ.found);
+});
+
+test('getLyrics: nothing found is remembered for a day, an unreachable lrclib not at all', async () => {
+  fresh();
+  const { fetchFn, queries } = fakeLrclib({});
+  const now = Date.now();
+  assert.equal(await getLyrics({ url: URL, title: 'Band - Unknown Song' }, { fetchFn, now }), null);
+  const searched = queries.length;
+  assert.ok(searched >= 2, 'every fallback query was tried');
+  assert.equal(await getLyrics({ url: URL, title: 'Band - Unknown Song' }, { fetchFn, now: now + 60_000 }), null);
+  assert.equal(queries.length, searched, 'not searched again within the day');
+  await getLyrics({ url: URL, title: 'Band - Unknown Song' }, { fetchFn, now: now + 25 * 60 * 60 * 1000 });
+  assert.ok(queries.length > searched, 'searched again the next day');
+  assert.equal(cachedLyrics(URL), null);
+
+  fresh();
+  const down = async () => ({ ok: false, status: 503 });
+  await assert.rejects(getLyrics({ url: URL, title: 'Song' }, { fetchFn: down }), /503/);
+  const { fetchFn: up } = fakeLrclib({ Song: [{ trackName: 'Song', plainLyrics: 'la la' }] });
+  const plain = await getLyrics({ url: URL, title: 'Song' }, { fetchFn: up });
+  assert.deepEqual({ synced: plain.synced, lines: plain.lines, text: plain.text }, { synced: false, lines: [], text: 'la la' });
+});
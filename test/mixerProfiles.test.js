@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  DEFAULT_MIXER_FILTERS, GRAPHIC_EQ_BANDS, EQ_BAND_LIMIT_DB, MIXER_PRESETS,
+  clampMixerValues, presetFilters, matchingPreset, listMixerPresets,
+  setMixerProfilesPath, listMixerProfiles, getMixerProfile, saveMixerProfile, deleteMixerProfile,
+  cleanProfileName, MAX_PROFILES_PER_USER, MAX_PROFILE_NAME_LENGTH
+} from '../src/utils/mixerProfiles.js';
+
+function freshStore() {
+  const file = join(mkdtempSync(join(tmpdir(), 'mixerprofiles-')), 'mixerProfiles.json');
+  setMixerProfilesPath(file);
+  return file;
+}
+
+test('clampMixerValues: clamps into range and leaves malformed values alone', () => {
+  const out = clampMixerValues(DEFAULT_MIXER_FILTERS, { bass: 99, treble: 'abc', speed: 0.1, reverb: 12.6, mid: NaN, limiter: 1 });
+  assert.equal(out.bass, 20);
+  assert.equal(out.treble, 0);
+  assert.equal(out.mid, 0);
+  assert.equal(out.speed, 0.5);
+  assert.equal(out.reverb, 13);
+  assert.equal(out.limiter, true);
+});
+
+test('clampMixerValues: graphic bands are clamped, padded to ten, and never alias the input', () => {
+  const bands = [30, -30, 'x', 2.4];
+  const out = clampMixerValues(DEFAULT_MIXER_FILTERS, { eqMode: 'graphic', eqBands: bands });
+  assert.equal(out.eqMode, 'graphic');
+  assert.deepEqual(out.eqBands, [EQ_BAND_LIMIT_DB, -EQ_BAND_LIMIT_DB, 0, 2, 0, 0, 0, 0, 0, 0]);
+  assert.equal(out.eqBands.length, GRAPHIC_EQ_BANDS.length);
+  out.eqBands[0] = 5;
+  assert.equal(DEFAULT_MIXER_FILTERS.eqBands[0], 0);
+  assert.equal(clampMixerValues(DEFAULT_MIXER_FILTERS, { eqMode: 'parametric' }).eqMode, 'simple');
+});
+
+test('presetFilters: a complete mixer state, so a preset resets whatever it does not mention', () => {
+  const nightmode = presetFilters('nightmode');
+  assert.equal(nightmode.compressor, true);
+  assert.equal(nightmode.limiter, true);
+  assert.equal(nightmode.bass, 0);
+  assert.equal(presetFilters('vocal').eqMode, 'graphic');
+  assert.equal(presetFilters('nope'), null);
+  assert.equal(presetFilters('constructor'), null);
+});
+
+test('matchingPreset: every preset recognises itself, and a tweak leaves all of them', () => {
+  for (const name of Object.keys(MIXER_PRESETS)) {
+    assert.equal(matchingPreset(presetFilters(name)), name);
+  }
+  assert.equal(matchingPreset({ ...presetFilters('bassboost'), bass: 9 }), null);
+  // A rate left behind by an earlier 8D session does not stop Normal from being Normal
+  assert.equal(matchingPreset({ ...presetFilters('normal'), eightDRate: 0.4 }), 'normal');
+  assert.deepEqual(listMixerPresets().map(p => p.name), Object.keys(MIXER_PRESETS));
+});
+
+test('profiles: saved per user, recalled re-clamped, and persisted to disk', () => {
+  const file = freshStore();
+  const saved = saveMixerProfile('u1', '  Late   night ', { ...presetFilters('nightmode'), bass: 4 });
+  assert.deepEqual(saved, { success: true, name: 'Late night' });
+  assert.equal(getMixerProfile('u1', 'Late night').filters.bass, 4);
+  assert.equal(getMixerProfile('u2', 'Late night'), null);
+  assert.deepEqual(listMixerProfiles('u1').map(p => p.name), ['Late night']);
+  assert.deepEqual(listMixerProfiles('u2'), []);
+
+  // Read back from the file, the way a restart would
+  const onDisk = JSON.parse(readFileSync(file, 'utf8'));
+  assert.equal(onDisk.u1['Late night'].filters.limiter, true);
+  setMixerProfilesPath(file);
+  assert.equal(getMixerProfile('u1', 'Late night').filters.compressor, true);
+
+  assert.equal(deleteMixerProfile('u1', 'Late night'), true);
+  assert.equal(deleteMixerProfile('u1', 'Late night'), false);
+  assert.deepEqual(listMixerProfiles('u1'), []);
+});
+
+test('profiles: names are checked, and each user has a limit that overwriting does not count against', () => {
+  freshStore();
+  assert.equal(cleanProfileName('   '), null);
+  assert.equal(cleanProfileName('x'.repeat(MAX_PROFILE_NAME_LENGTH + 1)), null);
+  assert.equal(saveMixerProfile('u1', '', DEFAULT_MIXER_FILTERS).success, false);
+  assert.equal(saveMixerProfile(null, 'Mine', DEFAULT_MIXER_FILTERS).success, false);
+
+  for (let i = 0; i < MAX_PROFILES_PER_USER; i++) {
+    assert.equal(saveMixerProfile('u1', `p${i}`, DEFAULT_MIXER_FILTERS).success, true);
+  }
+  const over = saveMixerProfile('u1', 'one more', DEFAULT_MIXER_FILTERS);
+  assert.equal(over.success, false);
+  assert.match(over.error, /delete one first/);
+  assert.equal(saveMixerProfile('u1', 'p0', presetFilters('bassboost')).success, true);
+  assert.equal(getMixerProfile('u1', 'p0').filters.bass, 10);
+  assert.equal(saveMixerProfile('u2', 'p0', DEFAULT_MIXER_FILTERS).success, true);
+});
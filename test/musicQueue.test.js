@@ -1,7 +1,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 import { EventEmitter } from 'events';
-import { existsSync, readdirSync, writeFileSync, statSync, utimesSync, unlinkSync } from 'fs';
+import { existsSync, readdirSync, writeFileSync, readFileSync, statSync, lstatSync, utimesSync, unlinkSync, mkdtempSync } from 'fs';
 import { execFileSync, execSync } from 'child_process';
 import { tmpdir } from 'os';
 import { join } from 'path';
@@ -29,6 +29,7 @@ import {
   positionTick,
   setWebPositionCallback,
   setWebClientCountCallback,
+  setLyricLineCallback,
   filterEligibleRadioTracks,
   chooseRadioSeed,
   RADIO_MEMORY_SIZE,
@@ -61,7 +62,34 @@ import {
   planCrossfade,
   decideTransition,
   msUntilPlaybackPosition,
+  requesterKey,
+  fairTurns,
+  fairInsertIndex,
+  fairOrder,
+  clampVoteSkipShare,
+  votesNeededToSkip,
+  DEFAULT_VOTE_SKIP_SHARE,
+  knownLoudness,
+  restoreQueueSnapshot,
+  undoQueueChange,
+  peekUndo,
+  clearUndoHistory,
+  setQueueNoticeCallback,
+  UNDO_LIMIT,
+  setPlayerSettingsPath,
+  setVoteSkipSettings,
+  applyMixerFilters,
+  getMixerFilters,
+  setSleepTimer,
+  cancelSleepTimer,
+  setDashboardGuildsCallback,
 } from '../src/utils/musicQueue.js';
+import { primaryGuildId } from '../src/utils/guilds.js';
+import { setLoudnessStorePath, storeLoudness, getStoredLoudness } from '../src/utils/loudnessStore.js';
+import { setAudioCacheDir, addToAudioCache, getAudioCacheStats } from '../src/utils/audioCache.js';
+import { localTrackId, localTrackUrl, rescanLocalLibrary, setLocalLibraryPath } from '../src/utils/localLibrary.js';
+import { setPlayEventsPath } from '../src/utils/playEvents.js';
+import { setLyricsCachePath, getLyrics } from '../src/utils/lyrics.js';
 import {
   setQueueStatePath,
   getQueueStatePath,
@@ -74,6 +102,18 @@ import {
 // Everything below writes queue snapshots to a disposable file rather than to the live bot's
 // data/queueState.json - which the restore path would then read on the next real startup.
 setQueueStatePath(join(tmpdir(), `jerrybot-test-queueState-${process.pid}.json`));
+// ...and loudness measurements likewise, so a developer's own data/loudness.json neither leaks
+// into a test's download nor gets test values written into it
+const LOUDNESS_STORE_FILE = join(tmpdir(), `jerrybot-test-loudness-${process.pid}.json`);
+setLoudnessStorePath(LOUDNESS_STORE_FILE);
+// ...and play events, which a real stop() or song change records
+setPlayEventsPath(join(tmpdir(), `jerrybot-test-playEvents-${process.pid}.json`));
+// ...and looked-up lyrics, whose lines would otherwise turn up in a test's position ticks
+setLyricsCachePath(join(tmpdir(), `jerrybot-test-lyricsCache-${process.pid}.json`));
+// ...and the audio cache, which would otherwise hand a test's fetch whatever the bot last played
+setAudioCacheDir(mkdtempSync(join(tmpdir(), 'jerrybot-test-audioCache-')));
+// ...and the player settings, which every loop, 24/7 or mixer change writes
+setPlayerSettingsPath(join(tmpdir(), `jerrybot-test-playerSettings-${process.pid}.json`));
 
 // A voice connection is, as far as this module's lifecycle code is concerned, an EventEmitter
 // with a `state.status` that emits the status name on every transition (see VoiceConnection's
@@ -1344,6 +1384,17 @@ test('formatTransition: the hit rate reads straight out of the log', () => {
   assert.equal(formatTransition(false, 'Second', 12, 4), '[MusicQueue] transition: prefetch MISS for "Second" (12 hit / 4 miss)');
 });
 
+test('formatTransition and formatDownloadTiming: the audio cache has its say on the same lines', () => {
+  assert.equal(
+    formatTransition(true, 'Second', 12, 3, { hits: 7, misses: 8 }),
+    '[MusicQueue] transition: prefetch HIT for "Second" (12 hit / 3 miss), audio cache (7 hit / 8 miss)'
+  );
+  assert.equal(
+    formatDownloadTiming('Second', 14, 0, true, true),
+    '[MusicQueue] took "Second" from the audio cache in 14ms (prefetched)'
+  );
+});
+
 test('instrumentation: a transition logs the timing and whether it was a hit', async () => {
   const queue = buildTransitionQueue('prefetch-logging');
   const calls = stubFetches(queue);
@@ -1927,7 +1978,7 @@ test('broadcast gating: with a dashboard open, the tick is the position, not the
 
     assert.equal(positions.length, 1, 'one small message per tick');
     assert.equal(states.length, statesAfterStart, 'and no 25KB state object with it');
-    assert.deepEqual(Object.keys(positions[0]).sort(), ['isPaused', 'position', 'songStartTime']);
+    assert.deepEqual(Object.keys(positions[0]).sort(), ['guildId', 'isPaused', 'position', 'songStartTime']);
     assert.ok(Math.abs(positions[0].position - 2) < 0.3, `position was ${positions[0].position}s`);
     assert.equal(positions[0].isPaused, false);
   } finally {
@@ -1938,6 +1989,43 @@ test('broadcast gating: with a dashboard open, the tick is the position, not the
   }
 });
 
+test('lyrics: with synced lyrics cached, the tick carries the line - to dashboards and to a listener', async () => {
+  const queue = buildTransitionQueue('lyric-line');
+  const calls = stubFetches(queue);
+  queue.songs = [aSong('sung along to', URL_A)];
+  await getLyrics({ url: URL_A, title: 'sung along to' }, {
+    fetchFn: async () => ({ ok: true, json: async () => [{ trackName: 'sung along to', syncedLyrics: '[00:01.00]one\n[00:03.00]two\n[00:30.00]three' }] })
+  });
+
+  const positions = [];
+  const lines = [];
+  setWebPositionCallback(t => positions.push(t));
+  setWebClientCountCallback(() => 1);
+  setLyricLineCallback(tick => lines.push(tick));
+  try {
+    await startFirstSong(queue, calls);
+    queue.player = { state: { status: AudioPlayerStatus.Playing }, stop: () => {} };
+    queue.songStartTime = Date.now() - 3500;
+    positionTick(queue);
+    assert.equal(positions.at(-1).lyricLine, 1, 'the second line, 3.5s in');
+    assert.equal(lines.at(-1).line, 1);
+    assert.equal(lines.at(-1).song.url, URL_A);
+
+    // Nobody on the dashboard: the listener alone still gets its line
+    setWebClientCountCallback(() => 0);
+    const sent = positions.length;
+    queue.songStartTime = Date.now() - 500;
+    positionTick(queue);
+    assert.equal(positions.length, sent);
+    assert.equal(lines.at(-1).line, -1, 'before the first line');
+  } finally {
+    setWebPositionCallback(null);
+    setWebClientCountCallback(null);
+    setLyricLineCallback(null);
+    queue.cleanup();
+  }
+});
+
 test('loop song: the reused file is touched, so the /tmp sweep reads it as in use', async () => {
   // Nothing rewrites a file the loop keeps replaying, so its mtime stays at the download - and
   // after an hour of repeats it is indistinguishable from a crash orphan to the startup sweep,
@@ -3229,6 +3317,8 @@ test('decideTransition: each negation is a plain transition, and says which one
   plain({ hasFile: false }, 'no-file');
   plain({ connected: false }, 'no-connection');
   plain({ destroying: true }, 'tearing-down');
+  // A play range: the fade would run past the end time, or into the part of the next video skipped
+  plain({ clipped: true }, 'clipped');
 });
 
 test('decideTransition: a queue loop into a different song still fades', () => {
@@ -3823,3 +3913,635 @@ test('parseLoudnormJson: an empty or null field is not a measurement of zero', (
   // A number rather than ffmpeg's usual string is still a measurement
   assert.equal(parseLoudnormJson(REAL_LOUDNORM_STDERR.replace('"-39.35"', '-39.35')).input_i, -39.35);
 });
+
+// --- fair queue --------------------------------------------------------------
+
+const byUser = (id, title) => ({ title, url: `https://www.youtube.com/watch?v=${title}`, requestedBy: `name-${id}`, requestedById: id });
+const titles = (songs) => songs.map(s => s.title);
+
+test('requesterKey: the Discord ID where there is one, the name where there is not', () => {
+  assert.equal(requesterKey(byUser('111', 'a')), '111');
+  assert.equal(requesterKey({ title: 'b', requestedBy: 'Web Dashboard' }), 'Web Dashboard');
+  assert.equal(requesterKey({ title: 'c' }), null);
+  assert.equal(requesterKey(null), null);
+});
+
+test('fairTurns: the playing song is its requester\'s first turn', () => {
+  const songs = [byUser('A', 'a2'), byUser('B', 'b1'), byUser('A', 'a3')];
+  assert.deepEqual(fairTurns(songs), [0, 0, 1]);
+  assert.deepEqual(fairTurns(songs, byUser('A', 'a1')), [1, 0, 2]);
+});
+
+test('fairInsertIndex: a single request jumps a pasted playlist, but only by one turn', () => {
+  const current = byUser('A', 'a1');
+  const songs = [byUser('A', 'a2'), byUser('A', 'a3'), byUser('A', 'a4')];
+
+  // B has had no turn yet and A is on right now, so B is next
+  assert.equal(fairInsertIndex(songs, byUser('B', 'b1'), current), 0);
+
+  // With B's first song in, C's first goes after it - first come, first served within a round
+  const withB = [byUser('B', 'b1'), ...songs];
+  assert.equal(fairInsertIndex(withB, byUser('C', 'c1'), current), 1);
+
+  // B's second song waits for A's second
+  assert.equal(fairInsertIndex(withB, byUser('B', 'b2'), current), 2);
+});
+
+test('fairInsertIndex: with nothing playing and nobody else waiting it is just the tail', () => {
+  assert.equal(fairInsertIndex([], byUser('A', 'a1')), 0);
+  const songs = [byUser('A', 'a1'), byUser('A', 'a2')];
+  assert.equal(fairInsertIndex(songs, byUser('A', 'a3')), 2);
+});
+
+test('fairInsertIndex: a radio fill is nobody\'s turn and goes to the back', () => {
+  const songs = [byUser('A', 'a1'), byUser('A', 'a2')];
+  const radio = { title: 'r', url: 'https://www.youtube.com/watch?v=r', requestedBy: '📻 Radio', requestedById: null };
+  assert.equal(fairInsertIndex(songs, radio), 2);
+});
+
+test('fairOrder: a queue built by arrival is interleaved round by round, stably', () => {
+  const songs = [
+    byUser('A', 'a1'), byUser('A', 'a2'), byUser('A', 'a3'),
+    byUser('B', 'b1'), byUser('C', 'c1'), byUser('B', 'b2')
+  ];
+  assert.deepEqual(titles(fairOrder(songs)), ['a1', 'b1', 'c1', 'a2', 'b2', 'a3']);
+  // A is playing, so everybody else's first song is ahead of A's next
+  assert.deepEqual(titles(fairOrder(songs, byUser('A', 'a0'))), ['b1', 'c1', 'a1', 'b2', 'a2', 'a3']);
+  // The input is left alone
+  assert.equal(songs[1].title, 'a2');
+});
+
+test('fairOrder: radio fills sort after every real request', () => {
+  const radio = { title: 'r', url: 'https://www.youtube.com/watch?v=r', requestedBy: '📻 Radio', requestedById: null };
+  assert.deepEqual(titles(fairOrder([radio, byUser('A', 'a1'), byUser('A', 'a2')])), ['a1', 'a2', 'r']);
+});
+
+test('addSong: in fair mode a song is slotted into its turn instead of appended', () => {
+  const { queue } = buildQueue('fair-add');
+  queue.currentFairQueue = () => true;
+  queue.currentSong = byUser('A', 'a1');
+
+  const logged = captureConsole();
+  try {
+    for (const title of ['a2', 'a3', 'a4']) queue.addSong(byUser('A', title));
+    queue.addSong(byUser('B', 'b1'));
+    queue.addSong(byUser('C', 'c1'));
+    queue.addSong(byUser('B', 'b2'));
+  } finally {
+    logged.restore();
+  }
+
+  assert.deepEqual(titles(queue.songs), ['b1', 'c1', 'a2', 'b2', 'a3', 'a4']);
+  queue.cleanup();
+});
+
+test('addSong: with fair mode off the queue is first come, first served as before', () => {
+  const { queue } = buildQueue('fair-off');
+  queue.currentFairQueue = () => false;
+  queue.currentSong = byUser('A', 'a1');
+
+  const logged = captureConsole();
+  try {
+    queue.addSong(byUser('A', 'a2'));
+    queue.addSong(byUser('B', 'b1'));
+  } finally {
+    logged.restore();
+  }
+
+  assert.deepEqual(titles(queue.songs), ['a2', 'b1']);
+  queue.cleanup();
+});
+
+test('getMusicSettings: fair queue is reported next to loop and 24/7', () => {
+  const settings = getMusicSettings();
+  assert.equal(typeof settings.fairQueue, 'boolean');
+  assert.ok('loopMode' in settings && 'is24_7' in settings);
+});
+
+// --- vote to skip ------------------------------------------------------------
+
+test('clampVoteSkipShare: a fraction or a percentage, and nonsense reads as the default', () => {
+  assert.equal(clampVoteSkipShare(0.6), 0.6);
+  assert.equal(clampVoteSkipShare(60), 0.6);
+  assert.equal(clampVoteSkipShare(1), 1);
+  assert.equal(clampVoteSkipShare(250), 1);
+  for (const nonsense of [undefined, null, '', 'half', 0, -0.5, NaN]) {
+    assert.equal(clampVoteSkipShare(nonsense), DEFAULT_VOTE_SKIP_SHARE, String(nonsense));
+  }
+});
+
+test('votesNeededToSkip: a share of the channel, rounded up, never less than one', () => {
+  assert.equal(votesNeededToSkip(4, 0.5), 2);
+  assert.equal(votesNeededToSkip(5, 0.5), 3);
+  assert.equal(votesNeededToSkip(3, 0.33), 1);
+  assert.equal(votesNeededToSkip(3, 1), 3);
+  assert.equal(votesNeededToSkip(1, 0.5), 1);
+  assert.equal(votesNeededToSkip(0, 0.5), 1, 'a channel the bot cannot see into');
+});
+
+// A queue with vote skip on, a song from `requesterId` playing, and `listeners` in the channel.
+// skip() is recorded rather than performed.
+function buildVoteQueue(guildId, { requesterId = 'R', listeners = ['R', 'A', 'B', 'C'], share = 0.5, enabled = true } = {}) {
+  const { queue } = buildQueue(guildId);
+  queue.currentSong = byUser(requesterId, 'song');
+  queue.isPlaying = true;
+  queue.skips = 0;
+  queue.skip = () => { queue.skips++; };
+  queue.channel = listeners.map(id => ({ id, username: `user-${id}`, displayName: `name-${id}` }));
+  queue.currentListeners = async () => queue.channel;
+  queue.currentVoteSkip = () => ({ enabled, share });
+  return queue;
+}
+
+test('requestSkip: with vote skip off anybody skips, as before', async () => {
+  const queue = buildVoteQueue('vote-off', { enabled: false });
+  const outcome = await queue.requestSkip({ userId: 'A', displayName: 'name-A' });
+  assert.deepEqual(outcome, { skipped: true, reason: 'direct' });
+  assert.equal(queue.skips, 1);
+  queue.cleanup();
+});
+
+test('requestSkip: the requester and a DJ skip outright, without a vote', async () => {
+  const queue = buildVoteQueue('vote-direct');
+  assert.equal((await queue.requestSkip({ userId: 'R' })).reason, 'requester');
+  assert.equal((await queue.requestSkip({ userId: 'A', isDJ: true })).reason, 'dj');
+  assert.equal(queue.skips, 2);
+  assert.equal(queue.skipVoteState(), null);
+  queue.cleanup();
+});
+
+test('requestSkip: votes count up to the share of the channel, then the song ends', async () => {
+  const queue = buildVoteQueue('vote-count');
+  const logged = captureConsole();
+  let first, again, second;
+  try {
+    first = await queue.requestSkip({ userId: 'A', displayName: 'name-A' });
+    // Voting twice is still one vote
+    again = await queue.requestSkip({ userId: 'A', displayName: 'name-A' });
+    second = await queue.requestSkip({ userId: 'B', displayName: 'name-B' });
+  } finally {
+    logged.restore();
+  }
+
+  assert.deepEqual(first, { skipped: false, reason: 'voted', votes: 1, needed: 2 });
+  assert.deepEqual(again, { skipped: false, reason: 'voted', votes: 1, needed: 2 });
+  assert.deepEqual(second, { skipped: true, reason: 'votes', votes: 2, needed: 2 });
+  assert.equal(queue.skips, 1);
+  assert.equal(queue.skipVoteState(), null, 'the vote is closed once it has carried');
+  queue.cleanup();
+});
+
+test('requestSkip: the dashboard sees the vote in progress', async () => {
+  const queue = buildVoteQueue('vote-state', { listeners: ['R', 'A', 'B', 'C', 'D', 'E'] });
+  const logged = captureConsole();
+  try {
+    await queue.requestSkip({ userId: 'A', displayName: 'name-A' });
+    await queue.requestSkip({ userId: 'B', displayName: 'name-B' });
+  } finally {
+    logged.restore();
+  }
+  assert.deepEqual(queue.skipVoteState(), { votes: 2, needed: 3, voters: ['name-A', 'name-B'] });
+  queue.cleanup();
+});
+
+test('requestSkip: somebody who is not in the channel does not get a vote', async () => {
+  const queue = buildVoteQueue('vote-outsider');
+  const outcome = await queue.requestSkip({ userId: 'Z', displayName: 'name-Z' });
+  assert.deepEqual(outcome, { skipped: false, reason: 'not-listening' });
+  assert.equal(queue.skipVoteState(), null);
+  queue.cleanup();
+});
+
+test('requestSkip: a vote does not carry over to the next song', async () => {
+  const queue = buildVoteQueue('vote-next-song');
+  const logged = captureConsole();
+  try {
+    await queue.requestSkip({ userId: 'A', displayName: 'name-A' });
+    assert.equal(queue.skipVoteState().votes, 1);
+
+    // What every song change does
+    queue.cacheGeneration++;
+    queue.currentSong = byUser('R', 'next song');
+    assert.equal(queue.skipVoteState(), null);
+
+    const outcome = await queue.requestSkip({ userId: 'B', displayName: 'name-B' });
+    assert.equal(outcome.votes, 1, 'a fresh vote, not the old one plus this');
+  } finally {
+    logged.restore();
+  }
+  queue.cleanup();
+});
+
+test('requestSkip: a song that changes while the channel is read is not skipped by the old vote', async () => {
+  const queue = buildVoteQueue('vote-race', { listeners: ['R', 'A'] });
+  queue.currentListeners = async () => {
+    queue.cacheGeneration++;
+    queue.currentSong = byUser('R', 'next song');
+    return queue.channel;
+  };
+  const outcome = await queue.requestSkip({ userId: 'A', displayName: 'name-A' });
+  assert.deepEqual(outcome, { skipped: false, reason: 'song-changed' });
+  assert.equal(queue.skips, 0);
+  queue.cleanup();
+});
+
+test('recountSkipVotes: people leaving can carry a vote that was one short', async () => {
+  const queue = buildVoteQueue('vote-recount');
+  const logged = captureConsole();
+  let outcome;
+  try {
+    await queue.requestSkip({ userId: 'A', displayName: 'name-A' });
+    assert.equal(queue.skips, 0);
+    // Two of the four leave: one vote of two is now half the channel
+    queue.channel = queue.channel.filter(member => member.id === 'R' || member.id === 'A');
+    outcome = await queue.recountSkipVotes();
+  } finally {
+    logged.restore();
+  }
+  assert.equal(outcome.reason, 'votes');
+  assert.equal(queue.skips, 1);
+  queue.cleanup();
+});
+
+test('recountSkipVotes: a voter who left takes their vote with them', async () => {
+  const queue = buildVoteQueue('vote-leaver', { listeners: ['R', 'A', 'B', 'C', 'D', 'E'] });
+  const logged = captureConsole();
+  try {
+    await queue.requestSkip({ userId: 'A', displayName: 'name-A' });
+    queue.channel = queue.channel.filter(member => member.id !== 'A');
+    await queue.recountSkipVotes();
+  } finally {
+    logged.restore();
+  }
+  assert.equal(queue.skipVoteState(), null);
+  assert.equal(queue.skips, 0);
+  queue.cleanup();
+});
+
+// --- each guild's own player settings ---------------------------------------
+
+function freshPlayerSettings(contents = null) {
+  const file = join(mkdtempSync(join(tmpdir(), 'jerrybot-test-playerSettings-')), 'playerSettings.json');
+  if (contents) writeFileSync(file, JSON.stringify(contents));
+  setPlayerSettingsPath(file);
+  return file;
+}
+
+test('player settings: a file from before each guild had its own becomes the primary guild\'s', () => {
+  freshPlayerSettings({
+    loopMode: 'queue', is24_7: true, radioEnabled: true, fairQueue: true, voteSkipEnabled: true, voteSkipShare: 0.6,
+    normalizeAudio: false, crossfadeSec: 4, mixerFilters: { bass: 5 }
+  });
+  const primary = getMusicSettings(primaryGuildId());
+  assert.deepEqual(
+    [primary.loopMode, primary.is24_7, primary.radioEnabled, primary.fairQueue, primary.voteSkipEnabled, primary.voteSkipShare],
+    ['queue', true, true, true, true, 0.6]
+  );
+  assert.equal(getMixerFilters(primaryGuildId()).bass, 5);
+
+  const other = getMusicSettings('a-guild-of-its-own');
+  assert.deepEqual([other.loopMode, other.is24_7, other.radioEnabled, other.fairQueue, other.voteSkipEnabled], ['off', false, false, false, false]);
+  assert.equal(getMixerFilters('a-guild-of-its-own').bass, 0);
+  // What every guild shares stays shared
+  assert.equal(other.normalizeAudio, false);
+  assert.equal(other.crossfadeSec, 4);
+  freshPlayerSettings();
+});
+
+test('player settings: loop, 24/7, radio, fair queue and vote skip are each guild\'s own', () => {
+  const file = freshPlayerSettings();
+  const a = new MusicQueue('settings-guild-a');
+  const b = new MusicQueue('settings-guild-b');
+
+  a.setLoopMode('song');
+  a.toggle24_7();
+  a.toggleRadio();
+  a.toggleFairQueue();
+  setVoteSkipSettings({ enabled: true, share: 0.7 }, 'settings-guild-a');
+
+  assert.deepEqual([a.currentLoopMode(), a.current24_7(), a.currentFairQueue()], ['song', true, true]);
+  assert.deepEqual(a.currentVoteSkip(), { enabled: true, share: 0.7 });
+  assert.deepEqual([b.currentLoopMode(), b.current24_7(), b.currentFairQueue()], ['off', false, false]);
+  assert.deepEqual(b.currentVoteSkip(), { enabled: false, share: DEFAULT_VOTE_SKIP_SHARE });
+  assert.equal(getMusicSettings('settings-guild-a').radioEnabled, true);
+  assert.equal(getMusicSettings('settings-guild-b').radioEnabled, false);
+
+  const saved = JSON.parse(readFileSync(file, 'utf8'));
+  assert.equal(saved.guilds['settings-guild-a'].loopMode, 'song');
+  assert.equal(saved.loopMode, undefined, 'nothing of a guild\'s is kept at the top level');
+  a.cleanup();
+  b.cleanup();
+  freshPlayerSettings();
+});
+
+test('applyMixerFilters: only the calling guild\'s queue hears the change', async () => {
+  freshPlayerSettings();
+  const a = createQueue('mixer-guild-a');
+  const b = createQueue('mixer-guild-b');
+  let restartedB = false;
+  b.applyFilters = async () => { restartedB = true; return true; };
+
+  assert.equal(await applyMixerFilters({ bass: 6 }, 'mixer-guild-a'), true);
+  assert.equal(getMixerFilters('mixer-guild-a').bass, 6);
+  assert.equal(getMixerFilters('mixer-guild-b').bass, 0);
+  assert.equal(restartedB, false);
+
+  // A guild with nothing playing keeps it for its next song
+  await applyMixerFilters({ treble: -3 }, 'mixer-guild-c');
+  assert.equal(getMixerFilters('mixer-guild-c').treble, -3);
+  assert.equal(getMixerFilters('mixer-guild-a').treble, 0);
+  a.cleanup();
+  b.cleanup();
+  freshPlayerSettings();
+});
+
+test('sleep timer: one per guild, and cancelling one leaves the others running', () => {
+  const file = freshPlayerSettings();
+  const endsA = setSleepTimer(10, 'sleep-guild-a');
+  const endsB = setSleepTimer(20, 'sleep-guild-b');
+  assert.ok(endsB > endsA);
+
+  cancelSleepTimer('sleep-guild-a');
+  const saved = JSON.parse(readFileSync(file, 'utf8'));
+  assert.equal(saved.guilds['sleep-guild-a'].sleepEndTime, null);
+  assert.equal(saved.guilds['sleep-guild-b'].sleepEndTime, endsB);
+  cancelSleepTimer('sleep-guild-b');
+  freshPlayerSettings();
+});
+
+// --- local library ---------------------------------------------------------
+
+test('fetchAudioTo: a local track is linked into the cache rather than downloaded', async (t) => {
+  const root = mkdtempSync(join(tmpdir(), 'godcord-lib-'));
+  const previousDir = process.env.LOCAL_MUSIC_DIR;
+  process.env.LOCAL_MUSIC_DIR = root;
+  setLocalLibraryPath(join(root, 'index.json'));
+  t.after(() => {
+    if (previousDir === undefined) delete process.env.LOCAL_MUSIC_DIR;
+    else process.env.LOCAL_MUSIC_DIR = previousDir;
+    setLocalLibraryPath(join(root, 'unused.json'));
+  });
+
+  writeFileSync(join(root, 'song.opus'), 'not really opus');
+  const logged = captureConsole();
+  try {
+    await rescanLocalLibrary();
+  } finally {
+    logged.restore();
+  }
+
+  const { queue } = buildQueue('local-fetch');
+  const cachePath = join(tmpdir(), `godcord_localtest_${process.pid}.opus`);
+  const abortReason = () => null;
+  try {
+    const timing = await queue.fetchAudioTo(cachePath, localTrackUrl(localTrackId('song.opus')), 'song', {
+      priority: DOWNLOAD_PRIORITY.PLAY, label: 'test', abortReason
+    });
+    assert.equal(timing.attempts, 1);
+    assert.ok(lstatSync(cachePath).isSymbolicLink() || lstatSync(cachePath).isFile());
+    assert.equal(readFileSync(cachePath, 'utf8'), 'not really opus');
+  } finally {
+    if (existsSync(cachePath)) unlinkSync(cachePath);
+  }
+  // Removing the cache entry never removes the library's own file
+  assert.ok(existsSync(join(root, 'song.opus')));
+
+  // A track that is not in the index fails like a dead video, leaving nothing behind
+  await assert.rejects(
+    queue.fetchAudioTo(cachePath, localTrackUrl('0000000000000000'), 'gone', { priority: DOWNLOAD_PRIORITY.PLAY, label: 'test', abortReason }),
+    /no longer in the local library/
+  );
+  assert.equal(existsSync(cachePath), false);
+  queue.cleanup();
+});
+
+// --- stored loudness ---------------------------------------------------------
+
+test('knownLoudness: a stored measurement is found from any URL of the same video', () => {
+  const measured = parseLoudnormJson(REAL_LOUDNORM_STDERR);
+  storeLoudness('kNoWnVideo1', measured, { title: 'known' });
+  assert.deepEqual(knownLoudness('https://www.youtube.com/watch?v=kNoWnVideo1'), measured);
+  assert.deepEqual(knownLoudness('https://youtu.be/kNoWnVideo1?t=10'), measured);
+  assert.equal(knownLoudness('https://www.youtube.com/watch?v=neverSeen11'), null);
+  assert.equal(knownLoudness('local:0123456789abcdef'), null);
+});
+
+test('knownLoudness: a stored value ffmpeg would reject is no measurement at all', () => {
+  // A hand-edited file is a file; an out-of-range value here would be a song with no audio
+  storeLoudness('eDiTeDvideo', { ...parseLoudnormJson(REAL_LOUDNORM_STDERR), input_i: 12 });
+  assert.equal(knownLoudness('https://www.youtube.com/watch?v=eDiTeDvideo'), null);
+  storeLoudness('nUllvalue11', { ...parseLoudnormJson(REAL_LOUDNORM_STDERR), input_tp: null });
+  assert.equal(knownLoudness('https://www.youtube.com/watch?v=nUllvalue11'), null);
+});
+
+test('loudness store: survives a reload and drops the oldest measurement past the cap', () => {
+  const file = join(tmpdir(), `jerrybot-test-loudness-cap-${process.pid}.json`);
+  const measured = parseLoudnormJson(REAL_LOUDNORM_STDERR);
+  try {
+    setLoudnessStorePath(file);
+    for (const [id, measuredAt] of [['oldestVideo', 1000], ['middleVideo', 2000], ['newestVideo', 3000]]) {
+      storeLoudness(id, measured, { measuredAt, maxEntries: 2 });
+    }
+    // As a restart would see it
+    setLoudnessStorePath(file);
+    const stored = getStoredLoudness();
+    assert.deepEqual(Object.keys(stored).sort(), ['middleVideo', 'newestVideo']);
+    assert.deepEqual(stored.newestVideo, { i: measured.input_i, tp: measured.input_tp, lra: measured.input_lra, measuredAt: 3000 });
+  } finally {
+    setLoudnessStorePath(LOUDNESS_STORE_FILE);
+    if (existsSync(file)) unlinkSync(file);
+  }
+});
+
+test('measureAndRemember: a measurement is kept for the next download of the same video', { skip: FFMPEG ? false : 'no system ffmpeg' }, async () => {
+  const queue = new MusicQueue('loudness-store');
+  const path = join(tmpdir(), `godcord_store_${process.pid}.opus`);
+  execFileSync(FFMPEG, [
+    '-y', '-loglevel', '0', '-f', 'lavfi', '-i', 'sine=frequency=440:duration=3:sample_rate=48000',
+    '-c:a', 'libopus', '-b:a', '96k', path
+  ]);
+  const logged = captureConsole();
+  try {
+    const measured = await queue.measureAndRemember(path, 'stored tone', 'https://www.youtube.com/watch?v=sToReDtone1');
+    assert.ok(measured, 'a real file measures');
+    assert.deepEqual(knownLoudness('https://youtu.be/sToReDtone1'), measured);
+  } finally {
+    logged.restore();
+    if (existsSync(path)) unlinkSync(path);
+  }
+});
+
+// --- audio cache -------------------------------------------------------------
+
+test('fetchAudioTo: a cached video is handed over without ever reaching yt-dlp', async () => {
+  const source = join(tmpdir(), `godcord_cachesrc_${process.pid}.opus`);
+  writeFileSync(source, 'cached audio');
+  await addToAudioCache('cAcHeDvideo', source, { title: 'cached' });
+  unlinkSync(source);
+
+  const { queue } = buildQueue('audio-cache-hit');
+  const cachePath = join(tmpdir(), `godcord_cachehit_${process.pid}.opus`);
+  const hitsBefore = getAudioCacheStats().hits;
+  try {
+    const cost = await queue.fetchAudioTo(cachePath, 'https://www.youtube.com/watch?v=cAcHeDvideo', 'cached', {
+      priority: DOWNLOAD_PRIORITY.PLAY, label: 'test', abortReason: () => null, childSlot: 'downloadProcess'
+    });
+    assert.equal(cost.cached, true);
+    assert.equal(cost.attempts, 0);
+    assert.equal(readFileSync(cachePath, 'utf8'), 'cached audio');
+    assert.equal(queue.downloadProcess, null, 'no yt-dlp was started');
+    assert.equal(getAudioCacheStats().hits, hitsBefore + 1);
+  } finally {
+    if (existsSync(cachePath)) unlinkSync(cachePath);
+  }
+  queue.cleanup();
+});
+
+test('fetchAudioTo: a stale fetch takes nothing from the cache', async () => {
+  const { queue } = buildQueue('audio-cache-stale');
+  const cachePath = join(tmpdir(), `godcord_cachestale_${process.pid}.opus`);
+  await assert.rejects(
+    queue.fetchAudioTo(cachePath, 'https://www.youtube.com/watch?v=cAcHeDvideo', 'cached', {
+      priority: DOWNLOAD_PRIORITY.PLAY, label: 'test', abortReason: () => 'the song changed', childSlot: 'downloadProcess'
+    }),
+    error => error.aborted === true
+  );
+  assert.equal(existsSync(cachePath), false);
+  queue.cleanup();
+});
+
+test('restoreQueueSnapshot: a saved queue goes in behind what is playing, and nothing is interrupted', async () => {
+  const queue = createQueue('snapshot-restore-busy');
+  queue.maintainPrefetch = () => {}; // no yt-dlp for the song behind
+  queue.isPlaying = true;
+  queue.currentSong = { title: 'Playing now', url: 'https://www.youtube.com/watch?v=aaaaaaaaaaa', duration: 200, requestedBy: 'Alice' };
+  queue.songs = [{ title: 'Next up', url: 'https://www.youtube.com/watch?v=bbbbbbbbbbb', duration: 200, requestedBy: 'Alice' }];
+  const saved = {
+    currentSong: { title: 'Saved current', url: 'https://www.youtube.com/watch?v=ccccccccccc', duration: 300, requestedBy: 'Bob', requestedById: 'u2' },
+    songs: [{ title: 'Saved next', url: 'https://www.youtube.com/watch?v=ddddddddddd', duration: 240, requestedBy: 'Bob', requestedById: 'u2' }],
+    positionSec: 95
+  };
+  try {
+    const result = await restoreQueueSnapshot(queue, saved);
+    assert.equal(result.queued, 2);
+    assert.deepEqual(result.refused, []);
+    assert.equal(result.resumedAt, null, 'the saved position is not used behind another song');
+    assert.equal(result.outcome, null);
+    assert.equal(queue.currentSong.title, 'Playing now');
+    assert.deepEqual(queue.songs.map(s => s.title), ['Next up', 'Saved current', 'Saved next']);
+  } finally {
+    queue.cleanup();
+  }
+});
+
+const undoSong = (title, requestedBy = 'Alice') => ({ title, url: `https://www.youtube.com/watch?v=${title.padEnd(11, 'x')}`, duration: 200, requestedBy });
+
+test('undo: a shuffle, a removal and a move come back in reverse order, with names on them', async () => {
+  clearUndoHistory();
+  const queue = createQueue('undo-order');
+  queue.maintainPrefetch = () => {};
+  queue.songs = ['a', 'b', 'c', 'd'].map(t => undoSong(t));
+  const notices = [];
+  setQueueNoticeCallback(notice => notices.push(notice));
+  try {
+    queue.reorder(4, 1, { by: 'Alice' });
+    queue.removeFromQueue(2, { by: 'Bob' });
+    queue.shuffle({ by: 'Bob' });
+    assert.equal(queue.reorder(1, 1), false);
+    assert.equal(peekUndo('undo-order').label, 'shuffle', 'a change that changed nothing leaves no entry');
+
+    assert.deepEqual(await undoQueueChange('undo-order', { by: 'Carol' }), { ok: true, message: "Carol undid Bob's shuffle" });
+    assert.deepEqual(queue.songs.map(s => s.title), ['d', 'b', 'c']);
+    const removal = await undoQueueChange('undo-order', { by: 'Bob' });
+    assert.equal(removal.message, 'Bob undid their removal of "a"');
+    assert.deepEqual(queue.songs.map(s => s.title), ['d', 'a', 'b', 'c']);
+    assert.equal((await undoQueueChange('undo-order', { by: 'Alice' })).message, 'Alice undid their move of "d"');
+    assert.deepEqual(queue.songs.map(s => s.title), ['a', 'b', 'c', 'd']);
+
+    assert.deepEqual(await undoQueueChange('undo-order', { by: 'Alice' }), { ok: false, message: 'There is nothing to undo.' });
+    assert.deepEqual(notices.map(n => n.guildId), ['undo-order', 'undo-order', 'undo-order'], 'every undo is announced, a failed one is not');
+  } finally {
+    setQueueNoticeCallback(null);
+    queue.cleanup();
+  }
+});
+
+test('undo: a clear brings the songs back in front of what was added since, minus what has played', async () => {
+  clearUndoHistory();
+  const queue = createQueue('undo-clear');
+  queue.maintainPrefetch = () => {};
+  const [a, b, c] = ['a', 'b', 'c'].map(t => undoSong(t));
+  queue.songs = [a, b, c];
+  try {
+    queue.clear({ by: 'Alice' });
+    assert.deepEqual(queue.songs, []);
+    assert.equal(queue.clear(), false, 'nothing left to clear');
+    queue.songs.push(undoSong('new'));
+
+    await undoQueueChange('undo-clear', { by: 'Alice' });
+    assert.deepEqual(queue.songs.map(s => s.title), ['a', 'b', 'c', 'new']);
+
+    // A shuffle, then the first song plays: undoing the shuffle does not play it again
+    queue.shuffle();
+    queue.songs.splice(queue.songs.indexOf(b), 1);
+    await undoQueueChange('undo-clear');
+    assert.deepEqual(queue.songs.map(s => s.title), ['a', 'c', 'new']);
+  } finally {
+    queue.cleanup();
+  }
+});
+
+test('undo: the stack keeps the last UNDO_LIMIT changes', async () => {
+  clearUndoHistory();
+  const queue = createQueue('undo-limit');
+  queue.maintainPrefetch = () => {};
+  queue.songs = ['a', 'b', 'c'].map(t => undoSong(t));
+  try {
+    for (let i = 0; i < UNDO_LIMIT + 5; i++) queue.reorder(1, 3);
+    let undone = 0;
+    while (peekUndo('undo-limit')) {
+      await undoQueueChange('undo-limit');
+      undone++;
+    }
+    assert.equal(undone, UNDO_LIMIT);
+  } finally {
+    queue.cleanup();
+  }
+});
+
+test('undo: a stop outlives its queue and comes back through the reconnect', async () => {
+  clearUndoHistory();
+  const stopped = createQueue('undo-stop');
+  stopped.maintainPrefetch = () => {};
+  stopped.songs = ['a', 'b'].map(t => undoSong(t, 'Bob'));
+  stopped.shuffle({ by: 'Bob' });
+  stopped.stop({ by: 'Bob' });
+  const states = [];
+  setWebUpdateCallback(state => states.push(state));
+  setDashboardGuildsCallback(() => ['undo-stop']);
+  try {
+    stopped.leave();
+  } finally {
+    setWebUpdateCallback(null);
+    setDashboardGuildsCallback(null);
+  }
+  assert.equal(getQueue('undo-stop'), undefined);
+  assert.equal(peekUndo('undo-stop').label, 'stop');
+  assert.equal(states.find(s => s.guildId === 'undo-stop').undo.label, 'stop', 'with no queue left, the dashboard still sees the stop');
+  assert.equal(peekUndo(null), null, 'no guild, nothing to undo - not some other guild\'s stop');
+
+  assert.deepEqual(await undoQueueChange('undo-stop', { by: 'Alice', reconnect: async () => ({ error: 'Join a voice channel first.' }) }),
+    { ok: false, message: 'Join a voice channel first.' });
+
+  const fresh = createQueue('undo-stop');
+  fresh.maintainPrefetch = () => {};
+  fresh.isPlaying = true; // stands in for a song somebody put on since; nothing is started
+  try {
+    const result = await undoQueueChange('undo-stop', { by: 'Alice', reconnect: async () => ({ queue: fresh }) });
+    assert.equal(result.message, "Alice undid Bob's stop - 2 songs back in the queue");
+    assert.equal(fresh.songs.length, 2);
+    assert.equal(peekUndo('undo-stop'), null, 'the shuffle before the stop went with it');
+  } finally {
+    fresh.cleanup();
+  }
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  setPlayEventsPath, recordPlayEvent, getPlayEvents, flushPlayEvents, summarizePlayEvents,
+  songPlayStats, playCompletion, isEarlySkip
+} from '../src/utils/playEvents.js';
+
+const yt = (id) => `https://www.youtube.com/watch?v=${id.padEnd(11, 'x')}`;
+
+// One ended play of a 200s song, as recordPlayEvent stores it
+function play(id, reason, endPosition, extra = {}) {
+  return {
+    url: yt(id), title: `Song ${id}`, duration: 200, requestedById: 'u1', requestedBy: 'Alice', radio: false,
+    startedAt: 0, endedAt: 1, startPosition: 0, endPosition, reason, ...extra
+  };
+}
+
+function fresh() {
+  const file = join(mkdtempSync(join(tmpdir(), 'playEvents-')), 'playEvents.json');
+  setPlayEventsPath(file);
+  return file;
+}
+
+test('recordPlayEvent: keeps where the play started and ended, and radio picks are nobody\'s', () => {
+  const file = fresh();
+  recordPlayEvent({ url: yt('a'), title: 'A', duration: 200.4, requestedById: 'u1', requestedBy: 'Alice' },
+    { reason: 'skip', startPosition: 12.345, endPosition: 40, startedAt: 1000, endedAt: 29000, listeners: [{ id: 'u1', name: 'Alice' }, { name: 'no id' }] });
+  recordPlayEvent({ url: yt('b'), title: 'B', duration: 100, requestedById: 'u1', requestedBy: '📻 Radio' },
+    { reason: 'nonsense', endPosition: 100, endedAt: 50000 });
+  assert.equal(recordPlayEvent({ title: 'no url' }, { reason: 'finished' }), null);
+
+  const [a, b] = getPlayEvents();
+  assert.deepEqual(
+    { start: a.startPosition, end: a.endPosition, reason: a.reason, duration: a.duration, startedAt: a.startedAt },
+    { start: 12.3, end: 40, reason: 'skip', duration: 200, startedAt: 1000 }
+  );
+  assert.deepEqual(a.listeners, [{ id: 'u1', name: 'Alice' }]);
+  assert.equal(b.radio, true);
+  assert.equal(b.requestedById, null);
+  assert.equal(b.reason, 'finished');
+  assert.deepEqual(getPlayEvents({ since: 30000 }).map(e => e.title), ['B']);
+
+  flushPlayEvents();
+  assert.equal(JSON.parse(readFileSync(file, 'utf8')).length, 2);
+});
+
+test('getPlayEvents: each guild\'s plays, with plays from before guilds were recorded counted as the primary\'s', () => {
+  const file = fresh();
+  writeFileSync(file, JSON.stringify([play('old', 'finished', 200, { endedAt: 10 })]));
+  const previous = process.env.GUILD_ID;
+  process.env.GUILD_ID = '111111111111111111';
+  try {
+    recordPlayEvent({ url: yt('a'), title: 'A', duration: 200 }, { reason: 'finished', endedAt: 20, guildId: '222222222222222222' });
+    recordPlayEvent({ url: yt('b'), title: 'B', duration: 200 }, { reason: 'finished', endedAt: 30 });
+
+    assert.deepEqual(getPlayEvents({ guildId: '111111111111111111' }).map(e => e.title), ['Song old', 'B']);
+    assert.deepEqual(getPlayEvents({ guildId: '222222222222222222' }).map(e => e.title), ['A']);
+    assert.equal(getPlayEvents().length, 3, 'no guild given is every guild');
+  } finally {
+    if (previous === undefined) delete process.env.GUILD_ID;
+    else process.env.GUILD_ID = previous;
+  }
+});
+
+test('playCompletion and isEarlySkip: natural ends are complete, an early skip is under 30s of listening', () => {
+  assert.equal(playCompletion(play('a', 'crossfade', 190)), 1);
+  assert.equal(playCompletion(play('a', 'stop', 50)), 0.25);
+  assert.equal(playCompletion(play('a', 'skip', 50, { duration: 0 })), null);
+  assert.equal(isEarlySkip(play('a', 'skip', 20)), true);
+  assert.equal(isEarlySkip(play('a', 'skip', 80, { startPosition: 60 })), true);
+  assert.equal(isEarlySkip(play('a', 'skip', 80)), false);
+  assert.equal(isEarlySkip(play('a', 'stop', 5)), false);
+});
+
+test('summarizePlayEvents: skip rates, the curve, and the most skipped song and requester', () => {
+  const events = [
+    play('hated', 'skip', 10), play('hated', 'skip', 15), play('hated', 'finished', 200),
+    play('loved', 'finished', 200, { requestedById: 'u2', requestedBy: 'Bob' }),
+    play('loved', 'crossfade', 195, { requestedById: 'u2', requestedBy: 'Bob' }),
+    play('loved', 'stop', 100, { requestedById: 'u2', requestedBy: 'Bob' }),
+    play('radio', 'skip', 5, { radio: true, requestedById: null, requestedBy: '📻 Radio' }),
+    play('broken', 'error', 3)
+  ];
+  const summary = summarizePlayEvents(events);
+
+  assert.equal(summary.totals.plays, 7);
+  assert.equal(summary.totals.errors, 1);
+  assert.equal(summary.totals.skips, 3);
+  assert.equal(summary.totals.earlySkips, 3);
+  assert.equal(summary.curve.length, 10);
+  assert.equal(summary.curve[0], 0.57);
+
+  const hated = summary.songs.find(s => s.title === 'Song hated');
+  assert.equal(hated.skipRate, 0.67);
+  assert.deepEqual(hated.curve, [0.33, 0.33, 0.33, 0.33, 0.33, 0.33, 0.33, 0.33, 0.33, 0.33]);
+  assert.equal(summary.mostSkippedSong.title, 'Song hated');
+  assert.ok(!summary.songs.some(s => s.title === 'Song broken'));
+
+  // The radio skip counts against nobody
+  assert.deepEqual(summary.requesters.map(r => [r.name, r.plays, r.skips]), [['Alice', 3, 2], ['Bob', 3, 0]]);
+  assert.equal(summary.mostSkippedRequester.name, 'Alice');
+
+  // One skip of one play is not enough to be "most skipped"
+  assert.equal(summarizePlayEvents([play('x', 'skip', 1)]).mostSkippedSong, null);
+});
+
+test('songPlayStats: per song by video ID, whichever way its URL was written', () => {
+  const index = songPlayStats([
+    play('a', 'skip', 20),
+    play('a', 'finished', 200, { url: `https://youtu.be/${'a'.padEnd(11, 'x')}` })
+  ]);
+  assert.deepEqual(index.get('a'.padEnd(11, 'x')), { plays: 2, skipRate: 0.5, averageCompletion: 0.55 });
+});
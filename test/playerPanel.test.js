@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { renderPlayerPanel, panelCommandFor, handlePlayerPanelInteraction, initPlayerPanel, updatePlayerPanel, setPlayerPanelPath } from '../src/utils/playerPanel.js';
+import { setPlaylistsPath, createPlaylist, getPlaylist } from '../src/utils/playlists.js';
+import { setGuildsPath, setGuildSettings } from '../src/utils/guilds.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'player-panel-'));
+setPlayerPanelPath(join(dir, 'playerPanel.json'));
+setPlaylistsPath(join(dir, 'playlists.json'));
+setGuildsPath(join(dir, 'guilds.json'));
+
+const GUILD = 'guild-1';
+const song = { title: 'Song A', url: 'https://www.youtube.com/watch?v=qrCRgIu2QtU', duration: 200, requestedBy: 'Alice' };
+const playing = (extra = {}) => ({ guildId: GUILD, currentSong: song, queue: [], isPaused: false, volume: 0.47, loopMode: 'off', songStartTime: Date.now(), mixerPreset: 'normal', ...extra });
+
+const components = (payload) => payload.components.flatMap(row => row.toJSON().components);
+const byId = (payload, id) => components(payload).find(c => c.custom_id === `panel:${id}`);
+
+function fakePress(customId, { values, userId = 'user-1', guildId = GUILD, roles = [] } = {}) {
+  const calls = [];
+  return {
+    calls,
+    customId,
+    values,
+    guildId,
+    user: { id: userId, username: 'alice' },
+    member: { displayName: 'Alice', roles: { cache: new Map(roles.map(id => [id, { id }])) } },
+    isButton: () => !values,
+    isStringSelectMenu: () => !!values,
+    deferUpdate: async () => { calls.push(['deferUpdate']); },
+    reply: async (payload) => { calls.push(['reply', payload]); },
+    followUp: async (payload) => { calls.push(['followUp', payload]); },
+    update: async (payload) => { calls.push(['update', payload]); }
+  };
+}
+
+test('panelCommandFor: presses become the dashboard\'s own commands', () => {
+  assert.equal(panelCommandFor('panel:playpause', playing()), 'pause');
+  assert.equal(panelCommandFor('panel:playpause', playing({ isPaused: true })), 'resume');
+  assert.equal(panelCommandFor('panel:skip', playing()), 'skip');
+  assert.equal(panelCommandFor('panel:loop', playing()), 'loop');
+  // Volume lands on the step, and stays in range
+  assert.equal(panelCommandFor('panel:volup', playing()), 'volume:50');
+  assert.equal(panelCommandFor('panel:voldown', playing()), 'volume:40');
+  assert.equal(panelCommandFor('panel:volup', playing({ volume: 1 })), 'volume:100');
+  assert.equal(panelCommandFor('panel:voldown', playing({ volume: 0.05 })), 'volume:0');
+  assert.equal(panelCommandFor('panel:mixer', playing(), ['bassboost']), 'mixer-preset:bassboost');
+  assert.equal(panelCommandFor('panel:save', playing()), null, 'not a command');
+  assert.equal(panelCommandFor('trivia_a', playing()), null, 'not the panel\'s');
+});
+
+test('renderPlayerPanel: controls follow the state, and are off with nothing playing', () => {
+  const idle = renderPlayerPanel(null);
+  assert.match(idle.embeds[0].toJSON().title, /Nothing playing/);
+  assert.ok(byId(idle, 'skip').disabled);
+  assert.ok(byId(idle, 'save').disabled);
+
+  const paused = renderPlayerPanel(playing({ isPaused: true, queue: [{ title: 'Next one' }, { title: 'After that' }] }));
+  assert.equal(byId(paused, 'playpause').label, 'Resume');
+  assert.ok(!byId(paused, 'shuffle').disabled);
+  assert.match(JSON.stringify(paused.embeds[0].toJSON().fields), /Next one/);
+
+  const loud = renderPlayerPanel(playing({ volume: 1, loopMode: 'queue' }));
+  assert.equal(byId(loud, 'playpause').label, 'Pause');
+  assert.ok(byId(loud, 'volup').disabled);
+  assert.ok(byId(loud, 'shuffle').disabled, 'nothing queued to shuffle');
+  assert.equal(byId(loud, 'loop').label, 'Loop: queue');
+  const mixer = byId(loud, 'mixer');
+  assert.equal(mixer.options.find(o => o.default)?.value, 'normal');
+});
+
+test('a press runs through the dashboard\'s command path, and its answer goes to the presser alone', async () => {
+  const ran = [];
+  await initPlayerPanel({ channels: { fetch: async () => null } }, {
+    runPanelCommand: async (command, guildId, user) => {
+      ran.push({ command, guildId, user });
+      return command.startsWith('mixer-') ? { type: 'error', message: 'You need the DJ role.' } : null;
+    }
+  });
+  updatePlayerPanel(playing({ isPaused: true }));
+
+  const press = fakePress('panel:playpause');
+  await handlePlayerPanelInteraction(press);
+  assert.deepEqual(ran.map(r => r.command), ['resume']);
+  assert.equal(ran[0].guildId, GUILD);
+  assert.equal(ran[0].user.id, 'user-1');
+  assert.equal(ran[0].user.hasDJRole, false);
+  assert.deepEqual(press.calls, [['deferUpdate']], 'nothing to say: the panel redraw is the answer');
+
+  const pick = fakePress('panel:mixer', { values: ['nightcore'] });
+  await handlePlayerPanelInteraction(pick);
+  assert.equal(ran.at(-1).command, 'mixer-preset:nightcore');
+  assert.equal(pick.calls[1][0], 'followUp');
+  assert.match(pick.calls[1][1].content, /DJ role/);
+  assert.ok(pick.calls[1][1].flags, 'ephemeral');
+});
+
+test('a press from a member without the dashboard role is refused, and nothing runs', async () => {
+  const guildId = '111111111111111111';
+  const role = '222222222222222222';
+  setGuildSettings(guildId, { requiredRoleId: role });
+  const ran = [];
+  await initPlayerPanel({ channels: { fetch: async () => null } }, {
+    runPanelCommand: async (command) => { ran.push(command); return null; }
+  });
+  updatePlayerPanel(playing({ guildId }));
+
+  for (const id of ['panel:skip', 'panel:save']) {
+    const press = fakePress(id, { guildId });
+    await handlePlayerPanelInteraction(press);
+    assert.equal(press.calls.length, 1);
+    assert.equal(press.calls[0][0], 'reply');
+    assert.match(press.calls[0][1].content, /dashboard role/);
+    assert.ok(press.calls[0][1].flags, 'ephemeral');
+  }
+  assert.deepEqual(ran, []);
+
+  const member = fakePress('panel:skip', { guildId, roles: [role] });
+  await handlePlayerPanelInteraction(member);
+  assert.deepEqual(ran, ['skip']);
+});
+
+test('add to my playlist: one playlist gets the song at once, several get a menu', async () => {
+  updatePlayerPanel(playing());
+  const { playlistId: first } = createPlaylist('user-2', 'Faves', 'Bob');
+
+  const press = fakePress('panel:save', { userId: 'user-2' });
+  await handlePlayerPanelInteraction(press);
+  assert.match(press.calls[0][1].content, /Added \*\*Song A\*\* to \*\*Faves\*\*/);
+  assert.equal(getPlaylist('user-2', first).songs[0].url, song.url);
+  assert.equal(getPlaylist('user-2', first).songs[0].addedBy, 'Alice');
+
+  const { playlistId: second } = createPlaylist('user-2', 'Road trip', 'Bob');
+  const again = fakePress('panel:save', { userId: 'user-2' });
+  await handlePlayerPanelInteraction(again);
+  const menu = again.calls[0][1].components[0].toJSON().components[0];
+  assert.deepEqual(menu.options.map(o => o.value), [first, second]);
+
+  // The song changes before the pick: the one the button was pressed on is what is added
+  updatePlayerPanel(playing({ currentSong: { ...song, title: 'Song B', url: 'https://youtu.be/dQw4w9WgXcQ' } }));
+  const chosen = fakePress('panel:save-to', { userId: 'user-2', values: [second] });
+  await handlePlayerPanelInteraction(chosen);
+  assert.equal(chosen.calls[0][0], 'update');
+  assert.equal(getPlaylist('user-2', second).songs[0].title, 'Song A');
+
+  const stale = fakePress('panel:save-to', { userId: 'user-2', values: [second] });
+  await handlePlayerPanelInteraction(stale);
+  assert.match(stale.calls[0][1].content, /expired/);
+});
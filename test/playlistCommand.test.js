@@ -53,3 +53,15 @@ test('/playlist add: a real YouTube URL gets past the allowlist and on to the lo
   assert.equal(interaction.replies.length, 1);
   assert.match(interaction.replies[0].content, /Playlist not found/);
 });
+
+test('/playlist schedule: the start time follows /reminder\'s rules', async () => {
+  const { resolveScheduleStart } = await import('../src/commands/playlist.js');
+  const now = new Date(2026, 5, 10, 18, 0); // 10 June, 18:00
+
+  assert.equal(resolveScheduleStart({ hour: 20, minute: 30 }, now).startAt, new Date(2026, 5, 10, 20, 30).getTime());
+  // Already past today, with no date given: tomorrow
+  assert.equal(resolveScheduleStart({ hour: 9, minute: 0 }, now).startAt, new Date(2026, 5, 11, 9, 0).getTime());
+  // Already past this year, with a date given: next year
+  assert.equal(resolveScheduleStart({ hour: 20, minute: 0, day: 1, month: 3 }, now).startAt, new Date(2027, 2, 1, 20, 0).getTime());
+  assert.match(resolveScheduleStart({ hour: 20, minute: 0, day: 31, month: 4 }, now).error, /does not exist/);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  exportPlaylistJson, exportPlaylistM3u, exportFilename, parsePlaylistFile, MAX_IMPORT_ENTRIES, PLAYLIST_JSON_FORMAT
+} from '../src/utils/playlistFormats.js';
+
+const playlist = {
+  name: 'Raid night',
+  createdBy: 'Owner',
+  songs: [
+    { url: 'https://www.youtube.com/watch?v=aaaaaaaaaaa', title: 'First\nSong', duration: 213, thumbnail: 'https://img.youtube.com/vi/aaaaaaaaaaa/hqdefault.jpg', addedBy: 'Someone' },
+    { url: 'https://www.youtube.com/watch?v=bbbbbbbbbbb', title: 'Second', duration: 0 }
+  ]
+};
+
+test('M3U export: extended M3U with titles on one line, and reads back as the same songs', () => {
+  const m3u = exportPlaylistM3u(playlist);
+  assert.deepEqual(m3u.split('\n').slice(0, 4), ['#EXTM3U', '#PLAYLIST:Raid night', '#EXTINF:213,First Song', playlist.songs[0].url]);
+  assert.ok(m3u.includes('#EXTINF:-1,Second'));
+
+  const back = parsePlaylistFile(m3u, 'export.m3u');
+  assert.equal(back.name, 'Raid night');
+  assert.deepEqual(back.songs.map(s => [s.url, s.title, s.duration]), [
+    [playlist.songs[0].url, 'First Song', 213],
+    [playlist.songs[1].url, 'Second', 0]
+  ]);
+});
+
+test('JSON export: everything but who added what, and reads back with thumbnails', () => {
+  const json = JSON.parse(exportPlaylistJson(playlist));
+  assert.equal(json.format, PLAYLIST_JSON_FORMAT);
+  assert.equal(json.songs[0].addedBy, undefined);
+
+  const back = parsePlaylistFile(exportPlaylistJson(playlist), 'Raid night.json');
+  assert.equal(back.name, 'Raid night');
+  assert.equal(back.songs[0].thumbnail, playlist.songs[0].thumbnail);
+  assert.equal(back.songs.length, 2);
+  assert.deepEqual(back.unresolved, []);
+});
+
+test('import: name-only entries are left to be searched, unplayable URLs without a name are skipped', () => {
+  const m3u = [
+    '#EXTM3U',
+    '#EXTINF:180,Artist - Local Song',
+    '/home/me/Music/local.mp3',
+    'C:\\Music\\Other_Artist - Track.flac',
+    'https://example.com/stream.mp3',
+    'https://youtu.be/ccccccccccc'
+  ].join('\r\n');
+  const parsed = parsePlaylistFile(m3u, 'mix.m3u8');
+  assert.equal(parsed.name, 'mix');
+  assert.deepEqual(parsed.unresolved.map(u => [u.searchQuery, u.duration]), [['Artist - Local Song', 180], ['Other Artist - Track', 0]]);
+  assert.deepEqual(parsed.songs.map(s => s.url), ['https://youtu.be/ccccccccccc']);
+  assert.equal(parsed.skipped, 1);
+});
+
+test('import: bare JSON arrays, the caller\'s idea of a playable URL, and unusable files', () => {
+  const parsed = parsePlaylistFile(JSON.stringify(['local:abc', { url: 'https://www.youtube.com/watch?v=ddddddddddd', thumbnail: 'javascript:alert(1)' }, 42]), 'list.json',
+    url => url.startsWith('local:') || url.startsWith('https://'));
+  assert.deepEqual(parsed.songs.map(s => s.url), ['local:abc', 'https://www.youtube.com/watch?v=ddddddddddd']);
+  assert.equal(parsed.songs[1].thumbnail, null);
+  assert.equal(parsed.skipped, 1);
+
+  const many = JSON.stringify(Array.from({ length: MAX_IMPORT_ENTRIES + 5 }, () => 'https://youtu.be/eeeeeeeeeee'));
+  assert.equal(parsePlaylistFile(many, 'many.json').skipped, 5);
+
+  assert.ok(parsePlaylistFile('', 'x.m3u').error);
+  assert.ok(parsePlaylistFile('{ nope', 'x.json').error);
+  assert.ok(parsePlaylistFile('{"hello": 1}', 'x.json').error);
+  assert.ok(parsePlaylistFile('#EXTM3U\n', 'x.m3u').error);
+});
+
+test('exportFilename: keeps letters from any script, drops what filesystems choke on', () => {
+  assert.equal(exportFilename('Raid night!', 'm3u'), 'Raid night.m3u');
+  assert.equal(exportFilename('Ålesund / 夜', 'json'), 'Ålesund  夜.json');
+  assert.equal(exportFilename('???', 'json'), 'playlist.json');
+});
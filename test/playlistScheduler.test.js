@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  nextWeeklyStart, planMissedStart, addSchedule, getUserSchedules, setPlaylistSchedulesPath, MISSED_START_GRACE_MS
+} from '../src/utils/playlistScheduler.js';
+
+const HOUR = 3600_000;
+
+setPlaylistSchedulesPath(join(mkdtempSync(join(tmpdir(), 'playlistschedules-')), 'playlistSchedules.json'));
+
+test('nextWeeklyStart: the same wall-clock time a whole number of weeks later', () => {
+  const start = new Date(2026, 0, 7, 20, 0).getTime(); // a Wednesday, 20:00
+  const next = new Date(nextWeeklyStart(start, start));
+  assert.equal(next.getDay(), 3);
+  assert.equal(next.getHours(), 20);
+  assert.equal(next.getDate(), 14);
+
+  // Three weeks late is the fourth Wednesday, not three weeks from now
+  const later = new Date(nextWeeklyStart(start, start + 20 * 24 * HOUR));
+  assert.equal(later.getDate(), 28);
+  assert.equal(later.getHours(), 20);
+});
+
+test('nextWeeklyStart: stays on 20:00 across a daylight saving change', () => {
+  // Europe's clocks go forward on 29 March 2026; in a zone without DST this is simply 7 days
+  const start = new Date(2026, 2, 25, 20, 0).getTime();
+  const next = new Date(nextWeeklyStart(start, start));
+  assert.equal(next.getHours(), 20);
+  assert.equal(next.getMinutes(), 0);
+});
+
+test('planMissedStart: future waits, a recent miss fires, an old miss rolls on or is dropped', () => {
+  const now = Date.now();
+  assert.equal(planMissedStart({ startAt: now + HOUR }, now).action, 'wait');
+  assert.equal(planMissedStart({ startAt: now - MISSED_START_GRACE_MS + 1000 }, now).action, 'fire');
+  assert.equal(planMissedStart({ startAt: now - 2 * HOUR }, now).action, 'drop');
+
+  const weekly = planMissedStart({ startAt: now - 2 * HOUR, repeatWeekly: true }, now);
+  assert.equal(weekly.action, 'wait');
+  assert.ok(weekly.startAt > now);
+
+  // A pending retry is what is due, not the original start
+  const retrying = planMissedStart({ startAt: now - 2 * HOUR, retryAt: now + 60_000 }, now);
+  assert.deepEqual(retrying, { action: 'wait', startAt: now - 2 * HOUR });
+});
+
+test('addSchedule: a playlist the user does not have is refused, and nothing is stored', () => {
+  const result = addSchedule({
+    userId: 'nobody-under-test', createdBy: 'Test', playlistId: 'no-such-playlist',
+    guildId: 'g', voiceChannelId: 'vc', startAt: Date.now() + HOUR
+  });
+  assert.deepEqual(result, { success: false, error: 'Playlist not found' });
+  assert.deepEqual(getUserSchedules('nobody-under-test'), []);
+});
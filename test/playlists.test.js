@@ -0,0 +1,175 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  setPlaylistsPath, setPlaylistChangeListener, createPlaylist, deletePlaylist, renamePlaylist,
+  addSong, addSongs, removeSong, reorderSong, getPlaylists, getPlaylist, getPlaylistAccess, getAllPlaylistNames,
+  setPlaylistSharing, addPlaylistEditor, removePlaylistEditor, findPlaylistByName
+} from '../src/utils/playlists.js';
+import { primaryGuildId } from '../src/utils/guilds.js';
+
+const GUILD = '111111111111111111';
+const OTHER_GUILD = '222222222222222222';
+const song = (n) => ({ url: `https://www.youtube.com/watch?v=song${n}aaaaa`, title: `Song ${n}`, duration: 100 });
+
+// A fresh store with one playlist owned by "owner"
+function fresh() {
+  const file = join(mkdtempSync(join(tmpdir(), 'playlists-')), 'playlists.json');
+  setPlaylistsPath(file);
+  const { playlistId } = createPlaylist('owner', 'Raid night', 'Owner');
+  return { file, playlistId };
+}
+
+test('a private playlist does not exist for anybody else', () => {
+  const { playlistId } = fresh();
+  assert.equal(getPlaylist('other', playlistId), null);
+  assert.equal(getPlaylistAccess('other', playlistId), null);
+  assert.deepEqual(getPlaylists('other'), []);
+  assert.equal(addSong('other', playlistId, song(1)).error, 'Playlist not found.');
+  assert.equal(deletePlaylist('other', playlistId).error, 'Playlist not found.');
+});
+
+test('an invited editor can change songs, records who added them, but cannot rename or delete', () => {
+  const { file, playlistId } = fresh();
+  assert.equal(addPlaylistEditor('owner', playlistId, { id: 'ed', name: 'Eddie' }).success, true);
+  assert.equal(getPlaylistAccess('ed', playlistId), 'edit');
+
+  assert.equal(addSong('owner', playlistId, song(1), 'Owner').success, true);
+  assert.equal(addSong('ed', playlistId, song(2), 'Eddie').success, true);
+  assert.equal(reorderSong('ed', playlistId, 1, 0).success, true);
+  const songs = getPlaylist('ed', playlistId).songs;
+  assert.deepEqual(songs.map(s => [s.title, s.addedBy, s.addedById]), [['Song 2', 'Eddie', 'ed'], ['Song 1', 'Owner', 'owner']]);
+
+  assert.match(renamePlaylist('ed', playlistId, 'Mine now').error, /Only the owner/);
+  assert.match(deletePlaylist('ed', playlistId).error, /Only the owner/);
+  assert.match(addPlaylistEditor('ed', playlistId, { id: 'x', name: 'X' }).error, /Only the owner/);
+
+  // Persisted, editors and contributors both
+  const onDisk = JSON.parse(readFileSync(file, 'utf8')).owner.playlists[playlistId];
+  assert.deepEqual(onDisk.editors, [{ id: 'ed', name: 'Eddie' }]);
+  assert.equal(onDisk.songs[0].addedById, 'ed');
+
+  assert.equal(removePlaylistEditor('owner', playlistId, 'ed').success, true);
+  assert.equal(getPlaylist('ed', playlistId), null);
+});
+
+test('guild-wide sharing: read-only is browsable by everyone, edit lets everyone edit', () => {
+  const { playlistId } = fresh();
+  assert.equal(setPlaylistSharing('owner', playlistId, 'read', GUILD).success, true);
+  assert.equal(getPlaylist('anyone', playlistId, GUILD).access, 'read');
+  assert.equal(addSong('anyone', playlistId, song(1), null, GUILD).error, 'This playlist is read-only.');
+  assert.equal(removeSong('anyone', playlistId, 0, GUILD).error, 'This playlist is read-only.');
+  assert.deepEqual(getPlaylists('anyone', GUILD).map(p => [p.name, p.access, p.ownerId]), [['Raid night', 'read', 'owner']]);
+
+  assert.equal(setPlaylistSharing('owner', playlistId, 'edit', GUILD).success, true);
+  assert.equal(addSong('anyone', playlistId, song(1), 'Anyone', GUILD).success, true);
+  assert.equal(setPlaylistSharing('owner', playlistId, 'everyone', GUILD).success, false);
+  assert.match(setPlaylistSharing('anyone', playlistId, 'private', GUILD).error, /Only the owner/);
+});
+
+test('own playlists come first, shared ones after, and autocomplete says whose they are', () => {
+  const { playlistId } = fresh();
+  setPlaylistSharing('owner', playlistId, 'read', GUILD);
+  createPlaylist('me', 'Mine', 'Me');
+  assert.deepEqual(getPlaylists('me', GUILD).map(p => p.access), ['owner', 'read']);
+  assert.deepEqual(getAllPlaylistNames('me', GUILD).map(p => p.name), ['Mine', 'Raid night (Owner)']);
+});
+
+test('every change is reported to the change listener by playlist ID', () => {
+  const { playlistId } = fresh();
+  const seen = [];
+  setPlaylistChangeListener(id => seen.push(id));
+  try {
+    addSong('owner', playlistId, song(1));
+    setPlaylistSharing('owner', playlistId, 'edit', GUILD);
+    addSong('owner', playlistId, song(1)); // a duplicate changes nothing
+    renamePlaylist('owner', playlistId, 'Friday');
+    assert.deepEqual(seen, [playlistId, playlistId, playlistId]);
+  } finally {
+    setPlaylistChangeListener(null);
+  }
+});
+
+test('addSongs: one write and one notification for a whole import, counting what did not fit', () => {
+  const { file, playlistId } = fresh();
+  addSong('owner', playlistId, song(1));
+  const seen = [];
+  setPlaylistChangeListener(id => seen.push(id));
+  try {
+    const songs = Array.from({ length: 501 }, (_, i) => song(i));
+    const result = addSongs('owner', playlistId, [...songs, song(2), { title: 'no url' }], 'Owner');
+    assert.deepEqual(result, { success: true, added: 499, duplicates: 3, overLimit: 1 });
+    assert.deepEqual(seen, [playlistId]);
+  } finally {
+    setPlaylistChangeListener(null);
+  }
+  const onDisk = JSON.parse(readFileSync(file, 'utf8'));
+  assert.equal(onDisk.owner.playlists[playlistId].songs.length, 500);
+  assert.equal(onDisk.owner.playlists[playlistId].songs[1].addedBy, 'Owner');
+
+  setPlaylistSharing('owner', playlistId, 'read', GUILD);
+  assert.equal(addSongs('anyone', playlistId, [song(9)], null, GUILD).error, 'This playlist is read-only.');
+});
+
+test('a spoken playlist name finds one playlist or none, never a guess', () => {
+  const { playlistId } = fresh();
+  const chill = createPlaylist('owner', 'Chill', 'Owner').playlistId;
+  createPlaylist('owner', 'Chill 2', 'Owner');
+  const morning = createPlaylist('owner', 'Café ochtend', 'Owner').playlistId;
+  createPlaylist('owner', 'Zondag ochtend', 'Owner');
+
+  // Exact beats a longer name that starts the same, whatever the casing
+  assert.equal(findPlaylistByName('owner', 'chill').id, chill);
+  assert.equal(findPlaylistByName('owner', 'RAID NIGHT!').id, playlistId);
+  // Accents are not heard
+  assert.equal(findPlaylistByName('owner', 'cafe ochtend').id, morning);
+  assert.equal(findPlaylistByName('owner', 'cafe').id, morning);
+  // Two that start with it, or two that contain it, is not an answer
+  assert.equal(findPlaylistByName('owner', 'ochtend'), null);
+  assert.equal(findPlaylistByName('owner', 'jazz'), null);
+  assert.equal(findPlaylistByName('owner', ''), null);
+  // Somebody else's private playlist does not exist for them; a shared one does
+  assert.equal(findPlaylistByName('other', 'chill'), null);
+  setPlaylistSharing('owner', chill, 'read', GUILD);
+  assert.equal(findPlaylistByName('other', 'chill', GUILD).id, chill);
+});
+
+test('guild-wide sharing reaches only the server it was shared from', () => {
+  const { file, playlistId } = fresh();
+  assert.match(setPlaylistSharing('owner', playlistId, 'edit').error, /from a server/);
+  assert.equal(setPlaylistSharing('owner', playlistId, 'edit', GUILD).success, true);
+
+  // Somebody asking from another server, or from no server at all, does not see it
+  for (const guildId of [OTHER_GUILD, null]) {
+    assert.equal(getPlaylist('anyone', playlistId, guildId), null);
+    assert.equal(getPlaylistAccess('anyone', playlistId, guildId), null);
+    assert.deepEqual(getPlaylists('anyone', guildId), []);
+    assert.deepEqual(getAllPlaylistNames('anyone', guildId), []);
+    assert.equal(findPlaylistByName('anyone', 'raid night', guildId), null);
+    assert.equal(addSong('anyone', playlistId, song(1), 'Anyone', guildId).error, 'Playlist not found.');
+  }
+  // An invited editor was asked by name, so wherever they are
+  addPlaylistEditor('owner', playlistId, { id: 'ed', name: 'Eddie' });
+  assert.equal(getPlaylistAccess('ed', playlistId, OTHER_GUILD), 'edit');
+  // The owner always has their own
+  assert.equal(getPlaylist('owner', playlistId, OTHER_GUILD).access, 'owner');
+
+  // Sharing again from the other server moves it there; making it private forgets the server
+  setPlaylistSharing('owner', playlistId, 'read', OTHER_GUILD);
+  assert.equal(getPlaylist('anyone', playlistId, OTHER_GUILD).access, 'read');
+  assert.equal(getPlaylist('anyone', playlistId, GUILD), null);
+  setPlaylistSharing('owner', playlistId, 'private', OTHER_GUILD);
+  assert.equal(JSON.parse(readFileSync(file, 'utf8')).owner.playlists[playlistId].sharingGuildId, undefined);
+});
+
+test('a playlist shared before there were several servers is shared with the primary one', () => {
+  const file = join(mkdtempSync(join(tmpdir(), 'playlists-')), 'playlists.json');
+  writeFileSync(file, JSON.stringify({
+    owner: { playlists: { mold: { name: 'Old', createdBy: 'Owner', createdAt: 1, sharing: 'read', songs: [] } } }
+  }));
+  setPlaylistsPath(file);
+  assert.equal(getPlaylist('anyone', 'mold', primaryGuildId()).access, 'read');
+  assert.equal(getPlaylist('anyone', 'mold', GUILD), null);
+});
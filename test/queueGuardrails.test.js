@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clampQueueGuardrails, checkQueueGuardrails, channelInfo, guardrailsNeedVideoInfo, DEFAULT_QUEUE_GUARDRAILS } from '../src/utils/queueGuardrails.js';
+
+const song = (id, extra = {}) => ({ title: `Song ${id}`, url: `https://www.youtube.com/watch?v=${id}`, duration: 200, requestedBy: 'Alice', requestedById: 'u1', ...extra });
+const settings = (extra = {}) => clampQueueGuardrails({ ...extra });
+
+test('clampQueueGuardrails: off by default, numbers bounded, blocklists cleaned from the admin text boxes', () => {
+  assert.deepEqual(clampQueueGuardrails(undefined), { ...DEFAULT_QUEUE_GUARDRAILS, blocklist: { videoIds: [], channels: [], keywords: [] } });
+
+  const g = clampQueueGuardrails({
+    maxDurationMin: '15',
+    maxPendingPerUser: -3,
+    blockDuplicates: 'yes',
+    blocklist: {
+      videoIds: 'https://youtu.be/qrCRgIu2QtU\nqrCRgIu2QtU\nnot a video\nAbCdEfGhIjK',
+      channels: 'https://www.youtube.com/@SomeChannel, https://www.youtube.com/channel/UCabcdefghijklmnopqrstuv\n  Plain Name  ',
+      keywords: ['Nightcore', 'nightcore', '', 42, ' earrape ']
+    }
+  });
+  assert.equal(g.maxDurationMin, 15);
+  assert.equal(g.maxPendingPerUser, 0);
+  assert.equal(g.blockDuplicates, false, 'only a real true turns it on');
+  // IDs are case-sensitive, so two spellings are two videos; a URL becomes its ID
+  assert.deepEqual(g.blocklist.videoIds, ['qrCRgIu2QtU', 'AbCdEfGhIjK']);
+  assert.deepEqual(g.blocklist.channels, ['@SomeChannel', 'UCabcdefghijklmnopqrstuv', 'Plain Name']);
+  assert.deepEqual(g.blocklist.keywords, ['Nightcore', 'earrape']);
+
+  assert.equal(clampQueueGuardrails({ maxDurationMin: 1e9 }).maxDurationMin, 24 * 60);
+});
+
+test('checkQueueGuardrails: blocklist by video, channel (name, ID or handle) and word', () => {
+  const rules = settings({ blocklist: { videoIds: ['qrCRgIu2QtU'], channels: ['@spam', 'Bad Label'], keywords: ['nightcore'] } });
+
+  assert.equal(checkQueueGuardrails(song('qrCRgIu2QtU'), { settings: rules }).reason, 'blocked');
+  assert.equal(checkQueueGuardrails(song('zzzzzzzzzzz', { url: 'https://youtu.be/qrCRgIu2QtU' }), { settings: rules }).reason, 'blocked',
+    'another spelling of a blocked video is the same video');
+  assert.equal(checkQueueGuardrails(song('aaaaaaaaaaa', channelInfo({ channel: 'Somebody', uploader_id: '@Spam' })), { settings: rules }).reason, 'blocked');
+  const byName = checkQueueGuardrails(song('bbbbbbbbbbb', { channel: 'bad label' }), { settings: rules });
+  assert.equal(byName.reason, 'blocked');
+  assert.match(byName.message, /bad label/);
+  assert.equal(checkQueueGuardrails(song('ccccccccccc', { title: 'Song (NIGHTCORE remix)' }), { settings: rules }).reason, 'blocked');
+  assert.deepEqual(checkQueueGuardrails(song('ddddddddddd'), { settings: rules }), { ok: true });
+});
+
+test('checkQueueGuardrails: too long, with an unknown length let through', () => {
+  const rules = settings({ maxDurationMin: 10 });
+  const verdict = checkQueueGuardrails(song('aaaaaaaaaaa', { duration: 36000 }), { settings: rules });
+  assert.equal(verdict.reason, 'too-long');
+  assert.match(verdict.message, /10:00:00.*10 minutes/);
+  assert.equal(checkQueueGuardrails(song('aaaaaaaaaaa', { duration: 600 }), { settings: rules }).ok, true, 'exactly the limit is fine');
+  assert.equal(checkQueueGuardrails(song('aaaaaaaaaaa', { duration: 0 }), { settings: rules }).ok, true);
+  assert.equal(checkQueueGuardrails(song('aaaaaaaaaaa', { duration: 7201 }), { settings: settings({ maxDurationMin: 120 }) }).message.includes('2 hours'), true);
+});
+
+test('checkQueueGuardrails: duplicates against the queue and the song playing', () => {
+  const rules = settings({ blockDuplicates: true });
+  const queued = [song('aaaaaaaaaaa'), song('bbbbbbbbbbb')];
+  const dup = checkQueueGuardrails(song('xxxxxxxxxxx', { url: 'https://youtu.be/bbbbbbbbbbb' }), { settings: rules, queued });
+  assert.equal(dup.reason, 'duplicate');
+  assert.match(dup.message, /#2/);
+  assert.equal(checkQueueGuardrails(song('ccccccccccc'), { settings: rules, queued, current: song('ccccccccccc') }).reason, 'duplicate');
+  assert.equal(checkQueueGuardrails(song('ccccccccccc'), { settings: rules, queued }).ok, true);
+  assert.equal(checkQueueGuardrails(song('aaaaaaaaaaa'), { settings: settings(), queued }).ok, true, 'off unless turned on');
+});
+
+test('checkQueueGuardrails: per-person quota counts only that person\'s waiting songs', () => {
+  const rules = settings({ maxPendingPerUser: 2 });
+  const queued = [song('aaaaaaaaaaa'), song('bbbbbbbbbbb', { requestedBy: 'Bob', requestedById: 'u2' }), song('ccccccccccc', { requestedBy: '📻 Radio', requestedById: 'u1' })];
+  assert.equal(checkQueueGuardrails(song('ddddddddddd'), { settings: rules, queued }).ok, true, 'one of theirs waiting, and radio is nobody\'s');
+
+  const verdict = checkQueueGuardrails(song('ddddddddddd'), { settings: rules, queued: [...queued, song('eeeeeeeeeee')] });
+  assert.equal(verdict.reason, 'quota');
+  assert.match(verdict.message, /2 songs waiting.*limit is 2/);
+  assert.equal(checkQueueGuardrails(song('ddddddddddd', { requestedById: 'u2' }), { settings: rules, queued: [...queued, song('eeeeeeeeeee')] }).ok, true);
+});
+
+test('checkQueueGuardrails: radio picks answer to the blocklist and length limit only', () => {
+  const rules = settings({ maxDurationMin: 10, maxPendingPerUser: 1, blockDuplicates: true, blocklist: { keywords: ['nightcore'] } });
+  const radio = (id, extra) => song(id, { requestedBy: '📻 Radio', requestedById: null, ...extra });
+  const queued = [radio('aaaaaaaaaaa')];
+  assert.equal(checkQueueGuardrails(radio('aaaaaaaaaaa'), { settings: rules, queued }).ok, true);
+  assert.equal(checkQueueGuardrails(radio('bbbbbbbbbbb'), { settings: rules, queued }).ok, true);
+  assert.equal(checkQueueGuardrails(radio('ccccccccccc', { duration: 3600 }), { settings: rules }).reason, 'too-long');
+  assert.equal(checkQueueGuardrails(radio('ddddddddddd', { title: 'nightcore mix' }), { settings: rules }).reason, 'blocked');
+});
+
+test('guardrailsNeedVideoInfo: only a length limit or a channel blocklist needs the song looked up', () => {
+  assert.equal(guardrailsNeedVideoInfo(settings()), false);
+  assert.equal(guardrailsNeedVideoInfo(settings({ blockDuplicates: true, maxPendingPerUser: 3, blocklist: { keywords: ['x'] } })), false);
+  assert.equal(guardrailsNeedVideoInfo(settings({ maxDurationMin: 10 })), true);
+  assert.equal(guardrailsNeedVideoInfo(settings({ blocklist: { channels: ['@spam'] } })), true);
+});
+
+test('checkQueueGuardrails: a song with a play range is as long as the part that plays', () => {
+  const rules = settings({ maxDurationMin: 10 });
+  const mix = song('aaaaaaaaaaa', { duration: 3 * 3600 });
+  assert.equal(checkQueueGuardrails(mix, { settings: rules }).reason, 'too-long');
+  assert.equal(checkQueueGuardrails({ ...mix, startTime: 3600, endTime: 3600 + 540 }, { settings: rules }).ok, true);
+  assert.equal(checkQueueGuardrails({ ...mix, startTime: 3 * 3600 - 300 }, { settings: rules }).ok, true, 'from a start to the end of the video');
+  assert.equal(checkQueueGuardrails({ ...mix, endTime: 1200 }, { settings: rules }).reason, 'too-long');
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  setQueueSnapshotsPath,
+  saveQueueSnapshot,
+  listQueueSnapshots,
+  getQueueSnapshot,
+  deleteQueueSnapshot,
+  snapshotSongs,
+  snapshotResumePosition,
+  MAX_SNAPSHOTS_PER_GUILD
+} from '../src/utils/queueSnapshots.js';
+import { buildGuildSnapshot } from '../src/utils/queueState.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'queue-snapshots-'));
+const file = join(dir, 'queueSnapshots.json');
+setQueueSnapshotsPath(file);
+
+const GUILD = 'guild-1';
+const song = (id, extra = {}) => ({ title: `Song ${id}`, url: `https://www.youtube.com/watch?v=${id}`, duration: 200, requestedBy: 'Alice', requestedById: 'u1', ...extra });
+// What MusicQueue#snapshot() hands over
+const live = (extra = {}) => buildGuildSnapshot({
+  guildId: GUILD,
+  currentSong: song('aaaaaaaaaaa', { playedAt: 123 }),
+  songs: [song('bbbbbbbbbbb'), song('ccccccccccc', { duration: 100 })],
+  positionSec: 61.5,
+  ...extra
+});
+const alice = { userId: 'u1', displayName: 'Alice' };
+const bob = { userId: 'u2', displayName: 'Bob' };
+
+test('saveQueueSnapshot: keeps the songs and the position, lists newest first, survives a reload', () => {
+  const first = saveQueueSnapshot(GUILD, '  Friday   night ', live(), { ...alice, now: 1000 });
+  assert.equal(first.success, true);
+  assert.equal(first.replaced, false);
+  assert.equal(first.snapshot.name, 'Friday night');
+  saveQueueSnapshot(GUILD, 'Sunday', live({ currentSong: null }), { ...bob, now: 2000 });
+
+  setQueueSnapshotsPath(file);
+  const list = listQueueSnapshots(GUILD);
+  assert.deepEqual(list.map(s => s.name), ['Sunday', 'Friday night']);
+  assert.equal(list[1].songCount, 3);
+  assert.equal(list[1].duration, 500);
+  assert.equal(list[1].savedBy, 'Alice');
+
+  const saved = getQueueSnapshot(GUILD, 'friday NIGHT');
+  assert.equal(saved.id, first.snapshot.id, 'found by name as well as by ID');
+  assert.deepEqual(snapshotSongs(saved).map(s => s.title), ['Song aaaaaaaaaaa', 'Song bbbbbbbbbbb', 'Song ccccccccccc']);
+  assert.equal(snapshotSongs(saved)[0].playedAt, undefined, 'only the fields a queue keeps');
+  assert.equal(snapshotResumePosition(saved), 61.5);
+  assert.equal(snapshotResumePosition(getQueueSnapshot(GUILD, 'Sunday')), 0, 'nothing was playing, so nothing to pick up');
+  assert.deepEqual(listQueueSnapshots('other-guild'), []);
+  assert.ok(JSON.parse(readFileSync(file, 'utf8'))[GUILD]);
+});
+
+test('saveQueueSnapshot: a name is the saver\'s to overwrite, unless a DJ does it', () => {
+  const mine = saveQueueSnapshot(GUILD, 'friday night', live({ positionSec: 10 }), alice);
+  assert.equal(mine.replaced, true);
+  assert.equal(mine.snapshot.id, getQueueSnapshot(GUILD, 'Friday night').id, 'the same snapshot, updated');
+  assert.equal(getQueueSnapshot(GUILD, 'Friday night').positionSec, 10);
+
+  const theirs = saveQueueSnapshot(GUILD, 'Friday Night', live(), bob);
+  assert.equal(theirs.success, false);
+  assert.match(theirs.error, /already a snapshot called "friday night"/);
+  assert.equal(saveQueueSnapshot(GUILD, 'Friday Night', live(), { ...bob, isDJ: true }).success, true);
+});
+
+test('saveQueueSnapshot: refuses no name, an empty queue and more than the limit', () => {
+  assert.equal(saveQueueSnapshot(GUILD, '   ', live(), alice).success, false);
+  assert.equal(saveQueueSnapshot(GUILD, 'x'.repeat(51), live(), alice).success, false);
+  assert.match(saveQueueSnapshot(GUILD, 'Empty', live({ currentSong: null, songs: [] }), alice).error, /nothing in the queue/);
+
+  const guild = 'full-guild';
+  for (let i = 0; i < MAX_SNAPSHOTS_PER_GUILD; i++) {
+    assert.equal(saveQueueSnapshot(guild, `Queue ${i}`, live(), alice).success, true);
+  }
+  assert.match(saveQueueSnapshot(guild, 'One more', live(), alice).error, /Delete one first/);
+  assert.equal(saveQueueSnapshot(guild, 'Queue 3', live(), alice).success, true, 'overwriting one still works when full');
+});
+
+test('deleteQueueSnapshot: the saver or a DJ', () => {
+  const id = getQueueSnapshot(GUILD, 'Sunday').id;
+  assert.equal(deleteQueueSnapshot(GUILD, id, alice).success, false);
+  assert.equal(deleteQueueSnapshot(GUILD, id, bob).success, true);
+  assert.equal(getQueueSnapshot(GUILD, id), null);
+  assert.equal(deleteQueueSnapshot(GUILD, id, bob).error, 'Snapshot not found.');
+  assert.equal(deleteQueueSnapshot(GUILD, 'Friday night', { userId: 'u3', isDJ: true }).success, true);
+});
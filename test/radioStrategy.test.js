@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  clampRadioFavouriteShare, songCompletion, favouriteRadioCandidates, weightDiscoveryTracks,
+  weightedPick, planRadioPick, DEFAULT_RADIO_FAVOURITE_SHARE
+} from '../src/utils/radioStrategy.js';
+
+const yt = (id) => `https://www.youtube.com/watch?v=${id.padEnd(11, 'x')}`;
+
+// playCount plays of a 200s song, heard `completion` of the way through on average
+function stat(id, playCount, completion, extra = {}) {
+  return { title: `Song ${id}`, url: yt(id), duration: 200, playCount, totalListeningTime: playCount * 200 * completion, ...extra };
+}
+
+const stats = {
+  songs: {
+    [yt('loved')]: stat('loved', 6, 0.95, { requestedBy: { a: { displayName: 'Alice', count: 5 }, b: { displayName: 'Bob', count: 1 } } }),
+    [yt('liked')]: stat('liked', 2, 0.8),
+    [yt('skipped')]: stat('skipped', 5, 0.1),
+    [yt('once')]: stat('once', 1, 1),
+    'Some title': { title: 'No URL', playCount: 9, duration: 200, totalListeningTime: 1800 }
+  }
+};
+
+test('clampRadioFavouriteShare: 0 and 1 are real settings, percentages are accepted, junk is the default', () => {
+  assert.equal(clampRadioFavouriteShare(0), 0);
+  assert.equal(clampRadioFavouriteShare(1), 1);
+  assert.equal(clampRadioFavouriteShare(40), 0.4);
+  assert.equal(clampRadioFavouriteShare(250), 1);
+  assert.equal(clampRadioFavouriteShare(-1), DEFAULT_RADIO_FAVOURITE_SHARE);
+  assert.equal(clampRadioFavouriteShare('abc'), DEFAULT_RADIO_FAVOURITE_SHARE);
+  assert.equal(clampRadioFavouriteShare(undefined), DEFAULT_RADIO_FAVOURITE_SHARE);
+});
+
+test('songCompletion: listened time over plays times length, unknown without a length', () => {
+  assert.equal(songCompletion(stat('a', 2, 0.5)), 0.5);
+  assert.equal(songCompletion({ playCount: 1, duration: 100, totalListeningTime: 500 }), 1);
+  assert.equal(songCompletion({ playCount: 3, duration: 0, totalListeningTime: 50 }), null);
+  assert.equal(songCompletion(null), null);
+});
+
+test('favourites: asked for more than once and usually heard through, this week\'s weighing more', () => {
+  const favourites = favouriteRadioCandidates(stats, [
+    { url: yt('liked'), requestedBy: 'Bob' },
+    { url: yt('liked'), requestedBy: 'Bob' },
+    { url: yt('liked'), requestedBy: '📻 Radio' }
+  ]);
+  assert.deepEqual(favourites.map(f => f.track.url).sort(), [yt('liked'), yt('loved')].sort());
+  const loved = favourites.find(f => f.track.url === yt('loved'));
+  assert.equal(loved.reason, 'A group favourite: played 6 times, mostly requested by Alice');
+  const liked = favourites.find(f => f.track.url === yt('liked'));
+  assert.match(liked.reason, /\(2 this week\)/);
+
+  // Without the recent plays, the one played more often is the stronger favourite
+  const plain = favouriteRadioCandidates(stats);
+  assert.equal(plain[0].track.url, yt('loved'));
+});
+
+test('discovery: early skips are dropped by video ID, unless that would leave nothing', () => {
+  const tracks = [
+    { title: 'new', url: yt('new') },
+    { title: 'skipped', url: `https://youtu.be/${'skipped'.padEnd(11, 'x')}` },
+    { title: 'loved', url: yt('loved') }
+  ];
+  const weighted = weightDiscoveryTracks(tracks, stats, 'Because you played Seed');
+  assert.deepEqual(weighted.map(c => c.track.title), ['new', 'loved']);
+  assert.equal(weighted[0].weight, 1);
+  assert.ok(weighted[1].weight > 1);
+  assert.equal(weighted[0].reason, 'Because you played Seed');
+
+  const onlySkipped = weightDiscoveryTracks([tracks[1]], stats, 'r');
+  assert.equal(onlySkipped.length, 1);
+});
+
+test('weightedPick and planRadioPick: weights, the share, and falling back to whichever pool has songs', () => {
+  const items = [{ track: 'a', weight: 1 }, { track: 'b', weight: 3 }];
+  assert.equal(weightedPick(items, () => 0.2).track, 'a');
+  assert.equal(weightedPick(items, () => 0.3).track, 'b');
+  assert.equal(weightedPick([], () => 0), null);
+
+  const favourites = [{ track: { url: 'f' }, weight: 1, reason: 'fav' }];
+  const discovery = [{ track: { url: 'd' }, weight: 1, reason: 'disc' }];
+  assert.equal(planRadioPick({ favourites, discovery, favouriteShare: 0.3, randomFn: () => 0.1 }).kind, 'favourite');
+  assert.equal(planRadioPick({ favourites, discovery, favouriteShare: 0.3, randomFn: () => 0.5 }).kind, 'discovery');
+  assert.equal(planRadioPick({ favourites, discovery, favouriteShare: 0, randomFn: () => 0 }).kind, 'discovery');
+  assert.deepEqual(planRadioPick({ favourites: [], discovery, favouriteShare: 1 }), { track: { url: 'd' }, reason: 'disc', kind: 'discovery' });
+  assert.equal(planRadioPick({ favourites, discovery: [], favouriteShare: 0 }).kind, 'favourite');
+  assert.equal(planRadioPick({}), null);
+});
+
+test('measured completion from the play events wins over the stats\' estimate once there are two plays', () => {
+  const tracks = [{ title: 'skipped', url: yt('skipped') }, { title: 'new', url: yt('new') }];
+  const playStats = new Map([
+    ['skipped'.padEnd(11, 'x'), { plays: 4, skipRate: 0, averageCompletion: 0.9 }],
+    ['new'.padEnd(11, 'x'), { plays: 1, skipRate: 1, averageCompletion: 0.05 }]
+  ]);
+  const weighted = weightDiscoveryTracks(tracks, stats, 'r', playStats);
+  // The stats call "skipped" an early skip, but it has been heard through lately; one skip of
+  // "new" is not enough to drop it
+  assert.deepEqual(weighted.map(c => c.track.title), ['skipped', 'new']);
+
+  const favourites = favouriteRadioCandidates(stats, [], new Map([['loved'.padEnd(11, 'x'), { plays: 3, skipRate: 1, averageCompletion: 0.1 }]]));
+  assert.ok(!favourites.some(f => f.track.url === yt('loved')));
+});
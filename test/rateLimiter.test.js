@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { takeRateLimit, resetRateLimits, QUEUE_ADD_LIMIT } from '../src/utils/rateLimiter.js';
+
+test('takeRateLimit: a sliding window per name and key, refused hits not counted', () => {
+  resetRateLimits();
+  assert.equal(takeRateLimit('t', 'u1', 2, 1000, 0), true);
+  assert.equal(takeRateLimit('t', 'u1', 2, 1000, 100), true);
+  assert.equal(takeRateLimit('t', 'u1', 2, 1000, 200), false);
+  // Another user, another limit name: their own buckets
+  assert.equal(takeRateLimit('t', 'u2', 2, 1000, 200), true);
+  assert.equal(takeRateLimit('other', 'u1', 2, 1000, 200), true);
+  // The first hit has left the window; the refused one at 200 never took a place in it
+  assert.equal(takeRateLimit('t', 'u1', 2, 1000, 1000), true);
+  assert.equal(takeRateLimit('t', 'u1', 2, 1000, 1050), false);
+});
+
+test('QUEUE_ADD_LIMIT: the dashboard\'s add limit, shared by every way of queueing a song', () => {
+  resetRateLimits();
+  const { name, maxHits, windowMs } = QUEUE_ADD_LIMIT;
+  for (let i = 0; i < maxHits; i++) assert.equal(takeRateLimit(name, 'u1', maxHits, windowMs, i), true);
+  assert.equal(takeRateLimit(name, 'u1', maxHits, windowMs, maxHits), false);
+  assert.equal(takeRateLimit(name, 'u1', maxHits, windowMs, windowMs + 1), true);
+});
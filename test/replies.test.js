@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { REPLIES, repliesFor } from '../src/utils/speech/replies.js';
+import { VOICE_LANGUAGES, DEFAULT_VOICE_LANGUAGE, resolveVoiceLanguage } from '../src/utils/speech/language.js';
+
+// The shape of a table: every key, and for each whether it is a string, a
+// function (with its arity) or a nested table of the same.
+function shapeOf(table) {
+  return Object.fromEntries(Object.entries(table).map(([key, value]) => {
+    if (typeof value === 'function') return [key, `function/${value.length}`];
+    if (value && typeof value === 'object') return [key, shapeOf(value)];
+    return [key, typeof value];
+  }));
+}
+
+test('replies: every supported language has a table', () => {
+  assert.deepEqual(Object.keys(REPLIES).sort(), [...VOICE_LANGUAGES].sort());
+});
+
+test('replies: every language has every entry, in the same shape', () => {
+  const expected = shapeOf(REPLIES[DEFAULT_VOICE_LANGUAGE]);
+  for (const language of VOICE_LANGUAGES) {
+    assert.deepEqual(shapeOf(REPLIES[language]), expected, `${language} differs from ${DEFAULT_VOICE_LANGUAGE}`);
+  }
+});
+
+test('replies: entries come out as non-empty text', () => {
+  for (const language of VOICE_LANGUAGES) {
+    const say = REPLIES[language];
+    assert.ok(say.notUnderstood.length > 0);
+    assert.match(say.queued('Beat It'), /Beat It/);
+    assert.match(say.playlistQueued(1, 'chill'), /chill/);
+    assert.match(say.playlistQueued(3, 'chill'), /3/);
+    assert.match(say.queueSummary(2, 'Thriller'), /Thriller/);
+  }
+});
+
+test('replies: an unsupported language gets the default table', () => {
+  assert.equal(repliesFor('en'), REPLIES.en);
+  assert.equal(repliesFor('fr'), REPLIES[DEFAULT_VOICE_LANGUAGE]);
+  assert.equal(repliesFor(undefined), REPLIES[DEFAULT_VOICE_LANGUAGE]);
+  assert.equal(resolveVoiceLanguage('EN'), DEFAULT_VOICE_LANGUAGE);
+});
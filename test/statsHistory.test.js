@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStatsQuery, queryPlayHistory, buildWrapped, startOfBucket, MAX_TIMELINE_BUCKETS } from '../src/utils/statsHistory.js';
+
+const yt = (id) => `https://www.youtube.com/watch?v=${id.padEnd(11, 'x')}`;
+const at = (y, m, d, h = 12) => new Date(y, m - 1, d, h).getTime();
+
+// A play of a 200s song that ended at `endedAt`, heard `heard` seconds of
+function play(id, endedAt, { heard = 200, reason = 'finished', by = 'u1', byName = 'Alice', listeners = [{ id: 'u1', name: 'Alice' }], radio = false } = {}) {
+  return {
+    url: yt(id), title: `Song ${id}`, duration: 200, requestedById: radio ? null : by, requestedBy: radio ? '📻 Radio' : byName,
+    radio, startedAt: endedAt - heard * 1000, endedAt, startPosition: 0, endPosition: heard, reason, listeners
+  };
+}
+
+test('parseStatsQuery: dates are local days with "to" inclusive, and bad input is an error', () => {
+  const q = parseStatsQuery({ from: '2025-01-01', to: '2025-01-31', user: '123', song: `https://youtu.be/${'abc'.padEnd(11, 'x')}` });
+  assert.equal(q.since, new Date(2025, 0, 1).getTime());
+  assert.equal(q.until, new Date(2025, 1, 1).getTime());
+  assert.equal(q.userId, '123');
+  assert.equal(q.songKey, 'abc'.padEnd(11, 'x'));
+  assert.equal(q.bucket, 'day');
+
+  assert.deepEqual(parseStatsQuery({}), { since: 0, until: Infinity, userId: null, songKey: null, bucket: 'day' });
+  assert.match(parseStatsQuery({ from: 'yesterday' }).error, /from/);
+  assert.match(parseStatsQuery({ from: '2025-02-30' }).error, /from/);
+  assert.match(parseStatsQuery({ from: '2025-02-01', to: '2025-01-01' }).error, /before/);
+  assert.match(parseStatsQuery({ bucket: 'hour' }).error, /bucket/);
+});
+
+test('startOfBucket: local midnight, Monday-based weeks, first of the month', () => {
+  const sunday = at(2025, 3, 16, 22);
+  assert.equal(startOfBucket(sunday, 'day'), new Date(2025, 2, 16).getTime());
+  assert.equal(startOfBucket(sunday, 'week'), new Date(2025, 2, 10).getTime());
+  assert.equal(startOfBucket(sunday, 'month'), new Date(2025, 2, 1).getTime());
+});
+
+test('queryPlayHistory: a range, a listener and a song narrow the totals, rankings and timeline', () => {
+  const events = [
+    play('a', at(2025, 1, 1), { listeners: [{ id: 'u1', name: 'Alice' }, { id: 'u2', name: 'Bob' }] }),
+    play('a', at(2025, 1, 3), { heard: 50, reason: 'skip' }),
+    play('b', at(2025, 1, 3), { by: 'u2', byName: 'Bob', listeners: [{ id: 'u2', name: 'Bob' }] }),
+    play('c', at(2025, 1, 3), { reason: 'error', heard: 5 }),
+    play('b', at(2025, 2, 10), { radio: true, listeners: [{ id: 'u2', name: 'Bob' }] })
+  ];
+  const now = at(2025, 3, 1);
+
+  const january = queryPlayHistory(events, { ...parseStatsQuery({ from: '2025-01-01', to: '2025-01-31' }), now });
+  assert.deepEqual(january.totals, { plays: 3, listeningTime: 450, uniqueSongs: 2, uniqueUsers: 2 });
+  assert.deepEqual(january.topSongs.map(s => [s.title, s.playCount]), [['Song a', 2], ['Song b', 1]]);
+  assert.deepEqual(january.topUsers.map(u => [u.displayName, u.totalListeningTime, u.songsPlayed]), [['Bob', 400, 1], ['Alice', 250, 2]]);
+  assert.equal(january.timeline.length, 31);
+  assert.deepEqual(january.timeline.slice(0, 3).map(b => [b.label, b.plays]), [['2025-01-01', 1], ['2025-01-02', 0], ['2025-01-03', 2]]);
+  assert.equal(january.skips.totals.skips, 1);
+
+  // Bob was in the room for the radio pick and the first song, and asked for one himself
+  const bob = queryPlayHistory(events, { userId: 'u2', bucket: 'month', now });
+  assert.equal(bob.totals.plays, 3);
+  assert.deepEqual(bob.timeline.map(b => [b.label, b.plays]), [['2025-01', 2], ['2025-02', 1], ['2025-03', 0]]);
+
+  const songB = queryPlayHistory(events, { songKey: 'b'.padEnd(11, 'x'), bucket: 'week', now });
+  assert.equal(songB.totals.plays, 2);
+  assert.equal(songB.range.bucket, 'week');
+});
+
+test('queryPlayHistory: a timeline too long for its bucket size is drawn with a bigger one', () => {
+  const events = [play('a', at(2024, 1, 1)), play('a', at(2025, 6, 1))];
+  const result = queryPlayHistory(events, { bucket: 'day', now: at(2025, 6, 2) });
+  assert.equal(result.range.bucket, 'week');
+  assert.ok(result.timeline.length <= MAX_TIMELINE_BUCKETS);
+  assert.equal(result.timeline.reduce((sum, b) => sum + b.plays, 0), 2);
+  assert.deepEqual(queryPlayHistory([], { now: at(2025, 6, 2) }).totals, { plays: 0, listeningTime: 0, uniqueSongs: 0, uniqueUsers: 0 });
+});
+
+test('buildWrapped: the year in headline figures, for everyone or one listener', () => {
+  const events = [
+    play('last-year', at(2024, 12, 31)),
+    play('first', at(2025, 1, 2, 9)),
+    play('hit', at(2025, 1, 3, 21)),
+    play('hit', at(2025, 1, 4, 21), { by: 'u2', byName: 'Bob', listeners: [{ id: 'u2', name: 'Bob' }] }),
+    play('hit', at(2025, 3, 5, 21)),
+    play('skipme', at(2025, 3, 6, 18), { reason: 'skip', heard: 10 }),
+    play('skipme', at(2025, 3, 7, 19), { reason: 'skip', heard: 10 }),
+    play('skipme', at(2025, 3, 8, 20), { reason: 'skip', heard: 10 }),
+    play('radio', at(2025, 3, 9), { radio: true })
+  ];
+  const wrapped = buildWrapped(events, 2025);
+  assert.equal(wrapped.totals.plays, 8);
+  assert.equal(wrapped.totals.radioPlays, 1);
+  assert.equal(wrapped.topSongs[0].title, 'Song hit');
+  assert.deepEqual(wrapped.topRequesters.map(r => [r.name, r.plays]), [['Alice', 6], ['Bob', 1]]);
+  assert.deepEqual(wrapped.busiestMonth, { name: 'March', plays: 5 });
+  assert.equal(wrapped.peakHour, 21);
+  assert.equal(wrapped.firstSong.title, 'Song first');
+  assert.deepEqual(wrapped.streak, { days: 5, daysWithMusic: 8 });
+  assert.equal(wrapped.mostSkippedSong.title, 'Song skipme');
+
+  const bob = buildWrapped(events, 2025, { userId: 'u2' });
+  assert.equal(bob.totals.plays, 1);
+  assert.deepEqual(bob.topListeners, []);
+  assert.equal(buildWrapped(events, 2023), null);
+});
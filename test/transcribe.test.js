@@ -1,7 +1,11 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 import { buildWavHeader } from '../src/utils/voiceRecorder.js';
-import { DEFAULT_TRANSCRIBE_PROMPT, padShortClip } from '../src/utils/speech/transcribe.js';
+import {
+  DEFAULT_TRANSCRIBE_PROMPT, ENGLISH_TRANSCRIBE_PROMPT, padShortClip, TranscribeError, transcribeBackendOrder,
+  transcribePromptFor, transcribeWithFallback,
+} from '../src/utils/speech/transcribe.js';
+import { encodeRequest, parseResponseLine } from '../src/utils/speech/localWhisper.js';
 
 test('buildWavHeader options: 16k mono header fields', () => {
   const h = buildWavHeader(32000, { sampleRate: 16000, channels: 1 });
@@ -55,3 +59,91 @@ test('transcription prompt: stays well inside Groq\'s 224-token cap', () => {
     `prompt is ${DEFAULT_TRANSCRIBE_PROMPT.length} chars`);
   assert.match(DEFAULT_TRANSCRIBE_PROMPT, /pauze/);
 });
+
+// --- backend selection and fallback ------------------------------------------
+
+test('transcribeBackendOrder: Groq unless asked for local, Groq behind local when there is a key', () => {
+  assert.deepEqual(transcribeBackendOrder({ backend: undefined, hasGroqKey: true }), ['groq']);
+  assert.deepEqual(transcribeBackendOrder({ backend: 'groq', hasGroqKey: false }), []);
+  assert.deepEqual(transcribeBackendOrder({ backend: 'local', hasGroqKey: true }), ['local', 'groq']);
+  assert.deepEqual(transcribeBackendOrder({ backend: ' Local ', hasGroqKey: false }), ['local']);
+  // Anything unrecognised is the default, not an error at startup
+  assert.deepEqual(transcribeBackendOrder({ backend: 'whisper.cpp', hasGroqKey: true }), ['groq']);
+});
+
+function fakeBackend(result) {
+  const calls = [];
+  const fn = async (pcm, options) => {
+    calls.push({ pcm, options });
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  fn.calls = calls;
+  return fn;
+}
+
+test('transcribeWithFallback: the first backend that answers wins', async () => {
+  const local = fakeBackend('pauze');
+  const groq = fakeBackend('should not be asked');
+  const pcm = Buffer.alloc(10);
+  assert.equal(await transcribeWithFallback(['local', 'groq'], { local, groq }, pcm, { language: 'nl' }), 'pauze');
+  assert.equal(groq.calls.length, 0);
+  assert.equal(local.calls[0].pcm, pcm);
+  assert.deepEqual(local.calls[0].options, { language: 'nl' });
+});
+
+test('transcribeWithFallback: a local engine that is down or erroring falls back to Groq', async () => {
+  for (const stage of ['network', 'api']) {
+    const local = fakeBackend(new TranscribeError('down', stage));
+    const groq = fakeBackend('volgende');
+    assert.equal(await transcribeWithFallback(['local', 'groq'], { local, groq }, Buffer.alloc(0), {}), 'volgende', stage);
+    assert.equal(groq.calls.length, 1);
+  }
+});
+
+test('transcribeWithFallback: an empty transcript is not retried, and the last error is the one thrown', async () => {
+  const groq = fakeBackend('never');
+  await assert.rejects(
+    transcribeWithFallback(['local', 'groq'], { local: fakeBackend(new TranscribeError('nothing', 'empty')), groq }, Buffer.alloc(0), {}),
+    (err) => err instanceof TranscribeError && err.stage === 'empty',
+  );
+  assert.equal(groq.calls.length, 0, 'silence heard locally is not sent off the box');
+
+  await assert.rejects(
+    transcribeWithFallback(['local', 'groq'], {
+      local: fakeBackend(new TranscribeError('down', 'network')),
+      groq: fakeBackend(new TranscribeError('429', 'api')),
+    }, Buffer.alloc(0), {}),
+    (err) => err.stage === 'api' && err.message === '429',
+  );
+
+  await assert.rejects(transcribeWithFallback([], {}, Buffer.alloc(0), {}), (err) => err.stage === 'api');
+});
+
+// --- local sidecar wire protocol ---------------------------------------------
+
+test('encodeRequest: one JSON line carrying the PCM as base64', () => {
+  const pcm = Buffer.from([1, 0, 255, 127]);
+  const line = encodeRequest(7, pcm, { sampleRate: 16000, language: 'nl', prompt: '' });
+  assert.ok(line.endsWith('\n'));
+  assert.equal(line.indexOf('\n'), line.length - 1, 'exactly one line');
+  const msg = JSON.parse(line);
+  assert.deepEqual({ ...msg, audio: undefined }, { id: 7, sampleRate: 16000, language: 'nl', prompt: null, audio: undefined });
+  assert.ok(Buffer.from(msg.audio, 'base64').equals(pcm));
+});
+
+test('parseResponseLine: a transcript, an error, or nothing at all', () => {
+  assert.deepEqual(parseResponseLine('{"id": 3, "text": " pauze"}'), { id: 3, text: ' pauze' });
+  assert.deepEqual(parseResponseLine('{"id": 3, "error": "boom"}'), { id: 3, error: 'boom' });
+  assert.equal(parseResponseLine('loading model...'), null);
+  assert.equal(parseResponseLine('{"id": "3", "text": "x"}'), null);
+  assert.equal(parseResponseLine('{"id": 3}'), null);
+  assert.equal(parseResponseLine('null'), null);
+});
+
+test('transcribePromptFor: each language gets its own vocabulary, anything else the default', () => {
+  assert.equal(transcribePromptFor('nl'), DEFAULT_TRANSCRIBE_PROMPT);
+  assert.equal(transcribePromptFor('en'), ENGLISH_TRANSCRIBE_PROMPT);
+  assert.equal(transcribePromptFor('de'), DEFAULT_TRANSCRIBE_PROMPT);
+  assert.equal(transcribePromptFor(undefined), DEFAULT_TRANSCRIBE_PROMPT);
+});
@@ -1,6 +1,6 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { isAllowedMediaUrl, sanitizeSearchQuery } from '../src/utils/urlValidation.js';
+import { isAllowedMediaUrl, sanitizeSearchQuery, youtubeVideoId } from '../src/utils/urlValidation.js';
 
 test('accepts youtube and spotify URLs', () => {
   assert.ok(isAllowedMediaUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ'));
@@ -23,3 +23,15 @@ test('sanitizeSearchQuery strips leading dashes and caps length', () => {
   assert.equal(sanitizeSearchQuery('  -x hello'), 'x hello');
   assert.equal(sanitizeSearchQuery('a'.repeat(300)).length, 200);
 });
+
+test('youtubeVideoId reads every YouTube URL shape and nothing else', () => {
+  assert.equal(youtubeVideoId('https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=RDdQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+  assert.equal(youtubeVideoId('https://youtu.be/dQw4w9WgXcQ?t=30'), 'dQw4w9WgXcQ');
+  assert.equal(youtubeVideoId('https://music.youtube.com/watch?v=dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+  assert.equal(youtubeVideoId('https://www.youtube.com/shorts/dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+  assert.equal(youtubeVideoId('https://www.youtube.com/watch?v=short'), null);
+  assert.equal(youtubeVideoId('https://open.spotify.com/track/abc'), null);
+  assert.equal(youtubeVideoId('https://evil.com/watch?v=dQw4w9WgXcQ'), null);
+  assert.equal(youtubeVideoId('local:0123456789abcdef'), null);
+  assert.equal(youtubeVideoId(null), null);
+});
@@ -15,7 +15,16 @@ import {
   setOptInStorePath,
   shouldAssistantAutoLeave,
   voiceConnectionOwner,
+  conversationHistory,
+  rememberExchange,
+  forgetConversation,
+  getVoiceLanguage,
+  setVoiceLanguage,
 } from '../src/utils/voiceAssistant.js';
+import { setVoiceHistoryPath, recordVoiceInteraction, getVoiceHistory } from '../src/utils/voiceHistory.js';
+
+// An opt-out deletes the member's voice history, so every test here works on a throwaway one
+setVoiceHistoryPath(path.join(mkdtempSync(path.join(tmpdir(), 'jerrybot-vh-')), 'voiceHistory.json'));
 
 test('downsampler: 6 stereo frames -> 2 mono samples, averaged', () => {
   // 48k stereo interleaved [L,R,...] -> 16k mono: avg channels, every 3rd frame
@@ -264,6 +273,134 @@ test('opt-in store: round-trips through disk', () => {
   assert.deepEqual(getOptedInUserIds(), []);
 });
 
+test('capture energy profile: the room, the middle and the speaker, against the threshold', () => {
+  const machine = new CaptureMachine(0);
+  assert.equal(machine.energyProfile(), null);
+  // Nine chunks of room, one of speech
+  for (let i = 0; i < 9; i++) machine.chunk(i * 20, 50 + i, 3840);
+  machine.chunk(200, 2000, 3840);
+  const profile = machine.energyProfile();
+  assert.equal(profile.floor, 51);
+  assert.equal(profile.median, 55);
+  assert.equal(profile.peak, 2000);
+  assert.equal(typeof profile.threshold, 'number');
+});
+
+test('opt-out: deletes what the voice history kept for that member only', () => {
+  setOptInStorePath(path.join(mkdtempSync(path.join(tmpdir(), 'jerrybot-va-')), 'voiceAssistant.json'));
+  setOptIn('user-1', true);
+  setOptIn('user-2', true);
+  recordVoiceInteraction({ userId: 'user-1', outcome: 'ok' });
+  recordVoiceInteraction({ userId: 'user-2', outcome: 'unknown' });
+
+  setOptIn('user-1', false);
+  assert.deepEqual(getVoiceHistory().map(e => e.userId), ['user-2']);
+});
+
+test('voice language: per user, persisted, default when unset', () => {
+  const storePath = path.join(mkdtempSync(path.join(tmpdir(), 'jerrybot-va-')), 'voiceAssistant.json');
+  setOptInStorePath(storePath);
+
+  assert.equal(getVoiceLanguage('user-1'), 'nl');
+  setVoiceLanguage('user-1', 'en');
+  assert.equal(getVoiceLanguage('user-1'), 'en');
+  assert.equal(getVoiceLanguage('user-2'), 'nl');
+
+  reloadOptIns();
+  assert.equal(getVoiceLanguage('user-1'), 'en');
+  assert.deepEqual(JSON.parse(readFileSync(storePath, 'utf8')).languages, { 'user-1': 'en' });
+
+  // Back to the default clears the entry rather than storing it
+  setVoiceLanguage('user-1', 'nl');
+  assert.deepEqual(JSON.parse(readFileSync(storePath, 'utf8')).languages, {});
+
+  assert.throws(() => setVoiceLanguage('user-1', 'fr'), /unsupported voice language/);
+  assert.equal(getVoiceLanguage('user-1'), 'nl');
+});
+
+// --- follow-ups ---------------------------------------------------------------
+// A follow-up is a capture with a longer window to begin in, whose "beep" is the
+// reply that just finished (settled at T=0). Everything else is the wake's rules.
+
+function followUpCapture(voiced) {
+  const machine = new CaptureMachine(0, { graceMs: 5000 });
+  machine.beepStarted();
+  machine.beepSettled(0);
+  for (let t = 0; t <= 12_000; t += FRAME_MS) {
+    machine.chunk(t, voiced.some(([a, b]) => t >= a && t < b) ? LOUD : QUIET, FRAME_BYTES);
+    const reason = machine.poll(t);
+    if (reason) return { reason, endedAt: t, armed: machine.speechStarted };
+  }
+  throw new Error('capture never ended');
+}
+
+test('follow-up: a question that starts late in the window is still heard', () => {
+  // Past a wake's 3.5s grace, inside the follow-up's 5s
+  const r = followUpCapture([[4200, 5400]]);
+  assert.equal(r.reason, 'silence');
+  assert.equal(r.armed, true);
+});
+
+test('follow-up: nothing said ends at the window, not before', () => {
+  const r = followUpCapture([]);
+  assert.equal(r.reason, 'no-speech');
+  assert.equal(r.endedAt, 5000);
+});
+
+test('follow-up: the echo of the reply cannot start the utterance', () => {
+  // Echo at T+100..300 sits inside BEEP_ECHO_MARGIN_MS of the reply ending
+  const r = followUpCapture([[100, 300]]);
+  assert.equal(r.reason, 'no-speech');
+});
+
+test('capture: the default grace window is unchanged by the option', () => {
+  const machine = new CaptureMachine(0);
+  assert.equal(machine.poll(3499), null);
+  assert.equal(machine.poll(3500), 'no-speech');
+});
+
+test('conversation memory: carries the last few exchanges, per user', () => {
+  forgetConversation();
+  assert.deepEqual(conversationHistory('u1', 0), []);
+  rememberExchange('u1', 'wie zong dit?', 'Queen.', 0);
+  rememberExchange('u2', 'hoe laat is het?', 'Laat.', 0);
+  assert.deepEqual(conversationHistory('u1', 1000), [
+    { role: 'user', content: 'wie zong dit?' },
+    { role: 'assistant', content: 'Queen.' },
+  ]);
+  // Oldest first, and capped at four question/answer pairs
+  for (let i = 1; i <= 5; i++) rememberExchange('u1', `vraag ${i}`, `antwoord ${i}`, 1000 * i);
+  const history = conversationHistory('u1', 6000);
+  assert.equal(history.length, 8);
+  assert.equal(history[0].content, 'vraag 2');
+  assert.equal(history[7].content, 'antwoord 5');
+  // The returned list is a copy
+  history.length = 0;
+  assert.equal(conversationHistory('u1', 6000).length, 8);
+  forgetConversation('u1');
+  assert.deepEqual(conversationHistory('u1', 6000), []);
+  assert.equal(conversationHistory('u2', 6000).length, 2);
+});
+
+test('conversation memory: a conversation that went quiet is forgotten', () => {
+  forgetConversation();
+  rememberExchange('u1', 'wie zong dit?', 'Queen.', 0);
+  assert.equal(conversationHistory('u1', 179_999).length, 2);
+  assert.deepEqual(conversationHistory('u1', 180_000), []);
+  // A new question starts over rather than picking the stale one back up
+  rememberExchange('u1', 'en dit?', 'ABBA.', 500_000);
+  assert.deepEqual(conversationHistory('u1', 500_000).map(m => m.content), ['en dit?', 'ABBA.']);
+});
+
+test('conversation memory: opting out forgets what was asked', () => {
+  const storePath = path.join(mkdtempSync(path.join(tmpdir(), 'jerrybot-va-')), 'voiceAssistant.json');
+  setOptInStorePath(storePath);
+  setOptIn('user-2', true);
+  rememberExchange('user-2', 'wie zong dit?', 'Queen.');
+  setOptIn('user-2', false);
+  assert.deepEqual(conversationHistory('user-2'), []);
+});
+
 // --- connection ownership and auto-leave -----------------------------------
 // The guild has one voice connection and three things that create one (/play,
 // /record, /heyjerry join). These two functions are the whole guard against the
@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  setVoiceHistoryPath, recordVoiceInteraction, getVoiceHistory, voiceHistoryUsers, deleteVoiceHistory,
+  flushVoiceHistory, summarizeVoiceHistory, matchesVoiceFilters, MAX_VOICE_HISTORY, VOICE_HISTORY_MAX_AGE_DAYS
+} from '../src/utils/voiceHistory.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function fresh() {
+  const file = join(mkdtempSync(join(tmpdir(), 'voiceHistory-')), 'voiceHistory.json');
+  setVoiceHistoryPath(file);
+  return file;
+}
+
+// One interaction as recordVoiceInteraction stores it, for the pure functions
+function entry(outcome, extra = {}) {
+  return {
+    at: 1, guildId: 'g1', userId: 'u1', displayName: 'Alice', followUp: false, transcript: 'volgende',
+    intent: 'skip', outcome, stage: null, summary: null, wakeScore: 0.8, wakeThreshold: 0.5,
+    capture: { endReason: 'silence', ms: 2000, voicedMs: 600, floor: 100, median: 200, peak: 900, threshold: 300 },
+    latency: { capture: 2000, transcribe: 600, intent: 10, dispatch: 300, speak: 900 },
+    ...extra
+  };
+}
+
+test('recordVoiceInteraction: keeps what happened and cleans what it is handed', () => {
+  fresh();
+  const now = Date.now();
+  recordVoiceInteraction({
+    at: now, guildId: 'g1', userId: 123, displayName: 'Alice', language: 'nl', transcript: 'x'.repeat(2000),
+    intent: 'skip', outcome: 'ok', wakeScore: 0.81234, wakeThreshold: 0.5,
+    capture: { endReason: 'silence', ms: 2100.4, voicedMs: 640.6, floor: 88.2, median: 150, peak: 1200, threshold: 300 },
+    latency: { transcribe: 640.4, intent: 3, nonsense: 5, dispatch: -1 }
+  });
+  recordVoiceInteraction({ at: now, userId: 'u2', outcome: 'made-up' });
+  assert.equal(recordVoiceInteraction({ outcome: 'ok' }), null);
+
+  const [a, b] = getVoiceHistory();
+  assert.equal(a.userId, '123');
+  assert.equal(a.transcript.length, 500);
+  assert.equal(a.wakeScore, 0.812);
+  assert.deepEqual(a.capture, { endReason: 'silence', ms: 2100, voicedMs: 641, floor: 88, median: 150, peak: 1200, threshold: 300 });
+  assert.deepEqual(a.latency, { transcribe: 640, intent: 3 });
+  assert.equal(b.outcome, 'error');
+  assert.equal(b.capture, null);
+  assert.ok(b.id > a.id);
+});
+
+test('voice history: bounded by age and by count', () => {
+  const file = fresh();
+  const now = Date.now();
+  writeFileSync(file, JSON.stringify([
+    { id: 1, at: now - (VOICE_HISTORY_MAX_AGE_DAYS + 1) * DAY_MS, userId: 'old', outcome: 'ok' },
+    { id: 7, at: now - DAY_MS, userId: 'recent', outcome: 'ok' },
+    { id: 8, at: now - DAY_MS, outcome: 'ok' } // nobody's
+  ]));
+  setVoiceHistoryPath(file);
+  assert.deepEqual(getVoiceHistory().map(e => e.userId), ['recent']);
+  assert.equal(recordVoiceInteraction({ at: now, userId: 'new', outcome: 'ok' }).id, 8);
+
+  fresh();
+  for (let i = 0; i < MAX_VOICE_HISTORY + 3; i++) recordVoiceInteraction({ at: now, userId: `u${i}`, outcome: 'ok' });
+  const kept = getVoiceHistory();
+  assert.equal(kept.length, MAX_VOICE_HISTORY);
+  assert.equal(kept[0].userId, 'u3');
+});
+
+test('deleteVoiceHistory: removes one member everywhere and writes at once', () => {
+  const file = fresh();
+  const now = Date.now();
+  recordVoiceInteraction({ at: now, guildId: 'g1', userId: 'u1', displayName: 'Alice', outcome: 'ok' });
+  recordVoiceInteraction({ at: now, guildId: 'g2', userId: 'u1', displayName: 'Alice', outcome: 'unknown' });
+  recordVoiceInteraction({ at: now, guildId: 'g1', userId: 'u2', displayName: 'Bob', outcome: 'ok' });
+  flushVoiceHistory();
+  assert.deepEqual(voiceHistoryUsers('g1').map(u => [u.userId, u.count]), [['u1', 1], ['u2', 1]]);
+
+  assert.equal(deleteVoiceHistory('u1'), 2);
+  assert.deepEqual(getVoiceHistory().map(e => e.userId), ['u2']);
+  // No debounce for this one: it is on disk already
+  assert.deepEqual(JSON.parse(readFileSync(file, 'utf8')).map(e => e.userId), ['u2']);
+  assert.equal(deleteVoiceHistory('nobody'), 0);
+});
+
+test('deleteVoiceHistory: a guild only removes what was said there', () => {
+  const file = fresh();
+  const now = Date.now();
+  recordVoiceInteraction({ at: now, guildId: 'g1', userId: 'u1', outcome: 'ok' });
+  recordVoiceInteraction({ at: now, guildId: 'g2', userId: 'u1', outcome: 'unknown' });
+  recordVoiceInteraction({ at: now, guildId: 'g1', userId: 'u2', outcome: 'ok' });
+
+  assert.equal(deleteVoiceHistory('u1', { guildId: 'g1' }), 1);
+  assert.deepEqual(getVoiceHistory().map(e => [e.guildId, e.userId]), [['g2', 'u1'], ['g1', 'u2']]);
+  assert.deepEqual(JSON.parse(readFileSync(file, 'utf8')).map(e => e.guildId + ':' + e.userId), ['g2:u1', 'g1:u2']);
+  assert.equal(deleteVoiceHistory('u1', { guildId: 'g3' }), 0);
+});
+
+test('matchesVoiceFilters: guild, user, outcome or any misfire, command, text and dates', () => {
+  const e = entry('hallucination', { at: 5000, transcript: 'Ondertiteling door de Amara', summary: 'ruis' });
+  assert.ok(matchesVoiceFilters(e, {}));
+  assert.ok(matchesVoiceFilters(e, { guildId: 'g1', userId: 'u1', outcome: 'misfire', search: 'amara', since: 5000, until: 5001 }));
+  assert.ok(matchesVoiceFilters(e, { outcome: 'hallucination', search: 'RUIS' }));
+  assert.equal(matchesVoiceFilters(e, { guildId: 'g2' }), false);
+  assert.equal(matchesVoiceFilters(e, { userId: 'u2' }), false);
+  assert.equal(matchesVoiceFilters(e, { outcome: 'ok' }), false);
+  assert.equal(matchesVoiceFilters(entry('failed'), { outcome: 'misfire' }), false);
+  assert.equal(matchesVoiceFilters(e, { intent: 'pause' }), false);
+  assert.equal(matchesVoiceFilters(e, { search: 'pizza' }), false);
+  assert.equal(matchesVoiceFilters(e, { until: 5000 }), false);
+});
+
+test('summarizeVoiceHistory: outcomes, stages and latency', () => {
+  const summary = summarizeVoiceHistory([
+    entry('ok'),
+    entry('ok', { followUp: true, wakeScore: null, latency: { transcribe: 400, intent: 5, dispatch: 100 } }),
+    entry('no-speech', { intent: null, stage: 'capture', latency: {} }),
+    entry('error', { stage: 'transcribe:network', userId: 'u2' }),
+  ]);
+  assert.equal(summary.totals.interactions, 4);
+  assert.equal(summary.totals.followUps, 1);
+  assert.equal(summary.totals.users, 2);
+  assert.equal(summary.totals.byOutcome.ok, 2);
+  assert.equal(summary.totals.misfires, 1);
+  assert.equal(summary.totals.misfireRate, 0.25);
+  assert.deepEqual(summary.failedStages, { capture: 1, 'transcribe:network': 1 });
+  assert.deepEqual(summary.intents, [{ action: 'skip', count: 3 }]);
+  assert.equal(summary.latency.transcribe.count, 3);
+  assert.equal(summary.latency.transcribe.median, 600);
+  // capture is not part of the response time
+  assert.equal(summary.latency.response.median, 1810);
+  assert.equal(summary.latency.response.p10, 505);
+  assert.deepEqual(summarizeVoiceHistory([]).totals.byOutcome.ok, 0);
+});
+
+test('summarizeVoiceHistory: speech threshold figures show a noisy room and a quiet speaker', () => {
+  const capture = (floor, peak, endReason) => ({ endReason, ms: 3000, voicedMs: 100, floor, median: floor, peak, threshold: 300 });
+  const summary = summarizeVoiceHistory([
+    entry('ok'),
+    entry('ok', { capture: capture(350, 2000, 'max-duration') }),
+    entry('no-speech', { capture: capture(40, 220, 'no-speech') }),
+    entry('no-speech', { capture: capture(40, 60, 'no-speech') }),
+  ]);
+  assert.equal(summary.energy.threshold, 300);
+  assert.equal(summary.energy.captures, 4);
+  assert.deepEqual(summary.energy.endReasons, { silence: 1, 'max-duration': 1, 'no-speech': 2 });
+  assert.equal(summary.energy.noisyRooms, 1);
+  assert.equal(summary.energy.quietMisses, 1);
+  // What the captures that heard nothing peaked at is not speech, so it stays out of the peak
+  assert.equal(summary.energy.peak.count, 2);
+  // The current setting wins over what the entries ran under
+  assert.equal(summarizeVoiceHistory([entry('ok')], { speechEnergyThreshold: 500 }).energy.threshold, 500);
+});
+
+test('summarizeVoiceHistory: raising the wake threshold, what it would stop and what it would cost', () => {
+  const summary = summarizeVoiceHistory([
+    entry('ok', { wakeScore: 0.9 }),
+    entry('ok', { wakeScore: 0.62 }),
+    entry('unknown', { wakeScore: 0.55 }),
+    entry('hallucination', { wakeScore: 0.58 }),
+    entry('ok', { followUp: true, wakeScore: null }),
+  ], { wakeThreshold: 0.5 });
+  assert.equal(summary.wake.threshold, 0.5);
+  assert.equal(summary.wake.wakes, 4);
+  assert.equal(summary.wake.working.count, 2);
+  assert.equal(summary.wake.misfired.median, 0.55);
+  const at = (t) => summary.wake.whatIf.find(row => row.threshold === t);
+  assert.equal(summary.wake.whatIf[0].threshold, 0.5);
+  assert.deepEqual(at(0.5), { threshold: 0.5, misfiresAvoided: 0, workingLost: 0 });
+  assert.deepEqual(at(0.6), { threshold: 0.6, misfiresAvoided: 2, workingLost: 0 });
+  assert.deepEqual(at(0.65), { threshold: 0.65, misfiresAvoided: 2, workingLost: 1 });
+  assert.equal(summary.wake.whatIf.at(-1).threshold, 0.95);
+  assert.deepEqual(summarizeVoiceHistory([entry('ok', { wakeThreshold: null })]).wake.whatIf, []);
+});